@@ -4,7 +4,7 @@
  * Level 3: Cell Modal
  * Opens when clicking a cell or field label.
  * Shows full cell details with tabs:
- * - Value
+ * - Value (with any unresolved sync conflicts on the cell)
  * - Relationships
  * - Provenance
  * - History
@@ -37,6 +37,8 @@ class EOCellModal {
       getHistory: config.getHistory || (() => []),
       getCellHistory: config.getCellHistory || ((recordId, fieldName) => []),
       getContext: config.getContext || (() => ({})),
+      getConflicts: config.getConflicts || ((recordId, fieldName) => []),
+      onResolveConflict: config.onResolveConflict || ((conflictId, eventId) => {}),
       ...config
     };
   }
@@ -187,6 +189,7 @@ class EOCellModal {
     switch (this.currentTab) {
       case 'value':
         contentEl.innerHTML = this.renderValueTab(cell, fieldSchema);
+        this.attachConflictListeners();
         break;
       case 'relationships':
         contentEl.innerHTML = this.renderRelationshipsTab(cell);
@@ -222,8 +225,12 @@ class EOCellModal {
       displayValue = '<span class="eo-cell-empty">No value</span>';
     }
 
+    const conflicts = this.config.getConflicts(this.currentRecordId, this.currentFieldName) || [];
+
     return `
       <div class="eo-cell-value-section">
+        ${this.renderConflictBanner(conflicts)}
+
         <div class="eo-cell-value-display">
           <span class="eo-cell-value-main">${displayValue}</span>
           ${hasSuperposition ? `
@@ -279,6 +286,50 @@ class EOCellModal {
     `;
   }
 
+  /**
+   * Render unresolved conflicts on this cell
+   * Concurrent edits stay visible until someone picks a branch (Rule 4)
+   */
+  renderConflictBanner(conflicts) {
+    if (conflicts.length === 0) return '';
+
+    if (typeof EOConflictInboxUI !== 'undefined') {
+      return EOConflictInboxUI.renderCellConflictBanner(conflicts);
+    }
+
+    return `
+      <div class="eo-cell-conflict-banner">
+        <h4>Unresolved conflict</h4>
+        ${conflicts.map(conflict => `
+          <div class="eo-cell-observations-list">
+            ${conflict.branches.map(branch => `
+              <div class="eo-cell-observation">
+                <div class="eo-cell-obs-value">${this.formatValue(branch.value)}</div>
+                <div class="eo-cell-obs-meta">
+                  <span class="eo-badge">${this.escapeHtml(branch.actor)}</span>
+                  <button data-conflict-action="keep" data-conflict-id="${this.escapeHtml(conflict.id)}" data-event-id="${this.escapeHtml(branch.eventId)}">Keep this</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Attach listeners to conflict "Keep this" buttons
+   */
+  attachConflictListeners() {
+    const buttons = this.modal.querySelectorAll('[data-conflict-action="keep"]');
+    buttons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.config.onResolveConflict(button.dataset.conflictId, button.dataset.eventId);
+        this.updateContent();
+      });
+    });
+  }
+
   /**
    * Render Relationships tab
    */
@@ -533,6 +584,18 @@ class EOCellModal {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   }
 
+  /**
+   * Escape peer-supplied text for HTML and attributes
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Format value for display
    */
@@ -6,9 +6,12 @@
  * into your existing Workbase application.
  *
  * Usage:
- *   const eo = new EOIntegration();
+ *   const eo = new EOIntegration({ actor: () => currentUser.id });
  *   eo.initialize();
  *
+ *   // Conflicts from the compliance bridge's inbox (or options.conflictInbox)
+ *   // show in the cell modal; "Keep this" resolves them as options.actor
+ *
  *   // On CSV import
  *   eo.handleImport(filename, records);
  *
@@ -35,6 +38,10 @@ class EOIntegration {
     this.supDetector = new EOSUPDetector();
     this.stabilityClassifier = new EOStabilityClassifier();
     this.cellModal = new EOCellModal();
+    this.cellModal.initialize({
+      getConflicts: (recordId, fieldName) => this.getConflictInbox()?.getForCell(recordId, fieldName) || [],
+      onResolveConflict: (conflictId, eventId) => this.resolveConflict(conflictId, eventId)
+    });
 
     // Storage
     this.records = new Map(); // recordId -> record (with SUP-enabled cells)
@@ -256,6 +263,28 @@ class EOIntegration {
     return record;
   }
 
+  /**
+   * Conflict inbox backing the cell modal (options.conflictInbox, or the
+   * compliance bridge's)
+   */
+  getConflictInbox() {
+    if (this.options.conflictInbox) return this.options.conflictInbox;
+    if (typeof EOCompliance === 'undefined') return null;
+    return EOCompliance.getBridge().getConflictInbox();
+  }
+
+  /**
+   * Keep one branch of a conflict, as options.actor
+   */
+  resolveConflict(conflictId, eventId) {
+    const inbox = this.getConflictInbox();
+    if (!inbox) {
+      throw new Error('No conflict inbox to resolve conflicts with');
+    }
+    const actor = typeof this.options.actor === 'function' ? this.options.actor() : this.options.actor;
+    return inbox.resolve(conflictId, { keep: eventId, actor });
+  }
+
   /**
    * Show cell modal
    */
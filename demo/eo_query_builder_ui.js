@@ -8,6 +8,7 @@
  * Provides a drag-and-drop visual interface for:
  * - Building EOQL queries graphically
  * - Editing SQL with live EOQL preview
+ * - Exporting pandas / Polars code for notebooks
  * - Viewing operator pipeline visualization
  * - Managing custom holons
  */
@@ -19,6 +20,14 @@
     // QUERY BUILDER UI
     // ============================================================================
 
+    /**
+     * Code targets offered next to the SQL dialects (eo_query_dataframe.js)
+     */
+    const DATAFRAME_TARGETS = {
+        pandas: { label: 'pandas', compile: 'toPandas' },
+        polars: { label: 'Polars', compile: 'toPolars' }
+    };
+
     /**
      * EOQueryBuilderUI - Visual query builder component
      */
@@ -562,6 +571,10 @@
                                             <option value="sqlite">SQLite</option>
                                             <option value="sqlserver">SQL Server</option>
                                             <option value="oracle">Oracle</option>
+                                            <optgroup label="DataFrame (Python)">
+                                                <option value="pandas">pandas</option>
+                                                <option value="polars">Polars</option>
+                                            </optgroup>
                                         </select>
                                     </div>
                                     <textarea class="eoql-sql-editor" id="eoql-sql-editor" placeholder="SELECT * FROM ..."></textarea>
@@ -761,14 +774,22 @@
             const editor = this.container.querySelector('#eoql-sql-editor');
             const dialect = this.container.querySelector('#eoql-dialect')?.value || 'postgresql';
 
+            // Python output is for copying into a notebook, not for editing back
+            const dataFrame = DATAFRAME_TARGETS[dialect];
+            editor.readOnly = !!dataFrame;
+
             try {
-                if (global.toSQL) {
+                if (dataFrame) {
+                    editor.value = global[dataFrame.compile]
+                        ? global[dataFrame.compile](this.query)
+                        : `# ${dataFrame.label} code generator not loaded`;
+                } else if (global.toSQL) {
                     editor.value = global.toSQL(this.query, dialect);
                 } else {
                     editor.value = '-- SQL compiler not loaded';
                 }
             } catch (e) {
-                editor.value = `-- Error: ${e.message}`;
+                editor.value = `${dataFrame ? '#' : '--'} Error: ${e.message}`;
             }
         }
 
@@ -1100,7 +1121,7 @@
             const editor = this.container.querySelector('#eoql-sql-editor');
             if (editor) {
                 navigator.clipboard?.writeText(editor.value);
-                this._setStatus('SQL copied to clipboard', 'success');
+                this._setStatus(editor.readOnly ? 'Code copied to clipboard' : 'SQL copied to clipboard', 'success');
             }
         }
 
@@ -1168,6 +1189,19 @@
             return '';
         }
 
+        /**
+         * Get pandas or Polars code for the current query
+         * @param {string} target - 'pandas' or 'polars'
+         */
+        getDataFrameCode(target = 'pandas', options = {}) {
+            const dataFrame = DATAFRAME_TARGETS[target];
+            if (!dataFrame) throw new Error(`Unknown DataFrame target: ${target}`);
+            if (global[dataFrame.compile] && this.query) {
+                return global[dataFrame.compile](this.query, options);
+            }
+            return '';
+        }
+
         /**
          * Import SQL
          */
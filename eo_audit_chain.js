@@ -0,0 +1,348 @@
+/**
+ * EO Audit Chain
+ * Tamper-evident audit mode for EOEventLog
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - proves the log has not been rewritten
+ * - Rule 9: Revision Without Erasure - an altered or removed event breaks
+ *   the chain at that event, so erasure is detectable after the fact
+ *
+ * In audit mode (new EventLog({ auditChain: true })) every appended event
+ * gets a `chain` field committing to the Merkle root over the log up to
+ * and including it:
+ *
+ *   chain: { index, root }
+ *
+ * The tree follows RFC 6962 (Certificate Transparency): SHA-256, leaves
+ * prefixed 0x00, interior nodes prefixed 0x01. A leaf is the hash of the
+ * canonical event without its `chain` field. Inclusion proofs can be
+ * checked by anyone holding the event and a root, with no access to the log.
+ *
+ * Events removed from the end of the log leave no broken link; compare the
+ * log against a root recorded elsewhere (getAuditRoot()) to catch that.
+ *
+ * Usage:
+ *   const log = new EventLog({ auditChain: true });
+ *   const proof = log.getInclusionProof(eventId);
+ *   EOAuditChain.verifyInclusion(proof, event);     // true
+ *   EOAuditChain.verifyLog(log.getAll());           // { valid, brokenAt }
+ */
+
+(function(global) {
+    'use strict';
+
+    const PROOF_ALGORITHM = 'sha256-rfc6962';
+
+    const BREAK_REASON = {
+        MISSING_CHAIN: 'missing_chain',      // Event was never chained
+        INDEX_MISMATCH: 'index_mismatch',    // An event before it was removed or reordered
+        ROOT_MISMATCH: 'root_mismatch'       // This event (or its chain field) was altered
+    };
+
+    // ============================================================================
+    // SHA-256 (synchronous - appends cannot wait for WebCrypto)
+    // ============================================================================
+
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    /**
+     * SHA-256 of a byte array
+     * @returns {string} Lowercase hex digest
+     */
+    function sha256(bytes) {
+        const bitLength = bytes.length * 8;
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padded.length - 4, bitLength >>> 0);
+
+        const h = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + S1 + ch + K[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) >>> 0;
+
+                hh = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+
+            h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+            h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+        }
+
+        return Array.from(h).map(x => x.toString(16).padStart(8, '0')).join('');
+    }
+
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    // ============================================================================
+    // MERKLE HASHING (RFC 6962)
+    // ============================================================================
+
+    /**
+     * Leaf hash of an event: the canonical event without its chain field
+     */
+    function leafHash(event) {
+        const content = { ...event };
+        delete content.chain;
+
+        const text = new TextEncoder().encode(getEventLogModule().canonicalize(content));
+        const bytes = new Uint8Array(text.length + 1);
+        bytes[0] = 0x00;
+        bytes.set(text, 1);
+        return sha256(bytes);
+    }
+
+    function nodeHash(left, right) {
+        const bytes = new Uint8Array(65);
+        bytes[0] = 0x01;
+        bytes.set(hexToBytes(left), 1);
+        bytes.set(hexToBytes(right), 33);
+        return sha256(bytes);
+    }
+
+    /**
+     * Largest power of two smaller than n (n > 1)
+     */
+    function splitPoint(n) {
+        let k = 1;
+        while (k * 2 < n) k *= 2;
+        return k;
+    }
+
+    function subtreeRoot(leaves, start, end) {
+        const n = end - start;
+        if (n === 1) return leaves[start];
+        const k = splitPoint(n);
+        return nodeHash(subtreeRoot(leaves, start, start + k), subtreeRoot(leaves, start + k, end));
+    }
+
+    function auditPath(leaves, index, start, end) {
+        const n = end - start;
+        if (n === 1) return [];
+        const k = splitPoint(n);
+        if (index < k) {
+            return [...auditPath(leaves, index, start, start + k), subtreeRoot(leaves, start + k, end)];
+        }
+        return [...auditPath(leaves, index - k, start + k, end), subtreeRoot(leaves, start, start + k)];
+    }
+
+    // ============================================================================
+    // MERKLE LOG (Incremental tree over appended leaves)
+    // ============================================================================
+
+    class EOMerkleLog {
+        constructor() {
+            this._leaves = [];
+            // Roots of the perfect subtrees covering the leaves, largest first
+            this._frontier = [];
+        }
+
+        get size() {
+            return this._leaves.length;
+        }
+
+        /**
+         * Add an event to the tree
+         * @returns {Object} The event's chain field { index, root }
+         */
+        commit(event) {
+            const leaf = leafHash(event);
+            this._leaves.push(leaf);
+
+            this._frontier.push({ size: 1, hash: leaf });
+            while (this._frontier.length > 1 &&
+                   this._frontier[this._frontier.length - 1].size === this._frontier[this._frontier.length - 2].size) {
+                const right = this._frontier.pop();
+                const left = this._frontier.pop();
+                this._frontier.push({ size: left.size * 2, hash: nodeHash(left.hash, right.hash) });
+            }
+
+            return { index: this._leaves.length - 1, root: this.root() };
+        }
+
+        /**
+         * Merkle root over the first `size` leaves
+         */
+        root(size = this._leaves.length) {
+            if (size === 0) return null;
+            if (size === this._leaves.length) {
+                let root = this._frontier[this._frontier.length - 1].hash;
+                for (let i = this._frontier.length - 2; i >= 0; i--) {
+                    root = nodeHash(this._frontier[i].hash, root);
+                }
+                return root;
+            }
+            return subtreeRoot(this._leaves, 0, size);
+        }
+
+        /**
+         * Audit path for the leaf at `index` in the tree of `size` leaves
+         */
+        proof(index, size = this._leaves.length) {
+            if (index < 0 || index >= size || size > this._leaves.length) {
+                throw new Error(`No leaf ${index} in a tree of ${size}`);
+            }
+            return auditPath(this._leaves, index, 0, size);
+        }
+
+        leaf(index) {
+            return this._leaves[index] || null;
+        }
+
+        reset() {
+            this._leaves = [];
+            this._frontier = [];
+        }
+    }
+
+    // ============================================================================
+    // VERIFICATION
+    // ============================================================================
+
+    /**
+     * Check an inclusion proof from EOEventLog.getInclusionProof()
+     * @param {Object} proof - { index, treeSize, leaf, path, root }
+     * @param {Object} [event] - When given, must hash to proof.leaf
+     * @returns {boolean}
+     */
+    function verifyInclusion(proof, event = null) {
+        if (!proof || proof.algorithm !== PROOF_ALGORITHM) return false;
+        if (event && leafHash(event) !== proof.leaf) return false;
+        if (proof.index >= proof.treeSize) return false;
+
+        // RFC 9162, section 2.1.3.2
+        let fn = proof.index;
+        let sn = proof.treeSize - 1;
+        let r = proof.leaf;
+
+        for (const p of proof.path) {
+            if (sn === 0) return false;
+            if ((fn & 1) || fn === sn) {
+                r = nodeHash(p, r);
+                while (!(fn & 1) && fn !== 0) {
+                    fn >>= 1;
+                    sn >>= 1;
+                }
+            } else {
+                r = nodeHash(r, p);
+            }
+            fn >>= 1;
+            sn >>= 1;
+        }
+
+        return sn === 0 && r === proof.root;
+    }
+
+    /**
+     * Re-verify a chained log from the start
+     * @param {Object[]} events - In log order
+     * @param {Object} [options] - { anchor: { size, root } recorded elsewhere }
+     * @returns {Object} { valid, checked, root, brokenAt: { position, eventId, reason } | null }
+     */
+    function verifyLog(events, options = {}) {
+        const tree = new EOMerkleLog();
+        const broken = (position, reason) => ({
+            valid: false,
+            checked: position,
+            root: tree.root(),
+            brokenAt: { position, eventId: events[position]?.id || null, reason }
+        });
+
+        for (let i = 0; i < events.length; i++) {
+            const chain = events[i].chain;
+            if (!chain) return broken(i, BREAK_REASON.MISSING_CHAIN);
+            if (chain.index !== i) return broken(i, BREAK_REASON.INDEX_MISMATCH);
+            if (tree.commit(events[i]).root !== chain.root) return broken(i, BREAK_REASON.ROOT_MISMATCH);
+        }
+
+        const anchor = options.anchor;
+        if (anchor && (anchor.size > tree.size || tree.root(anchor.size) !== anchor.root)) {
+            return broken(Math.min(anchor.size, events.length), BREAK_REASON.ROOT_MISMATCH);
+        }
+
+        return { valid: true, checked: events.length, root: tree.root(), brokenAt: null };
+    }
+
+    function getEventLogModule() {
+        if (typeof EOEventLog === 'undefined') {
+            throw new Error('EOEventLog is required for the audit chain');
+        }
+        return EOEventLog;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOAuditChain = {
+        // Classes
+        MerkleLog: EOMerkleLog,
+
+        // Hashing
+        sha256,
+        leafHash,
+        nodeHash,
+
+        // Verification
+        verifyInclusion,
+        verifyLog,
+
+        // Constants
+        PROOF_ALGORITHM,
+        BREAK_REASON
+    };
+
+    // Export to global scope
+    global.EOAuditChain = EOAuditChain;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOAuditChain;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
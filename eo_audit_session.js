@@ -0,0 +1,547 @@
+/**
+ * EO Audit Session
+ * Strict audit mode for the running app
+ *
+ * While a session is active, the live surfaces where handbook violations
+ * happen are wrapped with EOGuards and every violation is collected with
+ * its stack trace:
+ * - EOStateManager.set()          writes to log-derived state (Axiom 0)
+ * - EOAppController.handleEdit()  edits that never reach the log (Axiom 0)
+ * - Event bus                     notifications with no source (Rule 1), no
+ *                                 event behind them (Axiom 0) or no tombstone
+ *                                 behind a deletion (Rule 9)
+ * - SyncEngine                    received events (Rules 1, 2), state-based
+ *                                 messages (Rule 6), unrecorded failures (Rule 7)
+ * - Event log                     every appended event (Rules 1, 2, 4, 5)
+ *
+ * Usage:
+ *   EOAuditSession.toggle();                 // start, using the app's singletons
+ *   // ... use the app ...
+ *   const session = EOAuditSession.toggle(); // stop
+ *   session.exportHTML();                    // report linking to SYNC_HANDBOOK.md
+ *
+ * stop() removes every wrapper and restores the guard mode. Sessions nest,
+ * but must then be stopped in reverse order.
+ *
+ * @see SYNC_HANDBOOK.md - Compliance Checking
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    const SURFACE = {
+        STATE_MANAGER: 'state_manager',
+        APP_CONTROLLER: 'app_controller',
+        EVENT_BUS: 'event_bus',
+        SYNC_ENGINE: 'sync_engine',
+        EVENT_LOG: 'event_log'
+    };
+
+    // State replayed from the log; setting it directly bypasses the log
+    const LOG_DERIVED_KEYS = ['sets', 'views', 'entities', 'imports', 'tossPile'];
+
+    // Bus notifications announcing a change to log-derived data
+    const CHANGE_NOTIFICATION = /^(record|cell|set|field|view|relationship):(created|updated|edited|deleted)$/;
+
+    // Handbook section for each rule a guard reports
+    const HANDBOOK_SECTIONS = {
+        AXIOM_0: 'Axiom 0: Log Primacy',
+        RULE_1: 'Rule 1: Origin Is Part of the Record',
+        RULE_2: 'Rule 2: Identity Must Not Be Laundered',
+        RULE_3: 'Rule 3: Capture Before Coordination',
+        RULE_4: 'Rule 4: Non-Collapse of Concurrency',
+        RULE_5: 'Rule 5: Views Are Local and Disposable',
+        RULE_6: 'Rule 6: Operations, Not Snapshots',
+        RULE_7: 'Rule 7: Failure Is a State',
+        RULE_8: 'Rule 8: Idempotent Replay',
+        RULE_9: 'Rule 9: Revision Without Erasure',
+        SEPARATION: 'Given vs Meant Events'
+    };
+
+    // ============================================================================
+    // AUDIT SESSION CLASS
+    // ============================================================================
+
+    class EOAuditSession {
+        /**
+         * @param {Object} options
+         * @param {string} options.mode - Guard mode while active: 'silent' (default), 'warn' or 'strict'
+         * @param {string} options.handbookUrl - Where report links point
+         * @param {Object} options.eventLog - Defaults to EOEventLog.getLog()
+         * @param {Object} options.eventBus - Defaults to EOEventBus.getBus()
+         * @param {Function} options.StateManager - Defaults to EOStateManager
+         * @param {Function} options.AppController - Defaults to EOAppController
+         * @param {Function} options.SyncEngine - Defaults to EOSyncProtocol.SyncEngine
+         */
+        constructor(options = {}) {
+            this._options = {
+                mode: options.mode || 'silent',
+                handbookUrl: options.handbookUrl || 'SYNC_HANDBOOK.md'
+            };
+
+            this._eventLog = options.eventLog || global.EOEventLog?.getLog() || null;
+            this._eventBus = options.eventBus || global.EOEventBus?.getBus() || null;
+            this._StateManager = options.StateManager || global.EOStateManager || null;
+            this._AppController = options.AppController || global.EOAppController || null;
+            this._SyncEngine = options.SyncEngine || global.EOSyncProtocol?.SyncEngine || null;
+
+            this._active = false;
+            this._violations = [];
+            this._surfaces = [];
+            this._undo = [];
+
+            // Which surface is running a guard, for attributing violations
+            this._surfaceStack = [];
+
+            // Appends seen since start / since the last bus change notification
+            this._appendCount = 0;
+            this._unannounced = [];
+            this._inEdit = false;
+
+            this.startedAt = null;
+            this.endedAt = null;
+        }
+
+        /**
+         * Install the guards on every surface that is loaded
+         */
+        start() {
+            if (this._active) return this;
+
+            this._previousGuards = { enabled: EOGuards.isEnabled(), mode: EOGuards.getMode() };
+            EOGuards.enable();
+            EOGuards.setMode(this._options.mode);
+
+            this._violations = [];
+            this._surfaces = [];
+            this._undo = [EOGuards.onViolation((entry) => this._collect(entry))];
+
+            const installers = [
+                [SURFACE.EVENT_LOG, () => this._watchEventLog()],
+                [SURFACE.STATE_MANAGER, () => this._wrapStateManager()],
+                [SURFACE.APP_CONTROLLER, () => this._wrapAppController()],
+                [SURFACE.EVENT_BUS, () => this._wrapEventBus()],
+                [SURFACE.SYNC_ENGINE, () => this._wrapSyncEngine()]
+            ];
+            for (const [surface, install] of installers) {
+                const undo = install();
+                if (undo) {
+                    this._undo.push(undo);
+                    this._surfaces.push(surface);
+                }
+            }
+
+            this._active = true;
+            this.startedAt = new Date().toISOString();
+            this.endedAt = null;
+            return this;
+        }
+
+        /**
+         * Remove every wrapper and restore the guard configuration
+         */
+        stop() {
+            if (!this._active) return this;
+
+            while (this._undo.length > 0) {
+                this._undo.pop()();
+            }
+
+            EOGuards.setMode(this._previousGuards.mode);
+            if (this._previousGuards.enabled) {
+                EOGuards.enable();
+            } else {
+                EOGuards.disable();
+            }
+
+            this._active = false;
+            this.endedAt = new Date().toISOString();
+            return this;
+        }
+
+        isActive() {
+            return this._active;
+        }
+
+        getViolations() {
+            return [...this._violations];
+        }
+
+        // ========================================================================
+        // SURFACES
+        // ========================================================================
+
+        /**
+         * Validate every appended event; also counts appends for the
+         * handleEdit and bus checks
+         */
+        _watchEventLog() {
+            if (!this._eventLog) return null;
+
+            return this._eventLog.subscribe((event) => {
+                this._appendCount++;
+                this._unannounced.push(event);
+                this._guard(SURFACE.EVENT_LOG, () => EOGuards.validateEvent(event, { source: 'event_log' }));
+            });
+        }
+
+        /**
+         * Axiom 0: log-derived state must not be set directly
+         */
+        _wrapStateManager() {
+            const StateManager = this._StateManager;
+            if (!StateManager) return null;
+
+            const session = this;
+            const original = StateManager.prototype.set;
+
+            StateManager.prototype.set = function(key, value) {
+                if (LOG_DERIVED_KEYS.includes(key)) {
+                    session._guard(SURFACE.STATE_MANAGER, () => EOGuards.violation('AXIOM_0',
+                        `EOStateManager.set("${key}") replaces log-derived state. Dispatch an action to the event log instead.`,
+                        { key }));
+                }
+                return original.apply(this, arguments);
+            };
+
+            return () => { StateManager.prototype.set = original; };
+        }
+
+        /**
+         * Axiom 0: an edit that changed a value must append to the log
+         */
+        _wrapAppController() {
+            const AppController = this._AppController;
+            if (!AppController || !this._eventLog) return null;
+
+            const session = this;
+            const original = AppController.prototype.handleEdit;
+
+            AppController.prototype.handleEdit = function(recordId, fieldName, oldValue, newValue) {
+                const appendsBefore = session._appendCount;
+                let result;
+
+                session._inEdit = true;
+                try {
+                    result = original.apply(this, arguments);
+                } finally {
+                    session._inEdit = false;
+                }
+
+                // The edit's own appends are not left for the next bus notification
+                session._unannounced = [];
+
+                if (result && oldValue !== newValue && session._appendCount === appendsBefore) {
+                    session._guard(SURFACE.APP_CONTROLLER, () => EOGuards.violation('AXIOM_0',
+                        `handleEdit changed ${recordId}.${fieldName} without appending an event to the log`,
+                        { recordId, fieldName }));
+                }
+                return result;
+            };
+
+            return () => { AppController.prototype.handleEdit = original; };
+        }
+
+        /**
+         * Rules 1, 9 and Axiom 0 for bus notifications, as bus middleware
+         */
+        _wrapEventBus() {
+            if (!this._eventBus?.use) return null;
+
+            return this._eventBus.use((event) => {
+                this._guard(SURFACE.EVENT_BUS, () => this._checkBusEvent(event));
+                return event;
+            });
+        }
+
+        _checkBusEvent(event) {
+            if (!event.source || event.source === 'unknown') {
+                EOGuards.violation('RULE_1', `Bus event "${event.type}" emitted without a source`, {
+                    eventType: event.type
+                });
+            }
+
+            // handleEdit is checked as a whole by its own wrapper
+            if (!CHANGE_NOTIFICATION.test(event.type) || this._inEdit || !this._eventLog) return;
+
+            const appended = this._unannounced;
+            this._unannounced = [];
+
+            if (appended.length === 0) {
+                EOGuards.violation('AXIOM_0', `Bus announced "${event.type}" but nothing was appended to the event log`, {
+                    eventType: event.type,
+                    target: describeTarget(event.data)
+                });
+            } else if (event.type.endsWith(':deleted') && !appended.some(isDeletion)) {
+                EOGuards.guardTombstoneDeletion(event.type, describeTarget(event.data));
+            }
+        }
+
+        /**
+         * Rules 1, 2, 6 and 7 for the sync engine
+         */
+        _wrapSyncEngine() {
+            const SyncEngine = this._SyncEngine;
+            if (!SyncEngine) return null;
+
+            const session = this;
+            const proto = SyncEngine.prototype;
+            const originals = {
+                syncWith: proto.syncWith,
+                handleMessage: proto.handleMessage,
+                _receiveFrom: proto._receiveFrom
+            };
+
+            proto._receiveFrom = async function(syncSession, remoteId, events) {
+                const source = `sync from ${remoteId}`;
+                session._guard(SURFACE.SYNC_ENGINE, () => {
+                    events.filter(Boolean).forEach(e => EOGuards.guardEventOrigin(e, source));
+                });
+
+                const results = await originals._receiveFrom.apply(this, arguments);
+
+                // Rule 2: what landed in the log is what was sent
+                session._guard(SURFACE.SYNC_ENGINE, () => {
+                    results.accepted.forEach(id => {
+                        const sent = events.find(e => e?.id === id);
+                        const stored = this._eventLog.get(id);
+                        if (sent && stored) {
+                            EOGuards.guardIdentityPreservation(sent, stored, source, this._options.keyRing);
+                        }
+                    });
+                });
+
+                return results;
+            };
+
+            proto.handleMessage = function(message, remoteId) {
+                session._guard(SURFACE.SYNC_ENGINE, () => message && EOGuards.guardEventSync(message));
+                return originals.handleMessage.apply(this, arguments);
+            };
+
+            proto.syncWith = async function(transport, remoteId) {
+                // A refused concurrent sync is not a sync failure
+                if (this._syncInProgress) {
+                    return originals.syncWith.apply(this, arguments);
+                }
+
+                const clock = this._eventLog.getClock();
+                try {
+                    return await originals.syncWith.apply(this, arguments);
+                } catch (err) {
+                    const recorded = this._eventLog.getSince(clock)
+                        .some(e => e.payload?.action === 'sync:failure');
+                    session._guard(SURFACE.SYNC_ENGINE, () => EOGuards.guardFailureRecording(err, recorded));
+                    throw err;
+                }
+            };
+
+            return () => Object.assign(proto, originals);
+        }
+
+        /**
+         * Run guards on behalf of a surface
+         */
+        _guard(surface, fn) {
+            this._surfaceStack.push(surface);
+            try {
+                return fn();
+            } finally {
+                this._surfaceStack.pop();
+            }
+        }
+
+        _collect(entry) {
+            const section = HANDBOOK_SECTIONS[entry.rule] || null;
+
+            this._violations.push({
+                rule: entry.rule,
+                message: entry.message,
+                surface: this._surfaceStack[this._surfaceStack.length - 1] || 'app',
+                context: entry.context,
+                timestamp: entry.timestamp,
+                stack: trimStack(entry.stack),
+                handbook: {
+                    section,
+                    href: section ? `${this._options.handbookUrl}#${slugify(section)}` : this._options.handbookUrl
+                }
+            });
+        }
+
+        // ========================================================================
+        // REPORT
+        // ========================================================================
+
+        /**
+         * Get the violations report
+         */
+        getReport() {
+            const byRule = {};
+            this._violations.forEach(v => {
+                byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+            });
+
+            return {
+                startedAt: this.startedAt,
+                endedAt: this.endedAt,
+                active: this._active,
+                mode: this._options.mode,
+                surfaces: [...this._surfaces],
+                total: this._violations.length,
+                byRule,
+                violations: this.getViolations()
+            };
+        }
+
+        exportJSON() {
+            return JSON.stringify(this.getReport(), null, 2);
+        }
+
+        /**
+         * Export the report as a standalone HTML page
+         */
+        exportHTML() {
+            const report = this.getReport();
+            const rules = Object.keys(report.byRule).sort();
+
+            return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Sync Audit Session ${escapeHtml(report.startedAt)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; font-size: 14px; margin: 24px; color: #111827; }
+    table { border-collapse: collapse; margin-bottom: 24px; }
+    th, td { text-align: left; padding: 6px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    .violation { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; margin-bottom: 12px; }
+    .rule { font-weight: 600; color: #dc2626; }
+    .meta { color: #6b7280; font-size: 12px; }
+    pre { background: #f9fafb; padding: 8px; overflow-x: auto; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Sync Audit Session</h1>
+<p class="meta">
+    ${escapeHtml(report.startedAt)} &ndash; ${escapeHtml(report.endedAt || 'still running')}
+    &middot; mode ${escapeHtml(report.mode)}
+    &middot; surfaces: ${escapeHtml(report.surfaces.join(', ') || 'none')}
+</p>
+<h2>${report.total} violation${report.total === 1 ? '' : 's'}</h2>
+${rules.length > 0 ? `<table>
+    <tr><th>Rule</th><th>Handbook</th><th>Count</th></tr>
+    ${rules.map(rule => {
+        const { handbook } = report.violations.find(v => v.rule === rule);
+        return `<tr><td class="rule">${escapeHtml(rule)}</td><td><a href="${escapeHtml(handbook.href)}">${escapeHtml(handbook.section || 'Sync Handbook')}</a></td><td>${report.byRule[rule]}</td></tr>`;
+    }).join('\n    ')}
+</table>` : ''}
+${report.violations.map(v => `<div class="violation">
+    <div><a class="rule" href="${escapeHtml(v.handbook.href)}">${escapeHtml(v.rule)}</a> ${escapeHtml(v.message)}</div>
+    <div class="meta">${escapeHtml(v.surface)} &middot; ${escapeHtml(v.timestamp)}</div>
+    <details><summary>Context</summary><pre>${escapeHtml(JSON.stringify(v.context, null, 2))}</pre></details>
+    <details><summary>Stack trace</summary><pre>${escapeHtml(v.stack)}</pre></details>
+</div>`).join('\n')}
+</body>
+</html>
+`;
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function describeTarget(data = {}) {
+        return data?.recordId || data?.setId || data?.fieldId || data?.viewId || data?.id || 'unknown';
+    }
+
+    function isDeletion(event) {
+        const action = event.payload?.action || '';
+        return action === 'tombstone' || action.endsWith(':delete');
+    }
+
+    /**
+     * Drop the guard and session frames so the trace starts at the caller
+     */
+    function trimStack(stack = '') {
+        return String(stack)
+            .split('\n')
+            .filter((line, i) => i > 0 && !/eo_guards\.js|eo_audit_session\.js/.test(line))
+            .map(line => line.trim())
+            .join('\n');
+    }
+
+    /**
+     * GitHub-style heading anchor
+     */
+    function slugify(heading) {
+        return heading.toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================================
+    // SINGLETON AND EXPORTS
+    // ============================================================================
+
+    let _sessionInstance = null;
+
+    function getSession() {
+        return _sessionInstance;
+    }
+
+    function startSession(options = {}) {
+        stopSession();
+        _sessionInstance = new EOAuditSession(options).start();
+        return _sessionInstance;
+    }
+
+    function stopSession() {
+        return _sessionInstance?.stop() || null;
+    }
+
+    /**
+     * Start a session, or stop the active one
+     * @returns {EOAuditSession} The started or stopped session
+     */
+    function toggleSession(options = {}) {
+        return _sessionInstance?.isActive() ? stopSession() : startSession(options);
+    }
+
+    const EOAuditSessionModule = {
+        // Classes
+        AuditSession: EOAuditSession,
+
+        // Constants
+        SURFACE,
+        HANDBOOK_SECTIONS,
+
+        // Singleton
+        getSession,
+        start: startSession,
+        stop: stopSession,
+        toggle: toggleSession
+    };
+
+    // Export to global scope
+    global.EOAuditSession = EOAuditSessionModule;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOAuditSessionModule;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,510 @@
+/**
+ * EO Branches
+ * Named branches of a workspace log for isolated, experimental work
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - a branch is its own event log, forked from a
+ *   prefix of main; branch state is derived from it like any other log
+ * - Rule 2: Merging moves the branch's events into main unmodified. With a
+ *   key ring, events whose signature does not verify are refused, as in sync
+ * - Rule 4: Merging goes through SyncSession.processReceivedEvents, so
+ *   cells edited on both sides since the fork surface as conflicts
+ *   instead of the later edit silently winning
+ * - Rule 8: Merging twice adds nothing
+ *
+ * Branch lifecycle is recorded in main as Given events:
+ *   'branch:create'  { name, forkEventId, forkClock, description }
+ *   'branch:merge'   { name, mergedEvents, heads, conflictCount }
+ * so every replica sees which branches exist and when they came back.
+ * The branch logs themselves stay on this replica until merged.
+ *
+ * Usage:
+ *   const branches = EOBranches.init(eventLog, { onConflict: (c) => inbox.record(c) });
+ *   branches.fork('cleanup', { actor: 'user_1' });
+ *   branches.append('cleanup', { type: 'given', actor: 'user_1', payload: {...} });
+ *
+ *   const preview = await branches.previewMerge('cleanup');  // { events, conflicts, diff }
+ *   await branches.merge('cleanup', { actor: 'user_1' });
+ */
+
+(function(global) {
+    'use strict';
+
+    const BRANCH_ACTION = {
+        CREATE: 'branch:create',
+        MERGE: 'branch:merge'
+    };
+
+    const BRANCH_STATUS = {
+        OPEN: 'open',
+        MERGED: 'merged'
+    };
+
+    const MAIN_BRANCH = 'main';
+    const STORAGE_VERSION = 1;
+
+    // ============================================================================
+    // CONFLICT FILTERING
+    // ============================================================================
+
+    /**
+     * Record and fields an event writes
+     * fields is null when the event touches the whole record (e.g. a toss).
+     */
+    function touchedCells(event) {
+        const payload = event.payload || {};
+        if (!payload.recordId) return null;
+
+        let fields = null;
+        if (payload.fieldName) {
+            fields = [payload.fieldName];
+        } else if (payload.updates) {
+            fields = Object.keys(payload.updates.fields || payload.updates);
+        }
+
+        return { recordId: payload.recordId, fields };
+    }
+
+    function touchSameCells(a, b) {
+        const cellsA = touchedCells(a);
+        const cellsB = touchedCells(b);
+        if (!cellsA || !cellsB || cellsA.recordId !== cellsB.recordId) return false;
+        if (!cellsA.fields || !cellsB.fields) return true;
+        return cellsA.fields.some(f => cellsB.fields.includes(f));
+    }
+
+    /**
+     * Why EventLog.append did not add an event
+     */
+    function appendFailure(result) {
+        if (result.parked) {
+            return `parked, waiting for ${(result.waitingFor || []).join(', ')}`;
+        }
+        return result.errors?.join(', ') || 'validation failed';
+    }
+
+    /**
+     * Narrow SyncSession's target-level conflicts to cells written on both sides
+     * Edits to different fields of the same record merge cleanly.
+     */
+    function cellConflicts(conflicts) {
+        return conflicts
+            .map(conflict => ({
+                ...conflict,
+                existingEvents: conflict.existingEvents.filter(e => touchSameCells(e, conflict.incomingEvent))
+            }))
+            .filter(conflict => conflict.existingEvents.length > 0);
+    }
+
+    // ============================================================================
+    // BRANCH MANAGER
+    // ============================================================================
+
+    class EOBranchManager {
+        constructor(mainLog, options = {}) {
+            this._mainLog = mainLog;
+            this._options = {
+                workspace: options.workspace || 'default',
+                nodeId: options.nodeId || null,
+                persistence: options.persistence || null,
+                keyRing: options.keyRing || null,
+                requireSignatures: options.requireSignatures !== false,
+                onConflict: options.onConflict || null,
+                onError: options.onError || null
+            };
+
+            // name -> { name, log, forkPoint, createdBy, createdAt, description }
+            this._branches = new Map();
+        }
+
+        // ========================================================================
+        // FORKING
+        // ========================================================================
+
+        /**
+         * Fork main into a new branch
+         * @param {string} name
+         * @param {Object} options - { actor, at (any point resolvePoint accepts), description }
+         * @returns {EOEventLog} The branch log
+         */
+        fork(name, options = {}) {
+            if (!name || name === MAIN_BRANCH) {
+                throw new Error(`Invalid branch name: ${name}`);
+            }
+            if (this._branches.has(name)) {
+                throw new Error(`Branch already exists: ${name}`);
+            }
+            if (!options.actor) {
+                throw new Error('RULE_1: Forking a branch requires an actor');
+            }
+
+            const forkPoint = getStateDerivation().resolvePoint(this._mainLog, options.at ?? null);
+
+            const result = this._mainLog.append({
+                type: 'given',
+                actor: options.actor,
+                parents: this._mainLog.getHeads(),
+                context: { workspace: this._options.workspace, schemaVersion: '1.0' },
+                payload: {
+                    action: BRANCH_ACTION.CREATE,
+                    name,
+                    forkEventId: forkPoint.eventId,
+                    forkClock: forkPoint.logicalClock,
+                    description: options.description || null
+                }
+            });
+            if (!result.success) {
+                throw new Error(`Could not record branch ${name}: ${appendFailure(result)}`);
+            }
+
+            const branch = {
+                name,
+                log: this._createLog(this._mainPrefix(forkPoint.logicalClock)),
+                forkPoint,
+                createdBy: options.actor,
+                createdAt: result.event.timestamp,
+                description: options.description || null
+            };
+            this._branches.set(name, branch);
+            this._persist();
+
+            return branch.log;
+        }
+
+        /**
+         * Append an event to a branch
+         * Parents default to the branch heads; the event is tagged with the
+         * branch it was made on.
+         */
+        append(name, eventData) {
+            const branch = this._require(name);
+            const result = branch.log.append({
+                ...eventData,
+                parents: eventData.parents || branch.log.getHeads(),
+                context: {
+                    workspace: this._options.workspace,
+                    schemaVersion: '1.0',
+                    ...eventData.context,
+                    branch: name
+                }
+            });
+
+            if (result.success && !result.duplicate) {
+                this._persist();
+            }
+            return result;
+        }
+
+        // ========================================================================
+        // QUERIES
+        // ========================================================================
+
+        /**
+         * Get a branch's event log (derive its state with EOStateDerivation.replay)
+         */
+        get(name) {
+            return this._branches.get(name)?.log || null;
+        }
+
+        has(name) {
+            return this._branches.has(name);
+        }
+
+        /**
+         * Describe every branch on this replica
+         */
+        list() {
+            return Array.from(this._branches.values()).map(branch => {
+                const ownEventCount = this.getOwnEvents(branch.name).length;
+                return {
+                    name: branch.name,
+                    // Work made after a merge reopens the branch
+                    status: ownEventCount > 0 ? BRANCH_STATUS.OPEN : this._statusInMain(branch.name),
+                    forkPoint: branch.forkPoint,
+                    createdBy: branch.createdBy,
+                    createdAt: branch.createdAt,
+                    description: branch.description,
+                    ownEventCount
+                };
+            });
+        }
+
+        /**
+         * Events made on the branch that main does not have yet
+         */
+        getOwnEvents(name) {
+            const branch = this._require(name);
+            return branch.log.getAll().filter(e => !this._mainLog.get(e.id));
+        }
+
+        // ========================================================================
+        // MERGING (Rule 4)
+        // ========================================================================
+
+        /**
+         * Show what merging a branch would do, without touching main
+         * The merge runs against a scratch copy of main.
+         * @returns {Promise<Object>} { name, events, conflicts, parked, rejected, diff }
+         */
+        async previewMerge(name) {
+            this._require(name);
+
+            const scratch = this._createLog(this._mainLog.export().events);
+            const mainClock = this._mainLog.getClock();
+            const results = await this._mergeInto(scratch, name);
+
+            return {
+                name,
+                events: results.accepted,
+                conflicts: results.conflicts,
+                parked: results.parked,
+                rejected: results.rejected,
+                diff: getStateDerivation().diff(scratch, mainClock, null)
+            };
+        }
+
+        /**
+         * Merge a branch into main
+         * Concurrent edits of the same cell are reported through onConflict
+         * (typically into the conflict inbox); both values stay in the log.
+         * @param {string} name
+         * @param {Object} options - { actor }
+         * @returns {Promise<Object>} { name, added, conflicts, parked, rejected, mergeEventId }
+         */
+        async merge(name, options = {}) {
+            this._require(name);
+            if (!options.actor) {
+                throw new Error('RULE_1: Merging a branch requires an actor');
+            }
+
+            const results = await this._mergeInto(this._mainLog, name);
+            let mergeEventId = null;
+
+            if (results.accepted.length > 0) {
+                const appendResult = this._mainLog.append({
+                    type: 'given',
+                    actor: options.actor,
+                    parents: this._mainLog.getHeads(),
+                    context: { workspace: this._options.workspace, schemaVersion: '1.0' },
+                    payload: {
+                        action: BRANCH_ACTION.MERGE,
+                        name,
+                        mergedEvents: results.accepted.length,
+                        heads: this._require(name).log.getHeads().sort(),
+                        conflictCount: results.conflicts.length
+                    }
+                });
+                mergeEventId = appendResult.event?.id || null;
+                this._persist();
+            }
+
+            if (results.conflicts.length > 0) {
+                this._options.onConflict?.(results.conflicts);
+            }
+
+            return {
+                name,
+                added: results.accepted,
+                conflicts: results.conflicts,
+                parked: results.parked,
+                rejected: results.rejected,
+                mergeEventId
+            };
+        }
+
+        /**
+         * Feed a branch's own events to a log through the sync receive path,
+         * signature check included
+         */
+        async _mergeInto(log, name) {
+            const branch = this._require(name);
+            const session = new (getSyncProtocol().SyncSession)(log, {
+                workspace: this._options.workspace,
+                nodeId: this._options.nodeId || undefined
+            });
+
+            // Only events the target lacks - a shared prefix event is not a
+            // conflict with itself
+            const incoming = branch.log.getAll().filter(e => !log.get(e.id));
+            const { verified, refused } = await getSyncProtocol().verifyReceived(
+                incoming, this._options.keyRing, this._options
+            );
+            const results = session.processReceivedEvents(verified);
+
+            return {
+                ...results,
+                rejected: [...refused, ...results.rejected],
+                conflicts: cellConflicts(results.conflicts)
+            };
+        }
+
+        // ========================================================================
+        // PERSISTENCE
+        // ========================================================================
+
+        /**
+         * Serializable form of every branch
+         * Only branch-own events are stored; the shared prefix is rebuilt from
+         * main on restore.
+         */
+        export() {
+            return {
+                version: STORAGE_VERSION,
+                branches: Array.from(this._branches.values()).map(branch => ({
+                    name: branch.name,
+                    forkPoint: branch.forkPoint,
+                    createdBy: branch.createdBy,
+                    createdAt: branch.createdAt,
+                    description: branch.description,
+                    events: this.getOwnEvents(branch.name)
+                }))
+            };
+        }
+
+        /**
+         * Rebuild branches from export()
+         * @returns {number} Branches restored
+         */
+        restore(data) {
+            if (!data || data.version !== STORAGE_VERSION) return 0;
+
+            let restored = 0;
+            for (const stored of data.branches || []) {
+                // The fork point must still be where main says it is
+                const forkEvent = stored.forkPoint.eventId ? this._mainLog.get(stored.forkPoint.eventId) : null;
+                if (stored.forkPoint.eventId && forkEvent?.logicalClock !== stored.forkPoint.logicalClock) {
+                    this._options.onError?.({ operation: 'restore', branch: stored.name, error: 'fork_point_not_in_log' });
+                    continue;
+                }
+
+                const prefix = this._mainPrefix(stored.forkPoint.logicalClock);
+                const prefixIds = new Set(prefix.map(e => e.id));
+                const own = stored.events.filter(e => !prefixIds.has(e.id));
+
+                this._branches.set(stored.name, {
+                    name: stored.name,
+                    log: this._createLog([...prefix, ...own]),
+                    forkPoint: stored.forkPoint,
+                    createdBy: stored.createdBy,
+                    createdAt: stored.createdAt,
+                    description: stored.description
+                });
+                restored++;
+            }
+
+            return restored;
+        }
+
+        /**
+         * Load branches saved by an earlier session
+         */
+        async load() {
+            const data = await this._options.persistence?.loadBranches();
+            return this.restore(data);
+        }
+
+        /**
+         * Stop persisting and reporting conflicts, once the workspace this
+         * manager belongs to is closed
+         */
+        detach() {
+            this._options.persistence = null;
+            this._options.onConflict = null;
+        }
+
+        _persist() {
+            if (!this._options.persistence) return;
+            this._options.persistence.saveBranches(this.export()).catch(err => {
+                this._options.onError?.({ operation: 'save', error: err.message });
+            });
+        }
+
+        // ========================================================================
+        // HELPERS
+        // ========================================================================
+
+        _require(name) {
+            const branch = this._branches.get(name);
+            if (!branch) {
+                throw new Error(`Unknown branch: ${name}`);
+            }
+            return branch;
+        }
+
+        _mainPrefix(logicalClock) {
+            return this._mainLog.getAll().filter(e => e.logicalClock <= logicalClock);
+        }
+
+        _createLog(events) {
+            const log = new this._mainLog.constructor();
+            log.import({ version: 1, events: events.map(e => ({ ...e })) });
+            return log;
+        }
+
+        _statusInMain(name) {
+            const merged = this._mainLog.getAll().some(e =>
+                e.payload?.action === BRANCH_ACTION.MERGE && e.payload.name === name
+            );
+            return merged ? BRANCH_STATUS.MERGED : BRANCH_STATUS.OPEN;
+        }
+    }
+
+    function getSyncProtocol() {
+        if (typeof EOSyncProtocol === 'undefined') {
+            throw new Error('EOSyncProtocol is required for branches');
+        }
+        return EOSyncProtocol;
+    }
+
+    function getStateDerivation() {
+        if (typeof EOStateDerivation === 'undefined') {
+            throw new Error('EOStateDerivation is required for branches');
+        }
+        return EOStateDerivation;
+    }
+
+    // ============================================================================
+    // SINGLETON INSTANCE
+    // ============================================================================
+
+    let _instance = null;
+
+    function getBranchManager() {
+        return _instance;
+    }
+
+    function initBranchManager(mainLog, options = {}) {
+        _instance = new EOBranchManager(mainLog, options);
+        return _instance;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOBranches = {
+        // Classes
+        BranchManager: EOBranchManager,
+
+        // Helpers
+        cellConflicts,
+
+        // Constants
+        BRANCH_ACTION,
+        BRANCH_STATUS,
+        MAIN_BRANCH,
+
+        // Singleton
+        get: getBranchManager,
+        init: initBranchManager
+    };
+
+    // Export to global scope
+    global.EOBranches = EOBranches;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOBranches;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,382 @@
+/**
+ * EO Bundle
+ * Portable .eobundle export and import of a workspace
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - a bundle carries events, never derived state;
+ *   the receiver derives its own state from them
+ * - Rule 2: Events travel unmodified - actor and origin preserved. With a
+ *   key ring, events whose signature does not verify are refused before
+ *   they reach the log, as in sync
+ * - Rule 4: Import goes through SyncSession.processReceivedEvents, so
+ *   concurrent edits surface as conflicts exactly as they do in sync
+ * - Rule 8: Importing the same bundle twice adds nothing
+ *
+ * Format (JSON, `.eobundle`):
+ *   {
+ *     format: 'eobundle',
+ *     version: 1,
+ *     manifest: { id, schemaVersion, scope, heads, vectorClock, eventCount,
+ *                 eventsHash, blobCount, boundary, exportedAt, exportedBy },
+ *     events: [...],       // Log order, parents before children
+ *     blobs: { ch_...: content },
+ *     recordRefs: { recordId: ContentRef }
+ *   }
+ *
+ * `boundary` lists parents referenced by bundled events but left out by the
+ * scope filter. Events waiting on them are parked on import, as in sync.
+ *
+ * Usage:
+ *   const bundle = EOBundle.exportBundle(eventLog, { workspace: 'default' });
+ *   EOBundle.download(bundle, 'tasks.eobundle');
+ *
+ *   const result = await EOBundle.importBundle(EOBundle.parse(text), eventLog, {
+ *       keyRing,
+ *       onConflict: (conflicts) => inbox.record(conflicts)
+ *   });
+ */
+
+(function(global) {
+    'use strict';
+
+    const BUNDLE_FORMAT = 'eobundle';
+    const BUNDLE_VERSION = 1;
+    const BUNDLE_SCHEMA_VERSION = '1.0';
+
+    // Content hashes produced by EOContentStore.hashContent()
+    const CONTENT_HASH_PATTERN = /^ch_[0-9a-f]{8}$/;
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    /**
+     * Build a bundle from the events in scope
+     * @param {EOEventLog} eventLog
+     * @param {Object} options - { workspace, frames, nodeId, contentStore }
+     * @returns {Object} Bundle
+     */
+    function exportBundle(eventLog, options = {}) {
+        const scope = {
+            workspace: options.workspace || 'default',
+            frames: options.frames || ['*']
+        };
+
+        // Same scope rules as a sync session
+        const session = new (getSyncProtocol().SyncSession)(eventLog, {
+            workspace: scope.workspace,
+            frames: scope.frames,
+            nodeId: options.nodeId
+        });
+        const events = session._getEventsInScope();
+
+        const ids = new Set(events.map(e => e.id));
+        const boundary = new Set();
+        const referenced = new Set();
+        const vectorClock = new (getSyncProtocol().VectorClock)(null);
+
+        for (const event of events) {
+            (event.parents || []).forEach(p => {
+                referenced.add(p);
+                if (!ids.has(p)) boundary.add(p);
+            });
+            vectorClock.merge({ [clockKey(event)]: event.logicalClock || 0 });
+        }
+
+        const heads = events.filter(e => !referenced.has(e.id)).map(e => e.id).sort();
+        const { blobs, recordRefs } = collectBlobs(events, options.contentStore || getContentStore());
+        const eventsHash = checksum(events.map(e => e.id).join(','));
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            manifest: {
+                id: `bnd_${checksum(heads.join(',') + '|' + eventsHash)}`,
+                schemaVersion: BUNDLE_SCHEMA_VERSION,
+                eventSchemaVersions: unique(events.map(e => e.context?.schemaVersion || '1.0')),
+                scope,
+                heads,
+                vectorClock: vectorClock.export(),
+                eventCount: events.length,
+                eventsHash,
+                blobCount: Object.keys(blobs).length,
+                boundary: [...boundary].sort(),
+                exportedAt: new Date().toISOString(),
+                exportedBy: options.nodeId || null
+            },
+            events,
+            blobs,
+            recordRefs
+        };
+    }
+
+    /**
+     * Gather content store blobs the bundled events refer to
+     * Either directly (a ch_ hash anywhere in a payload) or through the
+     * content reference of a record they touch.
+     */
+    function collectBlobs(events, contentStore) {
+        const blobs = {};
+        const recordRefs = {};
+        if (!contentStore) return { blobs, recordRefs };
+
+        const hashes = new Set();
+        const recordIds = new Set();
+
+        for (const event of events) {
+            walk(event.payload, (key, value) => {
+                if (typeof value !== 'string') return;
+                if (CONTENT_HASH_PATTERN.test(value)) hashes.add(value);
+                if (key === 'recordId' || key === 'record_id') recordIds.add(value);
+            });
+        }
+
+        for (const recordId of recordIds) {
+            const ref = contentStore.getRecordRef(recordId);
+            if (!ref) continue;
+            recordRefs[recordId] = ref;
+            refHashes(ref).forEach(h => hashes.add(h));
+        }
+
+        for (const hash of [...hashes].sort()) {
+            const content = contentStore.retrieve(hash);
+            if (content) blobs[hash] = content;
+        }
+
+        // Only keep record refs whose content travels with the bundle
+        for (const [recordId, ref] of Object.entries(recordRefs)) {
+            if (!refHashes(ref).every(h => h in blobs)) delete recordRefs[recordId];
+        }
+
+        return { blobs, recordRefs };
+    }
+
+    // ============================================================================
+    // IMPORT
+    // ============================================================================
+
+    /**
+     * Import a bundle through the sync receive path
+     * @param {Object} bundle - From exportBundle() or parse()
+     * @param {EOEventLog} eventLog
+     * @param {Object} options - { workspace, nodeId, contentStore, keyRing,
+     *                            requireSignatures, onConflict(conflicts) }
+     * @returns {Promise<Object>} { manifest, added, duplicates, rejected, refused,
+     *                             conflicts, parked, blobs }
+     */
+    async function importBundle(bundle, eventLog, options = {}) {
+        const { valid, reason } = validate(bundle);
+        if (!valid) {
+            throw new Error(`Invalid bundle: ${reason}`);
+        }
+
+        const { manifest } = bundle;
+
+        // Events keep their workspace (it is part of their identity), so the
+        // bundle must target the same one - as in SCOPE negotiation
+        if (options.workspace && options.workspace !== manifest.scope.workspace) {
+            throw new Error(`Invalid bundle: workspace_mismatch (${manifest.scope.workspace})`);
+        }
+
+        // Blobs first, so records hydrate once their events derive
+        const blobs = importBlobs(bundle, options.contentStore || getContentStore());
+
+        const session = new (getSyncProtocol().SyncSession)(eventLog, {
+            workspace: manifest.scope.workspace,
+            frames: manifest.scope.frames,
+            nodeId: options.nodeId
+        });
+
+        const { verified, refused } = await getSyncProtocol().verifyReceived(
+            bundle.events, options.keyRing, options
+        );
+        const results = session.processReceivedEvents(verified);
+        const duplicates = new Set(results.duplicates);
+
+        if (results.conflicts.length > 0) {
+            options.onConflict?.(results.conflicts);
+        }
+
+        return {
+            manifest,
+            added: results.accepted.filter(id => !duplicates.has(id)),
+            duplicates: duplicates.size,
+            rejected: [...refused, ...results.rejected],
+            refused,
+            conflicts: results.conflicts,
+            parked: results.parked,
+            blobs
+        };
+    }
+
+    /**
+     * Store blobs whose content matches their hash; refuse the rest
+     */
+    function importBlobs(bundle, contentStore) {
+        const result = { stored: 0, rejected: [], recordRefs: 0 };
+        if (!contentStore) return result;
+
+        for (const [hash, content] of Object.entries(bundle.blobs || {})) {
+            if (contentStore.hashContent(content) !== hash) {
+                result.rejected.push({ hash, reason: 'hash_mismatch' });
+                continue;
+            }
+            contentStore.store(content);
+            result.stored++;
+        }
+
+        const rejected = new Set(result.rejected.map(r => r.hash));
+        for (const [recordId, ref] of Object.entries(bundle.recordRefs || {})) {
+            if (refHashes(ref).some(h => rejected.has(h))) continue;
+            if (contentStore.restoreRecordRef(recordId, ref)) result.recordRefs++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a bundle's structure and manifest
+     * @returns {Object} { valid, reason }
+     */
+    function validate(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            return { valid: false, reason: 'not_a_bundle' };
+        }
+        if (bundle.version !== BUNDLE_VERSION) {
+            return { valid: false, reason: 'unsupported_version' };
+        }
+
+        const { manifest, events } = bundle;
+        if (!manifest?.scope?.workspace || !Array.isArray(events)) {
+            return { valid: false, reason: 'missing_manifest' };
+        }
+        if (manifest.eventCount !== events.length ||
+            manifest.eventsHash !== checksum(events.map(e => e.id).join(','))) {
+            return { valid: false, reason: 'events_do_not_match_manifest' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    // ============================================================================
+    // SERIALIZATION
+    // ============================================================================
+
+    function serialize(bundle) {
+        return JSON.stringify(bundle);
+    }
+
+    /**
+     * Parse .eobundle text
+     * @throws if the text is not a valid bundle
+     */
+    function parse(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid bundle: not_json');
+        }
+
+        const { valid, reason } = validate(bundle);
+        if (!valid) {
+            throw new Error(`Invalid bundle: ${reason}`);
+        }
+        return bundle;
+    }
+
+    /**
+     * Offer a bundle as a file download (browser)
+     */
+    function download(bundle, filename = `${bundle.manifest.scope.workspace}.eobundle`) {
+        const blob = new Blob([serialize(bundle)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function getSyncProtocol() {
+        if (typeof EOSyncProtocol === 'undefined') {
+            throw new Error('EOSyncProtocol is required for bundles');
+        }
+        return EOSyncProtocol;
+    }
+
+    function getContentStore() {
+        return typeof EOContentStore !== 'undefined' ? EOContentStore : null;
+    }
+
+    /**
+     * Vector clock entry for an event's origin
+     */
+    function clockKey(event) {
+        return event.context?.nodeId || event.context?.device || event.actor;
+    }
+
+    function refHashes(ref) {
+        if (ref?.type === 'direct') return [ref.contentHash];
+        if (ref?.type === 'delta') return [ref.baseHash, ref.deltaHash];
+        return [];
+    }
+
+    function walk(value, visit, key = null) {
+        visit(key, value);
+        if (Array.isArray(value)) {
+            value.forEach(v => walk(v, visit));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([k, v]) => walk(v, visit, k));
+        }
+    }
+
+    function checksum(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = (((hash << 5) + hash) + str.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    function unique(values) {
+        return [...new Set(values)];
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOBundle = {
+        // Export / import
+        exportBundle,
+        importBundle,
+        validate,
+
+        // Serialization
+        serialize,
+        parse,
+        download,
+
+        // Constants
+        BUNDLE_FORMAT,
+        BUNDLE_VERSION,
+        BUNDLE_SCHEMA_VERSION,
+        FILE_EXTENSION: '.eobundle'
+    };
+
+    // Export to global scope
+    global.EOBundle = EOBundle;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOBundle;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -75,6 +75,12 @@
             name: 'Revision Without Erasure',
             description: 'Deletion/correction represented as new events, not erasure',
             level: 'critical'
+        },
+        AUDIT_CHAIN: {
+            id: 'audit_chain',
+            name: 'Tamper-Evident Log',
+            description: 'In audit mode, every event commits to the Merkle root of the log up to it',
+            level: 'critical'
         }
     };
 
@@ -83,9 +89,10 @@
     // ============================================================================
 
     class EOComplianceChecker {
-        constructor(eventLog, stateDerivation = null) {
+        constructor(eventLog, stateDerivation = null, snapshotManager = null) {
             this._eventLog = eventLog;
             this._stateDerivation = stateDerivation;
+            this._snapshotManager = snapshotManager;
             this._results = new Map();
         }
 
@@ -131,6 +138,9 @@
             // Rule 9: Revision Without Erasure
             results.rules.rule_9 = this.checkRule9();
 
+            // Audit mode: re-verify the hash chain
+            results.rules.audit_chain = this.checkAuditChain();
+
             // Tally results
             for (const [ruleId, result] of Object.entries(results.rules)) {
                 if (result.status === 'pass') results.passed++;
@@ -453,13 +463,70 @@
                 });
             }
 
-            if (!hasDerivation) {
+            // Snapshots must equal a full replay of the log up to their clock
+            const snapshot = this._snapshotManager?.getLatest();
+            if (snapshot) {
+                const verification = this.verifySnapshot(snapshot);
+                result.checks.push({
+                    name: 'Snapshot matches full replay',
+                    passed: verification.matches,
+                    message: verification.matches
+                        ? `Snapshot ${snapshot.id} equals replay at clock ${snapshot.logicalClock}`
+                        : `Snapshot ${snapshot.id} differs from replay (${verification.reason})`
+                });
+
+                if (!verification.matches) {
+                    result.status = 'fail';
+                }
+            }
+
+            if (!hasDerivation && result.status === 'pass') {
                 result.status = 'warning';
             }
 
             return result;
         }
 
+        /**
+         * Verify that a snapshot equals a full replay of the log
+         * Replays the log as it stood at the snapshot's logical clock and
+         * compares content hashes of the encoded states.
+         *
+         * @returns {Object} { matches, reason, expectedHash, actualHash }
+         */
+        verifySnapshot(snapshot) {
+            if (typeof EOSnapshots === 'undefined' || typeof EOStateDerivation === 'undefined') {
+                return { matches: false, reason: 'snapshot_modules_unavailable' };
+            }
+
+            const actualHash = EOSnapshots.hashState(snapshot.state);
+            if (actualHash !== snapshot.stateHash) {
+                return {
+                    matches: false,
+                    reason: 'state_hash_mismatch',
+                    expectedHash: snapshot.stateHash,
+                    actualHash
+                };
+            }
+
+            // The events up to the snapshot may not be loaded yet
+            if (this._eventLog.isPartial?.()) {
+                return { matches: false, reason: 'history_not_loaded' };
+            }
+
+            const replayed = EOStateDerivation.replay(this._eventLog, {
+                upToClock: snapshot.logicalClock
+            });
+            const replayHash = EOSnapshots.hashState(EOSnapshots.encodeState(replayed));
+
+            return {
+                matches: replayHash === snapshot.stateHash,
+                reason: replayHash === snapshot.stateHash ? null : 'replay_mismatch',
+                expectedHash: replayHash,
+                actualHash: snapshot.stateHash
+            };
+        }
+
         /**
          * Rule 6: Operations, Not Snapshots
          */
@@ -516,6 +583,7 @@
             const events = this._eventLog.getAll();
             const failureEvents = events.filter(e =>
                 e.payload?.action === 'sync:failure' ||
+                e.payload?.action === 'sync:refused' ||
                 e.payload?.action === 'error:recorded'
             );
 
@@ -656,11 +724,109 @@
             return result;
         }
 
+        /**
+         * Audit chain: recompute every leaf and root from the events and
+         * report the first link that does not match
+         */
+        checkAuditChain() {
+            const result = {
+                rule: RULES.AUDIT_CHAIN,
+                checks: [],
+                status: 'pass'
+            };
+
+            if (!this._eventLog.isAudited?.()) {
+                result.checks.push({
+                    name: 'Audit mode',
+                    passed: true,
+                    message: 'Log is not in audit mode - nothing to verify'
+                });
+                return result;
+            }
+
+            if (typeof EOAuditChain === 'undefined') {
+                result.checks.push({
+                    name: 'Chain verified',
+                    passed: false,
+                    message: 'EOAuditChain not loaded'
+                });
+                result.status = 'fail';
+                return result;
+            }
+
+            const verification = EOAuditChain.verifyLog(this._eventLog.getAll());
+            const broken = verification.brokenAt;
+            result.brokenAt = broken;
+
+            result.checks.push({
+                name: 'Chain verified',
+                passed: verification.valid,
+                message: verification.valid
+                    ? `${verification.checked} events chain to root ${verification.root?.slice(0, 16) || '(empty)'}`
+                    : `First broken link at position ${broken.position} (${broken.eventId}): ${broken.reason}`
+            });
+
+            if (!verification.valid) {
+                result.status = 'fail';
+            }
+
+            return result;
+        }
+
+        /**
+         * Rules 2, 3, 4, 6, 8 exercised rather than inspected: random offline
+         * edits across simulated peers, synced in random order
+         * (eo_compliance_harness.js). Returns one result per rule, keyed like
+         * runFullAudit().rules, plus the shrunk counterexample if any.
+         *
+         * @param {Object} [options] - Passed to EOComplianceHarness.check
+         */
+        async checkProperties(options = {}) {
+            if (typeof EOComplianceHarness === 'undefined') {
+                return {
+                    rules: {},
+                    status: 'warning',
+                    message: 'EOComplianceHarness not loaded - property checks skipped',
+                    failure: null
+                };
+            }
+
+            const report = await EOComplianceHarness.check(options);
+            const rules = {};
+
+            for (const [property, ruleKey] of Object.entries(EOComplianceHarness.PROPERTY_RULES)) {
+                const rule = RULES[ruleKey];
+                const stats = report.properties[property];
+                const failed = report.failure?.property === property;
+
+                rules[rule.id] = {
+                    rule,
+                    checks: [{
+                        name: property,
+                        passed: !failed,
+                        message: failed
+                            ? `${report.failure.message} (seed ${report.failure.seed}, ` +
+                                `${report.failure.minimal.steps.length} steps after shrinking)`
+                            : `Held across ${stats.runs} random scenarios (seed ${report.seed})`
+                    }],
+                    status: failed ? 'fail' : 'pass'
+                };
+            }
+
+            return {
+                rules,
+                status: report.passed ? 'pass' : 'fail',
+                seed: report.seed,
+                runs: report.runs,
+                failure: report.failure
+            };
+        }
+
         /**
          * Calculate overall compliance level
          */
         _calculateComplianceLevel(results) {
-            const criticalFailed = ['axiom_0', 'rule_1', 'rule_8', 'rule_9']
+            const criticalFailed = ['axiom_0', 'rule_1', 'rule_8', 'rule_9', 'audit_chain']
                 .some(r => results.rules[r]?.status === 'fail');
 
             if (criticalFailed) {
@@ -760,17 +926,36 @@
             this._stateDerivation = null;
             this._persistence = null;
             this._syncEngine = null;
+            this._conflictInbox = null;
+            this._keyRing = null;
+            this._signers = new Map();
+            this._snapshots = null;
+            this._branches = null;
+            this._undo = null;
             this._legacyStateManager = null;
+            this._workspace = null;
+            this._options = {};
             this._initialized = false;
+            this._ready = null;
         }
 
         /**
          * Initialize the full compliant architecture
+         * With a snapshot in an event store, only the events after it are read
+         * before the state is derived; init then resolves and the history
+         * loads behind it. Sync, branches and undo start once it has (see
+         * whenReady).
          */
         async init(options = {}) {
-            // 1. Create event log
+            const workspace = options.workspace || 'default';
+            this._workspace = workspace;
+            this._options = { ...options, workspace };
+            this._initialized = false;
+
+            // 1. Create event log (hash-chained when auditChain is set)
             if (typeof EOEventLog !== 'undefined') {
                 this._eventLog = EOEventLog.init({
+                    auditChain: options.auditChain === true,
                     onAppend: (event) => this._onEventAppended(event),
                     onError: (error) => console.error('[EOBridge] Event error:', error)
                 });
@@ -778,43 +963,178 @@
 
             // 2. Create persistence layer
             if (typeof EOPersistence !== 'undefined') {
+                // Each workspace persists in its own namespace
                 this._persistence = EOPersistence.init({
                     backend: options.persistenceBackend || 'auto',
+                    directory: options.persistenceDirectory,
+                    namespace: workspace,
                     autoSave: true
                 });
+            }
+
+            // 3. Create snapshots, then the state derivation hydrated from the
+            //    newest one so only events after it are replayed
+            if (typeof EOSnapshots !== 'undefined') {
+                this._snapshots = EOSnapshots.init(this._eventLog, {
+                    persistence: this._persistence,
+                    interval: options.snapshotInterval,
+                    onError: (error) => console.warn('[EOBridge] Snapshot error:', error)
+                });
+            }
 
-                // Load existing events
-                const savedLog = await this._persistence.loadLog();
+            if (this._persistence) {
+                // Load existing events: with an intact snapshot only the tail
+                // after it (an audited log is always read whole)
+                const latest = !options.auditChain && typeof EOStateDerivation !== 'undefined'
+                    ? await this._snapshots?.loadLatestIntact()
+                    : null;
+                const savedLog = await this._persistence.loadLog(latest
+                    ? { since: latest.logicalClock, heads: latest.heads }
+                    : {});
                 if (savedLog) {
                     this._eventLog.import(savedLog);
                 }
 
                 // Connect for auto-persistence
                 await this._persistence.connect(this._eventLog);
+
+                // A tail the snapshot cannot be brought up to date with
+                // needs the whole log anyway
+                if (this._eventLog.isPartial() &&
+                    EOStateDerivation.snapshotIsStale(this._eventLog, latest.logicalClock)) {
+                    await this._loadHistory(latest);
+                }
+
+                if (this._eventLog.isPartial()) {
+                    this._deriveState(latest);
+                    this._ready = this._loadHistory(latest)
+                        .then(() => this._verifyHydration(latest))
+                        .then(() => this._initServices())
+                        .catch(error => console.error('[EOBridge] History load error:', error));
+                    return this;
+                }
+            }
+
+            this._deriveState(this._snapshots && await this._snapshots.loadLatestValid());
+
+            this._ready = this._initServices();
+            await this._ready;
+            return this;
+        }
+
+        /**
+         * Resolves once the history behind a tail-only load is in and the
+         * services that need the whole log have started
+         */
+        whenReady() {
+            return this._ready || Promise.resolve();
+        }
+
+        /**
+         * Create the state derivation, hydrated from a snapshot when given
+         */
+        _deriveState(latest) {
+            if (typeof EOStateDerivation === 'undefined') return;
+
+            const snapshot = latest ? this._snapshots.restore(latest) : null;
+            this._stateDerivation = EOStateDerivation.init(this._eventLog, { snapshot });
+            this._snapshots?.attach(this._stateDerivation);
+        }
+
+        /**
+         * Read the events a tail-only load left out into the log
+         */
+        async _loadHistory(latest) {
+            const history = await this._persistence.loadHistory(latest.logicalClock);
+            const result = this._eventLog.importHistory(history);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        }
+
+        /**
+         * With the whole log in, check the snapshot the state was hydrated
+         * from still holds for it, and derive from the log if not
+         */
+        _verifyHydration(latest) {
+            const { valid, reason } = this._snapshots.verify(latest);
+            if (!valid) {
+                console.warn('[EOBridge] Snapshot does not match the log:', reason);
+            }
+            if (!valid || EOStateDerivation.snapshotIsStale(this._eventLog, latest.logicalClock)) {
+                this._stateDerivation.rebuild();
+            }
+        }
+
+        /**
+         * Steps 4 to 8 need the whole log
+         */
+        async _initServices() {
+            const options = this._options;
+            const workspace = this._workspace;
+
+            // 4. Create conflict inbox (before sync, which feeds it)
+            if (typeof EOConflictResolution !== 'undefined') {
+                this._conflictInbox = EOConflictResolution.init(this._eventLog, {
+                    workspace: workspace
+                });
             }
 
-            // 3. Create state derivation
-            if (typeof EOStateDerivation !== 'undefined') {
-                this._stateDerivation = EOStateDerivation.init(this._eventLog);
+            // 5. Create sync engine
+            //    With requireSignatures, received events must verify against
+            //    the keys registered in the log (Rule 2). Bundle imports and
+            //    branch merges check against the same key ring.
+            this._keyRing = options.keyRing || null;
+            if (!this._keyRing && options.requireSignatures && typeof EOSigning !== 'undefined') {
+                this._keyRing = new EOSigning.KeyRing();
+                await this._keyRing.loadFromLog(this._eventLog);
+            }
+
+            //    Local actions are signed with their actor's key (see addSigner)
+            this._signers = new Map();
+            for (const signer of options.signers || []) {
+                await this.addSigner(signer);
             }
 
-            // 4. Create sync engine
             if (typeof EOSyncProtocol !== 'undefined') {
                 this._syncEngine = EOSyncProtocol.initEngine(this._eventLog, {
-                    workspace: options.workspace || 'default',
+                    workspace: workspace,
+                    scope: options.syncScope,
                     nodeId: options.nodeId,
+                    keyRing: this._keyRing,
                     onConflict: (conflicts) => this._onConflicts(conflicts)
                 });
             }
 
-            // 5. Bridge to legacy state manager if it exists
+            // 6. Restore branches forked in earlier sessions; merge conflicts
+            //    land in the conflict inbox like sync conflicts
+            if (typeof EOBranches !== 'undefined') {
+                const { nodeId } = this._syncEngine?.getStatus() || {};
+                this._branches = EOBranches.init(this._eventLog, {
+                    workspace: workspace,
+                    nodeId,
+                    persistence: this._persistence,
+                    keyRing: this._keyRing,
+                    onConflict: (conflicts) => this._onConflicts(conflicts),
+                    onError: (error) => console.warn('[EOBridge] Branch error:', error)
+                });
+                await this._branches.load();
+            }
+
+            // 7. Undo and redo, derived per actor from the log
+            if (typeof EOUndo !== 'undefined') {
+                this._undo = EOUndo.init(this._eventLog, {
+                    workspace: workspace
+                });
+            }
+
+            // 8. Bridge to legacy state manager if it exists
             if (typeof EOState !== 'undefined') {
                 this._legacyStateManager = EOState.getManager();
                 this._bridgeLegacyState();
             }
 
             this._initialized = true;
-            return this;
         }
 
         /**
@@ -845,25 +1165,38 @@
          * Handle conflicts detected during sync
          */
         _onConflicts(conflicts) {
-            console.warn('[EOBridge] Conflicts detected:', conflicts.length);
-            // Could emit to UI or event bus
+            // Record in the log so they show up in the conflict inbox (Rule 4)
+            const recorded = this._conflictInbox?.record(conflicts) || [];
+            if (recorded.length > 0) {
+                console.warn('[EOBridge] Conflicts detected:', recorded.length);
+            }
         }
 
         /**
          * Dispatch an action through the event log
-         * This is the primary way to make changes in the compliant architecture
+         * This is the primary way to make changes in the compliant architecture.
+         * The event is signed when the bridge holds a key for the actor; with
+         * requireSignatures an actor without one cannot dispatch (Rule 2).
+         * Waits for a history load, which brings in the signers.
+         * @returns {Promise<Object>} The event log's append result
          */
-        dispatch(action, actor, context = {}) {
+        async dispatch(action, actor, context = {}) {
             if (!this._eventLog) {
                 throw new Error('Bridge not initialized');
             }
+            await this._ready;
+
+            const signer = this._signers.get(actor);
+            if (!signer && this._options.requireSignatures) {
+                throw new Error(`RULE_2: No signing key for ${actor} (see addSigner)`);
+            }
 
-            return this._eventLog.append({
+            const eventData = {
                 type: action.type || 'given',
                 actor,
                 parents: this._eventLog.getHeads(),
                 context: {
-                    workspace: context.workspace || 'default',
+                    workspace: context.workspace || this._workspace || 'default',
                     schemaVersion: '1.0',
                     ...context
                 },
@@ -872,7 +1205,87 @@
                     frame: action.frame,
                     provenance: action.provenance
                 } : {})
-            });
+            };
+
+            return this._eventLog.append(signer ? await signer.sign(eventData) : eventData);
+        }
+
+        /**
+         * Sign the actor's dispatched actions with this EOSigning.EventSigner
+         * Publishes its key in a 'key:register' event unless the log already
+         * holds one. A second key for an actor must be registered with a key
+         * the actor already holds (options.rotateWith).
+         * @returns {Promise<string>} keyId
+         */
+        async addSigner(signer, options = {}) {
+            if (!this._eventLog) {
+                throw new Error('Bridge not initialized');
+            }
+
+            const registered = this._eventLog.getAll().some(e =>
+                e.actor === signer.actor &&
+                e.payload?.action === EOSigning.KEY_REGISTER_ACTION &&
+                e.payload.keyId === signer.keyId
+            );
+
+            if (!registered) {
+                const registration = await signer.registrationEvent(
+                    this._eventLog.getHeads(),
+                    { workspace: this._workspace },
+                    options.rotateWith || null
+                );
+
+                if (this._keyRing) {
+                    const { refused } = await this._keyRing.verifyAll([registration]);
+                    if (refused.length > 0) {
+                        throw new Error(`RULE_2: Key ${signer.keyId} cannot be registered to ${signer.actor} (${refused[0].reason})`);
+                    }
+                }
+
+                const result = this._eventLog.append(registration);
+                if (!result.success) {
+                    throw new Error(`Could not register key ${signer.keyId}: ${result.errors?.join(', ') || 'validation failed'}`);
+                }
+            }
+
+            this._signers.set(signer.actor, signer);
+            return signer.keyId;
+        }
+
+        /**
+         * Workspace the bridge is running on
+         */
+        getWorkspace() {
+            return this._workspace;
+        }
+
+        /**
+         * Switch to another workspace
+         * Stops live sync, snapshots and writes to this workspace's storage,
+         * then initializes every layer again on the other one (its own log,
+         * persistence namespace, derivation and sync scope). Nothing is
+         * carried across.
+         */
+        async switchWorkspace(workspace, options = {}) {
+            if (!workspace) {
+                throw new Error('A workspace name is required');
+            }
+            // Let a history load finish before its log is torn down
+            await this._ready;
+            if (workspace === this._workspace && this._initialized) {
+                return this;
+            }
+
+            // The old engine would otherwise keep pushing its log to peers
+            this._syncEngine?.stopLive();
+            this._snapshots?.detach();
+            this._branches?.detach();
+
+            await this._persistence?.saveLog();
+            this._persistence?.disconnect();
+            this._stateDerivation?.destroy?.();
+
+            return this.init({ ...this._options, ...options, workspace });
         }
 
         /**
@@ -889,11 +1302,66 @@
             return this._eventLog;
         }
 
+        /**
+         * Get the conflict inbox
+         */
+        getConflictInbox() {
+            return this._conflictInbox;
+        }
+
+        /**
+         * Get the branch manager
+         */
+        getBranches() {
+            return this._branches;
+        }
+
+        /**
+         * Undo the actor's latest edit (or options.eventId) with a compensating event
+         */
+        undo(actor, options = {}) {
+            if (!this._undo) {
+                throw new Error('Bridge not initialized with EOUndo');
+            }
+            return this._undo.undo(actor, options);
+        }
+
+        /**
+         * Redo the actor's latest undo
+         */
+        redo(actor, options = {}) {
+            if (!this._undo) {
+                throw new Error('Bridge not initialized with EOUndo');
+            }
+            return this._undo.redo(actor, options);
+        }
+
+        /**
+         * Export the workspace (or a frame-filtered part of it) as a bundle
+         */
+        exportBundle(options = {}) {
+            const { workspace, nodeId } = this._syncEngine?.getStatus() || {};
+            return EOBundle.exportBundle(this._eventLog, { workspace, nodeId, ...options });
+        }
+
+        /**
+         * Import a bundle; conflicts land in the conflict inbox as with sync
+         */
+        importBundle(bundle) {
+            const { workspace, nodeId } = this._syncEngine?.getStatus() || {};
+            return EOBundle.importBundle(bundle, this._eventLog, {
+                workspace,
+                nodeId,
+                keyRing: this._keyRing,
+                onConflict: (conflicts) => this._onConflicts(conflicts)
+            });
+        }
+
         /**
          * Get compliance checker
          */
         getComplianceChecker() {
-            return new EOComplianceChecker(this._eventLog, this._stateDerivation);
+            return new EOComplianceChecker(this._eventLog, this._stateDerivation, this._snapshots);
         }
 
         /**
@@ -910,10 +1378,15 @@
         getStatus() {
             return {
                 initialized: this._initialized,
+                workspace: this._workspace,
                 hasEventLog: this._eventLog !== null,
                 hasStateDerivation: this._stateDerivation !== null,
                 hasPersistence: this._persistence !== null,
                 hasSyncEngine: this._syncEngine !== null,
+                hasConflictInbox: this._conflictInbox !== null,
+                hasSnapshots: this._snapshots !== null,
+                hasBranches: this._branches !== null,
+                hasUndo: this._undo !== null,
                 hasLegacyBridge: this._legacyStateManager !== null,
                 eventCount: this._eventLog?.getAll().length || 0
             };
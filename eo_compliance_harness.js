@@ -0,0 +1,674 @@
+/**
+ * EO Compliance Harness
+ * Property-based checks of the sync handbook rules
+ *
+ * Generates random interleavings of offline edits across N simulated
+ * peers, each with its own EventLog, SyncEngine and ConflictInbox, and
+ * syncs them in random order through an in-memory wire until nothing new
+ * moves. Then asserts:
+ * - offline_capture     every edit was recorded with no peer reachable (Rule 3)
+ * - actors_preserved    every copy of an event keeps its author's actor (Rule 2)
+ * - conflicts_recorded  every concurrent pair of edits to a record has a
+ *                       conflict:detected event naming both (Rule 4)
+ * - convergence         every peer holds the same events and derives the
+ *                       same state (Rule 6)
+ * - idempotent_replay   syncing again, or re-appending every event,
+ *                       changes nothing (Rule 8)
+ *
+ * A failing case is shrunk to a minimal sequence of steps before it is
+ * reported. Runs are seeded, so a reported seed replays the same case.
+ *
+ * Usage:
+ *   const report = await EOComplianceHarness.check({ runs: 50, peers: 3, seed: 7 });
+ *   if (!report.passed) console.log(report.failure.trace.join('\n'));
+ *
+ * @see SYNC_HANDBOOK.md - Compliance Checking
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    const PROPERTY = {
+        OFFLINE_CAPTURE: 'offline_capture',
+        ACTORS_PRESERVED: 'actors_preserved',
+        CONFLICTS_RECORDED: 'conflicts_recorded',
+        CONVERGENCE: 'convergence',
+        IDEMPOTENT_REPLAY: 'idempotent_replay'
+    };
+
+    // Handbook rule each property exercises (keys of EOCompliance.RULES)
+    const PROPERTY_RULES = {
+        [PROPERTY.OFFLINE_CAPTURE]: 'RULE_3',
+        [PROPERTY.ACTORS_PRESERVED]: 'RULE_2',
+        [PROPERTY.CONFLICTS_RECORDED]: 'RULE_4',
+        [PROPERTY.CONVERGENCE]: 'RULE_6',
+        [PROPERTY.IDEMPOTENT_REPLAY]: 'RULE_8'
+    };
+
+    const STEP = {
+        EDIT: 'edit',
+        SYNC: 'sync'
+    };
+
+    const DEFAULTS = {
+        runs: 25,
+        peers: 3,
+        steps: 12,
+        records: 2,
+        fields: ['status', 'amount'],
+        syncRatio: 0.3,
+        workspace: 'harness'
+    };
+
+    const SET_ID = 'set_harness';
+
+    // Each peer records the outcome of every sync it runs (Rule 7). Those
+    // records are bookkeeping about the exchange, not content it carries,
+    // so they are left out when deciding whether peers have settled.
+    const SYNC_RECORD_ACTIONS = new Set(['sync:success', 'sync:failure', 'sync:refused']);
+
+    // ============================================================================
+    // SEEDED RANDOM
+    // ============================================================================
+
+    /**
+     * Deterministic random source (mulberry32)
+     */
+    function createRandom(seed) {
+        let a = seed >>> 0;
+
+        const next = () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        return {
+            seed,
+            next,
+            int: (n) => Math.floor(next() * n),
+            pick: (items) => items[Math.floor(next() * items.length)],
+            shuffle: (items) => {
+                const copy = [...items];
+                for (let i = copy.length - 1; i > 0; i--) {
+                    const j = Math.floor(next() * (i + 1));
+                    [copy[i], copy[j]] = [copy[j], copy[i]];
+                }
+                return copy;
+            }
+        };
+    }
+
+    // ============================================================================
+    // SCENARIOS
+    // ============================================================================
+
+    /**
+     * A random case: offline edits interleaved with syncs between two peers,
+     * and the order in which every pair of peers syncs afterwards
+     *
+     * @returns {Object} { peers, records, steps, settleOrder }
+     */
+    function generateScenario(random, options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        const peers = Array.from({ length: Math.max(2, config.peers) }, (_, i) => `peer_${i}`);
+        const records = Array.from({ length: Math.max(1, config.records) }, (_, i) => `rec_${i}`);
+        const steps = [];
+
+        for (let i = 0; i < config.steps; i++) {
+            if (random.next() < config.syncRatio) {
+                const [from, to] = random.shuffle(peers);
+                steps.push({ op: STEP.SYNC, from, to });
+            } else {
+                steps.push({
+                    op: STEP.EDIT,
+                    peer: random.pick(peers),
+                    recordId: random.pick(records),
+                    fieldName: random.pick(config.fields),
+                    value: `v${i}`
+                });
+            }
+        }
+
+        const pairs = [];
+        peers.forEach((a, i) => peers.slice(i + 1).forEach(b => {
+            pairs.push(random.next() < 0.5 ? [a, b] : [b, a]);
+        }));
+
+        return { peers, records, steps, settleOrder: random.shuffle(pairs) };
+    }
+
+    function describeStep(step) {
+        if (step.op === STEP.SYNC) {
+            return `${step.from} syncs with ${step.to}`;
+        }
+        return `${step.peer} edits ${step.recordId}.${step.fieldName} = ${JSON.stringify(step.value)} offline`;
+    }
+
+    // ============================================================================
+    // SIMULATED PEERS
+    // ============================================================================
+
+    class SimulatedPeer {
+        constructor(id, options) {
+            const { EventLog } = getEventLogModule();
+            const { SyncEngine } = getSyncProtocol();
+            const { ConflictInbox } = getConflictResolution();
+
+            this.id = id;
+            this.user = `user_${id}`;
+            this.workspace = options.workspace;
+            this.log = new EventLog();
+            this.inbox = new ConflictInbox(this.log, { workspace: options.workspace });
+            this.engine = new SyncEngine(this.log, {
+                nodeId: id,
+                workspace: options.workspace,
+                retryAttempts: 1,
+                retryBaseDelay: 1,
+                requireSignatures: false,
+                // Rule 4: conflicts go to the inbox, which records them in the log
+                onConflict: (conflicts) => this.inbox.record(conflicts)
+            });
+        }
+
+        /**
+         * Edit a cell with no peer reachable
+         */
+        edit(step) {
+            return this.log.append({
+                type: 'given',
+                actor: this.user,
+                parents: this.log.getHeads(),
+                context: { workspace: this.workspace, nodeId: this.id },
+                payload: {
+                    action: 'cell:edit',
+                    setId: SET_ID,
+                    recordId: step.recordId,
+                    fieldName: step.fieldName,
+                    value: step.value
+                }
+            });
+        }
+
+        /**
+         * In-memory wire to another peer; messages are copied as if serialized
+         */
+        transportTo(remote, relay) {
+            const copy = (message) => JSON.parse(JSON.stringify(message));
+            return {
+                send: async (message) => {
+                    const request = relay(copy(message), { from: this.id, to: remote.id });
+                    const reply = await remote.engine.handleMessage(request, this.id);
+                    return relay(copy(reply), { from: remote.id, to: this.id });
+                }
+            };
+        }
+    }
+
+    /**
+     * Peers plus what happened to them while a scenario ran
+     */
+    class World {
+        constructor(scenario, options) {
+            this.options = options;
+            this.peers = new Map(scenario.peers.map(id => [id, new SimulatedPeer(id, options)]));
+            this.origins = new Map();
+            this.editResults = [];
+            this.syncErrors = [];
+            this.settled = true;
+            this.replay = null;
+
+            // First sighting of an event is where it was authored
+            for (const peer of this.peers.values()) {
+                peer.log.subscribe(event => {
+                    if (!this.origins.has(event.id)) {
+                        this.origins.set(event.id, { peer: peer.id, actor: event.actor });
+                    }
+                });
+            }
+        }
+
+        peer(id) {
+            return this.peers.get(id);
+        }
+
+        async sync(fromId, toId) {
+            const from = this.peer(fromId);
+            const to = this.peer(toId);
+            try {
+                await from.engine.syncWith(from.transportTo(to, this.options.relay), toId);
+            } catch (err) {
+                this.syncErrors.push({ from: fromId, to: toId, error: err.message });
+            }
+        }
+
+        totalEvents() {
+            let total = 0;
+            this.peers.forEach(p => { total += contentEvents(p.log).length; });
+            return total;
+        }
+    }
+
+    // ============================================================================
+    // RUNNING A SCENARIO
+    // ============================================================================
+
+    /**
+     * Run one scenario and check every property
+     *
+     * @returns {Object} { passed, failures: [{ property, rule, message }], world }
+     */
+    async function runScenario(scenario, options = {}) {
+        const config = { ...DEFAULTS, relay: (message) => message, ...options };
+        const world = new World(scenario, config);
+        const [first] = scenario.peers;
+
+        // Shared starting point: one set holding every record, on every peer
+        world.peer(first).log.append({
+            type: 'given',
+            actor: world.peer(first).user,
+            parents: [],
+            context: { workspace: config.workspace, nodeId: first },
+            payload: {
+                action: 'set:create',
+                setId: SET_ID,
+                name: 'Harness',
+                records: scenario.records.map(id => ({ record_id: id, fields: {} }))
+            }
+        });
+        for (const id of scenario.peers.slice(1)) {
+            await world.sync(id, first);
+        }
+
+        for (const step of scenario.steps) {
+            if (step.op === STEP.EDIT) {
+                world.editResults.push({ step, result: world.peer(step.peer).edit(step) });
+            } else {
+                await world.sync(step.from, step.to);
+            }
+        }
+
+        // Sync every pair, in the scenario's order, until nothing moves
+        const maxRounds = scenario.peers.length * 2 + 2;
+        let before = -1;
+        let rounds = 0;
+        while (before !== world.totalEvents() && rounds < maxRounds) {
+            before = world.totalEvents();
+            for (const [a, b] of scenario.settleOrder) {
+                await world.sync(a, b);
+            }
+            rounds++;
+        }
+        world.settled = before === world.totalEvents();
+
+        // Rule 8: one more round, and every event appended again, change nothing
+        const countBefore = world.totalEvents();
+        const fingerprintsBefore = scenario.peers.map(id => fingerprint(world.peer(id).log));
+        for (const [a, b] of scenario.settleOrder) {
+            await world.sync(a, b);
+        }
+        const reappended = [];
+        for (const peer of world.peers.values()) {
+            for (const event of contentEvents(world.peer(first).log)) {
+                const result = peer.log.append(event);
+                if (result.success && !result.duplicate) reappended.push({ peer: peer.id, id: event.id });
+            }
+        }
+        world.replay = {
+            added: world.totalEvents() - countBefore,
+            reappended,
+            stateChanged: scenario.peers.filter((id, i) => fingerprint(world.peer(id).log) !== fingerprintsBefore[i])
+        };
+
+        const failures = [];
+        for (const [property, checkProperty] of Object.entries(PROPERTY_CHECKS)) {
+            const message = checkProperty(world, scenario);
+            if (message) {
+                failures.push({ property, rule: PROPERTY_RULES[property], message });
+            }
+        }
+
+        return { passed: failures.length === 0, failures, world };
+    }
+
+    // ============================================================================
+    // PROPERTIES
+    // ============================================================================
+
+    const PROPERTY_CHECKS = {
+        [PROPERTY.OFFLINE_CAPTURE]: (world) => {
+            const refused = world.editResults.find(r => !r.result.success);
+            return refused
+                ? `Offline edit refused: ${describeStep(refused.step)} (${(refused.result.errors || []).join(', ')})`
+                : null;
+        },
+
+        [PROPERTY.ACTORS_PRESERVED]: (world) => {
+            for (const peer of world.peers.values()) {
+                for (const event of peer.log.getAll()) {
+                    const origin = world.origins.get(event.id);
+                    if (!event.actor) {
+                        return `${event.id} reached ${peer.id} without an actor`;
+                    }
+                    if (origin && event.actor !== origin.actor) {
+                        return `${event.id} was authored by ${origin.actor} on ${origin.peer} ` +
+                            `but reached ${peer.id} as ${event.actor}`;
+                    }
+                }
+            }
+            return null;
+        },
+
+        [PROPERTY.CONFLICTS_RECORDED]: (world) => {
+            const logs = Array.from(world.peers.values()).map(p => p.log);
+            const events = new Map();
+            logs.forEach(log => log.getAll().forEach(e => events.set(e.id, e)));
+
+            const detected = Array.from(events.values())
+                .filter(e => e.payload?.action === 'conflict:detected')
+                .map(e => new Set(e.payload.events));
+            const edits = Array.from(events.values())
+                .filter(e => e.payload?.action === 'cell:edit');
+
+            for (let i = 0; i < edits.length; i++) {
+                for (let j = i + 1; j < edits.length; j++) {
+                    const [a, b] = [edits[i], edits[j]];
+                    if (a.payload.recordId !== b.payload.recordId) continue;
+                    if (isAncestor(events, a.id, b) || isAncestor(events, b.id, a)) continue;
+
+                    if (!detected.some(ids => ids.has(a.id) && ids.has(b.id))) {
+                        return `Concurrent edits of ${a.payload.recordId} by ${a.actor} (${a.payload.fieldName} = ` +
+                            `${JSON.stringify(a.payload.value)}) and ${b.actor} (${b.payload.fieldName} = ` +
+                            `${JSON.stringify(b.payload.value)}) have no recorded conflict`;
+                    }
+                }
+            }
+            return null;
+        },
+
+        [PROPERTY.CONVERGENCE]: (world, scenario) => {
+            if (world.syncErrors.length > 0) {
+                const { from, to, error } = world.syncErrors[0];
+                return `Sync from ${from} to ${to} failed: ${error}`;
+            }
+            if (!world.settled) {
+                return 'Peers were still exchanging events after every pair had synced repeatedly';
+            }
+
+            const [first, ...rest] = scenario.peers.map(id => world.peer(id));
+            const ids = (peer) => contentEvents(peer.log).map(e => e.id).sort().join(',');
+            const expected = fingerprint(first.log);
+
+            for (const peer of rest) {
+                if (ids(peer) !== ids(first)) {
+                    const missing = contentEvents(first.log).filter(e => !peer.log.get(e.id)).length;
+                    const extra = contentEvents(peer.log).filter(e => !first.log.get(e.id)).length;
+                    return `${peer.id} holds different events from ${first.id} (${missing} missing, ${extra} extra)`;
+                }
+                const actual = fingerprint(peer.log);
+                if (actual !== expected) {
+                    return `${peer.id} derives different state from ${first.id}: ${firstDifference(expected, actual)}`;
+                }
+            }
+            return null;
+        },
+
+        [PROPERTY.IDEMPOTENT_REPLAY]: (world) => {
+            const { added, reappended, stateChanged } = world.replay;
+            if (added > 0) return `Syncing converged peers again appended ${added} events`;
+            if (reappended.length > 0) {
+                return `Re-appending ${reappended[0].id} on ${reappended[0].peer} created a new entry`;
+            }
+            if (stateChanged.length > 0) return `Replay changed the derived state of ${stateChanged.join(', ')}`;
+            return null;
+        }
+    };
+
+    function contentEvents(log) {
+        return log.getAll().filter(e => !SYNC_RECORD_ACTIONS.has(e.payload?.action));
+    }
+
+    function isAncestor(events, ancestorId, event) {
+        const visited = new Set();
+        const queue = [...(event.parents || [])];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === ancestorId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            queue.push(...(events.get(id)?.parents || []));
+        }
+        return false;
+    }
+
+    /**
+     * Cell values of every record, canonicalized for comparison
+     */
+    function fingerprint(log) {
+        const state = getStateDerivation().replay(log);
+        const cells = {};
+
+        for (const [setId, set] of state.sets) {
+            for (const [recordId, record] of set.records) {
+                cells[`${setId}/${recordId}`] = record.fields || {};
+            }
+        }
+        return getEventLogModule().canonicalize(cells);
+    }
+
+    function firstDifference(expected, actual) {
+        const left = JSON.parse(expected);
+        const right = JSON.parse(actual);
+
+        for (const key of new Set([...Object.keys(left), ...Object.keys(right)])) {
+            const a = left[key] || {};
+            const b = right[key] || {};
+            for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+                    return `${key}.${field} is ${JSON.stringify(a[field])} vs ${JSON.stringify(b[field])}`;
+                }
+            }
+        }
+        return 'record sets differ';
+    }
+
+    // ============================================================================
+    // SHRINKING
+    // ============================================================================
+
+    /**
+     * Smallest scenario that still fails the given property
+     * Removes chunks of steps, halving the chunk size down to single steps
+     * (delta debugging), then drops peers no remaining step mentions.
+     *
+     * @returns {Object} { scenario, attempts }
+     */
+    async function shrink(scenario, property, options = {}) {
+        let attempts = 0;
+        const fails = async (candidate) => {
+            attempts++;
+            const result = await runScenario(candidate, options);
+            return result.failures.some(f => f.property === property);
+        };
+
+        let steps = scenario.steps;
+        if (steps.length > 0 && await fails({ ...scenario, steps: [] })) {
+            steps = [];
+        }
+
+        let chunks = 2;
+        while (steps.length > 0) {
+            const size = Math.ceil(steps.length / chunks);
+            let reduced = false;
+
+            for (let start = 0; start < steps.length; start += size) {
+                const candidate = [...steps.slice(0, start), ...steps.slice(start + size)];
+                if (await fails({ ...scenario, steps: candidate })) {
+                    steps = candidate;
+                    chunks = Math.max(chunks - 1, 2);
+                    reduced = true;
+                    break;
+                }
+            }
+
+            if (!reduced) {
+                if (size === 1) break;
+                chunks = Math.min(chunks * 2, steps.length);
+            }
+        }
+
+        let minimal = { ...scenario, steps };
+
+        const used = new Set([scenario.peers[0]]);
+        steps.forEach(s => [s.peer, s.from, s.to].filter(Boolean).forEach(p => used.add(p)));
+        if (used.size >= 2 && used.size < scenario.peers.length) {
+            const fewer = {
+                ...minimal,
+                peers: scenario.peers.filter(p => used.has(p)),
+                settleOrder: scenario.settleOrder.filter(([a, b]) => used.has(a) && used.has(b))
+            };
+            if (await fails(fewer)) minimal = fewer;
+        }
+
+        return { scenario: minimal, attempts };
+    }
+
+    // ============================================================================
+    // CHECKING
+    // ============================================================================
+
+    /**
+     * Run random scenarios until one fails or all pass
+     *
+     * @param {Object} [options]
+     * @param {number} [options.runs=25]
+     * @param {number} [options.seed] - Run i uses seed + i
+     * @param {number} [options.peers=3]
+     * @param {number} [options.steps=12] - Edits and syncs per scenario
+     * @param {Function} [options.relay] - (message, { from, to }) => message,
+     *   applied to everything on the wire (fault injection)
+     * @returns {Object} report
+     */
+    async function check(options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        const seed = options.seed ?? (Date.now() % 2147483647);
+        const properties = Object.fromEntries(Object.values(PROPERTY).map(p => [p, { runs: 0, failed: 0 }]));
+
+        for (let run = 0; run < config.runs; run++) {
+            const scenario = generateScenario(createRandom(seed + run), config);
+            const result = await runScenario(scenario, config);
+
+            Object.values(properties).forEach(p => { p.runs++; });
+
+            if (!result.passed) {
+                result.failures.forEach(f => { properties[f.property].failed++; });
+
+                const [failure] = result.failures;
+                const shrunk = await shrink(scenario, failure.property, config);
+                const replayed = await runScenario(shrunk.scenario, config);
+                const minimalFailure = replayed.failures.find(f => f.property === failure.property) || failure;
+
+                return {
+                    passed: false,
+                    seed,
+                    runs: run + 1,
+                    properties,
+                    failure: {
+                        run,
+                        seed: seed + run,
+                        property: failure.property,
+                        rule: failure.rule,
+                        message: minimalFailure.message,
+                        failures: result.failures,
+                        scenario,
+                        minimal: shrunk.scenario,
+                        shrinkAttempts: shrunk.attempts,
+                        trace: traceOf(shrunk.scenario)
+                    }
+                };
+            }
+        }
+
+        return { passed: true, seed, runs: config.runs, properties, failure: null };
+    }
+
+    /**
+     * Readable form of a scenario, one line per step
+     */
+    function traceOf(scenario) {
+        return [
+            `${scenario.peers.join(', ')} share ${scenario.records.join(', ')}`,
+            ...scenario.steps.map(describeStep),
+            `then every pair syncs: ${scenario.settleOrder.map(([a, b]) => `${a}<->${b}`).join(', ')}`
+        ];
+    }
+
+    // ============================================================================
+    // DEPENDENCIES
+    // ============================================================================
+
+    function getEventLogModule() {
+        if (typeof EOEventLog === 'undefined') {
+            throw new Error('EOEventLog is required for the compliance harness');
+        }
+        return EOEventLog;
+    }
+
+    function getSyncProtocol() {
+        if (typeof EOSyncProtocol === 'undefined') {
+            throw new Error('EOSyncProtocol is required for the compliance harness');
+        }
+        return EOSyncProtocol;
+    }
+
+    function getConflictResolution() {
+        if (typeof EOConflictResolution === 'undefined') {
+            throw new Error('EOConflictResolution is required for the compliance harness');
+        }
+        return EOConflictResolution;
+    }
+
+    function getStateDerivation() {
+        if (typeof EOStateDerivation === 'undefined') {
+            throw new Error('EOStateDerivation is required for the compliance harness');
+        }
+        return EOStateDerivation;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOComplianceHarness = {
+        // Constants
+        PROPERTY,
+        PROPERTY_RULES,
+        STEP,
+
+        // Generation
+        createRandom,
+        generateScenario,
+
+        // Running
+        runScenario,
+        shrink,
+        check,
+        traceOf
+    };
+
+    // Export to global scope
+    global.EOComplianceHarness = EOComplianceHarness;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOComplianceHarness;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
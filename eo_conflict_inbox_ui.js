@@ -0,0 +1,253 @@
+/**
+ * EO Conflict Inbox UI Component
+ *
+ * Provides UI rendering for sync conflicts in:
+ * - Conflict inbox panel (all open conflicts, both branches side by side)
+ * - Cell modal banner (open conflicts on the current cell)
+ *
+ * Rendering only - resolving goes through EOConflictResolution, which
+ * appends a Meant event and never edits either branch.
+ */
+
+const EOConflictInboxUI = (function() {
+    'use strict';
+
+    /**
+     * Render the conflict inbox panel
+     * @param {Array} conflicts - From ConflictInbox.list()
+     * @returns {string} HTML string for the panel
+     */
+    function renderInbox(conflicts) {
+        if (!conflicts || conflicts.length === 0) {
+            return renderEmptyInbox();
+        }
+
+        return `
+            <div class="eo-conflict-inbox" style="padding: 20px;">
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px;">
+                    <i class="ph ph-git-fork" style="font-size: 18px; color: #f59e0b;"></i>
+                    <h3 style="margin: 0; font-size: 14px; font-weight: 600;">Conflict Inbox</h3>
+                    <span style="font-size: 11px; padding: 2px 8px; border-radius: 10px; background: #fef3c7; color: #92400e;">${conflicts.length} open</span>
+                </div>
+                <div style="display: flex; flex-direction: column; gap: 16px;">
+                    ${conflicts.map(c => renderConflictCard(c)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one conflict with its branches
+     */
+    function renderConflictCard(conflict) {
+        const resolved = conflict.status === 'resolved';
+
+        return `
+            <div class="eo-conflict-card" data-conflict-id="${escapeHtml(conflict.id)}" style="background: var(--muted-surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px;">
+                <div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 12px;">
+                    <div style="font-size: 13px; font-weight: 600;">
+                        ${renderTarget(conflict.target)}
+                    </div>
+                    <div style="font-size: 11px; color: var(--text-secondary);">
+                        ${escapeHtml(humanize(conflict.type))} · detected ${formatTimestamp(conflict.detectedAt)}
+                    </div>
+                </div>
+
+                <div style="display: grid; grid-template-columns: repeat(${Math.min(conflict.branches.length, 3)}, 1fr); gap: 12px;">
+                    ${conflict.branches.map(b => renderBranch(b, conflict, !resolved)).join('')}
+                </div>
+
+                ${resolved ? renderResolutions(conflict) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single branch of a conflict
+     */
+    function renderBranch(branch, conflict, actionable = true) {
+        const kept = conflict.resolutions?.some(r => r.keptEventId === branch.eventId);
+
+        return `
+            <div class="eo-conflict-branch" style="background: var(--surface); border: 1px solid ${kept ? '#22c55e' : 'var(--border)'}; border-radius: 6px; padding: 12px;">
+                <div style="font-size: 16px; font-weight: 600; margin-bottom: 8px; word-break: break-word;">
+                    ${branch.value !== undefined ? escapeHtml(formatValue(branch.value)) : `<span style="color: var(--text-secondary);">${escapeHtml(humanize(branch.action || 'event'))}</span>`}
+                </div>
+                <div style="font-size: 11px; color: var(--text-secondary); display: flex; flex-direction: column; gap: 4px;">
+                    <span><i class="ph ph-user"></i> ${escapeHtml(branch.actor || 'unknown')}</span>
+                    <span><i class="ph ph-desktop"></i> ${escapeHtml(branch.nodeId || 'unknown')}</span>
+                    <span><i class="ph ph-clock"></i> ${formatTimestamp(branch.timestamp)}</span>
+                </div>
+                ${renderVectorClock(branch.vectorClock)}
+                ${actionable ? `
+                    <button class="eo-conflict-keep" data-conflict-action="keep" data-conflict-id="${escapeHtml(conflict.id)}" data-event-id="${escapeHtml(branch.eventId)}" style="margin-top: 10px; width: 100%; padding: 6px; font-size: 12px; border: 1px solid var(--border); border-radius: 4px; background: var(--muted-surface); cursor: pointer;">
+                        <i class="ph ph-check"></i> Keep this
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a vector clock as node:time chips
+     */
+    function renderVectorClock(vectorClock) {
+        const entries = Object.entries(vectorClock || {});
+        if (entries.length === 0) return '';
+
+        return `
+            <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px;" title="Vector clock">
+                ${entries.map(([node, time]) => `
+                    <span style="font-family: monospace; font-size: 10px; padding: 1px 6px; border-radius: 4px; background: var(--muted-surface);">${escapeHtml(node)}:${time}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render how a conflict was resolved
+     */
+    function renderResolutions(conflict) {
+        return `
+            <div style="margin-top: 12px; font-size: 12px; color: var(--text-secondary);">
+                ${conflict.resolutions.map(r => `
+                    <div>
+                        <i class="ph ph-check-circle" style="color: #22c55e;"></i>
+                        Resolved by ${escapeHtml(r.actor)} ${formatTimestamp(r.timestamp)}
+                        ${r.reason ? `· ${escapeHtml(r.reason)}` : ''}
+                    </div>
+                `).join('')}
+                ${conflict.resolutions.length > 1 ? `
+                    <div style="color: #f59e0b;">
+                        <i class="ph ph-warning"></i> Resolved differently on ${conflict.resolutions.length} replicas
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the banner shown in the cell modal when a cell has open conflicts
+     * @param {Array} conflicts - From ConflictInbox.getForCell()
+     */
+    function renderCellConflictBanner(conflicts) {
+        if (!conflicts || conflicts.length === 0) return '';
+
+        return `
+            <div class="eo-cell-conflict-banner" style="margin-bottom: 16px; padding: 12px; border: 1px solid #f59e0b; border-radius: 8px; background: #fffbeb;">
+                <div style="display: flex; align-items: center; gap: 8px; font-size: 13px; font-weight: 600; color: #92400e; margin-bottom: 10px;">
+                    <i class="ph ph-warning"></i>
+                    ${conflicts.length === 1 ? 'Unresolved conflict' : `${conflicts.length} unresolved conflicts`}
+                </div>
+                ${conflicts.map(conflict => `
+                    <div style="display: grid; grid-template-columns: repeat(${Math.min(conflict.branches.length, 3)}, 1fr); gap: 8px; margin-bottom: 8px;">
+                        ${conflict.branches.map(b => renderBranch(b, conflict, true)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render empty inbox message
+     */
+    function renderEmptyInbox() {
+        return `
+            <div style="padding: 40px; text-align: center; color: var(--text-secondary);">
+                <i class="ph ph-check-circle" style="font-size: 48px; opacity: 0.3; margin-bottom: 16px; display: block;"></i>
+                <div style="font-size: 14px; margin-bottom: 8px;">No Open Conflicts</div>
+                <div style="font-size: 12px;">Concurrent edits found during sync will appear here for review.</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire "Keep this" buttons inside a container to an inbox
+     * @param {HTMLElement} container
+     * @param {Object} inbox - EOConflictResolution.ConflictInbox
+     * @param {Object} options - { actor, onResolved(result, conflictId) }
+     */
+    function attachHandlers(container, inbox, options = {}) {
+        const handler = (e) => {
+            const button = e.target.closest('[data-conflict-action="keep"]');
+            if (!button || !container.contains(button)) return;
+
+            const conflictId = button.dataset.conflictId;
+            const actor = typeof options.actor === 'function' ? options.actor() : options.actor;
+
+            try {
+                const result = inbox.resolve(conflictId, {
+                    keep: button.dataset.eventId,
+                    actor
+                });
+                options.onResolved?.(result, conflictId);
+            } catch (err) {
+                console.error('[EOConflictInboxUI] Could not resolve conflict:', err);
+                options.onError?.(err, conflictId);
+            }
+        };
+
+        container.addEventListener('click', handler);
+        return () => container.removeEventListener('click', handler);
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    function renderTarget(target = {}) {
+        if (target.fieldName) {
+            return `<i class="ph ph-grid-four"></i> ${escapeHtml(target.recordId)} · ${escapeHtml(target.fieldName)}`;
+        }
+        if (target.recordId) {
+            return `<i class="ph ph-rows"></i> ${escapeHtml(target.recordId)}`;
+        }
+        return '<i class="ph ph-question"></i> Unknown target';
+    }
+
+    function formatValue(value) {
+        if (value === null) return 'null';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    function formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? escapeHtml(String(timestamp)) : date.toLocaleString();
+    }
+
+    function humanize(str) {
+        return String(str || '')
+            .replace(/[_:]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    return {
+        renderInbox,
+        renderConflictCard,
+        renderBranch,
+        renderVectorClock,
+        renderCellConflictBanner,
+        renderEmptyInbox,
+        attachHandlers
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EOConflictInboxUI;
+}
@@ -0,0 +1,450 @@
+/**
+ * EO Conflict Resolution
+ * Conflict inbox for concurrent events detected during sync
+ *
+ * Implements:
+ * - Rule 4: Non-Collapse of Concurrency (conflicts recorded, never auto-resolved)
+ * - Rule 5: Interpretations are framed (a resolution is a Meant event)
+ * - Axiom 0: The inbox is derived from the log, so it survives reloads
+ *   and travels to other peers with the events themselves
+ *
+ * Lifecycle:
+ *   1. SyncSession detects concurrent events and reports them (onConflict)
+ *   2. inbox.record(conflicts) appends a Given 'conflict:detected' event
+ *   3. inbox.resolve(conflictId, { keep, actor }) appends a Meant
+ *      'conflict:resolve' event whose provenance is every branch.
+ *      The branch events themselves are never touched.
+ *
+ * Usage:
+ *   const inbox = EOConflictResolution.init(eventLog);
+ *   inbox.record(syncSession.getConflicts());
+ *   inbox.list();                        // open conflicts with both branches
+ *   inbox.resolve(id, { keep: eventId, actor: 'user_1' });
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    const CONFLICT_ACTION = {
+        DETECTED: 'conflict:detected',
+        RESOLVE: 'conflict:resolve'
+    };
+
+    const CONFLICT_STATUS = {
+        OPEN: 'open',
+        RESOLVED: 'resolved'
+    };
+
+    const RESOLUTION_FRAME = 'conflict_resolution';
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * Deterministic conflict id from the ids of its branches
+     * Every peer that detects the same conflict arrives at the same id.
+     */
+    function generateConflictId(eventIds) {
+        const key = [...eventIds].sort().join('|');
+
+        // DJB2 hash
+        let hash = 5381;
+        for (let i = 0; i < key.length; i++) {
+            hash = ((hash << 5) + hash) + key.charCodeAt(i);
+            hash = hash >>> 0;
+        }
+
+        return `cfl_${hash.toString(36)}`;
+    }
+
+    /**
+     * Node an event originated on (used as its vector clock entry)
+     */
+    function originOf(event) {
+        return event.context?.nodeId || event.context?.device || event.actor;
+    }
+
+    // ============================================================================
+    // CONFLICT INBOX
+    // ============================================================================
+
+    class EOConflictInbox {
+        constructor(eventLog, options = {}) {
+            this._eventLog = eventLog;
+            this._options = {
+                systemActor: options.systemActor || 'system',
+                workspace: options.workspace || null
+            };
+
+            // Vector clocks per event id, rebuilt when the log grows
+            this._clockCache = { logicalClock: -1, clocks: new Map() };
+        }
+
+        // ========================================================================
+        // RECORDING (Rule 4)
+        // ========================================================================
+
+        /**
+         * Record conflicts reported by SyncSession / SyncEngine
+         * Accepts a single conflict or an array. Conflicts already in the log
+         * are skipped, so this is safe to call repeatedly (Rule 8).
+         *
+         * @returns {string[]} Ids of newly recorded conflicts
+         */
+        record(conflicts) {
+            const recorded = [];
+            const known = new Set(this._getDetectionEvents().map(e => e.payload.conflictId));
+
+            for (const conflict of [].concat(conflicts || [])) {
+                const events = [
+                    ...(conflict.existingEvents || []),
+                    conflict.incomingEvent
+                ].filter(Boolean);
+
+                const eventIds = [...new Set(events.map(e => e.id))];
+                if (eventIds.length < 2) continue;
+
+                const conflictId = generateConflictId(eventIds);
+                if (known.has(conflictId)) continue;
+
+                // Only record once every branch is in the local log
+                if (eventIds.some(id => !this._eventLog.get(id))) continue;
+
+                const result = this._eventLog.append({
+                    type: 'given',
+                    actor: this._options.systemActor,
+                    parents: this._eventLog.getHeads(),
+                    context: {
+                        workspace: this._options.workspace || events[0].context?.workspace || 'default',
+                        schemaVersion: '1.0'
+                    },
+                    payload: {
+                        action: CONFLICT_ACTION.DETECTED,
+                        conflictId,
+                        conflictType: conflict.type || 'concurrent_edit',
+                        events: eventIds,
+                        // Kept under 'target' so this event is not itself
+                        // matched as an edit of the record
+                        target: this._describeTarget(events),
+                        detectedAt: conflict.detectedAt || new Date().toISOString(),
+                        resolution: 'user_required'
+                    }
+                });
+
+                if (result.success) {
+                    known.add(conflictId);
+                    recorded.push(conflictId);
+                }
+            }
+
+            return recorded;
+        }
+
+        /**
+         * Work out which record/cell the branches are fighting over
+         */
+        _describeTarget(events) {
+            const first = events[0].payload || {};
+            const fieldNames = new Set(events.map(e => e.payload?.fieldName).filter(Boolean));
+
+            return {
+                setId: first.setId || null,
+                recordId: first.recordId || first.targetId || null,
+                // Cell-level only when every branch edits the same field
+                fieldName: fieldNames.size === 1 && events.every(e => e.payload?.fieldName)
+                    ? [...fieldNames][0]
+                    : null
+            };
+        }
+
+        // ========================================================================
+        // RESOLUTION (Rule 5: Meant events with provenance)
+        // ========================================================================
+
+        /**
+         * Resolve a conflict
+         *
+         * @param {string} conflictId
+         * @param {Object} options
+         * @param {string} options.actor - Who is resolving (Rule 1)
+         * @param {string} [options.keep] - Event id of the branch to keep
+         * @param {*} [options.value] - Or a new value for the cell
+         * @param {string} [options.reason]
+         * @returns {Object} Append result for the resolution event
+         */
+        resolve(conflictId, options = {}) {
+            const conflict = this.get(conflictId);
+
+            if (!conflict) {
+                throw new Error(`Unknown conflict: ${conflictId}`);
+            }
+            if (conflict.status === CONFLICT_STATUS.RESOLVED) {
+                throw new Error(`Conflict already resolved: ${conflictId}`);
+            }
+            if (!options.actor) {
+                throw new Error('RULE_1: Resolving a conflict requires an actor');
+            }
+
+            let value = options.value;
+            if (options.keep) {
+                const kept = conflict.branches.find(b => b.eventId === options.keep);
+                if (!kept) {
+                    throw new Error(`Event ${options.keep} is not a branch of ${conflictId}`);
+                }
+                value = kept.value;
+            }
+
+            const payload = {
+                action: CONFLICT_ACTION.RESOLVE,
+                conflictId,
+                setId: conflict.target.setId,
+                recordId: conflict.target.recordId,
+                fieldName: conflict.target.fieldName,
+                keptEventId: options.keep || null,
+                reason: options.reason || null
+            };
+            if (value !== undefined) {
+                payload.value = value;
+            }
+
+            return this._eventLog.append({
+                type: 'meant',
+                actor: options.actor,
+                parents: this._eventLog.getHeads(),
+                context: {
+                    workspace: conflict.workspace,
+                    schemaVersion: '1.0'
+                },
+                frame: {
+                    purpose: RESOLUTION_FRAME,
+                    conflictId
+                },
+                // Both branches stay in the log untouched; the resolution
+                // only points at them
+                provenance: conflict.branches.map(b => b.eventId),
+                epistemicStatus: 'reviewed',
+                payload
+            });
+        }
+
+        // ========================================================================
+        // QUERIES (Derived from the log)
+        // ========================================================================
+
+        /**
+         * List conflicts
+         * @param {Object} [filter]
+         * @param {string} [filter.status] - 'open' (default), 'resolved' or 'all'
+         */
+        list(filter = {}) {
+            const status = filter.status || CONFLICT_STATUS.OPEN;
+            const resolutions = this._getResolutions();
+            const clocks = this._getVectorClocks();
+            const seen = new Set();
+            const conflicts = [];
+
+            for (const detection of this._getDetectionEvents()) {
+                const { conflictId } = detection.payload;
+
+                // Several peers may have recorded the same conflict
+                if (seen.has(conflictId)) continue;
+                seen.add(conflictId);
+
+                const conflict = this._buildConflict(detection, resolutions.get(conflictId), clocks);
+                if (status === 'all' || conflict.status === status) {
+                    conflicts.push(conflict);
+                }
+            }
+
+            return conflicts;
+        }
+
+        /**
+         * Get a single conflict (open or resolved)
+         */
+        get(conflictId) {
+            return this.list({ status: 'all' }).find(c => c.id === conflictId) || null;
+        }
+
+        /**
+         * Open conflicts touching one cell (for the cell modal)
+         */
+        getForCell(recordId, fieldName) {
+            return this.list().filter(c =>
+                c.target.recordId === recordId &&
+                (c.target.fieldName === fieldName ||
+                    c.branches.some(b => b.fieldName === fieldName))
+            );
+        }
+
+        /**
+         * Subscribe to conflict changes (detected or resolved)
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(callback) {
+            return this._eventLog.subscribe(event => {
+                const action = event.payload?.action;
+                if (action === CONFLICT_ACTION.DETECTED || action === CONFLICT_ACTION.RESOLVE) {
+                    callback(this.list(), event);
+                }
+            });
+        }
+
+        getStats() {
+            const all = this.list({ status: 'all' });
+            const open = all.filter(c => c.status === CONFLICT_STATUS.OPEN).length;
+            return {
+                total: all.length,
+                open,
+                resolved: all.length - open
+            };
+        }
+
+        _getDetectionEvents() {
+            return this._eventLog.getAll().filter(e =>
+                e.payload?.action === CONFLICT_ACTION.DETECTED &&
+                !this._eventLog.isTombstoned(e.id)
+            );
+        }
+
+        _getResolutions() {
+            const resolutions = new Map();
+
+            this._eventLog.getAll()
+                .filter(e =>
+                    e.type === 'meant' &&
+                    e.payload?.action === CONFLICT_ACTION.RESOLVE &&
+                    !this._eventLog.isTombstoned(e.id)
+                )
+                .forEach(e => {
+                    // Concurrent resolutions are a conflict of their own;
+                    // keep them all so neither disappears
+                    const list = resolutions.get(e.payload.conflictId) || [];
+                    list.push(e);
+                    resolutions.set(e.payload.conflictId, list);
+                });
+
+            return resolutions;
+        }
+
+        _buildConflict(detection, resolutionEvents = [], clocks) {
+            const { conflictId, conflictType, events, target, detectedAt } = detection.payload;
+
+            const branches = events.map(id => {
+                const event = this._eventLog.get(id);
+                return {
+                    eventId: id,
+                    actor: event?.actor || null,
+                    nodeId: event ? originOf(event) : null,
+                    timestamp: event?.timestamp || null,
+                    action: event?.payload?.action || null,
+                    fieldName: event?.payload?.fieldName || null,
+                    value: event?.payload?.value,
+                    vectorClock: clocks.get(id) || {}
+                };
+            });
+
+            const resolutions = resolutionEvents.map(e => ({
+                eventId: e.id,
+                actor: e.actor,
+                timestamp: e.timestamp,
+                keptEventId: e.payload.keptEventId,
+                value: e.payload.value,
+                reason: e.payload.reason
+            }));
+
+            return {
+                id: conflictId,
+                type: conflictType,
+                status: resolutions.length > 0 ? CONFLICT_STATUS.RESOLVED : CONFLICT_STATUS.OPEN,
+                target,
+                workspace: detection.context.workspace,
+                detectedAt,
+                detectedBy: originOf(detection),
+                detectionEventId: detection.id,
+                branches,
+                resolutions
+            };
+        }
+
+        /**
+         * Vector clock of every event, computed from the parent DAG
+         * vc(e) = max over parents, then +1 for the node e originated on
+         */
+        _getVectorClocks() {
+            const logicalClock = this._eventLog.getClock();
+            if (this._clockCache.logicalClock === logicalClock) {
+                return this._clockCache.clocks;
+            }
+
+            const clocks = new Map();
+
+            for (const event of this._eventLog.getTopologicalOrder()) {
+                const clock = {};
+                for (const parentId of event.parents || []) {
+                    const parentClock = clocks.get(parentId) || {};
+                    for (const [node, time] of Object.entries(parentClock)) {
+                        clock[node] = Math.max(clock[node] || 0, time);
+                    }
+                }
+
+                const origin = originOf(event);
+                clock[origin] = (clock[origin] || 0) + 1;
+                clocks.set(event.id, clock);
+            }
+
+            this._clockCache = { logicalClock, clocks };
+            return clocks;
+        }
+    }
+
+    // ============================================================================
+    // SINGLETON INSTANCE
+    // ============================================================================
+
+    let _instance = null;
+
+    function getInbox() {
+        return _instance;
+    }
+
+    function initInbox(eventLog, options = {}) {
+        _instance = new EOConflictInbox(eventLog, options);
+        return _instance;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOConflictResolution = {
+        // Classes
+        ConflictInbox: EOConflictInbox,
+
+        // Constants
+        CONFLICT_ACTION,
+        CONFLICT_STATUS,
+        RESOLUTION_FRAME,
+
+        // Helpers
+        generateConflictId,
+
+        // Singleton
+        get: getInbox,
+        init: initInbox
+    };
+
+    // Export to global scope
+    global.EOConflictResolution = EOConflictResolution;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOConflictResolution;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -380,6 +380,33 @@ const EOContentStore = (function() {
         return null;
     }
 
+    /**
+     * Get a record's content reference
+     * @param {string} recordId - Record identifier
+     * @returns {ContentRef|null} Reference or null if not stored
+     */
+    function getRecordRef(recordId) {
+        return recordPointers.get(recordId) || null;
+    }
+
+    /**
+     * Restore a record's content reference (e.g. from a bundle)
+     * Existing references are kept; the referenced content must be stored.
+     * @param {string} recordId - Record identifier
+     * @param {ContentRef} ref - Reference to restore
+     * @returns {boolean} True if the reference was added
+     */
+    function restoreRecordRef(recordId, ref) {
+        if (recordPointers.has(recordId)) return false;
+
+        const hashes = ref.type === 'delta' ? [ref.baseHash, ref.deltaHash] : [ref.contentHash];
+        if (!hashes.every(hash => contentStore.has(hash))) return false;
+
+        recordPointers.set(recordId, { ...ref });
+        hashes.forEach(addRef);
+        return true;
+    }
+
     /**
      * Remove a record's content reference
      * @param {string} recordId - Record identifier
@@ -753,6 +780,8 @@ const EOContentStore = (function() {
         storeRecord,
         hydrateRecord,
         removeRecord,
+        getRecordRef,
+        restoreRecordRef,
         isDuplicate,
         getDuplicateRecordIds,
 
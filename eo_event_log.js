@@ -39,7 +39,9 @@
      * @property {string[]} parents - IDs of causal predecessors (DAG structure)
      * @property {Object} context - Context envelope
      * @property {Object} payload - Event-specific data
-     * @property {string} [signature] - Optional authentication proof
+     * @property {Object} [signature] - Optional authentication proof
+     *   { algorithm, keyId, value } from EOSigning (Rule 2)
+     * @property {Object} [chain] - { index, root } in audit mode (eo_audit_chain.js)
      *
      * For 'meant' events only:
      * @property {Object} [frame] - Frame for interpretation
@@ -57,13 +59,15 @@
      * This enables idempotent replay (Rule 8)
      */
     function generateEventId(eventData) {
-        const canonical = JSON.stringify({
+        // Every level goes into the hash: two events that differ only
+        // inside the payload must never share an id
+        const canonical = canonicalize({
             type: eventData.type,
             actor: eventData.actor,
             payload: eventData.payload,
             parents: eventData.parents,
             context: eventData.context
-        }, Object.keys(eventData).sort());
+        });
 
         // DJB2 hash
         let hash = 5381;
@@ -75,6 +79,47 @@
         return `evt_${hash.toString(36)}_${Date.now().toString(36)}`;
     }
 
+    /**
+     * Context envelope as stored on an appended event
+     * Signatures cover this form, so signer and log must agree on it.
+     */
+    function normalizeContext(context) {
+        return {
+            workspace: context?.workspace || 'default',
+            device: context?.device || 'unknown',
+            session: context?.session || 'unknown',
+            schemaVersion: context?.schemaVersion || '1.0',
+            ...context
+        };
+    }
+
+    /**
+     * JSON with object keys sorted at every level
+     * Stable input for signatures and audit hashes.
+     */
+    function canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(v => canonicalize(v === undefined ? null : v)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(k => value[k] !== undefined)
+                .sort()
+                .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    /**
+     * Order of events that do not depend on each other
+     * Uses the content-addressed id: every peer sees the same one, and no
+     * clock is involved (Rule 6).
+     */
+    function compareEvents(a, b) {
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+
     /**
      * Generate a simple unique ID (fallback)
      */
@@ -103,14 +148,29 @@
             // Pending events waiting for parents (causal readiness)
             this._pending = new Map();
 
+            // While only the tail after a snapshot is loaded:
+            // { through: logicalClock, heads: Set of the snapshot's heads }
+            this._history = null;
+
             // Options
             this._options = {
                 maxPendingAge: options.maxPendingAge || 60000, // 1 minute
                 onAppend: options.onAppend || null,
                 onError: options.onError || null,
-                validateProvenance: options.validateProvenance !== false
+                validateProvenance: options.validateProvenance !== false,
+                auditChain: options.auditChain === true
             };
 
+            // Tamper-evident mode: every event commits to a Merkle root
+            // over the log up to it (see eo_audit_chain.js)
+            this._audit = null;
+            if (this._options.auditChain) {
+                if (typeof EOAuditChain === 'undefined') {
+                    throw new Error('EOAuditChain is required for audit mode');
+                }
+                this._audit = new EOAuditChain.MerkleLog();
+            }
+
             // Subscribers for reactive updates
             this._subscribers = new Set();
         }
@@ -149,7 +209,7 @@
 
             // Check causal readiness (parents must exist)
             const parents = eventData.parents || [];
-            const missingParents = parents.filter(p => !this._index.has(p));
+            const missingParents = parents.filter(p => !this._index.has(p) && !this._history?.heads.has(p));
 
             if (missingParents.length > 0) {
                 // Park the event until parents arrive
@@ -170,20 +230,14 @@
             this._logicalClock++;
 
             // Create the immutable event
-            const event = Object.freeze({
+            const record = {
                 id,
                 type: eventData.type || EVENT_TYPE.GIVEN,
                 actor: eventData.actor,
                 timestamp: eventData.timestamp || new Date().toISOString(),
                 logicalClock: this._logicalClock,
                 parents: parents,
-                context: Object.freeze({
-                    workspace: eventData.context?.workspace || 'default',
-                    device: eventData.context?.device || 'unknown',
-                    session: eventData.context?.session || 'unknown',
-                    schemaVersion: eventData.context?.schemaVersion || '1.0',
-                    ...eventData.context
-                }),
+                context: Object.freeze(normalizeContext(eventData.context)),
                 payload: Object.freeze(eventData.payload || {}),
                 signature: eventData.signature || null,
 
@@ -194,7 +248,12 @@
                     epistemicStatus: eventData.epistemicStatus || 'preliminary',
                     supersedes: eventData.supersedes || null
                 } : {})
-            });
+            };
+
+            if (this._audit) {
+                record.chain = Object.freeze(this._audit.commit(record));
+            }
+            const event = Object.freeze(record);
 
             // Append to log (THE mutation - append only!)
             this._log.push(event);
@@ -248,29 +307,58 @@
 
         /**
          * Get events in topological (causal) order
+         * Among the events whose parents are all placed, the lowest id goes
+         * next - never arrival order or a clock - so every peer holding the
+         * same events derives the same state (Rule 6). An event appended
+         * later never reorders the events before it, it is only inserted.
          */
         getTopologicalOrder() {
-            const visited = new Set();
-            const result = [];
-
-            const visit = (id) => {
-                if (visited.has(id)) return;
-                visited.add(id);
+            const children = new Map();
+            const waiting = new Map();
+
+            for (const event of this._log) {
+                const parents = event.parents.filter(p => this._index.has(p));
+                waiting.set(event.id, parents.length);
+                parents.forEach(p => {
+                    if (!children.has(p)) children.set(p, []);
+                    children.get(p).push(event);
+                });
+            }
 
-                const event = this._index.get(id);
-                if (!event) return;
+            // Highest id first, so the next event is popped off the end
+            const ready = this._log.filter(e => waiting.get(e.id) === 0).sort((a, b) => compareEvents(b, a));
+            const result = [];
 
-                // Visit parents first
-                event.parents.forEach(p => visit(p));
+            while (ready.length > 0) {
+                const event = ready.pop();
                 result.push(event);
-            };
 
-            // Start from all events to ensure complete traversal
-            this._log.forEach(e => visit(e.id));
+                for (const child of children.get(event.id) || []) {
+                    const left = waiting.get(child.id) - 1;
+                    waiting.set(child.id, left);
+                    if (left === 0) {
+                        let i = ready.length;
+                        while (i > 0 && compareEvents(ready[i - 1], child) < 0) i--;
+                        ready.splice(i, 0, child);
+                    }
+                }
+            }
 
             return result;
         }
 
+        /**
+         * Events parked until their parents arrive
+         * @returns {Array} [{ id, waitingFor, parkedAt }]
+         */
+        getPending() {
+            return Array.from(this._pending.entries()).map(([id, pending]) => ({
+                id,
+                waitingFor: [...pending.waitingFor],
+                parkedAt: new Date(pending.parkedAt).toISOString()
+            }));
+        }
+
         /**
          * Get events since a specific logical clock value
          */
@@ -522,6 +610,51 @@
             );
         }
 
+        // ========================================================================
+        // AUDIT CHAIN (Tamper evidence - Rule 9)
+        // ========================================================================
+
+        isAudited() {
+            return this._audit !== null;
+        }
+
+        /**
+         * Current Merkle root, for recording outside the log
+         * @returns {Object|null} { size, root } or null when not in audit mode
+         */
+        getAuditRoot() {
+            if (!this._audit) return null;
+            return { size: this._audit.size, root: this._audit.root() };
+        }
+
+        /**
+         * Proof that an event is in the log, checkable without the log
+         * (EOAuditChain.verifyInclusion)
+         * @param {string} eventId
+         * @param {number} [treeSize] - Prove against an earlier root
+         */
+        getInclusionProof(eventId, treeSize = null) {
+            if (!this._audit) {
+                throw new Error('Inclusion proofs require audit mode');
+            }
+
+            const event = this._index.get(eventId);
+            if (!event?.chain) {
+                throw new Error(`Event not in the audit chain: ${eventId}`);
+            }
+
+            const size = treeSize ?? this._audit.size;
+            return {
+                algorithm: EOAuditChain.PROOF_ALGORITHM,
+                eventId,
+                index: event.chain.index,
+                treeSize: size,
+                leaf: this._audit.leaf(event.chain.index),
+                path: this._audit.proof(event.chain.index, size),
+                root: this._audit.root(size)
+            };
+        }
+
         // ========================================================================
         // EXPORT / IMPORT (For persistence - Rule 3)
         // ========================================================================
@@ -542,18 +675,30 @@
         /**
          * Import a log (typically from persistence)
          * This replays events to rebuild state
+         *
+         * With `data.since`, data holds only the events after that logical
+         * clock (the tail after a snapshot) and `data.baseHeads` the heads
+         * at it; the log stays partial until importHistory() brings in the
+         * rest. An audited log needs every event to rebuild its tree.
          */
         import(data) {
             if (data.version !== 1) {
                 return { success: false, error: 'Unknown log version' };
             }
+            if (data.since && this._audit) {
+                return { success: false, error: 'An audited log cannot be loaded without its history' };
+            }
 
             // Clear current state
             this._log = [];
             this._index.clear();
             this._heads.clear();
             this._pending.clear();
-            this._logicalClock = 0;
+            this._audit?.reset();
+            this._history = data.since
+                ? { through: data.since, heads: new Set(data.baseHeads || []) }
+                : null;
+            this._logicalClock = this._history?.through || 0;
 
             // Replay events in order
             const errors = [];
@@ -562,6 +707,10 @@
                 this._log.push(Object.freeze(event));
                 this._index.set(event.id, event);
                 this._logicalClock = Math.max(this._logicalClock, event.logicalClock);
+
+                // Rebuild the tree; whether stored chains still match is
+                // for verifyLog() / the compliance audit to say
+                this._audit?.commit(event);
             }
 
             // Restore heads
@@ -576,6 +725,11 @@
                         this._heads.add(e.id);
                     }
                 });
+                this._history?.heads.forEach(h => {
+                    if (!allParents.has(h)) {
+                        this._heads.add(h);
+                    }
+                });
             }
 
             return {
@@ -585,6 +739,41 @@
             };
         }
 
+        /**
+         * Bring in the events before the tail of a partial import
+         * They are older than everything loaded, so nothing is re-announced
+         * to subscribers; events parked on one of them are appended.
+         */
+        importHistory(events) {
+            if (!this._history) {
+                return { success: false, error: 'The log is not partial' };
+            }
+
+            const older = events
+                .filter(e => e.logicalClock <= this._history.through && !this._index.has(e.id))
+                .sort((a, b) => a.logicalClock - b.logicalClock);
+
+            older.forEach(event => this._index.set(event.id, Object.freeze(event)));
+            this._log = [...older.map(e => this._index.get(e.id)), ...this._log];
+            this._history = null;
+
+            // Heads of the whole log
+            const allParents = new Set();
+            this._log.forEach(e => e.parents.forEach(p => allParents.add(p)));
+            this._heads = new Set(this._log.filter(e => !allParents.has(e.id)).map(e => e.id));
+
+            this._processPending();
+
+            return { success: true, eventCount: older.length };
+        }
+
+        /**
+         * Whether only the tail after a snapshot is loaded (see import)
+         */
+        isPartial() {
+            return this._history !== null;
+        }
+
         // ========================================================================
         // STATISTICS
         // ========================================================================
@@ -606,7 +795,8 @@
                 activeInterpretations: meantCount - supersededCount,
                 logicalClock: this._logicalClock,
                 heads: this._heads.size,
-                pending: this._pending.size
+                pending: this._pending.size,
+                partial: this.isPartial()
             };
         }
     }
@@ -643,6 +833,8 @@
         // Helpers
         generateEventId,
         generateUniqueId,
+        normalizeContext,
+        canonicalize,
 
         // Singleton
         getLog: getEventLog,
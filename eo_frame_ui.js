@@ -0,0 +1,272 @@
+/**
+ * EO Frame UI Component
+ *
+ * Provides UI rendering for interpretation frames (Rule 5):
+ * - Frame selector: derive the whole workspace under one frame's Meant events
+ * - Side-by-side view of a set under two frames, differing cells highlighted
+ * - The differences between two frames, with the Meant events behind them
+ *
+ * Rendering only - frames come from EOStateDerivation.listFrames(), states
+ * from EOStateDerivation.deriveInFrame() and comparisons from
+ * EOStateDerivation.compareFrames(), all pure functions of the log.
+ */
+
+const EOFrameUI = (function() {
+    'use strict';
+
+    const MERGED_LABEL = 'All interpretations';
+
+    /**
+     * Render the frame selector
+     * @param {Array} frames - From EOStateDerivation.listFrames()
+     * @param {string|null} current - Selected frame purpose, null when merged
+     * @returns {string} HTML string for the selector
+     */
+    function renderFrameSelector(frames, current) {
+        return `
+            <div class="eo-frame-selector" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; border: 1px solid var(--border); border-radius: 8px;">
+                <i class="ph ph-frame-corners" style="font-size: 16px; color: var(--text-secondary);"></i>
+                <select data-frame="select" style="flex: 1; font-size: 12px; padding: 4px;">
+                    <option value="" ${!current ? 'selected' : ''}>${MERGED_LABEL}</option>
+                    ${frames.map(f => `
+                        <option value="${escapeHtml(f.purpose)}" ${f.purpose === current ? 'selected' : ''}>
+                            ${escapeHtml(humanize(f.purpose))} (${f.activeCount})
+                        </option>
+                    `).join('')}
+                </select>
+                <button data-frame="compare" ${frames.length === 0 ? 'disabled' : ''} style="${buttonStyle()}">
+                    <i class="ph ph-columns"></i> Compare with
+                </button>
+                <select data-frame="compare-with" ${frames.length === 0 ? 'disabled' : ''} style="font-size: 12px; padding: 4px;">
+                    ${current ? `<option value="">${MERGED_LABEL}</option>` : ''}
+                    ${frames.filter(f => f.purpose !== current).map(f => `
+                        <option value="${escapeHtml(f.purpose)}">${escapeHtml(humanize(f.purpose))}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a set under two frames next to each other
+     * @param {Object} leftState - From EOStateDerivation.deriveInFrame()
+     * @param {Object} rightState
+     * @param {Object} comparison - From EOStateDerivation.compareFrames()
+     * @param {Object} options - { setId }
+     */
+    function renderSideBySide(leftState, rightState, comparison, options = {}) {
+        const differing = new Set(comparison.cells
+            .filter(c => c.setId === options.setId)
+            .map(c => `${c.recordId}\u0000${c.fieldName}`));
+
+        return `
+            <div class="eo-frame-side-by-side" style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                ${renderSetInFrame(leftState, options.setId, comparison.left, differing)}
+                ${renderSetInFrame(rightState, options.setId, comparison.right, differing)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one set as derived under a frame
+     */
+    function renderSetInFrame(state, setId, frame, differing) {
+        const set = state.sets.get(setId);
+        if (!set) {
+            return `
+                <div style="padding: 24px; text-align: center; font-size: 12px; color: var(--text-secondary);">
+                    This set does not exist under ${escapeHtml(frameLabel(frame))}
+                </div>
+            `;
+        }
+
+        const columns = getColumns(set);
+        const records = Array.from(set.records.values());
+
+        return `
+            <div style="overflow-x: auto;">
+                <div style="font-size: 13px; font-weight: 600; margin-bottom: 8px;">
+                    ${escapeHtml(frameLabel(frame))}
+                    <span style="font-weight: 400; color: var(--text-secondary);">· ${escapeHtml(set.name || setId)}</span>
+                </div>
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                    <thead>
+                        <tr>
+                            ${columns.map(c => `<th style="text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border);">${escapeHtml(c)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(r => `
+                            <tr data-record-id="${escapeHtml(r.record_id)}">
+                                ${columns.map(c => {
+                                    const differs = differing.has(`${r.record_id}\u0000${c}`);
+                                    return `<td ${differs ? 'data-frame-differs="true"' : ''} style="padding: 6px 8px; border-bottom: 1px solid var(--border);${differs ? ' background: rgba(245, 158, 11, 0.15);' : ''}">${escapeHtml(formatValue(r.fields?.[c]))}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the cell differences between two frames
+     * @param {Object} comparison - From EOStateDerivation.compareFrames()
+     */
+    function renderDifferences(comparison) {
+        if (comparison.cells.length === 0) {
+            return `
+                <div style="padding: 16px; text-align: center; font-size: 12px; color: var(--text-secondary);">
+                    ${escapeHtml(frameLabel(comparison.left))} and ${escapeHtml(frameLabel(comparison.right))} agree
+                </div>
+            `;
+        }
+
+        return `
+            <div class="eo-frame-differences" style="display: flex; flex-direction: column; gap: 6px; font-size: 12px;">
+                <div style="font-weight: 600;">
+                    ${comparison.cells.length} cell${comparison.cells.length === 1 ? '' : 's'} read differently
+                </div>
+                ${comparison.cells.map(c => `
+                    <div style="display: flex; align-items: baseline; gap: 6px;">
+                        <i class="ph ph-git-diff" style="color: #f59e0b;"></i>
+                        <span style="flex: 1;">
+                            ${escapeHtml(c.recordId)} · ${escapeHtml(c.fieldName)}:
+                            <strong>${escapeHtml(formatValue(c.left))}</strong>
+                            <span style="color: var(--text-secondary);">vs</span>
+                            <strong>${escapeHtml(formatValue(c.right))}</strong>
+                        </span>
+                        ${c.events.map(id => `<code data-event-id="${escapeHtml(id)}" style="font-size: 10px; color: var(--text-secondary);">${escapeHtml(id)}</code>`).join(' ')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Mount the frame selector into a container; selecting a frame
+     * re-derives the whole workspace through the state derivation
+     * @param {HTMLElement} container
+     * @param {Object} derivation - EOStateDerivation instance
+     * @param {Object} eventLog
+     * @param {Object} options - { onCompare(left, right), onChange(frame) }
+     * @returns {Function} Detach function
+     */
+    function attach(container, derivation, eventLog, options = {}) {
+        const render = () => {
+            container.innerHTML = renderFrameSelector(
+                EOStateDerivation.listFrames(eventLog),
+                derivation.getFrame()
+            );
+        };
+
+        const onChange = (e) => {
+            if (e.target.dataset?.frame !== 'select') return;
+            derivation.setFrame(e.target.value || null);
+            render();
+            options.onChange?.(derivation.getFrame());
+        };
+
+        const onClick = (e) => {
+            const button = e.target.closest('[data-frame="compare"]');
+            if (!button || !container.contains(button)) return;
+            const other = container.querySelector('[data-frame="compare-with"]');
+            options.onCompare?.(derivation.getFrame(), other?.value || null);
+        };
+
+        container.addEventListener('change', onChange);
+        container.addEventListener('click', onClick);
+        render();
+
+        return () => {
+            container.removeEventListener('change', onChange);
+            container.removeEventListener('click', onClick);
+        };
+    }
+
+    /**
+     * Mount a side-by-side comparison of two frames into a container
+     * @param {HTMLElement} container
+     * @param {Object} eventLog
+     * @param {Object} options - { setId, left, right }
+     */
+    function attachComparison(container, eventLog, options = {}) {
+        const comparison = EOStateDerivation.compareFrames(eventLog, options.left ?? null, options.right ?? null);
+
+        container.innerHTML = `
+            ${renderSideBySide(
+                EOStateDerivation.deriveInFrame(eventLog, comparison.left),
+                EOStateDerivation.deriveInFrame(eventLog, comparison.right),
+                comparison,
+                options
+            )}
+            <div style="margin-top: 16px;">${renderDifferences(comparison)}</div>
+        `;
+
+        return comparison;
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    function frameLabel(frame) {
+        return frame ? humanize(frame) : MERGED_LABEL;
+    }
+
+    /**
+     * Columns shown for a set: schema fields, then any other cell fields
+     */
+    function getColumns(set) {
+        const fromRecords = new Set();
+        set.records.forEach(r => Object.keys(r.fields || {}).forEach(f => fromRecords.add(f)));
+
+        return [
+            ...(set.schema?.fields || []).map(f => f.name),
+            ...fromRecords
+        ].filter((name, i, all) => name && all.indexOf(name) === i);
+    }
+
+    function buttonStyle() {
+        return 'padding: 4px 8px; font-size: 12px; border: 1px solid var(--border); border-radius: 4px; background: var(--surface); cursor: pointer;';
+    }
+
+    function formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    function humanize(str) {
+        return String(str || '')
+            .replace(/[_:]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    return {
+        renderFrameSelector,
+        renderSideBySide,
+        renderDifferences,
+        attach,
+        attachComparison
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EOFrameUI;
+}
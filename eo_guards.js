@@ -25,7 +25,8 @@
         enabled: true,
         mode: 'warn',  // 'strict' (throw) | 'warn' (console) | 'silent' (log only)
         logViolations: true,
-        violationLog: []
+        violationLog: [],
+        listeners: new Set()
     };
 
     // ============================================================================
@@ -45,6 +46,15 @@
             CONFIG.violationLog.push(entry);
         }
 
+        // Listeners see the entry before strict mode throws
+        CONFIG.listeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (err) {
+                console.error('[EOGuards] Violation listener error:', err);
+            }
+        });
+
         const formatted = `[SYNC VIOLATION] ${rule}: ${message}`;
 
         switch (CONFIG.mode) {
@@ -197,8 +207,10 @@
 
     /**
      * Guard: Detect identity laundering during sync
+     * A signature must travel with its event unchanged, and with a key ring
+     * (EOSigning.KeyRing) its key must be registered to the event's actor.
      */
-    function guardIdentityPreservation(originalEvent, syncedEvent, source = 'sync') {
+    function guardIdentityPreservation(originalEvent, syncedEvent, source = 'sync', keyRing = null) {
         if (!CONFIG.enabled) return true;
 
         if (originalEvent.actor !== syncedEvent.actor) {
@@ -210,6 +222,45 @@
             return false;
         }
 
+        if (originalEvent.signature &&
+            JSON.stringify(originalEvent.signature) !== JSON.stringify(syncedEvent.signature || null)) {
+            violation('RULE_2', `Signature stripped or replaced during ${source}`, {
+                eventId: originalEvent.id,
+                actor: originalEvent.actor
+            });
+            return false;
+        }
+
+        const keyId = syncedEvent.signature?.keyId;
+        if (keyRing && keyId && !keyRing.ownsKey(syncedEvent.actor, keyId)) {
+            violation('RULE_2', `Event signed with key ${keyId}, which is not registered to "${syncedEvent.actor}"`, {
+                eventId: syncedEvent.id,
+                actor: syncedEvent.actor,
+                keyId
+            });
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Guard: Verify an event's signature against a key ring
+     * Async because WebCrypto verification is.
+     */
+    async function guardEventSignature(event, keyRing, source = 'sync') {
+        if (!CONFIG.enabled) return true;
+
+        const { valid, reason } = await keyRing.verify(event);
+        if (!valid) {
+            violation('RULE_2', `Unverifiable event from ${source}: ${reason}`, {
+                eventId: event.id,
+                actor: event.actor,
+                keyId: event.signature?.keyId || null
+            });
+            return false;
+        }
+
         return true;
     }
 
@@ -583,6 +634,10 @@
         // Violation log
         getViolations: () => [...CONFIG.violationLog],
         clearViolations: () => { CONFIG.violationLog = []; },
+        onViolation: (listener) => {
+            CONFIG.listeners.add(listener);
+            return () => CONFIG.listeners.delete(listener);
+        },
 
         // Guards
         guardState,
@@ -590,6 +645,7 @@
         guardArray,
         guardEventOrigin,
         guardIdentityPreservation,
+        guardEventSignature,
         guardUserAction,
         guardOfflineCapability,
         guardFetch,
@@ -1143,6 +1143,7 @@ function setupPortalCommunication(state, portal) {
 
         switch (event.data.type) {
             case 'PORTAL_READY':
+                // sync-lint-disable-next-line RULE_6 -- a portal is a local window, not a sync peer
                 sendStateToPortal(state, portal);
                 break;
 
@@ -1261,7 +1262,7 @@ function activateTabInPortal(state, portalId, tabIndex) {
     if (!portal) return;
 
     portal.paneTree.activeTabIndex = tabIndex;
-    sendStateToPortal(state, portal);
+    sendStateToPortal(state, portal); // sync-lint-disable-line RULE_6 -- a portal is a local window, not a sync peer
 }
 
 /**
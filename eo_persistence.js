@@ -10,6 +10,18 @@
  * Also supports:
  * - Rule 7: Failure Is a State (sync failures recorded)
  * - Rule 8: Idempotent Replay (log import/export)
+ * - Snapshots of derived state (see eo_snapshots.js), stored beside the
+ *   log and never in place of it
+ *
+ * Backends: IndexedDB and localStorage in the browser; a file backend
+ * (JSONL segments) for Node scripts, tests and relays:
+ *   EOPersistence.init({ backend: 'file', directory: './data/log' })
+ *
+ * Each workspace is stored in its own namespace (database, key prefix or
+ * directory), so switching workspaces never mixes their logs:
+ *   EOPersistence.init({ namespace: 'project_alpha' })
+ * The 'default' namespace keeps the un-namespaced names used before
+ * workspaces existed.
  */
 
 (function(global) {
@@ -128,7 +140,7 @@
                     return;
                 }
 
-                const request = indexedDB.open(this._dbName, 1);
+                const request = indexedDB.open(this._dbName, 2);
 
                 request.onerror = () => {
                     console.error('[IndexedDBBackend] Open error');
@@ -161,6 +173,12 @@
                     if (!db.objectStoreNames.contains('syncqueue')) {
                         db.createObjectStore('syncqueue', { keyPath: 'id', autoIncrement: true });
                     }
+
+                    // Derived state snapshots (v2) - disposable, never the log itself
+                    if (!db.objectStoreNames.contains('snapshots')) {
+                        const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id' });
+                        snapshotStore.createIndex('logicalClock', 'logicalClock', { unique: false });
+                    }
                 };
             });
         }
@@ -316,6 +334,53 @@
             });
         }
 
+        // ========================================================================
+        // SNAPSHOT METHODS
+        // ========================================================================
+
+        async putSnapshot(snapshot) {
+            await this._ready;
+            if (!this._db) return false;
+
+            return new Promise((resolve) => {
+                const tx = this._db.transaction('snapshots', 'readwrite');
+                const store = tx.objectStore('snapshots');
+                const request = store.put(snapshot);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => resolve(false);
+            });
+        }
+
+        async getSnapshots() {
+            await this._ready;
+            if (!this._db) return [];
+
+            return new Promise((resolve) => {
+                const tx = this._db.transaction('snapshots', 'readonly');
+                const store = tx.objectStore('snapshots');
+                const index = store.index('logicalClock');
+                const request = index.getAll();
+
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            });
+        }
+
+        async deleteSnapshot(id) {
+            await this._ready;
+            if (!this._db) return false;
+
+            return new Promise((resolve) => {
+                const tx = this._db.transaction('snapshots', 'readwrite');
+                const store = tx.objectStore('snapshots');
+                const request = store.delete(id);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => resolve(false);
+            });
+        }
+
         // ========================================================================
         // SYNC QUEUE METHODS (Rule 3 - offline queue)
         // ========================================================================
@@ -381,6 +446,493 @@
         }
     }
 
+    /**
+     * File backend (Node - scripts, tests, relays, CI)
+     *
+     * Layout under `directory`:
+     *   segments/000001.jsonl   Append-only event log, one event per line
+     *   index.json              Segment index (event counts, byte sizes, clock ranges)
+     *   kv/<key>.json           Key-value entries
+     *   snapshots/<id>.json     Derived state snapshots
+     *   syncqueue.json          Offline sync queue
+     *
+     * Appends are fsynced before they resolve; the index and every JSON file
+     * are replaced atomically (write tmp, fsync, rename). The segments are the
+     * truth and the index only a hint: on open a torn final line left by a
+     * crash is cut off, and any segment whose size disagrees with the index
+     * is rescanned.
+     */
+    class FileBackend {
+        constructor(directory, options = {}) {
+            this._fs = loadNodeModule('fs');
+            this._path = loadNodeModule('path');
+            this._directory = directory;
+            this._options = {
+                segmentSize: options.segmentSize || 8 * 1024 * 1024,   // Bytes before rolling
+                fsync: options.fsync !== false
+            };
+
+            this._segments = [];       // [{ file, count, bytes, minClock, maxClock }]
+            this._ids = null;          // Built on first write (idempotent append)
+            this._queue = { nextId: 1, items: [] };
+            this._ready = this._init();
+        }
+
+        async _init() {
+            if (!this._fs || !this._path || !this._directory) {
+                return false;
+            }
+
+            try {
+                for (const dir of ['segments', 'kv', 'snapshots']) {
+                    this._fs.mkdirSync(this._file(dir), { recursive: true });
+                }
+                this._openSegments();
+                this._queue = this._readJson('syncqueue.json') || this._queue;
+                return true;
+            } catch (e) {
+                console.error('[FileBackend] Open error:', e);
+                return false;
+            }
+        }
+
+        async isAvailable() {
+            return this._ready;
+        }
+
+        getDirectory() {
+            return this._directory;
+        }
+
+        // ========================================================================
+        // KEY-VALUE METHODS
+        // ========================================================================
+
+        async get(key) {
+            if (!(await this._ready)) return null;
+            return this._readJson(this._kvFile(key));
+        }
+
+        async set(key, value) {
+            if (!(await this._ready)) return false;
+            try {
+                this._writeJsonAtomic(this._kvFile(key), value);
+                return true;
+            } catch (e) {
+                console.error('[FileBackend] Set error:', e);
+                return false;
+            }
+        }
+
+        async delete(key) {
+            if (!(await this._ready)) return false;
+            return this._remove(this._kvFile(key));
+        }
+
+        async keys() {
+            if (!(await this._ready)) return [];
+            return this._fs.readdirSync(this._file('kv'))
+                .filter(name => name.endsWith('.json'))
+                .map(name => decodeURIComponent(name.slice(0, -5)));
+        }
+
+        async clear() {
+            const keys = await this.keys();
+            keys.forEach(key => this._remove(this._kvFile(key)));
+            return true;
+        }
+
+        // ========================================================================
+        // EVENT LOG SPECIFIC METHODS (Append-only)
+        // ========================================================================
+
+        async appendEvent(event) {
+            return this.appendEvents([event]);
+        }
+
+        /**
+         * Append a batch of events with a single fsync
+         * Events already stored are skipped (Rule 8).
+         */
+        async appendEvents(events) {
+            if (!(await this._ready)) return false;
+            this._ensureIds();
+
+            const fresh = [];
+            const batchIds = new Set();
+            for (const event of events) {
+                if (this._ids.has(event.id) || batchIds.has(event.id)) continue;
+                batchIds.add(event.id);
+                fresh.push(event);
+            }
+            if (fresh.length === 0) return true;
+
+            try {
+                let segment = this._segments[this._segments.length - 1] || this._startSegment();
+                let pending = { lines: [], bytes: 0, minClock: Infinity, maxClock: -Infinity };
+
+                const flush = () => {
+                    if (pending.lines.length === 0) return;
+                    this._appendToFile(this._file('segments', segment.file), pending.lines.join(''));
+                    segment.count += pending.lines.length;
+                    segment.bytes += pending.bytes;
+                    segment.minClock = Math.min(segment.minClock ?? Infinity, pending.minClock);
+                    segment.maxClock = Math.max(segment.maxClock ?? -Infinity, pending.maxClock);
+                    pending = { lines: [], bytes: 0, minClock: Infinity, maxClock: -Infinity };
+                };
+
+                for (const event of fresh) {
+                    const line = JSON.stringify(event) + '\n';
+                    const size = Buffer.byteLength(line);
+
+                    if (segment.bytes + pending.bytes > 0 &&
+                        segment.bytes + pending.bytes + size > this._options.segmentSize) {
+                        flush();
+                        segment = this._startSegment();
+                    }
+
+                    const clock = event.logicalClock || 0;
+                    pending.lines.push(line);
+                    pending.bytes += size;
+                    pending.minClock = Math.min(pending.minClock, clock);
+                    pending.maxClock = Math.max(pending.maxClock, clock);
+                }
+                flush();
+
+                this._writeIndex();
+                fresh.forEach(event => this._ids.add(event.id));
+                return true;
+            } catch (e) {
+                console.error('[FileBackend] Append error:', e);
+                // Segments are the truth - rescan so memory matches disk
+                this._openSegments();
+                this._ids = null;
+                return false;
+            }
+        }
+
+        async getAllEvents() {
+            if (!(await this._ready)) return [];
+
+            const events = this._readEvents(this._segments);
+            if (!this._ids) {
+                this._ids = new Set(events.map(e => e.id));
+            }
+            return events;
+        }
+
+        /**
+         * Events with logicalClock > clock
+         * Segments whose whole clock range is at or below it are not read.
+         */
+        async getEventsSince(logicalClock) {
+            if (!(await this._ready)) return [];
+
+            const segments = this._segments.filter(s => s.count > 0 && s.maxClock > logicalClock);
+            return this._readEvents(segments)
+                .filter(e => (e.logicalClock || 0) > logicalClock);
+        }
+
+        async getEventCount() {
+            if (!(await this._ready)) return 0;
+            return this._segments.reduce((sum, s) => sum + s.count, 0);
+        }
+
+        /**
+         * Remove the event log, snapshots and sync queue
+         */
+        async clearEventLog() {
+            if (!(await this._ready)) return false;
+
+            this._segments.forEach(s => this._remove(this._path.join('segments', s.file)));
+            this._fs.readdirSync(this._file('snapshots'))
+                .forEach(name => this._remove(this._path.join('snapshots', name)));
+            this._remove('syncqueue.json');
+
+            this._segments = [];
+            this._ids = new Set();
+            this._queue = { nextId: 1, items: [] };
+            this._writeIndex();
+            return true;
+        }
+
+        // ========================================================================
+        // SNAPSHOT METHODS
+        // ========================================================================
+
+        async putSnapshot(snapshot) {
+            if (!(await this._ready)) return false;
+            try {
+                this._writeJsonAtomic(this._snapshotFile(snapshot.id), snapshot);
+                return true;
+            } catch (e) {
+                console.error('[FileBackend] Snapshot error:', e);
+                return false;
+            }
+        }
+
+        async getSnapshots() {
+            if (!(await this._ready)) return [];
+            return this._fs.readdirSync(this._file('snapshots'))
+                .filter(name => name.endsWith('.json'))
+                .map(name => this._readJson(this._path.join('snapshots', name)))
+                .filter(Boolean)
+                .sort((a, b) => a.logicalClock - b.logicalClock);
+        }
+
+        async deleteSnapshot(id) {
+            if (!(await this._ready)) return false;
+            return this._remove(this._snapshotFile(id));
+        }
+
+        // ========================================================================
+        // SYNC QUEUE METHODS (Rule 3 - offline queue)
+        // ========================================================================
+
+        async enqueueSyncEvent(event) {
+            if (!(await this._ready)) return false;
+            this._queue.items.push({
+                id: this._queue.nextId++,
+                event,
+                enqueuedAt: Date.now(),
+                attempts: 0
+            });
+            return this._saveQueue();
+        }
+
+        async dequeueSyncEvents(limit = 100) {
+            if (!(await this._ready)) return [];
+            return this._queue.items.slice(0, limit);
+        }
+
+        async removeSyncEvent(id) {
+            if (!(await this._ready)) return false;
+            this._queue.items = this._queue.items.filter(item => item.id !== id);
+            return this._saveQueue();
+        }
+
+        async getSyncQueueSize() {
+            if (!(await this._ready)) return 0;
+            return this._queue.items.length;
+        }
+
+        _saveQueue() {
+            try {
+                this._writeJsonAtomic('syncqueue.json', this._queue);
+                return true;
+            } catch (e) {
+                console.error('[FileBackend] Sync queue error:', e);
+                return false;
+            }
+        }
+
+        // ========================================================================
+        // SEGMENTS & INDEX
+        // ========================================================================
+
+        /**
+         * Reconcile index.json with the segment files on disk
+         */
+        _openSegments() {
+            const indexed = new Map(
+                (this._readJson('index.json')?.segments || []).map(s => [s.file, s])
+            );
+            const files = this._fs.readdirSync(this._file('segments'))
+                .filter(name => /^\d+\.jsonl$/.test(name))
+                .sort();
+
+            if (files.length > 0) {
+                this._repairTail(files[files.length - 1]);
+            }
+
+            this._segments = files.map(file => {
+                const size = this._fs.statSync(this._file('segments', file)).size;
+                const known = indexed.get(file);
+                return known && known.bytes === size ? { ...known } : this._scanSegment(file, size);
+            });
+
+            this._writeIndex();
+        }
+
+        /**
+         * Cut off a partially written final line (crash mid-append)
+         */
+        _repairTail(file) {
+            const filePath = this._file('segments', file);
+            const data = this._fs.readFileSync(filePath);
+            if (data.length === 0 || data[data.length - 1] === 0x0a) return;
+
+            const keep = data.lastIndexOf(0x0a) + 1;
+            console.warn(`[FileBackend] Truncating torn write in ${file} (${data.length - keep} bytes)`);
+            this._fs.truncateSync(filePath, keep);
+        }
+
+        _scanSegment(file, size) {
+            const segment = { file, count: 0, bytes: size, minClock: null, maxClock: null };
+
+            for (const event of this._readSegment(file)) {
+                const clock = event.logicalClock || 0;
+                segment.count++;
+                segment.minClock = Math.min(segment.minClock ?? Infinity, clock);
+                segment.maxClock = Math.max(segment.maxClock ?? -Infinity, clock);
+            }
+
+            return segment;
+        }
+
+        _readSegment(file) {
+            const lines = this._fs.readFileSync(this._file('segments', file), 'utf8').split('\n');
+            const events = [];
+
+            lines.forEach((line, i) => {
+                if (!line) return;
+                try {
+                    events.push(JSON.parse(line));
+                } catch (e) {
+                    // Never skip silently - a damaged segment needs attention
+                    throw new Error(`Corrupt event in segment ${file} at line ${i + 1}`);
+                }
+            });
+
+            return events;
+        }
+
+        _readEvents(segments) {
+            const events = [];
+            for (const segment of segments) {
+                for (const event of this._readSegment(segment.file)) {
+                    events.push(event);
+                }
+            }
+            return events.sort((a, b) => (a.logicalClock || 0) - (b.logicalClock || 0));
+        }
+
+        _startSegment() {
+            const last = this._segments[this._segments.length - 1];
+            const number = last ? parseInt(last.file, 10) + 1 : 1;
+            const segment = {
+                file: `${String(number).padStart(6, '0')}.jsonl`,
+                count: 0,
+                bytes: 0,
+                minClock: null,
+                maxClock: null
+            };
+            this._segments.push(segment);
+            return segment;
+        }
+
+        _ensureIds() {
+            if (this._ids) return;
+            this._ids = new Set();
+            for (const segment of this._segments) {
+                this._readSegment(segment.file).forEach(e => this._ids.add(e.id));
+            }
+        }
+
+        _writeIndex() {
+            this._writeJsonAtomic('index.json', {
+                version: 1,
+                updatedAt: new Date().toISOString(),
+                segments: this._segments
+            });
+        }
+
+        // ========================================================================
+        // FILE HELPERS
+        // ========================================================================
+
+        _file(...parts) {
+            return this._path.join(this._directory, ...parts);
+        }
+
+        _kvFile(key) {
+            return this._path.join('kv', `${encodeURIComponent(key)}.json`);
+        }
+
+        _snapshotFile(id) {
+            return this._path.join('snapshots', `${encodeURIComponent(id)}.json`);
+        }
+
+        _appendToFile(filePath, data) {
+            const fd = this._fs.openSync(filePath, 'a');
+            try {
+                this._fs.writeSync(fd, data);
+                if (this._options.fsync) this._fs.fsyncSync(fd);
+            } finally {
+                this._fs.closeSync(fd);
+            }
+        }
+
+        _writeJsonAtomic(relativePath, value) {
+            const target = this._file(relativePath);
+            const tmp = `${target}.tmp`;
+            const fd = this._fs.openSync(tmp, 'w');
+            try {
+                this._fs.writeSync(fd, JSON.stringify(value));
+                if (this._options.fsync) this._fs.fsyncSync(fd);
+            } finally {
+                this._fs.closeSync(fd);
+            }
+            this._fs.renameSync(tmp, target);
+        }
+
+        _readJson(relativePath) {
+            try {
+                return JSON.parse(this._fs.readFileSync(this._file(relativePath), 'utf8'));
+            } catch (e) {
+                return null;
+            }
+        }
+
+        _remove(relativePath) {
+            try {
+                this._fs.unlinkSync(this._file(relativePath));
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+    }
+
+    /**
+     * Load a Node built-in, or null in the browser
+     */
+    function loadNodeModule(name) {
+        try {
+            return typeof require === 'function' ? require(name) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ============================================================================
+    // NAMESPACES (one per workspace)
+    // ============================================================================
+
+    const DEFAULT_NAMESPACE = 'default';
+
+    /**
+     * Where a namespace lives in each backend
+     * Other namespaces use '@' in place of the prefix's trailing '_', so no
+     * namespace's keys start with another's prefix.
+     *
+     * @returns {Object} { dbName, prefix, directory }
+     */
+    function storageNames(options) {
+        const { namespace, prefix, directory } = options;
+        if (namespace === DEFAULT_NAMESPACE) {
+            return { dbName: 'eo_eventlog', prefix, directory };
+        }
+
+        const name = encodeURIComponent(namespace);
+        const path = loadNodeModule('path');
+        return {
+            dbName: `eo_eventlog@${name}`,
+            prefix: `${prefix.replace(/_$/, '')}@${name}_`,
+            directory: directory && path ? path.join(directory, 'workspaces', name) : directory
+        };
+    }
+
     // ============================================================================
     // PERSISTENCE MANAGER
     // ============================================================================
@@ -390,6 +942,10 @@
             this._options = {
                 backend: options.backend || 'auto',
                 prefix: options.prefix || 'eo_',
+                namespace: options.namespace || DEFAULT_NAMESPACE,
+                directory: options.directory || null,     // File backend (Node)
+                segmentSize: options.segmentSize,
+                fsync: options.fsync,
                 autoSave: options.autoSave !== false,
                 saveDebounce: options.saveDebounce || 1000,
                 onSave: options.onSave || null,
@@ -399,7 +955,10 @@
 
             // Initialize backend
             this._backend = null;
+            this._backendName = null;
             this._idbBackend = null;
+            this._fileBackend = null;
+            this._eventStore = null;   // Active backend with append-only event methods
             this._ready = this._initBackend();
 
             // Debounced save
@@ -412,20 +971,37 @@
         }
 
         async _initBackend() {
+            const names = storageNames(this._options);
+
             // Try IndexedDB first (larger storage, async)
             if (this._options.backend === 'auto' || this._options.backend === 'indexeddb') {
-                this._idbBackend = new IndexedDBBackend();
+                this._idbBackend = new IndexedDBBackend(names.dbName);
                 if (await this._idbBackend.isAvailable()) {
-                    this._backend = this._idbBackend;
+                    this._backend = this._eventStore = this._idbBackend;
+                    this._backendName = 'indexeddb';
+                    return true;
+                }
+            }
+
+            // Files when running under Node with a directory
+            if ((this._options.backend === 'auto' && this._options.directory) || this._options.backend === 'file') {
+                this._fileBackend = new FileBackend(names.directory, {
+                    segmentSize: this._options.segmentSize,
+                    fsync: this._options.fsync
+                });
+                if (await this._fileBackend.isAvailable()) {
+                    this._backend = this._eventStore = this._fileBackend;
+                    this._backendName = 'file';
                     return true;
                 }
             }
 
             // Fall back to localStorage
             if (this._options.backend === 'auto' || this._options.backend === 'localstorage') {
-                const lsBackend = new LocalStorageBackend(this._options.prefix);
+                const lsBackend = new LocalStorageBackend(names.prefix);
                 if (lsBackend.isAvailable()) {
                     this._backend = lsBackend;
+                    this._backendName = 'localstorage';
                     return true;
                 }
             }
@@ -475,13 +1051,13 @@
         async _onNewEvent(event) {
             if (!this._backend) return;
 
-            // For IndexedDB, use the specialized event log store
-            if (this._idbBackend && this._backend === this._idbBackend) {
-                await this._idbBackend.appendEvent(event);
+            // For IndexedDB and files, use the specialized event log store
+            if (this._eventStore) {
+                await this._eventStore.appendEvent(event);
 
                 // Also add to sync queue if configured
                 if (this._options.autoSync) {
-                    await this._idbBackend.enqueueSyncEvent(event);
+                    await this._eventStore.enqueueSyncEvent(event);
                 }
             } else {
                 // For localStorage, debounce full saves
@@ -515,6 +1091,8 @@
         async saveLog() {
             await this._ready;
             if (!this._backend || !this._eventLog) return false;
+            // Exporting only the tail would overwrite the stored history
+            if (this._eventLog.isPartial?.()) return false;
 
             try {
                 const exported = this._eventLog.export();
@@ -539,15 +1117,44 @@
 
         /**
          * Load the event log from persistence
+         *
+         * With options.since (the clock of a snapshot) and options.heads (its
+         * heads), an event store reads only the events after it; the result
+         * carries since/baseHeads so EventLog.import keeps it partial until
+         * loadHistory() supplies the rest.
          */
-        async loadLog() {
+        async loadLog(options = {}) {
             await this._ready;
             if (!this._backend) return null;
 
             try {
-                // For IndexedDB, get from event log store
-                if (this._idbBackend && this._backend === this._idbBackend) {
-                    const events = await this._idbBackend.getAllEvents();
+                if (this._eventStore && options.since) {
+                    const events = await this._eventStore.getEventsSince(options.since);
+                    const allParents = new Set();
+                    events.forEach(e => e.parents?.forEach(p => allParents.add(p)));
+                    const heads = [...(options.heads || []), ...events.map(e => e.id)]
+                        .filter(id => !allParents.has(id));
+
+                    this._options.onLoad?.({
+                        eventCount: events.length,
+                        source: this._backendName,
+                        since: options.since
+                    });
+
+                    return {
+                        version: 1,
+                        timestamp: new Date().toISOString(),
+                        logicalClock: events.reduce((max, e) => Math.max(max, e.logicalClock || 0), options.since),
+                        events,
+                        heads,
+                        since: options.since,
+                        baseHeads: options.heads || []
+                    };
+                }
+
+                // For IndexedDB and files, get from event log store
+                if (this._eventStore) {
+                    const events = await this._eventStore.getAllEvents();
                     if (events.length > 0) {
                         // Reconstruct log format
                         const allParents = new Set();
@@ -557,14 +1164,14 @@
                         const data = {
                             version: 1,
                             timestamp: new Date().toISOString(),
-                            logicalClock: Math.max(...events.map(e => e.logicalClock || 0)),
+                            logicalClock: events.reduce((max, e) => Math.max(max, e.logicalClock || 0), 0),
                             events,
                             heads
                         };
 
                         this._options.onLoad?.({
                             eventCount: events.length,
-                            source: 'indexeddb'
+                            source: this._backendName
                         });
 
                         return data;
@@ -590,6 +1197,109 @@
             }
         }
 
+        /**
+         * The stored events at or before a clock - the history a
+         * loadLog({ since }) left out
+         */
+        async loadHistory(through) {
+            await this._ready;
+            if (!this._eventStore) return [];
+
+            try {
+                const events = await this._eventStore.getAllEvents();
+                return events.filter(e => (e.logicalClock || 0) <= through);
+            } catch (err) {
+                this._options.onError?.({
+                    operation: 'load',
+                    error: err.message
+                });
+                return [];
+            }
+        }
+
+        // ========================================================================
+        // SNAPSHOTS (Derived state checkpoints)
+        // ========================================================================
+
+        /**
+         * Store a snapshot of derived state
+         */
+        async saveSnapshot(snapshot) {
+            await this._ready;
+            if (!this._backend) return false;
+
+            if (this._eventStore) {
+                return this._eventStore.putSnapshot(snapshot);
+            }
+
+            const snapshots = (await this._backend.get('snapshots')) || [];
+            const others = snapshots.filter(s => s.id !== snapshot.id);
+            return this._backend.set('snapshots', [...others, snapshot]);
+        }
+
+        /**
+         * Load all stored snapshots (oldest first)
+         */
+        async loadSnapshots() {
+            await this._ready;
+            if (!this._backend) return [];
+
+            if (this._eventStore) {
+                return this._eventStore.getSnapshots();
+            }
+
+            const snapshots = (await this._backend.get('snapshots')) || [];
+            return snapshots.sort((a, b) => a.logicalClock - b.logicalClock);
+        }
+
+        async deleteSnapshot(id) {
+            await this._ready;
+            if (!this._backend) return false;
+
+            if (this._eventStore) {
+                return this._eventStore.deleteSnapshot(id);
+            }
+
+            const snapshots = (await this._backend.get('snapshots')) || [];
+            return this._backend.set('snapshots', snapshots.filter(s => s.id !== id));
+        }
+
+        // ========================================================================
+        // BRANCHES (Branch-own events, see eo_branches.js)
+        // ========================================================================
+
+        async saveBranches(data) {
+            await this._ready;
+            if (!this._backend) return false;
+            return this._backend.set('branches', data);
+        }
+
+        async loadBranches() {
+            await this._ready;
+            if (!this._backend) return null;
+            return (await this._backend.get('branches')) || null;
+        }
+
+        // ========================================================================
+        // WORKSPACES (Catalog of this device's workspaces, see eo_workspaces.js)
+        // ========================================================================
+
+        getNamespace() {
+            return this._options.namespace;
+        }
+
+        async saveWorkspaces(data) {
+            await this._ready;
+            if (!this._backend) return false;
+            return this._backend.set('workspaces', data);
+        }
+
+        async loadWorkspaces() {
+            await this._ready;
+            if (!this._backend) return null;
+            return (await this._backend.get('workspaces')) || null;
+        }
+
         /**
          * Clear all persisted data
          */
@@ -598,14 +1308,20 @@
             if (!this._backend) return false;
 
             await this._backend.delete('eventlog');
+            await this._backend.delete('snapshots');
+            await this._backend.delete('branches');
             if (this._idbBackend) {
                 // Clear IndexedDB stores too
-                const tx = this._idbBackend._db?.transaction(['eventlog', 'syncqueue'], 'readwrite');
+                const tx = this._idbBackend._db?.transaction(['eventlog', 'syncqueue', 'snapshots'], 'readwrite');
                 if (tx) {
                     tx.objectStore('eventlog').clear();
                     tx.objectStore('syncqueue').clear();
+                    tx.objectStore('snapshots').clear();
                 }
             }
+            if (this._fileBackend) {
+                await this._fileBackend.clearEventLog();
+            }
 
             return true;
         }
@@ -619,8 +1335,8 @@
          */
         async getSyncQueue() {
             await this._ready;
-            if (this._idbBackend) {
-                return this._idbBackend.dequeueSyncEvents();
+            if (this._eventStore) {
+                return this._eventStore.dequeueSyncEvents();
             }
             return [];
         }
@@ -630,8 +1346,8 @@
          */
         async completeSyncEvent(id) {
             await this._ready;
-            if (this._idbBackend) {
-                return this._idbBackend.removeSyncEvent(id);
+            if (this._eventStore) {
+                return this._eventStore.removeSyncEvent(id);
             }
             return false;
         }
@@ -641,8 +1357,8 @@
          */
         async getSyncQueueSize() {
             await this._ready;
-            if (this._idbBackend) {
-                return this._idbBackend.getSyncQueueSize();
+            if (this._eventStore) {
+                return this._eventStore.getSyncQueueSize();
             }
             return 0;
         }
@@ -681,16 +1397,18 @@
 
             const stats = {
                 available: this._backend !== null,
-                backend: this._idbBackend && this._backend === this._idbBackend
-                    ? 'indexeddb'
-                    : 'localstorage',
+                backend: this._backendName,
+                namespace: this._options.namespace,
                 pendingSave: this._pendingSave,
                 connected: this._eventLog !== null
             };
 
-            if (this._idbBackend) {
-                stats.eventCount = await this._idbBackend.getEventCount();
-                stats.syncQueueSize = await this._idbBackend.getSyncQueueSize();
+            if (this._eventStore) {
+                stats.eventCount = await this._eventStore.getEventCount();
+                stats.syncQueueSize = await this._eventStore.getSyncQueueSize();
+            }
+            if (this._fileBackend) {
+                stats.directory = this._fileBackend.getDirectory();
             }
 
             if (this._backend) {
@@ -730,6 +1448,10 @@
         Persistence: EOPersistence,
         LocalStorageBackend,
         IndexedDBBackend,
+        FileBackend,
+
+        // Constants
+        DEFAULT_NAMESPACE,
 
         // Singleton
         get: getPersistence,
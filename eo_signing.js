@@ -0,0 +1,421 @@
+/**
+ * EO Signing
+ * Per-actor keypairs, event signatures and verification on receipt
+ *
+ * Implements:
+ * - Rule 2: Identity Must Not Be Laundered - `event.actor` is backed by a
+ *   signature from a key registered to that actor, so an event cannot
+ *   claim an author it does not have
+ * - Axiom 0: Public keys travel in the log as 'key:register' events
+ *
+ * A signature covers the event id (the content hash from generateEventId)
+ * together with the canonical form of the content it was derived from:
+ * type, actor, timestamp, parents, context and payload (plus frame and
+ * provenance for Meant events). The log-local logicalClock is not covered.
+ *
+ * Keys are ECDSA P-256 / SHA-256 through WebCrypto (window.crypto.subtle in
+ * browsers, crypto.webcrypto.subtle under Node).
+ *
+ * Trust: the first 'key:register' seen for an actor must be signed by the
+ * key it registers (trust on first use). Later keys for the same actor must
+ * be signed by a key the actor already holds.
+ *
+ * Usage:
+ *   const signer = await EOSigning.EventSigner.generate('user_1');
+ *   eventLog.append(await signer.registrationEvent(eventLog.getHeads()));
+ *   eventLog.append(await signer.sign({ type: 'given', actor: 'user_1', ... }));
+ *
+ *   const keyRing = new EOSigning.KeyRing();
+ *   await keyRing.loadFromLog(eventLog);
+ *   EOSyncProtocol.initEngine(eventLog, { keyRing });  // refuses unverifiable events
+ */
+
+(function(global) {
+    'use strict';
+
+    const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+    const SIGNATURE_DOMAIN = 'eo-event-signature-v1';
+    const KEY_REGISTER_ACTION = 'key:register';
+
+    const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+    // Bookkeeping events the sync layer appends itself carry no user
+    // authorship and are never signed. Exemption takes both the action and
+    // the system actor: a user action claiming 'system', or a sync record
+    // claiming a user, must still verify.
+    // ('key:register' is checked by trust on first use, see _learn.)
+    const DEFAULT_UNSIGNED_ACTIONS = ['sync:success', 'sync:failure', 'sync:refused'];
+    const DEFAULT_SYSTEM_ACTOR = 'system';
+
+    const REFUSAL = {
+        UNSIGNED: 'RULE_2: Unsigned event',
+        UNKNOWN_KEY: 'RULE_2: Unknown signing key',
+        WRONG_ACTOR: 'RULE_2: Signing key belongs to another actor',
+        INVALID: 'RULE_2: Invalid signature',
+        ALGORITHM: 'RULE_2: Unsupported signature algorithm'
+    };
+
+    // ============================================================================
+    // CANONICAL FORM
+    // ============================================================================
+
+    /**
+     * The part of an event a signature covers, in the form the log stores it
+     */
+    function signableContent(event) {
+        const content = {
+            id: event.id,
+            type: event.type || 'given',
+            actor: event.actor,
+            timestamp: event.timestamp,
+            parents: event.parents || [],
+            context: getEventLogModule().normalizeContext(event.context),
+            payload: event.payload || {}
+        };
+
+        if (content.type === 'meant') {
+            content.frame = event.frame || {};
+            content.provenance = event.provenance || [];
+            content.supersedes = event.supersedes || null;
+        }
+
+        return `${SIGNATURE_DOMAIN}\n${getEventLogModule().canonicalize(content)}`;
+    }
+
+    // ============================================================================
+    // CRYPTO HELPERS
+    // ============================================================================
+
+    function getSubtle() {
+        if (global.crypto?.subtle) return global.crypto.subtle;
+        if (typeof require === 'function') {
+            try {
+                return require('crypto').webcrypto.subtle;
+            } catch (e) {
+                // Fall through
+            }
+        }
+        throw new Error('WebCrypto is not available');
+    }
+
+    function getEventLogModule() {
+        if (typeof EOEventLog === 'undefined') {
+            throw new Error('EOEventLog is required for signing');
+        }
+        return EOEventLog;
+    }
+
+    function encode(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(text, 'base64'));
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Stable id for a public key (SHA-256 of its canonical JWK)
+     */
+    async function keyIdFor(publicKey) {
+        const { kty, crv, x, y } = publicKey;
+        const digest = await getSubtle().digest('SHA-256', encode(getEventLogModule().canonicalize({ kty, crv, x, y })));
+        const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `key_${hex.slice(0, 16)}`;
+    }
+
+    async function importPublicKey(publicKey) {
+        return getSubtle().importKey('jwk', publicKey, ECDSA_PARAMS, true, ['verify']);
+    }
+
+    async function verifySignature(cryptoKey, event) {
+        try {
+            return await getSubtle().verify(
+                SIGN_PARAMS,
+                cryptoKey,
+                fromBase64(event.signature.value),
+                encode(signableContent(event))
+            );
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // ============================================================================
+    // EVENT SIGNER
+    // ============================================================================
+
+    class EOEventSigner {
+        /**
+         * @param {string} actor
+         * @param {Object} keys - { publicKey (JWK), privateKey (CryptoKey) }
+         * @param {string} keyId - From keyIdFor(publicKey)
+         */
+        constructor(actor, keys, keyId) {
+            this._actor = actor;
+            this._publicKey = keys.publicKey;
+            this._privateKey = keys.privateKey;
+            this._keyId = keyId;
+        }
+
+        /**
+         * Create a signer with a fresh keypair
+         * The private key is not extractable unless asked for.
+         */
+        static async generate(actor, options = {}) {
+            const pair = await getSubtle().generateKey(ECDSA_PARAMS, options.extractable === true, ['sign', 'verify']);
+            const publicKey = await getSubtle().exportKey('jwk', pair.publicKey);
+            return new EOEventSigner(actor, { publicKey, privateKey: pair.privateKey }, await keyIdFor(publicKey));
+        }
+
+        get actor() {
+            return this._actor;
+        }
+
+        get keyId() {
+            return this._keyId;
+        }
+
+        get publicKey() {
+            return { ...this._publicKey };
+        }
+
+        /**
+         * Sign event data before it is appended
+         * Fixes the id and timestamp so the log stores exactly what was signed.
+         * @returns {Object} Event data with id, timestamp and signature
+         */
+        async sign(eventData) {
+            if (eventData.actor !== this._actor) {
+                throw new Error(`RULE_2: Signer for ${this._actor} cannot sign as ${eventData.actor}`);
+            }
+
+            const unsigned = { ...eventData };
+            delete unsigned.signature;
+            unsigned.timestamp = unsigned.timestamp || new Date().toISOString();
+            unsigned.id = unsigned.id || getEventLogModule().generateEventId(unsigned);
+
+            const value = await getSubtle().sign(SIGN_PARAMS, this._privateKey, encode(signableContent(unsigned)));
+
+            return {
+                ...unsigned,
+                signature: {
+                    algorithm: SIGNATURE_ALGORITHM,
+                    keyId: this._keyId,
+                    value: toBase64(value)
+                }
+            };
+        }
+
+        /**
+         * Signed 'key:register' event publishing this signer's public key
+         * Sign with `rotateWith` (a signer already registered to the actor)
+         * to add a key after the first.
+         */
+        async registrationEvent(parents = [], context = {}, rotateWith = null) {
+            const eventData = {
+                type: 'given',
+                actor: this._actor,
+                parents,
+                context: { workspace: 'default', schemaVersion: '1.0', ...context },
+                payload: {
+                    action: KEY_REGISTER_ACTION,
+                    keyId: this._keyId,
+                    algorithm: SIGNATURE_ALGORITHM,
+                    publicKey: this._publicKey
+                }
+            };
+            return (rotateWith || this).sign(eventData);
+        }
+    }
+
+    // ============================================================================
+    // KEY RING (Verification)
+    // ============================================================================
+
+    class EOKeyRing {
+        constructor(options = {}) {
+            this._options = {
+                unsignedActions: options.unsignedActions || DEFAULT_UNSIGNED_ACTIONS,
+                systemActor: options.systemActor || DEFAULT_SYSTEM_ACTOR
+            };
+
+            // keyId -> { actor, keyId, publicKey, cryptoKey }
+            this._keys = new Map();
+        }
+
+        /**
+         * Trust a public key for an actor
+         * @returns {string} keyId
+         */
+        async register(actor, publicKey) {
+            const keyId = await keyIdFor(publicKey);
+            const existing = this._keys.get(keyId);
+
+            if (existing && existing.actor !== actor) {
+                throw new Error(`Key ${keyId} is already registered to ${existing.actor}`);
+            }
+            if (!existing) {
+                this._keys.set(keyId, { actor, keyId, publicKey, cryptoKey: await importPublicKey(publicKey) });
+            }
+            return keyId;
+        }
+
+        /**
+         * Whether a key is registered to an actor (no crypto - see verify())
+         */
+        ownsKey(actor, keyId) {
+            return this._keys.get(keyId)?.actor === actor;
+        }
+
+        getKeyIds(actor) {
+            return Array.from(this._keys.values()).filter(k => k.actor === actor).map(k => k.keyId);
+        }
+
+        /**
+         * Check an event's signature against the registered keys
+         * @param {Object} event
+         * @param {Object} options - { requireSignature = true }
+         * @returns {Promise<Object>} { valid, reason }
+         */
+        async verify(event, options = {}) {
+            const requireSignature = options.requireSignature !== false;
+
+            if (!event.signature) {
+                const bookkeeping = event.actor === this._options.systemActor &&
+                    this._options.unsignedActions.includes(event.payload?.action);
+                if (!requireSignature || bookkeeping) {
+                    return { valid: true, reason: null };
+                }
+                return { valid: false, reason: REFUSAL.UNSIGNED };
+            }
+
+            if (event.signature.algorithm !== SIGNATURE_ALGORITHM) {
+                return { valid: false, reason: REFUSAL.ALGORITHM };
+            }
+
+            const key = this._keys.get(event.signature.keyId);
+            if (!key) {
+                return { valid: false, reason: REFUSAL.UNKNOWN_KEY };
+            }
+            if (key.actor !== event.actor) {
+                return { valid: false, reason: REFUSAL.WRONG_ACTOR };
+            }
+
+            const ok = await verifySignature(key.cryptoKey, event);
+            return ok ? { valid: true, reason: null } : { valid: false, reason: REFUSAL.INVALID };
+        }
+
+        /**
+         * Verify a batch in order, learning keys from 'key:register' events
+         * as they pass
+         * @returns {Promise<Object>} { verified: events[], refused: [{ id, reason }] }
+         */
+        async verifyAll(events, options = {}) {
+            const verified = [];
+            const refused = [];
+
+            for (const event of events) {
+                const result = event?.payload?.action === KEY_REGISTER_ACTION
+                    ? await this._learn(event)
+                    : await this.verify(event, options);
+
+                if (result.valid) {
+                    verified.push(event);
+                } else {
+                    refused.push({ id: event?.id, reason: result.reason });
+                }
+            }
+
+            return { verified, refused };
+        }
+
+        /**
+         * Learn the keys registered in a log
+         * @returns {Promise<number>} Keys learned
+         */
+        async loadFromLog(eventLog) {
+            const registrations = eventLog.getAll().filter(e => e.payload?.action === KEY_REGISTER_ACTION);
+            let learned = 0;
+            for (const event of registrations) {
+                if ((await this._learn(event)).valid) learned++;
+            }
+            return learned;
+        }
+
+        /**
+         * Register the key a 'key:register' event carries, if the event is
+         * signed by it (first key of the actor) or by a key the actor holds
+         */
+        async _learn(event) {
+            const { publicKey, keyId } = event.payload;
+            if (!event.signature || !publicKey) {
+                return { valid: false, reason: REFUSAL.UNSIGNED };
+            }
+
+            if (this.ownsKey(event.actor, keyId)) {
+                return this.verify(event);
+            }
+
+            if (this.getKeyIds(event.actor).length === 0 && event.signature.keyId === keyId) {
+                if (await keyIdFor(publicKey) !== keyId) {
+                    return { valid: false, reason: REFUSAL.INVALID };
+                }
+                if (!(await verifySignature(await importPublicKey(publicKey), event))) {
+                    return { valid: false, reason: REFUSAL.INVALID };
+                }
+            } else {
+                const result = await this.verify(event);
+                if (!result.valid) return result;
+            }
+
+            try {
+                await this.register(event.actor, publicKey);
+            } catch (e) {
+                return { valid: false, reason: REFUSAL.WRONG_ACTOR };
+            }
+            return { valid: true, reason: null };
+        }
+
+        export() {
+            return Array.from(this._keys.values()).map(({ actor, keyId, publicKey }) => ({ actor, keyId, publicKey }));
+        }
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOSigning = {
+        // Classes
+        EventSigner: EOEventSigner,
+        KeyRing: EOKeyRing,
+
+        // Helpers
+        signableContent,
+        keyIdFor,
+
+        // Constants
+        SIGNATURE_ALGORITHM,
+        KEY_REGISTER_ACTION,
+        REFUSAL
+    };
+
+    // Export to global scope
+    global.EOSigning = EOSigning;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOSigning;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,446 @@
+/**
+ * EO Snapshots
+ * Checkpoints of derived state for fast startup
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - a snapshot is a cache of f(Log), never a source
+ *   of truth. The log is not compacted or rewritten; a snapshot can be
+ *   deleted at any time and rebuilt by replay.
+ * - Rule 5: Views Are Local and Disposable - snapshots stay on this replica
+ *   and are never synced (Rule 6)
+ *
+ * Each snapshot is keyed by the log heads it was taken at plus a SHA-256
+ * content hash of the encoded state (EOAuditChain.sha256), so a damaged or
+ * edited snapshot fails verification and startup falls back to the previous
+ * one (or a full replay). EOComplianceChecker.verifySnapshot() compares a
+ * snapshot with a full replay of the log.
+ *
+ * Usage:
+ *   const snapshots = EOSnapshots.init(eventLog, { persistence });
+ *   const latest = await snapshots.loadLatestIntact();
+ *   // Only the events after it are read (EOPersistence.loadLog({ since }))
+ *   eventLog.import(await persistence.loadLog({ since: latest.logicalClock, heads: latest.heads }));
+ *   const derivation = EOStateDerivation.init(eventLog, {
+ *       snapshot: snapshots.restore(latest)   // null -> full replay
+ *   });
+ *   snapshots.attach(derivation);             // periodic snapshots from now on
+ *   // ...then eventLog.importHistory() and snapshots.verify(latest)
+ */
+
+(function(global) {
+    'use strict';
+
+    // 2: SHA-256 hashes (version 1 snapshots are skipped and rebuilt)
+    const SNAPSHOT_VERSION = 2;
+
+    // State keys that differ between two derivations of the same log
+    const VOLATILE_KEYS = ['_derivedAt'];
+
+    // ============================================================================
+    // STATE ENCODING (Maps/Sets <-> JSON)
+    // ============================================================================
+
+    /**
+     * Encode derived state as plain JSON
+     * Maps and Sets are tagged and sorted so equal states encode identically
+     * regardless of insertion order.
+     */
+    function encodeState(value) {
+        if (value instanceof Map) {
+            return {
+                __type: 'Map',
+                entries: Array.from(value.entries())
+                    .map(([k, v]) => [k, encodeState(v)])
+                    .sort((a, b) => compareKeys(a[0], b[0]))
+            };
+        }
+
+        if (value instanceof Set) {
+            return {
+                __type: 'Set',
+                values: Array.from(value)
+                    .map(encodeState)
+                    .sort(compareKeys)
+            };
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(encodeState);
+        }
+
+        if (value && typeof value === 'object') {
+            const encoded = {};
+            for (const key of Object.keys(value).sort()) {
+                if (VOLATILE_KEYS.includes(key) || value[key] === undefined) continue;
+                encoded[key] = encodeState(value[key]);
+            }
+            return encoded;
+        }
+
+        return value;
+    }
+
+    /**
+     * Decode state produced by encodeState()
+     */
+    function decodeState(value) {
+        if (Array.isArray(value)) {
+            return value.map(decodeState);
+        }
+
+        if (value && typeof value === 'object') {
+            if (value.__type === 'Map') {
+                return new Map(value.entries.map(([k, v]) => [k, decodeState(v)]));
+            }
+            if (value.__type === 'Set') {
+                return new Set(value.values.map(decodeState));
+            }
+
+            const decoded = {};
+            for (const [key, v] of Object.entries(value)) {
+                decoded[key] = decodeState(v);
+            }
+            return decoded;
+        }
+
+        return value;
+    }
+
+    function compareKeys(a, b) {
+        const sa = typeof a === 'string' ? a : JSON.stringify(a);
+        const sb = typeof b === 'string' ? b : JSON.stringify(b);
+        return sa < sb ? -1 : sa > sb ? 1 : 0;
+    }
+
+    // ============================================================================
+    // HASHING
+    // ============================================================================
+
+    /**
+     * SHA-256 of a string's UTF-8 bytes, as hex
+     */
+    function hashString(str) {
+        return getAuditChain().sha256(new TextEncoder().encode(str));
+    }
+
+    function getAuditChain() {
+        if (typeof EOAuditChain === 'undefined') {
+            throw new Error('EOAuditChain is required for snapshot hashes');
+        }
+        return EOAuditChain;
+    }
+
+    /**
+     * Hash of an encoded state
+     */
+    function hashState(encodedState) {
+        return hashString(JSON.stringify(encodedState));
+    }
+
+    /**
+     * Snapshot id: heads + content hash
+     */
+    function snapshotId(heads, stateHash) {
+        return `snap_${hashString([...heads].sort().join(',') + '|' + stateHash)}`;
+    }
+
+    // ============================================================================
+    // SNAPSHOT MANAGER
+    // ============================================================================
+
+    class EOSnapshotManager {
+        constructor(eventLog, options = {}) {
+            this._eventLog = eventLog;
+            this._derivation = null;
+            this._options = {
+                persistence: options.persistence || null,
+                interval: options.interval || 5000,   // Events between auto snapshots
+                keep: options.keep || 3,              // Snapshots retained
+                onSnapshot: options.onSnapshot || null,
+                onError: options.onError || null
+            };
+
+            this._snapshots = [];      // In-memory copies (newest last)
+            this._sinceLast = 0;
+            this._creating = null;
+            this._unsubscribe = null;
+        }
+
+        // ========================================================================
+        // CREATION
+        // ========================================================================
+
+        /**
+         * Attach a state derivation and take snapshots every `interval` events
+         */
+        attach(derivation) {
+            this.detach();
+            this._derivation = derivation;
+            this._sinceLast = 0;
+
+            this._unsubscribe = this._eventLog.subscribe(() => {
+                this._sinceLast++;
+                if (this._sinceLast >= this._options.interval && !this._creating) {
+                    // Let the derivation apply the event first
+                    setTimeout(() => this._autoSnapshot(), 0);
+                }
+            });
+
+            return this;
+        }
+
+        detach() {
+            if (this._unsubscribe) {
+                this._unsubscribe();
+                this._unsubscribe = null;
+            }
+        }
+
+        async _autoSnapshot() {
+            if (this._creating || this._sinceLast < this._options.interval) return;
+            // A partial log would record only the tail in eventCount
+            if (this._eventLog.isPartial?.()) return;
+            // Snapshots hold the merged state; wait until no frame is selected
+            if (this._derivation?.getFrame?.()) return;
+            try {
+                await this.createSnapshot();
+            } catch (err) {
+                this._options.onError?.({ operation: 'snapshot', error: err.message });
+            }
+        }
+
+        /**
+         * Snapshot the attached derivation's current state
+         * The derivation must have applied every event in the log.
+         */
+        async createSnapshot() {
+            if (!this._derivation) {
+                throw new Error('No state derivation attached');
+            }
+            if (!this._derivation.isInSync()) {
+                throw new Error('State derivation is behind the log');
+            }
+            if (this._derivation.getFrame?.()) {
+                throw new Error('State derivation is under an interpretation frame');
+            }
+
+            const snapshot = this.buildSnapshot(this._derivation.getState());
+
+            this._creating = (async () => {
+                await this._options.persistence?.saveSnapshot(snapshot);
+
+                this._snapshots.push(snapshot);
+                this._sinceLast = 0;
+                await this._prune();
+
+                this._options.onSnapshot?.({
+                    id: snapshot.id,
+                    logicalClock: snapshot.logicalClock,
+                    eventCount: snapshot.eventCount
+                });
+            })();
+
+            try {
+                await this._creating;
+            } finally {
+                this._creating = null;
+            }
+
+            return snapshot;
+        }
+
+        /**
+         * Build a snapshot object for a state at the log's current position
+         */
+        buildSnapshot(state) {
+            const heads = this._eventLog.getHeads().sort();
+            const encoded = encodeState(state);
+            const stateHash = hashState(encoded);
+
+            return {
+                version: SNAPSHOT_VERSION,
+                id: snapshotId(heads, stateHash),
+                logicalClock: this._eventLog.getClock(),
+                heads,
+                eventCount: this._eventLog.getAll().length,
+                stateHash,
+                createdAt: new Date().toISOString(),
+                state: encoded
+            };
+        }
+
+        async _prune() {
+            const excess = this._snapshots.length - this._options.keep;
+            if (excess <= 0) return;
+
+            const removed = this._snapshots.splice(0, excess);
+            for (const snapshot of removed) {
+                await this._options.persistence?.deleteSnapshot(snapshot.id);
+            }
+        }
+
+        // ========================================================================
+        // VERIFICATION & LOADING
+        // ========================================================================
+
+        /**
+         * Check a snapshot's integrity and that it belongs to this log
+         * @returns {Object} { valid, reason }
+         */
+        verify(snapshot) {
+            const intact = this._checkIntact(snapshot);
+            if (!intact.valid) {
+                return intact;
+            }
+
+            if (snapshot.logicalClock > this._eventLog.getClock()) {
+                return { valid: false, reason: 'ahead_of_log' };
+            }
+
+            // The heads must be in the log, at or before the snapshot's clock
+            const headsInLog = snapshot.heads.every(id => {
+                const event = this._eventLog.get(id);
+                return event && event.logicalClock <= snapshot.logicalClock;
+            });
+            if (!headsInLog) {
+                return { valid: false, reason: 'heads_not_in_log' };
+            }
+
+            return { valid: true, reason: null };
+        }
+
+        /**
+         * The checks that need only the snapshot: version, hash and id
+         */
+        _checkIntact(snapshot) {
+            if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+                return { valid: false, reason: 'unknown_version' };
+            }
+
+            if (hashState(snapshot.state) !== snapshot.stateHash) {
+                return { valid: false, reason: 'state_hash_mismatch' };
+            }
+
+            if (snapshotId(snapshot.heads, snapshot.stateHash) !== snapshot.id) {
+                return { valid: false, reason: 'id_mismatch' };
+            }
+
+            return { valid: true, reason: null };
+        }
+
+        /**
+         * Load the newest snapshot that passes verification
+         * Invalid snapshots are skipped (and reported), never repaired.
+         */
+        async loadLatestValid() {
+            return this._loadLatest(snapshot => this.verify(snapshot));
+        }
+
+        /**
+         * Load the newest snapshot that is intact, before the log is loaded,
+         * so only the events after it need reading. verify() it once the
+         * whole log is in.
+         */
+        async loadLatestIntact() {
+            return this._loadLatest(snapshot => this._checkIntact(snapshot));
+        }
+
+        async _loadLatest(check) {
+            const stored = await this._options.persistence?.loadSnapshots() || [];
+            const candidates = [...stored, ...this._snapshots]
+                .sort((a, b) => b.logicalClock - a.logicalClock);
+
+            for (const snapshot of candidates) {
+                const { valid, reason } = check(snapshot);
+                if (valid) {
+                    if (!this._snapshots.some(s => s.id === snapshot.id)) {
+                        this._snapshots.push(snapshot);
+                        this._snapshots.sort((a, b) => a.logicalClock - b.logicalClock);
+                    }
+                    return snapshot;
+                }
+
+                this._options.onError?.({
+                    operation: 'verify',
+                    snapshotId: snapshot?.id,
+                    error: reason
+                });
+            }
+
+            return null;
+        }
+
+        /**
+         * Turn a snapshot into the form EOStateDerivation.init() hydrates from
+         */
+        restore(snapshot) {
+            if (!snapshot) return null;
+            return {
+                state: decodeState(snapshot.state),
+                logicalClock: snapshot.logicalClock
+            };
+        }
+
+        getLatest() {
+            return this._snapshots[this._snapshots.length - 1] || null;
+        }
+
+        getStats() {
+            const latest = this.getLatest();
+            return {
+                count: this._snapshots.length,
+                latestId: latest?.id || null,
+                latestClock: latest?.logicalClock ?? null,
+                eventsSinceLatest: latest ? this._eventLog.getClock() - latest.logicalClock : null,
+                interval: this._options.interval
+            };
+        }
+    }
+
+    // ============================================================================
+    // SINGLETON INSTANCE
+    // ============================================================================
+
+    let _instance = null;
+
+    function getSnapshotManager() {
+        return _instance;
+    }
+
+    function initSnapshotManager(eventLog, options = {}) {
+        _instance?.detach();
+        _instance = new EOSnapshotManager(eventLog, options);
+        return _instance;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOSnapshots = {
+        // Classes
+        SnapshotManager: EOSnapshotManager,
+
+        // Encoding & hashing
+        encodeState,
+        decodeState,
+        hashState,
+        snapshotId,
+
+        // Constants
+        SNAPSHOT_VERSION,
+
+        // Singleton
+        get: getSnapshotManager,
+        init: initSnapshotManager
+    };
+
+    // Export to global scope
+    global.EOSnapshots = EOSnapshots;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOSnapshots;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
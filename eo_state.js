@@ -177,8 +177,10 @@
             // Update state
             this._state[key] = value;
 
-            // Add to history
-            this._addToHistory(key, previousValue, value);
+            // Add to history (only without a log - there undo is log-based)
+            if (!this._logUndo()) {
+                this._addToHistory(key, previousValue, value);
+            }
 
             // Notify subscribers
             this._notify(key, value, previousValue);
@@ -271,10 +273,24 @@
             }
         }
 
+        /**
+         * Undo manager over the event log, if one is running
+         * With it, undo/redo append compensating events for the current user
+         * (Axiom 0, Rule 2); the key-snapshot history is for pages without a log.
+         */
+        _logUndo() {
+            return typeof EOUndo !== 'undefined' ? EOUndo.get() : null;
+        }
+
         /**
          * Undo last state change
          */
         undo() {
+            const logUndo = this._logUndo();
+            if (logUndo) {
+                return logUndo.undo(this._state.user?.id).success === true;
+            }
+
             if (this._historyIndex < 0) return false;
 
             const entry = this._history[this._historyIndex];
@@ -289,6 +305,11 @@
          * Redo undone state change
          */
         redo() {
+            const logUndo = this._logUndo();
+            if (logUndo) {
+                return logUndo.redo(this._state.user?.id).success === true;
+            }
+
             if (this._historyIndex >= this._history.length - 1) return false;
 
             this._historyIndex++;
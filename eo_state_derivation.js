@@ -13,11 +13,25 @@
  * To change state:
  *   log.append({ type: 'given', actor: 'user', payload: {...} });
  *   // State automatically recomputes via subscription
+ *
+ * Scoped subscriptions (only called when an event touches the scope):
+ *   derivation.subscribe(render, { type: 'records', setId });
+ *   derivation.getIndex().getRecordIdsWithField(setId, fieldName);
+ *
+ * Time travel (audits):
+ *   EOStateDerivation.deriveAsOf(log, eventIdOrClockOrTimestamp);
+ *   EOStateDerivation.diff(log, from, to);   // changes + the events behind them
+ *
+ * Interpretation frames (competing Meant events):
+ *   derivation.setFrame('finance_reconciliation');   // null for merged
+ *   EOStateDerivation.compareFrames(log, 'finance_reconciliation', 'compliance');
  */
 
 (function(global) {
     'use strict';
 
+    // sync-lint-disable-file AXIOM_0, RULE_9 -- the reducers are the one writer of derived state
+
     // ============================================================================
     // REDUCER FUNCTIONS (Event -> State transformations)
     // ============================================================================
@@ -33,11 +47,12 @@
 
         'set:create': (state, event) => {
             const { setId, name, schema, records } = event.payload;
+            // Copies, so later handlers never write into the frozen event's payload
             const newSet = {
                 setId,
                 name,
-                schema: schema || { fields: [] },
-                records: new Map(records?.map(r => [r.record_id, r]) || []),
+                schema: { ...schema, fields: (schema?.fields || []).map(f => ({ ...f })) },
+                records: new Map(records?.map(r => [r.record_id, copyRecord(r)]) || []),
                 createdAt: event.timestamp,
                 createdBy: event.actor,
                 _eventId: event.id
@@ -72,7 +87,7 @@
             const set = state.sets.get(setId);
             if (set) {
                 set.records.set(record.record_id, {
-                    ...record,
+                    ...copyRecord(record),
                     createdAt: event.timestamp,
                     createdBy: event.actor,
                     _eventId: event.id
@@ -115,6 +130,61 @@
             return state;
         },
 
+        'record:merge': (state, event) => {
+            const { setId, recordIds, record, markSuperseded, hideSuperseded } = event.payload;
+            const set = state.sets.get(setId);
+            if (!set) return state;
+
+            set.records.set(record.record_id, {
+                ...copyRecord(record),
+                _mergedFrom: recordIds,
+                _mergedAt: event.timestamp,
+                createdAt: event.timestamp,
+                createdBy: event.actor,
+                _eventId: event.id
+            });
+
+            // Inputs stay in the set, marked as superseded (Rule 9)
+            if (markSuperseded !== false) {
+                recordIds.forEach(id => {
+                    const input = set.records.get(id);
+                    if (!input) return;
+                    input._supersededBy = record.record_id;
+                    input._supersededAt = event.timestamp;
+                    if (hideSuperseded) input._hidden = true;
+                });
+            }
+            return state;
+        },
+
+        'record:split': (state, event) => {
+            const { setId, recordId, records, markSplit, hideOriginal } = event.payload;
+            const set = state.sets.get(setId);
+            const original = set?.records.get(recordId);
+            if (!original) return state;
+
+            // Each output inherits the original's fields, then its own overrides
+            records.forEach((output, index) => {
+                set.records.set(output.record_id, {
+                    record_id: output.record_id,
+                    fields: { ...original.fields, ...output.fields },
+                    _splitFrom: recordId,
+                    _splitAt: event.timestamp,
+                    _splitIndex: index,
+                    createdAt: event.timestamp,
+                    createdBy: event.actor,
+                    _eventId: event.id
+                });
+            });
+
+            if (markSplit !== false) {
+                original._splitInto = records.map(r => r.record_id);
+                original._splitAt = event.timestamp;
+                if (hideOriginal) original._hidden = true;
+            }
+            return state;
+        },
+
         // ========================================================================
         // CELL ACTIONS (SUP-aware)
         // ========================================================================
@@ -173,6 +243,79 @@
             return state;
         },
 
+        // ========================================================================
+        // CONFLICT ACTIONS (Rule 4 - recorded, resolved by Meant events)
+        // ========================================================================
+
+        'conflict:detected': (state, event) => {
+            const { conflictId, conflictType, events, target } = event.payload;
+            if (state.conflicts.has(conflictId)) return state;
+
+            state.conflicts.set(conflictId, {
+                conflictId,
+                conflictType,
+                events,
+                target,
+                status: 'open',
+                detectedAt: event.timestamp,
+                _eventId: event.id
+            });
+            return state;
+        },
+
+        'conflict:resolve': (state, event) => {
+            const { conflictId, setId, recordId, fieldName, value } = event.payload;
+
+            const conflict = state.conflicts.get(conflictId);
+            if (conflict) {
+                conflict.status = 'resolved';
+                conflict.resolvedAt = event.timestamp;
+                conflict.resolvedBy = event.actor;
+                conflict.resolutionEventId = event.id;
+            }
+
+            // Cell-level resolution: the chosen value becomes the cell value.
+            // The competing observations remain in the log as provenance.
+            if (!fieldName || !('value' in event.payload)) return state;
+
+            const record = state.sets.get(setId)?.records.get(recordId);
+            if (!record) return state;
+
+            const cellId = `${recordId}_field_${fieldName}`;
+            if (!record.cells) record.cells = [];
+
+            let cell = record.cells.find(c => c.cell_id === cellId);
+            if (!cell) {
+                cell = {
+                    cell_id: cellId,
+                    record_id: recordId,
+                    field_name: fieldName,
+                    values: [],
+                    created_at: event.timestamp
+                };
+                record.cells.push(cell);
+            }
+
+            cell.values = [{
+                value,
+                timestamp: event.timestamp,
+                source: 'conflict_resolution',
+                context_schema: {
+                    method: 'declared',
+                    scale: 'individual',
+                    agent: { type: 'person', id: event.actor }
+                },
+                _eventId: event.id,
+                _provenance: event.provenance
+            }];
+            cell.updated_at = event.timestamp;
+
+            if (!record.fields) record.fields = {};
+            record.fields[fieldName] = value;
+
+            return state;
+        },
+
         // ========================================================================
         // VIEW ACTIONS
         // ========================================================================
@@ -183,7 +326,7 @@
                 viewId,
                 setId,
                 name,
-                config: config || {},
+                config: { ...config },
                 createdAt: event.timestamp,
                 createdBy: event.actor,
                 _eventId: event.id
@@ -195,10 +338,60 @@
             const { viewId, updates } = event.payload;
             const view = state.views.get(viewId);
             if (view) {
-                Object.assign(view, updates, {
+                // Config changes are partial - keys not in the update are kept
+                const { config, ...rest } = updates;
+                Object.assign(view, rest, {
                     updatedAt: event.timestamp,
                     updatedBy: event.actor
                 });
+                if (config) {
+                    view.config = { ...view.config, ...config };
+                }
+            }
+            return state;
+        },
+
+        'view:delete': (state, event) => {
+            const { viewId } = event.payload;
+            state.views.delete(viewId);
+            if (state.currentViewId === viewId) {
+                state.currentViewId = null;
+            }
+            return state;
+        },
+
+        'view:clone': (state, event) => {
+            const { viewId, sourceViewId, name } = event.payload;
+            const source = state.views.get(sourceViewId);
+            if (!source) return state;
+
+            const config = JSON.parse(JSON.stringify(source.config || {}));
+            config.provenance = {
+                ...config.provenance,
+                createdBy: event.actor,
+                createdAt: event.timestamp,
+                updatedAt: null,
+                derivedFromViewIds: [sourceViewId],
+                notes: `Cloned from ${source.name}`
+            };
+
+            state.views.set(viewId, {
+                viewId,
+                setId: source.setId,
+                name: name || `${source.name} (copy)`,
+                config,
+                createdAt: event.timestamp,
+                createdBy: event.actor,
+                _eventId: event.id
+            });
+            return state;
+        },
+
+        'view:field:show': (state, event) => {
+            const { viewId, fieldName } = event.payload;
+            const view = state.views.get(viewId);
+            if (view) {
+                showFieldInView(view, fieldName);
             }
             return state;
         },
@@ -208,6 +401,56 @@
             return state;
         },
 
+        // ========================================================================
+        // LINK AND ROLLUP DEFINITIONS (kept on the view's config)
+        // ========================================================================
+
+        'link:define': (state, event) => {
+            const { viewId, link } = event.payload;
+            const view = state.views.get(viewId);
+            if (view) {
+                view.config.relationships = upsertById(view.config.relationships, {
+                    ...link,
+                    definedBy: event.actor,
+                    definedAt: event.timestamp,
+                    _eventId: event.id
+                });
+            }
+            return state;
+        },
+
+        'link:remove': (state, event) => {
+            const { viewId, linkId } = event.payload;
+            const view = state.views.get(viewId);
+            if (view?.config.relationships) {
+                view.config.relationships = view.config.relationships.filter(l => l.id !== linkId);
+            }
+            return state;
+        },
+
+        'rollup:define': (state, event) => {
+            const { viewId, rollup } = event.payload;
+            const view = state.views.get(viewId);
+            if (view) {
+                view.config.rollups = upsertById(view.config.rollups, {
+                    ...rollup,
+                    definedBy: event.actor,
+                    definedAt: event.timestamp,
+                    _eventId: event.id
+                });
+            }
+            return state;
+        },
+
+        'rollup:remove': (state, event) => {
+            const { viewId, rollupId } = event.payload;
+            const view = state.views.get(viewId);
+            if (view?.config.rollups) {
+                view.config.rollups = view.config.rollups.filter(r => r.id !== rollupId);
+            }
+            return state;
+        },
+
         // ========================================================================
         // FIELD/SCHEMA ACTIONS
         // ========================================================================
@@ -238,6 +481,84 @@
             return state;
         },
 
+        'field:merge': (state, event) => {
+            const { setId, fieldNames, field, strategy, deprecateOldFields } = event.payload;
+            const set = state.sets.get(setId);
+            if (!set) return state;
+
+            if (!set.schema) set.schema = { fields: [] };
+            if (!set.schema.fields) set.schema.fields = [];
+            const canonical = fieldKey(field);
+
+            if (!set.schema.fields.some(f => fieldKey(f) === canonical)) {
+                set.schema.fields.push({
+                    ...field,
+                    createdAt: event.timestamp,
+                    createdBy: event.actor
+                });
+                state.views.forEach(view => {
+                    if (view.setId === setId) showFieldInView(view, canonical);
+                });
+            }
+
+            // Values are recomputed from the records as they stand at this
+            // event, so replay gives the same result as the original merge
+            set.records.forEach(record => {
+                const values = fieldNames
+                    .map(name => record.fields?.[name])
+                    .filter(v => v !== undefined && v !== null && v !== '');
+                if (values.length === 0) return;
+
+                if (!record.fields) record.fields = {};
+                if (strategy === 'concat') {
+                    record.fields[canonical] = values.join('; ');
+                } else if (strategy === 'coalesce') {
+                    record.fields[canonical] = record.fields[canonical] || values[0];
+                } else if (!strategy || strategy === 'first') {
+                    record.fields[canonical] = values[0];
+                }
+            });
+
+            // Old fields stay in the schema for provenance
+            if (deprecateOldFields !== false) {
+                set.schema.fields.forEach(f => {
+                    const key = fieldKey(f);
+                    if (fieldNames.includes(key) && key !== canonical) {
+                        f._deprecated = true;
+                        f._deprecatedAt = event.timestamp;
+                        f._mergedInto = canonical;
+                    }
+                });
+            }
+            return state;
+        },
+
+        // ========================================================================
+        // STRUCTURAL OPERATIONS (see eo_structural_operations.js)
+        // ========================================================================
+
+        'operation:create': (state, event) => {
+            const { operation } = event.payload;
+            if (!state.structuralOperations) state.structuralOperations = new Map();
+            state.structuralOperations.set(operation.id, {
+                ...operation,
+                _eventId: event.id
+            });
+            return state;
+        },
+
+        'operation:update': (state, event) => {
+            const { operationId, updates } = event.payload;
+            const operation = state.structuralOperations?.get(operationId);
+            if (operation) {
+                Object.assign(operation, updates, {
+                    updatedAt: event.timestamp,
+                    updatedBy: event.actor
+                });
+            }
+            return state;
+        },
+
         // ========================================================================
         // TOSS PILE ACTIONS (Tombstone pattern - Rule 9)
         // ========================================================================
@@ -311,6 +632,86 @@
             return state;
         },
 
+        // ========================================================================
+        // BRANCH ACTIONS (see eo_branches.js)
+        // ========================================================================
+
+        'branch:create': (state, event) => {
+            const { name, forkEventId, forkClock, description } = event.payload;
+            if (!state.branches) state.branches = new Map();
+            state.branches.set(name, {
+                name,
+                status: 'open',
+                forkEventId,
+                forkClock,
+                description,
+                createdBy: event.actor,
+                createdAt: event.timestamp,
+                merges: [],
+                _eventId: event.id
+            });
+            return state;
+        },
+
+        'branch:merge': (state, event) => {
+            const { name, mergedEvents, conflictCount } = event.payload;
+            const branch = state.branches?.get(name);
+            if (branch) {
+                branch.status = 'merged';
+                branch.merges.push({
+                    mergedEvents,
+                    conflictCount,
+                    mergedBy: event.actor,
+                    mergedAt: event.timestamp,
+                    _eventId: event.id
+                });
+            }
+            return state;
+        },
+
+        // ========================================================================
+        // CROSS-WORKSPACE REFERENCES (see eo_workspaces.js)
+        // Read-only: the foreign record's content stays in the content store
+        // ========================================================================
+
+        'xref:link': (state, event) => {
+            const { refId, setId, recordId, fieldName, target, content, provenance } = event.payload;
+            if (!state.references) state.references = new Map();
+            state.references.set(refId, {
+                refId,
+                setId,
+                recordId,
+                fieldName,
+                target,
+                content,
+                provenance,
+                readOnly: true,
+                linkedBy: event.actor,
+                linkedAt: event.timestamp,
+                _eventId: event.id
+            });
+            return state;
+        },
+
+        'xref:refresh': (state, event) => {
+            const { refId, content, provenance } = event.payload;
+            const reference = state.references?.get(refId);
+            if (reference) {
+                Object.assign(reference, {
+                    content,
+                    provenance,
+                    refreshedBy: event.actor,
+                    refreshedAt: event.timestamp
+                });
+            }
+            return state;
+        },
+
+        'xref:unlink': (state, event) => {
+            state.references?.delete(event.payload.refId);
+            return state;
+        },
+
         // ========================================================================
         // IMPORT ACTIONS
         // ========================================================================
@@ -387,55 +788,528 @@
     }
 
     /**
-     * Create initial empty state
+     * A schema field's key in record.fields - legacy fields carry an id,
+     * fields created through field:create only a name
      */
-    function createInitialState() {
-        return {
-            // Core data
-            sets: new Map(),
-            currentSetId: null,
+    function fieldKey(field) {
+        return field.id || field.name;
+    }
 
-            // Views
-            views: new Map(),
-            currentViewId: null,
+    /**
+     * Copy a payload record so its fields can be edited in derived state
+     */
+    function copyRecord(record) {
+        return record.fields ? { ...record, fields: { ...record.fields } } : { ...record };
+    }
 
-            // Entities
-            entities: new Map(),
+    /**
+     * Make a field visible in a derived view (mirrors addFieldToView)
+     * Arrays are replaced, not pushed to - they may belong to an event payload.
+     */
+    function showFieldInView(view, fieldName) {
+        const config = view.config || (view.config = {});
+        if (Array.isArray(config.visibleFieldIds) && !config.visibleFieldIds.includes(fieldName)) {
+            config.visibleFieldIds = [...config.visibleFieldIds, fieldName];
+        }
+        if (Array.isArray(config.columnOrder) && !config.columnOrder.includes(fieldName)) {
+            config.columnOrder = [...config.columnOrder, fieldName];
+        }
+        if (Array.isArray(config.hiddenFields)) {
+            config.hiddenFields = config.hiddenFields.filter(f => f !== fieldName);
+        }
+    }
 
-            // Selection
-            selectedRecordIds: new Set(),
-            lastSelectedRecordId: null,
+    /**
+     * Replace the entry with the same id, or append it
+     */
+    function upsertById(list, entry) {
+        const rest = (list || []).filter(item => item.id !== entry.id);
+        return [...rest, entry];
+    }
 
-            // Toss Pile
-            tossPile: {
-                entries: new Map(),
-                actions: new Map(),
-                settings: {
-                    showGhosts: true,
-                    ghostMaxAge: null,
-                    panelOpen: false
-                }
-            },
+    /**
+     * Apply one event to a state object using the registered handlers
+     */
+    function applyEventToState(state, event) {
+        const action = event.payload?.action;
+        const handler = ACTION_HANDLERS[action];
+
+        if (handler) {
+            try {
+                handler(state, event);
+            } catch (err) {
+                console.error(`[EOStateDerivation] Error applying ${action}:`, err);
+            }
+        } else if (action) {
+            // Unknown action - log for debugging but don't fail
+            console.debug(`[EOStateDerivation] No handler for action: ${action}`);
+        }
 
-            // User
-            user: {
-                id: null,
-                name: null,
-                preferences: {}
-            },
+        return state;
+    }
 
-            // UI
-            ui: {
-                sidebarOpen: true,
-                sidebarWidth: 280,
-                activePanels: new Set(),
-                modals: [],
-                notifications: []
-            },
+    /**
+     * Replay the log into a fresh state object
+     * Pure function of the log - does not touch any derivation instance.
+     *
+     * @param {Object} eventLog
+     * @param {Object} [options]
+     * @param {number} [options.upToClock] - Only replay events up to this logical
+     *   clock, as the log stood then (later tombstones are ignored)
+     * @param {string} [options.frame] - Only apply Meant events interpreting
+     *   under this frame purpose (see frameFilter)
+     * @param {string} [options.ancestorsOf] - Only replay the causal ancestors
+     *   of this event: the state its author saw when making it
+     */
+    function replayLog(eventLog, options = {}) {
+        const upToClock = options.upToClock ?? Infinity;
+        const ancestors = options.ancestorsOf ? causalAncestors(eventLog, options.ancestorsOf) : null;
+        const events = eventLog.getTopologicalOrder()
+            .filter(e => e.logicalClock <= upToClock && (!ancestors || ancestors.has(e.id)));
+        const inFrame = frameFilter(events, options.frame);
+
+        // Collect tombstoned targets once instead of scanning the log per event
+        const tombstoned = new Set(
+            events
+                .filter(e => e.payload?.action === 'tombstone')
+                .map(e => e.payload.targetId)
+        );
 
-            // Imports
+        const state = createInitialState();
+
+        for (const event of events) {
+            // Skip tombstoned events in state derivation
+            if (tombstoned.has(event.id) || !inFrame(event)) {
+                continue;
+            }
+
+            applyEventToState(state, event);
+        }
+
+        state._lastEventId = events.length > 0 ? events[events.length - 1].id : null;
+        state._derivedAt = new Date().toISOString();
+        state._frame = options.frame || null;
+
+        return state;
+    }
+
+    /**
+     * Ids of every event an event descends from (not including itself)
+     */
+    function causalAncestors(eventLog, eventId) {
+        const ancestors = new Set();
+        const queue = [...(eventLog.get(eventId)?.parents || [])];
+
+        while (queue.length > 0) {
+            const id = queue.pop();
+            if (ancestors.has(id)) continue;
+            ancestors.add(id);
+            queue.push(...(eventLog.get(id)?.parents || []));
+        }
+        return ancestors;
+    }
+
+    // ============================================================================
+    // INTERPRETATION FRAMES (Competing Meant events - Rule 5)
+    // ============================================================================
+
+    /**
+     * Which events count when deriving under a frame purpose
+     * Given events always count. Meant events count only in their own frame,
+     * and not once superseded within it (as getActiveInterpretations).
+     * Without a frame every event counts - the merged state.
+     *
+     * @returns {Function} (event) => boolean
+     */
+    function frameFilter(events, frame) {
+        if (!frame) return () => true;
+
+        const superseded = new Set(events
+            .filter(e => e.supersedes && e.frame?.purpose === frame)
+            .map(e => e.supersedes));
+
+        return (event) => event.type !== 'meant' ||
+            (event.frame?.purpose === frame && !superseded.has(event.id));
+    }
+
+    /**
+     * List the frames Meant events in the log interpret under
+     * @returns {Array} [{ purpose, eventCount, activeCount, actors, lastAt }]
+     */
+    function listFrames(eventLog) {
+        const frames = new Map();
+
+        for (const event of eventLog.getAll()) {
+            const purpose = event.type === 'meant' ? event.frame?.purpose : null;
+            if (!purpose) continue;
+
+            if (!frames.has(purpose)) {
+                frames.set(purpose, { purpose, eventCount: 0, activeCount: 0, actors: [], lastAt: null });
+            }
+            const frame = frames.get(purpose);
+            frame.eventCount++;
+            if (!frame.actors.includes(event.actor)) frame.actors.push(event.actor);
+            if (!frame.lastAt || event.timestamp > frame.lastAt) frame.lastAt = event.timestamp;
+        }
+
+        frames.forEach(frame => {
+            frame.activeCount = eventLog.getActiveInterpretations(frame.purpose).length;
+        });
+
+        return Array.from(frames.values()).sort((a, b) => a.purpose.localeCompare(b.purpose));
+    }
+
+    /**
+     * Derive the workspace under a frame (null for the merged state)
+     */
+    function deriveInFrame(eventLog, frame) {
+        return replayLog(eventLog, { frame });
+    }
+
+    /**
+     * Compare two frames over the same Given data
+     * Each difference lists the Meant events of either frame behind it.
+     *
+     * @param {string|null} left - Frame purpose, or null for the merged state
+     * @param {string|null} right
+     * @returns {Object} { left, right, events, sets, records, fields, cells }
+     *   cells: [{ setId, recordId, fieldName, left, right, events }]
+     */
+    function compareFrames(eventLog, left, right) {
+        const leftState = deriveInFrame(eventLog, left);
+        const rightState = deriveInFrame(eventLog, right);
+
+        const all = eventLog.getAll();
+        const leftFilter = frameFilter(all, left);
+        const rightFilter = frameFilter(all, right);
+        // Events counted in one frame but not the other explain the differences
+        const differing = all.filter(e => e.type === 'meant' && leftFilter(e) !== rightFilter(e));
+
+        const { sets, records, fields, cells } = compareStates(eventLog, leftState, rightState, differing);
+
+        return {
+            left,
+            right,
+            events: differing.map(e => e.id),
+            sets,
+            records,
+            fields,
+            cells: cells.map(({ before, after, events, ...cell }) => ({ ...cell, left: before, right: after, events }))
+        };
+    }
+
+    // ============================================================================
+    // TIME TRAVEL (State as of a past point, and what changed between two)
+    // ============================================================================
+
+    // Actions without a recordId that can change every record in their set
+    const SET_WIDE_ACTIONS = ['set:create', 'field:merge'];
+
+    /**
+     * Resolve a point in the log's history
+     *
+     * @param {Object} eventLog
+     * @param {string|number|Date|null} point - Event id, logical clock, or a
+     *   timestamp (Date or ISO string); null means the head. A timestamp selects
+     *   the longest log prefix whose events are all at or before it, so clock
+     *   skew between replicas never pulls in an event without its parents.
+     * @returns {Object} { logicalClock, eventId, timestamp }
+     */
+    function resolvePoint(eventLog, point) {
+        const events = eventLog.getAll();
+        let clock;
+
+        if (point === null || point === undefined) {
+            clock = eventLog.getClock();
+        } else if (typeof point === 'number') {
+            clock = Math.max(0, Math.min(point, eventLog.getClock()));
+        } else if (typeof point === 'string' && eventLog.get(point)) {
+            clock = eventLog.get(point).logicalClock;
+        } else {
+            const time = point instanceof Date ? point.getTime() : Date.parse(point);
+            if (isNaN(time)) {
+                throw new Error(`Unknown point in history: ${point}`);
+            }
+
+            clock = 0;
+            for (const event of events) {
+                if (Date.parse(event.timestamp) > time) break;
+                clock = event.logicalClock;
+            }
+        }
+
+        const event = events.find(e => e.logicalClock === clock);
+        return {
+            logicalClock: clock,
+            eventId: event?.id || null,
+            timestamp: event?.timestamp || null
+        };
+    }
+
+    /**
+     * Derive the workspace as it stood at a point in history
+     * Tombstones appended after that point are not applied.
+     */
+    function deriveAsOf(eventLog, point) {
+        const asOf = resolvePoint(eventLog, point);
+        const state = replayLog(eventLog, { upToClock: asOf.logicalClock });
+        state._asOf = asOf;
+        return state;
+    }
+
+    /**
+     * Compare the workspace at two points in history
+     *
+     * Every change lists the events between the two points that caused it
+     * (matched on the set, record and field their payload targets; a
+     * tombstone counts for whatever the event it hides targeted).
+     *
+     * @returns {Object} { from, to, events, sets, records, fields, cells }
+     *   sets/records/fields: [{ ..., change: 'added'|'removed'|'changed', events }]
+     *   cells: [{ setId, recordId, fieldName, before, after, events }]
+     */
+    function diffAsOf(eventLog, from, to = null) {
+        const fromPoint = resolvePoint(eventLog, from);
+        const toPoint = resolvePoint(eventLog, to);
+        const before = replayLog(eventLog, { upToClock: fromPoint.logicalClock });
+        const after = replayLog(eventLog, { upToClock: toPoint.logicalClock });
+
+        const low = Math.min(fromPoint.logicalClock, toPoint.logicalClock);
+        const high = Math.max(fromPoint.logicalClock, toPoint.logicalClock);
+        const range = eventLog.getAll().filter(e => e.logicalClock > low && e.logicalClock <= high);
+
+        return {
+            from: fromPoint,
+            to: toPoint,
+            events: range.map(e => e.id),
+            ...compareStates(eventLog, before, after, range)
+        };
+    }
+
+    /**
+     * Compare two derived states, attributing each change to the given
+     * events that target it
+     *
+     * @returns {Object} { sets, records, fields, cells } as in diffAsOf
+     */
+    function compareStates(eventLog, before, after, events) {
+        const targets = events.map(e => ({ id: e.id, ...eventTargets(eventLog, e) }));
+
+        // Record-level changes match events on that record (or a set-wide
+        // event like set:create); set and schema changes match set-level events
+        const causedBy = (setId, recordId = null, fieldName = null) => targets
+            .filter(t => t.setId === setId)
+            .filter(t => {
+                if (!recordId) return t.recordId === undefined;
+                if (t.recordIds) return t.recordIds.includes(recordId);
+                return t.recordId === undefined
+                    ? SET_WIDE_ACTIONS.includes(t.action)
+                    : t.recordId === recordId;
+            })
+            .filter(t => !fieldName || !t.fieldNames || t.fieldNames.includes(fieldName))
+            .map(t => t.id);
+
+        const diff = {
+            sets: [],
+            records: [],
+            fields: [],
+            cells: []
+        };
+
+        for (const setId of unionKeys(before.sets, after.sets)) {
+            const a = before.sets.get(setId);
+            const b = after.sets.get(setId);
+            const setChange = changeType(a, b, () => a.name !== b.name);
+            if (setChange) {
+                diff.sets.push({ setId, change: setChange, events: causedBy(setId) });
+            }
+
+            // Schema fields
+            const fieldsBefore = new Map((a?.schema?.fields || []).map(f => [f.name, f]));
+            const fieldsAfter = new Map((b?.schema?.fields || []).map(f => [f.name, f]));
+            for (const fieldName of unionKeys(fieldsBefore, fieldsAfter)) {
+                const fa = fieldsBefore.get(fieldName);
+                const fb = fieldsAfter.get(fieldName);
+                const change = changeType(fa, fb, () => JSON.stringify(fa) !== JSON.stringify(fb));
+                if (change) {
+                    diff.fields.push({ setId, fieldName, change, before: fa || null, after: fb || null, events: causedBy(setId, null, fieldName) });
+                }
+            }
+
+            // Records and their cells
+            const recordsBefore = a?.records || new Map();
+            const recordsAfter = b?.records || new Map();
+            for (const recordId of unionKeys(recordsBefore, recordsAfter)) {
+                const ra = recordsBefore.get(recordId);
+                const rb = recordsAfter.get(recordId);
+                let cellChanged = false;
+
+                for (const fieldName of unionKeys(cellFieldNames(ra), cellFieldNames(rb))) {
+                    const va = cellSnapshot(ra, fieldName);
+                    const vb = cellSnapshot(rb, fieldName);
+                    if (JSON.stringify(va) === JSON.stringify(vb)) continue;
+
+                    cellChanged = true;
+                    diff.cells.push({
+                        setId,
+                        recordId,
+                        fieldName,
+                        before: va.value,
+                        after: vb.value,
+                        events: causedBy(setId, recordId, fieldName)
+                    });
+                }
+
+                const change = changeType(ra, rb, () => cellChanged ||
+                    JSON.stringify(recordData(ra)) !== JSON.stringify(recordData(rb)));
+                if (change) {
+                    diff.records.push({ setId, recordId, change, events: causedBy(setId, recordId) });
+                }
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * What an event's payload points at: { action, setId, recordId, fieldNames }
+     */
+    function eventTargets(eventLog, event) {
+        const payload = event.payload || {};
+
+        if (payload.action === 'tombstone') {
+            const target = eventLog.get(payload.targetId);
+            return target ? eventTargets(eventLog, target) : { action: 'tombstone' };
+        }
+
+        let fieldNames = null;
+        if (payload.fieldName) {
+            fieldNames = [payload.fieldName];
+        } else if (payload.field?.name) {
+            fieldNames = [payload.field.name];
+        } else if (payload.action === 'record:update' && payload.updates) {
+            fieldNames = Object.keys(payload.updates);
+        }
+
+        // Merges and splits touch every record they read or write
+        let recordIds = null;
+        if (payload.action === 'record:merge') {
+            recordIds = [payload.record.record_id, ...payload.recordIds];
+        } else if (payload.action === 'record:split') {
+            recordIds = [payload.recordId, ...payload.records.map(r => r.record_id)];
+        } else if (payload.action === 'field:merge') {
+            fieldNames = [fieldKey(payload.field), ...payload.fieldNames];
+        }
+
+        return {
+            action: payload.action,
+            setId: payload.setId,
+            recordId: payload.recordId ?? payload.record?.record_id,
+            recordIds,
+            fieldNames
+        };
+    }
+
+    function changeType(before, after, isChanged) {
+        if (!before && after) return 'added';
+        if (before && !after) return 'removed';
+        if (before && after && isChanged()) return 'changed';
+        return null;
+    }
+
+    function unionKeys(a, b) {
+        return [...new Set([...(a?.keys() || []), ...(b?.keys() || [])])];
+    }
+
+    function cellFieldNames(record) {
+        const names = new Map();
+        Object.keys(record?.fields || {}).forEach(name => names.set(name, true));
+        (record?.cells || []).forEach(c => names.set(c.field_name, true));
+        return names;
+    }
+
+    /**
+     * A cell's displayed value plus its observations (SUP values)
+     */
+    function cellSnapshot(record, fieldName) {
+        const cell = record?.cells?.find(c => c.field_name === fieldName);
+        const value = record?.fields?.[fieldName];
+        return {
+            value: value === undefined ? null : value,
+            observations: cell ? cell.values.map(v => v.value) : []
+        };
+    }
+
+    /**
+     * Record properties other than its cells
+     */
+    function recordData(record) {
+        const { cells, fields, updatedAt, updatedBy, ...data } = record || {};
+        return data;
+    }
+
+    /**
+     * Create initial empty state
+     */
+    function createInitialState() {
+        return {
+            // Core data
+            sets: new Map(),
+            currentSetId: null,
+
+            // Views
+            views: new Map(),
+            currentViewId: null,
+
+            // Entities
+            entities: new Map(),
+
+            // Selection
+            selectedRecordIds: new Set(),
+            lastSelectedRecordId: null,
+
+            // Toss Pile
+            tossPile: {
+                entries: new Map(),
+                actions: new Map(),
+                settings: {
+                    showGhosts: true,
+                    ghostMaxAge: null,
+                    panelOpen: false
+                }
+            },
+
+            // User
+            user: {
+                id: null,
+                name: null,
+                preferences: {}
+            },
+
+            // UI
+            ui: {
+                sidebarOpen: true,
+                sidebarWidth: 280,
+                activePanels: new Set(),
+                modals: [],
+                notifications: []
+            },
+
+            // Imports
             imports: new Map(),
 
+            // Sync conflicts (Rule 4)
+            conflicts: new Map(),
+
+            // Branches forked from this log
+            branches: new Map(),
+
+            // Merges, splits and field merges (see eo_structural_operations.js)
+            structuralOperations: new Map(),
+
+            // Read-only references into other workspaces (see eo_workspaces.js)
+            references: new Map(),
+
             // Internal tracking
             _tombstones: new Map(),
             _lastEventId: null,
@@ -443,6 +1317,377 @@
         };
     }
 
+    // ============================================================================
+    // CHANGE SETS (What one event touched, for scoped subscribers)
+    // ============================================================================
+
+    /**
+     * Areas of state outside sets and views, each a subscribable scope
+     */
+    const AREAS = {
+        CURRENT: 'current',
+        SELECTION: 'selection',
+        CONFLICTS: 'conflicts',
+        TOSS_PILE: 'tossPile',
+        TOMBSTONES: 'tombstones',
+        BRANCHES: 'branches',
+        IMPORTS: 'imports',
+        OPERATIONS: 'operations',
+        USER: 'user',
+        UI: 'ui'
+    };
+
+    const AREA_ACTIONS = {
+        'set:switch': AREAS.CURRENT,
+        'view:switch': AREAS.CURRENT,
+        'record:select': AREAS.SELECTION,
+        'record:deselect': AREAS.SELECTION,
+        'conflict:detected': AREAS.CONFLICTS,
+        'toss:record': AREAS.TOSS_PILE,
+        'toss:cell': AREAS.TOSS_PILE,
+        'pickup:entry': AREAS.TOSS_PILE,
+        'tombstone': AREAS.TOMBSTONES,
+        'branch:create': AREAS.BRANCHES,
+        'branch:merge': AREAS.BRANCHES,
+        'import:complete': AREAS.IMPORTS,
+        'operation:create': AREAS.OPERATIONS,
+        'operation:update': AREAS.OPERATIONS,
+        'user:set': AREAS.USER,
+        'ui:sidebar:toggle': AREAS.UI,
+        'ui:panel:toggle': AREAS.UI
+    };
+
+    /**
+     * Create an empty change set
+     *   sets:    setIds whose metadata or schema changed
+     *   records: setId -> Set(recordId)
+     *   cells:   setId -> Map(fieldName -> Set(recordId))
+     *   views:   setId -> Set(viewId)
+     *   areas:   AREAS values
+     *   full:    everything may have changed (rebuild, unknown handler)
+     */
+    function createChangeSet(eventId = null) {
+        return {
+            eventId,
+            full: false,
+            sets: new Set(),
+            records: new Map(),
+            cells: new Map(),
+            views: new Map(),
+            areas: new Set()
+        };
+    }
+
+    function createFullChangeSet() {
+        return { ...createChangeSet(), full: true };
+    }
+
+    function recordFieldNames(record) {
+        return Array.from(cellFieldNames(record).keys());
+    }
+
+    function touchRecord(changes, setId, recordId, fieldNames = []) {
+        if (!changes.records.has(setId)) changes.records.set(setId, new Set());
+        changes.records.get(setId).add(recordId);
+
+        if (fieldNames.length === 0) return;
+        if (!changes.cells.has(setId)) changes.cells.set(setId, new Map());
+        const fields = changes.cells.get(setId);
+        for (const fieldName of fieldNames) {
+            if (!fields.has(fieldName)) fields.set(fieldName, new Set());
+            fields.get(fieldName).add(recordId);
+        }
+    }
+
+    function touchView(changes, setId, viewId) {
+        const key = setId ?? null;
+        if (!changes.views.has(key)) changes.views.set(key, new Set());
+        changes.views.get(key).add(viewId);
+    }
+
+    /**
+     * Describers for actions that touch sets, records, cells or views
+     * Each runs BEFORE its handler: (state, payload, changes, index) => void
+     */
+    const CHANGE_DESCRIBERS = {
+        'set:create': (state, p, changes) => {
+            changes.sets.add(p.setId);
+            // A re-created set replaces every record it held
+            state.sets.get(p.setId)?.records.forEach((record, recordId) => {
+                touchRecord(changes, p.setId, recordId, recordFieldNames(record));
+            });
+            (p.records || []).forEach(record => {
+                touchRecord(changes, p.setId, record.record_id, Object.keys(record.fields || {}));
+            });
+        },
+
+        'set:update': (state, p, changes) => {
+            changes.sets.add(p.setId);
+        },
+
+        'record:create': (state, p, changes) => {
+            touchRecord(changes, p.setId, p.record.record_id, Object.keys(p.record.fields || {}));
+        },
+
+        'record:update': (state, p, changes) => {
+            // updates.fields replaces the record's fields, so cells it drops
+            // change as well as the ones it sets
+            const fields = p.updates?.fields;
+            const touched = fields
+                ? [...new Set([
+                    ...recordFieldNames(state.sets.get(p.setId)?.records.get(p.recordId)),
+                    ...Object.keys(fields)
+                ])]
+                : [];
+            touchRecord(changes, p.setId, p.recordId, touched);
+        },
+
+        'xref:link': (state, p, changes) => {
+            touchRecord(changes, p.setId, p.recordId, p.fieldName ? [p.fieldName] : []);
+        },
+
+        'record:merge': (state, p, changes) => {
+            touchRecord(changes, p.setId, p.record.record_id, Object.keys(p.record.fields || {}));
+            p.recordIds.forEach(id => touchRecord(changes, p.setId, id));
+        },
+
+        'record:split': (state, p, changes) => {
+            const inherited = recordFieldNames(state.sets.get(p.setId)?.records.get(p.recordId));
+            touchRecord(changes, p.setId, p.recordId);
+            p.records.forEach(output => {
+                touchRecord(changes, p.setId, output.record_id,
+                    [...new Set([...inherited, ...Object.keys(output.fields || {})])]);
+            });
+        },
+
+        'cell:edit': (state, p, changes) => {
+            touchRecord(changes, p.setId, p.recordId, [p.fieldName]);
+        },
+
+        'conflict:resolve': (state, p, changes) => {
+            changes.areas.add(AREAS.CONFLICTS);
+            if (p.fieldName && 'value' in p) {
+                touchRecord(changes, p.setId, p.recordId, [p.fieldName]);
+            }
+        },
+
+        'view:create': (state, p, changes) => {
+            touchView(changes, p.setId, p.viewId);
+        },
+
+        'view:update': (state, p, changes) => {
+            touchView(changes, state.views.get(p.viewId)?.setId, p.viewId);
+            if (p.updates?.setId) touchView(changes, p.updates.setId, p.viewId);
+        },
+
+        'view:clone': (state, p, changes) => {
+            touchView(changes, state.views.get(p.sourceViewId)?.setId, p.viewId);
+        },
+
+        'field:create': (state, p, changes) => {
+            changes.sets.add(p.setId);
+        },
+
+        'field:update': (state, p, changes) => {
+            changes.sets.add(p.setId);
+        },
+
+        'field:merge': (state, p, changes, index) => {
+            const canonical = fieldKey(p.field);
+            changes.sets.add(p.setId);
+            p.fieldNames.forEach(fieldName => {
+                index.getRecordIdsWithField(p.setId, fieldName)
+                    .forEach(recordId => touchRecord(changes, p.setId, recordId, [canonical]));
+            });
+            // A new canonical field is shown in every view of the set
+            index.getViewIds(p.setId).forEach(viewId => touchView(changes, p.setId, viewId));
+        }
+    };
+
+    // Actions that change one existing cross-workspace reference
+    ['xref:refresh', 'xref:unlink'].forEach(action => {
+        CHANGE_DESCRIBERS[action] = (state, p, changes) => {
+            const reference = state.references?.get(p.refId);
+            if (reference) {
+                touchRecord(changes, reference.setId, reference.recordId, reference.fieldName ? [reference.fieldName] : []);
+            }
+        };
+    });
+
+    // Actions that change one existing view
+    ['view:delete', 'view:field:show', 'link:define', 'link:remove', 'rollup:define', 'rollup:remove']
+        .forEach(action => {
+            CHANGE_DESCRIBERS[action] = (state, p, changes) => {
+                touchView(changes, state.views.get(p.viewId)?.setId, p.viewId);
+            };
+        });
+
+    /**
+     * Describe what an event is about to change in state
+     * Events whose handler has no describer are treated as changing everything.
+     */
+    function describeChanges(state, event, index) {
+        const action = event.payload?.action;
+        const changes = createChangeSet(event.id);
+
+        if (AREA_ACTIONS[action]) {
+            changes.areas.add(AREA_ACTIONS[action]);
+        } else if (CHANGE_DESCRIBERS[action]) {
+            CHANGE_DESCRIBERS[action](state, event.payload, changes, index);
+        } else if (ACTION_HANDLERS[action]) {
+            changes.full = true;
+        }
+
+        return changes;
+    }
+
+    /**
+     * Whether a change set touches a subscription scope
+     *   { type: 'set', setId }                 set metadata or schema
+     *   { type: 'records', setId }             any record in the set
+     *   { type: 'record', setId, recordId }    one record
+     *   { type: 'cells', setId, fieldName }    one field's cells in the set
+     *   { type: 'views', setId }               any view of the set
+     *   { type: 'view', viewId }               one view
+     *   { type: <AREAS value> }                e.g. { type: 'ui' }
+     */
+    function changeSetTouches(changes, scope) {
+        if (changes.full) return true;
+
+        switch (scope.type) {
+            case 'set':
+                return changes.sets.has(scope.setId);
+            case 'records':
+                return changes.records.has(scope.setId);
+            case 'record':
+                return !!changes.records.get(scope.setId)?.has(scope.recordId);
+            case 'cells':
+                return !!changes.cells.get(scope.setId)?.has(scope.fieldName);
+            case 'views':
+                return changes.views.has(scope.setId);
+            case 'view':
+                return Array.from(changes.views.values()).some(ids => ids.has(scope.viewId));
+            default:
+                return changes.areas.has(scope.type);
+        }
+    }
+
+    /**
+     * Reject scopes that could never match, so typos fail loudly
+     */
+    function validateScope(scope) {
+        const required = {
+            set: ['setId'],
+            records: ['setId'],
+            record: ['setId', 'recordId'],
+            cells: ['setId', 'fieldName'],
+            views: ['setId'],
+            view: ['viewId']
+        };
+
+        const keys = required[scope?.type];
+        if (!keys && !Object.values(AREAS).includes(scope?.type)) {
+            throw new Error(`Unknown subscription scope: ${scope?.type}`);
+        }
+        const missing = (keys || []).filter(key => scope[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Subscription scope '${scope.type}' needs ${missing.join(', ')}`);
+        }
+    }
+
+    // ============================================================================
+    // SECONDARY INDEXES
+    // ============================================================================
+
+    /**
+     * Secondary indexes over derived state, kept current from change sets
+     *   recordsBySet: setId -> Set(recordId)
+     *   cellsByField: setId -> Map(fieldName -> Set(recordId))
+     *   viewsBySet:   setId -> Set(viewId)
+     */
+    class EODerivationIndex {
+        constructor() {
+            this.recordsBySet = new Map();
+            this.cellsByField = new Map();
+            this.viewsBySet = new Map();
+        }
+
+        /**
+         * Rebuild every index from state
+         */
+        reset(state) {
+            this.recordsBySet.clear();
+            this.cellsByField.clear();
+            this.viewsBySet.clear();
+
+            state.sets.forEach((set, setId) => {
+                set.records.forEach((record, recordId) => this._indexRecord(setId, recordId, record));
+            });
+            state.views.forEach((view, viewId) => this._indexView(view.setId, viewId));
+        }
+
+        /**
+         * Re-index what a change set touched, after its event was applied
+         */
+        update(state, changes) {
+            if (changes.full) {
+                this.reset(state);
+                return;
+            }
+
+            changes.records.forEach((recordIds, setId) => {
+                const records = state.sets.get(setId)?.records;
+                recordIds.forEach(recordId => {
+                    this._unindexRecord(setId, recordId);
+                    const record = records?.get(recordId);
+                    if (record) this._indexRecord(setId, recordId, record);
+                });
+            });
+
+            changes.views.forEach(viewIds => {
+                viewIds.forEach(viewId => {
+                    this.viewsBySet.forEach(ids => ids.delete(viewId));
+                    const view = state.views.get(viewId);
+                    if (view) this._indexView(view.setId, viewId);
+                });
+            });
+        }
+
+        getRecordIds(setId) {
+            return Array.from(this.recordsBySet.get(setId) || []);
+        }
+
+        getRecordIdsWithField(setId, fieldName) {
+            return Array.from(this.cellsByField.get(setId)?.get(fieldName) || []);
+        }
+
+        getViewIds(setId) {
+            return Array.from(this.viewsBySet.get(setId) || []);
+        }
+
+        _indexRecord(setId, recordId, record) {
+            if (!this.recordsBySet.has(setId)) this.recordsBySet.set(setId, new Set());
+            this.recordsBySet.get(setId).add(recordId);
+
+            if (!this.cellsByField.has(setId)) this.cellsByField.set(setId, new Map());
+            const fields = this.cellsByField.get(setId);
+            for (const fieldName of recordFieldNames(record)) {
+                if (!fields.has(fieldName)) fields.set(fieldName, new Set());
+                fields.get(fieldName).add(recordId);
+            }
+        }
+
+        _unindexRecord(setId, recordId) {
+            this.recordsBySet.get(setId)?.delete(recordId);
+            this.cellsByField.get(setId)?.forEach(ids => ids.delete(recordId));
+        }
+
+        _indexView(setId, viewId) {
+            if (!this.viewsBySet.has(setId)) this.viewsBySet.set(setId, new Set());
+            this.viewsBySet.get(setId).add(viewId);
+        }
+    }
+
     // ============================================================================
     // STATE DERIVATION CLASS
     // ============================================================================
@@ -452,8 +1697,11 @@
             this._state = null;
             this._eventLog = null;
             this._lastProcessedClock = 0;
+            this._index = new EODerivationIndex();
+            this._frame = null;
             this._subscribers = new Set();
             this._unsubscribeLog = null;
+            this._hydratedFrom = null;
         }
 
         /**
@@ -464,10 +1712,7 @@
             this._state = this.deriveFromLog(eventLog);
 
             // Subscribe to new events for incremental updates
-            this._unsubscribeLog = eventLog.subscribe((event) => {
-                this._applyEvent(event);
-                this._notifySubscribers();
-            });
+            this._unsubscribeLog = eventLog.subscribe((event) => this._onAppend(event));
 
             return this._state;
         }
@@ -477,29 +1722,124 @@
          * This is the core of Axiom 0: State = f(Log)
          */
         deriveFromLog(eventLog) {
-            const state = createInitialState();
-            const events = eventLog.getTopologicalOrder();
+            const state = replayLog(eventLog, { frame: this._frame });
 
-            for (const event of events) {
-                // Skip tombstoned events in state derivation
-                if (eventLog.isTombstoned(event.id)) {
-                    continue;
+            this._state = state;
+            this._lastProcessedClock = eventLog.getClock();
+            this._index.reset(state);
+
+            return state;
+        }
+
+        /**
+         * Initialize from a snapshot of derived state (see eo_snapshots.js)
+         * Only events appended after the snapshot's logical clock are replayed.
+         * Falls back to a full rebuild when a later tombstone hides an event
+         * the snapshot already includes, or when replay orders a later event
+         * before one the snapshot already includes.
+         *
+         * @param {Object} eventLog
+         * @param {Object} state - Decoded snapshot state
+         * @param {number} logicalClock - Log clock the snapshot was taken at
+         */
+        hydrate(eventLog, state, logicalClock) {
+            this._eventLog = eventLog;
+
+            const { tail, stale } = snapshotTail(eventLog, logicalClock);
+
+            if (stale) {
+                this.deriveFromLog(eventLog);
+            } else {
+                const tombstones = tail.filter(e => e.payload?.action === 'tombstone');
+                const tombstoned = new Set(tombstones.map(e => e.payload.targetId));
+
+                for (const event of tail) {
+                    if (tombstoned.has(event.id)) continue;
+                    applyEventToState(state, event);
+                    state._lastEventId = event.id;
                 }
 
-                this._applyEventToState(state, event);
+                this._state = state;
+                this._lastProcessedClock = eventLog.getClock();
+                this._index.reset(state);
             }
 
-            state._lastEventId = events.length > 0 ? events[events.length - 1].id : null;
-            state._derivedAt = new Date().toISOString();
+            this._hydratedFrom = {
+                logicalClock,
+                replayed: stale ? eventLog.getClock() : tail.length,
+                fullRebuild: stale
+            };
 
-            this._state = state;
-            this._lastProcessedClock = eventLog.getClock();
+            this._unsubscribeLog = eventLog.subscribe((event) => this._onAppend(event));
 
-            return state;
+            return this._state;
+        }
+
+        /**
+         * Derive the workspace as of an event id, logical clock or timestamp
+         * Leaves the current state untouched.
+         */
+        deriveAsOf(point) {
+            if (!this._eventLog) {
+                throw new Error('State derivation has no event log');
+            }
+            return deriveAsOf(this._eventLog, point);
+        }
+
+        /**
+         * What changed between two points in history (to defaults to now)
+         */
+        diff(from, to = null) {
+            if (!this._eventLog) {
+                throw new Error('State derivation has no event log');
+            }
+            return diffAsOf(this._eventLog, from, to);
+        }
+
+        /**
+         * Apply an appended event, or rebuild when it doesn't come last in
+         * the log's topological order: replay puts a concurrent event that
+         * arrives late before the ones already applied, and live state
+         * must match replay
+         */
+        _onAppend(event) {
+            // Already part of a rebuild (an unparked child can be announced first)
+            if (event.logicalClock <= this._lastProcessedClock) return;
+
+            if (this._comesLast(event)) {
+                this._notifySubscribers(this._applyEvent(event));
+            } else {
+                this.rebuild();
+            }
+        }
+
+        /**
+         * Apply events the log holds that this derivation has not seen yet
+         * For readers the log notifies of an append before it notifies us
+         */
+        catchUp() {
+            if (this._eventLog && !this.isInSync()) {
+                this._eventLog.getSince(this._lastProcessedClock).forEach(event => this._onAppend(event));
+            }
+            return this._state;
+        }
+
+        _comesLast(event) {
+            const log = this._eventLog;
+            if (event.logicalClock !== this._lastProcessedClock + 1 || event.logicalClock !== log.getClock()) {
+                return false;
+            }
+            // Descending from every other event, it can only come last
+            const heads = log.getHeads();
+            if (heads.length === 1 && heads[0] === event.id) return true;
+
+            const order = log.getTopologicalOrder();
+            return order[order.length - 1]?.id === event.id;
         }
 
         /**
          * Apply a single event to state (incremental update)
+         * @returns {Object} Change set of what the event touched
          */
         _applyEvent(event) {
             if (!this._state) {
@@ -508,33 +1848,37 @@
 
             // Check if tombstoned
             if (this._eventLog && this._eventLog.isTombstoned(event.id)) {
-                return;
+                this._lastProcessedClock = event.logicalClock;
+                return createChangeSet(event.id);
             }
 
+            if (this._frame && event.type === 'meant') {
+                // Outside the frame: nothing to apply
+                if (event.frame?.purpose !== this._frame) {
+                    this._lastProcessedClock = event.logicalClock;
+                    return createChangeSet(event.id);
+                }
+                // A supersession hides an interpretation already applied
+                if (event.supersedes) {
+                    this.deriveFromLog(this._eventLog);
+                    return createFullChangeSet();
+                }
+            }
+
+            const changes = describeChanges(this._state, event, this._index);
             this._applyEventToState(this._state, event);
+            this._index.update(this._state, changes);
+
             this._state._lastEventId = event.id;
             this._lastProcessedClock = event.logicalClock;
+            return changes;
         }
 
         /**
          * Apply event to a state object using registered handlers
          */
         _applyEventToState(state, event) {
-            const action = event.payload?.action;
-            const handler = ACTION_HANDLERS[action];
-
-            if (handler) {
-                try {
-                    handler(state, event);
-                } catch (err) {
-                    console.error(`[EOStateDerivation] Error applying ${action}:`, err);
-                }
-            } else if (action) {
-                // Unknown action - log for debugging but don't fail
-                console.debug(`[EOStateDerivation] No handler for action: ${action}`);
-            }
-
-            return state;
+            return applyEventToState(state, event);
         }
 
         /**
@@ -551,21 +1895,55 @@
             return this._state?.[key];
         }
 
+        /**
+         * Re-derive the workspace under an interpretation frame
+         * Given events always apply; Meant events only when interpreting under
+         * this frame purpose. null returns to the merged state.
+         */
+        setFrame(frame) {
+            this._frame = frame || null;
+            return this.rebuild();
+        }
+
+        /**
+         * Get the frame state is derived under (null when merged)
+         */
+        getFrame() {
+            return this._frame;
+        }
+
+        /**
+         * Get the secondary indexes (records by set, cells by field, views by set)
+         */
+        getIndex() {
+            return this._index;
+        }
+
         /**
          * Subscribe to state changes
+         * Without a scope the callback runs on every event; with one, only
+         * when an event touches it (see changeSetTouches for scope shapes).
+         *
+         * @param {Function} callback - (state, changes) => void
+         * @param {Object} [scope] - e.g. { type: 'records', setId }
+         * @returns {Function} Unsubscribe
          */
-        subscribe(callback) {
-            this._subscribers.add(callback);
-            return () => this._subscribers.delete(callback);
+        subscribe(callback, scope = null) {
+            if (scope) validateScope(scope);
+
+            const subscriber = { callback, scope };
+            this._subscribers.add(subscriber);
+            return () => this._subscribers.delete(subscriber);
         }
 
         /**
-         * Notify subscribers of state change
+         * Notify the subscribers whose scope a change set touches
          */
-        _notifySubscribers() {
-            this._subscribers.forEach(callback => {
+        _notifySubscribers(changes = createFullChangeSet()) {
+            this._subscribers.forEach(({ callback, scope }) => {
+                if (scope && !changeSetTouches(changes, scope)) return;
                 try {
-                    callback(this._state);
+                    callback(this._state, changes);
                 } catch (err) {
                     console.error('[EOStateDerivation] Subscriber error:', err);
                 }
@@ -574,11 +1952,12 @@
 
         /**
          * Force a full state rebuild from log
+         * Every subscriber is notified, as any part of state may differ.
          */
         rebuild() {
             if (this._eventLog) {
                 this.deriveFromLog(this._eventLog);
-                this._notifySubscribers();
+                this._notifySubscribers(createFullChangeSet());
             }
             return this._state;
         }
@@ -600,9 +1979,13 @@
                 viewCount: this._state?.views?.size || 0,
                 importCount: this._state?.imports?.size || 0,
                 tombstoneCount: this._state?._tombstones?.size || 0,
+                openConflictCount: Array.from(this._state?.conflicts?.values() || [])
+                    .filter(c => c.status === 'open').length,
                 lastEventId: this._state?._lastEventId,
                 lastProcessedClock: this._lastProcessedClock,
                 derivedAt: this._state?._derivedAt,
+                hydratedFrom: this._hydratedFrom,
+                frame: this._frame,
                 inSync: this.isInSync()
             };
         }
@@ -667,6 +2050,24 @@
             multi
         }),
 
+        mergeRecords: (setId, recordIds, record, options = {}) => ({
+            action: 'record:merge',
+            setId,
+            recordIds,
+            record,
+            markSuperseded: options.markSuperseded !== false,
+            hideSuperseded: !!options.hideSuperseded
+        }),
+
+        splitRecord: (setId, recordId, records, options = {}) => ({
+            action: 'record:split',
+            setId,
+            recordId,
+            records,
+            markSplit: options.markSplit !== false,
+            hideOriginal: !!options.hideOriginal
+        }),
+
         // Cell actions
         editCell: (setId, recordId, fieldName, value, contextSchema = null) => ({
             action: 'cell:edit',
@@ -686,11 +2087,85 @@
             config
         }),
 
+        updateView: (viewId, updates) => ({
+            action: 'view:update',
+            viewId,
+            updates
+        }),
+
+        deleteView: (viewId, setId) => ({
+            action: 'view:delete',
+            viewId,
+            setId
+        }),
+
+        cloneView: (viewId, sourceViewId, name) => ({
+            action: 'view:clone',
+            viewId,
+            sourceViewId,
+            name
+        }),
+
+        showFieldInView: (viewId, fieldName) => ({
+            action: 'view:field:show',
+            viewId,
+            fieldName
+        }),
+
         switchView: (viewId) => ({
             action: 'view:switch',
             viewId
         }),
 
+        // Link and rollup definitions
+        defineLink: (viewId, link) => ({
+            action: 'link:define',
+            viewId,
+            link
+        }),
+
+        removeLink: (viewId, linkId) => ({
+            action: 'link:remove',
+            viewId,
+            linkId
+        }),
+
+        defineRollup: (viewId, rollup) => ({
+            action: 'rollup:define',
+            viewId,
+            rollup
+        }),
+
+        removeRollup: (viewId, rollupId) => ({
+            action: 'rollup:remove',
+            viewId,
+            rollupId
+        }),
+
+        // Cross-workspace references (built by EOWorkspaces.linkRecord)
+        linkReference: (refId, setId, recordId, fieldName, target, content, provenance) => ({
+            action: 'xref:link',
+            refId,
+            setId,
+            recordId,
+            fieldName,
+            target,
+            content,
+            provenance
+        }),
+
+        refreshReference: (refId, content, provenance) => ({
+            action: 'xref:refresh',
+            refId,
+            content,
+            provenance
+        }),
+
+        unlinkReference: (refId) => ({
+            action: 'xref:unlink',
+            refId
+        }),
+
         // Toss actions (Rule 9 - deletion as event)
         tossRecord: (setId, recordId, reason, snapshot) => ({
             action: 'toss:record',
@@ -729,6 +2204,27 @@
             updates
         }),
 
+        mergeFields: (setId, fieldNames, field, options = {}) => ({
+            action: 'field:merge',
+            setId,
+            fieldNames,
+            field,
+            strategy: options.strategy || 'first',
+            deprecateOldFields: options.deprecateOldFields !== false
+        }),
+
+        // Structural operation actions
+        createOperation: (operation) => ({
+            action: 'operation:create',
+            operation
+        }),
+
+        updateOperation: (operationId, updates) => ({
+            action: 'operation:update',
+            operationId,
+            updates
+        }),
+
         // User actions
         setUser: (userId, userName, preferences) => ({
             action: 'user:set',
@@ -753,6 +2249,34 @@
 
     let _instance = null;
 
+    /**
+     * The events after a snapshot's clock in replay order, and whether the
+     * snapshot is stale for them: replay puts one of them before a
+     * snapshotted event, or a tombstone among them hides one. A target
+     * missing from a partial log is in its history, so it counts as hidden.
+     */
+    function snapshotTail(eventLog, logicalClock) {
+        const order = eventLog.getTopologicalOrder();
+        const tail = order.slice(order.length - eventLog.getSince(logicalClock).length);
+        const outOfOrder = tail.some(e => e.logicalClock <= logicalClock);
+
+        const hidesSnapshotEvent = tail.some(e => {
+            if (e.payload?.action !== 'tombstone') return false;
+            const target = eventLog.get(e.payload.targetId);
+            return !target || target.logicalClock <= logicalClock;
+        });
+
+        return { tail, stale: outOfOrder || hidesSnapshotEvent };
+    }
+
+    /**
+     * Whether hydrating from a snapshot taken at logicalClock would need a
+     * full replay of the log instead of applying the events after it
+     */
+    function snapshotIsStale(eventLog, logicalClock) {
+        return snapshotTail(eventLog, logicalClock).stale;
+    }
+
     function getStateDerivation() {
         if (!_instance) {
             _instance = new EOStateDerivation();
@@ -760,9 +2284,18 @@
         return _instance;
     }
 
-    function initStateDerivation(eventLog) {
+    /**
+     * @param {Object} eventLog
+     * @param {Object} [options]
+     * @param {Object} [options.snapshot] - { state, logicalClock } to hydrate from
+     */
+    function initStateDerivation(eventLog, options = {}) {
         _instance = new EOStateDerivation();
-        _instance.init(eventLog);
+        if (options.snapshot) {
+            _instance.hydrate(eventLog, options.snapshot.state, options.snapshot.logicalClock);
+        } else {
+            _instance.init(eventLog);
+        }
         return _instance;
     }
 
@@ -773,13 +2306,21 @@
     const EOStateDerivationModule = {
         // Classes
         StateDerivation: EOStateDerivation,
+        DerivationIndex: EODerivationIndex,
+
+        // Constants
+        AREAS,
 
         // Action creators
         Actions,
 
-        // Action handlers (for extension)
-        registerHandler: (action, handler) => {
+        // Action handlers (for extension). Without a describer, events of
+        // the action notify every scoped subscriber.
+        registerHandler: (action, handler, describe = null) => {
             ACTION_HANDLERS[action] = handler;
+            if (describe) {
+                CHANGE_DESCRIBERS[action] = describe;
+            }
         },
 
         // Singleton
@@ -787,7 +2328,19 @@
         init: initStateDerivation,
 
         // Helpers
-        createInitialState
+        createInitialState,
+        replay: replayLog,
+        snapshotIsStale,
+
+        // Interpretation frames
+        listFrames,
+        deriveInFrame,
+        compareFrames,
+
+        // Time travel
+        resolvePoint,
+        deriveAsOf,
+        diff: diffAsOf
     };
 
     // Export to global scope
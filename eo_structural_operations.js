@@ -9,6 +9,14 @@
  * - Every operation creates a result view showing inputs and outputs
  * - Operations can be reverted, creating new operations that inverse the effect
  * - Provenance constitutes position in knowledge space (not just metadata)
+ * - Every mutation is an action dispatched through the integration bridge;
+ *   the EOStateDerivation handler applies it to state (Axiom 0). Nothing here
+ *   writes state directly.
+ *
+ * `state` is the bridge's derived state (EOCompliance.getBridge().getState()).
+ * The actor is its current user (set with a 'user:set' action); operations
+ * reject without one (Rule 1), or before the bridge is initialized. They are
+ * async because the bridge signs what it dispatches.
  */
 
 // ============================================================================
@@ -63,56 +71,30 @@ function createStructuralOperation(config) {
 // ============================================================================
 
 /**
- * Register a structural operation in state
+ * Register a structural operation
  */
-function createOperation(state, config) {
-    if (!state.structuralOperations) {
-        state.structuralOperations = new Map();
-    }
-
-    const operation = createStructuralOperation(config);
-    state.structuralOperations.set(operation.id, operation);
-
-    logEvent(state, {
-        type: 'operation_created',
-        entityType: 'StructuralOperation',
-        entityId: operation.id,
-        data: {
-            kind: operation.kind,
-            setId: operation.setId,
-            status: operation.status
-        }
+async function createOperation(state, config) {
+    const operation = createStructuralOperation({
+        ...config,
+        createdBy: config.createdBy || requireActor(state)
     });
 
-    return operation;
+    const derived = await dispatchAction(state, { action: 'operation:create', operation });
+    return derived.structuralOperations.get(operation.id);
 }
 
 /**
  * Update an operation (e.g., to set status, result view, outputs)
  */
-function updateOperation(state, operationId, patch) {
-    const op = state.structuralOperations?.get(operationId);
-    if (!op) {
+async function updateOperation(state, operationId, patch) {
+    if (!state.structuralOperations?.has(operationId)) {
         console.warn(`Operation ${operationId} not found`);
         return null;
     }
 
-    const updated = {
-        ...op,
-        ...patch,
-        id: op.id
-    };
-
-    state.structuralOperations.set(operationId, updated);
-
-    logEvent(state, {
-        type: 'operation_updated',
-        entityType: 'StructuralOperation',
-        entityId: operationId,
-        data: { changes: Object.keys(patch) }
-    });
-
-    return updated;
+    const { id, ...updates } = patch;
+    const derived = await dispatchAction(state, { action: 'operation:update', operationId, updates });
+    return derived.structuralOperations.get(operationId);
 }
 
 // ============================================================================
@@ -141,10 +123,10 @@ function findDuplicateCandidates(state, setId, options = {}) {
 
     for (let i = 0; i < records.length; i++) {
         const recA = records[i];
-        if (processed.has(recA.id)) continue;
+        if (processed.has(recA.record_id)) continue;
 
         const cluster = [recA];
-        processed.add(recA.id);
+        processed.add(recA.record_id);
 
         // Build signature for record A
         const sigA = buildSignature(recA, keyFieldIds);
@@ -153,7 +135,7 @@ function findDuplicateCandidates(state, setId, options = {}) {
         // Compare with remaining records
         for (let j = i + 1; j < records.length; j++) {
             const recB = records[j];
-            if (processed.has(recB.id)) continue;
+            if (processed.has(recB.record_id)) continue;
 
             const sigB = buildSignature(recB, keyFieldIds);
             if (!sigB) continue;
@@ -162,7 +144,7 @@ function findDuplicateCandidates(state, setId, options = {}) {
 
             if (similarity >= threshold) {
                 cluster.push(recB);
-                processed.add(recB.id);
+                processed.add(recB.record_id);
             }
         }
 
@@ -184,7 +166,7 @@ function findDuplicateCandidates(state, setId, options = {}) {
 function buildSignature(record, keyFieldIds) {
     const parts = keyFieldIds
         .map(fieldId => {
-            const value = record[fieldId];
+            const value = record.fields?.[fieldId];
             if (value == null || value === '') return null;
             return String(value).toLowerCase().trim();
         })
@@ -212,35 +194,28 @@ function calculateSimilarity(sigA, sigB, algorithm) {
 
 /**
  * Create a dedupe candidates view
+ * The groups are kept in the view's config - a candidate is not a fact
+ * about the record, so the records are left as they are.
  */
-function createDedupeCandidatesView(state, setId, clusters, operationId) {
+async function createDedupeCandidatesView(state, setId, clusters, operationId) {
     const set = state.sets.get(setId);
     if (!set) return null;
 
-    // Create a synthetic field to group duplicates
-    const groupField = {
-        id: '_duplicateGroup',
-        name: 'Duplicate Group',
-        type: 'text'
-    };
-
-    // Annotate records with group IDs
-    clusters.forEach((cluster, idx) => {
-        const groupId = `group_${idx + 1}`;
-        cluster.records.forEach(rec => {
-            rec._duplicateGroup = groupId;
-            rec._duplicateCount = cluster.count;
-        });
-    });
+    const duplicateGroups = clusters.map((cluster, idx) => ({
+        groupId: `group_${idx + 1}`,
+        recordIds: cluster.records.map(rec => rec.record_id),
+        count: cluster.count
+    }));
 
     // Create view
     const view = {
         setId,
         name: `Duplicate Candidates - ${new Date().toLocaleString()}`,
         type: 'grid',
-        visibleFieldIds: ['_duplicateGroup', '_duplicateCount', ...(set.schema || []).map(f => f.id)],
+        visibleFieldIds: ['_duplicateGroup', '_duplicateCount', ...schemaFields(set).map(fieldKey)],
         sorts: [{ fieldId: '_duplicateGroup', direction: 'asc' }],
         groups: [{ fieldId: '_duplicateGroup' }],
+        duplicateGroups,
         derivedFromOperationIds: [operationId],
         notes: `Found ${clusters.length} groups with ${clusters.reduce((sum, c) => sum + c.count, 0)} total records`
     };
@@ -248,6 +223,24 @@ function createDedupeCandidatesView(state, setId, clusters, operationId) {
     return createView(state, view);
 }
 
+/**
+ * Records as a dedupe candidates view shows them, with _duplicateGroup and
+ * _duplicateCount derived from the view's config
+ */
+function annotateDuplicates(view, records) {
+    const groups = new Map();
+    (view?.config?.duplicateGroups || []).forEach(group => {
+        group.recordIds.forEach(recordId => groups.set(recordId, group));
+    });
+
+    return records.map(record => {
+        const group = groups.get(record.record_id);
+        return group
+            ? { ...record, _duplicateGroup: group.groupId, _duplicateCount: group.count }
+            : record;
+    });
+}
+
 // ============================================================================
 // MERGE RECORDS
 // ============================================================================
@@ -256,59 +249,39 @@ function createDedupeCandidatesView(state, setId, clusters, operationId) {
  * Merge multiple records into one
  * @param resolveField - function(fieldId, candidates) => chosen value
  */
-function mergeRecords(state, setId, recordIds, resolveField, options = {}) {
+async function mergeRecords(state, setId, recordIds, resolveField, options = {}) {
     const set = state.sets.get(setId);
     if (!set) return null;
 
     const records = recordIds.map(id => set.records.get(id)).filter(Boolean);
     if (records.length === 0) return null;
 
-    const schema = set.schema || [];
-    const newRecord = {};
+    const fields = {};
 
     // Resolve each field
-    schema.forEach(field => {
-        const fieldId = field.id;
+    schemaFields(set).forEach(field => {
+        const fieldId = fieldKey(field);
         const candidates = records
-            .map(r => r[fieldId])
+            .map(r => r.fields?.[fieldId])
             .filter(v => v !== undefined && v !== null && v !== '');
 
         if (candidates.length > 0) {
-            newRecord[fieldId] = resolveField(fieldId, candidates, field);
+            fields[fieldId] = resolveField(fieldId, candidates, field);
         }
     });
 
-    // Create new record
+    // The derivation adds the new record and marks the inputs superseded
     const newId = `rec_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
-    newRecord.id = newId;
-    newRecord._mergedFrom = recordIds;
-    newRecord._mergedAt = Date.now();
-
-    set.records.set(newId, newRecord);
-
-    // Mark original records as superseded
-    if (options.markSuperseded !== false) {
-        records.forEach(rec => {
-            rec._supersededBy = newId;
-            rec._supersededAt = Date.now();
-            if (options.hideSuperseded) {
-                rec._hidden = true;
-            }
-        });
-    }
-
-    logEvent(state, {
-        type: 'records_merged',
-        entityType: 'Record',
-        entityId: newId,
-        data: {
-            setId,
-            inputRecordIds: recordIds,
-            outputRecordId: newId
-        }
+    const derived = await dispatchAction(state, {
+        action: 'record:merge',
+        setId,
+        recordIds,
+        record: { record_id: newId, fields },
+        markSuperseded: options.markSuperseded !== false,
+        hideSuperseded: !!options.hideSuperseded
     });
 
-    return newRecord;
+    return derived.sets.get(setId).records.get(newId);
 }
 
 /**
@@ -349,9 +322,9 @@ const MERGE_STRATEGIES = {
 /**
  * Perform merge operation with result view
  */
-function executeMergeOperation(state, setId, recordIds, strategyMap, options = {}) {
+async function executeMergeOperation(state, setId, recordIds, strategyMap, options = {}) {
     // Create operation
-    const operation = createOperation(state, {
+    const operation = await createOperation(state, {
         kind: 'merge_records',
         setId,
         viewId: state.currentViewId,
@@ -368,35 +341,35 @@ function executeMergeOperation(state, setId, recordIds, strategyMap, options = {
     };
 
     // Execute merge
-    const newRecord = mergeRecords(state, setId, recordIds, resolveField, options);
+    const newRecord = await mergeRecords(state, setId, recordIds, resolveField, options);
     if (!newRecord) {
         return null;
     }
 
     // Update operation with output
-    updateOperation(state, operation.id, {
-        outputRecordIds: [newRecord.id],
+    await updateOperation(state, operation.id, {
+        outputRecordIds: [newRecord.record_id],
         status: 'applied',
         summary: `Merged ${recordIds.length} records into 1`
     });
 
     // Create result view
-    const resultView = createView(state, {
+    const resultView = await createView(state, {
         setId,
         name: `Merge Result - ${new Date().toLocaleString()}`,
         type: 'grid',
         filters: [
-            { fieldId: 'id', operator: 'in', value: [newRecord.id, ...recordIds] }
+            { fieldId: 'id', operator: 'in', value: [newRecord.record_id, ...recordIds] }
         ],
-        visibleFieldIds: ['_supersededBy', '_mergedFrom', ...(state.sets.get(setId).schema || []).map(f => f.id)],
+        visibleFieldIds: ['_supersededBy', '_mergedFrom', ...schemaFields(state.sets.get(setId)).map(fieldKey)],
         derivedFromOperationIds: [operation.id],
         notes: `Result of merging ${recordIds.length} records`
     });
 
-    updateOperation(state, operation.id, { resultViewId: resultView.id });
+    const applied = await updateOperation(state, operation.id, { resultViewId: resultView.viewId });
 
     return {
-        operation,
+        operation: applied,
         newRecord,
         resultView
     };
@@ -409,56 +382,36 @@ function executeMergeOperation(state, setId, recordIds, strategyMap, options = {
 /**
  * Split a single record into multiple records
  */
-function splitRecord(state, setId, recordId, newRecordsData, options = {}) {
+async function splitRecord(state, setId, recordId, newRecordsData, options = {}) {
     const set = state.sets.get(setId);
     if (!set) return [];
 
-    const original = set.records.get(recordId);
-    if (!original) return [];
-
-    const outputs = newRecordsData.map((data, idx) => {
-        const id = `rec_${Date.now()}_${idx}_${Math.random().toString(36).slice(2, 6)}`;
-        const record = {
-            ...original, // inherit all fields
-            ...data,     // override with new data
-            id,
-            _splitFrom: recordId,
-            _splitAt: Date.now(),
-            _splitIndex: idx
-        };
-        set.records.set(id, record);
-        return record;
-    });
+    if (!set.records.has(recordId)) return [];
 
-    // Mark original as split
-    if (options.markSplit !== false) {
-        original._splitInto = outputs.map(r => r.id);
-        original._splitAt = Date.now();
-        if (options.hideOriginal) {
-            original._hidden = true;
-        }
-    }
+    // Only the overrides - the derivation has outputs inherit the rest of
+    // the original's fields, and marks the original as split
+    const records = newRecordsData.map((fields, idx) => ({
+        record_id: `rec_${Date.now()}_${idx}_${Math.random().toString(36).slice(2, 6)}`,
+        fields: { ...fields }
+    }));
 
-    logEvent(state, {
-        type: 'record_split',
-        entityType: 'Record',
-        entityId: recordId,
-        data: {
-            setId,
-            inputRecordId: recordId,
-            outputRecordIds: outputs.map(r => r.id),
-            count: outputs.length
-        }
+    const derived = await dispatchAction(state, {
+        action: 'record:split',
+        setId,
+        recordId,
+        records,
+        markSplit: options.markSplit !== false,
+        hideOriginal: !!options.hideOriginal
     });
 
-    return outputs;
+    return records.map(r => derived.sets.get(setId).records.get(r.record_id));
 }
 
 /**
  * Execute split operation with result view
  */
-function executeSplitOperation(state, setId, recordId, newRecordsData, options = {}) {
-    const operation = createOperation(state, {
+async function executeSplitOperation(state, setId, recordId, newRecordsData, options = {}) {
+    const operation = await createOperation(state, {
         kind: 'split_record',
         setId,
         viewId: state.currentViewId,
@@ -467,35 +420,35 @@ function executeSplitOperation(state, setId, recordId, newRecordsData, options =
         status: 'draft'
     });
 
-    const outputs = splitRecord(state, setId, recordId, newRecordsData, options);
+    const outputs = await splitRecord(state, setId, recordId, newRecordsData, options);
     if (outputs.length === 0) {
         return null;
     }
 
-    updateOperation(state, operation.id, {
-        outputRecordIds: outputs.map(r => r.id),
+    await updateOperation(state, operation.id, {
+        outputRecordIds: outputs.map(r => r.record_id),
         status: 'applied',
         summary: `Split 1 record into ${outputs.length} records`
     });
 
     // Create result view showing original and splits
-    const resultView = createView(state, {
+    const resultView = await createView(state, {
         setId,
         name: `Split Result - ${new Date().toLocaleString()}`,
         type: 'grid',
         filters: [
-            { fieldId: 'id', operator: 'in', value: [recordId, ...outputs.map(r => r.id)] }
+            { fieldId: 'id', operator: 'in', value: [recordId, ...outputs.map(r => r.record_id)] }
         ],
-        visibleFieldIds: ['_splitFrom', '_splitInto', '_splitIndex', ...(state.sets.get(setId).schema || []).map(f => f.id)],
+        visibleFieldIds: ['_splitFrom', '_splitInto', '_splitIndex', ...schemaFields(state.sets.get(setId)).map(fieldKey)],
         sorts: [{ fieldId: '_splitIndex', direction: 'asc' }],
         derivedFromOperationIds: [operation.id],
         notes: `Result of splitting record ${recordId} into ${outputs.length} records`
     });
 
-    updateOperation(state, operation.id, { resultViewId: resultView.id });
+    const applied = await updateOperation(state, operation.id, { resultViewId: resultView.viewId });
 
     return {
-        operation,
+        operation: applied,
         outputs,
         resultView
     };
@@ -505,111 +458,37 @@ function executeSplitOperation(state, setId, recordId, newRecordsData, options =
 // MERGE FIELDS (FIELD HARMONIZATION)
 // ============================================================================
 
-/**
- * Add a new field to all views of a set
- * This ensures the field appears in all views of the set
- */
-function addFieldToSetViews(set, fieldId) {
-    if (!set || !set.views) return;
-
-    set.views.forEach((viewRef, viewId) => {
-        // Get the full view object
-        const view = typeof viewRef === 'object' && viewRef.id === viewId ? viewRef : set.views.get(viewId);
-        if (!view) return;
-
-        // Initialize columnOrder if not present
-        if (!Array.isArray(view.columnOrder)) {
-            view.columnOrder = [];
-        }
-
-        // Add field to columnOrder if not already present
-        if (!view.columnOrder.includes(fieldId)) {
-            view.columnOrder.push(fieldId);
-        }
-
-        // Remove from hiddenFields if it was hidden
-        if (Array.isArray(view.hiddenFields)) {
-            const hiddenIndex = view.hiddenFields.indexOf(fieldId);
-            if (hiddenIndex !== -1) {
-                view.hiddenFields.splice(hiddenIndex, 1);
-            }
-        }
-
-        // Also update visibleFieldIds if the view uses that model
-        if (Array.isArray(view.visibleFieldIds) && !view.visibleFieldIds.includes(fieldId)) {
-            view.visibleFieldIds.push(fieldId);
-        }
-    });
-}
-
 /**
  * Merge multiple fields into a canonical field
  */
-function mergeFields(state, setId, fieldIds, canonicalField, options = {}) {
+async function mergeFields(state, setId, fieldIds, canonicalField, options = {}) {
     const set = state.sets.get(setId);
     if (!set) return null;
 
-    const schema = set.schema || [];
     const canonicalId = canonicalField.id || `field_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
-
-    // Add canonical field to schema if not exists
-    const isNewField = !schema.find(f => f.id === canonicalId);
-    if (isNewField) {
-        schema.push({
-            ...canonicalField,
-            id: canonicalId
-        });
-
-        // Add the new canonical field to all views of the set
-        addFieldToSetViews(set, canonicalId);
-    }
-
-    // Merge values from old fields into canonical field
-    let recordsUpdated = 0;
     const strategy = options.strategy || 'first'; // 'first' | 'concat' | 'coalesce'
 
-    set.records.forEach(rec => {
-        const values = fieldIds
-            .map(fid => rec[fid])
-            .filter(v => v !== undefined && v !== null && v !== '');
-
-        if (values.length > 0) {
-            if (strategy === 'first') {
-                rec[canonicalId] = values[0];
-            } else if (strategy === 'concat') {
-                rec[canonicalId] = values.join('; ');
-            } else if (strategy === 'coalesce') {
-                rec[canonicalId] = rec[canonicalId] || values[0];
-            }
-            recordsUpdated++;
-        }
-    });
-
-    // Mark old fields as deprecated (keep for provenance)
-    if (options.deprecateOldFields !== false) {
-        schema.forEach(f => {
-            if (fieldIds.includes(f.id) && f.id !== canonicalId) {
-                f._deprecated = true;
-                f._deprecatedAt = Date.now();
-                f._mergedInto = canonicalId;
-            }
-        });
-    }
-
-    logEvent(state, {
-        type: 'fields_merged',
-        entityType: 'Field',
-        entityId: canonicalId,
-        data: {
-            setId,
-            inputFieldIds: fieldIds,
-            outputFieldId: canonicalId,
-            recordsUpdated
-        }
+    // Records holding a value in any of the merged fields
+    const recordsUpdated = Array.from(set.records.values())
+        .filter(rec => fieldIds.some(fid => {
+            const value = rec.fields?.[fid];
+            return value !== undefined && value !== null && value !== '';
+        }))
+        .length;
+
+    // The derivation adds the canonical field (shown in every view of the
+    // set), fills its values and deprecates the old fields
+    const derived = await dispatchAction(state, {
+        action: 'field:merge',
+        setId,
+        fieldNames: fieldIds,
+        field: { ...canonicalField, id: canonicalId },
+        strategy,
+        deprecateOldFields: options.deprecateOldFields !== false
     });
 
     return {
-        canonicalField: schema.find(f => f.id === canonicalId),
+        canonicalField: schemaFields(derived.sets.get(setId)).find(f => fieldKey(f) === canonicalId),
         recordsUpdated
     };
 }
@@ -617,8 +496,8 @@ function mergeFields(state, setId, fieldIds, canonicalField, options = {}) {
 /**
  * Execute field merge operation with result view
  */
-function executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, options = {}) {
-    const operation = createOperation(state, {
+async function executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, options = {}) {
+    const operation = await createOperation(state, {
         kind: 'merge_fields',
         setId,
         viewId: state.currentViewId,
@@ -627,31 +506,31 @@ function executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, opt
         status: 'draft'
     });
 
-    const result = mergeFields(state, setId, fieldIds, canonicalField, options);
+    const result = await mergeFields(state, setId, fieldIds, canonicalField, options);
     if (!result) {
         return null;
     }
 
-    updateOperation(state, operation.id, {
-        outputFieldIds: [result.canonicalField.id],
+    await updateOperation(state, operation.id, {
+        outputFieldIds: [fieldKey(result.canonicalField)],
         status: 'applied',
         summary: `Merged ${fieldIds.length} fields into 1 canonical field, updated ${result.recordsUpdated} records`
     });
 
     // Create result view showing before/after
-    const resultView = createView(state, {
+    const resultView = await createView(state, {
         setId,
         name: `Field Merge Result - ${new Date().toLocaleString()}`,
         type: 'grid',
-        visibleFieldIds: [result.canonicalField.id, ...fieldIds],
+        visibleFieldIds: [fieldKey(result.canonicalField), ...fieldIds],
         derivedFromOperationIds: [operation.id],
-        notes: `Result of merging fields: ${fieldIds.join(', ')} → ${result.canonicalField.id}`
+        notes: `Result of merging fields: ${fieldIds.join(', ')} → ${fieldKey(result.canonicalField)}`
     });
 
-    updateOperation(state, operation.id, { resultViewId: resultView.id });
+    const applied = await updateOperation(state, operation.id, { resultViewId: resultView.viewId });
 
     return {
-        operation,
+        operation: applied,
         canonicalField: result.canonicalField,
         recordsUpdated: result.recordsUpdated,
         resultView
@@ -662,25 +541,63 @@ function executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, opt
 // UTILITY FUNCTIONS
 // ============================================================================
 
-function logEvent(state, event) {
-    if (!state.eventStream) {
-        state.eventStream = [];
+/**
+ * The current user of the derived state, who authors every action (Rule 1)
+ */
+function requireActor(state) {
+    const actor = state.user?.id;
+    if (!actor) {
+        throw new Error('RULE_1: Structural operations require an actor (dispatch user:set first)');
     }
-    state.eventStream.push({
-        id: state.eventIdCounter || 1,
-        timestamp: Date.now(),
-        user: state.currentUser,
-        ...event
-    });
-    state.eventIdCounter = (state.eventIdCounter || 1) + 1;
+    return actor;
+}
+
+/**
+ * Append an action to the event log through the integration bridge
+ * (see eo_compliance.js); the derivation applies it to state
+ * @returns {Promise<Object>} The derived state, with the action applied
+ */
+async function dispatchAction(state, action) {
+    const bridge = typeof EOCompliance !== 'undefined' ? EOCompliance.getBridge() : null;
+    if (!bridge?.getEventLog()) {
+        throw new Error('An initialized integration bridge is required for structural operations');
+    }
+
+    const result = await bridge.dispatch(action, requireActor(state));
+    if (!result.success) {
+        throw new Error(`Could not record ${action.action}: ${result.errors?.join(', ') || 'validation failed'}`);
+    }
+    return bridge.getState();
 }
 
-// Import createView if in browser environment
+/**
+ * Fields in a derived set's schema
+ */
+function schemaFields(set) {
+    return set?.schema?.fields || [];
+}
+
+/**
+ * A schema field's key in record.fields - legacy fields carry an id,
+ * fields created through field:create only a name
+ */
+function fieldKey(field) {
+    return field.id || field.name;
+}
+
+// Import createView if in browser environment, else from EOViewManagement
 let createView;
 if (typeof window !== 'undefined' && window.createView) {
     createView = window.createView;
+} else if (typeof EOViewManagement !== 'undefined') {
+    createView = EOViewManagement.createView;
 }
 
+// Showing a field in a set's views is logged by EOViewManagement
+const addFieldToSetViews = typeof EOViewManagement !== 'undefined'
+    ? EOViewManagement.addFieldToSetViews
+    : null;
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -692,6 +609,7 @@ if (typeof module !== 'undefined' && module.exports) {
         updateOperation,
         findDuplicateCandidates,
         createDedupeCandidatesView,
+        annotateDuplicates,
         mergeRecords,
         executeMergeOperation,
         splitRecord,
@@ -0,0 +1,273 @@
+/**
+ * EO Sync Dashboard UI Component
+ *
+ * Provides a sync status panel:
+ * - Peers, with live state, lag and their last successful sync
+ * - Persisted sync queue depth and events parked waiting for parents
+ * - Refused events with reasons, and the sync failure history (Rule 7)
+ * - A "retry now" action per peer
+ *
+ * Rendering only - status comes from SyncEngine.getStatus(), history from
+ * EOSyncProtocol.readSyncHistory() over the log, so failures and refusals
+ * shown here survive a reload. Retrying goes through SyncEngine.retryNow().
+ */
+
+const EOSyncDashboardUI = (function() {
+    'use strict';
+
+    const HISTORY_LIMIT = 20;
+
+    /**
+     * Gather everything the panel shows
+     * @param {Object} sources - { engine, eventLog, persistence }
+     * @returns {Promise<Object>} Report for renderDashboard()
+     */
+    async function collect(sources) {
+        const { engine, eventLog, persistence } = sources;
+        const status = engine.getStatus();
+        const history = EOSyncProtocol.readSyncHistory(eventLog, { nodeId: status.nodeId });
+
+        const remoteIds = new Set([
+            ...status.sessions,
+            ...Object.keys(status.live),
+            ...history.peers.map(p => p.remoteId)
+        ]);
+
+        const peers = Array.from(remoteIds).sort().map(remoteId => {
+            const recorded = history.peers.find(p => p.remoteId === remoteId) || {};
+            const live = status.live[remoteId] || null;
+            return {
+                remoteId,
+                state: live?.state || 'idle',
+                queued: live?.queued || 0,
+                lagEvents: live?.lagEvents || 0,
+                lastError: live?.lastError || null,
+                resumable: status.resumable.includes(remoteId),
+                lastSuccess: recorded.lastSuccess || null,
+                lastFailure: recorded.lastFailure || null,
+                failures: recorded.failures || 0,
+                refused: recorded.refused || 0
+            };
+        });
+
+        return {
+            nodeId: status.nodeId,
+            workspace: status.workspace,
+            inProgress: status.inProgress,
+            peers,
+            lastSuccess: history.lastSuccess,
+            queueSize: persistence ? await persistence.getSyncQueueSize() : null,
+            pending: eventLog.getPending(),
+            refused: history.refused,
+            failures: history.failures
+        };
+    }
+
+    /**
+     * Render the dashboard panel
+     * @param {Object} report - From collect()
+     * @returns {string} HTML string for the panel
+     */
+    function renderDashboard(report) {
+        return `
+            <div class="eo-sync-dashboard" style="padding: 20px; display: flex; flex-direction: column; gap: 16px;">
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <i class="ph ph-arrows-clockwise" style="font-size: 18px; color: var(--text-secondary);"></i>
+                    <h3 style="margin: 0; font-size: 14px; font-weight: 600;">Sync</h3>
+                    <span style="font-size: 11px; color: var(--text-secondary);">${escapeHtml(report.nodeId)} · ${escapeHtml(report.workspace)}</span>
+                    ${report.inProgress ? '<span style="font-size: 11px;">Syncing…</span>' : ''}
+                </div>
+                <div style="display: flex; gap: 12px;">
+                    ${renderStat('Last successful sync', report.lastSuccess ? formatTimestamp(report.lastSuccess.at) : 'Never')}
+                    ${renderStat('Sync queue', report.queueSize === null ? 'No persistence' : report.queueSize)}
+                    ${renderStat('Parked events', report.pending.length)}
+                    ${renderStat('Refused events', report.refused.length)}
+                </div>
+                ${renderPeers(report.peers)}
+                ${renderPending(report.pending)}
+                ${renderRefused(report.refused)}
+                ${renderFailures(report.failures)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the peer table, with a retry button per peer
+     */
+    function renderPeers(peers) {
+        if (peers.length === 0) {
+            return renderSection('Peers', '<div style="font-size: 12px; color: var(--text-secondary);">No peers yet</div>');
+        }
+
+        return renderSection('Peers', `
+            <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; color: var(--text-secondary);">
+                        <th>Peer</th><th>State</th><th>Queued</th><th>Last success</th><th>Failures</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${peers.map(peer => `
+                        <tr data-remote-id="${escapeHtml(peer.remoteId)}">
+                            <td>${escapeHtml(peer.remoteId)}</td>
+                            <td title="${escapeHtml(peer.lastError || '')}">${escapeHtml(humanize(peer.state))}${peer.resumable ? ' (resumable)' : ''}</td>
+                            <td>${peer.queued}${peer.lagEvents ? ` · ${peer.lagEvents} behind` : ''}</td>
+                            <td>${peer.lastSuccess ? formatTimestamp(peer.lastSuccess.at) : 'Never'}</td>
+                            <td>${peer.failures}</td>
+                            <td>
+                                <button data-sync-action="retry" data-remote-id="${escapeHtml(peer.remoteId)}" style="${buttonStyle()}">
+                                    <i class="ph ph-arrow-clockwise"></i> Retry now
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    function renderPending(pending) {
+        if (pending.length === 0) return '';
+        return renderSection('Waiting for parents', renderList(pending, p => `
+            <code>${escapeHtml(p.id)}</code> waiting for ${p.waitingFor.map(id => `<code>${escapeHtml(id)}</code>`).join(', ')}
+        `));
+    }
+
+    function renderRefused(refused) {
+        if (refused.length === 0) return '';
+        return renderSection('Refused events', renderList(refused, r => `
+            <code>${escapeHtml(r.id)}</code>
+            ${r.direction === 'outgoing' ? 'refused by' : 'refused from'} ${escapeHtml(r.remoteId || 'unknown peer')}:
+            ${escapeHtml(r.reason)}
+            <span style="color: var(--text-secondary);">${formatTimestamp(r.at)}</span>
+        `));
+    }
+
+    function renderFailures(failures) {
+        if (failures.length === 0) return '';
+        return renderSection('Failure history', renderList(failures, f => `
+            <span style="color: #dc2626;">${escapeHtml(f.error)}</span>
+            with ${escapeHtml(f.remoteId || 'unknown peer')}
+            (${Number(f.attempts)} attempt${Number(f.attempts) === 1 ? '' : 's'}${f.mode === 'live' ? ', live' : ''})
+            <span style="color: var(--text-secondary);">${formatTimestamp(f.at)}</span>
+        `));
+    }
+
+    /**
+     * Mount the dashboard into a container
+     * Re-renders whenever a sync record is appended.
+     * @param {HTMLElement} container
+     * @param {Object} sources - { engine, eventLog, persistence }
+     * @param {Object} options - { onRetried(remoteId), onError(err, remoteId) }
+     * @returns {Function} Detach
+     */
+    function attach(container, sources, options = {}) {
+        const refresh = async () => {
+            container.innerHTML = renderDashboard(await collect(sources));
+        };
+
+        const onClick = async (e) => {
+            const button = e.target.closest('[data-sync-action="retry"]');
+            if (!button || !container.contains(button)) return;
+
+            const remoteId = button.dataset.remoteId;
+            button.disabled = true;
+            try {
+                await sources.engine.retryNow(remoteId);
+                options.onRetried?.(remoteId);
+            } catch (err) {
+                // The failure is already in the log (Rule 7); refresh shows it
+                options.onError?.(err, remoteId);
+            }
+            await refresh();
+        };
+
+        const unsubscribe = sources.eventLog.subscribe(event => {
+            if (Object.values(EOSyncProtocol.SYNC_RECORD).includes(event.payload?.action)) {
+                refresh();
+            }
+        });
+
+        container.addEventListener('click', onClick);
+        refresh();
+
+        return () => {
+            container.removeEventListener('click', onClick);
+            unsubscribe();
+        };
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    function renderStat(label, value) {
+        return `
+            <div style="flex: 1; padding: 8px 12px; border: 1px solid var(--border); border-radius: 8px;">
+                <div style="font-size: 11px; color: var(--text-secondary);">${escapeHtml(label)}</div>
+                <div style="font-size: 14px; font-weight: 600;">${escapeHtml(value)}</div>
+            </div>
+        `;
+    }
+
+    function renderSection(title, body) {
+        return `
+            <div>
+                <h4 style="margin: 0 0 8px; font-size: 12px; font-weight: 600;">${escapeHtml(title)}</h4>
+                ${body}
+            </div>
+        `;
+    }
+
+    function renderList(items, renderItem) {
+        const shown = items.slice(0, HISTORY_LIMIT);
+        return `
+            <ul style="margin: 0; padding-left: 16px; font-size: 12px; display: flex; flex-direction: column; gap: 4px;">
+                ${shown.map(item => `<li>${renderItem(item)}</li>`).join('')}
+            </ul>
+            ${items.length > shown.length ? `<div style="font-size: 11px; color: var(--text-secondary);">${items.length - shown.length} more</div>` : ''}
+        `;
+    }
+
+    function buttonStyle() {
+        return 'padding: 4px 8px; font-size: 12px; border: 1px solid var(--border); border-radius: 4px; background: var(--surface); cursor: pointer;';
+    }
+
+    function formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? escapeHtml(String(timestamp)) : date.toLocaleString();
+    }
+
+    function humanize(str) {
+        if (!str) return '';
+        return String(str)
+            .replace(/[_:]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    return {
+        collect,
+        renderDashboard,
+        renderPeers,
+        attach
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EOSyncDashboardUI;
+}
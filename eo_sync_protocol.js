@@ -3,19 +3,27 @@
  * Event-based synchronization between clients/servers
  *
  * Implements:
- * - Rule 2: Identity Must Not Be Laundered (actor preserved)
+ * - Rule 2: Identity Must Not Be Laundered (actor preserved; with an
+ *   EOSigning.KeyRing, events whose signature does not verify are refused)
  * - Rule 4: Non-Collapse of Concurrency (conflicts detected, not hidden)
  * - Rule 6: Operations, Not Snapshots (sync events, not state)
  * - Rule 7: Failure Is a State (failures recorded as events)
  *
  * Protocol messages:
- * - SCOPE: Negotiate session parameters
+ * - SCOPE: Negotiate session parameters (including the part of the
+ *   workspace each side wants replicated, see REPLICATION SCOPE)
  * - INV: Advertise what you have (heads, bloom filter)
  * - HAVE: Declare possession of specific events
  * - WANT: Request specific events
  * - SEND: Transfer events
+ * - ACK: Confirm a SEND (lists parents still missing on the receiver)
  * - REFUSE: Decline with reason
  *
+ * SyncEngine.syncWith() drives the exchange from one side; the remote side
+ * answers through SyncEngine.handleMessage(). SyncEngine.startLive() keeps a
+ * peer in sync continuously, pushing each event as it is appended. See
+ * eo_sync_transport.js for the WebSocket transport that carries these messages.
+ *
  * @see Sync Handbook Part III Section 3.4
  */
 
@@ -48,6 +56,32 @@
         SCHEMA_MISMATCH: 'schema_mismatch'       // Schema version conflict
     };
 
+    // ============================================================================
+    // SYNC RECORDS (Rule 7: outcomes kept in the log)
+    // ============================================================================
+
+    const SYNC_RECORD = {
+        SUCCESS: 'sync:success',
+        FAILURE: 'sync:failure',
+        REFUSED: 'sync:refused'     // Events refused in either direction, with reasons
+    };
+
+    const REFUSAL_DIRECTION = {
+        OUTGOING: 'outgoing',       // The remote refused events we sent
+        INCOMING: 'incoming'        // We refused events the remote sent
+    };
+
+    // ============================================================================
+    // LIVE SYNC STATES
+    // ============================================================================
+
+    const LIVE_STATE = {
+        CATCHING_UP: 'catching_up',    // Running the inventory exchange
+        LIVE: 'live',                  // Pushing events as they are appended
+        DISCONNECTED: 'disconnected',  // Waiting to reconnect / retry
+        STOPPED: 'stopped'
+    };
+
     // ============================================================================
     // BLOOM FILTER (For efficient set reconciliation)
     // ============================================================================
@@ -169,6 +203,273 @@
         }
     }
 
+    // ============================================================================
+    // SIGNATURE CHECK (Rule 2)
+    // ============================================================================
+
+    /**
+     * Split received events into those whose signatures verify against a
+     * key ring and those refused, with reasons. Sync, bundle import and
+     * branch merges all receive through this check; without a key ring
+     * every event passes.
+     * @param {Object} options - { requireSignatures = true }
+     * @returns {Promise<Object>} { verified: events[], refused: [{ id, reason }] }
+     */
+    async function verifyReceived(events, keyRing, options = {}) {
+        if (!keyRing) {
+            return { verified: events, refused: [] };
+        }
+        return keyRing.verifyAll(events, {
+            requireSignature: options.requireSignatures !== false
+        });
+    }
+
+    // ============================================================================
+    // REPLICATION SCOPE (Selective sync)
+    // ============================================================================
+
+    /**
+     * A replication scope names the part of a workspace a node wants:
+     *   {
+     *       sets:  ['set_a', { setId: 'set_b', where: { region: 'North' } }],
+     *       views: ['view_1']
+     *   }
+     * null replicates the whole workspace.
+     *
+     * - A set selects its events, and its views'. With `where`, events that
+     *   name a record only count when the record's current fields match
+     *   (a value, or an array of allowed values).
+     * - A view selects its own events and brings its set along.
+     * - A tombstone goes where the event it tombstones goes.
+     * - Events that name no set or view (sync records, key registrations)
+     *   only travel as ancestors.
+     *
+     * The ancestors of every selected event are always included, so the
+     * receiving log can apply everything it is sent (nothing stays parked).
+     * Events are never trimmed: a set:create travels with all its records.
+     */
+
+    /**
+     * Why a scope definition is unusable, or null if it is fine
+     */
+    function scopeError(scope) {
+        if (scope === null || scope === undefined) return null;
+        if (typeof scope !== 'object' || Array.isArray(scope)) return 'scope must be an object';
+
+        const sets = scope.sets || [];
+        const views = scope.views || [];
+        if (!Array.isArray(sets) || !Array.isArray(views)) return 'sets and views must be arrays';
+
+        for (const entry of sets) {
+            const setId = typeof entry === 'string' ? entry : entry?.setId;
+            if (!setId || typeof setId !== 'string') return 'every set needs a setId';
+            if (entry.where !== undefined && (typeof entry.where !== 'object' || entry.where === null || Array.isArray(entry.where))) {
+                return `where for ${setId} must be an object of field values`;
+            }
+        }
+        if (!views.every(viewId => viewId && typeof viewId === 'string')) return 'views must be view ids';
+
+        return null;
+    }
+
+    /**
+     * { sets: Map(setId -> where|null), views: Set(viewId) }, or null for everything
+     */
+    function normalizeScope(scope) {
+        if (!scope) return null;
+        return {
+            sets: new Map((scope.sets || []).map(entry => typeof entry === 'string'
+                ? [entry, null]
+                : [entry.setId, entry.where || null])),
+            views: new Set(scope.views || [])
+        };
+    }
+
+    function matchesWhere(fields, where) {
+        if (!fields) return false;
+        return Object.entries(where).every(([field, allowed]) => Array.isArray(allowed)
+            ? allowed.includes(fields[field])
+            : fields[field] === allowed);
+    }
+
+    function recordIdsOf(payload) {
+        return [payload.recordId, payload.record?.record_id, ...(payload.recordIds || [])].filter(Boolean);
+    }
+
+    /**
+     * Ids of the events a scope replicates: the selected events and their ancestors
+     * @param {Object} eventLog
+     * @param {Object} scope - Normalized scope
+     * @returns {Set<string>}
+     */
+    function selectScope(eventLog, scope) {
+        const selection = new ScopeSelection(eventLog, scope);
+        const ids = selection.getIds();
+        selection.destroy();
+        return ids;
+    }
+
+    /**
+     * The ids a scope replicates, kept current as the log grows
+     *
+     * Each new event only adds itself and its ancestors when selected.
+     * Records are matched against `where` on a derivation that follows the
+     * log, and the selection is worked out again from the whole log only
+     * when an event can change what earlier events belong to: it flips
+     * whether a record matches, touches a filtered set without naming a
+     * record, or maps a listed view to a set.
+     */
+    class ScopeSelection {
+        constructor(eventLog, scope) {
+            this._eventLog = eventLog;
+            this._scope = scope;
+            this._clock = null;
+
+            this._viewSets = new Map();     // viewId -> setId
+            this._sets = new Map();         // setId -> where|null (listed and brought by views)
+            this._derivation = null;        // Record state, while a set is filtered
+            this._matches = new Map();      // "setId/recordId" -> matched where last time
+            this._selected = new Set();     // Events the scope picks itself
+            this._ids = new Set();          // ... and their ancestors
+        }
+
+        has(eventId) {
+            return this.getIds().has(eventId);
+        }
+
+        getIds() {
+            const clock = this._eventLog.getClock();
+            if (this._clock === null) {
+                this._reselect();
+            } else if (clock !== this._clock) {
+                this._addSince(this._clock);
+            }
+            this._clock = clock;
+            return this._ids;
+        }
+
+        destroy() {
+            this._derivation?.destroy();
+            this._derivation = null;
+        }
+
+        _addSince(clock) {
+            const events = this._eventLog.getSince(clock);
+            this._derivation?.catchUp();
+
+            const changesMembership = events.some(e => this._changesMembership(e.payload || {}));
+            if (changesMembership) {
+                this._reselect();
+                return;
+            }
+
+            events.forEach(e => {
+                if (this._isSelected(e.payload || {})) this._select(e.id);
+            });
+        }
+
+        _changesMembership(payload) {
+            if (payload.viewId && payload.setId && this._scope.views.has(payload.viewId) &&
+                this._viewSets.get(payload.viewId) !== payload.setId) {
+                return true;
+            }
+
+            const setId = payload.setId || this._viewSets.get(payload.viewId);
+            if (!this._sets.get(setId)) return false;
+
+            const recordIds = recordIdsOf(payload);
+            if (recordIds.length === 0) return true;
+
+            // A record whose events are already counted (or left out) turns around
+            return recordIds.some(id => this._matches.has(`${setId}/${id}`) &&
+                this._matches.get(`${setId}/${id}`) !== this._recordMatches(setId, id));
+        }
+
+        /**
+         * Work the selection out from the whole log
+         */
+        _reselect() {
+            const events = this._eventLog.getAll();
+
+            // Views bring their sets along, unfiltered unless the set is listed itself
+            this._viewSets = new Map();
+            events.forEach(e => {
+                if (e.payload?.viewId && e.payload.setId) this._viewSets.set(e.payload.viewId, e.payload.setId);
+            });
+            this._sets = new Map(this._scope.sets);
+            this._scope.views.forEach(viewId => {
+                const setId = this._viewSets.get(viewId);
+                if (setId && !this._sets.has(setId)) this._sets.set(setId, null);
+            });
+
+            const filtered = Array.from(this._sets.values()).some(Boolean);
+            if (filtered && !this._derivation) {
+                this._derivation = new (getStateDerivation().StateDerivation)();
+                this._derivation.init(this._eventLog);
+            } else if (!filtered) {
+                this.destroy();
+            }
+            this._derivation?.catchUp();
+
+            this._matches = new Map();
+            this._selected = new Set();
+            this._ids = new Set();
+
+            // Tombstones last, once what they tombstone is settled
+            const tombstones = events.filter(e => e.payload?.action === 'tombstone');
+            events.filter(e => e.payload?.action !== 'tombstone')
+                .concat(tombstones)
+                .forEach(e => {
+                    if (this._isSelected(e.payload || {})) this._select(e.id);
+                });
+        }
+
+        _isSelected(payload) {
+            if (payload.action === 'tombstone') return this._selected.has(payload.targetId);
+            if (payload.viewId && this._scope.views.has(payload.viewId)) return true;
+
+            const setId = payload.setId || this._viewSets.get(payload.viewId);
+            if (!setId || !this._sets.has(setId)) return false;
+
+            const recordIds = recordIdsOf(payload);
+            if (!this._sets.get(setId) || recordIds.length === 0) return true;
+
+            // Every record is checked, so each one's match is remembered
+            return recordIds.map(id => {
+                const matched = this._recordMatches(setId, id);
+                this._matches.set(`${setId}/${id}`, matched);
+                return matched;
+            }).some(Boolean);
+        }
+
+        _recordMatches(setId, recordId) {
+            const records = this._derivation.getState().sets.get(setId)?.records;
+            return matchesWhere(records?.get(recordId)?.fields, this._sets.get(setId));
+        }
+
+        /**
+         * Add an event and the ancestors not already in
+         */
+        _select(eventId) {
+            this._selected.add(eventId);
+
+            const stack = [eventId];
+            while (stack.length > 0) {
+                const id = stack.pop();
+                if (this._ids.has(id)) continue;
+                this._ids.add(id);
+                this._eventLog.get(id)?.parents.forEach(parentId => stack.push(parentId));
+            }
+        }
+    }
+
+    function getStateDerivation() {
+        if (typeof EOStateDerivation === 'undefined') {
+            throw new Error('EOStateDerivation is required for record filters in a replication scope');
+        }
+        return EOStateDerivation;
+    }
+
     // ============================================================================
     // SYNC SESSION
     // ============================================================================
@@ -183,12 +484,14 @@
                 nodeId: options.nodeId || this._generateNodeId(),
                 workspace: options.workspace || 'default',
                 frames: options.frames || ['*'],
+                scope: options.scope || null,       // What this node wants replicated
                 timeout: options.timeout || 30000,
                 onConflict: options.onConflict || null,
                 onProgress: options.onProgress || null
             };
 
             this._scope = null;
+            this._replicated = null;    // ScopeSelection for the remote's scope
             this._remoteHeads = new Set();
             this._vectorClock = new VectorClock(this._options.nodeId);
             this._conflicts = [];
@@ -210,6 +513,7 @@
                 type: MESSAGE_TYPE.SCOPE,
                 workspace: this._options.workspace,
                 frames: this._options.frames,
+                scope: this._options.scope,
                 nodeId: this._options.nodeId,
                 protocolVersion: '1.0',
                 vectorClock: this._vectorClock.export()
@@ -218,10 +522,13 @@
 
         /**
          * Create INV (inventory) message
+         * Only covers what the remote's scope replicates.
          */
         createInvMessage() {
             const events = this._getEventsInScope();
-            const heads = this._localLog.getHeads();
+            const heads = this._scope?.replication
+                ? scopeHeads(events)
+                : this._localLog.getHeads();
 
             // Build bloom filter for efficient set difference
             const bloom = new BloomFilter(Math.max(1024, events.length * 10));
@@ -265,7 +572,7 @@
             const events = eventIds
                 .map(id => this._localLog.get(id))
                 .filter(Boolean)
-                .filter(e => this._isEventInScope(e));
+                .filter(e => this._isEventReplicated(e));
 
             return {
                 type: MESSAGE_TYPE.SEND,
@@ -324,12 +631,23 @@
                 };
             }
 
-            // Store remote info
+            const invalid = scopeError(message.scope);
+            if (invalid) {
+                return {
+                    accepted: false,
+                    error: `invalid_scope: ${invalid}`
+                };
+            }
+
+            // Store remote info; what we advertise and send follows its scope
+            this._replicated?.destroy();
             this._scope = {
                 workspace: message.workspace,
                 frames: message.frames,
+                replication: normalizeScope(message.scope),
                 remoteNodeId: message.nodeId
             };
+            this._replicated = null;
 
             // Merge vector clocks
             if (message.vectorClock) {
@@ -341,7 +659,10 @@
                 response: {
                     type: MESSAGE_TYPE.SCOPE_ACK,
                     workspace: this._options.workspace,
+                    frames: this._options.frames,
+                    scope: this._options.scope,
                     nodeId: this._options.nodeId,
+                    protocolVersion: '1.0',
                     vectorClock: this._vectorClock.export()
                 }
             };
@@ -370,8 +691,7 @@
             }
 
             // Find events we need from remote
-            const localIds = new Set(localEvents.map(e => e.id));
-            const toRequest = remoteHeads.filter(id => !localIds.has(id));
+            const toRequest = remoteHeads.filter(id => !this._localLog.get(id));
 
             return {
                 have: this.createHaveMessage(toSend),
@@ -389,7 +709,8 @@
                 accepted: [],
                 rejected: [],
                 conflicts: [],
-                parked: []
+                parked: [],
+                duplicates: []
             };
 
             for (const event of events) {
@@ -411,6 +732,14 @@
                     continue;
                 }
 
+                // Rule 8: An event we already have is accepted again, and is
+                // not a conflict with itself (resumes and re-sends)
+                if (this._localLog.get(event.id)) {
+                    results.accepted.push(event.id);
+                    results.duplicates.push(event.id);
+                    continue;
+                }
+
                 // Rule 4: Check for concurrent events (potential conflicts)
                 const concurrentEvents = this._findConcurrentEvents(event);
                 if (concurrentEvents.length > 0) {
@@ -495,7 +824,7 @@
                                      localEvent.payload?.setId ||
                                      localEvent.payload?.targetId;
 
-                if (localTargetId !== targetId) continue;
+                if (localTargetId !== targetId || localEvent.id === incomingEvent.id) continue;
 
                 // Check if concurrent using parent DAG
                 const isConcurrent = this._areConcurrent(localEvent, incomingEvent);
@@ -548,10 +877,31 @@
         // ========================================================================
 
         /**
-         * Get events in current scope
+         * Get events to offer the remote: in scope, and replicated by its scope
          */
         _getEventsInScope() {
-            return this._localLog.getAll().filter(e => this._isEventInScope(e));
+            return this._localLog.getAll().filter(e => this._isEventReplicated(e));
+        }
+
+        /**
+         * Whether an event goes to the remote (see REPLICATION SCOPE)
+         */
+        _isEventReplicated(event) {
+            if (!this._isEventInScope(event)) return false;
+            if (!this._scope?.replication) return true;
+
+            if (!this._replicated) {
+                this._replicated = new ScopeSelection(this._localLog, this._scope.replication);
+            }
+            return this._replicated.has(event.id);
+        }
+
+        /**
+         * Update what this node asks peers to replicate
+         * Takes effect at the next scope negotiation.
+         */
+        setScope(scope) {
+            this._options.scope = scope || null;
         }
 
         /**
@@ -591,7 +941,7 @@
                     schemaVersion: '1.0'
                 },
                 payload: {
-                    action: 'sync:failure',
+                    action: SYNC_RECORD.FAILURE,
                     error: error.message || error,
                     errorType: error.name || 'SyncError',
                     remoteNodeId: this._scope?.remoteNodeId,
@@ -615,7 +965,7 @@
                     schemaVersion: '1.0'
                 },
                 payload: {
-                    action: 'sync:success',
+                    action: SYNC_RECORD.SUCCESS,
                     remoteNodeId: this._scope?.remoteNodeId,
                     eventsReceived: stats.received || 0,
                     eventsSent: stats.sent || 0,
@@ -625,6 +975,31 @@
             });
         }
 
+        /**
+         * Record events refused in a sync, with the reason for each
+         * @param {string} direction - REFUSAL_DIRECTION
+         * @param {Array} refused - [{ id, reason }]
+         */
+        recordRefused(direction, refused) {
+            return this._localLog.append({
+                type: 'given',
+                actor: 'system',
+                parents: this._localLog.getHeads(),
+                context: {
+                    workspace: this._options.workspace,
+                    nodeId: this._options.nodeId,
+                    schemaVersion: '1.0'
+                },
+                payload: {
+                    action: SYNC_RECORD.REFUSED,
+                    remoteNodeId: this._scope?.remoteNodeId,
+                    direction,
+                    refused: refused.map(r => ({ id: r.id, reason: r.reason })),
+                    refusedAt: new Date().toISOString()
+                }
+            });
+        }
+
         // ========================================================================
         // GETTERS
         // ========================================================================
@@ -652,15 +1027,40 @@
             this._options = {
                 nodeId: options.nodeId || `node_${Date.now().toString(36)}`,
                 workspace: options.workspace || 'default',
+                scope: options.scope || null,       // Replication scope asked of peers
                 retryAttempts: options.retryAttempts || 4,
                 retryBaseDelay: options.retryBaseDelay || 2000,
+                batchSize: options.batchSize || 200,
+                liveRetryMaxDelay: options.liveRetryMaxDelay || 60000,
                 onSync: options.onSync || null,
                 onConflict: options.onConflict || null,
-                onError: options.onError || null
+                onError: options.onError || null,
+                onProgress: options.onProgress || null,
+
+                // Rule 2: verify signatures of received events (EOSigning.KeyRing)
+                keyRing: options.keyRing || null,
+                requireSignatures: options.requireSignatures !== false
             };
 
+            const invalidScope = scopeError(this._options.scope);
+            if (invalidScope) {
+                throw new Error(`Invalid replication scope: ${invalidScope}`);
+            }
+
             this._sessions = new Map();
             this._syncInProgress = false;
+
+            // Settles when the exchange holding the sync guard finishes
+            this._syncIdle = null;
+
+            // Per-remote resume state for syncs that were cut off partway
+            this._checkpoints = new Map();
+
+            // Peers in live mode: remoteId -> live state
+            this._live = new Map();
+
+            // Last transport used per remote, for retryNow()
+            this._transports = new Map();
         }
 
         /**
@@ -673,23 +1073,30 @@
             }
 
             this._syncInProgress = true;
+            this._transports.set(remoteId, transport);
+            const attemptErrors = [];
             let attempt = 0;
+            let release = null;
 
             try {
+                // A live catch-up already running finishes first
+                release = await this._acquireSync();
+
                 while (attempt < this._options.retryAttempts) {
                     try {
-                        const result = await this._performSync(transport, remoteId);
-                        this._syncInProgress = false;
-                        return result;
+                        return await this._performSync(transport, remoteId);
                     } catch (err) {
                         attempt++;
+                        attemptErrors.push(err.message);
 
                         if (attempt >= this._options.retryAttempts) {
                             // Record failure (Rule 7)
                             const session = this._sessions.get(remoteId);
                             if (session) {
                                 session.recordSyncFailure(err, {
+                                    remoteNodeId: remoteId,
                                     attempts: attempt,
+                                    attemptErrors,
                                     finalAttempt: true
                                 });
                             }
@@ -710,24 +1117,56 @@
                     }
                 }
             } finally {
+                release?.();
                 this._syncInProgress = false;
             }
         }
 
         /**
-         * Internal sync implementation
+         * Wait for the sync guard and take it; resolves to its release
+         * Only one exchange runs at a time, as they share _checkpoints
          */
-        async _performSync(transport, remoteId) {
-            // Create or get session
+        async _acquireSync() {
+            while (this._syncIdle) {
+                await this._syncIdle;
+            }
+
+            let settle;
+            this._syncIdle = new Promise(resolve => { settle = resolve; });
+
+            return () => {
+                this._syncIdle = null;
+                settle();
+            };
+        }
+
+        /**
+         * Get or create the session for a remote node
+         */
+        _getSession(remoteId) {
             let session = this._sessions.get(remoteId);
             if (!session) {
                 session = new SyncSession(this._eventLog, {
                     nodeId: this._options.nodeId,
                     workspace: this._options.workspace,
+                    scope: this._options.scope,
                     onConflict: this._options.onConflict
                 });
                 this._sessions.set(remoteId, session);
             }
+            return session;
+        }
+
+        /**
+         * Internal sync implementation
+         *
+         * If a previous sync with this remote was cut off, the ids it still
+         * had to send/request are carried over from the checkpoint so the
+         * exchange picks up where it stopped.
+         */
+        async _performSync(transport, remoteId) {
+            const session = this._getSession(remoteId);
+            const checkpoint = this._checkpoints.get(remoteId) || null;
 
             // Step 1: Scope negotiation
             const scopeMsg = session.createScopeMessage();
@@ -743,35 +1182,55 @@
             const invMsg = session.createInvMessage();
             const invResponse = await transport.send(invMsg);
 
-            // Step 3: Process what remote has/wants
+            if (invResponse.type === MESSAGE_TYPE.REFUSE) {
+                throw new Error(`Inventory refused: ${invResponse.reason}`);
+            }
+
+            // Step 3: Work out what each side is missing
+            // have: events we hold that the remote's bloom filter lacks
+            // want: remote heads (and events the remote listed as missing on our side)
             const { have, want } = session.processInvMessage(invResponse);
 
-            // Step 4: Send events remote wants
-            if (want.ids.length > 0) {
-                const sendMsg = session.createSendMessage(want.ids);
-                await transport.send(sendMsg);
-            }
+            const toSend = this._orderByClock(unique([
+                ...(checkpoint?.send || []),
+                ...(have.ids || [])
+            ]));
+            const toRequest = unique([
+                ...(checkpoint?.want || []),
+                ...(invResponse.missing || []),
+                ...(want.ids || [])
+            ]).filter(id => !this._eventLog.get(id));
+
+            const progress = {
+                send: toSend,
+                want: toRequest,
+                startedAt: checkpoint?.startedAt || new Date().toISOString(),
+                resumed: checkpoint !== null
+            };
+            this._checkpoints.set(remoteId, progress);
 
-            // Step 5: Request events we want
-            if (have.ids?.length > 0) {
-                const wantMsg = session.createWantMessage(have.ids);
-                const sendResponse = await transport.send(wantMsg);
+            // Step 4: Send events the remote lacks
+            const sent = await this._pushEvents(transport, session, progress, remoteId);
 
-                if (sendResponse.type === MESSAGE_TYPE.SEND) {
-                    const results = session.processReceivedEvents(sendResponse.events);
+            // Step 5: Request events we lack (and any parents they still need)
+            const received = await this._pullEvents(transport, session, progress, remoteId);
 
-                    // Handle conflicts
-                    if (results.conflicts.length > 0) {
-                        this._options.onConflict?.(results.conflicts);
-                    }
-                }
+            this._checkpoints.delete(remoteId);
+            this._recordRejected(remoteId, REFUSAL_DIRECTION.INCOMING, received.rejected);
+
+            // Handle conflicts
+            if (received.conflicts.length > 0) {
+                this._options.onConflict?.(received.conflicts);
             }
 
             // Record success
             const stats = {
-                received: have.ids?.length || 0,
-                sent: want.ids?.length || 0,
-                conflicts: session.getConflicts().length
+                received: received.accepted,
+                sent,
+                conflicts: received.conflicts.length,
+                rejected: received.rejected.length,
+                parked: received.parked,
+                resumed: progress.resumed
             };
 
             session.recordSyncSuccess(stats);
@@ -780,6 +1239,516 @@
             return stats;
         }
 
+        /**
+         * Send events to the remote in batches
+         * The remote ACKs each batch and lists parents it could not resolve,
+         * which are sent along as well (e.g. bloom filter false positives).
+         */
+        async _pushEvents(transport, session, progress, remoteId) {
+            const sentIds = new Set();
+            let sent = 0;
+
+            while (progress.send.length > 0) {
+                const batch = progress.send.slice(0, this._options.batchSize);
+                const sendMsg = session.createSendMessage(batch);
+                const ack = await transport.send(sendMsg);
+                this._reportRefused(ack, remoteId);
+                this._recordRejected(remoteId, REFUSAL_DIRECTION.OUTGOING, ack?.rejected);
+
+                batch.forEach(id => sentIds.add(id));
+                sent += sendMsg.events.length;
+
+                const followUp = (ack?.missing || [])
+                    .filter(id => !sentIds.has(id) && this._eventLog.get(id));
+
+                progress.send = this._orderByClock(unique([
+                    ...followUp,
+                    ...progress.send.slice(batch.length)
+                ]));
+
+                this._options.onProgress?.({
+                    direction: 'send',
+                    sent,
+                    remaining: progress.send.length
+                });
+            }
+
+            return sent;
+        }
+
+        /**
+         * Request events from the remote in batches
+         * Events that arrive before their parents are parked by the log;
+         * the missing parents are requested in follow-up batches so the
+         * pending queue can drain.
+         */
+        async _pullEvents(transport, session, progress, remoteId) {
+            const requested = new Set();
+            const totals = {
+                accepted: 0,
+                rejected: [],
+                conflicts: [],
+                parked: 0
+            };
+
+            while (progress.want.length > 0) {
+                const batch = progress.want.slice(0, this._options.batchSize);
+                batch.forEach(id => requested.add(id));
+
+                const response = await transport.send(session.createWantMessage(batch));
+                let followUp = [];
+
+                if (response.type === MESSAGE_TYPE.SEND) {
+                    const results = await this._receiveFrom(session, remoteId, response.events || []);
+
+                    totals.accepted += results.accepted.length;
+                    totals.rejected.push(...results.rejected);
+                    totals.conflicts.push(...results.conflicts);
+                    totals.parked += results.parked.length;
+
+                    followUp = results.parked
+                        .flatMap(p => p.waitingFor || [])
+                        .filter(id => !requested.has(id) && !this._eventLog.get(id));
+                } else if (response.type === MESSAGE_TYPE.REFUSE) {
+                    totals.rejected.push(...batch.map(id => ({
+                        id,
+                        reason: response.reason
+                    })));
+                }
+
+                progress.want = unique([
+                    ...followUp,
+                    ...progress.want.slice(batch.length)
+                ]);
+
+                this._options.onProgress?.({
+                    direction: 'receive',
+                    received: totals.accepted,
+                    remaining: progress.want.length
+                });
+            }
+
+            return totals;
+        }
+
+        /**
+         * Order event ids by local logical clock (parents before children)
+         */
+        _orderByClock(ids) {
+            return ids
+                .map(id => this._eventLog.get(id))
+                .filter(Boolean)
+                .sort((a, b) => a.logicalClock - b.logicalClock)
+                .map(e => e.id);
+        }
+
+        /**
+         * Apply events received from a remote
+         * With a key ring, events whose signature does not verify are refused
+         * before they reach the log (Rule 2). Events from a peer we are live
+         * with are not pushed back to it.
+         */
+        async _receiveFrom(session, remoteId, events) {
+            const checked = await verifyReceived(events, this._options.keyRing, this._options);
+            const refused = checked.refused;
+            events = checked.verified;
+
+            const live = this._live.get(remoteId);
+            if (live) {
+                events
+                    .filter(e => e?.id && !this._eventLog.get(e.id))
+                    .forEach(e => live.skip.add(e.id));
+            }
+
+            const results = session.processReceivedEvents(events);
+
+            if (live) {
+                results.rejected.forEach(r => live.skip.delete(r.id));
+            }
+
+            return { ...results, rejected: [...refused, ...results.rejected], refused };
+        }
+
+        /**
+         * Keep refused events in the log, with their reasons (Rule 7)
+         */
+        _recordRejected(remoteId, direction, rejected) {
+            if (!rejected?.length) return null;
+            return this._getSession(remoteId).recordRefused(direction, rejected);
+        }
+
+        /**
+         * Surface events a remote refused to accept from us
+         */
+        _reportRefused(reply, remoteId) {
+            if (reply?.type !== MESSAGE_TYPE.REFUSE || !reply.refused?.length) return false;
+
+            this._options.onError?.({
+                type: 'events_refused',
+                remoteId,
+                reason: reply.reason,
+                refused: reply.refused
+            });
+            return true;
+        }
+
+        // ========================================================================
+        // LIVE SYNC (Continuous push while connected)
+        // ========================================================================
+
+        /**
+         * Keep a remote peer continuously in sync
+         *
+         * Runs the inventory exchange once, then pushes every event to the
+         * peer as soon as it is appended to the log. Both sides call
+         * startLive() towards each other, so each pushes its own appends.
+         * After a reconnect or a failed push the Bloom filter inventory diff
+         * runs again to pick up whatever was missed in between.
+         *
+         * @param {Object} transport - { send(message), subscribeStatus?(callback) }
+         * @returns {Function} Stops live mode for this peer
+         */
+        startLive(transport, remoteId) {
+            this.stopLive(remoteId);
+
+            const live = {
+                remoteId,
+                transport,
+                state: LIVE_STATE.CATCHING_UP,
+                queue: [],              // Event ids waiting to be pushed
+                queuedAt: new Map(),    // Event id -> time it was queued
+                skip: new Set(),        // Ids received from this peer (no echo)
+                ackedClock: 0,          // Local clock the peer is caught up to
+                flushing: false,
+                flushScheduled: false,
+                catchUp: null,
+                catchUpAgain: false,
+                retryTimer: null,
+                failures: 0,
+                lastPushAt: null,
+                lastAckAt: null,
+                lastCatchUpAt: null,
+                lastError: null,
+                unsubscribe: []
+            };
+            this._live.set(remoteId, live);
+
+            live.unsubscribe.push(
+                this._eventLog.subscribe(event => this._onLiveAppend(live, event))
+            );
+
+            // Catch up again whenever the transport comes back
+            if (typeof transport.subscribeStatus === 'function') {
+                let wasOpen = true;
+                live.unsubscribe.push(transport.subscribeStatus(status => {
+                    const open = status.state === 'open';
+                    if (open && !wasOpen) {
+                        this._liveCatchUp(live);
+                    } else if (!open && wasOpen && live.state === LIVE_STATE.LIVE) {
+                        live.state = LIVE_STATE.DISCONNECTED;
+                    }
+                    wasOpen = open;
+                }));
+            }
+
+            this._liveCatchUp(live);
+
+            return () => this.stopLive(remoteId);
+        }
+
+        /**
+         * Stop live mode for a peer (or all peers)
+         */
+        stopLive(remoteId = null) {
+            const targets = remoteId === null
+                ? Array.from(this._live.values())
+                : [this._live.get(remoteId)].filter(Boolean);
+
+            for (const live of targets) {
+                live.state = LIVE_STATE.STOPPED;
+                clearTimeout(live.retryTimer);
+                live.unsubscribe.forEach(unsubscribe => unsubscribe());
+                this._live.delete(live.remoteId);
+            }
+        }
+
+        _onLiveAppend(live, event) {
+            const fromPeer = live.skip.delete(event.id);
+            const session = this._getSession(live.remoteId);
+
+            if (fromPeer || !session._isEventReplicated(event)) {
+                // Nothing to push - the peer is as far along as before
+                if (live.queue.length === 0 && live.state === LIVE_STATE.LIVE) {
+                    live.ackedClock = event.logicalClock;
+                }
+                return;
+            }
+
+            live.queue.push(event.id);
+            live.queuedAt.set(event.id, Date.now());
+
+            // Coalesce events appended in the same tick into one SEND
+            if (live.state === LIVE_STATE.LIVE && !live.flushScheduled) {
+                live.flushScheduled = true;
+                setTimeout(() => {
+                    live.flushScheduled = false;
+                    this._flushLive(live);
+                }, 0);
+            }
+        }
+
+        async _flushLive(live) {
+            if (live.flushing || live.state !== LIVE_STATE.LIVE) return;
+            live.flushing = true;
+
+            try {
+                while (live.queue.length > 0 && live.state === LIVE_STATE.LIVE) {
+                    const batch = live.queue.slice(0, this._options.batchSize);
+                    const session = this._getSession(live.remoteId);
+
+                    live.lastPushAt = new Date().toISOString();
+                    const ack = await live.transport.send(session.createSendMessage(batch));
+
+                    // Refused events are reported, not retried - resending
+                    // an unverifiable event cannot make it verifiable
+                    if (ack?.type === MESSAGE_TYPE.REFUSE && !this._reportRefused(ack, live.remoteId)) {
+                        throw new Error(`Live push refused: ${ack.reason}`);
+                    }
+                    this._recordRejected(live.remoteId, REFUSAL_DIRECTION.OUTGOING, ack?.rejected);
+
+                    live.queue.splice(0, batch.length);
+                    batch.forEach(id => live.queuedAt.delete(id));
+                    live.lastAckAt = new Date().toISOString();
+                    live.failures = 0;
+
+                    // Parents the peer still lacks (e.g. appended while offline)
+                    const missing = (ack?.missing || [])
+                        .filter(id => this._eventLog.get(id) && !live.queue.includes(id));
+                    live.queue.unshift(...this._orderByClock(missing));
+
+                    if (live.queue.length === 0) {
+                        live.ackedClock = this._eventLog.getClock();
+                    }
+                }
+            } catch (err) {
+                live.lastError = err.message;
+                this._scheduleLiveRetry(live);
+            } finally {
+                live.flushing = false;
+            }
+        }
+
+        /**
+         * Run the inventory exchange for a live peer, then resume pushing
+         */
+        _liveCatchUp(live) {
+            if (live.state === LIVE_STATE.STOPPED) return null;
+
+            if (live.catchUp) {
+                live.catchUpAgain = true;
+                return live.catchUp;
+            }
+
+            clearTimeout(live.retryTimer);
+            live.retryTimer = null;
+            live.state = LIVE_STATE.CATCHING_UP;
+
+            live.catchUp = (async () => {
+                // Queue behind a syncWith() or another peer's catch-up
+                const release = await this._acquireSync();
+                if (live.state === LIVE_STATE.STOPPED) {
+                    release();
+                    live.catchUp = null;
+                    return;
+                }
+
+                const clockAtStart = this._eventLog.getClock();
+
+                try {
+                    await this._performSync(live.transport, live.remoteId);
+
+                    if (live.state === LIVE_STATE.STOPPED) return;
+
+                    live.state = LIVE_STATE.LIVE;
+                    live.failures = 0;
+                    live.lastError = null;
+                    live.lastCatchUpAt = new Date().toISOString();
+                    live.ackedClock = Math.max(live.ackedClock, clockAtStart);
+
+                    // Events appended during the exchange; ones the peer already has are
+                    // accepted as duplicates, not raised as conflicts (Rule 8)
+                    this._flushLive(live);
+                } catch (err) {
+                    live.lastError = err.message;
+                    this._scheduleLiveRetry(live);
+                } finally {
+                    release();
+                    live.catchUp = null;
+                    if (live.catchUpAgain) {
+                        live.catchUpAgain = false;
+                        this._liveCatchUp(live);
+                    }
+                }
+            })();
+
+            return live.catchUp;
+        }
+
+        _scheduleLiveRetry(live) {
+            if (live.state === LIVE_STATE.STOPPED) return;
+
+            live.failures++;
+            live.state = LIVE_STATE.DISCONNECTED;
+
+            // Record the outage once it outlasts the normal retry budget (Rule 7)
+            if (live.failures === this._options.retryAttempts) {
+                this._getSession(live.remoteId).recordSyncFailure(new Error(live.lastError), {
+                    remoteNodeId: live.remoteId,
+                    mode: 'live',
+                    attempts: live.failures
+                });
+                this._options.onError?.({
+                    type: 'live_sync_failed',
+                    remoteId: live.remoteId,
+                    error: live.lastError,
+                    attempts: live.failures
+                });
+            }
+
+            const delay = Math.min(
+                this._options.liveRetryMaxDelay,
+                this._options.retryBaseDelay * Math.pow(2, live.failures - 1)
+            );
+
+            clearTimeout(live.retryTimer);
+            live.retryTimer = setTimeout(() => {
+                live.retryTimer = null;
+                this._liveCatchUp(live);
+            }, delay);
+        }
+
+        /**
+         * Per-peer live status, including how far the peer lags behind
+         */
+        _getLiveStatus(live) {
+            const clock = this._eventLog.getClock();
+            const oldest = live.queue.length > 0 ? live.queuedAt.get(live.queue[0]) : null;
+
+            return {
+                state: live.state,
+                queued: live.queue.length,
+                ackedClock: live.ackedClock,
+                lagEvents: Math.max(0, clock - live.ackedClock),
+                lagMs: oldest ? Date.now() - oldest : 0,
+                failures: live.failures,
+                lastPushAt: live.lastPushAt,
+                lastAckAt: live.lastAckAt,
+                lastCatchUpAt: live.lastCatchUpAt,
+                lastError: live.lastError
+            };
+        }
+
+        // ========================================================================
+        // RESPONDER (Answering requests from a remote syncWith)
+        // ========================================================================
+
+        /**
+         * Handle a protocol message sent by a remote node and return the reply
+         * This is the other half of syncWith(): transports call it for every
+         * incoming request.
+         */
+        async handleMessage(message, remoteId) {
+            const session = this._getSession(remoteId);
+
+            switch (message?.type) {
+                case MESSAGE_TYPE.SCOPE: {
+                    const result = session.processScopeMessage(message);
+                    return result.accepted
+                        ? result.response
+                        : session.createRefuseMessage([], result.error);
+                }
+
+                case MESSAGE_TYPE.INV: {
+                    // Reply with our inventory, plus what the requester lacks
+                    const inv = session.createInvMessage();
+                    const { have } = session.processInvMessage(message);
+                    return { ...inv, missing: have.ids };
+                }
+
+                case MESSAGE_TYPE.WANT:
+                    return session.createSendMessage(message.ids || []);
+
+                case MESSAGE_TYPE.SEND: {
+                    const results = await this._receiveFrom(session, remoteId, message.events || []);
+                    this._recordRejected(remoteId, REFUSAL_DIRECTION.INCOMING, results.rejected);
+
+                    if (results.conflicts.length > 0) {
+                        this._options.onConflict?.(results.conflicts);
+                    }
+
+                    const reply = {
+                        type: MESSAGE_TYPE.ACK,
+                        accepted: results.accepted,
+                        rejected: results.rejected,
+                        conflicts: results.conflicts.length,
+                        missing: unique(results.parked.flatMap(p => p.waitingFor || []))
+                    };
+
+                    // Rule 2: unverifiable events are REFUSEd by id, with the
+                    // reason for each; the rest of the batch is acknowledged
+                    if (results.refused.length > 0) {
+                        const reasons = unique(results.refused.map(r => r.reason));
+                        return {
+                            ...reply,
+                            ...session.createRefuseMessage(
+                                results.refused.map(r => r.id),
+                                reasons.length === 1 ? reasons[0] : 'RULE_2: Unverifiable events'
+                            ),
+                            refused: results.refused
+                        };
+                    }
+
+                    return reply;
+                }
+
+                default:
+                    return session.createRefuseMessage([], 'unsupported_message_type');
+            }
+        }
+
+        /**
+         * Retry a peer now instead of waiting out the backoff
+         * A live peer catches up again; otherwise the last syncWith() is
+         * repeated, resuming from its checkpoint.
+         */
+        async retryNow(remoteId) {
+            const live = this._live.get(remoteId);
+            if (live) {
+                live.failures = 0;
+                return this._liveCatchUp(live);
+            }
+
+            const transport = this._transports.get(remoteId);
+            if (!transport) {
+                throw new Error(`Nothing to retry for ${remoteId}: no sync with it yet`);
+            }
+            return this.syncWith(transport, remoteId);
+        }
+
+        /**
+         * Change the replication scope asked of peers
+         * Widening it brings the newly covered events in at the next sync;
+         * events already held are kept.
+         */
+        setScope(scope) {
+            const invalid = scopeError(scope);
+            if (invalid) {
+                throw new Error(`Invalid replication scope: ${invalid}`);
+            }
+            this._options.scope = scope || null;
+            this._sessions.forEach(session => session.setScope(scope));
+        }
+
         /**
          * Get current sync status
          */
@@ -788,11 +1757,88 @@
                 inProgress: this._syncInProgress,
                 nodeId: this._options.nodeId,
                 workspace: this._options.workspace,
-                sessions: Array.from(this._sessions.keys())
+                scope: this._options.scope,
+                sessions: Array.from(this._sessions.keys()),
+                resumable: Array.from(this._checkpoints.keys()),
+                live: Object.fromEntries(
+                    Array.from(this._live.values()).map(l => [l.remoteId, this._getLiveStatus(l)])
+                )
             };
         }
     }
 
+    /**
+     * Heads of an ancestor-closed set of events
+     */
+    function scopeHeads(events) {
+        const parents = new Set(events.flatMap(e => e.parents || []));
+        return events.filter(e => !parents.has(e.id)).map(e => e.id);
+    }
+
+    /**
+     * De-duplicate a list of ids, keeping first occurrence order
+     */
+    function unique(ids) {
+        return Array.from(new Set(ids));
+    }
+
+    // ============================================================================
+    // SYNC HISTORY (Read back from the log)
+    // ============================================================================
+
+    /**
+     * Sync outcomes recorded in a log, per peer and overall
+     * Sync records travel with the log, so pass nodeId to keep only the ones
+     * a given node made.
+     *
+     * @param {Object} eventLog
+     * @param {Object} options - { nodeId }
+     * @returns {Object} { lastSuccess, peers, failures, refused } - lists newest first
+     */
+    function readSyncHistory(eventLog, options = {}) {
+        const peers = new Map();
+        const history = { lastSuccess: null, failures: [], refused: [] };
+
+        const peer = (remoteId) => {
+            if (!peers.has(remoteId)) {
+                peers.set(remoteId, { remoteId, lastSuccess: null, lastFailure: null, successes: 0, failures: 0, refused: 0 });
+            }
+            return peers.get(remoteId);
+        };
+
+        for (const event of eventLog.getAll()) {
+            const p = event.payload || {};
+            if (!Object.values(SYNC_RECORD).includes(p.action)) continue;
+            if (options.nodeId && event.context?.nodeId && event.context.nodeId !== options.nodeId) continue;
+
+            const remoteId = p.remoteNodeId || null;
+            const entry = { eventId: event.id, remoteId, at: event.timestamp };
+
+            if (p.action === SYNC_RECORD.SUCCESS) {
+                const success = { ...entry, sent: p.eventsSent, received: p.eventsReceived, conflicts: p.conflicts };
+                history.lastSuccess = success;
+                if (remoteId) {
+                    peer(remoteId).lastSuccess = success;
+                    peer(remoteId).successes++;
+                }
+            } else if (p.action === SYNC_RECORD.FAILURE) {
+                const failure = { ...entry, error: p.error, errorType: p.errorType, attempts: p.attempts || 1, mode: p.mode || 'sync' };
+                history.failures.unshift(failure);
+                if (remoteId) {
+                    peer(remoteId).lastFailure = failure;
+                    peer(remoteId).failures++;
+                }
+            } else {
+                (p.refused || []).forEach(r => {
+                    history.refused.unshift({ ...entry, id: r.id, reason: r.reason, direction: p.direction });
+                });
+                if (remoteId) peer(remoteId).refused += (p.refused || []).length;
+            }
+        }
+
+        return { ...history, peers: Array.from(peers.values()) };
+    }
+
     // ============================================================================
     // SINGLETON AND EXPORTS
     // ============================================================================
@@ -818,6 +1864,22 @@
         // Constants
         MESSAGE_TYPE,
         CONFLICT_TYPE,
+        LIVE_STATE,
+        SYNC_RECORD,
+        REFUSAL_DIRECTION,
+
+        // Sync outcomes recorded in a log
+        readSyncHistory,
+
+        // Signature check applied to everything received
+        verifyReceived,
+
+        // Replication scopes: ids a scope replicates from a log, and why a
+        // scope definition is invalid (null when valid)
+        selectScope: (eventLog, scope) => scope
+            ? selectScope(eventLog, normalizeScope(scope))
+            : new Set(eventLog.getAll().map(e => e.id)),
+        scopeError,
 
         // Singleton
         getEngine: getSyncEngine,
@@ -0,0 +1,490 @@
+/**
+ * EO Sync Transport
+ * WebSocket transport for SyncEngine.syncWith()
+ *
+ * Carries SCOPE/INV/HAVE/WANT/SEND/REFUSE/CONFLICT protocol messages between
+ * peers of a workspace through a relay (see scripts/sync-relay.js). The relay
+ * only routes frames; events travel exactly as the engine produced them, so
+ * authorship is never touched in transit (Rule 2).
+ *
+ * Features:
+ * - Request/response correlation over a single socket
+ * - Reconnect with exponential backoff; requests still in flight are re-sent
+ *   once the connection is back (every protocol request is idempotent - Rule 8)
+ * - Backpressure: outgoing frames wait while the socket buffer is full
+ * - Incoming requests are answered by the attached engine (handleMessage)
+ * - Status subscriptions, so live sync can catch up after a reconnect
+ *
+ * Usage:
+ *   const transport = new EOSyncTransport.WebSocketTransport('wss://relay.example/sync', {
+ *       workspace: 'project_alpha',
+ *       nodeId: engine.getStatus().nodeId
+ *   });
+ *   transport.attach(engine);
+ *   await transport.connect();
+ *   await engine.syncWith(transport.channel('node_b'), 'node_b');
+ *
+ * @see Sync Handbook Rule 6 (Operations, Not Snapshots)
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // FRAME TYPES (Relay envelope around protocol messages)
+    // ============================================================================
+
+    const FRAME = {
+        HELLO: 'hello',             // Client -> relay: join a workspace
+        WELCOME: 'welcome',         // Relay -> client: joined, current peers
+        PEER_JOINED: 'peer_joined',
+        PEER_LEFT: 'peer_left',
+        REQUEST: 'request',         // Protocol message expecting a reply
+        RESPONSE: 'response',       // Reply to a request (or routing error)
+        ERROR: 'error'
+    };
+
+    const CONNECTION_STATE = {
+        IDLE: 'idle',
+        CONNECTING: 'connecting',
+        OPEN: 'open',
+        RECONNECTING: 'reconnecting',
+        CLOSED: 'closed'
+    };
+
+    // WebSocket readyState values (same in browsers and Node)
+    const SOCKET_OPEN = 1;
+
+    // Matches EOSyncProtocol.MESSAGE_TYPE.REFUSE
+    const REFUSE = 'refuse';
+
+    // ============================================================================
+    // WEBSOCKET TRANSPORT
+    // ============================================================================
+
+    class WebSocketTransport {
+        constructor(url, options = {}) {
+            this._url = url;
+            this._options = {
+                workspace: options.workspace || 'default',
+                nodeId: options.nodeId || `node_${Date.now().toString(36)}`,
+                createSocket: options.createSocket || ((socketUrl) => new global.WebSocket(socketUrl)),
+                requestTimeout: options.requestTimeout || 30000,
+                reconnect: options.reconnect !== false,
+                reconnectBaseDelay: options.reconnectBaseDelay || 500,
+                reconnectMaxDelay: options.reconnectMaxDelay || 30000,
+                maxReconnectAttempts: options.maxReconnectAttempts ?? Infinity,
+                highWaterMark: options.highWaterMark || 1024 * 1024,
+                drainInterval: options.drainInterval || 50,
+                onStatus: options.onStatus || null,
+                onPeers: options.onPeers || null,
+                onError: options.onError || null
+            };
+
+            this._socket = null;
+            this._state = CONNECTION_STATE.IDLE;
+            this._peers = new Set();
+
+            // Requests awaiting a response: id -> { frame, resolve, reject, timer }
+            this._pending = new Map();
+            this._requestCounter = 0;
+
+            // Serialized frames waiting for socket buffer space
+            this._outbox = [];
+            this._drainTimer = null;
+
+            this._handler = null;
+            this._statusSubscribers = new Set();
+            this._connectWaiters = [];
+            this._reconnectAttempts = 0;
+            this._reconnectTimer = null;
+            this._lastConnectedAt = null;
+            this._lastError = null;
+        }
+
+        // ========================================================================
+        // CONNECTION LIFECYCLE
+        // ========================================================================
+
+        /**
+         * Connect to the relay and join the workspace
+         * Resolves once the relay has welcomed us
+         */
+        connect() {
+            if (this._state === CONNECTION_STATE.OPEN) {
+                return Promise.resolve(this.getStatus());
+            }
+
+            const ready = new Promise((resolve, reject) => {
+                this._connectWaiters.push({ resolve, reject });
+            });
+
+            if (this._state === CONNECTION_STATE.IDLE || this._state === CONNECTION_STATE.CLOSED) {
+                this._reconnectAttempts = 0;
+                this._setState(CONNECTION_STATE.CONNECTING);
+                this._openSocket();
+            }
+
+            return ready;
+        }
+
+        /**
+         * Close the connection for good (no reconnect)
+         */
+        close() {
+            clearTimeout(this._reconnectTimer);
+            clearTimeout(this._drainTimer);
+            this._reconnectTimer = null;
+            this._drainTimer = null;
+
+            this._setState(CONNECTION_STATE.CLOSED);
+
+            if (this._socket) {
+                const socket = this._socket;
+                this._socket = null;
+                socket.close(1000, 'client_closed');
+            }
+
+            this._outbox = [];
+            this._failPending(new Error('transport_closed'));
+            this._settleConnectWaiters(new Error('transport_closed'));
+        }
+
+        _openSocket() {
+            let socket;
+            try {
+                socket = this._options.createSocket(this._url);
+            } catch (err) {
+                this._lastError = err.message;
+                this._scheduleReconnect();
+                return;
+            }
+
+            this._socket = socket;
+
+            socket.onopen = () => {
+                // HELLO bypasses the outbox: nothing else may go out before WELCOME
+                socket.send(JSON.stringify({
+                    kind: FRAME.HELLO,
+                    workspace: this._options.workspace,
+                    nodeId: this._options.nodeId
+                }));
+            };
+
+            socket.onmessage = (event) => {
+                if (socket !== this._socket) return;
+                this._onFrame(event.data);
+            };
+
+            socket.onerror = (event) => {
+                this._lastError = event?.message || 'socket_error';
+            };
+
+            socket.onclose = (event) => {
+                if (socket !== this._socket) return;
+                this._socket = null;
+                this._onSocketClosed(event);
+            };
+        }
+
+        _onSocketClosed(event) {
+            clearTimeout(this._drainTimer);
+            this._drainTimer = null;
+            this._peers.clear();
+
+            // Queued frames are dropped: requests in _pending are re-sent after
+            // reconnecting, and the remote re-sends its own requests too
+            this._outbox = [];
+
+            if (this._state === CONNECTION_STATE.CLOSED) return;
+
+            this._lastError = event?.reason || this._lastError || `closed_${event?.code || 'unknown'}`;
+            this._scheduleReconnect();
+        }
+
+        _scheduleReconnect() {
+            const exhausted = this._reconnectAttempts >= this._options.maxReconnectAttempts;
+
+            if (!this._options.reconnect || exhausted) {
+                const error = new Error(this._lastError || 'connection_lost');
+                this._setState(CONNECTION_STATE.CLOSED);
+                this._failPending(error);
+                this._settleConnectWaiters(error);
+                this._options.onError?.({ type: 'connection_lost', error: error.message });
+                return;
+            }
+
+            // Exponential backoff with jitter
+            const delay = Math.min(
+                this._options.reconnectMaxDelay,
+                this._options.reconnectBaseDelay * Math.pow(2, this._reconnectAttempts)
+            ) * (0.5 + Math.random() / 2);
+
+            this._reconnectAttempts++;
+            this._setState(CONNECTION_STATE.RECONNECTING);
+
+            this._reconnectTimer = setTimeout(() => {
+                this._reconnectTimer = null;
+                this._openSocket();
+            }, delay);
+        }
+
+        // ========================================================================
+        // INCOMING FRAMES
+        // ========================================================================
+
+        _onFrame(data) {
+            let frame;
+            try {
+                frame = JSON.parse(typeof data === 'string' ? data : String(data));
+            } catch (err) {
+                this._options.onError?.({ type: 'invalid_frame', error: err.message });
+                return;
+            }
+
+            switch (frame.kind) {
+                case FRAME.WELCOME:
+                    this._onWelcome(frame);
+                    break;
+
+                case FRAME.PEER_JOINED:
+                    this._peers.add(frame.nodeId);
+                    this._options.onPeers?.(this.getPeers());
+                    break;
+
+                case FRAME.PEER_LEFT:
+                    this._peers.delete(frame.nodeId);
+                    this._options.onPeers?.(this.getPeers());
+                    break;
+
+                case FRAME.REQUEST:
+                    this._handleRequest(frame);
+                    break;
+
+                case FRAME.RESPONSE:
+                    this._handleResponse(frame);
+                    break;
+
+                case FRAME.ERROR:
+                    this._lastError = frame.error;
+                    this._options.onError?.({ type: 'relay_error', error: frame.error });
+                    break;
+            }
+        }
+
+        _onWelcome(frame) {
+            this._peers = new Set(frame.peers || []);
+            this._reconnectAttempts = 0;
+            this._lastConnectedAt = new Date().toISOString();
+
+            // Resume: re-send every request that never got its response
+            for (const pending of this._pending.values()) {
+                this._enqueue(pending.frame);
+            }
+
+            this._setState(CONNECTION_STATE.OPEN);
+
+            this._settleConnectWaiters(null);
+            this._options.onPeers?.(this.getPeers());
+        }
+
+        async _handleRequest(frame) {
+            let reply;
+
+            if (!this._handler) {
+                reply = { type: REFUSE, ids: [], reason: 'no_handler' };
+            } else {
+                try {
+                    reply = await this._handler(frame.message, frame.from);
+                } catch (err) {
+                    reply = { type: REFUSE, ids: [], reason: err.message };
+                }
+            }
+
+            this._enqueue({
+                kind: FRAME.RESPONSE,
+                id: frame.id,
+                to: frame.from,
+                message: reply
+            });
+        }
+
+        _handleResponse(frame) {
+            const pending = this._pending.get(frame.id);
+            if (!pending) return; // Late reply to a timed-out or replayed request
+
+            this._pending.delete(frame.id);
+            clearTimeout(pending.timer);
+
+            if (frame.error) {
+                pending.reject(new Error(frame.error));
+            } else {
+                pending.resolve(frame.message);
+            }
+        }
+
+        // ========================================================================
+        // OUTGOING FRAMES (Backpressure-aware)
+        // ========================================================================
+
+        /**
+         * Send a protocol message to a peer and wait for its reply
+         */
+        request(to, message) {
+            const id = `${this._options.nodeId}:${++this._requestCounter}`;
+            const frame = { kind: FRAME.REQUEST, id, to, message };
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this._pending.delete(id);
+                    reject(new Error('request_timeout'));
+                }, this._options.requestTimeout);
+
+                this._pending.set(id, { frame, resolve, reject, timer });
+
+                if (this._state === CONNECTION_STATE.OPEN) {
+                    this._enqueue(frame);
+                } else if (this._state === CONNECTION_STATE.IDLE || this._state === CONNECTION_STATE.CLOSED) {
+                    this._pending.delete(id);
+                    clearTimeout(timer);
+                    reject(new Error('transport_not_connected'));
+                }
+                // CONNECTING / RECONNECTING: sent from _onWelcome
+            });
+        }
+
+        /**
+         * Get a transport bound to one peer, as expected by SyncEngine.syncWith()
+         */
+        channel(remoteId) {
+            return {
+                remoteId,
+                send: (message) => this.request(remoteId, message),
+                subscribeStatus: (callback) => this.subscribeStatus(callback)
+            };
+        }
+
+        _enqueue(frame) {
+            this._outbox.push(JSON.stringify(frame));
+            this._flush();
+        }
+
+        _flush() {
+            const socket = this._socket;
+            if (!socket || socket.readyState !== SOCKET_OPEN) return;
+
+            while (this._outbox.length > 0) {
+                if ((socket.bufferedAmount || 0) > this._options.highWaterMark) {
+                    // Socket buffer is full - wait for it to drain
+                    if (!this._drainTimer) {
+                        this._drainTimer = setTimeout(() => {
+                            this._drainTimer = null;
+                            this._flush();
+                        }, this._options.drainInterval);
+                    }
+                    return;
+                }
+
+                socket.send(this._outbox.shift());
+            }
+        }
+
+        _failPending(error) {
+            for (const pending of this._pending.values()) {
+                clearTimeout(pending.timer);
+                pending.reject(error);
+            }
+            this._pending.clear();
+        }
+
+        _settleConnectWaiters(error) {
+            const waiters = this._connectWaiters;
+            this._connectWaiters = [];
+            waiters.forEach(w => error ? w.reject(error) : w.resolve(this.getStatus()));
+        }
+
+        // ========================================================================
+        // ENGINE INTEGRATION
+        // ========================================================================
+
+        /**
+         * Answer incoming protocol requests with a sync engine
+         */
+        attach(engine) {
+            this._handler = (message, from) => engine.handleMessage(message, from);
+            return this;
+        }
+
+        /**
+         * Answer incoming protocol requests with a custom handler
+         * handler: (message, fromNodeId) => reply | Promise<reply>
+         */
+        setHandler(handler) {
+            this._handler = handler;
+            return this;
+        }
+
+        // ========================================================================
+        // STATUS
+        // ========================================================================
+
+        _setState(state) {
+            if (this._state === state) return;
+            this._state = state;
+
+            const status = this.getStatus();
+            this._options.onStatus?.(status);
+            this._statusSubscribers.forEach(callback => callback(status));
+        }
+
+        /**
+         * Subscribe to connection state changes
+         * Used by SyncEngine.startLive() to catch up after a reconnect
+         */
+        subscribeStatus(callback) {
+            this._statusSubscribers.add(callback);
+            return () => this._statusSubscribers.delete(callback);
+        }
+
+        getPeers() {
+            return Array.from(this._peers);
+        }
+
+        getStatus() {
+            return {
+                state: this._state,
+                url: this._url,
+                workspace: this._options.workspace,
+                nodeId: this._options.nodeId,
+                peers: this.getPeers(),
+                inFlight: this._pending.size,
+                queued: this._outbox.length,
+                reconnectAttempts: this._reconnectAttempts,
+                lastConnectedAt: this._lastConnectedAt,
+                lastError: this._lastError
+            };
+        }
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOSyncTransport = {
+        // Classes
+        WebSocketTransport,
+
+        // Constants
+        FRAME,
+        CONNECTION_STATE
+    };
+
+    // Export to global scope
+    global.EOSyncTransport = EOSyncTransport;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOSyncTransport;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,277 @@
+/**
+ * EO Time Travel UI Component
+ *
+ * Provides UI rendering for audits of past workspace states:
+ * - Scrubber over the event log (event by event, or jump to now)
+ * - Any set or view rendered as it existed at the scrubbed point
+ * - Changes between the scrubbed point and now, with their causing events
+ *
+ * Rendering only - states come from EOStateDerivation.deriveAsOf() and
+ * diffs from EOStateDerivation.diff(), both pure functions of the log.
+ */
+
+const EOTimeTravelUI = (function() {
+    'use strict';
+
+    /**
+     * Render the scrubber
+     * @param {Object} eventLog
+     * @param {Object} asOf - From EOStateDerivation.resolvePoint()
+     * @returns {string} HTML string for the scrubber
+     */
+    function renderScrubber(eventLog, asOf) {
+        const max = eventLog.getClock();
+        const event = asOf.eventId ? eventLog.get(asOf.eventId) : null;
+        const atHead = asOf.logicalClock === max;
+
+        return `
+            <div class="eo-time-scrubber" style="padding: 12px 16px; background: var(--muted-surface); border: 1px solid var(--border); border-radius: 8px;">
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <i class="ph ph-clock-counter-clockwise" style="font-size: 18px; color: var(--text-secondary);"></i>
+                    <button data-time-travel="step" data-step="-1" title="Previous event" ${asOf.logicalClock <= 0 ? 'disabled' : ''} style="${buttonStyle()}">
+                        <i class="ph ph-caret-left"></i>
+                    </button>
+                    <input type="range" data-time-travel="scrub" min="0" max="${max}" value="${asOf.logicalClock}" style="flex: 1;">
+                    <button data-time-travel="step" data-step="1" title="Next event" ${atHead ? 'disabled' : ''} style="${buttonStyle()}">
+                        <i class="ph ph-caret-right"></i>
+                    </button>
+                    <button data-time-travel="now" ${atHead ? 'disabled' : ''} style="${buttonStyle()}">Now</button>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-top: 8px; font-size: 11px; color: var(--text-secondary);">
+                    <span>
+                        ${event
+                            ? `${escapeHtml(humanize(event.payload?.action || event.type))} · ${escapeHtml(event.actor)} · ${formatTimestamp(event.timestamp)}`
+                            : 'Before the first event'}
+                    </span>
+                    <span style="font-family: monospace;">${asOf.logicalClock} / ${max}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a set (optionally through one of its views) from a derived state
+     * @param {Object} state - From EOStateDerivation.deriveAsOf()
+     * @param {Object} options - { setId, viewId }
+     */
+    function renderSetAsOf(state, options = {}) {
+        const view = options.viewId ? state.views.get(options.viewId) : null;
+        const setId = view?.setId || options.setId;
+        const set = state.sets.get(setId);
+
+        if (!set) {
+            return renderNotYet(view ? 'This view' : 'This set');
+        }
+
+        const columns = getColumns(set, view);
+        const records = Array.from(set.records.values());
+
+        return `
+            <div class="eo-time-travel-set" style="overflow-x: auto;">
+                <div style="font-size: 13px; font-weight: 600; margin-bottom: 8px;">
+                    ${escapeHtml(set.name || setId)}${view ? ` · ${escapeHtml(view.name)}` : ''}
+                    <span style="font-weight: 400; color: var(--text-secondary);">· ${records.length} records</span>
+                </div>
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                    <thead>
+                        <tr>
+                            ${columns.map(c => `<th style="text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border);">${escapeHtml(c)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(r => `
+                            <tr data-record-id="${escapeHtml(r.record_id)}">
+                                ${columns.map(c => `<td style="padding: 6px 8px; border-bottom: 1px solid var(--border);">${escapeHtml(formatValue(r.fields?.[c]))}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a diff between two points
+     * @param {Object} diff - From EOStateDerivation.diff()
+     */
+    function renderDiff(diff) {
+        const changes = diff.sets.length + diff.fields.length + diff.records.length + diff.cells.length;
+        if (changes === 0) {
+            return `
+                <div style="padding: 16px; text-align: center; font-size: 12px; color: var(--text-secondary);">
+                    No changes between these points
+                </div>
+            `;
+        }
+
+        return `
+            <div class="eo-time-travel-diff" style="display: flex; flex-direction: column; gap: 6px; font-size: 12px;">
+                <div style="font-weight: 600;">
+                    ${changes} change${changes === 1 ? '' : 's'} across ${diff.events.length} event${diff.events.length === 1 ? '' : 's'}
+                </div>
+                ${diff.sets.map(s => renderChange(s.change, `Set ${s.setId}`, s.events)).join('')}
+                ${diff.fields.map(f => renderChange(f.change, `Field ${f.fieldName}`, f.events)).join('')}
+                ${diff.records.filter(r => r.change !== 'changed').map(r => renderChange(r.change, `Record ${r.recordId}`, r.events)).join('')}
+                ${diff.cells.map(c => renderChange('changed', `
+                    ${escapeHtml(c.recordId)} · ${escapeHtml(c.fieldName)}:
+                    <span style="text-decoration: line-through; color: var(--text-secondary);">${escapeHtml(formatValue(c.before))}</span>
+                    → <strong>${escapeHtml(formatValue(c.after))}</strong>
+                `, c.events, true)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one change line with its causing events
+     */
+    function renderChange(change, label, events, labelIsHtml = false) {
+        const icons = { added: 'ph-plus-circle', removed: 'ph-minus-circle', changed: 'ph-pencil-simple' };
+        const colors = { added: '#22c55e', removed: '#ef4444', changed: '#f59e0b' };
+
+        return `
+            <div style="display: flex; align-items: baseline; gap: 6px;">
+                <i class="ph ${icons[change]}" style="color: ${colors[change]};"></i>
+                <span style="flex: 1;">${labelIsHtml ? label : escapeHtml(label)}</span>
+                ${events.map(id => `<code data-event-id="${escapeHtml(id)}" style="font-size: 10px; color: var(--text-secondary);">${escapeHtml(id)}</code>`).join(' ')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render placeholder for a set/view that did not exist yet
+     */
+    function renderNotYet(what) {
+        return `
+            <div style="padding: 40px; text-align: center; color: var(--text-secondary);">
+                <i class="ph ph-hourglass" style="font-size: 48px; opacity: 0.3; margin-bottom: 16px; display: block;"></i>
+                <div style="font-size: 14px;">${escapeHtml(what)} did not exist at this point</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Mount a scrubber, the set/view as of the scrubbed point, and the changes
+     * since then into a container
+     * @param {HTMLElement} container
+     * @param {Object} eventLog
+     * @param {Object} options - { setId, viewId, point, onChange(asOf) }
+     * @returns {Function} Detach function
+     */
+    function attach(container, eventLog, options = {}) {
+        let asOf = EOStateDerivation.resolvePoint(eventLog, options.point ?? null);
+
+        const render = () => {
+            const state = EOStateDerivation.deriveAsOf(eventLog, asOf.logicalClock);
+            container.innerHTML = `
+                ${renderScrubber(eventLog, asOf)}
+                <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 16px; margin-top: 16px;">
+                    ${renderSetAsOf(state, options)}
+                    ${renderDiff(EOStateDerivation.diff(eventLog, asOf.logicalClock, null))}
+                </div>
+            `;
+        };
+
+        const moveTo = (point) => {
+            asOf = EOStateDerivation.resolvePoint(eventLog, point);
+            render();
+            options.onChange?.(asOf);
+        };
+
+        const onInput = (e) => {
+            if (e.target.dataset?.timeTravel === 'scrub') {
+                moveTo(parseInt(e.target.value, 10));
+            }
+        };
+
+        const onClick = (e) => {
+            const button = e.target.closest('[data-time-travel]');
+            if (!button || !container.contains(button)) return;
+
+            if (button.dataset.timeTravel === 'step') {
+                moveTo(asOf.logicalClock + parseInt(button.dataset.step, 10));
+            } else if (button.dataset.timeTravel === 'now') {
+                moveTo(null);
+            }
+        };
+
+        container.addEventListener('change', onInput);
+        container.addEventListener('click', onClick);
+        render();
+
+        return () => {
+            container.removeEventListener('change', onInput);
+            container.removeEventListener('click', onClick);
+        };
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    /**
+     * Columns shown for a set, honouring a view's visible/hidden fields
+     */
+    function getColumns(set, view) {
+        const fromRecords = new Set();
+        set.records.forEach(r => Object.keys(r.fields || {}).forEach(f => fromRecords.add(f)));
+
+        let columns = [
+            ...(set.schema?.fields || []).map(f => f.name),
+            ...fromRecords
+        ].filter((name, i, all) => name && all.indexOf(name) === i);
+
+        const visible = view?.config?.visibleFieldIds;
+        if (visible?.length) {
+            columns = columns.filter(c => visible.includes(c));
+        }
+        const hidden = view?.config?.hiddenFields || [];
+        return columns.filter(c => !hidden.includes(c));
+    }
+
+    function buttonStyle() {
+        return 'padding: 4px 8px; font-size: 12px; border: 1px solid var(--border); border-radius: 4px; background: var(--surface); cursor: pointer;';
+    }
+
+    function formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    function formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? escapeHtml(String(timestamp)) : date.toLocaleString();
+    }
+
+    function humanize(str) {
+        return String(str || '')
+            .replace(/[_:]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    return {
+        renderScrubber,
+        renderSetAsOf,
+        renderDiff,
+        attach
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EOTimeTravelUI;
+}
@@ -0,0 +1,369 @@
+/**
+ * EO Undo
+ * Per-actor undo and redo built on the event log
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - the undo and redo stacks are derived from the
+ *   log, so they survive reload and follow the actor to every replica
+ * - Rule 2: Only the actor who made an edit can undo it
+ * - Rule 9: Revision Without Erasure - undo appends a compensating event
+ *   that puts back the value the edit replaced; the edit stays in the log
+ *
+ * A compensating event has the undone event's action, with the prior
+ * values, and two extra payload fields:
+ *   provenance:   [id of the event it compensates]
+ *   compensation: 'undo' | 'redo'
+ * Redo compensates the undo event, so a redo can itself be undone.
+ *
+ * The prior value is read from the state the undone event's author saw
+ * (its causal ancestors), not from whatever arrived since. Undo and redo are
+ * refused while another actor has edited the same fields after the event
+ * or concurrently with it: putting the prior value back would silently
+ * overwrite their edit.
+ *
+ * Usage:
+ *   const undo = EOUndo.init(eventLog, { workspace: 'default' });
+ *   undo.undo('user_1');                      // latest undoable edit by user_1
+ *   undo.undo('user_1', { eventId });         // a specific one of their edits
+ *   undo.redo('user_1');
+ *   undo.getStacks('user_1');                 // { undo: [events], redo: [events] }
+ */
+
+(function(global) {
+    'use strict';
+
+    const COMPENSATION = {
+        UNDO: 'undo',
+        REDO: 'redo'
+    };
+
+    // ============================================================================
+    // INVERSES
+    // ============================================================================
+
+    /**
+     * Prior value for a payload, copied so the new event owns it
+     */
+    function priorValue(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    function priorValues(target, keys) {
+        return Object.fromEntries(keys.map(key => [key, priorValue(target?.[key])]));
+    }
+
+    /**
+     * Undoable actions
+     * Each builds the payload that restores what the event changed, from the
+     * state derived just before it: (payload, stateBefore) => payload
+     */
+    const INVERSES = {
+        'cell:edit': (payload, before) => {
+            const { setId, recordId, fieldName } = payload;
+            const record = before.sets.get(setId)?.records.get(recordId);
+            return {
+                action: 'cell:edit',
+                setId,
+                recordId,
+                fieldName,
+                value: priorValue(record?.fields?.[fieldName])
+            };
+        },
+
+        'record:update': (payload, before) => {
+            const { setId, recordId, updates } = payload;
+            const record = before.sets.get(setId)?.records.get(recordId);
+            return {
+                action: 'record:update',
+                setId,
+                recordId,
+                updates: priorValues(record, Object.keys(updates || {}))
+            };
+        },
+
+        'set:update': (payload, before) => {
+            const { setId, updates } = payload;
+            return {
+                action: 'set:update',
+                setId,
+                updates: priorValues(before.sets.get(setId), Object.keys(updates || {}))
+            };
+        },
+
+        'view:update': (payload, before) => {
+            const { viewId, updates } = payload;
+            return {
+                action: 'view:update',
+                viewId,
+                updates: priorValues(before.views.get(viewId), Object.keys(updates || {}))
+            };
+        }
+    };
+
+    /**
+     * What each action writes, as keys two events share when they edit the
+     * same field: (payload) => [key]
+     */
+    const TOUCHES = {
+        'cell:edit': ({ setId, recordId, fieldName }) => [`record:${setId}:${recordId}:fields.${fieldName}`],
+        'record:update': ({ setId, recordId, updates }) =>
+            Object.keys(updates || {}).map(key => `record:${setId}:${recordId}:${key}`),
+        'set:update': ({ setId, updates }) => Object.keys(updates || {}).map(key => `set:${setId}:${key}`),
+        'view:update': ({ viewId, updates }) => Object.keys(updates || {}).map(key => `view:${viewId}:${key}`)
+    };
+
+    function touches(payload) {
+        return TOUCHES[payload?.action]?.(payload) || [];
+    }
+
+    // ============================================================================
+    // UNDO MANAGER
+    // ============================================================================
+
+    class EOUndoManager {
+        constructor(eventLog, options = {}) {
+            this._eventLog = eventLog;
+            this._options = {
+                workspace: options.workspace || 'default'
+            };
+        }
+
+        /**
+         * Undo an edit by this actor
+         * @param {string} actor
+         * @param {Object} [options] - { eventId (default: latest undoable), context }
+         * @returns {Object} Append result, or { success: false, error, conflicts? }
+         */
+        undo(actor, options = {}) {
+            if (!actor) {
+                return { success: false, error: 'RULE_1: Undo requires an actor' };
+            }
+
+            const target = options.eventId ? this._eventLog.get(options.eventId) : null;
+            if (options.eventId && !target) {
+                return { success: false, error: `Event not found: ${options.eventId}` };
+            }
+            if (target && target.actor !== actor) {
+                return {
+                    success: false,
+                    error: `RULE_2: ${target.id} was made by ${target.actor}; only they can undo it`
+                };
+            }
+
+            const { undo } = this._deriveStacks(actor);
+            const eventId = options.eventId || undo[undo.length - 1];
+            if (!eventId) {
+                return { success: false, error: 'Nothing to undo' };
+            }
+            if (!undo.includes(eventId)) {
+                return { success: false, error: `${eventId} cannot be undone (not an undoable edit, or already undone)` };
+            }
+
+            return this._compensate(this._eventLog.get(eventId), COMPENSATION.UNDO, actor, options);
+        }
+
+        /**
+         * Redo this actor's most recent undo
+         * Any new edit by the actor clears what can be redone.
+         */
+        redo(actor, options = {}) {
+            if (!actor) {
+                return { success: false, error: 'RULE_1: Redo requires an actor' };
+            }
+
+            const { redo } = this._deriveStacks(actor);
+            const eventId = redo[redo.length - 1];
+            if (!eventId) {
+                return { success: false, error: 'Nothing to redo' };
+            }
+
+            return this._compensate(this._eventLog.get(eventId), COMPENSATION.REDO, actor, options);
+        }
+
+        canUndo(actor) {
+            return this._deriveStacks(actor).undo.length > 0;
+        }
+
+        canRedo(actor) {
+            return this._deriveStacks(actor).redo.length > 0;
+        }
+
+        /**
+         * This actor's undo and redo stacks, most recent last
+         * @returns {Object} { undo: [events], redo: [events] }
+         */
+        getStacks(actor) {
+            const { undo, redo } = this._deriveStacks(actor);
+            const events = (ids) => ids.map(id => this._eventLog.get(id));
+            return { undo: events(undo), redo: events(redo) };
+        }
+
+        // ========================================================================
+        // INTERNALS
+        // ========================================================================
+
+        /**
+         * Replay the actor's undoable events in causal order
+         * A compensation that names an event no longer on its stack (e.g. the
+         * same undo made concurrently on two devices) changes nothing.
+         */
+        _deriveStacks(actor) {
+            const undo = [];
+            const redo = [];
+            const events = this._eventLog.getTopologicalOrder();
+
+            const tombstoned = new Set(events
+                .filter(e => e.payload?.action === 'tombstone')
+                .map(e => e.payload.targetId));
+
+            const remove = (stack, id) => {
+                const index = stack.indexOf(id);
+                if (index >= 0) stack.splice(index, 1);
+                return index >= 0;
+            };
+
+            for (const event of events) {
+                const payload = event.payload || {};
+                if (event.actor !== actor || event.type !== 'given' || !INVERSES[payload.action]) continue;
+                if (tombstoned.has(event.id) || event.context?.workspace !== this._options.workspace) continue;
+
+                const [compensated] = payload.provenance || [];
+
+                if (payload.compensation === COMPENSATION.UNDO) {
+                    if (remove(undo, compensated)) redo.push(event.id);
+                } else if (payload.compensation === COMPENSATION.REDO) {
+                    if (remove(redo, compensated)) undo.push(event.id);
+                } else {
+                    undo.push(event.id);
+                    redo.length = 0;
+                }
+            }
+
+            return { undo, redo };
+        }
+
+        /**
+         * Edits by other actors to what the target wrote, made after it or
+         * concurrently with it (anything but its causal ancestors)
+         */
+        _editsByOthers(target, actor) {
+            const keys = new Set(touches(target.payload));
+            if (keys.size === 0) return [];
+
+            const ancestors = causalAncestors(this._eventLog, target.id);
+            const events = this._eventLog.getAll();
+            const tombstoned = new Set(events
+                .filter(e => e.payload?.action === 'tombstone')
+                .map(e => e.payload.targetId));
+
+            return events.filter(event =>
+                event.actor !== actor &&
+                event.id !== target.id &&
+                !ancestors.has(event.id) &&
+                !tombstoned.has(event.id) &&
+                event.context?.workspace === this._options.workspace &&
+                touches(event.payload).some(key => keys.has(key))
+            );
+        }
+
+        _compensate(target, compensation, actor, options) {
+            const overwritten = this._editsByOthers(target, actor);
+            if (overwritten.length > 0) {
+                const actors = [...new Set(overwritten.map(e => e.actor))].join(', ');
+                return {
+                    success: false,
+                    error: `Cannot ${compensation} ${target.id}: ${actors} edited the same fields since`,
+                    conflicts: overwritten.map(e => e.id)
+                };
+            }
+
+            const before = getStateDerivation().replay(this._eventLog, { ancestorsOf: target.id });
+            const inverse = INVERSES[target.payload.action](target.payload, before);
+
+            return this._eventLog.append({
+                type: 'given',
+                actor,
+                parents: this._eventLog.getHeads(),
+                context: {
+                    workspace: this._options.workspace,
+                    schemaVersion: '1.0',
+                    ...options.context
+                },
+                payload: {
+                    ...inverse,
+                    provenance: [target.id],
+                    compensation
+                }
+            });
+        }
+    }
+
+    function causalAncestors(eventLog, eventId) {
+        const ancestors = new Set();
+        const queue = [...(eventLog.get(eventId)?.parents || [])];
+
+        while (queue.length > 0) {
+            const id = queue.pop();
+            if (ancestors.has(id)) continue;
+            ancestors.add(id);
+            queue.push(...(eventLog.get(id)?.parents || []));
+        }
+        return ancestors;
+    }
+
+    function getStateDerivation() {
+        if (typeof EOStateDerivation === 'undefined') {
+            throw new Error('EOStateDerivation is required for undo');
+        }
+        return EOStateDerivation;
+    }
+
+    // ============================================================================
+    // SINGLETON INSTANCE
+    // ============================================================================
+
+    let _instance = null;
+
+    function getUndoManager() {
+        return _instance;
+    }
+
+    function initUndoManager(eventLog, options = {}) {
+        _instance = new EOUndoManager(eventLog, options);
+        return _instance;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOUndo = {
+        // Classes
+        UndoManager: EOUndoManager,
+
+        // Constants
+        COMPENSATION,
+
+        // Undoable actions (for extension): (payload, stateBefore) => payload,
+        // and optionally the keys it writes, (payload) => [key], so undo
+        // can refuse to overwrite later edits by others
+        registerInverse: (action, inverse, touched = null) => {
+            INVERSES[action] = inverse;
+            if (touched) TOUCHES[action] = touched;
+        },
+        isUndoable: (action) => Boolean(INVERSES[action]),
+
+        // Singleton
+        get: getUndoManager,
+        init: initUndoManager
+    };
+
+    // Export to global scope
+    global.EOUndo = EOUndo;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOUndo;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -8,11 +8,23 @@
  * - Views are no longer just configurations, but entities with identity and history
  * - Every analytical artifact can become a reified view
  * - Provenance tracks view derivation (from filters, operations, focus, etc.)
+ * - Every mutation is an action dispatched through the integration bridge;
+ *   the EOStateDerivation handler applies it to state (Axiom 0). Nothing here
+ *   writes state directly.
+ *
+ * `state` is the bridge's derived state (EOCompliance.getBridge().getState()),
+ * where a view is { viewId, setId, name, config }. The actor is its current
+ * user (set with a 'user:set' action); mutations reject without one (Rule 1),
+ * or before the bridge is initialized. They are async because the bridge
+ * signs what it dispatches.
  */
 
 (function(global) {
 'use strict';
 
+// Views with unsaved changes - local UI state, not derived from the log (Rule 5)
+const dirtyViewIds = new Set();
+
 // ============================================================================
 // VIEW ENTITY MODEL
 // ============================================================================
@@ -89,7 +101,7 @@ function createViewEntity(config) {
         },
 
         // State tracking
-        isDirty: false, // tracks unsaved changes
+        isDirty: false, // unsaved changes are tracked outside the log (see markViewDirty)
         isTemporary: config.isTemporary || false, // ephemeral views not yet reified
 
         // Data source indicator: 'live' for source data, 'derived' for computed/aggregated data
@@ -103,7 +115,11 @@ function createViewEntity(config) {
         dataMode: config.dataMode || 'dynamic',
 
         // Pivot metadata: tracks source of pivot views for lineage
-        pivotMetadata: config.pivotMetadata || null
+        pivotMetadata: config.pivotMetadata || null,
+
+        // Dedupe candidates: [{ groupId, recordIds, count }], shown on the
+        // records at render time (see annotateDuplicates), never written to them
+        duplicateGroups: config.duplicateGroups || null
     };
 }
 
@@ -112,131 +128,108 @@ function createViewEntity(config) {
 // ============================================================================
 
 /**
- * Create a new view and add it to global state
+ * Create a new view
  */
-function createView(state, config) {
-    const view = createViewEntity(config);
-
-    // Add to global views map
-    if (!state.views) {
-        state.views = new Map();
-    }
-    state.views.set(view.id, view);
-
-    // Add reference to set
-    const set = state.sets.get(config.setId);
-    if (set) {
-        if (!set.views) {
-            set.views = new Map();
-        }
-        // Store lightweight reference in set
-        set.views.set(view.id, { id: view.id });
-    }
-
-    // Log to event stream
-    logEvent(state, {
-        type: 'view_created',
-        entityType: 'View',
-        entityId: view.id,
-        data: {
-            setId: view.setId,
-            name: view.name,
-            derivedFrom: {
-                views: view.provenance.derivedFromViewIds,
-                operations: view.provenance.derivedFromOperationIds
-            }
-        }
+async function createView(state, config) {
+    const view = createViewEntity({ ...config, createdBy: config.createdBy || requireActor(state) });
+
+    const { id, setId, name, isDirty, ...viewConfig } = view;
+    const derived = await dispatchAction(state, {
+        action: 'view:create',
+        viewId: id,
+        setId,
+        name,
+        config: viewConfig
     });
-
-    return view;
+    return derived.views.get(id);
 }
 
 /**
  * Update an existing view
  */
-function updateView(state, viewId, patch) {
+async function updateView(state, viewId, patch) {
     const view = state.views?.get(viewId);
     if (!view) {
         console.warn(`View ${viewId} not found`);
         return null;
     }
 
-    const updated = {
-        ...view,
-        ...patch,
-        id: view.id, // preserve id
-        provenance: {
-            ...view.provenance,
-            ...(patch.provenance || {}),
-            updatedAt: Date.now()
-        },
-        isDirty: false // clear dirty flag on save
-    };
+    // Everything but the name lives in the derived view's config
+    const { id, name, isDirty, provenance, ...config } = patch;
+    const derived = await dispatchAction(state, {
+        action: 'view:update',
+        viewId,
+        updates: {
+            ...(name !== undefined ? { name } : {}),
+            config: {
+                ...config,
+                provenance: {
+                    ...view.config?.provenance,
+                    ...(provenance || {}),
+                    updatedAt: Date.now()
+                }
+            }
+        }
+    });
 
-    state.views.set(viewId, updated);
+    // Saved - clear the unsaved changes flag
+    dirtyViewIds.delete(viewId);
 
-    logEvent(state, {
-        type: 'view_updated',
-        entityType: 'View',
-        entityId: viewId,
-        data: { changes: Object.keys(patch) }
-    });
+    return derived.views.get(viewId);
+}
+
+/**
+ * Make a view the current one
+ * @returns {Promise<Object>} The derived state, with the view current
+ */
+async function switchView(state, viewId) {
+    if (!state.views?.has(viewId)) {
+        console.warn(`View ${viewId} not found`);
+        return null;
+    }
 
-    return updated;
+    return dispatchAction(state, { action: 'view:switch', viewId });
 }
 
 /**
  * Mark a view as having unsaved changes
  */
 function markViewDirty(state, viewId) {
-    const view = state.views?.get(viewId);
-    if (view) {
-        view.isDirty = true;
+    if (state.views?.has(viewId)) {
+        dirtyViewIds.add(viewId);
     }
 }
 
 /**
  * Delete a view
+ * The derivation drops it from state; its creation stays in the log.
  */
-function deleteView(state, viewId) {
+async function deleteView(state, viewId) {
     const view = state.views?.get(viewId);
     if (!view) return false;
 
-    // Remove from global map
-    state.views.delete(viewId);
-
-    // Remove from set
-    const set = state.sets.get(view.setId);
-    if (set?.views) {
-        set.views.delete(viewId);
-    }
-
-    // Log event
-    logEvent(state, {
-        type: 'view_deleted',
-        entityType: 'View',
-        entityId: viewId,
-        data: { setId: view.setId, name: view.name }
-    });
+    await dispatchAction(state, { action: 'view:delete', viewId, setId: view.setId });
+    dirtyViewIds.delete(viewId);
 
     return true;
 }
 
 /**
  * Clone a view (Save As...)
+ * The log records the clone, not a copy of the source's config
  */
-function cloneView(state, viewId, newName) {
+async function cloneView(state, viewId, newName) {
     const original = state.views?.get(viewId);
     if (!original) return null;
 
-    const cloned = createView(state, {
-        ...original,
-        name: newName || `${original.name} (copy)`,
-        derivedFromViewIds: [viewId],
-        notes: `Cloned from ${original.name}`
+    const cloneId = `view_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const derived = await dispatchAction(state, {
+        action: 'view:clone',
+        viewId: cloneId,
+        sourceViewId: viewId,
+        name: newName || `${original.name} (copy)`
     });
-
-    return cloned;
+    return derived.views.get(cloneId);
 }
 
 // ============================================================================
@@ -248,26 +241,27 @@ function cloneView(state, viewId, newName) {
  * Captures the focused entity and creates a filtered view around it
  * The new view is marked as derived from the current view for lineage tracking
  */
-function createViewFromFocus(state, focus, name) {
+async function createViewFromFocus(state, focus, name) {
     const set = state.sets.get(state.currentSetId);
     if (!set) return null;
 
     // Track derivation from current view if one exists
     const currentViewId = state.currentViewId;
     const currentView = currentViewId ? state.views?.get(currentViewId) : null;
-    const derivedFromViewIds = currentView ? [currentView.id] : [];
+    const derivedFromViewIds = currentView ? [currentView.viewId] : [];
 
     // Determine derivation type for provenance notes
     let derivationType = 'focus';
     if (focus.kind === 'value') derivationType = 'filter';
     if (focus.kind === 'field') derivationType = 'pivot';
 
+    const fieldIds = (set.schema?.fields || []).map(f => f.id || f.name);
     const config = {
-        setId: set.id,
+        setId: set.setId,
         name: name || focusToName(focus),
         type: 'grid',
         focus,
-        visibleFieldIds: (set.schema || []).map(f => f.id),
+        visibleFieldIds: fieldIds,
         filters: [],
         sorts: [],
         groups: [],
@@ -302,7 +296,7 @@ function createViewFromFocus(state, focus, name) {
             fieldId: focus.id,
             operator: 'notEmpty'
         });
-        config.visibleFieldIds = [focus.id, ...(set.schema || []).map(f => f.id).filter(id => id !== focus.id)];
+        config.visibleFieldIds = [focus.id, ...fieldIds.filter(id => id !== focus.id)];
     }
 
     return createView(state, config);
@@ -311,7 +305,7 @@ function createViewFromFocus(state, focus, name) {
 /**
  * Create a view from ad-hoc filters/sorts (reify temporary state)
  */
-function reifyTemporaryView(state, tempConfig, name) {
+async function reifyTemporaryView(state, tempConfig, name) {
     const set = state.sets.get(tempConfig.setId);
     if (!set) return null;
 
@@ -320,7 +314,7 @@ function reifyTemporaryView(state, tempConfig, name) {
     return createView(state, {
         ...tempConfig,
         name: name || 'Filtered view',
-        derivedFromViewIds: baseView ? [baseView.id] : [],
+        derivedFromViewIds: baseView ? [baseView.viewId] : [],
         notes: 'Reified from temporary filters'
     });
 }
@@ -348,15 +342,10 @@ function focusToName(focus) {
 }
 
 /**
- * Get all views for a set (resolves lightweight references)
+ * Get all views for a set
  */
 function getSetViews(state, setId) {
-    const set = state.sets.get(setId);
-    if (!set?.views) return [];
-
-    return Array.from(set.views.keys())
-        .map(viewId => state.views?.get(viewId))
-        .filter(Boolean);
+    return Array.from(state.views?.values() || []).filter(v => v.setId === setId);
 }
 
 /**
@@ -367,21 +356,21 @@ function getViewHierarchy(state, setId) {
     const hierarchy = [];
 
     // Find root views (no parent)
-    const roots = views.filter(v => !v.parentId);
+    const roots = views.filter(v => !v.config?.parentId);
 
     function buildTree(parentId) {
         return views
-            .filter(v => v.parentId === parentId)
+            .filter(v => v.config?.parentId === parentId)
             .map(v => ({
                 ...v,
-                children: buildTree(v.id)
+                children: buildTree(v.viewId)
             }));
     }
 
     roots.forEach(root => {
         hierarchy.push({
             ...root,
-            children: buildTree(root.id)
+            children: buildTree(root.viewId)
         });
     });
 
@@ -392,29 +381,36 @@ function getViewHierarchy(state, setId) {
  * Check if view has unsaved changes
  */
 function hasUnsavedChanges(state, viewId) {
-    const view = state.views?.get(viewId);
-    return view?.isDirty || false;
+    return dirtyViewIds.has(viewId);
 }
 
 /**
- * Log an event to the event stream
+ * The current user of the derived state, who authors every action (Rule 1)
  */
-function logEvent(state, event) {
-    if (!state.eventStream) {
-        state.eventStream = [];
+function requireActor(state) {
+    const actor = state.user?.id;
+    if (!actor) {
+        throw new Error('RULE_1: View changes require an actor (dispatch user:set first)');
     }
+    return actor;
+}
 
-    const eventRecord = {
-        id: state.eventIdCounter || 1,
-        timestamp: Date.now(),
-        user: state.currentUser,
-        ...event
-    };
-
-    state.eventStream.push(eventRecord);
-    state.eventIdCounter = (state.eventIdCounter || 1) + 1;
+/**
+ * Append an action to the event log through the integration bridge
+ * (see eo_compliance.js); the derivation applies it to state
+ * @returns {Promise<Object>} The derived state, with the action applied
+ */
+async function dispatchAction(state, action) {
+    const bridge = global.EOCompliance ? global.EOCompliance.getBridge() : null;
+    if (!bridge?.getEventLog()) {
+        throw new Error('An initialized integration bridge is required for view changes');
+    }
 
-    return eventRecord;
+    const result = await bridge.dispatch(action, requireActor(state));
+    if (!result.success) {
+        throw new Error(`Could not record ${action.action}: ${result.errors?.join(', ') || 'validation failed'}`);
+    }
+    return bridge.getState();
 }
 
 // ============================================================================
@@ -422,39 +418,23 @@ function logEvent(state, event) {
 // ============================================================================
 
 /**
- * Migrate existing views to new ViewEntity structure
+ * Create views for view configs embedded in imported sets (`set.views`)
  * Call this during importWorldFromJson or on startup
  */
-function migrateViews(state) {
-    if (!state.views) {
-        state.views = new Map();
-    }
-
+async function migrateViews(state) {
     let migrated = 0;
 
-    state.sets.forEach(set => {
-        if (!set.views) return;
-
-        set.views.forEach((viewData, viewId) => {
-            // Skip if already in global views
-            if (state.views.has(viewId)) return;
+    for (const [setId, set] of state.sets) {
+        if (!set.views) continue;
 
-            // Create full view entity
-            const viewEntity = createViewEntity({
-                ...viewData,
-                id: viewId,
-                setId: set.id
-            });
-
-            // Add to global views
-            state.views.set(viewId, viewEntity);
-
-            // Replace with lightweight reference
-            set.views.set(viewId, { id: viewId });
+        for (const [viewId, viewData] of set.views) {
+            // Skip if already a view
+            if (state.views.has(viewId)) continue;
 
+            await createView(state, { ...viewData, id: viewId, setId });
             migrated++;
-        });
-    });
+        }
+    }
 
     if (migrated > 0) {
         console.log(`Migrated ${migrated} views to ViewEntity structure`);
@@ -469,47 +449,73 @@ function migrateViews(state) {
  * Add a new field to a specific view
  * This ensures the field appears in the view immediately after creation
  */
-function addFieldToView(state, viewId, fieldId) {
-    const view = state.views?.get(viewId);
-    if (!view) return false;
+async function addFieldToView(state, viewId, fieldId) {
+    if (!state.views?.has(viewId)) return false;
 
-    // Add to visibleFieldIds if the view uses that model
-    if (Array.isArray(view.visibleFieldIds)) {
-        if (!view.visibleFieldIds.includes(fieldId)) {
-            view.visibleFieldIds.push(fieldId);
-        }
-    }
+    await dispatchAction(state, { action: 'view:field:show', viewId, fieldName: fieldId });
+    dirtyViewIds.add(viewId);
 
-    // Also add to columnOrder if present
-    if (Array.isArray(view.columnOrder)) {
-        if (!view.columnOrder.includes(fieldId)) {
-            view.columnOrder.push(fieldId);
-        }
-    }
+    return true;
+}
 
-    // Remove from hiddenFields if it was hidden
-    if (Array.isArray(view.hiddenFields)) {
-        const hiddenIndex = view.hiddenFields.indexOf(fieldId);
-        if (hiddenIndex !== -1) {
-            view.hiddenFields.splice(hiddenIndex, 1);
-        }
+/**
+ * Add a new field to all views of a set
+ * This ensures the field appears in all views of the set
+ */
+async function addFieldToSetViews(state, setId, fieldId) {
+    for (const view of getSetViews(state, setId)) {
+        await addFieldToView(state, view.viewId, fieldId);
     }
+}
 
-    // Mark view as dirty
-    view.isDirty = true;
+// ============================================================================
+// LINK AND ROLLUP DEFINITIONS
+// ============================================================================
 
+/**
+ * Define (or redefine) a link to another set on a view
+ * @param {Object} link - { id?, fieldId, targetSetId, ... }
+ */
+async function defineLink(state, viewId, link) {
+    if (!state.views?.has(viewId)) return null;
+
+    const linkId = link.id || `link_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const derived = await dispatchAction(state, { action: 'link:define', viewId, link: { ...link, id: linkId } });
+    return derived.views.get(viewId).config.relationships.find(l => l.id === linkId);
+}
+
+/**
+ * Remove a link definition from a view
+ */
+async function removeLink(state, viewId, linkId) {
+    const view = state.views?.get(viewId);
+    if (!view?.config?.relationships?.some(l => l.id === linkId)) return false;
+
+    await dispatchAction(state, { action: 'link:remove', viewId, linkId });
     return true;
 }
 
 /**
- * Add a new field to all views of a set
- * This ensures the field appears in all views of the set
+ * Define (or redefine) a rollup over a link on a view
+ * @param {Object} rollup - { id?, linkId, sourceFieldId, aggregation, ... }
  */
-function addFieldToSetViews(state, setId, fieldId) {
-    const views = getSetViews(state, setId);
-    views.forEach(view => {
-        addFieldToView(state, view.id, fieldId);
-    });
+async function defineRollup(state, viewId, rollup) {
+    if (!state.views?.has(viewId)) return null;
+
+    const rollupId = rollup.id || `rollup_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const derived = await dispatchAction(state, { action: 'rollup:define', viewId, rollup: { ...rollup, id: rollupId } });
+    return derived.views.get(viewId).config.rollups.find(r => r.id === rollupId);
+}
+
+/**
+ * Remove a rollup definition from a view
+ */
+async function removeRollup(state, viewId, rollupId) {
+    const view = state.views?.get(viewId);
+    if (!view?.config?.rollups?.some(r => r.id === rollupId)) return false;
+
+    await dispatchAction(state, { action: 'rollup:remove', viewId, rollupId });
+    return true;
 }
 
 // ============================================================================
@@ -523,6 +529,7 @@ const EOViewManagement = {
     updateView,
     deleteView,
     cloneView,
+    switchView,
     markViewDirty,
     createViewFromFocus,
     reifyTemporaryView,
@@ -532,7 +539,11 @@ const EOViewManagement = {
     migrateViews,
     focusToName,
     addFieldToView,
-    addFieldToSetViews
+    addFieldToSetViews,
+    defineLink,
+    removeLink,
+    defineRollup,
+    removeRollup
 };
 
 // Export to global namespace
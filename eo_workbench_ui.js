@@ -7,9 +7,101 @@
  * - Structural operations (dedupe, merge, split, harmonize)
  * - Zero-input search/discovery surface
  *
- * These components integrate with the existing EO Activibase UI.
+ * These components integrate with the existing EO Activibase UI. Dialogs
+ * read the `state` they are given; every change goes through the workbench
+ * actions below, against the integration bridge's derived state.
  */
 
+// ============================================================================
+// WORKBENCH ACTIONS
+// ============================================================================
+
+/**
+ * The integration bridge's derived state (see eo_compliance.js)
+ * View management and structural operations dispatch against it - the
+ * legacy UI state has no current user to author them (Rule 1).
+ */
+function bridgeState() {
+    const bridge = typeof EOCompliance !== 'undefined' ? EOCompliance.getBridge() : null;
+    const state = bridge?.getState();
+    if (!state) {
+        throw new Error('An initialized integration bridge is required for the workbench');
+    }
+    return state;
+}
+
+/**
+ * Make a view current with a 'view:switch' action, then re-render
+ */
+async function openView(view) {
+    await EOViewManagement.switchView(bridgeState(), view.viewId);
+
+    if (typeof window !== 'undefined' && window.switchSet) {
+        window.switchSet(view.setId, view.viewId);
+    }
+    return view;
+}
+
+/**
+ * Create a view and open it
+ */
+async function createAndOpenView(config) {
+    return openView(await EOViewManagement.createView(bridgeState(), config));
+}
+
+/**
+ * Save a copy of a view under a new name, with optional notes, and open it
+ */
+async function saveViewAs(viewId, name, notes) {
+    const view = await EOViewManagement.cloneView(bridgeState(), viewId, name);
+    if (!view) return null;
+
+    if (notes) {
+        await EOViewManagement.updateView(bridgeState(), view.viewId, { provenance: { notes } });
+    }
+    await openView(view);
+
+    return bridgeState().views.get(view.viewId);
+}
+
+/**
+ * Find duplicate records, record the dedupe operation with its candidates
+ * view and open the view
+ * @returns {Object|null} { operation, resultView, clusters }, null if none
+ */
+async function runDedupe(setId, options) {
+    const state = bridgeState();
+    const clusters = findDuplicateCandidates(state, setId, options);
+    if (clusters.length === 0) return null;
+
+    const operation = await createOperation(state, {
+        kind: 'dedupe',
+        setId,
+        viewId: state.currentViewId,
+        parameters: options,
+        status: 'applied'
+    });
+
+    const resultView = await createDedupeCandidatesView(bridgeState(), setId, clusters, operation.id);
+    const applied = await updateOperation(bridgeState(), operation.id, { resultViewId: resultView.viewId });
+    await openView(resultView);
+
+    return { operation: applied, resultView, clusters };
+}
+
+/**
+ * Run a structural operation (executeMergeOperation, executeSplitOperation,
+ * executeMergeFieldsOperation) and open its result view
+ * @returns {Object|null} The operation's result
+ */
+async function runOperation(execute, ...args) {
+    const result = await execute(bridgeState(), ...args);
+    if (result) {
+        await openView(result.resultView);
+    }
+    return result;
+}
+
 // ============================================================================
 // VIEW MANAGER UI
 // ============================================================================
@@ -393,24 +485,17 @@ function showCreateViewDialog(state, setId, baseConfig = {}) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-create-view').addEventListener('click', () => {
+    dialog.querySelector('#btn-create-view').addEventListener('click', async () => {
         const name = dialog.querySelector('#view-name').value.trim() || 'Untitled view';
         const type = dialog.querySelector('#view-type').value;
 
-        const view = createView(state, {
+        dialog.remove();
+        await createAndOpenView({
             setId,
             name,
             type,
             ...baseConfig
         });
-
-        state.currentViewId = view.id;
-        dialog.remove();
-
-        // Trigger re-render
-        if (window.switchSet) {
-            window.switchSet(setId, view.id);
-        }
     });
 }
 
@@ -469,27 +554,12 @@ function showSaveViewAsDialog(state, viewId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-save-as').addEventListener('click', () => {
+    dialog.querySelector('#btn-save-as').addEventListener('click', async () => {
         const newName = dialog.querySelector('#new-view-name').value.trim();
         const notes = dialog.querySelector('#new-view-notes').value.trim();
 
-        const newView = cloneView(state, viewId, newName);
-        if (newView && notes) {
-            updateView(state, newView.id, {
-                provenance: {
-                    ...newView.provenance,
-                    notes
-                }
-            });
-        }
-
-        state.currentViewId = newView.id;
         dialog.remove();
-
-        // Trigger re-render
-        if (window.switchSet) {
-            window.switchSet(view.setId, newView.id);
-        }
+        await saveViewAs(viewId, newName, notes);
     });
 }
 
@@ -596,13 +666,7 @@ function showJSONScrubber(state, setId, mode = 'records', record = null) {
             state,
             set,
             view,
-            onViewCreate: (newView) => {
-                // Switch to the new view
-                state.currentViewId = newView.id;
-                if (window.switchSet) {
-                    window.switchSet(setId, newView.id);
-                }
-            },
+            onViewCreate: (newView) => openView(newView),
             onFilterApply: (filter) => {
                 // Apply filter to current view
                 if (view) {
@@ -855,7 +919,7 @@ function showDedupeDialog(state, setId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-find-dupes').addEventListener('click', () => {
+    dialog.querySelector('#btn-find-dupes').addEventListener('click', async () => {
         const keyFieldIds = Array.from(dialog.querySelectorAll('input[name="keyField"]:checked'))
             .map(cb => cb.value);
 
@@ -867,39 +931,16 @@ function showDedupeDialog(state, setId) {
         const algorithm = dialog.querySelector('#dedupe-algorithm').value;
         const threshold = parseFloat(dialog.querySelector('#dedupe-threshold').value);
 
-        // Find duplicates
-        const clusters = findDuplicateCandidates(state, setId, {
-            keyFieldIds,
-            algorithm,
-            threshold
-        });
+        dialog.remove();
 
-        if (clusters.length === 0) {
+        // Find duplicates and show them
+        const result = await runDedupe(setId, { keyFieldIds, algorithm, threshold });
+        if (!result) {
             alert('No duplicates found!');
-            dialog.remove();
             return;
         }
 
-        // Create operation and view
-        const operation = createOperation(state, {
-            kind: 'dedupe',
-            setId,
-            viewId: state.currentViewId,
-            parameters: { keyFieldIds, algorithm, threshold },
-            status: 'applied'
-        });
-
-        const resultView = createDedupeCandidatesView(state, setId, clusters, operation.id);
-        updateOperation(state, operation.id, { resultViewId: resultView.id });
-
-        state.currentViewId = resultView.id;
-        dialog.remove();
-
-        // Show results
-        if (window.switchSet) {
-            window.switchSet(setId, resultView.id);
-        }
-
+        const { clusters } = result;
         showToast(`Found ${clusters.length} duplicate groups with ${clusters.reduce((s, c) => s + c.count, 0)} total records`);
     });
 }
@@ -946,7 +987,7 @@ function showMergeRecordsDialog(state, setId, recordIds) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-merge').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-merge').addEventListener('click', async () => {
         // Collect strategy selections
         const strategyMap = {};
         schema.forEach(field => {
@@ -957,18 +998,13 @@ function showMergeRecordsDialog(state, setId, recordIds) {
         });
 
         // Execute merge
-        const result = executeMergeOperation(state, setId, recordIds, strategyMap);
+        const result = await runOperation(executeMergeOperation, setId, recordIds, strategyMap);
         if (!result) {
             alert('Merge failed');
             return;
         }
 
         dialog.remove();
-        state.currentViewId = result.resultView.id;
-
-        if (window.switchSet) {
-            window.switchSet(setId, result.resultView.id);
-        }
 
         showToast(`Merged ${recordIds.length} records into 1`);
     });
@@ -1085,7 +1121,7 @@ function showSplitRecordDialog(state, setId, recordId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-split').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-split').addEventListener('click', async () => {
         const count = parseInt(countInput.value);
         const schema = set.schema || [];
         const newRecordsData = [];
@@ -1101,18 +1137,13 @@ function showSplitRecordDialog(state, setId, recordId) {
             newRecordsData.push(data);
         }
 
-        const result = executeSplitOperation(state, setId, recordId, newRecordsData);
+        const result = await runOperation(executeSplitOperation, setId, recordId, newRecordsData);
         if (!result) {
             alert('Split failed');
             return;
         }
 
         dialog.remove();
-        state.currentViewId = result.resultView.id;
-
-        if (window.switchSet) {
-            window.switchSet(setId, result.resultView.id);
-        }
 
         showToast(`Split 1 record into ${count} records`);
     });
@@ -1171,7 +1202,7 @@ function showHarmonizeFieldsDialog(state, setId) {
         btn.addEventListener('click', () => dialog.remove());
     });
 
-    dialog.querySelector('#btn-execute-harmonize').addEventListener('click', () => {
+    dialog.querySelector('#btn-execute-harmonize').addEventListener('click', async () => {
         const fieldIds = Array.from(dialog.querySelectorAll('input[name="harmonizeField"]:checked'))
             .map(cb => cb.value);
 
@@ -1194,18 +1225,13 @@ function showHarmonizeFieldsDialog(state, setId) {
             type: 'text'
         };
 
-        const result = executeMergeFieldsOperation(state, setId, fieldIds, canonicalField, { strategy });
+        const result = await runOperation(executeMergeFieldsOperation, setId, fieldIds, canonicalField, { strategy });
         if (!result) {
             alert('Harmonization failed');
             return;
         }
 
         dialog.remove();
-        state.currentViewId = result.resultView.id;
-
-        if (window.switchSet) {
-            window.switchSet(setId, result.resultView.id);
-        }
 
         showToast(`Harmonized ${fieldIds.length} fields into ${canonicalName}, updated ${result.recordsUpdated} records`);
     });
@@ -1425,6 +1451,12 @@ function showToast(message, duration = 3000) {
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        bridgeState,
+        openView,
+        createAndOpenView,
+        saveViewAs,
+        runDedupe,
+        runOperation,
         renderViewManager,
         showViewMenu,
         showCreateViewDialog,
@@ -0,0 +1,148 @@
+/**
+ * EO Workspace UI Component
+ *
+ * Provides UI rendering for workspaces:
+ * - Workspace switcher, with a button to create another workspace
+ * - Read-only chips for references into other workspaces, naming the
+ *   workspace and the point in its log the content was read at (Rule 7)
+ *
+ * Rendering only - the catalog comes from EOWorkspaces.WorkspaceManager,
+ * references from state.references resolved by resolveReference().
+ */
+
+const EOWorkspaceUI = (function() {
+    'use strict';
+
+    /**
+     * Render the workspace switcher
+     * @param {Array} workspaces - From WorkspaceManager.list()
+     * @param {string} current - Current workspace name
+     * @returns {string} HTML string for the switcher
+     */
+    function renderSwitcher(workspaces, current) {
+        return `
+            <div class="eo-workspace-switcher" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; border: 1px solid var(--border); border-radius: 8px;">
+                <i class="ph ph-briefcase" style="font-size: 16px; color: var(--text-secondary);"></i>
+                <select data-workspace="select" style="flex: 1; font-size: 12px; padding: 4px;">
+                    ${workspaces.map(w => `
+                        <option value="${escapeHtml(w.name)}" ${w.name === current ? 'selected' : ''}>
+                            ${escapeHtml(w.label || w.name)}
+                        </option>
+                    `).join('')}
+                </select>
+                <button data-workspace="create" style="${buttonStyle()}">
+                    <i class="ph ph-plus"></i> New workspace
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one reference as a read-only chip
+     * @param {Object} resolved - From WorkspaceManager.resolveReference()
+     * @returns {string} HTML string for the chip
+     */
+    function renderReference(resolved) {
+        const unavailable = resolved.status !== 'resolved';
+        const { workspace, logicalClock } = resolved.provenance;
+
+        return `
+            <span class="eo-reference" data-ref-id="${escapeHtml(resolved.refId)}"
+                title="Read-only, from workspace ${escapeHtml(workspace)} at event #${escapeHtml(logicalClock)}"
+                style="display: inline-flex; align-items: center; gap: 4px; padding: 2px 8px; font-size: 12px; border: 1px dashed var(--border); border-radius: 12px; ${unavailable ? 'color: var(--text-secondary);' : ''}">
+                <i class="ph ph-lock-simple"></i>
+                <span class="eo-reference-workspace" style="font-weight: 600;">${escapeHtml(workspace)}</span>
+                <span>${unavailable ? 'Content unavailable' : escapeHtml(summarize(resolved.fields))}</span>
+            </span>
+        `;
+    }
+
+    /**
+     * Mount the switcher into a container
+     * @param {HTMLElement} container
+     * @param {Object} manager - EOWorkspaces.WorkspaceManager
+     * @param {Object} options - { onSwitch(name), onCreate() returning a name or null }
+     * @returns {Function} Detach
+     */
+    function attach(container, manager, options = {}) {
+        const render = () => {
+            container.innerHTML = renderSwitcher(manager.list(), manager.getCurrent());
+        };
+
+        const onChange = async (e) => {
+            if (e.target.dataset?.workspace !== 'select') return;
+            await manager.switchTo(e.target.value);
+            options.onSwitch?.(manager.getCurrent());
+        };
+
+        const onClick = async (e) => {
+            const button = e.target.closest('[data-workspace="create"]');
+            if (!button || !container.contains(button)) return;
+            const name = await options.onCreate?.();
+            if (!name) return;
+            manager.create(name);
+            await manager.switchTo(name);
+            options.onSwitch?.(name);
+        };
+
+        container.addEventListener('change', onChange);
+        container.addEventListener('click', onClick);
+        const unsubscribe = manager.subscribe(render);
+        render();
+
+        return () => {
+            container.removeEventListener('change', onChange);
+            container.removeEventListener('click', onClick);
+            unsubscribe();
+        };
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    /**
+     * First few field values, for a one-line chip
+     */
+    function summarize(fields, limit = 2) {
+        return Object.entries(fields || {})
+            .slice(0, limit)
+            .map(([name, value]) => `${humanize(name)}: ${value}`)
+            .join(', ');
+    }
+
+    function buttonStyle() {
+        return 'padding: 4px 8px; font-size: 12px; border: 1px solid var(--border); border-radius: 4px; background: var(--surface); cursor: pointer;';
+    }
+
+    function humanize(str) {
+        if (!str) return '';
+        return String(str)
+            .replace(/[_:]/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+
+    return {
+        renderSwitcher,
+        renderReference,
+        attach
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EOWorkspaceUI;
+}
@@ -0,0 +1,512 @@
+/**
+ * EO Workspaces
+ * Several workspaces on one device, and read-only references between them
+ *
+ * Implements:
+ * - Axiom 0: Log Primacy - each workspace has its own log, persisted in its
+ *   own namespace (see storageNames in eo_persistence.js); switching
+ *   workspace re-derives everything from the other log
+ * - Rule 1: Every event carries the workspace it was made in, so
+ *   guardEventOrigin and SyncSession keep refusing events from another one
+ * - Rule 7: A reference's provenance names the foreign workspace and the
+ *   point in its log the content was read at
+ * - Rule 9: Linking, refreshing and unlinking are Given events in the
+ *   local log; the foreign log is only ever read
+ *
+ * A reference puts a record from another workspace into a field of a local
+ * record. Its content goes into the content store, and the event keeps the
+ * ContentRef, never the values:
+ *   'xref:link'    { refId, setId, recordId, fieldName, target, content, provenance }
+ *   'xref:refresh' { refId, content, provenance }
+ *   'xref:unlink'  { refId }
+ * target:     { workspace, setId, recordId }
+ * provenance: { workspace, setId, recordId, eventId, logicalClock }
+ *
+ * Usage:
+ *   const workspaces = EOWorkspaces.init({ persistence, bridge });
+ *   await workspaces.load();
+ *   workspaces.create('research', { label: 'Research' });
+ *   await workspaces.switchTo('research');
+ *
+ *   await workspaces.linkRecord(eventLog, {
+ *       actor: 'user_1', setId, recordId, fieldName: 'source',
+ *       target: { workspace: 'default', setId: 'set_9', recordId: 'rec_3' }
+ *   });
+ *   workspaces.resolveReference(state.references.get(refId));  // read-only fields
+ */
+
+(function(global) {
+    'use strict';
+
+    const DEFAULT_WORKSPACE = 'default';
+    const STORAGE_VERSION = 1;
+
+    const REFERENCE_STATUS = {
+        RESOLVED: 'resolved',
+        UNAVAILABLE: 'unavailable'
+    };
+
+    // ============================================================================
+    // WORKSPACE MANAGER
+    // ============================================================================
+
+    class EOWorkspaceManager {
+        /**
+         * @param {Object} options
+         * @param {Object} options.persistence - Keeps the catalog (the default namespace's EOPersistence)
+         * @param {Object} options.persistenceOptions - { backend, directory } for opening other workspaces
+         * @param {Object} options.bridge - EOIntegrationBridge to switch along with the catalog
+         * @param {Object} options.contentStore - Defaults to EOContentStore
+         */
+        constructor(options = {}) {
+            this._options = {
+                persistence: options.persistence || null,
+                persistenceOptions: options.persistenceOptions || {},
+                bridge: options.bridge || null,
+                contentStore: options.contentStore || null,
+                onError: options.onError || null
+            };
+
+            // name -> { name, label, createdAt }
+            this._workspaces = new Map();
+            this._current = options.current || options.bridge?.getWorkspace() || DEFAULT_WORKSPACE;
+            this._ensure(this._current);
+
+            // name -> event log of another workspace, opened read-only
+            this._logs = new Map();
+            this._registered = new Set();   // Logs handed in, never reloaded
+            this._listeners = new Set();
+        }
+
+        // ========================================================================
+        // CATALOG
+        // ========================================================================
+
+        list() {
+            return Array.from(this._workspaces.values())
+                .map(w => ({ ...w, current: w.name === this._current }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        has(name) {
+            return this._workspaces.has(name);
+        }
+
+        getCurrent() {
+            return this._current;
+        }
+
+        /**
+         * Add a workspace to the catalog
+         * Its log and storage start out empty; nothing is written until it
+         * is switched to.
+         */
+        create(name, options = {}) {
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                throw new Error(`Invalid workspace name: ${name}`);
+            }
+            if (this._workspaces.has(name)) {
+                throw new Error(`Workspace already exists: ${name}`);
+            }
+
+            const workspace = this._ensure(name, options.label);
+            this._persist();
+            return { ...workspace };
+        }
+
+        /**
+         * Make another workspace the current one
+         * With a bridge, its log, persistence and sync scope switch too.
+         */
+        async switchTo(name) {
+            if (!this._workspaces.has(name)) {
+                throw new Error(`Unknown workspace: ${name}`);
+            }
+            if (name === this._current) return this._current;
+
+            const previous = this._current;
+            await this._options.bridge?.switchWorkspace(name);
+            this._current = name;
+
+            // Drop any read-only copy of the workspace now being written to
+            this._logs.delete(name);
+            this._registered.delete(name);
+            this._persist();
+            this._notify({ type: 'switch', from: previous, to: name });
+
+            return name;
+        }
+
+        /**
+         * Subscribe to workspace switches
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this._listeners.add(listener);
+            return () => this._listeners.delete(listener);
+        }
+
+        // ========================================================================
+        // OTHER WORKSPACES' LOGS
+        // ========================================================================
+
+        /**
+         * Use an already loaded log for a workspace (e.g. one held in memory)
+         */
+        registerLog(name, eventLog) {
+            this._ensure(name);
+            this._logs.set(name, eventLog);
+            this._registered.add(name);
+        }
+
+        /**
+         * Load another workspace's log from its namespace
+         * The copy is for reading; nothing is appended to it or saved back.
+         */
+        async open(name) {
+            if (name === this._current) {
+                throw new Error(`${name} is the current workspace; use its own log`);
+            }
+            if (this._logs.has(name)) return this._logs.get(name);
+
+            const EventLog = getEventLog().EventLog;
+            const log = new EventLog();
+            const persistence = new (getPersistence().Persistence)({
+                ...this._options.persistenceOptions,
+                namespace: name,
+                autoSave: false
+            });
+
+            const data = await persistence.loadLog();
+            if (data) {
+                log.import(data);
+            }
+
+            this._logs.set(name, log);
+            return log;
+        }
+
+        // ========================================================================
+        // REFERENCES
+        // ========================================================================
+
+        /**
+         * Reference a record in another workspace from a local record's field
+         * @param {Object} eventLog - The current workspace's log
+         * @param {Object} options - { actor, setId, recordId, fieldName, target: { workspace, setId, recordId } }
+         * @returns {Object} Append result; result.reference is the resolved reference
+         */
+        async linkRecord(eventLog, options = {}) {
+            const { actor, setId, recordId, fieldName, target } = options;
+            if (!actor) {
+                throw new Error('RULE_1: Linking a reference requires an actor');
+            }
+            if (!target?.workspace || !target.setId || !target.recordId) {
+                throw new Error('A reference target needs a workspace, setId and recordId');
+            }
+            if (target.workspace === this._current) {
+                throw new Error(`References point into another workspace; ${target.workspace} is the current one`);
+            }
+
+            const snapshot = await this._readForeign(target);
+            const refId = options.refId || `xref_${setId}_${recordId}_${fieldName || 'record'}_${target.workspace}_${target.recordId}`;
+
+            const result = this._append(eventLog, actor, getStateDerivation().Actions.linkReference(
+                refId,
+                setId,
+                recordId,
+                fieldName || null,
+                { workspace: target.workspace, setId: target.setId, recordId: target.recordId },
+                snapshot.content,
+                snapshot.provenance
+            ));
+
+            if (result.success) {
+                result.reference = this.resolveReference({
+                    refId,
+                    target,
+                    content: snapshot.content,
+                    provenance: snapshot.provenance
+                });
+            }
+            return result;
+        }
+
+        /**
+         * Read the foreign record again, recording a refresh if it changed
+         * @returns {Object} Append result, or { success: true, unchanged: true }
+         */
+        async refreshReference(eventLog, refId, options = {}) {
+            const reference = this._reference(eventLog, refId);
+            if (!options.actor) {
+                throw new Error('RULE_1: Refreshing a reference requires an actor');
+            }
+
+            const snapshot = await this._readForeign(reference.target, { reload: true });
+            if (sameContent(snapshot.content, reference.content)) {
+                return { success: true, unchanged: true };
+            }
+
+            return this._append(eventLog, options.actor, getStateDerivation().Actions.refreshReference(
+                refId,
+                snapshot.content,
+                snapshot.provenance
+            ));
+        }
+
+        unlinkReference(eventLog, refId, options = {}) {
+            this._reference(eventLog, refId);
+            if (!options.actor) {
+                throw new Error('RULE_1: Unlinking a reference requires an actor');
+            }
+            return this._append(eventLog, options.actor, getStateDerivation().Actions.unlinkReference(refId));
+        }
+
+        /**
+         * Resolve a reference's content through the content store
+         * The result is frozen: a reference is read-only.
+         * @param {Object} reference - From state.references
+         * @returns {Object} { refId, target, fields, readOnly, provenance, status }
+         */
+        resolveReference(reference) {
+            const fields = resolveContent(this._contentStore(), reference.content);
+            return deepFreeze({
+                refId: reference.refId,
+                target: { ...reference.target },
+                fields,
+                readOnly: true,
+                provenance: { ...reference.provenance },
+                status: fields ? REFERENCE_STATUS.RESOLVED : REFERENCE_STATUS.UNAVAILABLE
+            });
+        }
+
+        // ========================================================================
+        // PERSISTENCE
+        // ========================================================================
+
+        export() {
+            return {
+                version: STORAGE_VERSION,
+                current: this._current,
+                workspaces: Array.from(this._workspaces.values()).map(w => ({ ...w }))
+            };
+        }
+
+        /**
+         * Restore the catalog; the current workspace is kept
+         * (the bridge was initialized for it)
+         */
+        restore(data) {
+            if (!data || data.version !== STORAGE_VERSION) return 0;
+            (data.workspaces || []).forEach(w => {
+                if (!this._workspaces.has(w.name)) {
+                    this._workspaces.set(w.name, { name: w.name, label: w.label, createdAt: w.createdAt });
+                }
+            });
+            return this._workspaces.size;
+        }
+
+        /**
+         * Load the catalog
+         * @returns {string} The workspace last switched to, to init the bridge with
+         */
+        async load() {
+            const data = await this._options.persistence?.loadWorkspaces();
+            this.restore(data);
+            return data?.current && this._workspaces.has(data.current) ? data.current : this._current;
+        }
+
+        _persist() {
+            if (!this._options.persistence) return;
+            this._options.persistence.saveWorkspaces(this.export()).catch(err => {
+                this._options.onError?.({ operation: 'save', error: err.message });
+            });
+        }
+
+        // ========================================================================
+        // HELPERS
+        // ========================================================================
+
+        _ensure(name, label) {
+            if (!this._workspaces.has(name)) {
+                this._workspaces.set(name, {
+                    name,
+                    label: label || name,
+                    createdAt: new Date().toISOString()
+                });
+            }
+            return this._workspaces.get(name);
+        }
+
+        _notify(change) {
+            this._listeners.forEach(listener => {
+                try {
+                    listener(change);
+                } catch (err) {
+                    this._options.onError?.({ operation: 'notify', error: err.message });
+                }
+            });
+        }
+
+        _contentStore() {
+            const store = this._options.contentStore || (typeof EOContentStore !== 'undefined' ? EOContentStore : null);
+            if (!store) {
+                throw new Error('EOContentStore is required for workspace references');
+            }
+            return store;
+        }
+
+        _reference(eventLog, refId) {
+            const reference = getStateDerivation().replay(eventLog).references.get(refId);
+            if (!reference) {
+                throw new Error(`Unknown reference: ${refId}`);
+            }
+            return reference;
+        }
+
+        /**
+         * Store the foreign record's current fields and note where they came from
+         */
+        async _readForeign(target, options = {}) {
+            if (options.reload && !this._registered.has(target.workspace)) {
+                this._logs.delete(target.workspace);
+            }
+            const log = this._logs.get(target.workspace) || await this.open(target.workspace);
+            const record = getStateDerivation().replay(log).sets.get(target.setId)?.records.get(target.recordId);
+            if (!record) {
+                throw new Error(`Record not found in workspace ${target.workspace}: ${target.setId}/${target.recordId}`);
+            }
+
+            const point = getStateDerivation().resolvePoint(log, null);
+            return {
+                content: this._contentStore().storeRecord(
+                    `${target.workspace}/${target.setId}/${target.recordId}`,
+                    record.fields || {}
+                ),
+                provenance: {
+                    workspace: target.workspace,
+                    setId: target.setId,
+                    recordId: target.recordId,
+                    eventId: point.eventId,
+                    logicalClock: point.logicalClock
+                }
+            };
+        }
+
+        _append(eventLog, actor, payload) {
+            return eventLog.append({
+                type: 'given',
+                actor,
+                parents: eventLog.getHeads(),
+                context: { workspace: this._current, schemaVersion: '1.0' },
+                payload
+            });
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * Fields behind a ContentRef, or null if the content store lacks them
+     */
+    function resolveContent(store, ref) {
+        if (ref?.type === 'direct') {
+            const content = store.retrieve(ref.contentHash);
+            return content ? { ...content } : null;
+        }
+        if (ref?.type === 'delta') {
+            const base = store.retrieve(ref.baseHash);
+            const delta = store.retrieve(ref.deltaHash);
+            return base && delta ? store.applyDelta(base, delta, ref.removedFields) : null;
+        }
+        return null;
+    }
+
+    function sameContent(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.freeze(value);
+            Object.values(value).forEach(deepFreeze);
+        }
+        return value;
+    }
+
+    /**
+     * References held by one local record (all of them without recordId)
+     */
+    function getReferences(state, setId, recordId) {
+        return Array.from(state.references?.values() || [])
+            .filter(r => r.setId === setId && (!recordId || r.recordId === recordId));
+    }
+
+    function getEventLog() {
+        if (typeof EOEventLog === 'undefined') {
+            throw new Error('EOEventLog is required for workspaces');
+        }
+        return EOEventLog;
+    }
+
+    function getPersistence() {
+        if (typeof EOPersistence === 'undefined') {
+            throw new Error('EOPersistence is required for workspaces');
+        }
+        return EOPersistence;
+    }
+
+    function getStateDerivation() {
+        if (typeof EOStateDerivation === 'undefined') {
+            throw new Error('EOStateDerivation is required for workspaces');
+        }
+        return EOStateDerivation;
+    }
+
+    // ============================================================================
+    // SINGLETON INSTANCE
+    // ============================================================================
+
+    let _instance = null;
+
+    function getWorkspaceManager() {
+        return _instance;
+    }
+
+    function initWorkspaceManager(options = {}) {
+        _instance = new EOWorkspaceManager(options);
+        return _instance;
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const EOWorkspaces = {
+        // Classes
+        WorkspaceManager: EOWorkspaceManager,
+
+        // Constants
+        DEFAULT_WORKSPACE,
+        REFERENCE_STATUS,
+
+        // Helpers
+        getReferences,
+        resolveContent,
+
+        // Singleton
+        get: getWorkspaceManager,
+        init: initWorkspaceManager
+    };
+
+    // Export to global scope
+    global.EOWorkspaces = EOWorkspaces;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EOWorkspaces;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
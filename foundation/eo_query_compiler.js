@@ -7,7 +7,8 @@
  *
  * The compiler transforms EOQL AST into target query languages:
  * - SQL (PostgreSQL, MySQL, SQLite, SQL Server, Oracle)
- * - Future: MongoDB aggregation pipeline, Pandas, etc.
+ * - MongoDB aggregation pipelines (eo_query_mongo.js)
+ * - pandas and Polars code (eo_query_dataframe.js)
  */
 
 (function(global) {
@@ -33,7 +34,11 @@
             returning: 'RETURNING *',
             upsert: 'ON CONFLICT ({keys}) DO UPDATE SET',
             jsonExtract: "{field}->'{path}'",
-            jsonExtractText: "{field}->>'{path}'"
+            jsonExtractText: "{field}->>'{path}'",
+            recursiveWith: 'WITH RECURSIVE',
+            recursiveColumnList: false,
+            cycleClause: 'CYCLE {columns} SET {flag} USING {path}',  // PostgreSQL 14+
+            maxRecursion: null
         },
 
         mysql: {
@@ -51,7 +56,11 @@
             returning: null,  // Not supported in older versions
             upsert: 'ON DUPLICATE KEY UPDATE',
             jsonExtract: "JSON_EXTRACT({field}, '$.{path}')",
-            jsonExtractText: "JSON_UNQUOTE(JSON_EXTRACT({field}, '$.{path}'))"
+            jsonExtractText: "JSON_UNQUOTE(JSON_EXTRACT({field}, '$.{path}'))",
+            recursiveWith: 'WITH RECURSIVE',
+            recursiveColumnList: false,
+            cycleClause: null,  // Not supported; bound with maxDepth
+            maxRecursion: null  // Session setting cte_max_recursion_depth
         },
 
         sqlite: {
@@ -69,7 +78,11 @@
             returning: 'RETURNING *',
             upsert: 'ON CONFLICT ({keys}) DO UPDATE SET',
             jsonExtract: "JSON_EXTRACT({field}, '$.{path}')",
-            jsonExtractText: "JSON_EXTRACT({field}, '$.{path}')"
+            jsonExtractText: "JSON_EXTRACT({field}, '$.{path}')",
+            recursiveWith: 'WITH RECURSIVE',
+            recursiveColumnList: false,
+            cycleClause: null,  // Not supported; bound with maxDepth
+            maxRecursion: null
         },
 
         sqlserver: {
@@ -87,7 +100,11 @@
             returning: 'OUTPUT INSERTED.*',
             upsert: 'MERGE',
             jsonExtract: "JSON_VALUE({field}, '$.{path}')",
-            jsonExtractText: "JSON_VALUE({field}, '$.{path}')"
+            jsonExtractText: "JSON_VALUE({field}, '$.{path}')",
+            recursiveWith: 'WITH',  // Recursion is implied by the self-reference
+            recursiveColumnList: false,
+            cycleClause: null,  // Not supported; bound with maxDepth
+            maxRecursion: 'OPTION (MAXRECURSION {depth})'
         },
 
         oracle: {
@@ -105,10 +122,23 @@
             returning: 'RETURNING * INTO',
             upsert: 'MERGE',
             jsonExtract: "JSON_VALUE({field}, '$.{path}')",
-            jsonExtractText: "JSON_VALUE({field}, '$.{path}')"
+            jsonExtractText: "JSON_VALUE({field}, '$.{path}')",
+            recursiveWith: 'WITH',
+            recursiveColumnList: true,  // Recursive WITH requires a column alias list
+            cycleClause: "CYCLE {columns} SET {flag} TO 'Y' DEFAULT 'N'",
+            maxRecursion: null
         }
     };
 
+    /**
+     * Columns the compiler adds to a recursive CTE
+     */
+    const RECURSION_COLUMNS = {
+        depth: 'depth',         // 1 for anchor rows, +1 per step (with maxDepth)
+        cycleFlag: 'is_cycle',  // Set on the row that closes a cycle (with cycle)
+        cyclePath: 'path'
+    };
+
     // ============================================================================
     // SQL COMPILER
     // ============================================================================
@@ -128,6 +158,14 @@
          * @returns {string}
          */
         compile(query) {
+            return this._compileWith(query, null);
+        }
+
+        /**
+         * Compile, letting extend(ctx, ast) add clauses before SQL is built
+         * (recursive CTE members get their depth column this way)
+         */
+        _compileWith(query, extend) {
             const ast = query.toAST ? query.toAST() : query;
             const ctx = this._createContext();
 
@@ -136,6 +174,10 @@
                 this._processNode(node, ctx);
             }
 
+            if (extend) {
+                extend(ctx, ast);
+            }
+
             return this._buildSQL(ctx, ast.ctes);
         }
 
@@ -157,7 +199,9 @@
                 aggregations: {},
                 windows: [],
                 setOps: [],
-                ctes: {}
+                ctes: {},
+                nullHandling: [],
+                recursive: []
             };
         }
 
@@ -216,24 +260,29 @@
 
         /**
          * Process DES (select/alias)
+         * Columns are kept as { sql, name, aliased } so NUL can find them by
+         * output name.
          */
         _processDES(params, ctx) {
             if (params.columns) {
                 ctx.select = params.columns.map(c => {
-                    if (typeof c === 'string') return c;
+                    if (typeof c === 'string') {
+                        return { sql: c, name: c === '*' ? null : c.split('.').pop(), aliased: false };
+                    }
                     if (typeof c === 'object') {
                         // Check if it's an expression with a type field
                         if (c.type) {
-                            return this._formatExpr(c);
+                            const name = c.type === 'field' ? c.name.split('.').pop() : null;
+                            return { sql: this._formatExpr(c), name, aliased: false };
                         }
                         // Check if it's an alias mapping { alias: expr }
                         const entries = Object.entries(c);
                         if (entries.length === 1) {
                             const [alias, expr] = entries[0];
-                            return `${this._formatExpr(expr)} AS ${this._quoteIdentifier(alias)}`;
+                            return { sql: this._formatExpr(expr), name: alias, aliased: true };
                         }
                     }
-                    return String(c);
+                    return { sql: String(c), name: null, aliased: false };
                 });
             }
         }
@@ -359,18 +408,19 @@
 
         /**
          * Process NUL (null handling)
+         * Applied to the output columns in _buildSQL, as the executor does.
          */
         _processNUL(params, ctx) {
-            // Null handling is typically done inline in expressions
-            // Store for reference
-            ctx.nullHandling = params;
+            ctx.nullHandling.push(params);
         }
 
         /**
          * Process REC (recursion)
+         * Either { anchor, recursive, ...opts } from the builder or
+         * { ctes, isRecursive } from parsed WITH RECURSIVE.
          */
         _processREC(params, ctx) {
-            ctx.recursive = params;
+            ctx.recursive.push(params);
         }
 
         /**
@@ -381,23 +431,16 @@
 
             // CTEs
             const allCtes = { ...ctes, ...ctx.ctes };
-            if (Object.keys(allCtes).length > 0 || ctx.recursive) {
-                const cteKeyword = ctx.recursive ? 'WITH RECURSIVE' : 'WITH';
-                const cteDefs = Object.entries(allCtes).map(([name, query]) => {
-                    const sql = query.toAST ? this.compile(query) : query;
-                    return `${name} AS (${sql})`;
-                });
-
-                if (ctx.recursive) {
-                    const { anchor, recursive } = ctx.recursive;
-                    const anchorSQL = anchor.toAST ? this.compile(anchor) : anchor;
-                    const recursiveSQL = recursive.toAST ? this.compile(recursive) : recursive;
-                    cteDefs.push(`recursive_cte AS (${anchorSQL} UNION ALL ${recursiveSQL})`);
-                }
-
-                if (cteDefs.length > 0) {
-                    parts.push(`${cteKeyword} ${cteDefs.join(', ')}`);
-                }
+            const cteDefs = Object.entries(allCtes).map(([name, query]) => {
+                const sql = query.toAST ? this.compile(query) : query;
+                return `${name} AS (${sql})`;
+            });
+            for (const rec of ctx.recursive) {
+                cteDefs.push(...this._buildRecursiveCTEs(rec));
+            }
+            if (cteDefs.length > 0) {
+                const cteKeyword = ctx.recursive.length > 0 ? this.dialectConfig.recursiveWith : 'WITH';
+                parts.push(`${cteKeyword} ${cteDefs.join(', ')}`);
             }
 
             // SELECT
@@ -409,27 +452,33 @@
             }
 
             // Columns
-            let columns = ctx.select.length > 0 ? ctx.select : ['*'];
+            const columns = ctx.select.length > 0 ? [...ctx.select] : [{ sql: '*', name: null, aliased: false }];
 
             // Add aggregations to columns
             for (const [alias, agg] of Object.entries(ctx.aggregations)) {
                 const field = agg.field === '*' ? '*' : agg.field;
-                columns.push(`${agg.fn}(${field}) AS ${this._quoteIdentifier(alias)}`);
+                columns.push({ sql: `${agg.fn}(${field})`, name: alias, aliased: true });
             }
 
             // Add window functions to columns
             for (const win of ctx.windows) {
                 const overClause = this._buildOverClause(win);
-                columns.push(`${win.fn}(${win.field || ''}) OVER (${overClause}) AS ${win.alias || win.fn.toLowerCase()}`);
+                columns.push({ sql: `${win.fn}(${win.field || ''}) OVER (${overClause})`, name: win.alias || win.fn.toLowerCase(), aliased: true });
+            }
+
+            for (const params of ctx.nullHandling) {
+                this._applyNullHandling(columns, params);
             }
 
-            parts.push(`${selectClause} ${columns.join(', ')}`);
+            const columnSQL = columns.map(c => c.aliased ? `${c.sql} AS ${this._quoteIdentifier(c.name)}` : c.sql);
+            parts.push(`${selectClause} ${columnSQL.join(', ')}`);
 
             // FROM
             if (ctx.from) {
                 parts.push(`FROM ${ctx.from}`);
-            } else if (ctx.recursive) {
-                parts.push('FROM recursive_cte');
+            } else if (ctx.recursive.some(rec => rec.anchor)) {
+                const rec = ctx.recursive.filter(r => r.anchor).pop();
+                parts.push(`FROM ${rec.name || 'recursive_cte'}`);
             }
 
             // JOINs
@@ -468,9 +517,176 @@
                 parts.push(this._buildLimitOffset(ctx.limit, ctx.offset));
             }
 
+            // Recursion limit hint (SQL Server), closing the statement
+            const maxDepths = ctx.recursive.map(rec => rec.maxDepth).filter(d => d !== undefined);
+            if (this.dialectConfig.maxRecursion && maxDepths.length > 0) {
+                parts.push(this.dialectConfig.maxRecursion.replace('{depth}', Math.max(...maxDepths)));
+            }
+
             return parts.join('\n');
         }
 
+        /**
+         * NUL on the output columns: NULLIF blanks a value, DEFAULT fills a
+         * NULL (COALESCE), COALESCE fills the first listed field (or alias)
+         * from the ones after it. A field missing from an explicit column
+         * list is added to it. SQL can't replace a column inside *, so with
+         * SELECT * only an alias that names a new column is allowed.
+         */
+        _applyNullHandling(columns, params) {
+            const hasStar = columns.some(c => c.sql === '*');
+            const find = (field) => columns.findIndex(c => c.name === field || c.sql === field);
+            const place = (index, column) => {
+                if (index >= 0) {
+                    columns[index] = column;
+                } else if (hasStar && !params.alias) {
+                    throw new Error(`NUL on ${column.name} needs it in the select list: SELECT * would return the column twice`);
+                } else {
+                    columns.push(column);
+                }
+            };
+
+            if (params.coalesce) {
+                const target = params.alias || params.coalesce[0];
+                const args = params.coalesce.map(f => typeof f === 'string' ? f : this._formatExpr(f));
+                place(find(target), { sql: `COALESCE(${args.join(', ')})`, name: target.split('.').pop(), aliased: true });
+                return;
+            }
+
+            if (!params.field) return;
+            const index = find(params.field);
+
+            let sql = index >= 0 ? columns[index].sql : params.field;
+            if ('nullIf' in params) {
+                sql = `NULLIF(${sql}, ${this._formatValue(params.nullIf)})`;
+            }
+            if ('default' in params) {
+                sql = `COALESCE(${sql}, ${this._formatValue(params.default)})`;
+            }
+            const name = index >= 0 && columns[index].name ? columns[index].name : params.field.split('.').pop();
+            place(index, { sql, name, aliased: true });
+        }
+
+        /**
+         * Build the CTE definitions for a REC node
+         *
+         * Builder form { anchor, recursive, name, columns, maxDepth, until, cycle }:
+         *   name AS (anchor UNION ALL recursive), where
+         *   - maxDepth adds a depth column (1 in the anchor, +1 per step) and
+         *     stops the step at maxDepth; SQL Server also gets MAXRECURSION
+         *   - until stops recursing from rows matching the condition
+         *   - cycle (key columns) adds the dialect's CYCLE clause
+         */
+        _buildRecursiveCTEs(params) {
+            if (params.ctes) {
+                return Object.entries(params.ctes).map(([name, query]) => {
+                    const sql = typeof query === 'string' ? query : this.compile(query);
+                    return `${name}${this._recursiveColumnList(name, null, query)} AS (${sql})`;
+                });
+            }
+
+            const { anchor, recursive, maxDepth, until, cycle } = params;
+            const name = params.name || 'recursive_cte';
+            const depth = RECURSION_COLUMNS.depth;
+
+            const anchorSQL = this._compileRecursiveMember(anchor, maxDepth === undefined ? null : (ctx) => {
+                this._addColumn(ctx, { sql: '1', name: depth, aliased: true });
+            });
+            const recursiveSQL = this._compileRecursiveMember(recursive, maxDepth === undefined && !until ? null : (ctx, ast) => {
+                const ref = this._cteReference(ast, name);
+                if (maxDepth !== undefined) {
+                    this._addColumn(ctx, { sql: `${ref}.${depth} + 1`, name: depth, aliased: true });
+                    ctx.where.push(`${ref}.${depth} < ${maxDepth}`);
+                }
+                if (until) {
+                    ctx.where.push(`NOT (${this._formatCondition(until)})`);
+                }
+            });
+
+            const columnList = this._recursiveColumnList(name, params.columns, anchor, maxDepth !== undefined ? [depth] : []);
+            let definition = `${name}${columnList} AS (${anchorSQL}\nUNION ALL\n${recursiveSQL})`;
+
+            if (cycle) {
+                if (!this.dialectConfig.cycleClause) {
+                    throw new Error(`${this.dialectConfig.name} has no cycle detection for recursive queries; bound them with maxDepth`);
+                }
+                definition += ' ' + this.dialectConfig.cycleClause
+                    .replace('{columns}', [].concat(cycle).join(', '))
+                    .replace('{flag}', RECURSION_COLUMNS.cycleFlag)
+                    .replace('{path}', RECURSION_COLUMNS.cyclePath);
+            }
+
+            return [definition];
+        }
+
+        _compileRecursiveMember(query, extend) {
+            if (typeof query !== 'string') {
+                return this._compileWith(query, extend);
+            }
+            if (extend) {
+                throw new Error('maxDepth and until need EOQL anchor and recursive queries, not SQL text');
+            }
+            return query;
+        }
+
+        /**
+         * Add a column, keeping * when there was no explicit select list
+         */
+        _addColumn(ctx, column) {
+            if (ctx.select.length === 0) {
+                ctx.select.push({ sql: '*', name: null, aliased: false });
+            }
+            ctx.select.push(column);
+        }
+
+        /**
+         * How the recursive step refers to the CTE: its alias, if it gave one
+         */
+        _cteReference(ast, name) {
+            for (const node of ast.pipeline) {
+                const ref = node.operator === 'INS' ? node.params.source
+                    : node.operator === 'CON' ? node.params.target
+                    : null;
+                if (ref && typeof ref === 'object' && ref.table === name && ref.alias) {
+                    return ref.alias;
+                }
+            }
+            return name;
+        }
+
+        /**
+         * "(a, b)" after a recursive CTE's name: the given columns, or, where
+         * the dialect requires a list, the anchor's output names
+         */
+        _recursiveColumnList(name, columns, anchor, extra = []) {
+            if (!columns && !this.dialectConfig.recursiveColumnList) {
+                return '';
+            }
+            const names = columns || this._outputNames(anchor);
+            if (!names) {
+                throw new Error(`${this.dialectConfig.name} needs the column list of recursive query "${name}": pass { columns } to recursive()`);
+            }
+            return `(${[...names, ...extra].join(', ')})`;
+        }
+
+        /**
+         * Output column names of a query's select list, or null if they
+         * can't be known without the schema (SELECT *, SQL text)
+         */
+        _outputNames(query) {
+            if (!query || typeof query === 'string') return null;
+            const ast = query.toAST ? query.toAST() : query;
+            const ctx = this._createContext();
+            for (const node of ast.pipeline) {
+                if (node.operator === 'DES' || node.operator === 'SYN') {
+                    this._processNode(node, ctx);
+                }
+            }
+
+            const names = ctx.select.map(c => c.name).concat(Object.keys(ctx.aggregations));
+            return names.length > 0 && names.every(Boolean) ? names : null;
+        }
+
         /**
          * Build OVER clause for window functions
          */
@@ -8,7 +8,9 @@
  * The crosswalk defines how to translate between:
  * - EOQL (9 EO operators + expressions)
  * - SQL (PostgreSQL, MySQL, SQLite, etc.)
- * - Future: MongoDB, Pandas, GraphQL, etc.
+ * - MongoDB aggregation pipelines (eo_query_mongo.js)
+ * - pandas and Polars code (eo_query_dataframe.js)
+ * - Future: GraphQL, etc.
  *
  * Users can extend the crosswalk with custom mappings as long as
  * they don't violate EOQL grammar.
@@ -0,0 +1,1638 @@
+/**
+ * EO Query DataFrame Backend
+ * Generates pandas and Polars code from EOQL
+ *
+ * @eo_operator SYN
+ * @eo_layer foundation
+ *
+ * Steps follow SQL's logical clause order, as EOQueryExecutor evaluates
+ * them: joins, WHERE, GROUP BY, HAVING, windows, SELECT, DISTINCT, set
+ * operations, ORDER BY, OFFSET/LIMIT. Each table is read from a variable
+ * of the same name (options.frames maps others) and the result is bound
+ * to options.name. pandas code is one statement per step; Polars code is
+ * a LazyFrame chain.
+ *
+ * NULLs keep their SQL meaning:
+ * - WHERE and HAVING drop rows whose condition is unknown; NOT is pushed
+ *   down to the comparisons, since pandas masks have no unknown
+ * - A NULL join key matches nothing; GROUP BY keeps NULL keys as a group
+ * - SUM of only NULLs is NULL, COUNT(field) skips NULLs
+ * - ORDER BY puts NULLs last ascending and first descending
+ * Running window aggregates are counted in rows, so rows tied on the
+ * sort key aren't peers as they are in SQL.
+ *
+ * Usage:
+ *   const code = toPandas(EOQL.from('orders').where(...));
+ *   const lazy = toPolars(query, { frames: { orders: 'orders_lf' }, name: 'top_orders' });
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================================================
+    // MAPPINGS
+    // ============================================================================
+
+    /**
+     * The same comparison under NOT
+     */
+    const NEGATED = { eq: 'ne', ne: 'eq', gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt' };
+
+    /**
+     * The same comparison with its operands swapped
+     */
+    const FLIPPED = { eq: 'eq', ne: 'ne', gt: 'lt', gte: 'lte', lt: 'gt', lte: 'gte' };
+
+    const COMPARISON_OPERATORS = { eq: '==', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+    const PANDAS_COMPARISONS = { eq: 'eq', ne: 'ne', gt: 'gt', gte: 'ge', lt: 'lt', lte: 'le' };
+
+    const ARITHMETIC = { add: '+', sub: '-', mul: '*', div: '/', mod: '%' };
+
+    const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+    /**
+     * pandas aggregates: [named aggregation, Series method]
+     */
+    const PANDAS_AGGREGATES = {
+        COUNT: ['"count"', 'count()'],
+        SUM: ['lambda s: s.sum(min_count=1)', 'sum(min_count=1)'],
+        AVG: ['"mean"', 'mean()'],
+        MIN: ['"min"', 'min()'],
+        MAX: ['"max"', 'max()']
+    };
+
+    /**
+     * pandas running (ordered window) aggregates, applied to a Series s
+     */
+    const PANDAS_RUNNING = {
+        COUNT: 's.notna().cumsum()',
+        SUM: 's.expanding().sum()',
+        AVG: 's.expanding().mean()',
+        MIN: 's.expanding().min()',
+        MAX: 's.expanding().max()'
+    };
+
+    /**
+     * Polars aggregates; SUM is NULL, not 0, when every value is NULL
+     */
+    const POLARS_AGGREGATES = {
+        COUNT: (x) => `${x}.count()`,
+        SUM: (x) => `pl.when(${x}.count() > 0).then(${x}.sum())`,
+        AVG: (x) => `${x}.mean()`,
+        MIN: (x) => `${x}.min()`,
+        MAX: (x) => `${x}.max()`
+    };
+
+    /**
+     * Polars running aggregates; forward_fill carries the total over NULL rows
+     */
+    const POLARS_RUNNING = {
+        COUNT: (x) => `${x}.cum_count()`,
+        SUM: (x) => `${x}.cum_sum().forward_fill()`,
+        AVG: (x) => `(${x}.cum_sum() / ${x}.cum_count()).forward_fill()`,
+        MIN: (x) => `${x}.cum_min().forward_fill()`,
+        MAX: (x) => `${x}.cum_max().forward_fill()`
+    };
+
+    const CAST_TYPES = {
+        INT: 'integer',
+        INTEGER: 'integer',
+        SMALLINT: 'integer',
+        BIGINT: 'integer',
+        NUMERIC: 'float',
+        DECIMAL: 'float',
+        FLOAT: 'float',
+        REAL: 'float',
+        DOUBLE: 'float',
+        TEXT: 'string',
+        VARCHAR: 'string',
+        CHAR: 'string',
+        STRING: 'string',
+        BOOLEAN: 'boolean',
+        BOOL: 'boolean'
+    };
+
+    const PANDAS_DTYPES = { integer: '"Int64"', float: '"Float64"', string: '"string"', boolean: '"boolean"' };
+    const POLARS_DTYPES = { integer: 'pl.Int64', float: 'pl.Float64', string: 'pl.String', boolean: 'pl.Boolean' };
+
+    const PYTHON_KEYWORDS = new Set([
+        'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+        'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+        'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+    ]);
+
+    // ============================================================================
+    // SCALAR FUNCTIONS (Extensible: name -> (...args) => code)
+    // ============================================================================
+
+    /**
+     * pandas functions; args are Python code. CONCAT skips NULLs, as
+     * EOQueryExecutor's does.
+     */
+    const PANDAS_FUNCTIONS = {
+        UPPER: (s) => `${s}.str.upper()`,
+        LOWER: (s) => `${s}.str.lower()`,
+        TRIM: (s) => `${s}.str.strip()`,
+        LENGTH: (s) => `${s}.str.len()`,
+        SUBSTRING: (s, start, length) => length === undefined
+            ? `${s}.str.slice(${minusOne(start)})`
+            : `${s}.str.slice(${minusOne(start)}, ${sliceEnd(start, length)})`,
+        CONCAT: (...args) => '(' + args.map(a => isScalarCode(a) ? a : `${a}.fillna("").astype(str)`).join(' + ') + ')',
+        ABS: (n) => `${n}.abs()`,
+        ROUND: (n, digits = '0') => `${n}.round(${digits})`,
+        FLOOR: (n) => `np.floor(${n})`,
+        CEIL: (n) => `np.ceil(${n})`,
+        CEILING: (n) => `np.ceil(${n})`,
+        COALESCE: (first, ...rest) => rest.reduce((code, next) => `${code}.fillna(${next})`, first),
+        IFNULL: (a, b) => `${a}.fillna(${b})`,
+        NULLIF: (a, b) => `${a}.mask(${a}.eq(${b}))`
+    };
+
+    /**
+     * Polars functions; args are Python code (strings already pl.lit)
+     */
+    const POLARS_FUNCTIONS = {
+        UPPER: (s) => `${s}.str.to_uppercase()`,
+        LOWER: (s) => `${s}.str.to_lowercase()`,
+        TRIM: (s) => `${s}.str.strip_chars()`,
+        LENGTH: (s) => `${s}.str.len_chars()`,
+        SUBSTRING: (s, start, length) => `${s}.str.slice(${minusOne(start)}${length === undefined ? '' : `, ${length}`})`,
+        CONCAT: (...args) => `pl.concat_str([${args.join(', ')}], ignore_nulls=True)`,
+        ABS: (n) => `${n}.abs()`,
+        ROUND: (n, digits = '0') => `${n}.round(${digits})`,
+        FLOOR: (n) => `${n}.floor()`,
+        CEIL: (n) => `${n}.ceil()`,
+        CEILING: (n) => `${n}.ceil()`,
+        COALESCE: (...args) => `pl.coalesce(${args.join(', ')})`,
+        IFNULL: (a, b) => `pl.coalesce(${a}, ${b})`,
+        NULLIF: (a, b) => `pl.when(${a} == ${b}).then(None).otherwise(${a})`
+    };
+
+    function minusOne(code) {
+        return /^\d+$/.test(code) ? String(Number(code) - 1) : `${code} - 1`;
+    }
+
+    function sliceEnd(start, length) {
+        return /^\d+$/.test(start) && /^\d+$/.test(length) ? String(Number(start) - 1 + Number(length)) : `${minusOne(start)} + ${length}`;
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * Output column name for an unaliased select expression
+     * (same naming as EOQueryExecutor)
+     */
+    function columnName(expr) {
+        if (typeof expr === 'string') return expr.split('.').pop();
+        switch (expr.type) {
+            case 'field': return expr.name.split('.').pop();
+            case 'agg': return expr.fn.toLowerCase();
+            case 'fn': return expr.name.toLowerCase();
+            case 'window': return expr.alias || expr.fn.toLowerCase();
+            default: return '?column?';
+        }
+    }
+
+    function field(name) {
+        return { type: 'field', name };
+    }
+
+    function isOperatorObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+            Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+    }
+
+    function isLiteral(expr) {
+        return expr === null || expr === undefined || typeof expr !== 'object' || expr instanceof Date || expr.type === 'literal';
+    }
+
+    function literalValue(expr) {
+        return expr?.type === 'literal' ? expr.value : (expr ?? null);
+    }
+
+    /**
+     * Column named by a field reference (string or { type: 'field' })
+     */
+    function fieldName(f) {
+        if (typeof f === 'string') return f;
+        if (f?.type === 'field') return f.name;
+        throw new Error('Only columns can be used here, not expressions');
+    }
+
+    /**
+     * { field: value } / { field: { $gt: value } } conditions as typed expressions
+     */
+    function typedCondition(condition) {
+        const conditions = [];
+        for (const [name, test] of Object.entries(condition)) {
+            const left = field(name);
+            if (!isOperatorObject(test)) {
+                conditions.push({ type: 'eq', left, right: test?.type ? test : { type: 'literal', value: test } });
+                continue;
+            }
+            for (const [op, value] of Object.entries(test)) {
+                switch (op) {
+                    case '$eq':
+                    case '$ne':
+                    case '$gt':
+                    case '$gte':
+                    case '$lt':
+                    case '$lte':
+                        conditions.push({ type: op.slice(1), left, right: { type: 'literal', value } });
+                        break;
+                    case '$in':
+                    case '$nin':
+                        conditions.push({ type: op === '$in' ? 'in' : 'not_in', field: left, values: value });
+                        break;
+                    case '$like':
+                    case '$ilike':
+                        conditions.push({ type: op.slice(1), field: left, pattern: value });
+                        break;
+                    case '$between':
+                        conditions.push({ type: 'between', field: left, low: value[0], high: value[1] });
+                        break;
+                    case '$isNull':
+                        conditions.push({ type: value ? 'is_null' : 'is_not_null', field: left });
+                        break;
+                    default:
+                        throw new Error(`Unknown condition operator: ${op}`);
+                }
+            }
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+    }
+
+    /**
+     * LIKE pattern → Python regular expression matching the whole value
+     */
+    function likeToRegex(pattern) {
+        let source = '';
+        for (const ch of String(pattern)) {
+            if (ch === '%') source += '.*';
+            else if (ch === '_') source += '.';
+            else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        return source;
+    }
+
+    /**
+     * A JavaScript value as a Python literal
+     */
+    function py(value) {
+        if (value === null || value === undefined) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return 'float("nan")';
+            if (!Number.isFinite(value)) return value > 0 ? 'float("inf")' : 'float("-inf")';
+            return String(value);
+        }
+        if (value instanceof Date) return JSON.stringify(value.toISOString());
+        if (Array.isArray(value)) return `[${value.map(py).join(', ')}]`;
+        return JSON.stringify(String(value));
+    }
+
+    /**
+     * One column as "x", several as ["x", "y"]
+     */
+    function pyKeys(columns) {
+        return columns.length === 1 ? py(columns[0]) : py(columns);
+    }
+
+    function isScalarCode(code) {
+        return /^(-?\d+(\.\d+)?|"(?:[^"\\]|\\.)*"|None|True|False)$/.test(code);
+    }
+
+    function isIdentifier(name) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !PYTHON_KEYWORDS.has(name);
+    }
+
+    /**
+     * A table or CTE name as a Python variable
+     */
+    function pyIdentifier(name) {
+        let id = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+        if (/^\d/.test(id)) id = '_' + id;
+        return PYTHON_KEYWORDS.has(id) ? id + '_' : id;
+    }
+
+    function indent(code) {
+        return code.split('\n').map(line => '    ' + line).join('\n');
+    }
+
+    /**
+     * head(a, b), or one argument per line once it gets long
+     */
+    function call(head, args) {
+        const inline = `${head}(${args.join(', ')})`;
+        if (inline.length <= 88 && !inline.includes('\n')) return inline;
+        return `${head}(\n${args.map(a => indent(a) + ',').join('\n')}\n)`;
+    }
+
+    /**
+     * Parenthesize code that combines terms with a binary operator, except
+     * for an & chain joined by & (Python's & and | bind tighter than ==)
+     */
+    function group(code, joiner) {
+        const operators = joiner === '&' ? /\s(?:[|<>]|[<>=!]=)\s/ : /\s(?:[&|<>]|[<>=!]=)\s/;
+        return operators.test(code) ? `(${code})` : code;
+    }
+
+    // ============================================================================
+    // SHARED COMPILER
+    // ============================================================================
+
+    /**
+     * EOQueryDataFrameCompiler - Clause order, scoping and NULL rules shared
+     * by the pandas and Polars generators
+     *
+     * Column names: the FROM alias is dropped ("o.total" → "total"), joined
+     * columns keep their alias as a prefix ("c.name"), and after GROUP BY a
+     * key is found by its column name.
+     */
+    class EOQueryDataFrameCompiler {
+        /**
+         * Generate Python code for a query
+         * @param {EOQuery|Object} query - Query or AST
+         * @param {Object} options - { name: result variable, frames: { table: variable }, imports }
+         * @returns {string} Python source
+         */
+        compile(query, options = {}) {
+            this.options = { name: 'result', frames: {}, imports: true, ...options };
+            this._statements = [];
+            this._defined = new Map();
+            this._counter = 0;
+
+            this._compileQuery(query, this.options.name, {});
+
+            const code = this._statements.join('\n');
+            const header = this.options.imports ? this._imports(code) : [];
+            return (header.length > 0 ? header.join('\n') + '\n\n' : '') + code + '\n';
+        }
+
+        _compileQuery(query, name, ctes) {
+            const ast = query.toAST ? query.toAST() : query;
+            const ctx = this._createContext();
+
+            for (const node of ast.pipeline || []) {
+                this._processNode(node, ctx);
+            }
+
+            this._emitQuery(ctx, name, { ...ctes, ...(ast.ctes || {}), ...ctx.ctes });
+        }
+
+        /**
+         * Create compilation context (mirrors EOQueryCompiler's)
+         */
+        _createContext() {
+            return {
+                select: null,
+                from: null,
+                joins: [],
+                where: [],
+                groupBy: [],
+                having: [],
+                orderBy: [],
+                limit: null,
+                offset: null,
+                distinct: false,
+                aggregations: {},
+                windows: [],
+                setOps: [],
+                ctes: {},
+                nullHandling: []
+            };
+        }
+
+        /**
+         * Collect a pipeline node into the context
+         */
+        _processNode(node, ctx) {
+            const { operator, params } = node;
+
+            switch (operator) {
+                case 'INS':
+                    if (params.values || (params.operation && params.operation !== 'select')) {
+                        throw new Error(`${this.target} code is generated for reads only, not ${params.operation || 'insert'}`);
+                    }
+                    ctx.from = params.source;
+                    break;
+                case 'DES':
+                    if (params.columns) ctx.select = params.columns;
+                    if (params.alias) {
+                        ctx.select = [...(ctx.select || []), ...Object.entries(params.alias).map(([a, e]) => ({ [a]: e }))];
+                    }
+                    break;
+                case 'SEG':
+                    if (params.distinct) ctx.distinct = params.distinct;
+                    if (params.where) ctx.where.push(params.where);
+                    if (params.groupBy) ctx.groupBy = params.groupBy;
+                    if (params.having) ctx.having.push(params.having);
+                    if (params.limit !== undefined) ctx.limit = params.limit;
+                    if (params.offset !== undefined) ctx.offset = params.offset;
+                    break;
+                case 'CON':
+                    if (['union', 'union_all', 'intersect', 'except'].includes(params.type)) {
+                        ctx.setOps.push(params);
+                    } else {
+                        ctx.joins.push(params);
+                    }
+                    break;
+                case 'ALT':
+                    if (params.orderBy) ctx.orderBy = params.orderBy;
+                    break;
+                case 'SYN':
+                    if (params.aggregations) Object.assign(ctx.aggregations, params.aggregations);
+                    break;
+                case 'SUP':
+                    if (params.cte) Object.assign(ctx.ctes, params.cte);
+                    if (params.window) ctx.windows.push(params.window);
+                    break;
+                case 'NUL':
+                    ctx.nullHandling.push(params);
+                    break;
+                case 'REC':
+                    throw new Error(`REC (recursive queries) has no ${this.target} translation; run it through toSQL`);
+            }
+        }
+
+        /**
+         * Emit the steps of one query, bound to the variable name
+         */
+        _emitQuery(ctx, name, ctes) {
+            if (ctx.from === null) {
+                throw new Error(`${this.target} code needs a source table (INS)`);
+            }
+
+            // Sources first, so CTEs and subqueries are defined before this query
+            const source = this._frame(ctx.from, ctes);
+            const joins = ctx.joins.map(join => ({ join, target: this._frame(join.target, ctes) }));
+            const setOps = ctx.setOps.map(setOp => {
+                if (setOp.type !== 'union' && setOp.type !== 'union_all') {
+                    throw new Error(`${setOp.type.toUpperCase()} has no ${this.target} translation`);
+                }
+                return { setOp, target: this._frame(setOp.target, ctes) };
+            });
+
+            const scope = { frame: name, base: new Set([source.table, source.alias].filter(Boolean)), group: null };
+            const out = this._open(name, source);
+
+            for (const { join, target } of joins) {
+                this._join(out, this._joinSpec(join, target, scope), scope);
+            }
+
+            for (const condition of ctx.where) {
+                this._filter(out, condition, scope);
+            }
+
+            const lifted = this._lift(ctx);
+            if (lifted.grouped) {
+                const keys = ctx.groupBy.map(k => ({ name: columnName(k), expr: typeof k === 'string' ? field(k) : k }));
+                const keyColumns = this._group(out, keys, lifted.accumulators, scope);
+                scope.group = {
+                    keys: Object.fromEntries(keys.map((k, i) => [k.name, keyColumns[i]])),
+                    columns: [...keyColumns, ...lifted.accumulators.map(acc => acc.name)]
+                };
+                for (const condition of lifted.having) {
+                    this._filter(out, condition, scope);
+                }
+            }
+
+            if (lifted.windows.length > 0) {
+                this._windows(out, lifted.windows.map(spec => this._windowSpec(spec, scope)), scope);
+            }
+
+            const { columns, star } = this._columns(ctx, lifted, scope);
+            const outputs = star ? null : columns.map(c => c.name);
+            const sortLate = outputs === null || ctx.orderBy.every(spec => outputs.includes(columnName(this._orderField(spec))));
+            const outputPath = (n) => star ? this._path(n, scope) : columnName(n);
+
+            if (ctx.orderBy.length > 0 && !sortLate) {
+                this._sort(out, this._sortSpecs(ctx.orderBy, n => this._path(n, scope)), scope);
+            }
+            // Grouped rows that are already the select list need no projection
+            const unchanged = scope.group && lifted.windows.length === 0 &&
+                columns.length === scope.group.columns.length &&
+                columns.every((c, i) => c.name === scope.group.columns[i] && c.expr.type === 'field' && this._path(c.expr.name, scope) === c.name);
+            if (!unchanged) this._project(out, columns, star, scope);
+
+            const sortLast = ctx.orderBy.length > 0 && sortLate;
+            let sorted = false;
+            if (ctx.distinct) {
+                const on = Array.isArray(ctx.distinct) ? ctx.distinct.map(f => outputPath(fieldName(f))) : null;
+                if (on && sortLast) {
+                    // DISTINCT ON keeps the first row of each group in ORDER BY order
+                    this._sort(out, this._sortSpecs(ctx.orderBy, outputPath), scope);
+                    sorted = true;
+                }
+                this._distinct(out, on);
+            }
+
+            for (const { setOp, target } of setOps) {
+                this._union(out, target, setOp.type === 'union');
+            }
+
+            if (sortLast && (!sorted || setOps.length > 0)) {
+                this._sort(out, this._sortSpecs(ctx.orderBy, outputPath), scope);
+            }
+            if (ctx.offset !== null || ctx.limit !== null) {
+                this._slice(out, ctx.offset, ctx.limit);
+            }
+
+            this._close(out);
+        }
+
+        // ========================================================================
+        // SOURCES AND SCOPE
+        // ========================================================================
+
+        /**
+         * Variable holding a FROM/JOIN/UNION source: a table, a CTE (generated
+         * once, under its own name) or a subquery
+         */
+        _frame(source, ctes) {
+            if (source && typeof source === 'object' && (source.toAST || source.pipeline)) {
+                const variable = `${this.options.name}_${++this._counter}`;
+                this._compileQuery(source, variable, ctes);
+                return { variable, generated: true, table: null, alias: source.alias || null };
+            }
+
+            const table = typeof source === 'object' ? source.table : source;
+            const alias = (typeof source === 'object' && source.alias) || table;
+
+            if (ctes[table]) {
+                if (!this._defined.has(table)) {
+                    const inner = { ...ctes };
+                    delete inner[table];
+                    this._compileQuery(ctes[table], pyIdentifier(table), inner);
+                    this._defined.set(table, pyIdentifier(table));
+                }
+                return { variable: this._defined.get(table), generated: true, table, alias };
+            }
+            return { variable: this.options.frames[table] || pyIdentifier(table), generated: false, table, alias };
+        }
+
+        /**
+         * Column a name refers to in the current frame
+         */
+        _path(name, scope) {
+            if (scope.group) {
+                const key = columnName(name);
+                return key in scope.group.keys ? scope.group.keys[key] : name;
+            }
+            const [head, ...rest] = name.split('.');
+            return rest.length > 0 && scope.base.has(head) ? rest.join('.') : name;
+        }
+
+        /**
+         * Split a join into key pairs (merged on) and the rest (filtered after)
+         */
+        _joinSpec(join, target, scope) {
+            const type = join.type || 'inner';
+            const as = target.alias || target.variable;
+            const pairs = [];
+            const rest = [];
+
+            if (join.using) {
+                join.using.forEach(f => pairs.push({ left: this._path(f, scope), right: `${as}.${f}` }));
+            } else if (join.on && type !== 'cross') {
+                const on = join.on.type ? join.on : typedCondition(join.on);
+                const isTarget = (f) => f.name.startsWith(`${as}.`);
+                for (const condition of on.type === 'and' ? on.conditions : [on]) {
+                    const { left, right } = condition;
+                    if (condition.type === 'eq' && left?.type === 'field' && right?.type === 'field' && isTarget(left) !== isTarget(right)) {
+                        const [local, foreign] = isTarget(right) ? [left, right] : [right, left];
+                        pairs.push({ left: this._path(local.name, scope), right: foreign.name });
+                    } else {
+                        rest.push(condition);
+                    }
+                }
+            }
+
+            if (rest.length > 0 && type !== 'inner' && type !== 'cross') {
+                throw new Error(`${type.toUpperCase()} JOIN can only be translated with column equalities in ON`);
+            }
+
+            return {
+                type: pairs.length === 0 ? 'cross' : type,
+                target,
+                as,
+                pairs,
+                rest: rest.length === 0 ? null : rest.length === 1 ? rest[0] : { type: 'and', conditions: rest }
+            };
+        }
+
+        _orderField(spec) {
+            return fieldName(typeof spec === 'string' ? spec : spec.field);
+        }
+
+        /**
+         * ORDER BY entries as { column, desc, nullsFirst }; NULLs sort as the
+         * largest value unless NULLS FIRST/LAST says otherwise
+         */
+        _sortSpecs(orderBy, pathOf) {
+            return orderBy.map(spec => {
+                const desc = String(spec.direction).toLowerCase() === 'desc';
+                return {
+                    column: pathOf(this._orderField(spec)),
+                    desc,
+                    nullsFirst: spec.nullsFirst ?? (spec.nullsLast === undefined ? desc : !spec.nullsLast)
+                };
+            });
+        }
+
+        // ========================================================================
+        // GROUPING, WINDOWS AND COLUMNS
+        // ========================================================================
+
+        /**
+         * Pull aggregates and windows out of the select list and HAVING: each
+         * becomes a named aggregate or window column, and the expression
+         * refers to it by name
+         */
+        _lift(ctx) {
+            const accumulators = [];
+            const windows = [];
+            let counter = 0;
+
+            const addAccumulator = (fn, fieldArg, distinct, name) => {
+                const normalized = typeof fieldArg === 'string' && fieldArg !== '*' ? field(fieldArg) : fieldArg;
+                const key = JSON.stringify([String(fn).toUpperCase(), !!distinct, normalized]);
+                const existing = accumulators.find(a => a.key === key);
+                if (existing) return existing.name;
+                const accumulator = { key, name: name || `_agg${counter++}`, fn: String(fn).toUpperCase(), field: normalized, distinct: !!distinct };
+                if (!AGGREGATES.includes(accumulator.fn)) {
+                    throw new Error(`${accumulator.fn} has no ${this.target} translation`);
+                }
+                accumulators.push(accumulator);
+                return accumulator.name;
+            };
+
+            const addWindow = (spec, name) => {
+                windows.push({ ...spec, name: name || `_win${counter++}` });
+                return windows[windows.length - 1].name;
+            };
+
+            // SYN and SUP first, so the select list and HAVING reuse their names
+            for (const [alias, agg] of Object.entries(ctx.aggregations)) {
+                addAccumulator(agg.fn, agg.field, agg.distinct, alias);
+            }
+            for (const win of ctx.windows) {
+                addWindow({
+                    fn: win.fn,
+                    arg: win.field ? field(win.field) : null,
+                    offset: win.offset ?? 1,
+                    default: win.default,
+                    partitionBy: win.partitionBy,
+                    orderBy: win.orderBy,
+                    frame: win.frame
+                }, win.alias || win.fn.toLowerCase());
+            }
+
+            const rewrite = (expr, name) => {
+                if (Array.isArray(expr)) return expr.map(e => rewrite(e));
+                if (!expr || typeof expr !== 'object' || expr instanceof Date || expr.toAST) return expr;
+                if (expr.type === 'agg') {
+                    return field(addAccumulator(expr.fn, expr.field, expr.distinct, name));
+                }
+                if (expr.type === 'window') {
+                    const args = expr.args || [];
+                    return field(addWindow({
+                        fn: expr.fn,
+                        arg: args[0] || null,
+                        offset: args[1]?.value ?? 1,
+                        default: args[2]?.value,
+                        partitionBy: expr.partitionBy,
+                        orderBy: expr.orderBy,
+                        frame: expr.frame
+                    }, name));
+                }
+                return Object.fromEntries(Object.entries(expr).map(([k, v]) => [k, rewrite(v)]));
+            };
+
+            const select = ctx.select && ctx.select.map(column => {
+                if (typeof column === 'string') return column;
+                if (column.type) return rewrite(column, columnName(column));
+                const [alias, expr] = Object.entries(column)[0];
+                return { [alias]: rewrite(expr, alias) };
+            });
+            const having = ctx.having.map(condition => rewrite(condition));
+
+            return {
+                select,
+                having,
+                accumulators,
+                windows,
+                aggregationNames: Object.keys(ctx.aggregations),
+                windowNames: ctx.windows.map(w => w.alias || w.fn.toLowerCase()),
+                grouped: ctx.groupBy.length > 0 || accumulators.length > 0 || having.length > 0
+            };
+        }
+
+        /**
+         * A lifted window with its columns resolved
+         */
+        _windowSpec(spec, scope) {
+            const fn = String(spec.fn).toUpperCase();
+            if (spec.frame) {
+                throw new Error(`Window frames are not supported: ${spec.frame}`);
+            }
+
+            const order = this._sortSpecs(spec.orderBy || [], n => this._path(n, scope));
+            if (['ROW_NUMBER', 'RANK', 'DENSE_RANK', 'LAG', 'LEAD'].includes(fn) && order.length === 0) {
+                throw new Error(`${fn} needs an ORDER BY`);
+            }
+            if ((fn === 'RANK' || fn === 'DENSE_RANK') && order.length > 1) {
+                throw new Error(`${fn} over several ORDER BY columns has no ${this.target} translation`);
+            }
+            if (!['ROW_NUMBER', 'RANK', 'DENSE_RANK', 'LAG', 'LEAD', ...AGGREGATES].includes(fn)) {
+                throw new Error(`Window function ${spec.fn} has no ${this.target} translation`);
+            }
+
+            return {
+                name: spec.name,
+                fn,
+                column: spec.arg ? this._path(fieldName(spec.arg), scope) : null,
+                offset: Number(spec.offset ?? 1),
+                default: spec.default ?? null,
+                partition: (spec.partitionBy || []).map(f => this._path(fieldName(f), scope)),
+                order
+            };
+        }
+
+        /**
+         * Output columns as { name, expr }, with NUL applied as COALESCE/NULLIF
+         */
+        _columns(ctx, lifted, scope) {
+            const columns = [];
+            let star = lifted.select === null;
+
+            for (const column of lifted.select || []) {
+                if (column === '*') {
+                    star = true;
+                } else if (typeof column === 'string') {
+                    columns.push({ name: columnName(column), expr: field(column) });
+                } else if (column.type) {
+                    columns.push({ name: columnName(column), expr: column });
+                } else {
+                    const [alias, expr] = Object.entries(column)[0];
+                    columns.push({ name: alias, expr: typeof expr === 'string' ? field(expr) : expr });
+                }
+            }
+
+            if (lifted.grouped && star) {
+                // After GROUP BY the row is its keys and aggregates
+                Object.keys(scope.group.keys).forEach(key => columns.push({ name: key, expr: field(key) }));
+                star = false;
+            }
+            if (!star) {
+                // Aggregations and windows named through SYN and SUP show up next to the select list
+                for (const name of [...lifted.aggregationNames, ...lifted.windowNames]) {
+                    if (!columns.some(c => c.name === name)) columns.push({ name, expr: field(name) });
+                }
+            }
+
+            for (const params of ctx.nullHandling) {
+                this._applyNullHandling(columns, params, star);
+            }
+            return { columns, star };
+        }
+
+        /**
+         * NUL on the output columns: NULLIF blanks a value, DEFAULT fills a
+         * NULL, COALESCE fills the first listed field (or alias) from the
+         * ones after it. Next to * the handled field is overwritten in place.
+         */
+        _applyNullHandling(columns, params, star) {
+            const place = (name, expr) => {
+                const index = columns.findIndex(c => c.name === name);
+                if (index >= 0) {
+                    columns[index] = { name, expr };
+                } else {
+                    columns.push({ name, expr });
+                }
+            };
+
+            if (params.coalesce) {
+                const target = params.alias || columnName(params.coalesce[0]);
+                place(target, { type: 'fn', name: 'COALESCE', args: params.coalesce.map(f => typeof f === 'string' ? field(f) : f) });
+                return;
+            }
+
+            if (!params.field) return;
+            const name = columnName(params.field);
+            const column = columns.find(c => c.name === name);
+            if (!column && !star) return;
+
+            let expr = column ? column.expr : field(params.field);
+            if ('nullIf' in params) {
+                expr = { type: 'fn', name: 'NULLIF', args: [expr, { type: 'literal', value: params.nullIf }] };
+            }
+            if ('default' in params) {
+                expr = { type: 'fn', name: 'COALESCE', args: [expr, { type: 'literal', value: params.default }] };
+            }
+            place(name, expr);
+        }
+
+        // ========================================================================
+        // CONDITIONS
+        // ========================================================================
+
+        /**
+         * A WHERE/HAVING/ON condition, one AND term per line once it gets long
+         */
+        _mask(condition, scope) {
+            const terms = this._terms(condition, false, false).map(c => this._condition(c, scope, c.negate));
+            if (terms.length === 1) return terms[0];
+            const grouped = terms.map(term => group(term, '&'));
+            const inline = grouped.join(' & ');
+            return inline.length <= 80 ? inline : grouped.join('\n& ');
+        }
+
+        /**
+         * Operands of a chain of ANDs (or ORs), as { ...condition, negate }
+         */
+        _terms(expr, negate, or) {
+            if (expr.type === 'not') return this._terms(expr.condition, !negate, or);
+            if ((expr.type === 'and' || expr.type === 'or') && ((expr.type === 'or') !== negate) === or) {
+                return expr.conditions.flatMap(c => this._terms(c, negate, or));
+            }
+            return [{ ...(expr.type ? expr : typedCondition(expr)), negate }];
+        }
+
+        /**
+         * A condition as a boolean mask; NOT is pushed down to the predicates
+         * (De Morgan), each of which knows its own negation under NULLs
+         */
+        _condition(expr, scope, negate = false) {
+            if (!expr.type) {
+                return this._condition(typedCondition(expr), scope, negate);
+            }
+
+            switch (expr.type) {
+                case 'and':
+                case 'or': {
+                    const or = (expr.type === 'or') !== negate;
+                    return this._terms(expr, negate, or).map(c => group(this._condition(c, scope, c.negate), or ? '|' : '&')).join(or ? ' | ' : ' & ');
+                }
+                case 'not':
+                    return this._condition(expr.condition, scope, !negate);
+                case 'eq':
+                case 'ne':
+                case 'gt':
+                case 'gte':
+                case 'lt':
+                case 'lte': {
+                    let { left, right } = expr;
+                    let type = negate ? NEGATED[expr.type] : expr.type;
+                    if (isLiteral(left) && !isLiteral(right)) {
+                        [left, right, type] = [right, left, FLIPPED[type]];
+                    }
+                    // A comparison with NULL is never true
+                    if (literalValue(left) === null && isLiteral(left) || literalValue(right) === null && isLiteral(right)) {
+                        return this._constant(false, scope);
+                    }
+                    return this._comparison(type, left, right, scope);
+                }
+                case 'in':
+                case 'not_in': {
+                    const values = expr.values.map(literalValue);
+                    const inList = (expr.type === 'in') !== negate;
+                    // x NOT IN (..., NULL) is never true
+                    if (!inList && values.includes(null)) return this._constant(false, scope);
+                    return this._inList(expr.field, values.filter(v => v !== null), inList, scope);
+                }
+                case 'like':
+                case 'ilike':
+                    return this._like(expr.field, likeToRegex(literalValue(expr.pattern)), expr.type === 'ilike', negate, scope);
+                case 'between':
+                    return this._between(expr.field, expr.low, expr.high, negate, scope);
+                case 'is_null':
+                case 'is_not_null':
+                    return this._isNull(expr.field, (expr.type === 'is_null') !== negate, scope);
+                case 'literal':
+                    return this._constant(Boolean(expr.value) !== negate && expr.value !== null, scope);
+                default:
+                    return this._truth(expr, negate, scope);
+            }
+        }
+    }
+
+    // ============================================================================
+    // PANDAS
+    // ============================================================================
+
+    /**
+     * EOQueryPandasCompiler - pandas code, one statement per step
+     */
+    class EOQueryPandasCompiler extends EOQueryDataFrameCompiler {
+        get target() {
+            return 'pandas';
+        }
+
+        _imports(code) {
+            return [...(/\bnp\./.test(code) ? ['import numpy as np'] : []), 'import pandas as pd'];
+        }
+
+        _open(name, source) {
+            return { name, lines: [`${name} = ${source.variable}`] };
+        }
+
+        _step(out, code) {
+            out.lines.push(`${out.name} = ${code}`);
+        }
+
+        _close(out) {
+            this._statements.push(...out.lines);
+            if (out.name !== this.options.name) this._statements.push('');
+        }
+
+        /**
+         * merge on the key columns, with the joined columns prefixed by the
+         * alias. NULL keys are dropped first: merge would pair them up. A
+         * FULL JOIN adds those rows back afterwards, unmatched, from both sides.
+         */
+        _join(out, spec, scope) {
+            const { type, target, as, pairs, rest } = spec;
+            const prefixed = `.add_prefix(${py(as + '.')})`;
+            const left = pairs.map(p => p.left);
+            const right = pairs.map(p => p.right.slice(as.length + 1));
+
+            if (type === 'cross') {
+                this._step(out, `${out.name}.merge(${target.variable}${prefixed}, how="cross")`);
+            } else if (type === 'full') {
+                const nullKeys = (frame, keys) => `${frame}[${frame}[${py(keys)}].isna().any(axis=1)]`;
+                const frames = [
+                    call(`${out.name}.dropna(subset=${py(left)}).merge`, [
+                        `${target.variable}.dropna(subset=${py(right)})${prefixed}`,
+                        'how="outer"',
+                        `left_on=${pyKeys(left)}`,
+                        `right_on=${pyKeys(pairs.map(p => p.right))}`
+                    ]),
+                    nullKeys(out.name, left),
+                    nullKeys(target.variable, right) + prefixed
+                ];
+                this._step(out, call('pd.concat', [
+                    `[\n${frames.map(f => indent(f) + ',').join('\n')}\n]`,
+                    'ignore_index=True'
+                ]));
+            } else {
+                const leftFrame = type === 'right' ? `${out.name}.dropna(subset=${py(left)})` : out.name;
+                const rightFrame = type === 'right'
+                    ? `${target.variable}${prefixed}`
+                    : `${target.variable}.dropna(subset=${py(right)})${prefixed}`;
+                this._step(out, call(`${leftFrame}.merge`, [
+                    rightFrame,
+                    `how="${type}"`,
+                    `left_on=${pyKeys(left)}`,
+                    `right_on=${pyKeys(pairs.map(p => p.right))}`
+                ]));
+            }
+
+            if (rest) this._filter(out, rest, scope);
+        }
+
+        _filter(out, condition, scope) {
+            const mask = this._mask(condition, scope);
+            this._step(out, mask.includes('\n') ? `${out.name}[\n${indent(mask)}\n]` : `${out.name}[${mask}]`);
+        }
+
+        /**
+         * groupby keeps NULL keys (dropna=False); without keys the aggregates
+         * make a one-row frame
+         */
+        _group(out, keys, accumulators, scope) {
+            const frame = out.name;
+            const helpers = [];
+            const keyColumns = keys.map(key => {
+                if (key.expr.type === 'field') return this._path(key.expr.name, scope);
+                helpers.push([key.name, this._value(key.expr, scope)]);
+                return key.name;
+            });
+            const args = accumulators.map((acc, i) => {
+                if (acc.field === '*') return null;
+                if (acc.field.type === 'field') return this._path(acc.field.name, scope);
+                helpers.push([`_arg${i}`, this._value(acc.field, scope)]);
+                return `_arg${i}`;
+            });
+            if (helpers.length > 0) {
+                this._step(out, call(`${frame}.assign`, this._kwargs(helpers)));
+            }
+
+            if (keyColumns.length === 0) {
+                const values = accumulators.map((acc, i) => [acc.name, `[${this._seriesAggregate(acc, args[i], frame)}]`]);
+                this._step(out, `pd.DataFrame(${this._dict(values)})`);
+            } else if (accumulators.length === 0) {
+                this._step(out, `${frame}[${py(keyColumns)}].drop_duplicates()`);
+            } else {
+                const named = accumulators.map((acc, i) => [acc.name, this._namedAggregate(acc, args[i], keyColumns[0])]);
+                this._step(out, call(`${frame}.groupby(${py(keyColumns)}, as_index=False, dropna=False).agg`, this._kwargs(named)));
+            }
+            return keyColumns;
+        }
+
+        _namedAggregate(acc, column, anyKey) {
+            if (column === null) return `(${py(anyKey)}, "size")`;
+            if (acc.distinct) {
+                return acc.fn === 'COUNT'
+                    ? `(${py(column)}, "nunique")`
+                    : `(${py(column)}, lambda s: s.drop_duplicates().${PANDAS_AGGREGATES[acc.fn][1]})`;
+            }
+            return `(${py(column)}, ${PANDAS_AGGREGATES[acc.fn][0]})`;
+        }
+
+        _seriesAggregate(acc, column, frame) {
+            if (column === null) return `len(${frame})`;
+            const series = `${frame}[${py(column)}]`;
+            if (acc.distinct) {
+                return acc.fn === 'COUNT' ? `${series}.nunique()` : `${series}.drop_duplicates().${PANDAS_AGGREGATES[acc.fn][1]}`;
+            }
+            return `${series}.${PANDAS_AGGREGATES[acc.fn][1]}`;
+        }
+
+        /**
+         * Window columns are computed on a sorted copy and assigned back by index
+         */
+        _windows(out, windows, scope) {
+            this._step(out, call(`${out.name}.assign`, this._kwargs(windows.map(spec => [spec.name, this._window(spec, out.name)]))));
+        }
+
+        _window(spec, frame) {
+            const sorted = spec.order.length > 0 ? this._sorted(frame, spec.order) : frame;
+            const partition = spec.partition.length > 0 ? `.groupby(${py(spec.partition)}, dropna=False)` : null;
+            const rowNumber = partition
+                ? `${sorted}${partition}.cumcount() + 1`
+                : `pd.Series(range(1, len(${frame}) + 1), index=${sorted}.index)`;
+            const column = spec.column === null ? null : `[${py(spec.column)}]`;
+
+            switch (spec.fn) {
+                case 'ROW_NUMBER':
+                    return rowNumber;
+
+                case 'RANK':
+                case 'DENSE_RANK': {
+                    const [order] = spec.order;
+                    const options = [
+                        `method="${spec.fn === 'RANK' ? 'min' : 'dense'}"`,
+                        ...(order.desc ? ['ascending=False'] : []),
+                        `na_option="${order.nullsFirst ? 'top' : 'bottom'}"`
+                    ];
+                    return `${frame}${partition || ''}[${py(order.column)}].rank(${options.join(', ')}).astype("Int64")`;
+                }
+
+                case 'LAG':
+                case 'LEAD': {
+                    if (column === null) throw new Error(`${spec.fn} needs a column`);
+                    const by = spec.fn === 'LAG' ? spec.offset : -spec.offset;
+                    const fill = spec.default === null ? '' : `, fill_value=${py(spec.default)}`;
+                    return `${sorted}${partition || ''}${column}.shift(${by}${fill})`;
+                }
+
+                default: {
+                    if (spec.order.length > 0) {
+                        if (column === null) return rowNumber;
+                        return partition
+                            ? `${sorted}${partition}${column}.transform(lambda s: ${PANDAS_RUNNING[spec.fn]})`
+                            : PANDAS_RUNNING[spec.fn].replace(/^s\./, `${sorted}${column}.`);
+                    }
+                    if (column === null) {
+                        return partition ? `${frame}${partition}[${py(spec.partition[0])}].transform("size")` : `len(${frame})`;
+                    }
+                    return partition
+                        ? `${frame}${partition}${column}.transform(${PANDAS_AGGREGATES[spec.fn][0]})`
+                        : `${frame}${column}.${PANDAS_AGGREGATES[spec.fn][1]}`;
+                }
+            }
+        }
+
+        /**
+         * Select (and rename) plain columns; computed ones build a new frame
+         * on the same index. Next to * they are assigned in place.
+         */
+        _project(out, columns, star, scope) {
+            const frame = out.name;
+            const plain = (c) => c.expr.type === 'field' && this._path(c.expr.name, scope) === c.name;
+
+            if (star) {
+                const computed = columns.filter(c => !plain(c));
+                if (computed.length > 0) {
+                    this._step(out, call(`${frame}.assign`, this._kwargs(computed.map(c => [c.name, this._value(c.expr, scope)]))));
+                }
+                return;
+            }
+
+            if (columns.every(c => c.expr.type === 'field')) {
+                const paths = columns.map(c => this._path(c.expr.name, scope));
+                const renames = columns.filter((c, i) => paths[i] !== c.name).map(c => [this._path(c.expr.name, scope), c.name]);
+                const rename = renames.length > 0 ? `.rename(columns=${this._dict(renames.map(([from, to]) => [from, py(to)]))})` : '';
+                this._step(out, `${frame}[${py(paths)}]${rename}`);
+                return;
+            }
+
+            const values = columns.map(c => [c.name, this._value(c.expr, scope)]);
+            this._step(out, call('pd.DataFrame', [this._dict(values), `index=${frame}.index`]));
+        }
+
+        _distinct(out, on) {
+            this._step(out, on ? `${out.name}.drop_duplicates(subset=${py(on)})` : `${out.name}.drop_duplicates()`);
+        }
+
+        _union(out, target, dedupe) {
+            this._step(out, `pd.concat([${out.name}, ${target.variable}], ignore_index=True)${dedupe ? '.drop_duplicates()' : ''}`);
+        }
+
+        /**
+         * sort_values has one na_position; when the columns disagree, NULLS
+         * FIRST columns sort on an isna() helper first
+         */
+        _sort(out, specs) {
+            const { helpers, args } = this._sortArguments(out.name, specs);
+            if (helpers.length === 0) {
+                this._step(out, `${out.name}.sort_values(${args})`);
+                return;
+            }
+            this._step(out, call(`${out.name}.assign`, this._kwargs(helpers)));
+            this._step(out, `${out.name}.sort_values(${args})`);
+            this._step(out, `${out.name}.drop(columns=${py(helpers.map(([name]) => name))})`);
+        }
+
+        /**
+         * A sorted copy of the frame, as one expression
+         */
+        _sorted(frame, specs) {
+            const { helpers, args } = this._sortArguments(frame, specs);
+            if (helpers.length === 0) return `${frame}.sort_values(${args})`;
+            const assign = this._kwargs(helpers).join(', ');
+            return `${frame}.assign(${assign}).sort_values(${args}).drop(columns=${py(helpers.map(([name]) => name))})`;
+        }
+
+        _sortArguments(frame, specs) {
+            const uniform = specs.every(s => s.nullsFirst === specs[0].nullsFirst);
+            const helpers = [];
+            const by = [];
+            const ascending = [];
+
+            for (const spec of specs) {
+                if (!uniform && spec.nullsFirst) {
+                    const helper = `_null_${spec.column.replace(/\W/g, '_')}`;
+                    helpers.push([helper, `${frame}[${py(spec.column)}].isna()`]);
+                    by.push(helper);
+                    ascending.push(false);
+                }
+                by.push(spec.column);
+                ascending.push(!spec.desc);
+            }
+
+            const args = [pyKeys(by)];
+            if (ascending.some(a => !a)) args.push(`ascending=${ascending.length === 1 ? py(ascending[0]) : py(ascending)}`);
+            if (uniform && specs[0].nullsFirst) args.push('na_position="first"');
+            return { helpers, args: args.join(', ') };
+        }
+
+        _slice(out, offset, limit) {
+            if (!offset) {
+                this._step(out, `${out.name}.head(${limit})`);
+            } else {
+                this._step(out, `${out.name}.iloc[${offset}:${limit === null ? '' : offset + limit}]`);
+            }
+        }
+
+        // ------------------------------------------------------------------------
+        // Expressions
+        // ------------------------------------------------------------------------
+
+        /**
+         * keyword=value arguments, or **{...} when a name isn't an identifier
+         */
+        _kwargs(entries) {
+            if (entries.every(([name]) => isIdentifier(name))) {
+                return entries.map(([name, code]) => `${name}=${code}`);
+            }
+            return [`**${this._dict(entries)}`];
+        }
+
+        _dict(entries) {
+            const items = entries.map(([key, code]) => `${py(key)}: ${code}`);
+            const inline = `{${items.join(', ')}}`;
+            if (inline.length <= 72 && !inline.includes('\n')) return inline;
+            return `{\n${items.map(item => indent(item) + ',').join('\n')}\n}`;
+        }
+
+        _value(expr, scope) {
+            if (isLiteral(expr)) return py(literalValue(expr));
+            if (!expr.type) return this._condition(expr, scope);
+
+            switch (expr.type) {
+                case 'field':
+                    return `${scope.frame}[${py(this._path(expr.name, scope))}]`;
+                case 'add':
+                case 'sub':
+                case 'mul':
+                case 'div':
+                case 'mod':
+                    return `(${this._value(expr.left, scope)} ${ARITHMETIC[expr.type]} ${this._value(expr.right, scope)})`;
+                case 'fn': {
+                    const name = String(expr.name).toUpperCase();
+                    if (name === 'CAST') {
+                        return `${this._value(expr.args[0], scope)}.astype(${PANDAS_DTYPES[castType(literalValue(expr.args[1]))]})`;
+                    }
+                    const fn = PANDAS_FUNCTIONS[name];
+                    if (!fn) throw new Error(`Function ${expr.name} has no pandas translation`);
+                    return fn(...expr.args.map(a => this._value(a, scope)));
+                }
+                case 'case': {
+                    const conditions = expr.when.map(w => this._condition(w.condition, scope));
+                    const values = expr.when.map(w => this._value(w.then, scope));
+                    return `np.select([${conditions.join(', ')}], [${values.join(', ')}], default=${this._value(expr.else ?? null, scope)})`;
+                }
+                case 'agg':
+                case 'window':
+                    throw new Error(`${expr.fn} is only allowed in the select list or HAVING`);
+                default:
+                    return this._condition(expr, scope);
+            }
+        }
+
+        _constant(value, scope) {
+            return `pd.Series(${py(value)}, index=${scope.frame}.index)`;
+        }
+
+        /**
+         * Comparison methods are False for NaN; != needs both sides present
+         */
+        _comparison(type, left, right, scope) {
+            if (isLiteral(left)) {
+                const [a, b] = [literalValue(left), literalValue(right)];
+                const results = { eq: a === b, ne: a !== b, gt: a > b, gte: a >= b, lt: a < b, lte: a <= b };
+                return this._constant(results[type], scope);
+            }
+            const l = this._value(left, scope);
+            const r = this._value(right, scope);
+            if (type !== 'ne') return `${l}.${PANDAS_COMPARISONS[type]}(${r})`;
+            return [`${l}.ne(${r})`, `${l}.notna()`, ...(isLiteral(right) ? [] : [`${r}.notna()`])].join(' & ');
+        }
+
+        _inList(f, values, inList, scope) {
+            const s = this._value(f, scope);
+            return inList ? `${s}.isin(${py(values)})` : `~${s}.isin(${py(values)}) & ${s}.notna()`;
+        }
+
+        _like(f, regex, caseless, negate, scope) {
+            const s = this._value(f, scope);
+            const options = caseless ? ', case=False' : '';
+            return negate
+                ? `~${s}.str.fullmatch(${py(regex)}${options}, na=True)`
+                : `${s}.str.fullmatch(${py(regex)}${options}, na=False)`;
+        }
+
+        _between(f, low, high, negate, scope) {
+            const s = this._value(f, scope);
+            const [lo, hi] = [this._value(low, scope), this._value(high, scope)];
+            return negate ? `${s}.lt(${lo}) | ${s}.gt(${hi})` : `${s}.between(${lo}, ${hi})`;
+        }
+
+        _isNull(f, isNull, scope) {
+            return `${this._value(f, scope)}.${isNull ? 'isna' : 'notna'}()`;
+        }
+
+        _truth(expr, negate, scope) {
+            return `${this._value(expr, scope)}.eq(${negate ? 'False' : 'True'})`;
+        }
+    }
+
+    // ============================================================================
+    // POLARS
+    // ============================================================================
+
+    /**
+     * EOQueryPolarsCompiler - Polars LazyFrame chains
+     */
+    class EOQueryPolarsCompiler extends EOQueryDataFrameCompiler {
+        get target() {
+            return 'Polars';
+        }
+
+        compile(query, options = {}) {
+            return super.compile(query, { collect: false, ...options });
+        }
+
+        _imports() {
+            return ['import polars as pl'];
+        }
+
+        _open(name, source) {
+            return { name, source: source.generated ? source.variable : `${source.variable}.lazy()`, steps: [] };
+        }
+
+        _step(out, code) {
+            out.steps.push(code);
+        }
+
+        /**
+         * Write out the chain so far (a union starts a new one)
+         */
+        _flush(out) {
+            const steps = out.steps;
+            this._statements.push(steps.length === 0
+                ? `${out.name} = ${out.source}`
+                : `${out.name} = (\n${indent(out.source)}\n${steps.map(indent).join('\n')}\n)`);
+            out.source = out.name;
+            out.steps = [];
+        }
+
+        _close(out) {
+            if (out.name === this.options.name && this.options.collect) this._step(out, '.collect()');
+            this._flush(out);
+            if (out.name !== this.options.name) this._statements.push('');
+        }
+
+        /**
+         * Polars never matches NULL join keys, and keeps both key columns
+         * (coalesce=False) so either can still be referenced
+         */
+        _join(out, spec, scope) {
+            const { type, target, as, pairs, rest } = spec;
+            const frame = target.generated ? target.variable : `${target.variable}.lazy()`;
+            const right = `${frame}.select(pl.all().name.prefix(${py(as + '.')}))`;
+
+            if (type === 'cross') {
+                this._step(out, `.join(${right}, how="cross")`);
+            } else {
+                this._step(out, call('.join', [
+                    right,
+                    `left_on=${pyKeys(pairs.map(p => p.left))}`,
+                    `right_on=${pyKeys(pairs.map(p => p.right))}`,
+                    `how="${type}"`,
+                    'coalesce=False'
+                ]));
+            }
+
+            if (rest) this._filter(out, rest, scope);
+        }
+
+        _filter(out, condition, scope) {
+            this._step(out, call('.filter', [this._mask(condition, scope)]));
+        }
+
+        _group(out, keys, accumulators, scope) {
+            const keyColumns = keys.map(key => key.expr.type === 'field' ? this._path(key.expr.name, scope) : key.name);
+            const keyExprs = keys.map((key, i) => key.expr.type === 'field'
+                ? `pl.col(${py(keyColumns[i])})`
+                : `${this._value(key.expr, scope)}.alias(${py(key.name)})`);
+            const aggregates = accumulators.map(acc => `${this._aggregate(acc, scope)}.alias(${py(acc.name)})`);
+
+            if (keys.length === 0) {
+                this._step(out, call('.select', aggregates));
+            } else if (accumulators.length === 0) {
+                this._step(out, call('.select', keyExprs));
+                this._step(out, '.unique(maintain_order=True)');
+            } else {
+                this._step(out, call('.group_by', [...keyExprs, 'maintain_order=True']));
+                this._step(out, call('.agg', aggregates));
+            }
+            return keyColumns;
+        }
+
+        _aggregate(acc, scope) {
+            if (acc.field === '*') return 'pl.len()';
+            const x = this._value(acc.field, scope);
+            if (acc.distinct) {
+                return acc.fn === 'COUNT' ? `${x}.drop_nulls().n_unique()` : POLARS_AGGREGATES[acc.fn](`${x}.unique()`);
+            }
+            return POLARS_AGGREGATES[acc.fn](x);
+        }
+
+        /**
+         * Windows sharing an ordering are computed together on the sorted frame
+         */
+        _windows(out, windows, scope) {
+            const batches = new Map();
+            for (const spec of windows) {
+                const key = JSON.stringify(spec.order);
+                if (!batches.has(key)) batches.set(key, []);
+                batches.get(key).push(spec);
+            }
+
+            for (const specs of batches.values()) {
+                if (specs[0].order.length > 0) this._sort(out, specs[0].order);
+                this._step(out, call('.with_columns', specs.map(spec => `${this._window(spec)}.alias(${py(spec.name)})`)));
+            }
+        }
+
+        _window(spec) {
+            const over = spec.partition.length > 0 ? `.over(${py(spec.partition)})` : '';
+            const x = spec.column === null ? null : `pl.col(${py(spec.column)})`;
+            const rowNumber = 'pl.int_range(1, pl.len() + 1)';
+
+            switch (spec.fn) {
+                case 'ROW_NUMBER':
+                    return rowNumber + over;
+
+                case 'RANK':
+                case 'DENSE_RANK': {
+                    // rank() leaves NULLs unranked; SQL ranks them after (or before) every value
+                    const [order] = spec.order;
+                    const c = `pl.col(${py(order.column)})`;
+                    const rank = `${c}.rank("${spec.fn === 'RANK' ? 'min' : 'dense'}"${order.desc ? ', descending=True' : ''})`;
+                    if (order.nullsFirst) {
+                        const shift = spec.fn === 'RANK' ? `${c}.null_count()` : `(${c}.null_count() > 0).cast(pl.UInt32)`;
+                        return `(${rank} + ${shift}).fill_null(1)${over}`;
+                    }
+                    const last = spec.fn === 'RANK' ? `${c}.count() + 1` : `${c}.drop_nulls().n_unique() + 1`;
+                    return `${rank}.fill_null(${last})${over}`;
+                }
+
+                case 'LAG':
+                case 'LEAD': {
+                    if (x === null) throw new Error(`${spec.fn} needs a column`);
+                    const by = spec.fn === 'LAG' ? spec.offset : -spec.offset;
+                    const fill = spec.default === null ? '' : `, fill_value=${this._operand(spec.default)}`;
+                    return `${x}.shift(${by}${fill})${over}`;
+                }
+
+                default:
+                    if (spec.order.length > 0) {
+                        return (x === null ? rowNumber : POLARS_RUNNING[spec.fn](x)) + over;
+                    }
+                    return (x === null ? 'pl.len()' : POLARS_AGGREGATES[spec.fn](x)) + over;
+            }
+        }
+
+        _project(out, columns, star, scope) {
+            const plain = (c) => c.expr.type === 'field' && this._path(c.expr.name, scope) === c.name;
+            const exprs = (list) => list.map(c => {
+                const code = isLiteral(c.expr) ? `pl.lit(${py(literalValue(c.expr))})` : this._value(c.expr, scope);
+                return plain(c) ? code : `${code}.alias(${py(c.name)})`;
+            });
+
+            if (star) {
+                const computed = columns.filter(c => !plain(c));
+                if (computed.length > 0) this._step(out, call('.with_columns', exprs(computed)));
+                return;
+            }
+            this._step(out, call('.select', exprs(columns)));
+        }
+
+        _distinct(out, on) {
+            this._step(out, on
+                ? `.unique(subset=${py(on)}, keep="first", maintain_order=True)`
+                : '.unique(maintain_order=True)');
+        }
+
+        _union(out, target, dedupe) {
+            this._flush(out);
+            out.source = `pl.concat([${out.name}, ${target.generated ? target.variable : `${target.variable}.lazy()`}])`;
+            if (dedupe) this._step(out, '.unique(maintain_order=True)');
+        }
+
+        _sort(out, specs) {
+            const args = [pyKeys(specs.map(s => s.column))];
+            const list = (values) => values.length === 1 ? py(values[0]) : py(values);
+            if (specs.some(s => s.desc)) args.push(`descending=${list(specs.map(s => s.desc))}`);
+            if (specs.some(s => !s.nullsFirst)) args.push(`nulls_last=${list(specs.map(s => !s.nullsFirst))}`);
+            this._step(out, call('.sort', args));
+        }
+
+        _slice(out, offset, limit) {
+            if (!offset) {
+                this._step(out, `.head(${limit})`);
+            } else {
+                this._step(out, `.slice(${offset}${limit === null ? '' : `, ${limit}`})`);
+            }
+        }
+
+        // ------------------------------------------------------------------------
+        // Expressions
+        // ------------------------------------------------------------------------
+
+        /**
+         * A literal where Polars takes a value; strings need pl.lit, as most
+         * Polars functions read a bare string as a column name
+         */
+        _operand(value) {
+            return typeof value === 'string' || value === null || value instanceof Date ? `pl.lit(${py(value)})` : py(value);
+        }
+
+        _value(expr, scope) {
+            if (isLiteral(expr)) return this._operand(literalValue(expr));
+            if (!expr.type) return this._condition(expr, scope);
+
+            switch (expr.type) {
+                case 'field':
+                    return `pl.col(${py(this._path(expr.name, scope))})`;
+                case 'add':
+                case 'sub':
+                case 'mul':
+                case 'div':
+                case 'mod':
+                    return `(${this._value(expr.left, scope)} ${ARITHMETIC[expr.type]} ${this._value(expr.right, scope)})`;
+                case 'fn': {
+                    const name = String(expr.name).toUpperCase();
+                    if (name === 'CAST') {
+                        return `${this._value(expr.args[0], scope)}.cast(${POLARS_DTYPES[castType(literalValue(expr.args[1]))]})`;
+                    }
+                    const fn = POLARS_FUNCTIONS[name];
+                    if (!fn) throw new Error(`Function ${expr.name} has no Polars translation`);
+                    return fn(...expr.args.map(a => this._value(a, scope)));
+                }
+                case 'case': {
+                    const branches = expr.when.map(w => `.when(${this._condition(w.condition, scope)}).then(${this._value(w.then, scope)})`);
+                    return `pl${branches.join('')}.otherwise(${this._value(expr.else ?? null, scope)})`;
+                }
+                case 'agg':
+                case 'window':
+                    throw new Error(`${expr.fn} is only allowed in the select list or HAVING`);
+                default:
+                    return this._condition(expr, scope);
+            }
+        }
+
+        _constant(value) {
+            return `pl.lit(${py(value)})`;
+        }
+
+        _comparison(type, left, right, scope) {
+            const l = isLiteral(left) ? `pl.lit(${py(literalValue(left))})` : this._value(left, scope);
+            return `${l} ${COMPARISON_OPERATORS[type]} ${this._value(right, scope)}`;
+        }
+
+        _inList(f, values, inList, scope) {
+            const s = this._value(f, scope);
+            return inList ? `${s}.is_in(${py(values)})` : `${s}.is_not_null() & ~${s}.is_in(${py(values)})`;
+        }
+
+        _like(f, regex, caseless, negate, scope) {
+            const pattern = py(`${caseless ? '(?i)' : ''}^${regex}$`);
+            return `${negate ? '~' : ''}${this._value(f, scope)}.str.contains(${pattern})`;
+        }
+
+        _between(f, low, high, negate, scope) {
+            const s = this._value(f, scope);
+            const [lo, hi] = [this._value(low, scope), this._value(high, scope)];
+            return negate ? `(${s} < ${lo}) | (${s} > ${hi})` : `${s}.is_between(${lo}, ${hi})`;
+        }
+
+        _isNull(f, isNull, scope) {
+            return `${this._value(f, scope)}.${isNull ? 'is_null' : 'is_not_null'}()`;
+        }
+
+        _truth(expr, negate, scope) {
+            return `${negate ? '~' : ''}${group(this._value(expr, scope))}`;
+        }
+    }
+
+    function castType(type) {
+        const canonical = CAST_TYPES[String(type).toUpperCase()];
+        if (!canonical) throw new Error(`Unsupported CAST type: ${type}`);
+        return canonical;
+    }
+
+    // ============================================================================
+    // CONVENIENCE FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Generate pandas code for a query
+     * @param {Object} options - { name, frames, imports }
+     */
+    function toPandas(query, options = {}) {
+        return new EOQueryPandasCompiler().compile(query, options);
+    }
+
+    /**
+     * Generate Polars LazyFrame code for a query
+     * @param {Object} options - { name, frames, imports, collect }
+     */
+    function toPolars(query, options = {}) {
+        return new EOQueryPolarsCompiler().compile(query, options);
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const exports = {
+        EOQueryDataFrameCompiler,
+        EOQueryPandasCompiler,
+        EOQueryPolarsCompiler,
+        PANDAS_FUNCTIONS,
+        POLARS_FUNCTIONS,
+        toPandas,
+        toPolars
+    };
+
+    // Export to global scope
+    global.EOQueryPandasCompiler = EOQueryPandasCompiler;
+    global.EOQueryPolarsCompiler = EOQueryPolarsCompiler;
+    global.toPandas = toPandas;
+    global.toPolars = toPolars;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exports;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
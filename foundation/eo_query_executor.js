@@ -0,0 +1,1086 @@
+/**
+ * EO Query Executor
+ * Runs EOQL queries in memory against derived workspace state
+ *
+ * @eo_operator SYN
+ * @eo_layer foundation
+ *
+ * Where EOQueryCompiler turns the AST into SQL text, the executor evaluates
+ * it directly over the sets in EOStateDerivation:
+ * - INS reads a set (by setId or name), a CTE or a subquery
+ * - SEG, CON, SYN, SUP, ALT, DES and NUL follow SQL's logical clause order
+ * - Every result row carries provenance: the records, and the events that
+ *   produced their values, it was computed from (Axiom 0)
+ *
+ * Usage:
+ *   const executor = new EOQueryExecutor(derivation);
+ *   const { rows, provenance } = executor.execute(EOQL.from('orders').where(...));
+ */
+
+(function(global) {
+    'use strict';
+
+    function getSegmentation() {
+        if (!global.EOSegmentation) {
+            throw new Error('EOSegmentation is required for EOQueryExecutor');
+        }
+        return global.EOSegmentation;
+    }
+
+    // ============================================================================
+    // SCALAR FUNCTIONS (Extensible: name -> (...args) => value)
+    // ============================================================================
+
+    /**
+     * Functions available to { type: 'fn' } expressions
+     * NULL in, NULL out, except where SQL says otherwise (COALESCE, CONCAT).
+     */
+    const SCALAR_FUNCTIONS = {
+        UPPER: (s) => s === null ? null : String(s).toUpperCase(),
+        LOWER: (s) => s === null ? null : String(s).toLowerCase(),
+        TRIM: (s) => s === null ? null : String(s).trim(),
+        LENGTH: (s) => s === null ? null : String(s).length,
+        SUBSTRING: (s, start, length) => s === null ? null
+            : String(s).substr(Math.max(Number(start) - 1, 0), length === undefined ? undefined : Number(length)),
+        CONCAT: (...args) => args.filter(a => a !== null).join(''),
+        ABS: (n) => n === null ? null : Math.abs(Number(n)),
+        ROUND: (n, digits = 0) => {
+            if (n === null) return null;
+            const factor = Math.pow(10, Number(digits));
+            return Math.round(Number(n) * factor) / factor;
+        },
+        FLOOR: (n) => n === null ? null : Math.floor(Number(n)),
+        CEIL: (n) => n === null ? null : Math.ceil(Number(n)),
+        CEILING: (n) => n === null ? null : Math.ceil(Number(n)),
+        COALESCE: (...args) => args.find(a => a !== null) ?? null,
+        NULLIF: (a, b) => compareValues(a, b) === 0 ? null : a,
+        IFNULL: (a, b) => a ?? b,
+        CAST: (value, type) => castValue(value, type)
+    };
+
+    /**
+     * CAST(value AS type) for the types the SQL parser passes through
+     */
+    function castValue(value, type) {
+        if (value === null) return null;
+        const t = String(type).toUpperCase();
+        if (['INT', 'INTEGER', 'BIGINT', 'SMALLINT'].includes(t)) return Math.trunc(Number(value));
+        if (['NUMERIC', 'DECIMAL', 'FLOAT', 'REAL', 'DOUBLE'].includes(t)) return Number(value);
+        if (['TEXT', 'VARCHAR', 'CHAR', 'STRING'].includes(t)) return String(value);
+        if (['BOOLEAN', 'BOOL'].includes(t)) return value === true || value === 1 || String(value).toLowerCase() === 'true';
+        throw new Error(`Unsupported CAST type: ${type}`);
+    }
+
+    // ============================================================================
+    // VALUES (SQL comparison and three-valued logic)
+    // ============================================================================
+
+    function nullable(value) {
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Compare two non-null values; numeric strings compare as numbers
+     */
+    function compareValues(a, b) {
+        if (a === null || b === null) return null;
+        if (typeof a !== typeof b && isNumeric(a) && isNumeric(b)) {
+            a = Number(a);
+            b = Number(b);
+        }
+        if (a instanceof Date) a = a.getTime();
+        if (b instanceof Date) b = b.getTime();
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function isNumeric(value) {
+        return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    }
+
+    /**
+     * Sort comparison with NULLs last ascending, first descending
+     * (PostgreSQL's default), unless the spec says otherwise
+     */
+    function compareForSort(a, b, spec) {
+        const desc = spec.direction === 'desc';
+        if (a === null || b === null) {
+            if (a === b) return 0;
+            const nullsFirst = spec.nullsFirst ?? (spec.nullsLast === undefined ? desc : !spec.nullsLast);
+            return (a === null) === nullsFirst ? -1 : 1;
+        }
+        const cmp = compareValues(a, b);
+        return desc ? -cmp : cmp;
+    }
+
+    function likeToRegExp(pattern, flags) {
+        const source = String(pattern)
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/%/g, '.*')
+            .replace(/_/g, '.');
+        return new RegExp(`^${source}$`, flags);
+    }
+
+    function rowKey(values) {
+        return JSON.stringify(values);
+    }
+
+    /**
+     * Combine provenance lists, one entry per record
+     */
+    function mergeProvenance(lists) {
+        const merged = new Map();
+        for (const entry of lists.flat()) {
+            const key = `${entry.setId}/${entry.recordId}`;
+            const existing = merged.get(key);
+            if (existing) {
+                entry.eventIds.forEach(id => {
+                    if (!existing.eventIds.includes(id)) existing.eventIds.push(id);
+                });
+            } else {
+                merged.set(key, { ...entry, eventIds: [...entry.eventIds] });
+            }
+        }
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Events a record's current values come from: its creation (the set's,
+     * for records created with it), then the observation each cell shows
+     */
+    function recordEventIds(record, set) {
+        const created = record._eventId || set._eventId;
+        const ids = created ? [created] : [];
+        (record.cells || []).forEach(cell => {
+            cell.values.forEach(observation => {
+                if (observation._eventId && !ids.includes(observation._eventId)) {
+                    ids.push(observation._eventId);
+                }
+            });
+        });
+        return ids;
+    }
+
+    /**
+     * Output column name for an unaliased select expression
+     */
+    function columnName(expr) {
+        if (typeof expr === 'string') return expr.split('.').pop();
+        switch (expr.type) {
+            case 'field': return expr.name.split('.').pop();
+            case 'agg': return expr.fn.toLowerCase();
+            case 'fn': return expr.name.toLowerCase();
+            case 'window': return expr.alias || expr.fn.toLowerCase();
+            default: return '?column?';
+        }
+    }
+
+    // ============================================================================
+    // EXECUTOR
+    // ============================================================================
+
+    /**
+     * EOQueryExecutor - Evaluates EOQL against derived state
+     *
+     * Rows inside the executor are bindings:
+     *   { values, scopes, provenance, members?, windows? }
+     * values holds unqualified field names, scopes the fields under each
+     * source alias (for "alias.field"), members the rows of a group.
+     */
+    class EOQueryExecutor {
+        /**
+         * @param {Object} source - EOStateDerivation instance, or a derived state
+         * @param {Object} options - { includeHidden: also read records hidden by merge/split }
+         */
+        constructor(source, options = {}) {
+            this._source = source;
+            this._options = options;
+        }
+
+        /**
+         * Execute a query
+         * @param {EOQuery|Object} query - Query or AST
+         * @returns {Object} { columns, rows, provenance, asOf }
+         */
+        execute(query) {
+            const state = this._getState();
+            const result = this._run(query, { state, ctes: new Map(), subqueries: new WeakMap() });
+
+            return {
+                columns: result.columns,
+                rows: result.rows.map(r => r.out),
+                provenance: result.rows.map(r => r.provenance),
+                asOf: { eventId: state._lastEventId || null }
+            };
+        }
+
+        _getState() {
+            const state = typeof this._source?.getState === 'function'
+                ? this._source.getState()
+                : this._source;
+            if (!state?.sets) {
+                throw new Error('EOQueryExecutor needs derived state with sets');
+            }
+            return state;
+        }
+
+        /**
+         * Run one query (top level, CTE, subquery or set operand)
+         * @returns {Object} { columns, rows: [{ out, provenance }] }
+         */
+        _run(query, env) {
+            const ast = query.toAST ? query.toAST() : query;
+            const ctx = this._createContext();
+
+            for (const node of ast.pipeline || []) {
+                this._processNode(node, ctx);
+            }
+
+            // CTEs are visible to this query and everything nested in it
+            const ctes = { ...(ast.ctes || {}), ...ctx.ctes };
+            if (Object.keys(ctes).length > 0) {
+                env = { ...env, ctes: new Map(env.ctes) };
+                for (const [name, cteQuery] of Object.entries(ctes)) {
+                    env.ctes.set(name, this._run(cteQuery, env));
+                }
+            }
+
+            return this._evaluate(ctx, env);
+        }
+
+        /**
+         * Create execution context (mirrors EOQueryCompiler's)
+         */
+        _createContext() {
+            return {
+                select: null,
+                from: null,
+                joins: [],
+                where: [],
+                groupBy: [],
+                having: [],
+                orderBy: [],
+                limit: null,
+                offset: null,
+                distinct: false,
+                aggregations: {},
+                windows: [],
+                setOps: [],
+                ctes: {},
+                nullHandling: []
+            };
+        }
+
+        /**
+         * Collect a pipeline node into the context
+         */
+        _processNode(node, ctx) {
+            const { operator, params } = node;
+
+            switch (operator) {
+                case 'INS':
+                    if (params.operation && params.operation !== 'select') {
+                        throw new Error(`EOQueryExecutor only reads: INS ${params.operation} is not supported`);
+                    }
+                    ctx.from = params.source;
+                    break;
+                case 'DES':
+                    if (params.columns) ctx.select = params.columns;
+                    if (params.alias) {
+                        ctx.select = [...(ctx.select || []), ...Object.entries(params.alias).map(([a, e]) => ({ [a]: e }))];
+                    }
+                    break;
+                case 'SEG':
+                    if (params.distinct) ctx.distinct = params.distinct;
+                    if (params.where) ctx.where.push(params.where);
+                    if (params.groupBy) ctx.groupBy = params.groupBy;
+                    if (params.having) ctx.having.push(params.having);
+                    if (params.limit !== undefined) ctx.limit = params.limit;
+                    if (params.offset !== undefined) ctx.offset = params.offset;
+                    break;
+                case 'CON':
+                    if (['union', 'union_all', 'intersect', 'except'].includes(params.type)) {
+                        ctx.setOps.push(params);
+                    } else {
+                        ctx.joins.push(params);
+                    }
+                    break;
+                case 'ALT':
+                    if (params.orderBy) ctx.orderBy = params.orderBy;
+                    break;
+                case 'SYN':
+                    if (params.aggregations) Object.assign(ctx.aggregations, params.aggregations);
+                    break;
+                case 'SUP':
+                    if (params.cte) Object.assign(ctx.ctes, params.cte);
+                    if (params.window) ctx.windows.push(params.window);
+                    break;
+                case 'NUL':
+                    ctx.nullHandling.push(params);
+                    break;
+                case 'REC':
+                    throw new Error('EOQueryExecutor does not run REC (recursive) queries');
+            }
+        }
+
+        /**
+         * Evaluate the collected clauses in SQL's logical order:
+         * FROM, JOIN, WHERE, GROUP BY, HAVING, windows, SELECT, DISTINCT,
+         * set operations, ORDER BY, OFFSET/LIMIT
+         */
+        _evaluate(ctx, env) {
+            const seg = getSegmentation();
+
+            let rows = ctx.from === null ? [this._emptyRow()] : this._loadSource(ctx.from, env);
+
+            for (const join of ctx.joins) {
+                rows = this._join(rows, join, env);
+            }
+
+            for (const condition of ctx.where) {
+                rows = seg.filter(rows, row => this._evaluateExpr(condition, row, env) === true);
+            }
+
+            if (this._isGrouped(ctx)) {
+                rows = this._group(rows, ctx, env);
+                for (const condition of ctx.having) {
+                    rows = seg.filter(rows, row => this._evaluateExpr(condition, row, env) === true);
+                }
+            }
+
+            const windows = [...ctx.windows, ...this._selectWindows(ctx.select)];
+            if (windows.length > 0) {
+                this._computeWindows(rows, windows, env);
+            }
+
+            let results = rows.map(row => ({
+                row,
+                out: this._project(row, ctx, env),
+                provenance: row.provenance
+            }));
+
+            let columns = this._columns(ctx, results);
+
+            if (ctx.distinct) {
+                results = this._dedupe(results, Array.isArray(ctx.distinct) ? ctx.distinct : null);
+            }
+
+            for (const setOp of ctx.setOps) {
+                results = this._setOperation(results, columns, setOp, env);
+            }
+
+            if (ctx.orderBy.length > 0) {
+                results = this._sort(results, ctx.orderBy, columns, env);
+            }
+
+            if (ctx.offset !== null) results = seg.skip(results, ctx.offset);
+            if (ctx.limit !== null) results = seg.take(results, ctx.limit);
+
+            return { columns, rows: results };
+        }
+
+        // ========================================================================
+        // SOURCES
+        // ========================================================================
+
+        _emptyRow() {
+            return { values: {}, scopes: {}, provenance: [] };
+        }
+
+        /**
+         * Rows of a FROM/JOIN source: a CTE, a set (by id or name) or a subquery
+         */
+        _loadSource(source, env) {
+            if (source && typeof source === 'object' && (source.toAST || source.pipeline)) {
+                return this._resultRows(this._run(source, env), source.alias || null);
+            }
+
+            const table = typeof source === 'object' ? source.table : source;
+            const alias = (typeof source === 'object' && source.alias) || table;
+
+            if (env.ctes.has(table)) {
+                return this._resultRows(env.ctes.get(table), alias);
+            }
+
+            const set = env.state.sets.get(table) ||
+                Array.from(env.state.sets.values()).find(s => s.name === table);
+            if (!set) {
+                throw new Error(`Unknown source: ${table}`);
+            }
+
+            const rows = [];
+            for (const record of set.records.values()) {
+                if (record._hidden && !this._options.includeHidden) continue;
+
+                const values = { record_id: record.record_id, ...(record.fields || {}) };
+                rows.push({
+                    values,
+                    scopes: { [alias]: values },
+                    provenance: [{ setId: set.setId, recordId: record.record_id, eventIds: recordEventIds(record, set) }]
+                });
+            }
+            return rows;
+        }
+
+        /**
+         * Turn another query's result back into bindings
+         */
+        _resultRows(result, alias) {
+            return result.rows.map(r => ({
+                values: { ...r.out },
+                scopes: alias ? { [alias]: r.out } : {},
+                provenance: r.provenance
+            }));
+        }
+
+        // ========================================================================
+        // JOINS
+        // ========================================================================
+
+        _join(leftRows, join, env) {
+            const rightRows = this._loadSource(join.target, env);
+            const type = join.type || 'inner';
+            const using = type === 'natural'
+                ? Object.keys(leftRows[0]?.values || {}).filter(f => f in (rightRows[0]?.values || {}))
+                : join.using;
+
+            const matches = (left, right) => {
+                if (type === 'cross') return true;
+                if (using) {
+                    return using.every(f => compareValues(nullable(left.values[f]), nullable(right.values[f])) === 0);
+                }
+                return join.on ? this._evaluateExpr(join.on, this._combine(left, right), env) === true : true;
+            };
+
+            const rightAlias = this._aliasOf(join.target);
+            const leftAliases = Object.keys(leftRows[0]?.scopes || {});
+            const rows = [];
+            const matchedRight = new Set();
+
+            for (const left of leftRows) {
+                let matched = false;
+                rightRows.forEach((right, index) => {
+                    if (!matches(left, right)) return;
+                    matched = true;
+                    matchedRight.add(index);
+                    rows.push(this._combine(left, right));
+                });
+                if (!matched && (type === 'left' || type === 'full')) {
+                    rows.push(this._combine(left, this._nullRow(rightAlias)));
+                }
+            }
+
+            if (type === 'right' || type === 'full') {
+                rightRows.forEach((right, index) => {
+                    if (!matchedRight.has(index)) {
+                        rows.push(this._combine(this._nullRow(...leftAliases), right));
+                    }
+                });
+            }
+
+            return rows;
+        }
+
+        /**
+         * Join two bindings; unqualified names keep the left side's value
+         */
+        _combine(left, right) {
+            return {
+                values: { ...right.values, ...left.values },
+                scopes: { ...right.scopes, ...left.scopes },
+                provenance: [...left.provenance, ...right.provenance]
+            };
+        }
+
+        _nullRow(...aliases) {
+            return {
+                values: {},
+                scopes: Object.fromEntries(aliases.filter(Boolean).map(a => [a, {}])),
+                provenance: []
+            };
+        }
+
+        _aliasOf(source) {
+            if (typeof source === 'string') return source;
+            return source?.alias || source?.table || null;
+        }
+
+        // ========================================================================
+        // GROUPING AND AGGREGATES
+        // ========================================================================
+
+        _isGrouped(ctx) {
+            return ctx.groupBy.length > 0 ||
+                ctx.having.length > 0 ||
+                Object.keys(ctx.aggregations).length > 0 ||
+                (ctx.select || []).some(c => this._containsAggregate(c));
+        }
+
+        _containsAggregate(expr) {
+            if (!expr || typeof expr !== 'object') return false;
+            if (expr.type === 'agg') return true;
+            if (expr.type === 'window' || expr.type === 'subquery') return false;
+            if (!expr.type) {
+                const entries = Object.entries(expr);
+                return entries.length === 1 && this._containsAggregate(entries[0][1]);
+            }
+            return Object.values(expr).some(v =>
+                Array.isArray(v) ? v.some(x => this._containsAggregate(x)) : this._containsAggregate(v));
+        }
+
+        /**
+         * One binding per group; without GROUP BY, one group of every row
+         */
+        _group(rows, ctx, env) {
+            const seg = getSegmentation();
+            const keyOf = row => rowKey(ctx.groupBy.map(f => this._lookup(row, f)));
+            const groups = ctx.groupBy.length > 0
+                ? Object.values(seg.groupBy(rows, keyOf))
+                : [rows];
+
+            return groups.map(members => {
+                const first = members[0] || this._emptyRow();
+                const values = {};
+                ctx.groupBy.forEach(f => {
+                    values[f.split('.').pop()] = this._lookup(first, f);
+                });
+
+                const group = {
+                    values: { ...first.values, ...values },
+                    scopes: first.scopes,
+                    provenance: mergeProvenance(members.map(m => m.provenance)),
+                    members,
+                    groupValues: values
+                };
+
+                for (const [alias, agg] of Object.entries(ctx.aggregations)) {
+                    group.values[alias] = this._aggregate(agg.fn, agg.field, members, env, agg.distinct);
+                    group.groupValues[alias] = group.values[alias];
+                }
+                return group;
+            });
+        }
+
+        /**
+         * SQL aggregate over a group's rows; NULLs are skipped, and an empty
+         * SUM/AVG/MIN/MAX is NULL while COUNT is 0
+         */
+        _aggregate(fn, field, members, env, distinct = false) {
+            const name = String(fn).toUpperCase();
+            if (field === '*' || field?.name === '*') {
+                if (name !== 'COUNT') throw new Error(`${name}(*) is not valid`);
+                return members.length;
+            }
+
+            const expr = typeof field === 'string' ? { type: 'field', name: field } : field;
+            let values = members
+                .map(row => this._evaluateExpr(expr, row, env))
+                .filter(v => v !== null);
+            if (distinct) {
+                values = Array.from(new Map(values.map(v => [rowKey(v), v])).values());
+            }
+
+            switch (name) {
+                case 'COUNT':
+                    return values.length;
+                case 'SUM':
+                    return values.length ? values.reduce((a, b) => a + Number(b), 0) : null;
+                case 'AVG':
+                    return values.length ? values.reduce((a, b) => a + Number(b), 0) / values.length : null;
+                case 'MIN':
+                    return values.length ? values.reduce((a, b) => compareValues(b, a) < 0 ? b : a) : null;
+                case 'MAX':
+                    return values.length ? values.reduce((a, b) => compareValues(b, a) > 0 ? b : a) : null;
+                default:
+                    throw new Error(`Unknown aggregate: ${fn}`);
+            }
+        }
+
+        // ========================================================================
+        // WINDOWS
+        // ========================================================================
+
+        /**
+         * Window expressions written inside the select list
+         */
+        _selectWindows(select) {
+            return (select || [])
+                .map(c => c?.type ? c : (c && typeof c === 'object' ? Object.values(c)[0] : null))
+                .filter(e => e?.type === 'window');
+        }
+
+        /**
+         * Compute each window over its partitions; results land in
+         * row.windows (by spec) and, for SUP windows, row.values[alias]
+         */
+        _computeWindows(rows, specs, env) {
+            const seg = getSegmentation();
+
+            for (const spec of specs) {
+                const partitionBy = spec.partitionBy || [];
+                const orderBy = (spec.orderBy || []).map(o => typeof o === 'string' ? { field: o, direction: 'asc' } : o);
+                const partitions = partitionBy.length > 0
+                    ? Object.values(seg.groupBy(rows, row => rowKey(partitionBy.map(f => this._lookup(row, f)))))
+                    : [rows];
+
+                for (const partition of partitions) {
+                    const ordered = orderBy.length > 0
+                        ? seg.sort(partition, (a, b) => this._compareRows(a, b, orderBy, env))
+                        : partition;
+                    const results = this._windowValues(spec, ordered, orderBy, env);
+
+                    ordered.forEach((row, i) => {
+                        if (!row.windows) row.windows = new Map();
+                        row.windows.set(spec, results[i]);
+                        if (!spec.type) row.values[spec.alias || spec.fn.toLowerCase()] = results[i];
+                    });
+                }
+            }
+        }
+
+        _windowValues(spec, ordered, orderBy, env) {
+            const fn = String(spec.fn).toUpperCase();
+            const arg = spec.args?.[0] ?? (spec.field ? { type: 'field', name: spec.field } : null);
+            const peers = (a, b) => orderBy.length > 0 && this._compareRows(a, b, orderBy, env) === 0;
+
+            if (spec.frame) {
+                throw new Error(`Window frames are not supported: ${spec.frame}`);
+            }
+
+            switch (fn) {
+                case 'ROW_NUMBER':
+                    return ordered.map((row, i) => i + 1);
+
+                case 'RANK':
+                case 'DENSE_RANK': {
+                    let rank = 0;
+                    let dense = 0;
+                    return ordered.map((row, i) => {
+                        if (i === 0 || !peers(ordered[i - 1], row)) {
+                            rank = i + 1;
+                            dense++;
+                        }
+                        return fn === 'RANK' ? rank : dense;
+                    });
+                }
+
+                case 'LAG':
+                case 'LEAD': {
+                    const offset = Number(spec.offset ?? (spec.args?.[1] ? this._evaluateExpr(spec.args[1], ordered[0], env) : 1));
+                    const fallback = spec.args?.[2] ? this._evaluateExpr(spec.args[2], ordered[0], env) : (spec.default ?? null);
+                    return ordered.map((row, i) => {
+                        const target = ordered[fn === 'LAG' ? i - offset : i + offset];
+                        return target ? this._evaluateExpr(arg, target, env) : fallback;
+                    });
+                }
+
+                case 'FIRST_VALUE':
+                    return ordered.map(() => this._evaluateExpr(arg, ordered[0], env));
+
+                case 'LAST_VALUE':
+                case 'SUM':
+                case 'AVG':
+                case 'COUNT':
+                case 'MIN':
+                case 'MAX':
+                    // Default frame: the whole partition, or with ORDER BY every
+                    // row up to the current row and its peers
+                    return ordered.map((row, i) => {
+                        let end = ordered.length;
+                        if (orderBy.length > 0) {
+                            end = i + 1;
+                            while (end < ordered.length && peers(ordered[end], row)) end++;
+                        }
+                        const frame = ordered.slice(0, end);
+                        if (fn === 'LAST_VALUE') return this._evaluateExpr(arg, frame[frame.length - 1], env);
+                        return this._aggregate(fn, arg || '*', frame, env);
+                    });
+
+                default:
+                    throw new Error(`Unknown window function: ${spec.fn}`);
+            }
+        }
+
+        // ========================================================================
+        // PROJECTION, DISTINCT, SET OPERATIONS, ORDERING
+        // ========================================================================
+
+        /**
+         * Output values of one row (DES), with NUL handling applied
+         */
+        _project(row, ctx, env) {
+            const out = {};
+            const columns = ctx.select || ['*'];
+
+            for (const column of columns) {
+                if (column === '*') {
+                    Object.assign(out, row.groupValues || row.values);
+                    ctx.windows.forEach(w => {
+                        const name = w.alias || w.fn.toLowerCase();
+                        out[name] = row.values[name];
+                    });
+                } else if (typeof column === 'string') {
+                    out[columnName(column)] = this._lookup(row, column);
+                } else if (column.type) {
+                    out[columnName(column)] = this._evaluateExpr(column, row, env);
+                } else {
+                    const [alias, expr] = Object.entries(column)[0];
+                    out[alias] = this._evaluateExpr(typeof expr === 'string' ? { type: 'field', name: expr } : expr, row, env);
+                }
+            }
+
+            if (ctx.select) {
+                // Aggregations named through SYN show up next to the select list
+                Object.keys(ctx.aggregations).forEach(alias => { out[alias] = row.values[alias]; });
+            }
+
+            for (const params of ctx.nullHandling) {
+                this._applyNullHandling(out, params, row);
+            }
+            return out;
+        }
+
+        /**
+         * NUL: DEFAULT fills a NULL field, NULLIF blanks a value, COALESCE
+         * fills the first listed field from the ones after it. A field
+         * outside the select list is added, as in the compiled SQL.
+         */
+        _applyNullHandling(out, params, row) {
+            if (params.coalesce) {
+                const [target] = params.coalesce;
+                out[params.alias || target] = params.coalesce.map(f => nullable(out[f])).find(v => v !== null) ?? null;
+                return;
+            }
+            if (!params.field) return;
+            const name = params.field in out ? params.field : columnName(params.field);
+            if (!(name in out)) {
+                out[name] = this._lookup(row, params.field);
+            }
+            if ('nullIf' in params && compareValues(nullable(out[name]), params.nullIf) === 0) {
+                out[name] = null;
+            }
+            if ('default' in params && nullable(out[name]) === null) {
+                out[name] = params.default;
+            }
+        }
+
+        _columns(ctx, results) {
+            if (results.length > 0) return Object.keys(results[0].out);
+            return (ctx.select || [])
+                .filter(c => c !== '*')
+                .map(c => typeof c === 'string' || c.type ? columnName(c) : Object.keys(c)[0])
+                .concat(Object.keys(ctx.aggregations));
+        }
+
+        /**
+         * Keep one row per distinct value (or per DISTINCT ON fields); the
+         * kept row carries the provenance of every row it stands for
+         */
+        _dedupe(results, onFields = null) {
+            const keyOf = r => rowKey(onFields ? onFields.map(f => nullable(r.out[f.split('.').pop()])) : Object.values(r.out));
+            const groups = getSegmentation().groupBy(results, keyOf);
+            return Object.values(groups).map(group => ({
+                ...group[0],
+                provenance: mergeProvenance(group.map(r => r.provenance))
+            }));
+        }
+
+        /**
+         * UNION / UNION ALL / INTERSECT / EXCEPT; columns match by position
+         */
+        _setOperation(results, columns, setOp, env) {
+            const seg = getSegmentation();
+            const other = this._run(setOp.target, env).rows.map(r => {
+                const values = Object.values(r.out);
+                return { out: Object.fromEntries(columns.map((c, i) => [c, nullable(values[i])])), provenance: r.provenance };
+            });
+            const keyOf = r => rowKey(Object.values(r.out));
+
+            switch (setOp.type) {
+                case 'union_all':
+                    return [...results, ...other];
+                case 'union':
+                    return this._dedupe([...results, ...other]);
+                case 'intersect':
+                    return this._dedupe(seg.intersection(results, other, keyOf)).map(r => ({
+                        ...r,
+                        provenance: mergeProvenance([r.provenance, ...other.filter(o => keyOf(o) === keyOf(r)).map(o => o.provenance)])
+                    }));
+                case 'except':
+                    return this._dedupe(seg.difference(results, other, keyOf));
+            }
+            return results;
+        }
+
+        /**
+         * ORDER BY: output columns first, then source fields; a number is a
+         * column position
+         */
+        _sort(results, orderBy, columns, env) {
+            const specs = orderBy.map(o => typeof o === 'string' ? { field: o, direction: 'asc' } : o);
+            const binding = r => ({
+                values: { ...(r.row?.values || {}), ...r.out },
+                scopes: r.row?.scopes || {},
+                provenance: r.provenance,
+                members: r.row?.members,
+                windows: r.row?.windows
+            });
+
+            const keyOf = (r, spec) => {
+                const field = spec.field;
+                if (field?.type === 'literal' && Number.isInteger(field.value)) {
+                    return nullable(r.out[columns[field.value - 1]]);
+                }
+                const expr = typeof field === 'string' ? { type: 'field', name: field } : field;
+                return this._evaluateExpr(expr, binding(r), env);
+            };
+
+            const keyed = results.map(r => ({ r, keys: specs.map(s => keyOf(r, s)) }));
+            return getSegmentation().sort(keyed, (a, b) => {
+                for (let i = 0; i < specs.length; i++) {
+                    const cmp = compareForSort(a.keys[i], b.keys[i], specs[i]);
+                    if (cmp !== 0) return cmp;
+                }
+                return 0;
+            }).map(k => k.r);
+        }
+
+        _compareRows(a, b, orderBy, env) {
+            for (const spec of orderBy) {
+                const expr = typeof spec.field === 'string' ? { type: 'field', name: spec.field } : spec.field;
+                const cmp = compareForSort(this._evaluateExpr(expr, a, env), this._evaluateExpr(expr, b, env), spec);
+                if (cmp !== 0) return cmp;
+            }
+            return 0;
+        }
+
+        // ========================================================================
+        // EXPRESSIONS
+        // ========================================================================
+
+        /**
+         * Read a field: "name" or "alias.name"
+         */
+        _lookup(row, name) {
+            if (name in row.values) return nullable(row.values[name]);
+            const dot = name.indexOf('.');
+            if (dot > 0) {
+                const scope = row.scopes[name.slice(0, dot)];
+                if (scope) return nullable(scope[name.slice(dot + 1)]);
+            }
+            return null;
+        }
+
+        /**
+         * Evaluate an expression against a row
+         * Comparisons involving NULL are unknown (null); WHERE and HAVING
+         * keep only rows whose condition is true.
+         */
+        _evaluateExpr(expr, row, env) {
+            if (expr === null || expr === undefined) return null;
+            if (typeof expr !== 'object' || expr instanceof Date) return expr;
+            if (!expr.type) return this._evaluateConditionObject(expr, row, env);
+
+            const value = e => this._evaluateExpr(e, row, env);
+            const compare = (test) => {
+                const cmp = compareValues(value(expr.left), value(expr.right));
+                return cmp === null ? null : test(cmp);
+            };
+
+            switch (expr.type) {
+                case 'literal':
+                    return nullable(expr.value);
+                case 'field':
+                    return this._lookup(row, expr.name);
+
+                case 'eq': return compare(c => c === 0);
+                case 'ne': return compare(c => c !== 0);
+                case 'gt': return compare(c => c > 0);
+                case 'gte': return compare(c => c >= 0);
+                case 'lt': return compare(c => c < 0);
+                case 'lte': return compare(c => c <= 0);
+
+                case 'like':
+                case 'ilike': {
+                    const v = value(expr.field);
+                    if (v === null) return null;
+                    return likeToRegExp(expr.pattern?.value ?? expr.pattern, expr.type === 'ilike' ? 'i' : '').test(String(v));
+                }
+
+                case 'in':
+                case 'not_in':
+                    return this._in(value(expr.field), expr.values.map(v => value(v)), expr.type === 'not_in');
+                case 'in_subquery':
+                case 'not_in_subquery':
+                    return this._in(value(expr.field), this._subqueryColumn(expr.subquery, env), expr.type === 'not_in_subquery');
+
+                case 'between': {
+                    const v = value(expr.field);
+                    const low = compareValues(v, value(expr.low));
+                    const high = compareValues(v, value(expr.high));
+                    return low === null || high === null ? null : low >= 0 && high <= 0;
+                }
+
+                case 'is_null':
+                    return value(expr.field) === null;
+                case 'is_not_null':
+                    return value(expr.field) !== null;
+
+                case 'and': {
+                    const results = expr.conditions.map(c => value(c));
+                    if (results.some(r => r === false)) return false;
+                    return results.every(r => r === true) ? true : null;
+                }
+                case 'or': {
+                    const results = expr.conditions.map(c => value(c));
+                    if (results.some(r => r === true)) return true;
+                    return results.every(r => r === false) ? false : null;
+                }
+                case 'not': {
+                    const v = value(expr.condition);
+                    return v === null ? null : !v;
+                }
+
+                case 'add':
+                case 'sub':
+                case 'mul':
+                case 'div':
+                case 'mod':
+                    return this._arithmetic(expr.type, value(expr.left), value(expr.right));
+
+                case 'fn': {
+                    const fn = SCALAR_FUNCTIONS[String(expr.name).toUpperCase()];
+                    if (!fn) throw new Error(`Unknown function: ${expr.name}`);
+                    return nullable(fn(...expr.args.map(a => value(a))));
+                }
+
+                case 'case': {
+                    const branch = expr.when.find(w => value(w.condition) === true);
+                    return branch ? value(branch.then) : value(expr.else);
+                }
+
+                case 'agg':
+                    if (!row.members) throw new Error(`${expr.fn} needs GROUP BY or an aggregate query`);
+                    return this._aggregate(expr.fn, expr.field, row.members, env, expr.distinct);
+
+                case 'window':
+                    return nullable(row.windows?.get(expr));
+
+                case 'subquery': {
+                    const [first] = this._subqueryColumn(expr.query, env);
+                    return first ?? null;
+                }
+
+                default:
+                    throw new Error(`Unknown expression type: ${expr.type}`);
+            }
+        }
+
+        /**
+         * { field: value } and { field: { $gt: value } } conditions, with the
+         * operators EOQueryCompiler understands
+         */
+        _evaluateConditionObject(condition, row, env) {
+            const results = Object.entries(condition).map(([field, test]) => {
+                const v = this._lookup(row, field);
+                if (!test || typeof test !== 'object' || Array.isArray(test)) {
+                    const c = compareValues(v, test);
+                    return c === null ? null : c === 0;
+                }
+
+                const checks = [];
+                const cmp = (other, ok) => {
+                    const c = compareValues(v, other);
+                    checks.push(c === null ? null : ok(c));
+                };
+                if (test.$eq !== undefined) cmp(test.$eq, c => c === 0);
+                if (test.$ne !== undefined) cmp(test.$ne, c => c !== 0);
+                if (test.$gt !== undefined) cmp(test.$gt, c => c > 0);
+                if (test.$gte !== undefined) cmp(test.$gte, c => c >= 0);
+                if (test.$lt !== undefined) cmp(test.$lt, c => c < 0);
+                if (test.$lte !== undefined) cmp(test.$lte, c => c <= 0);
+                if (test.$in !== undefined) checks.push(this._in(v, test.$in, false));
+                if (test.$nin !== undefined) checks.push(this._in(v, test.$nin, true));
+                if (test.$like !== undefined) checks.push(v === null ? null : likeToRegExp(test.$like, '').test(String(v)));
+                if (test.$ilike !== undefined) checks.push(v === null ? null : likeToRegExp(test.$ilike, 'i').test(String(v)));
+                if (test.$between !== undefined) {
+                    cmp(test.$between[0], c => c >= 0);
+                    cmp(test.$between[1], c => c <= 0);
+                }
+                if (test.$isNull !== undefined) checks.push((v === null) === test.$isNull);
+
+                return this._evaluateExpr({ type: 'and', conditions: checks.map(c => ({ type: 'literal', value: c })) }, row, env);
+            });
+
+            return this._evaluateExpr({ type: 'and', conditions: results.map(r => ({ type: 'literal', value: r })) }, row, env);
+        }
+
+        /**
+         * IN / NOT IN with SQL's NULL rules
+         */
+        _in(value, list, negate) {
+            if (value === null) return null;
+            if (list.some(item => compareValues(value, nullable(item)) === 0)) return !negate;
+            if (list.some(item => nullable(item) === null)) return null;
+            return negate;
+        }
+
+        _arithmetic(op, a, b) {
+            if (a === null || b === null) return null;
+            const [x, y] = [Number(a), Number(b)];
+            switch (op) {
+                case 'add': return x + y;
+                case 'sub': return x - y;
+                case 'mul': return x * y;
+                case 'div':
+                    if (y === 0) throw new Error('Division by zero');
+                    return x / y;
+                case 'mod':
+                    if (y === 0) throw new Error('Division by zero');
+                    return x % y;
+            }
+            return null;
+        }
+
+        /**
+         * First column of an (uncorrelated) subquery, run once per execution
+         */
+        _subqueryColumn(subquery, env) {
+            if (!env.subqueries.has(subquery)) {
+                const result = this._run(subquery, env);
+                env.subqueries.set(subquery, result.rows.map(r => nullable(Object.values(r.out)[0])));
+            }
+            return env.subqueries.get(subquery);
+        }
+    }
+
+    // ============================================================================
+    // CONVENIENCE FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Execute EOQL against a derivation or derived state (convenience function)
+     */
+    function executeQuery(query, source, options = {}) {
+        return new EOQueryExecutor(source, options).execute(query);
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const exports = {
+        EOQueryExecutor,
+        SCALAR_FUNCTIONS,
+        executeQuery
+    };
+
+    // Export to global scope
+    global.EOQueryExecutor = EOQueryExecutor;
+    global.executeQuery = executeQuery;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exports;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
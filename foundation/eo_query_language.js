@@ -166,7 +166,10 @@
                 anchor: 'Query',            // Base case query
                 recursive: 'Query',         // Recursive step
                 maxDepth: 'number?',        // Iteration limit
-                until: 'Condition?'         // Stop condition
+                until: 'Condition?',        // Stop condition
+                name: 'string?',            // CTE name (default recursive_cte)
+                columns: 'string[]?',       // CTE column list
+                cycle: 'string[]?'          // Key columns for cycle detection
             },
             sql: ['WITH RECURSIVE', 'CONNECT BY', 'START WITH']
         }
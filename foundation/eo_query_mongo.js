@@ -0,0 +1,1935 @@
+/**
+ * EO Query MongoDB Backend
+ * Compiles EOQL to MongoDB aggregation pipelines, and parses pipelines back
+ *
+ * @eo_operator SYN
+ * @eo_layer foundation
+ *
+ * Stages are emitted in SQL's logical clause order, as EOQueryExecutor
+ * evaluates them:
+ * - INS → the collection (CTEs and subqueries are inlined as leading stages)
+ * - CON → $lookup + $unwind (inner, left, cross), $unionWith (UNION [ALL])
+ * - SEG → $match (WHERE, and HAVING after $group), DISTINCT, $skip, $limit
+ * - SYN → $group
+ * - SUP → $setWindowFields
+ * - DES, NUL → $project (or $set next to *), NUL as $ifNull / $cond
+ * - ALT → $sort
+ *
+ * Nulls follow SQL's rules, so the same query returns the same rows here
+ * as in SQL: <> and NOT IN carry a $ne: null guard, NOT is pushed down to
+ * the comparisons it negates, and $lookup leaves out null join keys before
+ * it matches. Read back, an unguarded $ne or $nin becomes "... OR x IS
+ * NULL". Only ordering comparisons inside $expr (shipped > ordered) keep
+ * MongoDB's rule that null sorts below every other value.
+ *
+ * Usage:
+ *   const { collection, pipeline } = toMongo(EOQL.from('orders').where(...));
+ *   const query = parseMongo({ collection: 'orders', pipeline });
+ */
+
+(function(global) {
+    'use strict';
+
+    function getQueryClass() {
+        if (!global.EOQuery) {
+            throw new Error('EOQuery is required for MongoDB pipeline parsing');
+        }
+        return global.EOQuery;
+    }
+
+    // ============================================================================
+    // STAGE AND OPERATOR MAPPINGS
+    // ============================================================================
+
+    /**
+     * Pipeline stages and the EO operators they correspond to
+     */
+    const MONGO_STAGES = {
+        $match: 'SEG',
+        $skip: 'SEG',
+        $limit: 'SEG',
+        $group: 'SYN',
+        $count: 'SYN',
+        $lookup: 'CON',
+        $unwind: 'CON',
+        $unionWith: 'CON',
+        $project: 'DES',
+        $set: 'DES',
+        $addFields: 'DES',
+        $unset: 'DES',
+        $replaceWith: 'DES',
+        $setWindowFields: 'SUP',
+        $sort: 'ALT'
+    };
+
+    const COMPARISONS = { eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+    /**
+     * The same comparison with its operands swapped
+     */
+    const FLIPPED = { eq: 'eq', ne: 'ne', gt: 'lt', gte: 'lte', lt: 'gt', lte: 'gte' };
+
+    const ARITHMETIC = { add: '$add', sub: '$subtract', mul: '$multiply', div: '$divide', mod: '$mod' };
+
+    /**
+     * Aggregates with a direct accumulator (COUNT is built from $sum)
+     */
+    const ACCUMULATORS = { SUM: '$sum', AVG: '$avg', MIN: '$min', MAX: '$max', ARRAY_AGG: '$push' };
+
+    /**
+     * Window functions that number rows rather than read a field
+     */
+    const RANKING = { ROW_NUMBER: '$documentNumber', RANK: '$rank', DENSE_RANK: '$denseRank' };
+
+    /**
+     * Where each stage sits in SQL's clause order; a stage that would have
+     * to run before one already seen can't be part of the same EOQL query
+     */
+    const CLAUSE_ORDER = {
+        $match: 2,
+        $lookup: 2,
+        $group: 3,
+        $count: 3,
+        having: 4,
+        $setWindowFields: 5,
+        distinct: 7,
+        $unionWith: 8,
+        $sort: 9,
+        $skip: 10,
+        $limit: 11
+    };
+
+    // ============================================================================
+    // SCALAR FUNCTIONS (Extensible: name -> (...args) => expression)
+    // ============================================================================
+
+    /**
+     * Functions available to { type: 'fn' } expressions; args are already
+     * aggregation expressions. CONCAT skips NULLs, as EOQueryExecutor's does.
+     */
+    const MONGO_FUNCTIONS = {
+        UPPER: (s) => ({ $toUpper: s }),
+        LOWER: (s) => ({ $toLower: s }),
+        TRIM: (s) => ({ $trim: { input: s } }),
+        LENGTH: (s) => ({ $strLenCP: s }),
+        SUBSTRING: (s, start, length) => ({ $substrCP: [s, { $subtract: [start, 1] }, length ?? { $strLenCP: s }] }),
+        CONCAT: (...args) => ({ $concat: args.map(a => ({ $ifNull: [a, ''] })) }),
+        ABS: (n) => ({ $abs: n }),
+        ROUND: (n, digits = 0) => ({ $round: [n, digits] }),
+        FLOOR: (n) => ({ $floor: n }),
+        CEIL: (n) => ({ $ceil: n }),
+        CEILING: (n) => ({ $ceil: n }),
+        COALESCE: (...args) => ({ $ifNull: args }),
+        IFNULL: (a, b) => ({ $ifNull: [a, b] }),
+        NULLIF: (a, b) => ({ $cond: [{ $eq: [a, b] }, null, a] }),
+        CAST: (value, type) => ({ $convert: { input: value, to: castType(type) } })
+    };
+
+    /**
+     * Aggregation operators read back as EOQL functions
+     */
+    const EXPRESSION_FUNCTIONS = {
+        $toUpper: 'UPPER',
+        $toLower: 'LOWER',
+        $strLenCP: 'LENGTH',
+        $concat: 'CONCAT',
+        $abs: 'ABS',
+        $round: 'ROUND',
+        $floor: 'FLOOR',
+        $ceil: 'CEIL',
+        $ifNull: 'COALESCE'
+    };
+
+    function castType(type) {
+        const t = String(type).toUpperCase();
+        if (['INT', 'INTEGER', 'SMALLINT'].includes(t)) return 'int';
+        if (t === 'BIGINT') return 'long';
+        if (['NUMERIC', 'DECIMAL'].includes(t)) return 'decimal';
+        if (['FLOAT', 'REAL', 'DOUBLE'].includes(t)) return 'double';
+        if (['TEXT', 'VARCHAR', 'CHAR', 'STRING'].includes(t)) return 'string';
+        if (['BOOLEAN', 'BOOL'].includes(t)) return 'bool';
+        throw new Error(`Unsupported CAST type: ${type}`);
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * Output column name for an unaliased select expression
+     * (same naming as EOQueryExecutor)
+     */
+    function columnName(expr) {
+        if (typeof expr === 'string') return expr.split('.').pop();
+        switch (expr.type) {
+            case 'field': return expr.name.split('.').pop();
+            case 'agg': return expr.fn.toLowerCase();
+            case 'fn': return expr.name.toLowerCase();
+            case 'window': return expr.alias || expr.fn.toLowerCase();
+            default: return '?column?';
+        }
+    }
+
+    function field(name) {
+        return { type: 'field', name };
+    }
+
+    /**
+     * A value inside an aggregation expression; strings starting with $
+     * would otherwise be read as field paths
+     */
+    function literal(value) {
+        return typeof value === 'string' && value.startsWith('$') ? { $literal: value } : value;
+    }
+
+    function isOperatorObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+            Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+    }
+
+    /**
+     * 1 for a non-null value, 0 for null or missing (COUNT(field))
+     */
+    function countNonNull(expr) {
+        return { $cond: [{ $eq: [{ $ifNull: [expr, null] }, null] }, 0, 1] };
+    }
+
+    /**
+     * The counted expression of a countNonNull() sum, if that's what it is
+     */
+    function countedExpr(expr) {
+        const cond = expr?.$cond;
+        if (!Array.isArray(cond) || cond[1] !== 0 || cond[2] !== 1) return undefined;
+        const test = cond[0]?.$eq;
+        if (!Array.isArray(test) || test[1] !== null || !Array.isArray(test[0]?.$ifNull)) return undefined;
+        return test[0].$ifNull[0];
+    }
+
+    /**
+     * True when an expression isn't null or missing (IS NOT NULL)
+     */
+    function notNull(expr) {
+        return { $ne: [{ $ifNull: [expr, null] }, null] };
+    }
+
+    /**
+     * The expression a notNull() guard tests, if that's what it is
+     */
+    function notNullExpr(expr) {
+        const test = expr?.$ne;
+        if (!Array.isArray(test) || test[1] !== null || !Array.isArray(test[0]?.$ifNull) || test[0].$ifNull[1] !== null) {
+            return undefined;
+        }
+        return test[0].$ifNull[0];
+    }
+
+    /**
+     * An aggregation test that's false when any operand is null, as SQL's
+     * <>, NOT IN and NOT are; literal operands need no guard
+     */
+    function guarded(test, operands) {
+        const guards = operands
+            .filter(o => typeof o === 'string' ? o.startsWith('$') : isOperatorObject(o) && !('$literal' in o))
+            .map(notNull);
+        return guards.length === 0 ? test : { $and: [test, ...guards] };
+    }
+
+    /**
+     * The test of a guarded() $and, or undefined when it's a plain $and
+     */
+    function guardedTest(args) {
+        const [test, ...guards] = args;
+        let operands;
+        if (Array.isArray(test?.$ne)) {
+            operands = test.$ne;
+        } else if (Array.isArray(test?.$not)) {
+            const inner = test.$not[0];
+            operands = [inner, inner?.$in?.[0], inner?.$regexMatch?.input];
+        }
+        if (!operands || guards.length === 0) return undefined;
+
+        const keys = operands.map(o => JSON.stringify(o));
+        return guards.every(g => notNullExpr(g) !== undefined && keys.includes(JSON.stringify(notNullExpr(g)))) ? test : undefined;
+    }
+
+    /**
+     * Fields of the joined row an $expr join condition compares for
+     * equality with the outer row ({ $eq: ['$$x', '$x'] } → 'x')
+     */
+    function joinKeys(expr) {
+        if (Array.isArray(expr?.$and)) return expr.$and.flatMap(joinKeys);
+        const args = expr?.$eq;
+        if (!Array.isArray(args)) return [];
+
+        const isVariable = (a) => typeof a === 'string' && a.startsWith('$$');
+        const isField = (a) => typeof a === 'string' && a.startsWith('$') && !isVariable(a);
+        if (isField(args[0]) && isVariable(args[1])) return [args[0].slice(1)];
+        if (isField(args[1]) && isVariable(args[0])) return [args[1].slice(1)];
+        return [];
+    }
+
+    /**
+     * A $match of only { key: { $ne: null } } tests on join keys: the
+     * filter that keeps $lookup from pairing null keys
+     */
+    function isKeyFilter(query, keys) {
+        const entries = Object.entries(query || {});
+        return entries.length > 0 && entries.every(([key, test]) =>
+            keys.includes(key) && isOperatorObject(test) && Object.keys(test).length === 1 && test.$ne === null);
+    }
+
+    const NEGATED = {
+        eq: 'ne', ne: 'eq', gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt',
+        in: 'not_in', not_in: 'in', is_null: 'is_not_null', is_not_null: 'is_null'
+    };
+
+    /**
+     * NOT pushed down to the comparisons it covers, which negate the way
+     * SQL's do (NOT (a = 1) is false when a is NULL, like a <> 1). What has
+     * no negation of its own stays a 'not'.
+     */
+    function negate(condition) {
+        const c = condition.type ? condition : typedCondition(condition);
+        switch (c.type) {
+            case 'and':
+            case 'or':
+                return { type: c.type === 'and' ? 'or' : 'and', conditions: c.conditions.map(negate) };
+            case 'not':
+                return c.condition;
+            case 'between':
+                return { type: 'or', conditions: [
+                    { type: 'lt', left: c.field, right: c.low },
+                    { type: 'gt', left: c.field, right: c.high }
+                ] };
+            default:
+                return NEGATED[c.type] ? { ...c, type: NEGATED[c.type] } : { type: 'not', condition: c };
+        }
+    }
+
+    /**
+     * AND queries together, in one object when their fields don't clash
+     * (two $expr or $or entries always do)
+     */
+    function mergeQueries(queries) {
+        const merged = {};
+        for (const query of queries) {
+            for (const [key, test] of Object.entries(query)) {
+                if (!(key in merged)) {
+                    merged[key] = test;
+                } else if (!key.startsWith('$') && isOperatorObject(merged[key]) && isOperatorObject(test) &&
+                    Object.keys(test).every(op => !(op in merged[key]))) {
+                    merged[key] = { ...merged[key], ...test };
+                } else {
+                    return { $and: queries };
+                }
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * { field: value } / { field: { $gt: value } } conditions as typed expressions
+     */
+    function typedCondition(condition) {
+        const conditions = [];
+        for (const [name, test] of Object.entries(condition)) {
+            const left = field(name);
+            if (!isOperatorObject(test)) {
+                conditions.push({ type: 'eq', left, right: test?.type ? test : { type: 'literal', value: test } });
+                continue;
+            }
+            for (const [op, value] of Object.entries(test)) {
+                switch (op) {
+                    case '$eq':
+                    case '$ne':
+                    case '$gt':
+                    case '$gte':
+                    case '$lt':
+                    case '$lte':
+                        conditions.push({ type: op.slice(1), left, right: { type: 'literal', value } });
+                        break;
+                    case '$in':
+                    case '$nin':
+                        conditions.push({ type: op === '$in' ? 'in' : 'not_in', field: left, values: value });
+                        break;
+                    case '$like':
+                    case '$ilike':
+                        conditions.push({ type: op.slice(1), field: left, pattern: value });
+                        break;
+                    case '$between':
+                        conditions.push({ type: 'between', field: left, low: value[0], high: value[1] });
+                        break;
+                    case '$isNull':
+                        conditions.push({ type: value ? 'is_null' : 'is_not_null', field: left });
+                        break;
+                    default:
+                        throw new Error(`Unknown condition operator: ${op}`);
+                }
+            }
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+    }
+
+    /**
+     * LIKE pattern → regular expression ('A%' → '^A', '%son' → 'son$')
+     */
+    function likeToRegex(pattern) {
+        let source = '';
+        for (const ch of String(pattern)) {
+            if (ch === '%') source += '.*';
+            else if (ch === '_') source += '.';
+            else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        source = source.startsWith('.*') ? source.slice(2) : '^' + source;
+        return source.endsWith('.*') && !source.endsWith('\\.*') ? source.slice(0, -2) : source + '$';
+    }
+
+    /**
+     * Regular expression → LIKE pattern, for the regexes likeToRegex writes
+     */
+    function regexToLike(source) {
+        const fail = () => new Error(`Cannot express /${source}/ as a LIKE pattern`);
+        let body = source;
+        const anchoredStart = body.startsWith('^');
+        if (anchoredStart) body = body.slice(1);
+        const anchoredEnd = body.endsWith('$') && !body.endsWith('\\$');
+        if (anchoredEnd) body = body.slice(0, -1);
+
+        let like = anchoredStart ? '' : '%';
+        for (let i = 0; i < body.length; i++) {
+            const ch = body[i];
+            if (ch === '\\' && i + 1 < body.length) {
+                like += body[++i];
+            } else if (ch === '.' && body[i + 1] === '*') {
+                like += '%';
+                i++;
+            } else if (ch === '.') {
+                like += '_';
+            } else if ('*+?^${}()|[]%_'.includes(ch)) {
+                throw fail();
+            } else {
+                like += ch;
+            }
+        }
+        return like + (anchoredEnd ? '' : '%');
+    }
+
+    /**
+     * Window frame bound text ↔ $setWindowFields bound
+     */
+    function frameBound(text) {
+        const bound = text.trim().toUpperCase();
+        if (bound === 'UNBOUNDED PRECEDING' || bound === 'UNBOUNDED FOLLOWING') return 'unbounded';
+        if (bound === 'CURRENT ROW') return 'current';
+        const match = /^(\d+)\s+(PRECEDING|FOLLOWING)$/.exec(bound);
+        if (!match) throw new Error(`Unsupported window frame bound: ${text}`);
+        return match[2] === 'PRECEDING' ? -Number(match[1]) : Number(match[1]);
+    }
+
+    function frameBoundText(bound, upper) {
+        if (bound === 'unbounded') return upper ? 'UNBOUNDED FOLLOWING' : 'UNBOUNDED PRECEDING';
+        if (bound === 'current' || bound === 0) return 'CURRENT ROW';
+        return bound < 0 ? `${-bound} PRECEDING` : `${bound} FOLLOWING`;
+    }
+
+    // ============================================================================
+    // PIPELINE COMPILER
+    // ============================================================================
+
+    /**
+     * EOQueryMongoCompiler - Compiles EOQL to an aggregation pipeline
+     *
+     * Field paths: the FROM alias is dropped ("o.total" → "total"), a
+     * joined row is nested under its alias ("c.name" stays), and after
+     * $group the keys live under _id.
+     */
+    class EOQueryMongoCompiler {
+        /**
+         * Compile EOQL query to a pipeline
+         * @param {EOQuery|Object} query - Query or AST
+         * @returns {Object} { collection, pipeline }
+         */
+        compile(query) {
+            return this._compile(query, {});
+        }
+
+        _compile(query, ctes) {
+            const ast = query.toAST ? query.toAST() : query;
+            const ctx = this._createContext();
+
+            for (const node of ast.pipeline || []) {
+                this._processNode(node, ctx);
+            }
+
+            return this._buildPipeline(ctx, { ...ctes, ...(ast.ctes || {}), ...ctx.ctes });
+        }
+
+        /**
+         * Create compilation context (mirrors EOQueryCompiler's)
+         */
+        _createContext() {
+            return {
+                select: null,
+                from: null,
+                joins: [],
+                where: [],
+                groupBy: [],
+                having: [],
+                orderBy: [],
+                limit: null,
+                offset: null,
+                distinct: false,
+                aggregations: {},
+                windows: [],
+                setOps: [],
+                ctes: {},
+                nullHandling: []
+            };
+        }
+
+        /**
+         * Collect a pipeline node into the context
+         */
+        _processNode(node, ctx) {
+            const { operator, params } = node;
+
+            switch (operator) {
+                case 'INS':
+                    if (params.values || (params.operation && params.operation !== 'select')) {
+                        throw new Error('MongoDB aggregation pipelines only read: use insertMany/updateMany for writes');
+                    }
+                    ctx.from = params.source;
+                    break;
+                case 'DES':
+                    if (params.columns) ctx.select = params.columns;
+                    if (params.alias) {
+                        ctx.select = [...(ctx.select || []), ...Object.entries(params.alias).map(([a, e]) => ({ [a]: e }))];
+                    }
+                    break;
+                case 'SEG':
+                    if (params.distinct) ctx.distinct = params.distinct;
+                    if (params.where) ctx.where.push(params.where);
+                    if (params.groupBy) ctx.groupBy = params.groupBy;
+                    if (params.having) ctx.having.push(params.having);
+                    if (params.limit !== undefined) ctx.limit = params.limit;
+                    if (params.offset !== undefined) ctx.offset = params.offset;
+                    break;
+                case 'CON':
+                    if (['union', 'union_all', 'intersect', 'except'].includes(params.type)) {
+                        ctx.setOps.push(params);
+                    } else {
+                        ctx.joins.push(params);
+                    }
+                    break;
+                case 'ALT':
+                    if (params.orderBy) ctx.orderBy = params.orderBy;
+                    break;
+                case 'SYN':
+                    if (params.aggregations) Object.assign(ctx.aggregations, params.aggregations);
+                    break;
+                case 'SUP':
+                    if (params.cte) Object.assign(ctx.ctes, params.cte);
+                    if (params.window) ctx.windows.push(params.window);
+                    break;
+                case 'NUL':
+                    ctx.nullHandling.push(params);
+                    break;
+                case 'REC':
+                    throw new Error('REC (recursive queries) has no aggregation pipeline equivalent; use $graphLookup');
+            }
+        }
+
+        /**
+         * Emit stages in SQL's logical order: FROM, JOIN, WHERE, GROUP BY,
+         * HAVING, windows, SELECT, DISTINCT, set operations, ORDER BY,
+         * OFFSET/LIMIT
+         */
+        _buildPipeline(ctx, ctes) {
+            if (ctx.from === null) {
+                throw new Error('A MongoDB pipeline needs a source collection (INS)');
+            }
+
+            const source = this._source(ctx.from, ctes);
+            const scope = { base: new Set([source.table, source.alias].filter(Boolean)), group: null };
+            const pipeline = [...source.pipeline];
+
+            for (const join of ctx.joins) {
+                pipeline.push(...this._lookup(join, scope, ctes));
+            }
+
+            for (const condition of ctx.where) {
+                pipeline.push({ $match: this._match(condition, scope) });
+            }
+
+            const lifted = this._lift(ctx);
+            if (lifted.grouped) {
+                pipeline.push(...this._group(ctx, lifted, scope));
+                for (const condition of lifted.having) {
+                    pipeline.push({ $match: this._match(condition, scope) });
+                }
+            }
+
+            if (lifted.windows.length > 0) {
+                pipeline.push(...this._windowStages(lifted.windows, scope));
+            }
+
+            const projection = this._projection(ctx, lifted, scope);
+            const outputs = projection.names;
+            const sortLate = outputs === null || ctx.orderBy.every(spec => outputs.includes(columnName(spec.field || spec)));
+            const sortStages = (pathOf) => ctx.orderBy.length > 0 ? this._sortStages(ctx.orderBy, pathOf) : [];
+
+            if (!sortLate) {
+                pipeline.push(...sortStages(name => this._path(name, scope)));
+            }
+            pipeline.push(...projection.stages);
+
+            if (ctx.distinct) {
+                if (Array.isArray(ctx.distinct) && sortLate) {
+                    // DISTINCT ON keeps the first row of each group in ORDER BY order
+                    pipeline.push(...sortStages(columnName));
+                }
+                pipeline.push(...this._distinctStages(ctx.distinct, projection.excludesId));
+            }
+
+            for (const setOp of ctx.setOps) {
+                if (setOp.type !== 'union' && setOp.type !== 'union_all') {
+                    throw new Error(`${setOp.type.toUpperCase()} has no aggregation pipeline equivalent`);
+                }
+                const other = this._source(setOp.target, ctes);
+                pipeline.push({
+                    $unionWith: other.pipeline.length > 0 ? { coll: other.collection, pipeline: other.pipeline } : other.collection
+                });
+                if (setOp.type === 'union') {
+                    pipeline.push(...this._distinctStages(true, true));
+                }
+            }
+
+            if (sortLate) {
+                pipeline.push(...sortStages(columnName));
+            }
+            if (ctx.offset !== null) pipeline.push({ $skip: ctx.offset });
+            if (ctx.limit !== null) pipeline.push({ $limit: ctx.limit });
+
+            return { collection: source.collection, pipeline };
+        }
+
+        // ========================================================================
+        // SOURCES AND JOINS
+        // ========================================================================
+
+        /**
+         * Collection and leading stages of a FROM/JOIN/UNION source: a
+         * collection, a CTE (inlined) or a subquery
+         */
+        _source(source, ctes) {
+            if (source && typeof source === 'object' && (source.toAST || source.pipeline)) {
+                const { collection, pipeline } = this._compile(source, ctes);
+                return { collection, pipeline, table: null, alias: source.alias || null };
+            }
+
+            const table = typeof source === 'object' ? source.table : source;
+            const alias = (typeof source === 'object' && source.alias) || table;
+
+            if (ctes[table]) {
+                const inner = { ...ctes };
+                delete inner[table];
+                const { collection, pipeline } = this._compile(ctes[table], inner);
+                return { collection, pipeline, table, alias };
+            }
+            return { collection: table, pipeline: [], table, alias };
+        }
+
+        /**
+         * CON joins as $lookup + $unwind, the joined row nested under its alias
+         */
+        _lookup(join, scope, ctes) {
+            const type = join.type || 'inner';
+            if (!['inner', 'left', 'cross'].includes(type)) {
+                throw new Error(`MongoDB $lookup has no ${type} join`);
+            }
+
+            const target = this._source(join.target, ctes);
+            const as = target.alias || target.collection;
+            const lookup = { from: target.collection };
+            const equi = target.pipeline.length === 0 ? this._equiJoin(join, as, scope) : null;
+
+            if (equi) {
+                // A null key would pair with null or missing keys; SQL pairs it with nothing
+                Object.assign(lookup, equi, { pipeline: [{ $match: { [equi.foreignField]: { $ne: null } } }] });
+            } else {
+                const on = join.using
+                    ? { type: 'and', conditions: join.using.map(f => ({ type: 'eq', left: field(f), right: field(`${as}.${f}`) })) }
+                    : join.on;
+                const vars = {};
+                const ref = (name) => {
+                    const [head, ...rest] = name.split('.');
+                    if (head === as && rest.length > 0) return '$' + rest.join('.');
+                    const path = this._path(name, scope);
+                    const variable = /^[a-z]/.test(path) ? path.replace(/[^A-Za-z0-9_]/g, '_') : 'v_' + path.replace(/[^A-Za-z0-9_]/g, '_');
+                    vars[variable] = '$' + path;
+                    return '$$' + variable;
+                };
+                const stages = [...target.pipeline];
+                if (on && type !== 'cross') {
+                    const test = this._expr(on, ref);
+                    const keys = [...new Set(joinKeys(test))];
+                    if (keys.length > 0) {
+                        stages.push({ $match: mergeQueries(keys.map(k => ({ [k]: { $ne: null } }))) });
+                    }
+                    stages.push({ $match: { $expr: test } });
+                }
+                if (Object.keys(vars).length > 0) lookup.let = vars;
+                lookup.pipeline = stages;
+            }
+            lookup.as = as;
+
+            const unwind = type === 'left'
+                ? { $unwind: { path: '$' + as, preserveNullAndEmptyArrays: true } }
+                : { $unwind: '$' + as };
+            return [{ $lookup: lookup }, unwind];
+        }
+
+        /**
+         * localField/foreignField for a single-column equi-join, else null
+         */
+        _equiJoin(join, as, scope) {
+            if (join.using) {
+                return join.using.length === 1
+                    ? { localField: this._path(join.using[0], scope), foreignField: join.using[0] }
+                    : null;
+            }
+
+            const on = join.on;
+            if (on?.type !== 'eq' || on.left?.type !== 'field' || on.right?.type !== 'field') return null;
+
+            const isTarget = (f) => f.name.startsWith(`${as}.`);
+            const [local, foreign] = isTarget(on.right) ? [on.left, on.right] : [on.right, on.left];
+            if (isTarget(local) || !isTarget(foreign)) return null;
+
+            return { localField: this._path(local.name, scope), foreignField: foreign.name.slice(as.length + 1) };
+        }
+
+        /**
+         * Document path of a column
+         */
+        _path(name, scope) {
+            if (scope.group) {
+                const key = columnName(name);
+                return scope.group.keys.includes(key) ? `_id.${key}` : name;
+            }
+            const [head, ...rest] = name.split('.');
+            return rest.length > 0 && scope.base.has(head) ? rest.join('.') : name;
+        }
+
+        _refs(scope) {
+            return (name) => '$' + this._path(name, scope);
+        }
+
+        // ========================================================================
+        // GROUPING AND WINDOWS
+        // ========================================================================
+
+        /**
+         * Pull aggregates and windows out of the select list and HAVING: each
+         * becomes a $group accumulator or $setWindowFields output, and the
+         * expression refers to it by name
+         */
+        _lift(ctx) {
+            const accumulators = [];
+            const windows = [];
+            let counter = 0;
+
+            const addAccumulator = (fn, fieldArg, distinct, name) => {
+                const normalized = typeof fieldArg === 'string' && fieldArg !== '*' ? field(fieldArg) : fieldArg;
+                const key = JSON.stringify([String(fn).toUpperCase(), !!distinct, normalized]);
+                const existing = accumulators.find(a => a.key === key);
+                if (existing) return existing.name;
+                const accumulator = { key, name: name || `_agg${counter++}`, fn: String(fn).toUpperCase(), field: normalized, distinct: !!distinct };
+                accumulators.push(accumulator);
+                return accumulator.name;
+            };
+
+            const addWindow = (spec, name) => {
+                windows.push({ ...spec, name: name || `_win${counter++}` });
+                return windows[windows.length - 1].name;
+            };
+
+            // SYN and SUP first, so the select list and HAVING reuse their names
+            for (const [alias, agg] of Object.entries(ctx.aggregations)) {
+                addAccumulator(agg.fn, agg.field, agg.distinct, alias);
+            }
+            for (const win of ctx.windows) {
+                addWindow({
+                    fn: win.fn,
+                    arg: win.field ? field(win.field) : null,
+                    offset: win.offset ?? 1,
+                    default: win.default,
+                    partitionBy: win.partitionBy,
+                    orderBy: win.orderBy,
+                    frame: win.frame
+                }, win.alias || win.fn.toLowerCase());
+            }
+
+            const rewrite = (expr, name) => {
+                if (Array.isArray(expr)) return expr.map(e => rewrite(e));
+                if (!expr || typeof expr !== 'object' || expr instanceof Date || expr.toAST) return expr;
+                if (expr.type === 'agg') {
+                    return field(addAccumulator(expr.fn, expr.field, expr.distinct, name));
+                }
+                if (expr.type === 'window') {
+                    const args = expr.args || [];
+                    return field(addWindow({
+                        fn: expr.fn,
+                        arg: args[0] || null,
+                        offset: args[1]?.value ?? 1,
+                        default: args[2]?.value,
+                        partitionBy: expr.partitionBy,
+                        orderBy: expr.orderBy,
+                        frame: expr.frame
+                    }, name));
+                }
+                return Object.fromEntries(Object.entries(expr).map(([k, v]) => [k, rewrite(v)]));
+            };
+
+            const select = ctx.select && ctx.select.map(column => {
+                if (typeof column === 'string') return column;
+                if (column.type) return rewrite(column, columnName(column));
+                const [alias, expr] = Object.entries(column)[0];
+                return { [alias]: rewrite(expr, alias) };
+            });
+            const having = ctx.having.map(condition => rewrite(condition));
+
+            return {
+                select,
+                having,
+                accumulators,
+                windows,
+                aggregationNames: Object.keys(ctx.aggregations),
+                windowNames: ctx.windows.map(w => w.alias || w.fn.toLowerCase()),
+                grouped: ctx.groupBy.length > 0 || accumulators.length > 0 || having.length > 0
+            };
+        }
+
+        _group(ctx, lifted, scope) {
+            const refs = this._refs(scope);
+            const group = {
+                _id: ctx.groupBy.length === 0 ? null : Object.fromEntries(ctx.groupBy.map(f =>
+                    [columnName(f), this._expr(typeof f === 'string' ? field(f) : f, refs)]))
+            };
+
+            const sizes = {};
+            for (const accumulator of lifted.accumulators) {
+                group[accumulator.name] = this._accumulator(accumulator, refs);
+                if (accumulator.distinct) {
+                    // COUNT(DISTINCT x) collects the values, then counts the non-null ones
+                    sizes[accumulator.name] = { $size: { $setDifference: ['$' + accumulator.name, [null]] } };
+                }
+            }
+
+            scope.group = { keys: ctx.groupBy.map(columnName) };
+
+            const stages = [{ $group: group }];
+            if (Object.keys(sizes).length > 0) stages.push({ $set: sizes });
+            return stages;
+        }
+
+        _accumulator(accumulator, refs) {
+            const { fn, distinct } = accumulator;
+            const arg = accumulator.field === '*' ? null : this._expr(accumulator.field, refs);
+
+            if (fn === 'COUNT') {
+                if (distinct) return { $addToSet: arg };
+                return arg === null ? { $sum: 1 } : { $sum: countNonNull(arg) };
+            }
+            if (distinct) {
+                throw new Error(`${fn}(DISTINCT) has no MongoDB accumulator`);
+            }
+            if (!ACCUMULATORS[fn]) {
+                throw new Error(`${fn} has no MongoDB accumulator`);
+            }
+            return { [ACCUMULATORS[fn]]: arg };
+        }
+
+        /**
+         * One $setWindowFields stage per partitioning and ordering
+         */
+        _windowStages(windows, scope) {
+            const refs = this._refs(scope);
+            const stages = new Map();
+
+            for (const spec of windows) {
+                const partitionBy = this._partitionBy(spec.partitionBy || [], refs);
+                const sortBy = this._sortBy(spec.orderBy || [], scope);
+                const key = JSON.stringify([partitionBy, sortBy]);
+
+                if (!stages.has(key)) {
+                    const stage = {};
+                    if (partitionBy !== undefined) stage.partitionBy = partitionBy;
+                    if (sortBy !== undefined) stage.sortBy = sortBy;
+                    stage.output = {};
+                    stages.set(key, stage);
+                }
+                stages.get(key).output[spec.name] = this._windowOutput(spec, refs);
+            }
+
+            return [...stages.values()].map(stage => ({ $setWindowFields: stage }));
+        }
+
+        _partitionBy(fields, refs) {
+            if (fields.length === 0) return undefined;
+            const exprs = fields.map(f => this._expr(typeof f === 'string' ? field(f) : f, refs));
+            return exprs.length === 1 ? exprs[0] : Object.fromEntries(fields.map((f, i) => [columnName(f), exprs[i]]));
+        }
+
+        _sortBy(orderBy, scope) {
+            if (orderBy.length === 0) return undefined;
+            return Object.fromEntries(orderBy.map(spec => {
+                const name = typeof spec === 'string' ? spec : spec.field;
+                return [this._path(name, scope), String(spec.direction).toLowerCase() === 'desc' ? -1 : 1];
+            }));
+        }
+
+        _windowOutput(spec, refs) {
+            const fn = String(spec.fn).toUpperCase();
+            const ordered = (spec.orderBy || []).length > 0;
+
+            if (RANKING[fn] || fn === 'LAG' || fn === 'LEAD') {
+                if (!ordered) throw new Error(`${fn} needs an ORDER BY in MongoDB`);
+            }
+            if (RANKING[fn]) {
+                return { [RANKING[fn]]: {} };
+            }
+
+            const arg = spec.arg ? this._expr(spec.arg, refs) : null;
+            if (fn === 'LAG' || fn === 'LEAD') {
+                const shift = { output: arg, by: fn === 'LAG' ? -spec.offset : spec.offset };
+                if (spec.default !== undefined && spec.default !== null) shift.default = spec.default;
+                return { $shift: shift };
+            }
+
+            let output;
+            if (fn === 'COUNT') {
+                output = arg === null ? { $count: {} } : { $sum: countNonNull(arg) };
+            } else if (fn === 'FIRST_VALUE' || fn === 'LAST_VALUE') {
+                output = { [fn === 'FIRST_VALUE' ? '$first' : '$last']: arg };
+            } else if (ACCUMULATORS[fn]) {
+                output = { [ACCUMULATORS[fn]]: arg };
+            } else {
+                throw new Error(`Unknown window function: ${spec.fn}`);
+            }
+
+            const window = this._frame(spec.frame, ordered);
+            if (window) output.window = window;
+            return output;
+        }
+
+        /**
+         * SQL frame → window bounds. Without one, an ordered window runs from
+         * the partition start to the current row (counted in documents, so
+         * rows tied on the sort key aren't peers as they are in SQL).
+         */
+        _frame(frame, ordered) {
+            if (!frame) return ordered ? { documents: ['unbounded', 'current'] } : null;
+
+            const match = /^(ROWS|RANGE)\s+BETWEEN\s+(.+?)\s+AND\s+(.+)$/i.exec(frame.trim());
+            if (!match) throw new Error(`Unsupported window frame: ${frame}`);
+            const unit = match[1].toUpperCase() === 'ROWS' ? 'documents' : 'range';
+            return { [unit]: [frameBound(match[2]), frameBound(match[3])] };
+        }
+
+        // ========================================================================
+        // PROJECTION, DISTINCT, ORDERING
+        // ========================================================================
+
+        /**
+         * DES and NUL as $project, or as $set when the row is kept whole (*)
+         * @returns {Object} { stages, names (null: every field passes), excludesId }
+         */
+        _projection(ctx, lifted, scope) {
+            const refs = this._refs(scope);
+            const columns = [];
+            let star = lifted.select === null;
+
+            for (const column of lifted.select || []) {
+                if (column === '*') {
+                    star = true;
+                } else if (typeof column === 'string' || column.type) {
+                    const name = columnName(column);
+                    columns.push({ name, value: this._projectValue(typeof column === 'string' ? field(column) : column, name, scope) });
+                } else {
+                    const [alias, expr] = Object.entries(column)[0];
+                    columns.push({ name: alias, value: this._projectValue(typeof expr === 'string' ? field(expr) : expr, alias, scope) });
+                }
+            }
+
+            if (lifted.grouped && star) {
+                // After $group the row is its keys and aggregates
+                scope.group.keys.forEach(key => columns.push({ name: key, value: `$_id.${key}` }));
+                star = false;
+            }
+            if (!star) {
+                // Aggregations and windows named through SYN and SUP show up next to the select list
+                for (const name of [...lifted.aggregationNames, ...lifted.windowNames]) {
+                    if (!columns.some(c => c.name === name)) columns.push({ name, value: true });
+                }
+            }
+
+            for (const params of ctx.nullHandling) {
+                this._applyNullHandling(columns, params, star, refs);
+            }
+
+            if (star) {
+                const computed = columns.filter(c => c.value !== true);
+                return {
+                    stages: computed.length > 0 ? [{ $set: Object.fromEntries(computed.map(c => [c.name, c.value])) }] : [],
+                    names: null,
+                    excludesId: false
+                };
+            }
+
+            const project = {};
+            if (!columns.some(c => c.name === '_id')) project._id = 0;
+            columns.forEach(c => { project[c.name] = c.value === true ? 1 : c.value; });
+            return { stages: [{ $project: project }], names: columns.map(c => c.name), excludesId: true };
+        }
+
+        /**
+         * true to keep a field as it is, else the expression ($literal for
+         * constants, which $project would read as inclusion flags)
+         */
+        _projectValue(expr, name, scope) {
+            if (expr.type === 'field' && this._path(expr.name, scope) === name) {
+                return true;
+            }
+            const value = this._expr(expr, this._refs(scope));
+            if (value !== null && typeof value === 'object') return value;
+            return typeof value === 'string' && value.startsWith('$') ? value : { $literal: value };
+        }
+
+        /**
+         * NUL on the output columns: NULLIF blanks a value, DEFAULT fills a
+         * NULL, COALESCE fills the first listed field (or alias) from the
+         * ones after it. Next to * the handled field is overwritten in place.
+         */
+        _applyNullHandling(columns, params, star, refs) {
+            const place = (name, value) => {
+                const index = columns.findIndex(c => c.name === name);
+                if (index >= 0) {
+                    columns[index] = { name, value };
+                } else {
+                    columns.push({ name, value });
+                }
+            };
+
+            if (params.coalesce) {
+                const target = params.alias || columnName(params.coalesce[0]);
+                place(target, { $ifNull: params.coalesce.map(f => this._expr(typeof f === 'string' ? field(f) : f, refs)) });
+                return;
+            }
+
+            if (!params.field) return;
+            const name = columnName(params.field);
+            const column = columns.find(c => c.name === name);
+            if (!column && !star) return;
+
+            let value = column && column.value !== true ? column.value : refs(params.field);
+            if ('nullIf' in params) {
+                value = { $cond: [{ $eq: [value, literal(params.nullIf)] }, null, value] };
+            }
+            if ('default' in params) {
+                value = { $ifNull: [value, literal(params.default)] };
+            }
+            place(name, value);
+        }
+
+        /**
+         * DISTINCT: group on the whole row; DISTINCT ON: keep each group's first row
+         */
+        _distinctStages(distinct, excludesId) {
+            if (Array.isArray(distinct)) {
+                return [
+                    { $group: { _id: Object.fromEntries(distinct.map(f => [columnName(f), '$' + columnName(f)])), doc: { $first: '$$ROOT' } } },
+                    { $replaceWith: '$doc' }
+                ];
+            }
+            return [
+                ...(excludesId ? [] : [{ $unset: '_id' }]),
+                { $group: { _id: '$$ROOT' } },
+                { $replaceWith: '$_id' }
+            ];
+        }
+
+        /**
+         * $sort puts null and missing values first when ascending; NULLS LAST
+         * (or NULLS FIRST descending) sorts on a helper flag first
+         */
+        _sortStages(orderBy, pathOf) {
+            const sort = {};
+            const helpers = {};
+
+            for (const spec of orderBy) {
+                const path = pathOf(typeof spec === 'string' ? spec : spec.field);
+                const desc = String(spec.direction).toLowerCase() === 'desc';
+                if ((spec.nullsLast && !desc) || (spec.nullsFirst && desc)) {
+                    const helper = `_null_${path.replace(/\./g, '_')}`;
+                    helpers[helper] = { $eq: [{ $ifNull: ['$' + path, null] }, null] };
+                    sort[helper] = desc ? -1 : 1;
+                }
+                sort[path] = desc ? -1 : 1;
+            }
+
+            if (Object.keys(helpers).length === 0) return [{ $sort: sort }];
+            return [{ $set: helpers }, { $sort: sort }, { $unset: Object.keys(helpers) }];
+        }
+
+        // ========================================================================
+        // CONDITIONS AND EXPRESSIONS
+        // ========================================================================
+
+        /**
+         * A condition as a $match query; what the query language can't say
+         * goes through $expr
+         */
+        _match(condition, scope) {
+            if (!condition.type) {
+                return this._match(typedCondition(condition), scope);
+            }
+
+            const pathOf = (e) => e?.type === 'field' ? this._path(e.name, scope) : null;
+            const isValue = (e) => e?.type === 'literal' || e === null || typeof e !== 'object' || e instanceof Date;
+            const valueOf = (e) => e?.type === 'literal' ? e.value : e;
+            const values = (list) => list.every(isValue) ? list.map(valueOf) : null;
+            const expr = () => ({ $expr: this._expr(condition, this._refs(scope)) });
+
+            switch (condition.type) {
+                case 'eq':
+                case 'ne':
+                case 'gt':
+                case 'gte':
+                case 'lt':
+                case 'lte': {
+                    let { left, right, type } = condition;
+                    if (!pathOf(left) && pathOf(right)) {
+                        [left, right, type] = [right, left, FLIPPED[type]];
+                    }
+                    if (!pathOf(left) || !isValue(right)) return expr();
+                    const value = valueOf(right);
+                    if (type === 'ne' && value !== null) {
+                        // $ne alone would also match null or missing fields
+                        return { [pathOf(left)]: { $nin: [value], $ne: null } };
+                    }
+                    return { [pathOf(left)]: type === 'eq' && !isOperatorObject(value) ? value : { [COMPARISONS[type]]: value } };
+                }
+
+                case 'like':
+                case 'ilike': {
+                    if (!pathOf(condition.field)) return expr();
+                    const test = { $regex: likeToRegex(condition.pattern?.value ?? condition.pattern) };
+                    if (condition.type === 'ilike') test.$options = 'i';
+                    return { [pathOf(condition.field)]: test };
+                }
+
+                case 'in':
+                case 'not_in': {
+                    const list = values(condition.values);
+                    if (!pathOf(condition.field) || !list) return expr();
+                    return { [pathOf(condition.field)]: condition.type === 'in' ? { $in: list } : { $nin: list, $ne: null } };
+                }
+
+                case 'between': {
+                    const bounds = values([condition.low, condition.high]);
+                    if (!pathOf(condition.field) || !bounds) return expr();
+                    return { [pathOf(condition.field)]: { $gte: bounds[0], $lte: bounds[1] } };
+                }
+
+                case 'is_null':
+                case 'is_not_null':
+                    if (!pathOf(condition.field)) return expr();
+                    return { [pathOf(condition.field)]: condition.type === 'is_null' ? null : { $ne: null } };
+
+                case 'and':
+                    return mergeQueries(condition.conditions.map(c => this._match(c, scope)));
+                case 'or':
+                    return { $or: condition.conditions.map(c => this._match(c, scope)) };
+                case 'not': {
+                    const negated = negate(condition.condition);
+                    if (negated.type !== 'not') return this._match(negated, scope);
+
+                    const inner = negated.condition;
+                    if ((inner.type === 'like' || inner.type === 'ilike') && pathOf(inner.field)) {
+                        const [[path, test]] = Object.entries(this._match(inner, scope));
+                        return { [path]: { $not: test, $ne: null } };
+                    }
+                    return expr();
+                }
+
+                default:
+                    return expr();
+            }
+        }
+
+        /**
+         * An expression as an aggregation expression
+         * @param {Function} ref - column name → field path ('$x') or variable ('$$x')
+         */
+        _expr(expr, ref) {
+            if (expr === null || expr === undefined) return null;
+            if (typeof expr !== 'object' || expr instanceof Date) return literal(expr);
+            if (!expr.type) return this._expr(typedCondition(expr), ref);
+
+            const value = (e) => this._expr(e, ref);
+
+            switch (expr.type) {
+                case 'literal':
+                    return literal(expr.value);
+                case 'field':
+                    return ref(expr.name);
+
+                case 'ne': {
+                    const operands = [value(expr.left), value(expr.right)];
+                    return guarded({ $ne: operands }, operands);
+                }
+                case 'eq':
+                case 'gt':
+                case 'gte':
+                case 'lt':
+                case 'lte':
+                    return { [COMPARISONS[expr.type]]: [value(expr.left), value(expr.right)] };
+
+                case 'like':
+                case 'ilike': {
+                    const match = { input: value(expr.field), regex: likeToRegex(expr.pattern?.value ?? expr.pattern) };
+                    if (expr.type === 'ilike') match.options = 'i';
+                    return { $regexMatch: match };
+                }
+
+                case 'in':
+                    return { $in: [value(expr.field), expr.values.map(value)] };
+                case 'not_in': {
+                    const v = value(expr.field);
+                    return guarded({ $not: [{ $in: [v, expr.values.map(value)] }] }, [v]);
+                }
+
+                case 'between': {
+                    const v = value(expr.field);
+                    return { $and: [{ $gte: [v, value(expr.low)] }, { $lte: [v, value(expr.high)] }] };
+                }
+
+                case 'is_null':
+                    return { $eq: [{ $ifNull: [value(expr.field), null] }, null] };
+                case 'is_not_null':
+                    return { $ne: [{ $ifNull: [value(expr.field), null] }, null] };
+
+                case 'and':
+                case 'or':
+                    return { [`$${expr.type}`]: expr.conditions.map(value) };
+                case 'not': {
+                    const negated = negate(expr.condition);
+                    if (negated.type !== 'not') return value(negated);
+
+                    // NOT LIKE is false for a null input; NOT of anything else for a null result
+                    const inner = negated.condition;
+                    const test = value(inner);
+                    const operand = inner.type === 'like' || inner.type === 'ilike' ? test.$regexMatch.input : test;
+                    return guarded({ $not: [test] }, [operand]);
+                }
+
+                case 'add':
+                case 'sub':
+                case 'mul':
+                case 'div':
+                case 'mod':
+                    return { [ARITHMETIC[expr.type]]: [value(expr.left), value(expr.right)] };
+
+                case 'fn': {
+                    const fn = MONGO_FUNCTIONS[String(expr.name).toUpperCase()];
+                    if (!fn) throw new Error(`Function ${expr.name} has no MongoDB equivalent`);
+                    return fn(...expr.args.map(value));
+                }
+
+                case 'case':
+                    return {
+                        $switch: {
+                            branches: expr.when.map(w => ({ case: value(w.condition), then: value(w.then) })),
+                            default: value(expr.else ?? null)
+                        }
+                    };
+
+                case 'agg':
+                case 'window':
+                    throw new Error(`${expr.fn} is only allowed in the select list or HAVING`);
+
+                default:
+                    throw new Error(`Expression type ${expr.type} has no MongoDB equivalent`);
+            }
+        }
+    }
+
+    // ============================================================================
+    // PIPELINE PARSER
+    // ============================================================================
+
+    /**
+     * EOQueryMongoParser - Reads an aggregation pipeline back into EOQL
+     *
+     * Accepts the stages EOQueryMongoCompiler writes, in an order SQL's
+     * clauses can express. Computed fields are inlined where they are used,
+     * aggregates land in the select list (as parseSQL puts them) and window
+     * outputs become SUP windows.
+     */
+    class EOQueryMongoParser {
+        /**
+         * Parse a pipeline into an EOQuery
+         * @param {Object|Array|string} input - { collection, pipeline }, a bare pipeline, or either as JSON
+         * @param {Object} options - { collection } for a bare pipeline
+         * @returns {EOQuery}
+         */
+        parse(input, options = {}) {
+            const data = typeof input === 'string' ? JSON.parse(input) : input;
+            const pipeline = Array.isArray(data) ? data : data?.pipeline;
+            const collection = (Array.isArray(data) ? null : data?.collection) || options.collection;
+
+            if (!Array.isArray(pipeline)) {
+                throw new Error('Expected a MongoDB pipeline (an array of stages)');
+            }
+            if (!collection) {
+                throw new Error('A bare pipeline needs its collection: parseMongo(pipeline, { collection })');
+            }
+
+            const query = new (getQueryClass())();
+            query._addOp('INS', { source: collection });
+
+            const state = {
+                rank: 0,
+                last: null,
+                group: null,          // { keys: { key: field }, single, accumulators }
+                aggregated: false,
+                computed: {},         // field name → EOQL expression it stands for
+                columns: null,
+                windows: new Set(),
+                nullHelpers: new Set(),
+                lastUnion: null
+            };
+
+            for (let i = 0; i < pipeline.length; i++) {
+                i = this._parseStage(pipeline, i, query, state);
+            }
+
+            const columns = state.columns || (state.group ? this._groupColumns(state) : null);
+            if (columns) {
+                query._addOp('DES', { columns });
+            }
+            return query;
+        }
+
+        /**
+         * Parse the stage at i (and any it pairs with)
+         * @returns {number} Index of the last stage consumed
+         */
+        _parseStage(stages, i, query, state) {
+            const stage = stages[i];
+            const keys = Object.keys(stage || {});
+            if (keys.length !== 1) {
+                throw new Error(`Stage ${i + 1} should have exactly one operator`);
+            }
+            const name = keys[0];
+            const spec = stage[name];
+            if (!MONGO_STAGES[name]) {
+                throw new Error(`Unsupported MongoDB stage: ${name}`);
+            }
+
+            const refs = this._refs(state);
+
+            switch (name) {
+                case '$match':
+                    if (state.aggregated) {
+                        this._advance('having', '$match', state);
+                        query._addOp('SEG', { having: this._condition(spec, refs) });
+                    } else {
+                        this._advance('$match', '$match', state);
+                        query._addOp('SEG', { where: this._condition(spec, refs) });
+                    }
+                    return i;
+
+                case '$lookup': {
+                    this._advance('$lookup', '$lookup', state);
+                    const unwind = stages[i + 1]?.$unwind;
+                    const unwindPath = typeof unwind === 'string' ? unwind : unwind?.path;
+                    if (unwindPath !== '$' + spec.as) {
+                        throw new Error(`$lookup into "${spec.as}" needs an $unwind of it to be a join`);
+                    }
+                    const type = typeof unwind === 'object' && unwind.preserveNullAndEmptyArrays ? 'left' : 'inner';
+                    query._addOp('CON', this._join(spec, type, state));
+                    return i + 1;
+                }
+
+                case '$group':
+                    return this._parseGroup(stages, i, query, state);
+
+                case '$count':
+                    this._advance('$count', '$count', state);
+                    state.group = { keys: {}, single: null, accumulators: [spec] };
+                    state.aggregated = true;
+                    state.computed = { [spec]: { type: 'agg', fn: 'COUNT', field: '*' } };
+                    return i;
+
+                case '$setWindowFields':
+                    this._advance('$setWindowFields', '$setWindowFields', state);
+                    this._parseWindows(spec, query, state);
+                    return i;
+
+                case '$project':
+                    this._parseProjection(spec, state);
+                    return i;
+
+                case '$set':
+                case '$addFields':
+                    if (Object.keys(spec).every(k => k.startsWith('_null_')) && stages[i + 1]?.$sort) {
+                        Object.keys(spec).forEach(k => state.nullHelpers.add(k));
+                        return i;
+                    }
+                    this._parseSet(spec, state);
+                    return i;
+
+                case '$unset': {
+                    const fields = [].concat(spec);
+                    if (!fields.every(f => f === '_id' || state.nullHelpers.has(f))) {
+                        throw new Error(`$unset of ${fields.join(', ')} needs the collection's schema; $project the fields to keep instead`);
+                    }
+                    return i;
+                }
+
+                case '$unionWith': {
+                    this._advance('$unionWith', '$unionWith', state);
+                    const target = typeof spec === 'string'
+                        ? spec
+                        : this.parse({ collection: spec.coll, pipeline: spec.pipeline || [] });
+                    state.lastUnion = { target, type: 'union_all' };
+                    query._addOp('CON', state.lastUnion);
+                    return i;
+                }
+
+                case '$sort':
+                    this._advance('$sort', '$sort', state);
+                    query._addOp('ALT', { orderBy: this._orderBy(spec, state) });
+                    return i;
+
+                case '$skip':
+                    this._advance('$skip', '$skip', state);
+                    query._addOp('SEG', { offset: spec });
+                    return i;
+
+                case '$limit':
+                    this._advance('$limit', '$limit', state);
+                    query._addOp('SEG', { limit: spec });
+                    return i;
+
+                default:
+                    throw new Error(`${name} only follows $group in pipelines EOQL can read`);
+            }
+        }
+
+        /**
+         * Check a stage against SQL's clause order
+         */
+        _advance(clause, label, state) {
+            const rank = CLAUSE_ORDER[clause];
+            if (rank < state.rank) {
+                throw new Error(`${label} after ${state.last} can't be expressed as one EOQL query`);
+            }
+            // ORDER BY can sit anywhere before OFFSET/LIMIT
+            if (clause !== '$sort') {
+                state.rank = rank;
+                state.last = label;
+            }
+        }
+
+        // ========================================================================
+        // STAGES
+        // ========================================================================
+
+        _join(spec, type, state) {
+            const as = spec.as;
+            const target = { table: spec.from, alias: as };
+
+            const stages = spec.pipeline || [];
+            if (stages.some(s => !s.$match)) {
+                throw new Error('$lookup pipelines with stages other than $match have no EOQL equivalent');
+            }
+
+            // Inside the lookup, $x is the joined row's field and $$x a variable from let
+            const vars = spec.let || {};
+            const outer = this._refs(state);
+            const ref = (path) => {
+                if (!path.startsWith('$')) return field(`${as}.${path}`);
+                const bound = vars[path.slice(1)];
+                if (typeof bound !== 'string' || !bound.startsWith('$')) {
+                    throw new Error(`$lookup variable $${path} must be bound to a field`);
+                }
+                return outer(bound.slice(1));
+            };
+
+            // SQL never pairs null keys, so the filter that stops $lookup doing so isn't part of ON
+            const keys = spec.localField
+                ? [spec.foreignField]
+                : stages.flatMap(s => joinKeys(s.$match.$expr));
+            const conditions = stages
+                .filter(s => !isKeyFilter(s.$match, keys))
+                .map(s => this._condition(s.$match, ref));
+            if (spec.localField) {
+                conditions.unshift({ type: 'eq', left: outer(spec.localField), right: field(`${as}.${spec.foreignField}`) });
+            }
+
+            if (conditions.length === 0) {
+                return type === 'inner' ? { target, type: 'cross' } : { target, on: { type: 'literal', value: true }, type };
+            }
+            return { target, on: conditions.length === 1 ? conditions[0] : { type: 'and', conditions }, type };
+        }
+
+        _parseGroup(stages, i, query, state) {
+            const spec = stages[i].$group;
+            const next = stages[i + 1];
+            const otherKeys = Object.keys(spec).filter(k => k !== '_id');
+
+            // DISTINCT: { $group: { _id: '$$ROOT' } }, { $replaceWith: '$_id' }
+            if (spec._id === '$$ROOT' && otherKeys.length === 0 && next?.$replaceWith === '$_id') {
+                if (state.lastUnion && state.last === '$unionWith') {
+                    // Deduplicating right after $unionWith makes it a UNION
+                    state.lastUnion.type = 'union';
+                } else {
+                    this._advance('distinct', 'DISTINCT', state);
+                    query._addOp('SEG', { distinct: true });
+                }
+                return i + 1;
+            }
+
+            // DISTINCT ON: { _id: { ... }, doc: { $first: '$$ROOT' } }, { $replaceWith: '$doc' }
+            if (otherKeys.length === 1 && spec[otherKeys[0]]?.$first === '$$ROOT' && next?.$replaceWith === '$' + otherKeys[0]) {
+                this._advance('distinct', 'DISTINCT ON', state);
+                query._addOp('SEG', { distinct: Object.values(spec._id || {}).map(p => this._name(p, state)) });
+                return i + 1;
+            }
+
+            if (state.aggregated) {
+                throw new Error('A $group of grouped rows can\'t be expressed as one EOQL query');
+            }
+            this._advance('$group', '$group', state);
+
+            const refs = this._refs(state);
+            const keys = {};
+            let single = null;
+            if (typeof spec._id === 'string') {
+                single = this._name(spec._id, state);
+            } else if (spec._id && typeof spec._id === 'object') {
+                for (const [key, path] of Object.entries(spec._id)) {
+                    if (typeof path !== 'string' || !path.startsWith('$')) {
+                        throw new Error(`Group key ${key} must be a field path`);
+                    }
+                    keys[key] = this._name(path, state);
+                }
+            } else if (spec._id !== null) {
+                throw new Error('$group _id must be null, a field path or an object of field paths');
+            }
+
+            const groupBy = single ? [single] : Object.values(keys);
+            if (groupBy.length > 0) {
+                query._addOp('SEG', { groupBy });
+            }
+
+            // COUNT(DISTINCT x) is $addToSet sized by the $set that follows
+            const sizes = next?.$set || {};
+            const computed = {};
+            for (const name of otherKeys) {
+                const accumulator = spec[name];
+                if (accumulator?.$addToSet !== undefined) {
+                    if (!sizes[name]?.$size) {
+                        throw new Error(`$addToSet in ${name} is only read as COUNT(DISTINCT)`);
+                    }
+                    computed[name] = { type: 'agg', fn: 'COUNT', field: this._expression(accumulator.$addToSet, refs), distinct: true };
+                } else {
+                    computed[name] = this._aggregate(accumulator, refs);
+                }
+            }
+
+            state.group = { keys, single, accumulators: otherKeys };
+            state.aggregated = true;
+            state.computed = computed;
+            state.columns = null;
+            return Object.keys(sizes).length > 0 && Object.keys(sizes).every(k => computed[k]?.distinct) ? i + 1 : i;
+        }
+
+        _aggregate(accumulator, refs) {
+            const ops = Object.keys(accumulator || {});
+            if (ops.length !== 1) {
+                throw new Error(`Expected one accumulator, found ${JSON.stringify(accumulator)}`);
+            }
+            const op = ops[0];
+            const arg = accumulator[op];
+
+            if (op === '$sum' && arg === 1) {
+                return { type: 'agg', fn: 'COUNT', field: '*' };
+            }
+            if (op === '$sum' && countedExpr(arg) !== undefined) {
+                return { type: 'agg', fn: 'COUNT', field: this._expression(countedExpr(arg), refs) };
+            }
+            const fn = Object.keys(ACCUMULATORS).find(k => ACCUMULATORS[k] === op);
+            if (!fn) {
+                throw new Error(`Unsupported accumulator: ${op}`);
+            }
+            return { type: 'agg', fn, field: this._expression(arg, refs) };
+        }
+
+        /**
+         * Aggregates and keys of a $group nobody projected
+         */
+        _groupColumns(state) {
+            const keys = state.group.single ? [state.group.single] : Object.values(state.group.keys);
+            return [...keys, ...state.group.accumulators.map(name => ({ [name]: state.computed[name] }))];
+        }
+
+        _parseWindows(spec, query, state) {
+            const refs = this._refs(state);
+            const partitionBy = spec.partitionBy === undefined ? undefined
+                : typeof spec.partitionBy === 'string'
+                    ? [this._name(spec.partitionBy, state)]
+                    : Object.values(spec.partitionBy).map(p => this._name(p, state));
+            const orderBy = spec.sortBy ? this._orderBy(spec.sortBy, state) : undefined;
+
+            for (const [alias, output] of Object.entries(spec.output || {})) {
+                const { window, ...rest } = output;
+                const op = Object.keys(rest)[0];
+                const arg = rest[op];
+                const win = { fn: null };
+                const fieldOf = (e) => {
+                    const expr = this._expression(e, refs);
+                    if (expr.type !== 'field') throw new Error(`Window ${alias} must read a field`);
+                    return expr.name;
+                };
+
+                const ranking = Object.keys(RANKING).find(k => RANKING[k] === op);
+                if (ranking) {
+                    win.fn = ranking;
+                } else if (op === '$shift') {
+                    win.fn = arg.by < 0 ? 'LAG' : 'LEAD';
+                    win.field = fieldOf(arg.output);
+                    win.offset = Math.abs(arg.by);
+                    if (arg.default !== undefined) win.default = arg.default;
+                } else if (op === '$count') {
+                    win.fn = 'COUNT';
+                } else if (op === '$sum' && countedExpr(arg) !== undefined) {
+                    win.fn = 'COUNT';
+                    win.field = fieldOf(countedExpr(arg));
+                } else if (op === '$first' || op === '$last') {
+                    win.fn = op === '$first' ? 'FIRST_VALUE' : 'LAST_VALUE';
+                    win.field = fieldOf(arg);
+                } else {
+                    win.fn = Object.keys(ACCUMULATORS).find(k => ACCUMULATORS[k] === op);
+                    if (!win.fn) throw new Error(`Unsupported window operator: ${op}`);
+                    win.field = fieldOf(arg);
+                }
+
+                if (partitionBy) win.partitionBy = partitionBy;
+                if (orderBy) win.orderBy = orderBy;
+                const frame = this._frameText(window, !!orderBy);
+                if (frame) win.frame = frame;
+                win.alias = alias;
+
+                query._addOp('SUP', { window: win });
+                state.windows.add(alias);
+            }
+        }
+
+        /**
+         * Window bounds → SQL frame text; null for SQL's default frame
+         */
+        _frameText(window, ordered) {
+            if (!window) return null;
+            const unit = window.documents ? 'documents' : 'range';
+            const [lower, upper] = window[unit] || [];
+            if (ordered && unit === 'documents' && lower === 'unbounded' && upper === 'current') return null;
+            return `${unit === 'documents' ? 'ROWS' : 'RANGE'} BETWEEN ${frameBoundText(lower, false)} AND ${frameBoundText(upper, true)}`;
+        }
+
+        _parseProjection(spec, state) {
+            const refs = this._refs(state);
+            const columns = [];
+            const computed = {};
+
+            for (const [name, value] of Object.entries(spec)) {
+                if (name === '_id' && (value === 0 || value === false)) continue;
+                if (value === 0 || value === false) {
+                    throw new Error(`Excluding ${name} needs the collection's schema; project the fields to keep instead`);
+                }
+
+                // Window outputs come with their SUP windows
+                if (state.windows.has(name)) continue;
+
+                const expr = value === 1 || value === true ? refs(name) : this._expression(value, refs);
+                if (expr.type === 'field' && columnName(expr.name) === name) {
+                    columns.push(expr.name);
+                } else {
+                    columns.push({ [name]: expr });
+                    computed[name] = expr;
+                }
+            }
+
+            state.columns = columns.length > 0 ? columns : ['*'];
+            state.computed = computed;
+            state.group = null;
+        }
+
+        _parseSet(spec, state) {
+            const refs = this._refs(state);
+            const columns = state.columns || (state.group ? this._groupColumns(state) : ['*']);
+
+            for (const [name, value] of Object.entries(spec)) {
+                const expr = this._expression(value, refs);
+                const index = columns.findIndex(c => typeof c === 'object' && Object.keys(c)[0] === name);
+                if (index >= 0) {
+                    columns[index] = { [name]: expr };
+                } else {
+                    columns.push({ [name]: expr });
+                }
+                state.computed[name] = expr;
+            }
+            state.columns = columns;
+        }
+
+        _orderBy(spec, state) {
+            const orderBy = [];
+            let nulls = false;
+            for (const [path, direction] of Object.entries(spec)) {
+                if (state.nullHelpers.has(path)) {
+                    nulls = true;
+                    continue;
+                }
+                const entry = { field: this._name('$' + path, state), direction: direction < 0 ? 'desc' : 'asc' };
+                if (nulls) entry[direction < 0 ? 'nullsFirst' : 'nullsLast'] = true;
+                nulls = false;
+                orderBy.push(entry);
+            }
+            return orderBy;
+        }
+
+        // ========================================================================
+        // CONDITIONS AND EXPRESSIONS
+        // ========================================================================
+
+        /**
+         * Field path → EOQL expression: computed fields are inlined and
+         * group keys read back from _id
+         */
+        _refs(state) {
+            return (path) => {
+                if (path.startsWith('$')) {
+                    throw new Error(`Variable $${path} has no EOQL equivalent`);
+                }
+                if (path in state.computed) return state.computed[path];
+                if (state.group) {
+                    if (path === '_id' && state.group.single) return field(state.group.single);
+                    if (path.startsWith('_id.') && state.group.keys[path.slice(4)]) return field(state.group.keys[path.slice(4)]);
+                }
+                return field(path);
+            };
+        }
+
+        /**
+         * Column name for a '$path' (group keys by the field they came from)
+         */
+        _name(path, state) {
+            if (typeof path !== 'string' || !path.startsWith('$')) {
+                throw new Error(`Expected a field path, found ${JSON.stringify(path)}`);
+            }
+            const name = path.slice(1);
+            if (state.group) {
+                if (name === '_id' && state.group.single) return state.group.single;
+                if (name.startsWith('_id.') && state.group.keys[name.slice(4)]) return state.group.keys[name.slice(4)];
+            }
+            return name;
+        }
+
+        /**
+         * A $match query as a typed condition
+         */
+        _condition(query, ref) {
+            const conditions = [];
+
+            for (const [key, test] of Object.entries(query)) {
+                if (key === '$and' || key === '$or') {
+                    conditions.push({ type: key.slice(1), conditions: test.map(q => this._condition(q, ref)) });
+                } else if (key === '$nor') {
+                    const alternatives = test.map(q => this._condition(q, ref));
+                    conditions.push({ type: 'not', condition: alternatives.length === 1 ? alternatives[0] : { type: 'or', conditions: alternatives } });
+                } else if (key === '$expr') {
+                    conditions.push(this._expression(test, ref));
+                } else if (key.startsWith('$')) {
+                    throw new Error(`Unsupported query operator: ${key}`);
+                } else {
+                    conditions.push(...this._fieldConditions(ref(key), test));
+                }
+            }
+
+            return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+        }
+
+        _fieldConditions(left, test) {
+            const literalOf = (value) => ({ type: 'literal', value });
+            if (test === null) return [{ type: 'is_null', field: left }];
+            if (test instanceof RegExp) return this._fieldConditions(left, { $regex: test.source, $options: test.flags });
+            if (!isOperatorObject(test)) return [{ type: 'eq', left, right: literalOf(test) }];
+
+            // $ne, $nin and $not also match null or missing fields, unless a
+            // sibling test rules those out; toMongo() adds $ne: null to say so
+            const negative = ['$ne', '$nin', '$not'].filter(op => op in test && test[op] !== null);
+            const excludesNull = test.$ne === null ||
+                ['$eq', '$gt', '$gte', '$lt', '$lte', '$in', '$regex'].some(op => op in test && test[op] !== null);
+            const sqlNull = (condition) => excludesNull
+                ? condition
+                : { type: 'or', conditions: [condition, { type: 'is_null', field: left }] };
+
+            const conditions = [];
+            for (const [op, value] of Object.entries(test)) {
+                if (op === '$ne' && value === null) {
+                    if (negative.length === 0) conditions.push({ type: 'is_not_null', field: left });
+                } else if (op === '$eq' && value === null) {
+                    conditions.push({ type: 'is_null', field: left });
+                } else if (op === '$ne') {
+                    conditions.push(sqlNull({ type: 'ne', left, right: literalOf(value) }));
+                } else if (COMPARISONS[op.slice(1)] === op) {
+                    conditions.push({ type: op.slice(1), left, right: literalOf(value) });
+                } else if (op === '$nin') {
+                    // <> compiles as a one-value $nin
+                    conditions.push(sqlNull(value.length === 1
+                        ? { type: 'ne', left, right: literalOf(value[0]) }
+                        : { type: 'not_in', field: left, values: value }));
+                } else if (op === '$in') {
+                    conditions.push({ type: 'in', field: left, values: value });
+                } else if (op === '$not') {
+                    const negated = this._fieldConditions(left, value);
+                    conditions.push(sqlNull({ type: 'not', condition: negated.length === 1 ? negated[0] : { type: 'and', conditions: negated } }));
+                } else if (op === '$regex') {
+                    const source = value instanceof RegExp ? value.source : value;
+                    const options = test.$options || (value instanceof RegExp ? value.flags : '');
+                    conditions.push({ type: options.includes('i') ? 'ilike' : 'like', field: left, pattern: regexToLike(source) });
+                } else if (op !== '$options') {
+                    throw new Error(`Unsupported query operator: ${op}`);
+                }
+            }
+            return conditions;
+        }
+
+        /**
+         * An aggregation expression as an EOQL expression
+         */
+        _expression(e, ref) {
+            if (typeof e === 'string' && e.startsWith('$')) return ref(e.slice(1));
+            if (e === null || typeof e !== 'object' || e instanceof Date) return { type: 'literal', value: e };
+            if (Array.isArray(e)) {
+                throw new Error('Array literals have no EOQL equivalent');
+            }
+
+            const ops = Object.keys(e);
+            if (ops.length !== 1 || !ops[0].startsWith('$')) {
+                throw new Error(`Expected an expression operator, found ${JSON.stringify(e)}`);
+            }
+            const op = ops[0];
+            const args = Array.isArray(e[op]) ? e[op] : [e[op]];
+            const value = (x) => this._expression(x, ref);
+
+            const comparison = Object.keys(COMPARISONS).find(t => COMPARISONS[t] === op);
+            if (comparison) {
+                // { $eq: [{ $ifNull: [x, null] }, null] } is how IS NULL is written
+                if ((op === '$eq' || op === '$ne') && args[1] === null) {
+                    const operand = Array.isArray(args[0]?.$ifNull) && args[0].$ifNull[1] === null ? args[0].$ifNull[0] : args[0];
+                    return { type: op === '$eq' ? 'is_null' : 'is_not_null', field: value(operand) };
+                }
+                return { type: comparison, left: value(args[0]), right: value(args[1]) };
+            }
+
+            const arithmetic = Object.keys(ARITHMETIC).find(t => ARITHMETIC[t] === op);
+            if (arithmetic) {
+                return args.slice(1).reduce((left, right) => ({ type: arithmetic, left, right: value(right) }), value(args[0]));
+            }
+
+            switch (op) {
+                case '$literal':
+                    return { type: 'literal', value: e.$literal };
+                case '$and':
+                case '$or': {
+                    // <>, NOT IN and NOT come with notNull() guards on their operands
+                    const test = op === '$and' ? guardedTest(args) : undefined;
+                    if (test) return value(test);
+                    return { type: op.slice(1), conditions: args.map(value) };
+                }
+                case '$not':
+                    return { type: 'not', condition: value(args[0]) };
+                case '$in':
+                    return { type: 'in', field: value(args[0]), values: args[1] };
+                case '$cond': {
+                    const [test, then, otherwise] = Array.isArray(e.$cond) ? e.$cond : [e.$cond.if, e.$cond.then, e.$cond.else];
+                    return { type: 'case', when: [{ condition: value(test), then: value(then) }], else: value(otherwise) };
+                }
+                case '$switch':
+                    return {
+                        type: 'case',
+                        when: e.$switch.branches.map(b => ({ condition: value(b.case), then: value(b.then) })),
+                        else: value(e.$switch.default ?? null)
+                    };
+                case '$regexMatch': {
+                    const { input, regex, options } = e.$regexMatch;
+                    return { type: String(options || '').includes('i') ? 'ilike' : 'like', field: value(input), pattern: regexToLike(regex) };
+                }
+                case '$trim':
+                    return { type: 'fn', name: 'TRIM', args: [value(e.$trim.input)] };
+            }
+
+            if (EXPRESSION_FUNCTIONS[op]) {
+                return { type: 'fn', name: EXPRESSION_FUNCTIONS[op], args: args.map(value) };
+            }
+            throw new Error(`Unsupported expression operator: ${op}`);
+        }
+    }
+
+    // ============================================================================
+    // CONVENIENCE FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Compile EOQL to an aggregation pipeline
+     * @returns {Object} { collection, pipeline }
+     */
+    function toMongo(query) {
+        return new EOQueryMongoCompiler().compile(query);
+    }
+
+    /**
+     * Parse an aggregation pipeline (or its JSON) into an EOQuery
+     */
+    function parseMongo(input, options = {}) {
+        return new EOQueryMongoParser().parse(input, options);
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const exports = {
+        EOQueryMongoCompiler,
+        EOQueryMongoParser,
+        MONGO_STAGES,
+        MONGO_FUNCTIONS,
+        toMongo,
+        parseMongo
+    };
+
+    // Export to global scope
+    global.EOQueryMongoCompiler = EOQueryMongoCompiler;
+    global.toMongo = toMongo;
+    global.parseMongo = parseMongo;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exports;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
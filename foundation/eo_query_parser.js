@@ -410,6 +410,8 @@
             if (isRecursive) {
                 mainQuery._addOp('REC', { ctes, isRecursive: true });
             } else {
+                // Registered on the query as well, as EOQuery.with() does
+                Object.assign(mainQuery._ctes, ctes);
                 mainQuery._addOp('SUP', { cte: ctes });
             }
 
@@ -0,0 +1,1587 @@
+/**
+ * EO Query Text
+ * Textual EOQL syntax: tokenizer, parser and pretty-printer
+ *
+ * @eo_operator DES
+ * @eo_layer foundation
+ *
+ * A query is written as a pipeline of the 9 operators, one stage each:
+ *
+ *   INS sales
+ *   | SEG amount > 100
+ *   | SYN sum(amount) BY region
+ *
+ * Every stage has a concise form for the shapes the builder and the SQL
+ * parser produce (see SYNTAX), and a generic form, `OP { key: value }`,
+ * that spells the params out. The printer only uses a concise form when it
+ * parses back to the same params, so printEOQL() round-trips any toAST().
+ *
+ * Usage:
+ *   const query = parseEOQL('INS sales | SEG amount > 100');
+ *   printEOQL(query);
+ */
+
+(function(global) {
+    'use strict';
+
+    function getQueryClass() {
+        if (!global.EOQuery) {
+            throw new Error('EOQuery is required for EOQL text parsing');
+        }
+        return global.EOQuery;
+    }
+
+    // ============================================================================
+    // SYNTAX
+    // ============================================================================
+
+    /*
+     * Stages (keywords are case-insensitive, `--` starts a comment):
+     *
+     *   INS name [AS alias] | INS (pipeline)
+     *   DES * | DES expr [AS alias], ...
+     *   SEG expr | SEG BY names | SEG HAVING expr
+     *   SEG LIMIT n | SEG OFFSET n | SEG DISTINCT [names]
+     *   SYN fn(field|*) [AS alias], ... [BY names]       -- BY adds SEG BY first
+     *   CON [LEFT|RIGHT|FULL|CROSS|NATURAL] JOIN source [ON expr | USING (names)]
+     *   CON UNION [ALL] (pipeline) | CON INTERSECT (pipeline) | CON EXCEPT (pipeline)
+     *   ALT expr [ASC|DESC] [NULLS FIRST|LAST], ...
+     *   NUL COALESCE names | NUL name DEFAULT value | NUL name NULLIF value
+     *   SUP WITH name AS (pipeline), ...
+     *   SUP fn([field[, offset]]) OVER ([PARTITION BY names] [ORDER BY specs]) [AS alias]
+     *   REC WITH name AS (pipeline), ...
+     *   OP { key: value, ... }                            -- any operator, any params
+     *
+     * Expressions follow SQL: OR, AND, NOT, comparisons (= != <> < <= > >=,
+     * IS [NOT] NULL, [NOT] IN, BETWEEN, LIKE, ILIKE), + - * / %, function
+     * calls, fn(...) OVER (...), CASE, (pipeline) subqueries. `Backquotes`
+     * quote identifiers, 'single' or "double" quotes make strings, and
+     * { ... } embeds an expression object as-is.
+     */
+
+    const PIPELINE_OPERATORS = ['INS', 'DES', 'SEG', 'CON', 'ALT', 'SYN', 'SUP', 'NUL', 'REC'];
+
+    const AGGREGATES = ['SUM', 'AVG', 'COUNT', 'MIN', 'MAX'];
+
+    /**
+     * Words that cannot be bare identifiers; the printer backquotes them
+     */
+    const RESERVED = new Set([
+        ...PIPELINE_OPERATORS,
+        'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'TRUE', 'FALSE', 'LIKE', 'ILIKE', 'BETWEEN',
+        'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'BY', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST',
+        'OVER', 'PARTITION', 'ORDER', 'ROWS', 'RANGE', 'HAVING', 'LIMIT', 'OFFSET', 'DISTINCT',
+        'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'ON', 'USING',
+        'UNION', 'ALL', 'INTERSECT', 'EXCEPT', 'WITH', 'COALESCE', 'DEFAULT', 'NULLIF'
+    ]);
+
+    const COMPARISONS = {
+        '=': 'eq', '!=': 'ne', '<>': 'ne', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte'
+    };
+
+    const ARITHMETIC = {
+        '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'mod'
+    };
+
+    const JOIN_KEYWORDS = {
+        inner: 'JOIN', left: 'LEFT JOIN', right: 'RIGHT JOIN', full: 'FULL JOIN',
+        cross: 'CROSS JOIN', natural: 'NATURAL JOIN'
+    };
+
+    const SET_OPERATIONS = {
+        union: 'UNION', union_all: 'UNION ALL', intersect: 'INTERSECT', except: 'EXCEPT'
+    };
+
+    // ============================================================================
+    // TOKENIZER
+    // ============================================================================
+
+    const TokenTypes = {
+        WORD: 'WORD',               // Identifier or keyword
+        QUOTED: 'QUOTED',           // `Backquoted identifier`
+        STRING: 'STRING',
+        NUMBER: 'NUMBER',
+        OPERATOR: 'OPERATOR',
+        PUNCTUATION: 'PUNCTUATION',
+        EOF: 'EOF'
+    };
+
+    const OPERATORS = ['<=', '>=', '!=', '<>', '=', '<', '>', '+', '-', '*', '/', '%'];
+
+    const PUNCTUATION = new Set(['(', ')', '{', '}', '[', ']', ',', '.', ':', '|']);
+
+    /**
+     * Build a syntax error carrying the position it was found at
+     */
+    function syntaxError(message, position) {
+        const error = new Error(`${message} at line ${position.line}, column ${position.column}`);
+        error.line = position.line;
+        error.column = position.column;
+        return error;
+    }
+
+    /**
+     * EOQL Tokenizer - every token records its line and column
+     */
+    class EOQLTokenizer {
+        constructor(text) {
+            this.text = text;
+            this.pos = 0;
+            this.line = 1;
+            this.column = 1;
+        }
+
+        tokenize() {
+            const tokens = [];
+            this._skipWhitespace();
+            while (this.pos < this.text.length) {
+                tokens.push(this._nextToken());
+                this._skipWhitespace();
+            }
+            tokens.push({ type: TokenTypes.EOF, value: '', line: this.line, column: this.column });
+            return tokens;
+        }
+
+        _nextToken() {
+            const position = { line: this.line, column: this.column };
+            const rest = this.text.slice(this.pos);
+            const char = rest[0];
+            const read = (type, value) => {
+                this._advance(value.length);
+                return { type, value, ...position };
+            };
+
+            if (char === "'" || char === '"') {
+                return { type: TokenTypes.STRING, value: this._readQuoted(char, 'string'), ...position };
+            }
+            if (char === '`') {
+                return { type: TokenTypes.QUOTED, value: this._readQuoted(char, 'identifier'), ...position };
+            }
+
+            const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+            if (number) return read(TokenTypes.NUMBER, number[0]);
+
+            const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+            if (word) return read(TokenTypes.WORD, word[0]);
+
+            const operator = OPERATORS.find(op => rest.startsWith(op));
+            if (operator) return read(TokenTypes.OPERATOR, operator);
+
+            if (PUNCTUATION.has(char)) return read(TokenTypes.PUNCTUATION, char);
+
+            throw syntaxError(`Unexpected character '${char}'`, position);
+        }
+
+        /**
+         * Read a quoted string or identifier; a doubled quote escapes itself
+         */
+        _readQuoted(quote, what) {
+            const position = { line: this.line, column: this.column };
+            let value = '';
+            this._advance(1);
+
+            while (this.pos < this.text.length) {
+                const char = this.text[this.pos];
+                if (char === quote && this.text[this.pos + 1] === quote) {
+                    value += quote;
+                    this._advance(2);
+                } else if (char === quote) {
+                    this._advance(1);
+                    return value;
+                } else {
+                    value += char;
+                    this._advance(1);
+                }
+            }
+
+            throw syntaxError(`Unterminated ${what}`, position);
+        }
+
+        _skipWhitespace() {
+            while (this.pos < this.text.length) {
+                if (/\s/.test(this.text[this.pos])) {
+                    this._advance(1);
+                } else if (this.text.startsWith('--', this.pos)) {
+                    while (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+                        this._advance(1);
+                    }
+                } else {
+                    break;
+                }
+            }
+        }
+
+        _advance(length) {
+            for (let i = 0; i < length; i++) {
+                if (this.text[this.pos] === '\n') {
+                    this.line++;
+                    this.column = 1;
+                } else {
+                    this.column++;
+                }
+                this.pos++;
+            }
+        }
+    }
+
+    // ============================================================================
+    // PARSER
+    // ============================================================================
+
+    /**
+     * EOQL Parser - Parses EOQL text into an EOQuery
+     */
+    class EOQLParser {
+        constructor(text) {
+            this.text = text;
+            this.tokens = [];
+            this.pos = 0;
+        }
+
+        /**
+         * Parse a whole pipeline
+         * @returns {EOQuery}
+         */
+        parse() {
+            this._start();
+            const query = this._parsePipeline();
+            this._expectEnd("'|' or end of input");
+            return query;
+        }
+
+        /**
+         * Parse a single expression, e.g. for a filter box
+         * @returns {Object} Expression node
+         */
+        parseExpression() {
+            this._start();
+            const expr = this._parseExpression();
+            this._expectEnd('end of input');
+            return expr;
+        }
+
+        _start() {
+            this.tokens = new EOQLTokenizer(this.text).tokenize();
+            this.pos = 0;
+        }
+
+        _parsePipeline() {
+            const query = new (getQueryClass())();
+            do {
+                this._parseStage(query);
+            } while (this._matchPunct('|'));
+            return query;
+        }
+
+        _parseStage(query) {
+            const token = this._peek();
+            const operator = token.type === TokenTypes.WORD ? token.value.toUpperCase() : null;
+            if (!PIPELINE_OPERATORS.includes(operator)) {
+                throw this._error(`an operator (${PIPELINE_OPERATORS.join(', ')})`);
+            }
+            this._advance();
+
+            if (this._isPunct('{')) {
+                this._addStage(query, operator, this._parseObject());
+                return;
+            }
+
+            switch (operator) {
+                case 'INS': return this._parseINS(query);
+                case 'DES': return this._parseDES(query);
+                case 'SEG': return this._parseSEG(query);
+                case 'CON': return this._parseCON(query);
+                case 'ALT': return this._parseALT(query);
+                case 'SYN': return this._parseSYN(query);
+                case 'SUP': return this._parseSUP(query);
+                case 'NUL': return this._parseNUL(query);
+                case 'REC': return this._parseREC(query);
+            }
+        }
+
+        /**
+         * Add a stage; SUP WITH also registers its CTEs, as EOQuery.with() does
+         */
+        _addStage(query, operator, params) {
+            if (operator === 'SUP' && params.cte && typeof params.cte === 'object') {
+                Object.assign(query._ctes, params.cte);
+            }
+            query._addOp(operator, params);
+        }
+
+        // ============================================================================
+        // STAGES
+        // ============================================================================
+
+        _parseINS(query) {
+            this._addStage(query, 'INS', { source: this._parseSource() });
+        }
+
+        _parseDES(query) {
+            const columns = [];
+
+            do {
+                if (this._matchOperator('*')) {
+                    columns.push('*');
+                    continue;
+                }
+                const expr = this._parseExpression();
+                if (this._matchWord('AS')) {
+                    columns.push({ [this._parseIdentifier()]: expr });
+                } else {
+                    columns.push(expr.type === 'field' ? expr.name : expr);
+                }
+            } while (this._matchPunct(','));
+
+            this._addStage(query, 'DES', { columns });
+        }
+
+        _parseSEG(query) {
+            let params;
+
+            if (this._matchWord('BY')) {
+                params = { groupBy: this._parseNameList() };
+            } else if (this._matchWord('HAVING')) {
+                params = { having: this._parseExpression() };
+            } else if (this._matchWord('LIMIT')) {
+                params = { limit: this._parseNumber() };
+            } else if (this._matchWord('OFFSET')) {
+                params = { offset: this._parseNumber() };
+            } else if (this._matchWord('DISTINCT')) {
+                params = { distinct: this._atStageEnd() ? true : this._parseNameList() };
+            } else {
+                params = { where: this._parseExpression() };
+            }
+
+            this._addStage(query, 'SEG', params);
+        }
+
+        _parseCON(query) {
+            const setType = this._parseSetOperationType();
+            if (setType) {
+                this._addStage(query, 'CON', { target: this._parseSubquery(), type: setType });
+                return;
+            }
+
+            let type = 'inner';
+            if (this._matchWord('LEFT')) {
+                type = 'left';
+            } else if (this._matchWord('RIGHT')) {
+                type = 'right';
+            } else if (this._matchWord('FULL')) {
+                type = 'full';
+            } else if (this._matchWord('CROSS')) {
+                type = 'cross';
+            } else if (this._matchWord('NATURAL')) {
+                type = 'natural';
+            } else {
+                this._matchWord('INNER');
+            }
+            this._expectWord('JOIN');
+
+            const target = this._parseSource();
+            if (this._matchWord('ON')) {
+                this._addStage(query, 'CON', { target, on: this._parseExpression(), type });
+            } else if (this._matchWord('USING')) {
+                this._expectPunct('(');
+                const using = this._parseNameList();
+                this._expectPunct(')');
+                this._addStage(query, 'CON', { target, using, type });
+            } else {
+                this._addStage(query, 'CON', { target, type });
+            }
+        }
+
+        _parseSetOperationType() {
+            if (this._matchWord('UNION')) {
+                return this._matchWord('ALL') ? 'union_all' : 'union';
+            }
+            if (this._matchWord('INTERSECT')) return 'intersect';
+            if (this._matchWord('EXCEPT')) return 'except';
+            return null;
+        }
+
+        _parseALT(query) {
+            this._addStage(query, 'ALT', { orderBy: this._parseOrderList(false) });
+        }
+
+        /**
+         * SYN fn(field) [AS alias], ... [BY names]
+         * Aliases default to the lower-cased function name, as the holons do.
+         */
+        _parseSYN(query) {
+            const aggregations = {};
+
+            do {
+                const fn = this._parseWord().toUpperCase();
+                this._expectPunct('(');
+                const field = this._matchOperator('*') ? '*' : this._parseName();
+                this._expectPunct(')');
+                const alias = this._matchWord('AS') ? this._parseIdentifier() : fn.toLowerCase();
+                aggregations[alias] = { fn, field };
+            } while (this._matchPunct(','));
+
+            if (this._matchWord('BY')) {
+                this._addStage(query, 'SEG', { groupBy: this._parseNameList() });
+            }
+            this._addStage(query, 'SYN', { aggregations });
+        }
+
+        _parseSUP(query) {
+            if (this._matchWord('WITH')) {
+                this._addStage(query, 'SUP', { cte: this._parseNamedQueries() });
+                return;
+            }
+
+            const window = { fn: this._parseWord().toUpperCase() };
+            this._expectPunct('(');
+            if (!this._isPunct(')')) {
+                window.field = this._matchOperator('*') ? '*' : this._parseName();
+                if (this._matchPunct(',')) {
+                    window.offset = this._parseNumber();
+                }
+            }
+            this._expectPunct(')');
+
+            this._expectWord('OVER');
+            this._expectPunct('(');
+            if (this._matchWord('PARTITION')) {
+                this._expectWord('BY');
+                window.partitionBy = this._parseNameList();
+            }
+            if (this._matchWord('ORDER')) {
+                this._expectWord('BY');
+                window.orderBy = this._parseOrderList(true);
+            }
+            this._expectPunct(')');
+
+            if (this._matchWord('AS')) {
+                window.alias = this._parseIdentifier();
+            }
+            this._addStage(query, 'SUP', { window });
+        }
+
+        _parseNUL(query) {
+            if (this._matchWord('COALESCE')) {
+                this._addStage(query, 'NUL', { coalesce: this._parseNameList() });
+                return;
+            }
+
+            const field = this._parseName();
+            if (this._matchWord('DEFAULT')) {
+                this._addStage(query, 'NUL', { field, default: this._parseValue() });
+            } else if (this._matchWord('NULLIF')) {
+                this._addStage(query, 'NUL', { field, nullIf: this._parseValue() });
+            } else {
+                throw this._error('DEFAULT or NULLIF');
+            }
+        }
+
+        _parseREC(query) {
+            if (!this._matchWord('WITH')) {
+                throw this._error("WITH or '{'");
+            }
+            this._addStage(query, 'REC', { ctes: this._parseNamedQueries(), isRecursive: true });
+        }
+
+        // ============================================================================
+        // STAGE PARTS
+        // ============================================================================
+
+        /**
+         * name [AS alias] or (pipeline)
+         */
+        _parseSource() {
+            if (this._isPunct('(')) {
+                return this._parseSubquery();
+            }
+            const table = this._parseName();
+            if (this._matchWord('AS')) {
+                return { table, alias: this._parseIdentifier() };
+            }
+            return table;
+        }
+
+        _parseSubquery() {
+            this._expectPunct('(');
+            const query = this._parsePipeline();
+            this._expectPunct(')');
+            return query;
+        }
+
+        /**
+         * name AS (pipeline), ...
+         */
+        _parseNamedQueries() {
+            const queries = {};
+            do {
+                const name = this._parseIdentifier();
+                this._expectWord('AS');
+                queries[name] = this._parseSubquery();
+            } while (this._matchPunct(','));
+            return queries;
+        }
+
+        /**
+         * Order specs. A bare field is { field, direction: 'asc' }, as
+         * ORDER_BY normalizes it, except in window stages where the holons
+         * keep plain field names.
+         */
+        _parseOrderList(bareAsName) {
+            const specs = [];
+
+            do {
+                const expr = this._parseExpression();
+                const field = expr.type === 'field' ? expr.name : expr;
+
+                let direction = null;
+                if (this._matchWord('ASC')) {
+                    direction = 'asc';
+                } else if (this._matchWord('DESC')) {
+                    direction = 'desc';
+                }
+
+                let nullsFirst = null;
+                if (this._matchWord('NULLS')) {
+                    if (this._matchWord('FIRST')) {
+                        nullsFirst = true;
+                    } else {
+                        this._expectWord('LAST');
+                        nullsFirst = false;
+                    }
+                }
+
+                if (bareAsName && typeof field === 'string' && direction === null && nullsFirst === null) {
+                    specs.push(field);
+                } else {
+                    specs.push({
+                        field,
+                        direction: direction || 'asc',
+                        ...(nullsFirst !== null && { nullsFirst })
+                    });
+                }
+            } while (this._matchPunct(','));
+
+            return specs;
+        }
+
+        // ============================================================================
+        // EXPRESSIONS
+        // ============================================================================
+
+        _parseExpression() {
+            return this._parseOr();
+        }
+
+        _parseOr() {
+            const conditions = [this._parseAnd()];
+            while (this._matchWord('OR')) {
+                conditions.push(this._parseAnd());
+            }
+            return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+        }
+
+        _parseAnd() {
+            const conditions = [this._parseNot()];
+            while (this._matchWord('AND')) {
+                conditions.push(this._parseNot());
+            }
+            return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+        }
+
+        _parseNot() {
+            if (this._matchWord('NOT')) {
+                return { type: 'not', condition: this._parseNot() };
+            }
+            return this._parseComparison();
+        }
+
+        _parseComparison() {
+            const left = this._parseAdditive();
+
+            if (this._matchWord('IS')) {
+                const not = this._matchWord('NOT');
+                this._expectWord('NULL');
+                return { type: not ? 'is_not_null' : 'is_null', field: left };
+            }
+
+            const negated = this._matchWord('NOT');
+            if (this._matchWord('IN')) {
+                return this._parseIn(left, negated);
+            }
+            if (negated) {
+                throw this._error('IN');
+            }
+
+            if (this._matchWord('BETWEEN')) {
+                const low = this._parseOperand();
+                this._expectWord('AND');
+                return { type: 'between', field: left, low, high: this._parseOperand() };
+            }
+            if (this._matchWord('LIKE')) {
+                return { type: 'like', field: left, pattern: this._parseOperand() };
+            }
+            if (this._matchWord('ILIKE')) {
+                return { type: 'ilike', field: left, pattern: this._parseOperand() };
+            }
+
+            const token = this._peek();
+            if (token.type === TokenTypes.OPERATOR && COMPARISONS[token.value]) {
+                this._advance();
+                return { type: COMPARISONS[token.value], left, right: this._parseAdditive() };
+            }
+
+            return left;
+        }
+
+        _parseIn(field, negated) {
+            if (this._isStageAhead()) {
+                const subquery = this._parseSubquery();
+                return { type: negated ? 'not_in_subquery' : 'in_subquery', field, subquery };
+            }
+
+            this._expectPunct('(');
+            const values = [];
+            do {
+                values.push(this._parseOperand());
+            } while (this._matchPunct(','));
+            this._expectPunct(')');
+
+            return { type: negated ? 'not_in' : 'in', field, values };
+        }
+
+        /**
+         * IN lists, BETWEEN bounds and LIKE patterns take raw values, as
+         * Expr.in() and friends do: a bare literal is kept as its value,
+         * anything else (including a parenthesized literal) is an expression
+         */
+        _parseOperand() {
+            const start = this.pos;
+            const expr = this._parseAdditive();
+            const bare = this.tokens.slice(start, this.pos).every(t => t.type !== TokenTypes.PUNCTUATION);
+            return bare && expr.type === 'literal' ? expr.value : expr;
+        }
+
+        _parseAdditive() {
+            let left = this._parseMultiplicative();
+            while (this._isOperator('+') || this._isOperator('-')) {
+                const type = ARITHMETIC[this._advance().value];
+                left = { type, left, right: this._parseMultiplicative() };
+            }
+            return left;
+        }
+
+        _parseMultiplicative() {
+            let left = this._parseUnary();
+            while (this._isOperator('*') || this._isOperator('/') || this._isOperator('%')) {
+                const type = ARITHMETIC[this._advance().value];
+                left = { type, left, right: this._parseUnary() };
+            }
+            return left;
+        }
+
+        _parseUnary() {
+            if (this._matchOperator('-')) {
+                if (this._peek().type === TokenTypes.NUMBER) {
+                    return { type: 'literal', value: -Number(this._advance().value) };
+                }
+                return { type: 'mul', left: { type: 'literal', value: -1 }, right: this._parseUnary() };
+            }
+            return this._parsePrimary();
+        }
+
+        _parsePrimary() {
+            const token = this._peek();
+
+            if (token.type === TokenTypes.NUMBER || token.type === TokenTypes.STRING) {
+                this._advance();
+                return { type: 'literal', value: token.type === TokenTypes.NUMBER ? Number(token.value) : token.value };
+            }
+
+            const keywordLiteral = this._matchKeywordLiteral();
+            if (keywordLiteral) {
+                return { type: 'literal', value: keywordLiteral.value };
+            }
+
+            // Expression object embedded as-is
+            if (this._isPunct('{')) {
+                return this._parseObject();
+            }
+
+            // Subquery or parenthesized expression
+            if (this._isPunct('(')) {
+                if (this._isStageAhead()) {
+                    return { type: 'subquery', query: this._parseSubquery() };
+                }
+                this._advance();
+                const expr = this._parseExpression();
+                this._expectPunct(')');
+                return expr;
+            }
+
+            if (this._matchWord('CASE')) {
+                return this._parseCase();
+            }
+
+            if (token.type === TokenTypes.WORD && this._peek(1).value === '(' && this._peek(1).type === TokenTypes.PUNCTUATION) {
+                return this._parseCall();
+            }
+
+            if (token.type === TokenTypes.QUOTED ||
+                (token.type === TokenTypes.WORD && !RESERVED.has(token.value.toUpperCase()))) {
+                return { type: 'field', name: this._parseName() };
+            }
+
+            throw this._error('an expression');
+        }
+
+        _parseCall() {
+            const name = this._advance().value;
+            const upper = name.toUpperCase();
+            const isAggregate = AGGREGATES.includes(upper);
+            this._expectPunct('(');
+
+            if (isAggregate && this._matchOperator('*')) {
+                this._expectPunct(')');
+                return { type: 'agg', fn: upper, field: '*' };
+            }
+
+            const distinct = isAggregate && this._matchWord('DISTINCT');
+            const args = [];
+            if (!this._isPunct(')')) {
+                do {
+                    args.push(this._parseExpression());
+                } while (this._matchPunct(','));
+            }
+            this._expectPunct(')');
+
+            if (this._matchWord('OVER')) {
+                return this._parseOver(name, args);
+            }
+
+            if (isAggregate) {
+                return {
+                    type: 'agg',
+                    fn: upper,
+                    field: args.length ? args[0] : '*',
+                    ...(distinct && { distinct: true })
+                };
+            }
+
+            return { type: 'fn', name, args };
+        }
+
+        /**
+         * OVER ([PARTITION BY names] [ORDER BY specs] [ROWS|RANGE frame])
+         * Mirrors the SQL parser's window expression, frame kept as text.
+         */
+        _parseOver(fn, args) {
+            const window = { type: 'window', fn, args };
+            this._expectPunct('(');
+
+            if (this._matchWord('PARTITION')) {
+                this._expectWord('BY');
+                window.partitionBy = this._parseNameList();
+            }
+            if (this._matchWord('ORDER')) {
+                this._expectWord('BY');
+                window.orderBy = this._parseOrderList(false);
+            }
+            if (this._matchWord('ROWS') || this._matchWord('RANGE')) {
+                const words = [];
+                while (!this._isPunct(')') && this._peek().type !== TokenTypes.EOF) {
+                    words.push(this._advance().value);
+                }
+                window.frame = words.join(' ');
+            }
+
+            this._expectPunct(')');
+            return window;
+        }
+
+        _parseCase() {
+            const when = [];
+            let elseValue = null;
+
+            while (this._matchWord('WHEN')) {
+                const condition = this._parseExpression();
+                this._expectWord('THEN');
+                when.push({ condition, then: this._parseExpression() });
+            }
+            if (when.length === 0) {
+                throw this._error('WHEN');
+            }
+            if (this._matchWord('ELSE')) {
+                elseValue = this._parseExpression();
+            }
+            this._expectWord('END');
+
+            return { type: 'case', when, else: elseValue };
+        }
+
+        // ============================================================================
+        // VALUES (generic form)
+        // ============================================================================
+
+        _parseValue() {
+            const token = this._peek();
+
+            if (this._isPunct('{')) return this._parseObject();
+            if (this._isPunct('[')) return this._parseArray();
+            if (this._isPunct('(')) return this._parseSubquery();
+
+            if (token.type === TokenTypes.STRING) {
+                this._advance();
+                return token.value;
+            }
+            if (token.type === TokenTypes.NUMBER || this._isOperator('-')) {
+                return this._parseNumber();
+            }
+
+            const keywordLiteral = this._matchKeywordLiteral();
+            if (keywordLiteral) {
+                return keywordLiteral.value;
+            }
+
+            throw this._error('a value');
+        }
+
+        _parseObject() {
+            const object = {};
+            this._expectPunct('{');
+
+            if (!this._isPunct('}')) {
+                do {
+                    const token = this._peek();
+                    if (![TokenTypes.WORD, TokenTypes.QUOTED, TokenTypes.STRING].includes(token.type)) {
+                        throw this._error('a key');
+                    }
+                    this._advance();
+                    this._expectPunct(':');
+                    object[token.value] = this._parseValue();
+                } while (this._matchPunct(','));
+            }
+
+            this._expectPunct('}');
+            return object;
+        }
+
+        _parseArray() {
+            const array = [];
+            this._expectPunct('[');
+
+            if (!this._isPunct(']')) {
+                do {
+                    array.push(this._parseValue());
+                } while (this._matchPunct(','));
+            }
+
+            this._expectPunct(']');
+            return array;
+        }
+
+        // ============================================================================
+        // TOKEN HELPERS
+        // ============================================================================
+
+        _peek(offset = 0) {
+            return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+        }
+
+        _advance() {
+            const token = this._peek();
+            if (token.type !== TokenTypes.EOF) this.pos++;
+            return token;
+        }
+
+        _error(expected) {
+            const token = this._peek();
+            const found = token.type === TokenTypes.EOF ? 'end of input'
+                : token.type === TokenTypes.STRING ? `string '${token.value}'`
+                : `'${token.value}'`;
+            return syntaxError(`Expected ${expected} but found ${found}`, token);
+        }
+
+        _isPunct(value) {
+            const token = this._peek();
+            return token.type === TokenTypes.PUNCTUATION && token.value === value;
+        }
+
+        _matchPunct(value) {
+            if (!this._isPunct(value)) return false;
+            this._advance();
+            return true;
+        }
+
+        _expectPunct(value) {
+            if (!this._matchPunct(value)) {
+                throw this._error(`'${value}'`);
+            }
+        }
+
+        _isOperator(value) {
+            const token = this._peek();
+            return token.type === TokenTypes.OPERATOR && token.value === value;
+        }
+
+        _matchOperator(value) {
+            if (!this._isOperator(value)) return false;
+            this._advance();
+            return true;
+        }
+
+        _matchWord(keyword) {
+            const token = this._peek();
+            if (token.type === TokenTypes.WORD && token.value.toUpperCase() === keyword) {
+                this._advance();
+                return true;
+            }
+            return false;
+        }
+
+        _expectWord(keyword) {
+            if (!this._matchWord(keyword)) {
+                throw this._error(keyword);
+            }
+        }
+
+        _expectEnd(expected) {
+            if (this._peek().type !== TokenTypes.EOF) {
+                throw this._error(expected);
+            }
+        }
+
+        _matchKeywordLiteral() {
+            for (const [keyword, value] of [['TRUE', true], ['FALSE', false], ['NULL', null]]) {
+                if (this._matchWord(keyword)) return { value };
+            }
+            return null;
+        }
+
+        /**
+         * Is the next token '(' opening a pipeline rather than an expression?
+         */
+        _isStageAhead() {
+            const next = this._peek(1);
+            return this._isPunct('(') && next.type === TokenTypes.WORD &&
+                PIPELINE_OPERATORS.includes(next.value.toUpperCase());
+        }
+
+        _atStageEnd() {
+            return this._isPunct('|') || this._isPunct(')') || this._peek().type === TokenTypes.EOF;
+        }
+
+        /**
+         * Any word, keywords included (function names)
+         */
+        _parseWord() {
+            const token = this._peek();
+            if (token.type !== TokenTypes.WORD) {
+                throw this._error('a function name');
+            }
+            return this._advance().value;
+        }
+
+        _parseIdentifier() {
+            const token = this._peek();
+            if (token.type === TokenTypes.QUOTED ||
+                (token.type === TokenTypes.WORD && !RESERVED.has(token.value.toUpperCase()))) {
+                return this._advance().value;
+            }
+            throw this._error('an identifier');
+        }
+
+        /**
+         * Possibly qualified name: orders.amount
+         */
+        _parseName() {
+            let name = this._parseIdentifier();
+            while (this._matchPunct('.')) {
+                name += '.' + this._parseIdentifier();
+            }
+            return name;
+        }
+
+        _parseNameList() {
+            const names = [];
+            do {
+                names.push(this._parseName());
+            } while (this._matchPunct(','));
+            return names;
+        }
+
+        _parseNumber() {
+            const negative = this._matchOperator('-');
+            const token = this._peek();
+            if (token.type !== TokenTypes.NUMBER) {
+                throw this._error('a number');
+            }
+            this._advance();
+            return negative ? -Number(token.value) : Number(token.value);
+        }
+    }
+
+    // ============================================================================
+    // PRINTER
+    // ============================================================================
+
+    /**
+     * Binding strength, loosest first; a child binding looser than its
+     * position allows is parenthesized
+     */
+    const PRECEDENCE = {
+        OR: 1,
+        AND: 2,
+        NOT: 3,
+        COMPARISON: 4,
+        ADDITIVE: 5,
+        MULTIPLICATIVE: 6,
+        PRIMARY: 7
+    };
+
+    const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+    /**
+     * EOQL Printer - Prints an EOQuery or AST as EOQL text
+     *
+     * Each stage, and each expression, is printed in its concise form and
+     * parsed back; if that does not give the same params it falls back to
+     * the generic form, so what the printer emits always parses to the
+     * original pipeline.
+     */
+    class EOQLPrinter {
+        /**
+         * @param {Object} options - { indent: '    ', width: 72 }
+         *   Nested pipelines longer than width are broken onto lines.
+         */
+        constructor(options = {}) {
+            this.indent = options.indent ?? '    ';
+            this.width = options.width ?? 72;
+        }
+
+        /**
+         * @param {EOQuery|Object} query - Query or its toAST()
+         * @returns {string}
+         */
+        print(query) {
+            return this._printStages(query, 0).join('\n| ');
+        }
+
+        _printStages(query, depth) {
+            const pipeline = toPipeline(query);
+            const stages = [];
+
+            for (let i = 0; i < pipeline.length; i++) {
+                const node = pipeline[i];
+                const next = pipeline[i + 1];
+
+                // SEG BY followed by SYN reads best as one stage
+                if (next && node.operator === 'SEG' && node.params?.groupBy && next.operator === 'SYN') {
+                    const combined = this._printConcise([node, next], depth);
+                    if (combined) {
+                        stages.push(combined);
+                        i++;
+                        continue;
+                    }
+                }
+
+                stages.push(this._printConcise([node], depth) ||
+                    `${node.operator} ${this._printValue(node.params, depth)}`);
+            }
+
+            return stages;
+        }
+
+        _printSubquery(query, depth) {
+            const stages = this._printStages(query, depth + 1);
+            const inline = `(${stages.join(' | ')})`;
+            if (inline.length <= this.width && !inline.includes('\n')) {
+                return inline;
+            }
+            const pad = this.indent.repeat(depth + 1);
+            return `(\n${pad}${stages.join(`\n${pad}| `)}\n${this.indent.repeat(depth)})`;
+        }
+
+        /**
+         * Concise text for one stage (or SEG BY + SYN), or null if there is
+         * none that parses back to the same nodes
+         */
+        _printConcise(nodes, depth) {
+            const text = nodes.length === 2
+                ? this._printGroupedSYN(nodes[0].params, nodes[1].params, depth)
+                : this._printStage(nodes[0], depth);
+
+            if (!text || !reparses(text, parser => parser.parse(), { type: 'query', pipeline: nodes })) {
+                return null;
+            }
+            return text;
+        }
+
+        _printStage(node, depth) {
+            const params = node.params;
+            if (!params || typeof params !== 'object') return null;
+
+            let body = null;
+            switch (node.operator) {
+                case 'INS': body = this._printSource(params.source, depth); break;
+                case 'DES': body = this._printColumns(params.columns, depth); break;
+                case 'SEG': body = this._printSEG(params, depth); break;
+                case 'CON': body = this._printCON(params, depth); break;
+                case 'ALT': body = this._printOrderList(params.orderBy, false, depth); break;
+                case 'SYN': body = this._printAggregations(params.aggregations); break;
+                case 'SUP': body = this._printSUP(params, depth); break;
+                case 'NUL': body = this._printNUL(params); break;
+                case 'REC': body = params.ctes ? `WITH ${this._printNamedQueries(params.ctes, depth)}` : null; break;
+            }
+
+            return body === null ? null : `${node.operator} ${body}`;
+        }
+
+        _printGroupedSYN(segParams, synParams, depth) {
+            const aggregations = this._printAggregations(synParams?.aggregations);
+            const groupBy = printNameList(segParams.groupBy);
+            return aggregations && groupBy ? `SYN ${aggregations} BY ${groupBy}` : null;
+        }
+
+        _printSource(source, depth) {
+            if (isQuery(source)) return this._printSubquery(source, depth);
+            if (typeof source === 'string') return printName(source);
+            if (source && typeof source.table === 'string' && typeof source.alias === 'string') {
+                return `${printName(source.table)} AS ${printIdentifier(source.alias)}`;
+            }
+            return null;
+        }
+
+        _printColumns(columns, depth) {
+            if (!Array.isArray(columns) || columns.length === 0) return null;
+
+            return columns.map(column => {
+                if (column === '*') return '*';
+                if (typeof column === 'string') return printName(column);
+                if (column && typeof column === 'object' && !column.type) {
+                    const [alias, expr] = Object.entries(column)[0] || [];
+                    return alias === undefined ? '{}' : `${this._printExpr(expr, depth).text} AS ${printIdentifier(alias)}`;
+                }
+                return this._printExpr(column, depth).text;
+            }).join(', ');
+        }
+
+        _printSEG(params, depth) {
+            if ('where' in params) return this._printExpr(params.where, depth).text;
+            if ('groupBy' in params) return prefixed('BY', printNameList(params.groupBy));
+            if ('having' in params) return `HAVING ${this._printExpr(params.having, depth).text}`;
+            if ('limit' in params) return prefixed('LIMIT', printNumber(params.limit));
+            if ('offset' in params) return prefixed('OFFSET', printNumber(params.offset));
+            if (params.distinct === true) return 'DISTINCT';
+            if ('distinct' in params) return prefixed('DISTINCT', printNameList(params.distinct));
+            return null;
+        }
+
+        _printCON(params, depth) {
+            if (SET_OPERATIONS[params.type]) {
+                return isQuery(params.target)
+                    ? `${SET_OPERATIONS[params.type]} ${this._printSubquery(params.target, depth)}`
+                    : null;
+            }
+
+            const target = this._printSource(params.target, depth);
+            if (!JOIN_KEYWORDS[params.type] || target === null) return null;
+
+            let text = `${JOIN_KEYWORDS[params.type]} ${target}`;
+            if (params.on) {
+                text += ` ON ${this._printExpr(params.on, depth).text}`;
+            } else if (params.using) {
+                const using = printNameList(params.using);
+                if (!using) return null;
+                text += ` USING (${using})`;
+            }
+            return text;
+        }
+
+        _printAggregations(aggregations) {
+            if (!aggregations || typeof aggregations !== 'object') return null;
+            const entries = Object.entries(aggregations);
+            if (entries.length === 0) return null;
+
+            const parts = [];
+            for (const [alias, agg] of entries) {
+                if (!agg || typeof agg.fn !== 'string' || typeof agg.field !== 'string') return null;
+                const fn = agg.fn.toLowerCase();
+                const field = agg.field === '*' ? '*' : printName(agg.field);
+                parts.push(`${fn}(${field})${alias === fn ? '' : ` AS ${printIdentifier(alias)}`}`);
+            }
+            return parts.join(', ');
+        }
+
+        _printSUP(params, depth) {
+            if (params.cte) {
+                return `WITH ${this._printNamedQueries(params.cte, depth)}`;
+            }
+
+            const window = params.window;
+            if (!window || typeof window.fn !== 'string') return null;
+
+            let args = '';
+            if (typeof window.field === 'string') {
+                args = window.field === '*' ? '*' : printName(window.field);
+                if (window.offset !== undefined) {
+                    args += `, ${printNumber(window.offset)}`;
+                }
+            }
+
+            const over = this._printOver(window, true, depth);
+            const alias = window.alias ? ` AS ${printIdentifier(window.alias)}` : '';
+            return `${window.fn.toLowerCase()}(${args}) OVER (${over})${alias}`;
+        }
+
+        _printNUL(params) {
+            if ('coalesce' in params) return prefixed('COALESCE', printNameList(params.coalesce));
+            if (typeof params.field !== 'string') return null;
+            if ('default' in params) return `${printName(params.field)} DEFAULT ${this._printValue(params.default, 0)}`;
+            if ('nullIf' in params) return `${printName(params.field)} NULLIF ${this._printValue(params.nullIf, 0)}`;
+            return null;
+        }
+
+        _printNamedQueries(queries, depth) {
+            return Object.entries(queries)
+                .map(([name, query]) => `${printIdentifier(name)} AS ${this._printSubquery(query, depth)}`)
+                .join(', ');
+        }
+
+        _printOver(window, explicitAsc, depth) {
+            const parts = [];
+            if (window.partitionBy) {
+                parts.push(`PARTITION BY ${printNameList(window.partitionBy)}`);
+            }
+            if (window.orderBy) {
+                parts.push(`ORDER BY ${this._printOrderList(window.orderBy, explicitAsc, depth)}`);
+            }
+            if (window.frame) {
+                parts.push(`ROWS ${window.frame}`);
+            }
+            return parts.join(' ');
+        }
+
+        _printOrderList(specs, explicitAsc, depth) {
+            if (!Array.isArray(specs) || specs.length === 0) return null;
+
+            return specs.map(spec => {
+                if (typeof spec === 'string') return printName(spec);
+                if (!spec || typeof spec !== 'object') return String(spec);
+
+                let text = typeof spec.field === 'string' ? printName(spec.field) : this._printExpr(spec.field, depth).text;
+                if (spec.direction === 'desc') {
+                    text += ' DESC';
+                } else if (explicitAsc) {
+                    text += ' ASC';
+                }
+                if (spec.nullsFirst === true) text += ' NULLS FIRST';
+                if (spec.nullsFirst === false) text += ' NULLS LAST';
+                return text;
+            }).join(', ');
+        }
+
+        // ============================================================================
+        // EXPRESSION PRINTING
+        // ============================================================================
+
+        /**
+         * @returns {{text: string, prec: number}}
+         */
+        _printExpr(expr, depth) {
+            const printed = this._formatExpr(expr, depth);
+            if (printed && reparses(printed.text, parser => parser.parseExpression(), expr)) {
+                return printed;
+            }
+            return { text: this._printValue(expr, depth), prec: PRECEDENCE.PRIMARY };
+        }
+
+        _formatExpr(expr, depth) {
+            if (!expr || typeof expr !== 'object' || typeof expr.type !== 'string') return null;
+
+            const sub = (e) => this._printExpr(e, depth);
+            const wrap = (printed, minPrec) => printed.prec >= minPrec ? printed.text : `(${printed.text})`;
+            const operand = (value) => this._printOperand(value, depth);
+            const field = () => wrap(sub(expr.field), PRECEDENCE.ADDITIVE);
+
+            switch (expr.type) {
+                case 'literal': {
+                    const text = printLiteral(expr.value);
+                    return text === null ? null : { text, prec: PRECEDENCE.PRIMARY };
+                }
+                case 'field':
+                    return typeof expr.name === 'string' ? { text: printName(expr.name), prec: PRECEDENCE.PRIMARY } : null;
+
+                case 'and':
+                case 'or': {
+                    if (!Array.isArray(expr.conditions) || expr.conditions.length < 2) return null;
+                    const prec = expr.type === 'or' ? PRECEDENCE.OR : PRECEDENCE.AND;
+                    const text = expr.conditions.map(c => wrap(sub(c), prec + 1)).join(` ${expr.type.toUpperCase()} `);
+                    return { text, prec };
+                }
+                case 'not':
+                    return { text: `NOT ${wrap(sub(expr.condition), PRECEDENCE.NOT)}`, prec: PRECEDENCE.NOT };
+
+                case 'is_null':
+                case 'is_not_null':
+                    return { text: `${field()} IS ${expr.type === 'is_null' ? '' : 'NOT '}NULL`, prec: PRECEDENCE.COMPARISON };
+                case 'in':
+                case 'not_in':
+                    if (!Array.isArray(expr.values) || expr.values.length === 0) return null;
+                    return {
+                        text: `${field()} ${expr.type === 'in' ? '' : 'NOT '}IN (${expr.values.map(operand).join(', ')})`,
+                        prec: PRECEDENCE.COMPARISON
+                    };
+                case 'in_subquery':
+                case 'not_in_subquery':
+                    if (!isQuery(expr.subquery)) return null;
+                    return {
+                        text: `${field()} ${expr.type === 'in_subquery' ? '' : 'NOT '}IN ${this._printSubquery(expr.subquery, depth)}`,
+                        prec: PRECEDENCE.COMPARISON
+                    };
+                case 'between':
+                    return { text: `${field()} BETWEEN ${operand(expr.low)} AND ${operand(expr.high)}`, prec: PRECEDENCE.COMPARISON };
+                case 'like':
+                case 'ilike':
+                    return { text: `${field()} ${expr.type.toUpperCase()} ${operand(expr.pattern)}`, prec: PRECEDENCE.COMPARISON };
+
+                case 'add':
+                case 'sub':
+                case 'mul':
+                case 'div':
+                case 'mod': {
+                    const symbol = Object.keys(ARITHMETIC).find(s => ARITHMETIC[s] === expr.type);
+                    const prec = ['add', 'sub'].includes(expr.type) ? PRECEDENCE.ADDITIVE : PRECEDENCE.MULTIPLICATIVE;
+                    return { text: `${wrap(sub(expr.left), prec)} ${symbol} ${wrap(sub(expr.right), prec + 1)}`, prec };
+                }
+
+                case 'fn':
+                    if (typeof expr.name !== 'string' || !Array.isArray(expr.args)) return null;
+                    return { text: `${expr.name}(${expr.args.map(a => sub(a).text).join(', ')})`, prec: PRECEDENCE.PRIMARY };
+                case 'agg': {
+                    if (typeof expr.fn !== 'string') return null;
+                    const arg = expr.field === '*' ? '*' : sub(expr.field).text;
+                    return { text: `${expr.fn.toLowerCase()}(${expr.distinct ? 'DISTINCT ' : ''}${arg})`, prec: PRECEDENCE.PRIMARY };
+                }
+                case 'window':
+                    if (typeof expr.fn !== 'string' || !Array.isArray(expr.args)) return null;
+                    return {
+                        text: `${expr.fn}(${expr.args.map(a => sub(a).text).join(', ')}) OVER (${this._printOver(expr, false, depth)})`,
+                        prec: PRECEDENCE.PRIMARY
+                    };
+                case 'case': {
+                    if (!Array.isArray(expr.when) || expr.when.length === 0) return null;
+                    const branches = expr.when.map(w => `WHEN ${sub(w.condition).text} THEN ${sub(w.then).text}`);
+                    const otherwise = expr.else === null || expr.else === undefined ? '' : ` ELSE ${sub(expr.else).text}`;
+                    return { text: `CASE ${branches.join(' ')}${otherwise} END`, prec: PRECEDENCE.PRIMARY };
+                }
+                case 'subquery':
+                    return isQuery(expr.query) ? { text: this._printSubquery(expr.query, depth), prec: PRECEDENCE.PRIMARY } : null;
+            }
+
+            const symbol = Object.keys(COMPARISONS).find(s => COMPARISONS[s] === expr.type);
+            if (symbol) {
+                return {
+                    text: `${wrap(sub(expr.left), PRECEDENCE.ADDITIVE)} ${symbol} ${wrap(sub(expr.right), PRECEDENCE.ADDITIVE)}`,
+                    prec: PRECEDENCE.COMPARISON
+                };
+            }
+            return null;
+        }
+
+        /**
+         * Raw value or expression in an IN list, BETWEEN or LIKE; literal
+         * expressions are parenthesized to tell them apart from raw values
+         */
+        _printOperand(value, depth) {
+            if (value === null || typeof value !== 'object') {
+                return printLiteral(value) ?? this._printValue(value, depth);
+            }
+            const printed = this._printExpr(value, depth);
+            return value.type === 'literal' || printed.prec < PRECEDENCE.ADDITIVE ? `(${printed.text})` : printed.text;
+        }
+
+        // ============================================================================
+        // VALUE PRINTING (generic form)
+        // ============================================================================
+
+        _printValue(value, depth) {
+            if (value === null || value === undefined) return 'null';
+            if (isQuery(value)) return this._printSubquery(value, depth);
+            if (Array.isArray(value)) {
+                return `[${value.map(v => this._printValue(v, depth)).join(', ')}]`;
+            }
+
+            switch (typeof value) {
+                case 'string':
+                    return printString(value);
+                case 'number':
+                    return printNumber(value);
+                case 'boolean':
+                    return String(value);
+                case 'object': {
+                    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+                    if (entries.length === 0) return '{}';
+                    return `{ ${entries.map(([k, v]) => `${printKey(k)}: ${this._printValue(v, depth)}`).join(', ')} }`;
+                }
+            }
+
+            throw new Error(`Cannot print a ${typeof value} as EOQL`);
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function isQuery(value) {
+        return Boolean(value) && typeof value === 'object' &&
+            (typeof value.toAST === 'function' || (value.type === 'query' && Array.isArray(value.pipeline)));
+    }
+
+    function toPipeline(query) {
+        const ast = query.toAST ? query.toAST() : query;
+        return ast.pipeline || [];
+    }
+
+    /**
+     * Plain, key-sorted form of a query or params for comparison: nested
+     * queries reduce to their pipelines' operators and params, undefined
+     * properties are dropped
+     */
+    function canonicalize(value) {
+        if (isQuery(value)) {
+            return {
+                pipeline: toPipeline(value).map(node => ({
+                    operator: node.operator,
+                    params: canonicalize(node.params)
+                }))
+            };
+        }
+        if (Array.isArray(value)) {
+            return value.map(canonicalize);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const key of Object.keys(value).sort()) {
+                if (value[key] !== undefined) {
+                    result[key] = canonicalize(value[key]);
+                }
+            }
+            return result;
+        }
+        return value;
+    }
+
+    /**
+     * Does the text parse back to the expected value?
+     */
+    function reparses(text, parse, expected) {
+        let parsed;
+        try {
+            parsed = parse(new EOQLParser(text));
+        } catch (e) {
+            return false;
+        }
+        return JSON.stringify(canonicalize(parsed)) === JSON.stringify(canonicalize(expected));
+    }
+
+    function printIdentifier(name) {
+        return IDENTIFIER.test(name) && !RESERVED.has(name.toUpperCase())
+            ? name
+            : '`' + String(name).replace(/`/g, '``') + '`';
+    }
+
+    /**
+     * Qualified names stay bare when every part can, else quote the whole
+     */
+    function printName(name) {
+        const bare = String(name).split('.').every(part => IDENTIFIER.test(part) && !RESERVED.has(part.toUpperCase()));
+        return bare ? name : printIdentifier(name);
+    }
+
+    function printNameList(names) {
+        if (!Array.isArray(names) || names.length === 0 || !names.every(n => typeof n === 'string')) return null;
+        return names.map(printName).join(', ');
+    }
+
+    function printKey(key) {
+        return IDENTIFIER.test(key) ? key : printString(key);
+    }
+
+    function printString(value) {
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Infinity has no literal of its own; 1e999 overflows back to it, as
+     * SQL's 1e400 does
+     */
+    function printNumber(value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Cannot print ${String(value)} as an EOQL number`);
+        }
+        if (!Number.isFinite(value)) return value > 0 ? '1e999' : '-1e999';
+        return String(value);
+    }
+
+    /**
+     * Literal text for a value in expression position, or null if it has none
+     */
+    function printLiteral(value) {
+        if (value === null) return 'NULL';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'string') return printString(value);
+        if (typeof value === 'number' && !Number.isNaN(value)) return printNumber(value);
+        return null;
+    }
+
+    function prefixed(keyword, text) {
+        return text === null ? null : `${keyword} ${text}`;
+    }
+
+    // ============================================================================
+    // CONVENIENCE FUNCTIONS
+    // ============================================================================
+
+    /**
+     * Parse EOQL text into an EOQuery
+     * Throws with the line and column of the first syntax error.
+     */
+    function parseEOQL(text) {
+        return new EOQLParser(text).parse();
+    }
+
+    /**
+     * Print an EOQuery (or its AST) as EOQL text
+     * @param {Object} options - { indent, width }
+     */
+    function printEOQL(query, options = {}) {
+        return new EOQLPrinter(options).print(query);
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const exports = {
+        EOQLTokenizer,
+        EOQLParser,
+        EOQLPrinter,
+        TokenTypes,
+        parseEOQL,
+        printEOQL,
+        canonicalize
+    };
+
+    // Export to global scope
+    global.EOQLParser = EOQLParser;
+    global.parseEOQL = parseEOQL;
+    global.printEOQL = printEOQL;
+
+    // For CommonJS
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exports;
+    }
+
+})(typeof window !== 'undefined' ? window : global);
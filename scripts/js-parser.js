@@ -0,0 +1,1690 @@
+/**
+ * JavaScript Parser
+ * Dependency-free ECMAScript parser producing an ESTree-shaped syntax tree
+ *
+ * Written for scripts/sync-lint.js, which needs the real structure of the
+ * code (not regexes over lines) to follow values across statements. Covers
+ * the syntax used in this codebase: scripts and modules, classes with
+ * fields, async functions and generators, destructuring, optional chaining,
+ * template and regex literals. Early errors (duplicate bindings, strict
+ * mode restrictions) are not checked.
+ *
+ * Every node has start/end offsets and loc { start, end } with 1-based
+ * lines and 0-based columns, as in ESTree. The Program node carries the
+ * source's comments.
+ *
+ * Usage:
+ *   const { parse, forEachChild } = require('./js-parser');
+ *   const ast = parse(source);
+ *   forEachChild(ast, (child, key) => { ... });
+ */
+
+// ============================================================================
+// LEXICAL GRAMMAR
+// ============================================================================
+
+const KEYWORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for',
+    'function', 'if', 'import', 'in', 'instanceof', 'new', 'null', 'return', 'super',
+    'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with'
+]);
+
+// Longest first, so the scanner can take the first match
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+    '&', '|', '^', '!', '~', '?', ':', '=', '.', '@', '`'
+];
+
+const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=',
+    '&&=', '||=', '??='
+]);
+
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12
+};
+
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+
+const ID_START = /[\p{ID_Start}$_]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$_\u200C\u200D]/u;
+const LINE_BREAK = /\r\n?|[\n\u2028\u2029]/g;
+
+function isLineBreak(ch) {
+    return ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029';
+}
+
+function isWhitespace(ch) {
+    return ch === ' ' || ch === '\t' || ch === '\v' || ch === '\f' ||
+        ch === '\u00A0' || ch === '\uFEFF' || (ch > '\u007f' && /\s/.test(ch));
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class Parser {
+    constructor(source, options = {}) {
+        this.source = String(source);
+        this.options = options;
+        this.comments = [];
+        this.pos = 0;
+        this.prevEnd = 0;
+
+        this.lineStarts = [0];
+        for (const match of this.source.matchAll(LINE_BREAK)) {
+            this.lineStarts.push(match.index + match[0].length);
+        }
+
+        // Function context, for await/yield
+        this.inAsync = false;
+        this.inGenerator = false;
+        this.isModule = false;
+
+        // Hashbang
+        if (this.source.startsWith('#!')) {
+            while (this.pos < this.source.length && !isLineBreak(this.source[this.pos])) this.pos++;
+        }
+
+        this.tok = this.readToken();
+    }
+
+    // ========================================================================
+    // POSITIONS AND ERRORS
+    // ========================================================================
+
+    position(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] };
+    }
+
+    error(message, offset = this.tok.start) {
+        const { line, column } = this.position(offset);
+        const err = new SyntaxError(`${message} (${line}:${column + 1})`);
+        err.pos = offset;
+        err.loc = { line, column };
+        throw err;
+    }
+
+    unexpected(token = this.tok) {
+        this.error(token.type === 'eof' ? 'Unexpected end of input' : `Unexpected token ${this.source.slice(token.start, token.end)}`, token.start);
+    }
+
+    node(type, start, props) {
+        const end = this.prevEnd;
+        return {
+            type,
+            start,
+            end,
+            loc: { start: this.position(start), end: this.position(end) },
+            ...props
+        };
+    }
+
+    // ========================================================================
+    // TOKENIZER
+    // ========================================================================
+
+    /**
+     * Skip whitespace and comments; returns whether a line break was crossed
+     */
+    skipSpace() {
+        const src = this.source;
+        let newline = false;
+
+        while (this.pos < src.length) {
+            const ch = src[this.pos];
+            if (isLineBreak(ch)) {
+                newline = true;
+                this.pos++;
+            } else if (isWhitespace(ch)) {
+                this.pos++;
+            } else if (ch === '/' && src[this.pos + 1] === '/') {
+                const start = this.pos;
+                this.pos += 2;
+                while (this.pos < src.length && !isLineBreak(src[this.pos])) this.pos++;
+                this.pushComment('Line', start, start + 2, this.pos, this.pos);
+            } else if (ch === '/' && src[this.pos + 1] === '*') {
+                const start = this.pos;
+                const close = src.indexOf('*/', this.pos + 2);
+                if (close < 0) this.error('Unterminated comment', start);
+                if (/[\n\r\u2028\u2029]/.test(src.slice(start, close))) newline = true;
+                this.pos = close + 2;
+                this.pushComment('Block', start, start + 2, close, this.pos);
+            } else {
+                break;
+            }
+        }
+
+        return newline;
+    }
+
+    pushComment(type, start, valueStart, valueEnd, end) {
+        this.comments.push({
+            type,
+            value: this.source.slice(valueStart, valueEnd),
+            start,
+            end,
+            loc: { start: this.position(start), end: this.position(end) }
+        });
+    }
+
+    readToken() {
+        const nlBefore = this.skipSpace();
+        const src = this.source;
+        const start = this.pos;
+
+        if (start >= src.length) {
+            return { type: 'eof', value: null, start, end: start, nlBefore: true };
+        }
+
+        const ch = src[start];
+        const code = src.codePointAt(start);
+        const token = (type, value) => ({ type, value, start, end: this.pos, nlBefore });
+
+        if (ID_START.test(String.fromCodePoint(code)) || ch === '\\') {
+            return token('name', this.readWord());
+        }
+
+        if (ch === '#' && ID_START.test(src[start + 1] || '')) {
+            this.pos++;
+            return token('private', this.readWord());
+        }
+
+        if ((ch >= '0' && ch <= '9') || (ch === '.' && src[start + 1] >= '0' && src[start + 1] <= '9')) {
+            return token('num', this.readNumber());
+        }
+
+        if (ch === '"' || ch === '\'') {
+            return token('string', this.readString(ch));
+        }
+
+        for (const punct of PUNCTUATORS) {
+            if (src.startsWith(punct, start)) {
+                // "?." followed by a digit is a conditional: a?.5:0
+                if (punct === '?.' && src[start + 2] >= '0' && src[start + 2] <= '9') continue;
+                this.pos += punct.length;
+                return token('punct', punct);
+            }
+        }
+
+        this.error(`Unexpected character ${JSON.stringify(ch)}`, start);
+    }
+
+    readWord() {
+        const src = this.source;
+        let word = '';
+        while (this.pos < src.length) {
+            const code = src.codePointAt(this.pos);
+            const ch = String.fromCodePoint(code);
+            if (ch === '\\' && src[this.pos + 1] === 'u') {
+                this.pos += 2;
+                word += String.fromCodePoint(this.readUnicodeEscape());
+            } else if (ID_CONTINUE.test(ch)) {
+                word += ch;
+                this.pos += ch.length;
+            } else {
+                break;
+            }
+        }
+        return word;
+    }
+
+    readNumber() {
+        const src = this.source;
+        const start = this.pos;
+        const prefixed = /^0[xXoObB]/.test(src.slice(start, start + 2));
+
+        if (prefixed) {
+            this.pos += 2;
+            while (/[0-9a-fA-F_]/.test(src[this.pos] || '')) this.pos++;
+        } else {
+            while (/[0-9_]/.test(src[this.pos] || '')) this.pos++;
+            if (src[this.pos] === '.') {
+                this.pos++;
+                while (/[0-9_]/.test(src[this.pos] || '')) this.pos++;
+            }
+            if (/[eE]/.test(src[this.pos] || '')) {
+                this.pos++;
+                if (/[+-]/.test(src[this.pos] || '')) this.pos++;
+                while (/[0-9_]/.test(src[this.pos] || '')) this.pos++;
+            }
+        }
+
+        const text = src.slice(start, this.pos).replace(/_/g, '');
+        if (src[this.pos] === 'n') {
+            this.pos++;
+            return { bigint: text, raw: src.slice(start, this.pos) };
+        }
+        if (ID_START.test(src[this.pos] || '')) {
+            this.error('Identifier directly after number', this.pos);
+        }
+
+        const value = prefixed
+            ? Number(text)
+            : (/^0[0-7]+$/.test(text) ? parseInt(text, 8) : Number(text));
+        return { number: value, raw: src.slice(start, this.pos) };
+    }
+
+    readString(quote) {
+        const src = this.source;
+        const start = this.pos;
+        let value = '';
+        this.pos++;
+
+        for (;;) {
+            if (this.pos >= src.length || isLineBreak(src[this.pos]) && src[this.pos] !== '\u2028' && src[this.pos] !== '\u2029') {
+                this.error('Unterminated string', start);
+            }
+            const ch = src[this.pos];
+            if (ch === quote) {
+                this.pos++;
+                break;
+            }
+            if (ch === '\\') {
+                value += this.readEscape();
+            } else {
+                value += ch;
+                this.pos++;
+            }
+        }
+
+        return { string: value, raw: src.slice(start, this.pos) };
+    }
+
+    /**
+     * Read an escape sequence starting at the backslash
+     */
+    readEscape() {
+        const src = this.source;
+        this.pos++;
+        const ch = src[this.pos++];
+
+        switch (ch) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case '0':
+                if (!/[0-9]/.test(src[this.pos] || '')) return '\0';
+                break;
+            case 'x': {
+                const hex = src.slice(this.pos, this.pos + 2);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) this.error('Bad escape sequence', this.pos - 2);
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case 'u':
+                return String.fromCodePoint(this.readUnicodeEscape());
+            case '\r':
+                if (src[this.pos] === '\n') this.pos++;
+                return '';
+            case '\n':
+            case '\u2028':
+            case '\u2029':
+                return '';
+        }
+
+        if (/[0-7]/.test(ch)) {
+            // Legacy octal escape
+            let digits = ch;
+            while (digits.length < 3 && /[0-7]/.test(src[this.pos] || '')) digits += src[this.pos++];
+            return String.fromCharCode(parseInt(digits, 8));
+        }
+        return ch;
+    }
+
+    /**
+     * Read the part after "\u": XXXX or {X...}
+     */
+    readUnicodeEscape() {
+        const src = this.source;
+        let hex;
+        if (src[this.pos] === '{') {
+            const close = src.indexOf('}', this.pos);
+            hex = src.slice(this.pos + 1, close);
+            this.pos = close + 1;
+        } else {
+            hex = src.slice(this.pos, this.pos + 4);
+            this.pos += 4;
+        }
+        if (!/^[0-9a-fA-F]+$/.test(hex)) this.error('Bad Unicode escape', this.pos);
+        return parseInt(hex, 16);
+    }
+
+    /**
+     * Re-read the current "/" or "/=" token as a regular expression
+     */
+    readRegex() {
+        const src = this.source;
+        const start = this.tok.start;
+        let inClass = false;
+        this.pos = start + 1;
+
+        for (;;) {
+            const ch = src[this.pos];
+            if (ch === undefined || isLineBreak(ch)) this.error('Unterminated regular expression', start);
+            if (ch === '\\') {
+                this.pos += 2;
+                continue;
+            }
+            if (ch === '[') inClass = true;
+            else if (ch === ']') inClass = false;
+            else if (ch === '/' && !inClass) break;
+            this.pos++;
+        }
+
+        const pattern = src.slice(start + 1, this.pos);
+        this.pos++;
+        const flags = this.readWord();
+
+        this.tok = { type: 'regex', value: { pattern, flags }, start, end: this.pos, nlBefore: this.tok.nlBefore };
+    }
+
+    /**
+     * Read template characters from pos up to "${" or the closing backtick
+     */
+    readTemplateChunk(pos) {
+        const src = this.source;
+        const start = pos;
+        let cooked = '';
+        this.pos = pos;
+
+        for (;;) {
+            const ch = src[this.pos];
+            if (ch === undefined) this.error('Unterminated template', start);
+            if (ch === '`') {
+                return { raw: src.slice(start, this.pos), cooked, start, end: this.pos, tail: true, next: this.pos + 1 };
+            }
+            if (ch === '$' && src[this.pos + 1] === '{') {
+                return { raw: src.slice(start, this.pos), cooked, start, end: this.pos, tail: false, next: this.pos + 2 };
+            }
+            if (ch === '\\') {
+                cooked += this.readEscape();
+            } else if (ch === '\r') {
+                // Template line breaks are normalized to \n
+                cooked += '\n';
+                this.pos += src[this.pos + 1] === '\n' ? 2 : 1;
+            } else {
+                cooked += ch;
+                this.pos++;
+            }
+        }
+    }
+
+    /**
+     * Continue tokenizing from an offset (after template parts)
+     */
+    resetTo(pos) {
+        this.pos = pos;
+        this.tok = this.readToken();
+    }
+
+    next() {
+        this.prevEnd = this.tok.end;
+        this.tok = this.readToken();
+    }
+
+    /**
+     * The token after the current one, without consuming anything
+     */
+    peek() {
+        const saved = { pos: this.pos, comments: this.comments.length };
+        const token = this.readToken();
+        this.pos = saved.pos;
+        this.comments.length = saved.comments;
+        return token;
+    }
+
+    // ========================================================================
+    // TOKEN HELPERS
+    // ========================================================================
+
+    isPunct(value, token = this.tok) {
+        return token.type === 'punct' && token.value === value;
+    }
+
+    isName(value, token = this.tok) {
+        return token.type === 'name' && token.value === value;
+    }
+
+    eat(value) {
+        if (this.isPunct(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    eatName(value) {
+        if (this.isName(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.eat(value)) this.unexpected();
+    }
+
+    expectName(value) {
+        if (!this.eatName(value)) this.unexpected();
+    }
+
+    /**
+     * Statement end, with automatic semicolon insertion
+     */
+    semicolon() {
+        if (this.eat(';')) return;
+        if (this.isPunct('}') || this.tok.type === 'eof' || this.tok.nlBefore) return;
+        this.unexpected();
+    }
+
+    /**
+     * A contextual keyword (get, static, async...) used as a plain name:
+     * the next token ends or continues a key, not a member definition
+     */
+    isKeyAhead() {
+        const next = this.peek();
+        return next.type === 'punct' && ['(', '=', ';', '}', ',', ':'].includes(next.value);
+    }
+
+    // ========================================================================
+    // PROGRAM AND STATEMENTS
+    // ========================================================================
+
+    parseProgram() {
+        const body = [];
+        while (this.tok.type !== 'eof') {
+            body.push(this.parseStatement(true));
+        }
+        this.prevEnd = this.source.length;
+
+        return this.node('Program', 0, {
+            sourceType: this.isModule ? 'module' : 'script',
+            body,
+            comments: this.comments
+        });
+    }
+
+    parseStatement(topLevel = false) {
+        const start = this.tok.start;
+
+        if (this.tok.type === 'punct') {
+            if (this.tok.value === '{') return this.parseBlock();
+            if (this.tok.value === ';') {
+                this.next();
+                return this.node('EmptyStatement', start);
+            }
+        }
+
+        if (this.tok.type === 'name') {
+            switch (this.tok.value) {
+                case 'var':
+                case 'const':
+                    return this.parseVarStatement();
+                case 'let': {
+                    const next = this.peek();
+                    if (next.type === 'name' || this.isPunct('[', next) || this.isPunct('{', next)) {
+                        return this.parseVarStatement();
+                    }
+                    break;
+                }
+                case 'function':
+                    this.next();
+                    return this.parseFunction(start, { statement: true });
+                case 'async': {
+                    const next = this.peek();
+                    if (this.isName('function', next) && !next.nlBefore) {
+                        this.next();
+                        this.next();
+                        return this.parseFunction(start, { statement: true, isAsync: true });
+                    }
+                    break;
+                }
+                case 'class':
+                    return this.parseClass(true);
+                case 'if': return this.parseIf();
+                case 'for': return this.parseFor();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'return': return this.parseJump('ReturnStatement', 'argument');
+                case 'throw': return this.parseJump('ThrowStatement', 'argument');
+                case 'break': return this.parseJump('BreakStatement', 'label');
+                case 'continue': return this.parseJump('ContinueStatement', 'label');
+                case 'try': return this.parseTry();
+                case 'switch': return this.parseSwitch();
+                case 'with': return this.parseWith();
+                case 'debugger':
+                    this.next();
+                    this.semicolon();
+                    return this.node('DebuggerStatement', start);
+                case 'import': {
+                    const next = this.peek();
+                    if (!this.isPunct('(', next) && !this.isPunct('.', next)) {
+                        if (!topLevel) this.unexpected();
+                        return this.parseImport();
+                    }
+                    break;
+                }
+                case 'export':
+                    if (!topLevel) this.unexpected();
+                    return this.parseExport();
+                default:
+                    if (!KEYWORDS.has(this.tok.value) && this.isPunct(':', this.peek())) {
+                        const label = this.parseIdentifier();
+                        this.expect(':');
+                        return this.node('LabeledStatement', start, { label, body: this.parseStatement() });
+                    }
+            }
+        }
+
+        const expression = this.parseExpression();
+        this.semicolon();
+        return this.node('ExpressionStatement', start, { expression });
+    }
+
+    parseBlock() {
+        const start = this.tok.start;
+        this.expect('{');
+        const body = [];
+        while (!this.eat('}')) {
+            if (this.tok.type === 'eof') this.unexpected();
+            body.push(this.parseStatement());
+        }
+        return this.node('BlockStatement', start, { body });
+    }
+
+    parseVarStatement() {
+        const declaration = this.parseVar(false);
+        this.semicolon();
+        declaration.end = this.prevEnd;
+        declaration.loc.end = this.position(this.prevEnd);
+        return declaration;
+    }
+
+    parseVar(noIn) {
+        const start = this.tok.start;
+        const kind = this.tok.value;
+        this.next();
+
+        const declarations = [];
+        do {
+            const declStart = this.tok.start;
+            const id = this.parseBindingTarget();
+            const init = this.eat('=') ? this.parseAssign(noIn) : null;
+            declarations.push(this.node('VariableDeclarator', declStart, { id, init }));
+        } while (this.eat(','));
+
+        return this.node('VariableDeclaration', start, { kind, declarations });
+    }
+
+    parseIf() {
+        const start = this.tok.start;
+        this.next();
+        const test = this.parseParenExpression();
+        const consequent = this.parseStatement();
+        const alternate = this.eatName('else') ? this.parseStatement() : null;
+        return this.node('IfStatement', start, { test, consequent, alternate });
+    }
+
+    parseParenExpression() {
+        this.expect('(');
+        const expression = this.parseExpression();
+        this.expect(')');
+        return expression;
+    }
+
+    parseFor() {
+        const start = this.tok.start;
+        this.next();
+        const isAwait = this.eatName('await');
+        this.expect('(');
+
+        let init = null;
+        if (this.isPunct(';')) {
+            // for (;;)
+        } else if (this.isName('var') || this.isName('const') ||
+            (this.isName('let') && (this.peek().type === 'name' || this.isPunct('[', this.peek()) || this.isPunct('{', this.peek())))) {
+            init = this.parseVar(true);
+        } else {
+            init = this.parseExpression(true);
+        }
+
+        if (init && (this.isName('of') || this.isName('in'))) {
+            const type = this.tok.value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+            this.next();
+            const left = init.type === 'VariableDeclaration' ? init : this.toPattern(init);
+            const right = type === 'ForOfStatement' ? this.parseAssign() : this.parseExpression();
+            this.expect(')');
+            const body = this.parseStatement();
+            return this.node(type, start, {
+                left,
+                right,
+                body,
+                ...(type === 'ForOfStatement' ? { await: isAwait } : {})
+            });
+        }
+
+        this.expect(';');
+        const test = this.isPunct(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.isPunct(')') ? null : this.parseExpression();
+        this.expect(')');
+        const body = this.parseStatement();
+        return this.node('ForStatement', start, { init, test, update, body });
+    }
+
+    parseWhile() {
+        const start = this.tok.start;
+        this.next();
+        const test = this.parseParenExpression();
+        const body = this.parseStatement();
+        return this.node('WhileStatement', start, { test, body });
+    }
+
+    parseDoWhile() {
+        const start = this.tok.start;
+        this.next();
+        const body = this.parseStatement();
+        this.expectName('while');
+        const test = this.parseParenExpression();
+        this.eat(';');
+        return this.node('DoWhileStatement', start, { body, test });
+    }
+
+    /**
+     * return / throw / break / continue: the operand must start on the same line
+     */
+    parseJump(type, key) {
+        const start = this.tok.start;
+        this.next();
+
+        let operand = null;
+        if (!this.isPunct(';') && !this.isPunct('}') && this.tok.type !== 'eof' && !this.tok.nlBefore) {
+            operand = key === 'label' ? this.parseIdentifier() : this.parseExpression();
+        }
+        if (type === 'ThrowStatement' && !operand) this.error('Illegal newline after throw');
+
+        this.semicolon();
+        return this.node(type, start, { [key]: operand });
+    }
+
+    parseTry() {
+        const start = this.tok.start;
+        this.next();
+        const block = this.parseBlock();
+
+        let handler = null;
+        if (this.isName('catch')) {
+            const catchStart = this.tok.start;
+            this.next();
+            let param = null;
+            if (this.eat('(')) {
+                param = this.parseBindingTarget();
+                this.expect(')');
+            }
+            handler = this.node('CatchClause', catchStart, { param, body: this.parseBlock() });
+        }
+
+        const finalizer = this.eatName('finally') ? this.parseBlock() : null;
+        if (!handler && !finalizer) this.error('Missing catch or finally after try');
+
+        return this.node('TryStatement', start, { block, handler, finalizer });
+    }
+
+    parseSwitch() {
+        const start = this.tok.start;
+        this.next();
+        const discriminant = this.parseParenExpression();
+        this.expect('{');
+
+        const cases = [];
+        while (!this.eat('}')) {
+            const caseStart = this.tok.start;
+            let test = null;
+            if (this.eatName('case')) {
+                test = this.parseExpression();
+            } else {
+                this.expectName('default');
+            }
+            this.expect(':');
+
+            const consequent = [];
+            while (!this.isName('case') && !this.isName('default') && !this.isPunct('}')) {
+                if (this.tok.type === 'eof') this.unexpected();
+                consequent.push(this.parseStatement());
+            }
+            cases.push(this.node('SwitchCase', caseStart, { test, consequent }));
+        }
+
+        return this.node('SwitchStatement', start, { discriminant, cases });
+    }
+
+    parseWith() {
+        const start = this.tok.start;
+        this.next();
+        const object = this.parseParenExpression();
+        const body = this.parseStatement();
+        return this.node('WithStatement', start, { object, body });
+    }
+
+    // ========================================================================
+    // MODULES
+    // ========================================================================
+
+    parseImport() {
+        const start = this.tok.start;
+        this.isModule = true;
+        this.next();
+
+        const specifiers = [];
+        if (this.tok.type !== 'string') {
+            if (this.tok.type === 'name') {
+                const local = this.parseIdentifier();
+                specifiers.push(this.node('ImportDefaultSpecifier', local.start, { local }));
+                this.eat(',');
+            }
+            if (this.isPunct('*')) {
+                const nsStart = this.tok.start;
+                this.next();
+                this.expectName('as');
+                const local = this.parseIdentifier();
+                specifiers.push(this.node('ImportNamespaceSpecifier', nsStart, { local }));
+            } else if (this.eat('{')) {
+                while (!this.eat('}')) {
+                    const specStart = this.tok.start;
+                    const imported = this.parseModuleName();
+                    const local = this.eatName('as') ? this.parseIdentifier() : imported;
+                    specifiers.push(this.node('ImportSpecifier', specStart, { imported, local }));
+                    if (!this.isPunct('}')) this.expect(',');
+                }
+            }
+            this.expectName('from');
+        }
+
+        const source = this.parseLiteral();
+        this.semicolon();
+        return this.node('ImportDeclaration', start, { specifiers, source });
+    }
+
+    parseExport() {
+        const start = this.tok.start;
+        this.isModule = true;
+        this.next();
+
+        if (this.eat('*')) {
+            const exported = this.eatName('as') ? this.parseModuleName() : null;
+            this.expectName('from');
+            const source = this.parseLiteral();
+            this.semicolon();
+            return this.node('ExportAllDeclaration', start, { exported, source });
+        }
+
+        if (this.eatName('default')) {
+            let declaration;
+            const declStart = this.tok.start;
+            if (this.isName('function')) {
+                this.next();
+                declaration = this.parseFunction(declStart, { statement: true, anonymous: true });
+            } else if (this.isName('async') && this.isName('function', this.peek())) {
+                this.next();
+                this.next();
+                declaration = this.parseFunction(declStart, { statement: true, anonymous: true, isAsync: true });
+            } else if (this.isName('class')) {
+                declaration = this.parseClass(true, true);
+            } else {
+                declaration = this.parseAssign();
+                this.semicolon();
+            }
+            return this.node('ExportDefaultDeclaration', start, { declaration });
+        }
+
+        if (this.eat('{')) {
+            const specifiers = [];
+            while (!this.eat('}')) {
+                const specStart = this.tok.start;
+                const local = this.parseModuleName();
+                const exported = this.eatName('as') ? this.parseModuleName() : local;
+                specifiers.push(this.node('ExportSpecifier', specStart, { local, exported }));
+                if (!this.isPunct('}')) this.expect(',');
+            }
+            const source = this.eatName('from') ? this.parseLiteral() : null;
+            this.semicolon();
+            return this.node('ExportNamedDeclaration', start, { declaration: null, specifiers, source });
+        }
+
+        const declaration = this.parseStatement();
+        return this.node('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null });
+    }
+
+    parseModuleName() {
+        return this.tok.type === 'string' ? this.parseLiteral() : this.parseIdentifier(true);
+    }
+
+    // ========================================================================
+    // FUNCTIONS AND CLASSES
+    // ========================================================================
+
+    /**
+     * Parse a function after the "function" keyword
+     */
+    parseFunction(start, { statement = false, anonymous = false, isAsync = false } = {}) {
+        const generator = this.eat('*');
+
+        let id = null;
+        if (this.tok.type === 'name' && !this.isPunct('(')) {
+            id = this.parseIdentifier();
+        } else if (statement && !anonymous) {
+            this.unexpected();
+        }
+
+        const { params, body } = this.parseFunctionRest(isAsync, generator);
+        return this.node(statement ? 'FunctionDeclaration' : 'FunctionExpression', start, {
+            id, params, body, async: isAsync, generator, expression: false
+        });
+    }
+
+    parseFunctionRest(isAsync, generator) {
+        const saved = [this.inAsync, this.inGenerator];
+        this.inAsync = isAsync;
+        this.inGenerator = generator;
+
+        const params = this.parseParams();
+        const body = this.parseBlock();
+
+        [this.inAsync, this.inGenerator] = saved;
+        return { params, body };
+    }
+
+    parseParams() {
+        this.expect('(');
+        const params = [];
+        while (!this.eat(')')) {
+            if (this.isPunct('...')) {
+                const start = this.tok.start;
+                this.next();
+                params.push(this.node('RestElement', start, { argument: this.parseBindingTarget() }));
+            } else {
+                params.push(this.parseBindingElement());
+            }
+            if (!this.isPunct(')')) this.expect(',');
+        }
+        return params;
+    }
+
+    parseClass(statement, anonymous = false) {
+        const start = this.tok.start;
+        this.next();
+
+        let id = null;
+        if (this.tok.type === 'name' && !this.isName('extends')) {
+            id = this.parseIdentifier();
+        } else if (statement && !anonymous) {
+            this.unexpected();
+        }
+
+        const superClass = this.eatName('extends') ? this.parseSubscripts(this.parsePrimary()) : null;
+
+        const bodyStart = this.tok.start;
+        this.expect('{');
+        const members = [];
+        while (!this.eat('}')) {
+            if (this.eat(';')) continue;
+            members.push(this.parseClassMember());
+        }
+        const body = this.node('ClassBody', bodyStart, { body: members });
+
+        return this.node(statement ? 'ClassDeclaration' : 'ClassExpression', start, { id, superClass, body });
+    }
+
+    parseClassMember() {
+        const start = this.tok.start;
+
+        let isStatic = false;
+        if (this.isName('static') && !this.isKeyAhead()) {
+            this.next();
+            if (this.isPunct('{')) {
+                const block = this.parseBlock();
+                return this.node('StaticBlock', start, { body: block.body });
+            }
+            isStatic = true;
+        }
+
+        const { kind, isAsync, generator, key, computed } = this.parseMemberHead();
+
+        if (this.isPunct('(')) {
+            const valueStart = this.tok.start;
+            const { params, body } = this.parseFunctionRest(isAsync, generator);
+            const value = this.node('FunctionExpression', valueStart, {
+                id: null, params, body, async: isAsync, generator, expression: false
+            });
+            const isConstructor = !isStatic && !computed && kind === 'method' &&
+                (key.name === 'constructor' || key.value === 'constructor');
+            return this.node('MethodDefinition', start, {
+                key, computed, value, kind: isConstructor ? 'constructor' : kind, static: isStatic
+            });
+        }
+
+        const value = this.eat('=') ? this.parseFieldInitializer() : null;
+        this.semicolon();
+        return this.node('PropertyDefinition', start, { key, computed, value, static: isStatic });
+    }
+
+    parseFieldInitializer() {
+        const saved = [this.inAsync, this.inGenerator];
+        this.inAsync = false;
+        this.inGenerator = false;
+        const value = this.parseAssign();
+        [this.inAsync, this.inGenerator] = saved;
+        return value;
+    }
+
+    /**
+     * Modifiers and key of an object or class member
+     */
+    parseMemberHead() {
+        let kind = 'method';
+        let isAsync = false;
+        let generator = false;
+
+        if (this.isName('async') && !this.isKeyAhead() && !this.peek().nlBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat('*')) {
+            generator = true;
+        }
+        if (!isAsync && !generator && (this.isName('get') || this.isName('set')) && !this.isKeyAhead()) {
+            kind = this.tok.value;
+            this.next();
+        }
+
+        const { key, computed } = this.parsePropertyKey();
+        return { kind, isAsync, generator, key, computed };
+    }
+
+    parsePropertyKey() {
+        if (this.eat('[')) {
+            const key = this.parseAssign();
+            this.expect(']');
+            return { key, computed: true };
+        }
+        if (this.tok.type === 'string' || this.tok.type === 'num') {
+            return { key: this.parseLiteral(), computed: false };
+        }
+        if (this.tok.type === 'private') {
+            const start = this.tok.start;
+            const name = this.tok.value;
+            this.next();
+            return { key: this.node('PrivateIdentifier', start, { name }), computed: false };
+        }
+        return { key: this.parseIdentifier(true), computed: false };
+    }
+
+    // ========================================================================
+    // BINDING PATTERNS
+    // ========================================================================
+
+    parseBindingTarget() {
+        const start = this.tok.start;
+
+        if (this.eat('[')) {
+            const elements = [];
+            while (!this.eat(']')) {
+                if (this.isPunct(',')) {
+                    this.next();
+                    elements.push(null);
+                    continue;
+                }
+                if (this.isPunct('...')) {
+                    const restStart = this.tok.start;
+                    this.next();
+                    elements.push(this.node('RestElement', restStart, { argument: this.parseBindingTarget() }));
+                } else {
+                    elements.push(this.parseBindingElement());
+                }
+                if (!this.isPunct(']')) this.expect(',');
+            }
+            return this.node('ArrayPattern', start, { elements });
+        }
+
+        if (this.eat('{')) {
+            const properties = [];
+            while (!this.eat('}')) {
+                const propStart = this.tok.start;
+                if (this.isPunct('...')) {
+                    this.next();
+                    properties.push(this.node('RestElement', propStart, { argument: this.parseBindingTarget() }));
+                } else {
+                    const { key, computed } = this.parsePropertyKey();
+                    let value;
+                    let shorthand = false;
+                    if (this.eat(':')) {
+                        value = this.parseBindingElement();
+                    } else {
+                        if (key.type !== 'Identifier') this.unexpected();
+                        shorthand = true;
+                        value = { ...key };
+                        if (this.eat('=')) {
+                            value = this.node('AssignmentPattern', propStart, { left: value, right: this.parseAssign() });
+                        }
+                    }
+                    properties.push(this.node('Property', propStart, {
+                        key, value, computed, shorthand, kind: 'init', method: false
+                    }));
+                }
+                if (!this.isPunct('}')) this.expect(',');
+            }
+            return this.node('ObjectPattern', start, { properties });
+        }
+
+        return this.parseIdentifier();
+    }
+
+    parseBindingElement() {
+        const start = this.tok.start;
+        const target = this.parseBindingTarget();
+        if (this.eat('=')) {
+            return this.node('AssignmentPattern', start, { left: target, right: this.parseAssign() });
+        }
+        return target;
+    }
+
+    /**
+     * Reinterpret an expression as an assignment target
+     */
+    toPattern(node) {
+        switch (node.type) {
+            case 'Identifier':
+            case 'MemberExpression':
+            case 'ObjectPattern':
+            case 'ArrayPattern':
+            case 'AssignmentPattern':
+            case 'RestElement':
+                return node;
+            case 'ObjectExpression':
+                return {
+                    ...node,
+                    type: 'ObjectPattern',
+                    properties: node.properties.map(p => p.type === 'SpreadElement'
+                        ? { ...p, type: 'RestElement', argument: this.toPattern(p.argument) }
+                        : { ...p, value: this.toPattern(p.value) })
+                };
+            case 'ArrayExpression':
+                return {
+                    ...node,
+                    type: 'ArrayPattern',
+                    elements: node.elements.map(e => {
+                        if (!e) return e;
+                        if (e.type === 'SpreadElement') return { ...e, type: 'RestElement', argument: this.toPattern(e.argument) };
+                        return this.toPattern(e);
+                    })
+                };
+            case 'AssignmentExpression':
+                if (node.operator !== '=') break;
+                return { ...node, type: 'AssignmentPattern', left: this.toPattern(node.left), operator: undefined };
+        }
+        this.error('Invalid assignment target', node.start);
+    }
+
+    // ========================================================================
+    // EXPRESSIONS
+    // ========================================================================
+
+    parseExpression(noIn = false) {
+        const start = this.tok.start;
+        const expression = this.parseAssign(noIn);
+        if (!this.isPunct(',')) return expression;
+
+        const expressions = [expression];
+        while (this.eat(',')) {
+            expressions.push(this.parseAssign(noIn));
+        }
+        return this.node('SequenceExpression', start, { expressions });
+    }
+
+    parseAssign(noIn = false) {
+        if (this.inGenerator && this.isName('yield')) {
+            return this.parseYield(noIn);
+        }
+
+        const start = this.tok.start;
+        const left = this.parseConditional(noIn);
+
+        if (left.type === 'ArrowParameters') {
+            return this.parseArrow(left.start, left.params, left.async, noIn);
+        }
+        if (this.isPunct('=>') && left.type === 'Identifier' && !left.parenthesized) {
+            return this.parseArrow(start, [left], false, noIn);
+        }
+
+        if (this.tok.type === 'punct' && ASSIGNMENT_OPERATORS.has(this.tok.value)) {
+            const operator = this.tok.value;
+            const target = operator === '=' ? this.toPattern(left) : left;
+            this.next();
+            const right = this.parseAssign(noIn);
+            return this.node('AssignmentExpression', start, { operator, left: target, right });
+        }
+
+        return left;
+    }
+
+    parseYield(noIn) {
+        const start = this.tok.start;
+        this.next();
+
+        const delegate = this.eat('*');
+        let argument = null;
+        const ends = this.tok.nlBefore || this.tok.type === 'eof' ||
+            (this.tok.type === 'punct' && [')', ']', '}', ',', ';', ':'].includes(this.tok.value));
+        if (delegate || !ends) {
+            argument = this.parseAssign(noIn);
+        }
+        return this.node('YieldExpression', start, { argument, delegate });
+    }
+
+    parseArrow(start, params, isAsync, noIn) {
+        this.expect('=>');
+        const saved = [this.inAsync, this.inGenerator];
+        this.inAsync = isAsync;
+        this.inGenerator = false;
+
+        const expression = !this.isPunct('{');
+        const body = expression ? this.parseAssign(noIn) : this.parseBlock();
+
+        [this.inAsync, this.inGenerator] = saved;
+        return this.node('ArrowFunctionExpression', start, {
+            id: null, params, body, async: isAsync, generator: false, expression
+        });
+    }
+
+    parseConditional(noIn) {
+        const start = this.tok.start;
+        const test = this.parseBinary(0, noIn);
+        if (!this.isPunct('?') || test.type === 'ArrowParameters') return test;
+
+        this.next();
+        const consequent = this.parseAssign();
+        this.expect(':');
+        const alternate = this.parseAssign(noIn);
+        return this.node('ConditionalExpression', start, { test, consequent, alternate });
+    }
+
+    currentBinaryOperator(noIn) {
+        const { type, value } = this.tok;
+        if (type === 'punct' && BINARY_PRECEDENCE[value]) return value;
+        if (type === 'name' && (value === 'instanceof' || (value === 'in' && !noIn))) return value;
+        return null;
+    }
+
+    parseBinary(minPrecedence, noIn) {
+        const start = this.tok.start;
+        let left = this.parseUnary();
+        if (left.type === 'ArrowParameters') return left;
+
+        for (;;) {
+            const operator = this.currentBinaryOperator(noIn);
+            const precedence = operator ? BINARY_PRECEDENCE[operator] : 0;
+            if (!operator || precedence <= minPrecedence) return left;
+
+            this.next();
+            // ** is right-associative
+            const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence, noIn);
+            left = this.node(LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression', start, {
+                operator, left, right
+            });
+        }
+    }
+
+    parseUnary() {
+        const start = this.tok.start;
+        const { type, value } = this.tok;
+
+        if ((type === 'punct' && ['!', '~', '+', '-'].includes(value)) ||
+            (type === 'name' && ['typeof', 'void', 'delete'].includes(value))) {
+            this.next();
+            return this.node('UnaryExpression', start, { operator: value, prefix: true, argument: this.parseUnary() });
+        }
+
+        if (type === 'punct' && (value === '++' || value === '--')) {
+            this.next();
+            return this.node('UpdateExpression', start, { operator: value, prefix: true, argument: this.parseUnary() });
+        }
+
+        if (this.inAsync && this.isName('await')) {
+            this.next();
+            return this.node('AwaitExpression', start, { argument: this.parseUnary() });
+        }
+
+        const expression = this.parseSubscripts(this.parsePrimary());
+        if (this.tok.type === 'punct' && (this.tok.value === '++' || this.tok.value === '--') && !this.tok.nlBefore) {
+            const operator = this.tok.value;
+            this.next();
+            return this.node('UpdateExpression', start, { operator, prefix: false, argument: expression });
+        }
+        return expression;
+    }
+
+    /**
+     * Member access, calls and tagged templates after a primary expression;
+     * an optional chain is wrapped in a ChainExpression as in ESTree
+     */
+    parseSubscripts(base, noCall = false) {
+        if (base.type === 'ArrowParameters') return base;
+
+        const start = base.start;
+        let node = base;
+        let chained = false;
+
+        for (;;) {
+            if (this.isPunct('.')) {
+                this.next();
+                node = this.node('MemberExpression', start, {
+                    object: node, property: this.parseMemberName(), computed: false, optional: false
+                });
+            } else if (this.isPunct('?.')) {
+                if (noCall) this.unexpected();
+                chained = true;
+                this.next();
+                if (this.isPunct('(')) {
+                    node = this.node('CallExpression', start, { callee: node, arguments: this.parseArguments(), optional: true });
+                } else if (this.eat('[')) {
+                    const property = this.parseExpression();
+                    this.expect(']');
+                    node = this.node('MemberExpression', start, { object: node, property, computed: true, optional: true });
+                } else {
+                    node = this.node('MemberExpression', start, {
+                        object: node, property: this.parseMemberName(), computed: false, optional: true
+                    });
+                }
+            } else if (this.eat('[')) {
+                const property = this.parseExpression();
+                this.expect(']');
+                node = this.node('MemberExpression', start, { object: node, property, computed: true, optional: false });
+            } else if (!noCall && this.isPunct('(')) {
+                node = this.node('CallExpression', start, { callee: node, arguments: this.parseArguments(), optional: false });
+            } else if (this.isPunct('`')) {
+                const quasi = this.parseTemplate();
+                node = this.node('TaggedTemplateExpression', start, { tag: node, quasi });
+            } else {
+                break;
+            }
+        }
+
+        return chained ? this.node('ChainExpression', start, { expression: node }) : node;
+    }
+
+    parseMemberName() {
+        if (this.tok.type === 'private') {
+            const start = this.tok.start;
+            const name = this.tok.value;
+            this.next();
+            return this.node('PrivateIdentifier', start, { name });
+        }
+        return this.parseIdentifier(true);
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.eat(')')) {
+            args.push(this.parseSpreadOrAssign());
+            if (!this.isPunct(')')) this.expect(',');
+        }
+        return args;
+    }
+
+    parseSpreadOrAssign() {
+        if (this.isPunct('...')) {
+            const start = this.tok.start;
+            this.next();
+            return this.node('SpreadElement', start, { argument: this.parseAssign() });
+        }
+        return this.parseAssign();
+    }
+
+    parsePrimary() {
+        const start = this.tok.start;
+        const { type, value } = this.tok;
+
+        switch (type) {
+            case 'num':
+            case 'string':
+                return this.parseLiteral();
+            case 'regex':
+                break;
+            case 'private': {
+                // #field in object
+                this.next();
+                return this.node('PrivateIdentifier', start, { name: value });
+            }
+            case 'punct':
+                switch (value) {
+                    case '(': return this.parseParenthesized(start, false);
+                    case '[': return this.parseArrayLiteral();
+                    case '{': return this.parseObjectLiteral();
+                    case '`': return this.parseTemplate();
+                    case '/':
+                    case '/=': {
+                        this.readRegex();
+                        const { pattern, flags } = this.tok.value;
+                        const raw = this.source.slice(this.tok.start, this.tok.end);
+                        this.next();
+                        return this.node('Literal', start, { value: null, raw, regex: { pattern, flags } });
+                    }
+                }
+                break;
+            case 'name':
+                return this.parseNamePrimary();
+        }
+
+        this.unexpected();
+    }
+
+    parseNamePrimary() {
+        const start = this.tok.start;
+        const value = this.tok.value;
+
+        switch (value) {
+            case 'this':
+                this.next();
+                return this.node('ThisExpression', start);
+            case 'super':
+                this.next();
+                return this.node('Super', start);
+            case 'null':
+            case 'true':
+            case 'false': {
+                this.next();
+                const literal = value === 'null' ? null : value === 'true';
+                return this.node('Literal', start, { value: literal, raw: value });
+            }
+            case 'function':
+                this.next();
+                return this.parseFunction(start);
+            case 'class':
+                return this.parseClass(false);
+            case 'new':
+                return this.parseNew();
+            case 'import': {
+                this.next();
+                if (this.eat('.')) {
+                    const meta = this.node('Identifier', start, { name: 'import' });
+                    return this.node('MetaProperty', start, { meta, property: this.parseIdentifier(true) });
+                }
+                this.expect('(');
+                const source = this.parseAssign();
+                this.expect(')');
+                return this.node('ImportExpression', start, { source });
+            }
+            case 'async': {
+                const next = this.peek();
+                if (!next.nlBefore) {
+                    if (this.isName('function', next)) {
+                        this.next();
+                        this.next();
+                        return this.parseFunction(start, { isAsync: true });
+                    }
+                    if (this.isPunct('(', next)) {
+                        const callee = this.parseIdentifier();
+                        return this.parseParenthesized(start, true, callee);
+                    }
+                    if (next.type === 'name' && !KEYWORDS.has(next.value)) {
+                        this.next();
+                        const param = this.parseIdentifier();
+                        if (!this.isPunct('=>')) this.unexpected();
+                        return { type: 'ArrowParameters', start, params: [param], async: true };
+                    }
+                }
+                break;
+            }
+        }
+
+        return this.parseIdentifier();
+    }
+
+    parseNew() {
+        const start = this.tok.start;
+        this.next();
+
+        if (this.eat('.')) {
+            const meta = this.node('Identifier', start, { name: 'new' });
+            return this.node('MetaProperty', start, { meta, property: this.parseIdentifier(true) });
+        }
+
+        const callee = this.parseSubscripts(this.parsePrimary(), true);
+        const args = this.isPunct('(') ? this.parseArguments() : [];
+        return this.node('NewExpression', start, { callee, arguments: args });
+    }
+
+    /**
+     * "(" after an expression start: a parenthesized expression, arrow
+     * function parameters, or the arguments of async(...)
+     */
+    parseParenthesized(start, isAsyncCall, asyncCallee = null) {
+        this.expect('(');
+        const items = [];
+        while (!this.eat(')')) {
+            items.push(this.parseSpreadOrAssign());
+            if (!this.isPunct(')')) this.expect(',');
+        }
+
+        if (this.isPunct('=>') && !this.tok.nlBefore) {
+            return { type: 'ArrowParameters', start, params: items.map(item => this.toParam(item)), async: isAsyncCall };
+        }
+
+        if (isAsyncCall) {
+            return this.node('CallExpression', start, { callee: asyncCallee, arguments: items, optional: false });
+        }
+
+        if (items.length === 0) this.unexpected();
+        items.forEach(item => {
+            if (item.type === 'SpreadElement') this.error('Unexpected spread', item.start);
+        });
+
+        if (items.length === 1) {
+            items[0].parenthesized = true;
+            return items[0];
+        }
+
+        const last = items[items.length - 1];
+        const sequence = {
+            type: 'SequenceExpression',
+            start: items[0].start,
+            end: last.end,
+            loc: { start: items[0].loc.start, end: last.loc.end },
+            expressions: items,
+            parenthesized: true
+        };
+        return sequence;
+    }
+
+    toParam(item) {
+        if (item.type === 'SpreadElement') {
+            return { ...item, type: 'RestElement', argument: this.toPattern(item.argument) };
+        }
+        return this.toPattern(item);
+    }
+
+    parseArrayLiteral() {
+        const start = this.tok.start;
+        this.expect('[');
+        const elements = [];
+        while (!this.eat(']')) {
+            if (this.isPunct(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            elements.push(this.parseSpreadOrAssign());
+            if (!this.isPunct(']')) this.expect(',');
+        }
+        return this.node('ArrayExpression', start, { elements });
+    }
+
+    parseObjectLiteral() {
+        const start = this.tok.start;
+        this.expect('{');
+        const properties = [];
+
+        while (!this.eat('}')) {
+            const propStart = this.tok.start;
+
+            if (this.isPunct('...')) {
+                this.next();
+                properties.push(this.node('SpreadElement', propStart, { argument: this.parseAssign() }));
+            } else {
+                const { kind, isAsync, generator, key, computed } = this.parseMemberHead();
+
+                if (this.isPunct('(')) {
+                    const valueStart = this.tok.start;
+                    const { params, body } = this.parseFunctionRest(isAsync, generator);
+                    const value = this.node('FunctionExpression', valueStart, {
+                        id: null, params, body, async: isAsync, generator, expression: false
+                    });
+                    properties.push(this.node('Property', propStart, {
+                        key, value, computed, shorthand: false,
+                        kind: kind === 'method' ? 'init' : kind,
+                        method: kind === 'method'
+                    }));
+                } else if (this.eat(':')) {
+                    properties.push(this.node('Property', propStart, {
+                        key, value: this.parseAssign(), computed, shorthand: false, kind: 'init', method: false
+                    }));
+                } else {
+                    // Shorthand, with a default when this is really a pattern: ({ a = 1 } = obj)
+                    if (key.type !== 'Identifier' || computed) this.unexpected();
+                    let value = { ...key };
+                    if (this.eat('=')) {
+                        value = this.node('AssignmentPattern', propStart, { left: value, right: this.parseAssign() });
+                    }
+                    properties.push(this.node('Property', propStart, {
+                        key, value, computed: false, shorthand: true, kind: 'init', method: false
+                    }));
+                }
+            }
+
+            if (!this.isPunct('}')) this.expect(',');
+        }
+
+        return this.node('ObjectExpression', start, { properties });
+    }
+
+    parseTemplate() {
+        const start = this.tok.start;
+        const quasis = [];
+        const expressions = [];
+        let pos = this.tok.end;
+
+        for (;;) {
+            const chunk = this.readTemplateChunk(pos);
+            quasis.push({
+                type: 'TemplateElement',
+                start: chunk.start,
+                end: chunk.end,
+                loc: { start: this.position(chunk.start), end: this.position(chunk.end) },
+                value: { raw: chunk.raw, cooked: chunk.cooked },
+                tail: chunk.tail
+            });
+
+            if (chunk.tail) {
+                this.prevEnd = chunk.next;
+                this.resetTo(chunk.next);
+                break;
+            }
+
+            this.resetTo(chunk.next);
+            expressions.push(this.parseExpression());
+            if (!this.isPunct('}')) this.unexpected();
+            pos = this.tok.end;
+        }
+
+        return this.node('TemplateLiteral', start, { quasis, expressions });
+    }
+
+    parseLiteral() {
+        const start = this.tok.start;
+        const { type, value } = this.tok;
+        this.next();
+
+        if (type === 'string') {
+            return this.node('Literal', start, { value: value.string, raw: value.raw });
+        }
+        if (type === 'num') {
+            if (value.bigint !== undefined) {
+                return this.node('Literal', start, { value: BigInt(value.bigint), raw: value.raw, bigint: value.bigint });
+            }
+            return this.node('Literal', start, { value: value.number, raw: value.raw });
+        }
+        this.error('Expected a literal', start);
+    }
+
+    /**
+     * @param {boolean} allowKeywords - Property names may be reserved words
+     */
+    parseIdentifier(allowKeywords = false) {
+        const start = this.tok.start;
+        if (this.tok.type !== 'name' || (!allowKeywords && KEYWORDS.has(this.tok.value))) {
+            this.unexpected();
+        }
+        const name = this.tok.value;
+        this.next();
+        return this.node('Identifier', start, { name });
+    }
+}
+
+// ============================================================================
+// TREE HELPERS
+// ============================================================================
+
+const NON_CHILD_KEYS = new Set(['type', 'start', 'end', 'loc', 'comments']);
+
+/**
+ * Call fn(child, key) for every direct child node, in source order
+ */
+function forEachChild(node, fn) {
+    for (const key of Object.keys(node)) {
+        if (NON_CHILD_KEYS.has(key)) continue;
+        const child = node[key];
+        if (Array.isArray(child)) {
+            child.forEach(c => c && typeof c.type === 'string' && fn(c, key));
+        } else if (child && typeof child.type === 'string') {
+            fn(child, key);
+        }
+    }
+}
+
+/**
+ * Parse JavaScript source into an ESTree Program
+ * @throws {SyntaxError} With pos and loc of the offending token
+ */
+function parse(source, options = {}) {
+    return new Parser(source, options).parseProgram();
+}
+
+module.exports = { parse, forEachChild, Parser, KEYWORDS };
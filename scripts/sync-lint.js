@@ -4,10 +4,24 @@
  * Sync Handbook Linter
  * Static analysis to detect potential sync rule violations
  *
+ * Works on the parse tree (scripts/js-parser.js), not on lines of text.
+ * Values are followed through variables, destructuring, loops and
+ * callbacks, so `.set()` is only reported when the receiver really is
+ * log-derived state (state.sets, a set's records, ...), however the
+ * expression is split across lines.
+ *
  * Usage:
  *   node scripts/sync-lint.js [files...]
  *   node scripts/sync-lint.js --all
  *   node scripts/sync-lint.js --staged
+ *   node scripts/sync-lint.js --all --sarif > sync-lint.sarif
+ *
+ * Suppressing a finding (the reason after "--" is kept in SARIF output):
+ *   // sync-lint-disable-next-line AXIOM_0_DIRECT_MUTATION -- reason
+ *   foo(); // sync-lint-disable-line RULE_7
+ *   // sync-lint-disable-file AXIOM_0 -- reason   (anywhere in the file)
+ * A rule prefix (RULE_7, AXIOM_0) covers every check under that rule;
+ * no ids at all covers every check.
  *
  * Exit codes:
  *   0 - No violations
@@ -18,6 +32,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { parse, forEachChild } = require('./js-parser');
 
 // ============================================================================
 // CONFIGURATION
@@ -35,41 +50,59 @@ const CONFIG = {
     ],
 
     // File extensions to check
-    extensions: ['.js', '.ts', '.jsx', '.tsx'],
+    extensions: ['.js', '.jsx'],
 
     // Output format
-    format: 'pretty',  // 'pretty' | 'json' | 'github'
+    format: 'pretty',  // 'pretty' | 'json' | 'github' | 'sarif'
+
+    // Where rule help links point (SARIF helpUri)
+    handbookUrl: 'SYNC_HANDBOOK.md'
 };
 
 // ============================================================================
-// VIOLATION PATTERNS
+// RULES
 // ============================================================================
 
-const PATTERNS = [
+const HANDBOOK_SECTIONS = {
+    'Axiom 0': 'Axiom 0: Log Primacy',
+    'Rule 1': 'Rule 1: Origin Is Part of the Record',
+    'Rule 2': 'Rule 2: Identity Must Not Be Laundered',
+    'Rule 3': 'Rule 3: Capture Before Coordination',
+    'Rule 4': 'Rule 4: Non-Collapse of Concurrency',
+    'Rule 5': 'Rule 5: Views Are Local and Disposable',
+    'Rule 6': 'Rule 6: Operations, Not Snapshots',
+    'Rule 7': 'Rule 7: Failure Is a State',
+    'Rule 9': 'Rule 9: Revision Without Erasure'
+};
+
+const RULES = [
     // ========================================================================
     // AXIOM 0: Log Primacy
     // ========================================================================
     {
         id: 'AXIOM_0_DIRECT_MUTATION',
         rule: 'Axiom 0',
-        pattern: /\.(set|delete|clear)\s*\(/g,
-        context: /(?:state|records|views|sets)\./,
-        message: 'Direct mutation of state detected. Use eventLog.append() instead.',
+        message: 'Direct mutation of derived state. Use eventLog.append() instead.',
         severity: 'error',
-        suggestion: 'eventLog.append({ payload: { action: "...", ... } })'
+        suggestion: 'Append an event; the derivation applies it to state'
+    },
+    {
+        id: 'AXIOM_0_DIRECT_ASSIGNMENT',
+        rule: 'Axiom 0',
+        message: 'Assignment into derived state. Use eventLog.append() instead.',
+        severity: 'error',
+        suggestion: 'Append an event; the derivation applies it to state'
     },
     {
         id: 'AXIOM_0_SPLICE',
         rule: 'Axiom 0',
-        pattern: /\.splice\s*\([^)]*,\s*[1-9]/g,
-        message: 'Array.splice() removing elements. Use tombstone pattern.',
+        message: 'Removing elements from derived state. Use tombstone pattern.',
         severity: 'error'
     },
     {
         id: 'AXIOM_0_DELETE_OPERATOR',
         rule: 'Axiom 0',
-        pattern: /delete\s+\w+\[/g,
-        message: 'Delete operator used. Use tombstone events instead.',
+        message: 'Delete operator on derived state. Use tombstone events instead.',
         severity: 'error'
     },
 
@@ -79,16 +112,12 @@ const PATTERNS = [
     {
         id: 'RULE_1_MISSING_ACTOR',
         rule: 'Rule 1',
-        pattern: /append\s*\(\s*\{[^}]*\}/g,
-        antiPattern: /actor\s*:/,
         message: 'Event append without actor field.',
         severity: 'error'
     },
     {
         id: 'RULE_1_SYSTEM_ACTOR',
         rule: 'Rule 1',
-        pattern: /actor\s*:\s*['"]system['"]/g,
-        context: /action\s*:\s*['"](cell|record|user|edit|create|update)/,
         message: 'User action has actor: "system". Use actual user ID.',
         severity: 'warning'
     },
@@ -99,14 +128,12 @@ const PATTERNS = [
     {
         id: 'RULE_2_ACTOR_OVERWRITE',
         rule: 'Rule 2',
-        pattern: /\.actor\s*=\s*['"][^'"]+['"]/g,
         message: 'Actor being overwritten. This may launder identity.',
         severity: 'error'
     },
     {
         id: 'RULE_2_SPREAD_WITHOUT_ACTOR',
         rule: 'Rule 2',
-        pattern: /\{\s*\.\.\.event[^}]*actor\s*:/g,
         message: 'Spreading event and overwriting actor. Preserve original.',
         severity: 'warning'
     },
@@ -117,7 +144,6 @@ const PATTERNS = [
     {
         id: 'RULE_3_BLOCKING_FETCH',
         rule: 'Rule 3',
-        pattern: /await\s+fetch\s*\([^)]*\/(save|sync|update|create)/g,
         message: 'Sync operation blocks on network. Use local-first pattern.',
         severity: 'warning',
         suggestion: 'Save to local event log first, sync asynchronously'
@@ -125,7 +151,6 @@ const PATTERNS = [
     {
         id: 'RULE_3_SYNC_REQUIRED',
         rule: 'Rule 3',
-        pattern: /if\s*\(\s*!navigator\.onLine\s*\)\s*(return|throw)/g,
         message: 'Operation fails when offline. Should work offline first.',
         severity: 'warning'
     },
@@ -136,15 +161,12 @@ const PATTERNS = [
     {
         id: 'RULE_4_SILENT_LWW',
         rule: 'Rule 4',
-        pattern: /timestamp\s*>\s*.*\?\s*\w+\s*:\s*\w+/g,
         message: 'Last-write-wins without conflict detection. Record conflicts.',
         severity: 'warning'
     },
     {
         id: 'RULE_4_MEANT_NO_PROVENANCE',
         rule: 'Rule 4',
-        pattern: /type\s*:\s*['"]meant['"]/g,
-        antiPattern: /provenance\s*:/,
         message: 'Meant event without provenance. Add source event IDs.',
         severity: 'error'
     },
@@ -155,7 +177,6 @@ const PATTERNS = [
     {
         id: 'RULE_5_AUTHORITATIVE_STATE',
         rule: 'Rule 5',
-        pattern: /_authoritative\s*[:=]\s*true/g,
         message: 'State marked as authoritative. State should be derived.',
         severity: 'warning'
     },
@@ -166,16 +187,12 @@ const PATTERNS = [
     {
         id: 'RULE_6_STATE_SYNC',
         rule: 'Rule 6',
-        pattern: /sync.*state|state.*sync/gi,
-        context: /send|transmit|upload/i,
         message: 'State-based sync detected. Sync events, not state.',
         severity: 'warning'
     },
     {
         id: 'RULE_6_SNAPSHOT_SYNC',
         rule: 'Rule 6',
-        pattern: /snapshot|fullState|currentState/g,
-        context: /sync|send|upload/i,
         message: 'Snapshot sync detected. Transmit events instead.',
         severity: 'warning'
     },
@@ -186,8 +203,6 @@ const PATTERNS = [
     {
         id: 'RULE_7_CATCH_NO_RECORD',
         rule: 'Rule 7',
-        pattern: /catch\s*\([^)]*\)\s*\{[^}]*console\.(error|warn)/g,
-        antiPattern: /eventLog|append|record.*fail/,
         message: 'Catching error without recording. Record failures as events.',
         severity: 'warning'
     },
@@ -198,20 +213,912 @@ const PATTERNS = [
     {
         id: 'RULE_9_TRUE_DELETE',
         rule: 'Rule 9',
-        pattern: /\.filter\s*\([^)]*!==|\.filter\s*\([^)]*\.id\s*!==/g,
         message: 'Filtering out items (deletion). Use tombstone pattern.',
         severity: 'warning'
     },
     {
         id: 'RULE_9_REMOVE_FROM_MAP',
         rule: 'Rule 9',
-        pattern: /\.delete\s*\(\s*['"]?[\w]+['"]?\s*\)/g,
-        context: /events|records|log/i,
-        message: 'Removing from collection. Use tombstone instead.',
+        message: 'Removing events from the log. Use tombstone instead.',
         severity: 'error'
     }
 ];
 
+const RULES_BY_ID = new Map(RULES.map(r => [r.id, r]));
+
+// ============================================================================
+// DATA FLOW
+// ============================================================================
+
+/**
+ * Keys of the derived state that only the derivation may write
+ */
+const DERIVED_KEYS = new Set(['sets', 'records', 'views', 'entities', 'imports', 'schema', 'tossPile']);
+
+const MUTATING_METHODS = new Set(['set', 'delete', 'clear', 'add', 'push', 'unshift']);
+const REMOVING_METHODS = new Set(['splice', 'pop', 'shift']);
+const LOG_REMOVALS = new Set(['delete', 'clear', 'splice', 'pop', 'shift']);
+const ITERATION_CALLBACKS = new Set(['forEach', 'map', 'flatMap', 'filter', 'find', 'findIndex', 'some', 'every']);
+const TRANSMIT_CALL = /^(send|transmit|upload|broadcast)/i;
+const TIMESTAMP_NAMES = new Set(['timestamp', 'updatedAt', 'modifiedAt', 'lastModified']);
+
+/**
+ * What an expression refers to, as far as derived state goes:
+ *   state       the derived state root
+ *   collection  a derived collection (state.sets, set.records, ...)
+ *   iteration   the values or entries of a collection
+ *   item        one element of a collection (a set, a record, a view)
+ *   part        a property of an item (record.fields, view.config)
+ *   log         the event log's own storage
+ */
+const STATE = Object.freeze({ kind: 'state' });
+const LOG = Object.freeze({ kind: 'log' });
+const DERIVED_KINDS = new Set(['state', 'collection', 'item', 'part']);
+
+class Scope {
+    constructor(parent) {
+        this.parent = parent;
+        this.bindings = new Map();
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+}
+
+function propertyName(member) {
+    if (!member.computed) return member.property.name;
+    if (member.property.type === 'Literal' && typeof member.property.value === 'string') {
+        return member.property.value;
+    }
+    return null;
+}
+
+function calleeName(call) {
+    const callee = unwrap(call.callee);
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') return propertyName(callee);
+    return null;
+}
+
+function unwrap(node) {
+    while (node && (node.type === 'ChainExpression' || node.type === 'AwaitExpression')) {
+        node = node.type === 'ChainExpression' ? node.expression : node.argument;
+    }
+    return node;
+}
+
+function isMember(node, objectName, property) {
+    node = unwrap(node);
+    return node && node.type === 'MemberExpression' &&
+        node.object.type === 'Identifier' && node.object.name === objectName &&
+        propertyName(node) === property;
+}
+
+function objectKeys(object) {
+    const keys = new Map();
+    for (const prop of object.properties) {
+        if (prop.type === 'Property' && !prop.computed) {
+            keys.set(prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value), prop);
+        }
+    }
+    return keys;
+}
+
+function hasSpread(object) {
+    return object.properties.some(p => p.type === 'SpreadElement');
+}
+
+function stringLiteral(node) {
+    return node && node.type === 'Literal' && typeof node.value === 'string' ? node.value : null;
+}
+
+function isFunction(node) {
+    return node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression' ||
+        node.type === 'FunctionDeclaration';
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * One pass over one file's syntax tree
+ */
+class FileAnalyzer {
+    constructor(source, ast, report) {
+        this.source = source;
+        this.ast = ast;
+        this.report = report;
+        this.scope = new Scope(null);
+        this.callbackValues = new Map();
+        this.classNames = [];
+        this.indentUnit = (source.match(/^( {2,4})\S/m) || [null, '    '])[1];
+    }
+
+    run() {
+        this.visitChildren(this.ast);
+    }
+
+    text(node) {
+        return this.source.slice(node.start, node.end);
+    }
+
+    // ========================================================================
+    // SCOPES
+    // ========================================================================
+
+    withScope(fn) {
+        this.scope = new Scope(this.scope);
+        try {
+            fn();
+        } finally {
+            this.scope = this.scope.parent;
+        }
+    }
+
+    bind(name, value, init = null) {
+        this.scope.bindings.set(name, { value, init });
+    }
+
+    /**
+     * Bind the names in a pattern to what the matching part of value refers to
+     */
+    bindPattern(pattern, value, init = null, isParam = false) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                // Derivation handlers and views receive the state as "state"
+                if (isParam && !value && pattern.name === 'state') value = STATE;
+                this.bind(pattern.name, value, init);
+                break;
+            case 'AssignmentPattern':
+                this.visit(pattern.right);
+                this.bindPattern(pattern.left, value || this.classify(pattern.right), init, isParam);
+                break;
+            case 'ObjectPattern':
+                for (const prop of pattern.properties) {
+                    if (prop.type === 'RestElement') {
+                        this.bindPattern(prop.argument, null);
+                    } else {
+                        const key = prop.computed ? null : (prop.key.name || String(prop.key.value));
+                        this.bindPattern(prop.value, this.memberValue(value, key, null));
+                    }
+                }
+                break;
+            case 'ArrayPattern':
+                if (value && value.kind === 'entries' && pattern.elements.length >= 2) {
+                    // [id, item] of map.entries()
+                    this.bindPattern(pattern.elements[0], null);
+                    this.bindPattern(pattern.elements[1], { ...value.item, keyNode: pattern.elements[0] });
+                } else {
+                    pattern.elements.forEach(e => this.bindPattern(e, null));
+                }
+                break;
+            case 'RestElement':
+                this.bindPattern(pattern.argument, null);
+                break;
+        }
+    }
+
+    // ========================================================================
+    // CLASSIFICATION
+    // ========================================================================
+
+    /**
+     * What an expression refers to (see STATE above), or null
+     */
+    classify(node) {
+        if (!node) return null;
+
+        switch (node.type) {
+            case 'Identifier': {
+                const binding = this.scope.lookup(node.name);
+                if (!binding) return node.name === 'state' ? STATE : null;
+                const value = binding.value;
+                return value && value.kind === 'item' ? { ...value, ref: node.name } : value;
+            }
+            case 'MemberExpression': {
+                const name = propertyName(node);
+                if (!node.computed && name === 'state') return STATE;
+                if (name === 'events' && this.isLogObject(node.object)) return LOG;
+                return this.memberValue(this.classify(node.object), name, node);
+            }
+            case 'CallExpression':
+                return this.callValue(node);
+            case 'ChainExpression':
+                return this.classify(node.expression);
+            case 'AwaitExpression':
+                return this.classify(node.argument);
+            case 'LogicalExpression':
+                return this.classify(node.left) || this.classify(node.right);
+            case 'ConditionalExpression':
+                return this.classify(node.consequent) || this.classify(node.alternate);
+            case 'SequenceExpression':
+                return this.classify(node.expressions[node.expressions.length - 1]);
+            case 'AssignmentExpression':
+                return this.classify(node.right);
+            case 'ArrayExpression':
+                // [...records.values()]
+                if (node.elements.length === 1 && node.elements[0] && node.elements[0].type === 'SpreadElement') {
+                    return this.iterationOf(this.classify(node.elements[0].argument));
+                }
+                return null;
+        }
+        return null;
+    }
+
+    memberValue(object, name, node) {
+        if (!object) return null;
+
+        switch (object.kind) {
+            case 'state':
+                return DERIVED_KEYS.has(name) ? { kind: 'collection', key: name, owner: null } : null;
+
+            case 'collection':
+                if (name === 'size' || name === 'length') return null;
+                if (name === null || /^\d+$/.test(name)) {
+                    return { kind: 'item', collection: object, keyNode: node ? node.property : null };
+                }
+                // Containers inside a collection: tossPile.actions
+                return { kind: 'collection', key: `${object.key}.${name}`, owner: object.owner };
+
+            case 'item':
+            case 'part': {
+                const item = object.kind === 'item' ? object : object.item;
+                if (object.kind === 'item' && DERIVED_KEYS.has(name)) {
+                    return { kind: 'collection', key: name, owner: object };
+                }
+                const key = name !== null ? name : (node ? node.property : null);
+                return { kind: 'part', item, path: [...(object.path || []), key] };
+            }
+        }
+        return null;
+    }
+
+    callValue(call) {
+        const callee = unwrap(call.callee);
+        if (callee.type !== 'MemberExpression') return null;
+
+        const method = propertyName(callee);
+        const args = call.arguments;
+
+        if (method === 'getState') return STATE;
+        if (callee.object.type === 'Identifier' && callee.object.name === 'Array' && method === 'from') {
+            return this.iterationOf(this.classify(args[0]));
+        }
+        if (callee.object.type === 'Identifier' && callee.object.name === 'Object' && (method === 'values' || method === 'entries')) {
+            return this.iterationOf(this.classify(args[0]), method === 'entries');
+        }
+
+        const target = this.classify(callee.object);
+        if (!target) return null;
+
+        if (target.kind === 'state' && method === 'get' && DERIVED_KEYS.has(stringLiteral(args[0]))) {
+            return { kind: 'collection', key: args[0].value, owner: null };
+        }
+        if (target.kind === 'collection') {
+            if (method === 'get') {
+                return { kind: 'item', collection: target, keyNode: args[0] || null, ref: this.text(call) };
+            }
+            if (method === 'find') return { kind: 'item', collection: target, keyNode: null, ref: this.text(call) };
+            if (method === 'values') return this.iterationOf(target);
+            if (method === 'entries') return this.iterationOf(target, true);
+        }
+        if (target.kind === 'iteration' && method === 'find') {
+            return { ...target.item, keyNode: null, ref: this.text(call) };
+        }
+        return null;
+    }
+
+    iterationOf(value, entries = false) {
+        if (!value) return null;
+        if (value.kind === 'iteration' || value.kind === 'entries') return value;
+        if (value.kind !== 'collection') return null;
+        return {
+            kind: entries ? 'entries' : 'iteration',
+            item: { kind: 'item', collection: value, keyNode: null }
+        };
+    }
+
+    /**
+     * eventLog.events, log.events, or this.events inside an EventLog class
+     */
+    isLogObject(node) {
+        if (node.type === 'Identifier') return /^(log|\w*Log)$/.test(node.name);
+        if (node.type === 'MemberExpression' && !node.computed) return /^(log|\w*Log)$/.test(node.property.name);
+        if (node.type === 'ThisExpression') {
+            return /Log$/.test(this.classNames[this.classNames.length - 1] || '');
+        }
+        return false;
+    }
+
+    isDerived(value) {
+        return Boolean(value) && DERIVED_KINDS.has(value.kind);
+    }
+
+    /**
+     * The object literal an expression evaluates to, following const bindings
+     */
+    resolveObject(node) {
+        node = unwrap(node);
+        if (!node) return null;
+        if (node.type === 'ObjectExpression') return node;
+        if (node.type === 'Identifier') {
+            const binding = this.scope.lookup(node.name);
+            if (binding && binding.init && binding.init.type === 'ObjectExpression') return binding.init;
+        }
+        return null;
+    }
+
+    resolveString(node, depth = 0) {
+        if (!node || depth > 5) return null;
+        if (node.type === 'Literal') return typeof node.value === 'string' ? node.value : null;
+        if (node.type === 'TemplateLiteral') return node.quasis.map(q => q.value.cooked).join('${}');
+        if (node.type === 'BinaryExpression' && node.operator === '+') {
+            return (this.resolveString(node.left, depth + 1) || '') + (this.resolveString(node.right, depth + 1) || '');
+        }
+        if (node.type === 'Identifier') {
+            const binding = this.scope.lookup(node.name);
+            return binding ? this.resolveString(binding.init, depth + 1) : null;
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // TRAVERSAL
+    // ========================================================================
+
+    visitChildren(node) {
+        forEachChild(node, child => this.visit(child));
+    }
+
+    visit(node) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                if (node.id) this.bind(node.id.name, null);
+                this.visitFunction(node);
+                return;
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                this.visitFunction(node);
+                return;
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                if (node.id && node.type === 'ClassDeclaration') this.bind(node.id.name, null);
+                this.classNames.push(node.id ? node.id.name : '');
+                this.visitChildren(node);
+                this.classNames.pop();
+                return;
+            case 'BlockStatement':
+            case 'ForStatement':
+            case 'SwitchStatement':
+                this.withScope(() => this.visitChildren(node));
+                return;
+            case 'ForOfStatement':
+            case 'ForInStatement':
+                this.withScope(() => {
+                    this.visit(node.right);
+                    const value = node.type === 'ForOfStatement' ? this.iterationOf(this.classify(node.right)) : null;
+                    const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+                    const element = value && (target.type === 'ArrayPattern' || value.kind === 'iteration')
+                        ? (target.type === 'ArrayPattern' ? { kind: 'entries', item: value.item } : value.item)
+                        : null;
+                    this.bindPattern(target, element);
+                    this.visit(node.body);
+                });
+                return;
+            case 'CatchClause':
+                this.withScope(() => {
+                    this.bindPattern(node.param, null);
+                    this.checkCatch(node);
+                    this.visit(node.body);
+                });
+                return;
+            case 'VariableDeclarator':
+                if (node.init) this.visit(node.init);
+                this.bindPattern(node.id, this.classify(node.init), node.init);
+                return;
+            case 'AssignmentExpression':
+                this.visit(node.right);
+                if (node.left.type !== 'Identifier') this.visit(node.left);
+                this.checkAssignment(node);
+                if (node.left.type === 'Identifier') {
+                    const binding = this.scope.lookup(node.left.name);
+                    if (binding) {
+                        binding.value = this.classify(node.right);
+                        binding.init = node.right;
+                    }
+                }
+                return;
+            case 'CallExpression':
+                this.prepareCallbacks(node);
+                this.visitChildren(node);
+                this.checkCall(node);
+                return;
+            case 'UnaryExpression':
+                this.visitChildren(node);
+                if (node.operator === 'delete') this.checkDelete(node);
+                return;
+            case 'UpdateExpression':
+                this.visitChildren(node);
+                this.checkUpdate(node);
+                return;
+            case 'ObjectExpression':
+                this.visitChildren(node);
+                this.checkObject(node);
+                return;
+            case 'IfStatement':
+                this.checkOfflineGuard(node);
+                this.visitChildren(node);
+                return;
+            case 'ConditionalExpression':
+                this.checkLastWriteWins(node);
+                this.visitChildren(node);
+                return;
+            case 'AwaitExpression':
+                this.checkBlockingFetch(node);
+                this.visitChildren(node);
+                return;
+        }
+        this.visitChildren(node);
+    }
+
+    visitFunction(node) {
+        const values = this.callbackValues.get(node) || [];
+        this.withScope(() => {
+            if (node.type === 'FunctionExpression' && node.id) this.bind(node.id.name, null);
+            node.params.forEach((param, i) => this.bindPattern(param, values[i] || null, null, true));
+            this.visit(node.body);
+        });
+    }
+
+    /**
+     * records.forEach((record, id) => ...): the callback's parameters are items
+     */
+    prepareCallbacks(call) {
+        const callee = unwrap(call.callee);
+        if (callee.type !== 'MemberExpression' || !ITERATION_CALLBACKS.has(propertyName(callee))) return;
+
+        const fn = call.arguments[0];
+        if (!fn || !isFunction(fn)) return;
+
+        const source = this.iterationOf(this.classify(callee.object));
+        if (!source) return;
+
+        if (source.kind === 'entries') {
+            this.callbackValues.set(fn, [source]);
+            return;
+        }
+        const item = { ...source.item };
+        if (propertyName(callee) === 'forEach' && fn.params[1] && fn.params[1].type === 'Identifier') {
+            item.keyNode = fn.params[1];
+        }
+        this.callbackValues.set(fn, [item]);
+    }
+
+    // ========================================================================
+    // CHECKS
+    // ========================================================================
+
+    checkCall(call) {
+        const callee = unwrap(call.callee);
+        const name = calleeName(call);
+
+        if (callee.type === 'MemberExpression') {
+            const method = propertyName(callee);
+
+            if (callee.object.type === 'Identifier' && callee.object.name === 'Object' && method === 'assign') {
+                if (this.isDerived(this.classify(call.arguments[0]))) {
+                    this.report('AXIOM_0_DIRECT_ASSIGNMENT', call);
+                }
+            } else {
+                const target = this.classify(callee.object);
+                if (target && ['collection', 'item', 'part'].includes(target.kind)) {
+                    if (MUTATING_METHODS.has(method)) {
+                        this.report('AXIOM_0_DIRECT_MUTATION', call, {
+                            fix: target.kind === 'collection' ? this.collectionFix(call, target, method) : null
+                        });
+                    } else if (REMOVING_METHODS.has(method)) {
+                        this.report('AXIOM_0_SPLICE', call);
+                    }
+                } else if (target === LOG && LOG_REMOVALS.has(method)) {
+                    this.report('RULE_9_REMOVE_FROM_MAP', call);
+                }
+            }
+
+            if (method === 'append') this.checkAppend(call);
+        }
+
+        if (name && TRANSMIT_CALL.test(name)) this.checkTransmit(call);
+    }
+
+    checkAppend(call) {
+        const event = this.resolveObject(call.arguments[0]);
+        if (!event || hasSpread(event)) return;
+
+        const keys = objectKeys(event);
+        const type = keys.has('type') ? stringLiteral(keys.get('type').value) : null;
+        if (!keys.has('payload') && type !== 'given' && type !== 'meant') return;
+
+        if (!keys.has('actor')) {
+            this.report('RULE_1_MISSING_ACTOR', call.arguments[0]);
+        }
+    }
+
+    checkTransmit(call) {
+        for (let arg of call.arguments) {
+            // send(JSON.stringify({ state }))
+            const inner = unwrap(arg);
+            if (inner.type === 'CallExpression' && isMember(inner.callee, 'JSON', 'stringify') && inner.arguments[0]) {
+                arg = inner.arguments[0];
+            }
+
+            const kind = (this.classify(arg) || {}).kind;
+            if (kind === 'state' || kind === 'collection') {
+                this.report('RULE_6_STATE_SYNC', arg);
+                continue;
+            }
+            if (arg.type === 'Identifier' && /^(snapshot|fullState|currentState)$/.test(arg.name)) {
+                this.report('RULE_6_SNAPSHOT_SYNC', arg);
+                continue;
+            }
+
+            const message = this.resolveObject(arg);
+            if (!message || objectKeys(message).has('events')) continue;
+
+            for (const [key, prop] of objectKeys(message)) {
+                if (/^(snapshot|fullState|currentState)$/.test(key)) {
+                    this.report('RULE_6_SNAPSHOT_SYNC', prop);
+                } else if (key === 'state' || ['state', 'collection'].includes((this.classify(prop.value) || {}).kind)) {
+                    this.report('RULE_6_STATE_SYNC', prop);
+                }
+            }
+        }
+    }
+
+    checkAssignment(node) {
+        const { left, right, operator } = node;
+        if (left.type !== 'MemberExpression') return;
+
+        const name = propertyName(left);
+        if (name === '_authoritative' && right.type === 'Literal' && right.value === true) {
+            this.report('RULE_5_AUTHORITATIVE_STATE', node);
+        }
+        if (name === 'actor' && operator === '=' && (stringLiteral(right) !== null || right.type === 'TemplateLiteral')) {
+            this.report('RULE_2_ACTOR_OVERWRITE', node);
+        }
+
+        const target = this.classify(left.object);
+        const written = this.classify(left);
+
+        // records = records.filter(r => r.id !== id)
+        const filtered = unwrap(right);
+        if (operator === '=' && filtered.type === 'CallExpression' && unwrap(filtered.callee).type === 'MemberExpression' &&
+            propertyName(unwrap(filtered.callee)) === 'filter' &&
+            this.text(unwrap(filtered.callee).object) === this.text(left) &&
+            (written === LOG || this.isDerived(written) || this.isDerived(target))) {
+            this.report('RULE_9_TRUE_DELETE', node);
+            return;
+        }
+
+        if (!this.isDerived(target)) return;
+        if (target.kind === 'state' && !DERIVED_KEYS.has(name)) return;
+
+        this.report('AXIOM_0_DIRECT_ASSIGNMENT', node, {
+            fix: operator === '=' ? this.assignmentFix(node, target, name) : null
+        });
+    }
+
+    checkUpdate(node) {
+        const argument = node.argument;
+        if (argument.type !== 'MemberExpression') return;
+        const target = this.classify(argument.object);
+        if (this.isDerived(target) && target.kind !== 'state') {
+            this.report('AXIOM_0_DIRECT_ASSIGNMENT', node);
+        }
+    }
+
+    checkDelete(node) {
+        const argument = unwrap(node.argument);
+        if (argument.type !== 'MemberExpression') return;
+        const target = this.classify(argument.object);
+        if (!this.isDerived(target)) return;
+        if (target.kind === 'state' && !DERIVED_KEYS.has(propertyName(argument))) return;
+        this.report('AXIOM_0_DELETE_OPERATOR', node);
+    }
+
+    checkObject(object) {
+        const keys = objectKeys(object);
+        const spread = hasSpread(object);
+
+        if (keys.has('type') && stringLiteral(keys.get('type').value) === 'meant' && !keys.has('provenance') && !spread) {
+            this.report('RULE_4_MEANT_NO_PROVENANCE', keys.get('type'));
+        }
+
+        if (keys.has('_authoritative') && keys.get('_authoritative').value.type === 'Literal' &&
+            keys.get('_authoritative').value.value === true) {
+            this.report('RULE_5_AUTHORITATIVE_STATE', keys.get('_authoritative'));
+        }
+
+        const actor = keys.get('actor');
+        if (!actor) return;
+
+        if (stringLiteral(actor.value) === 'system') {
+            const payload = keys.has('payload') ? unwrap(keys.get('payload').value) : null;
+            const action = keys.has('action') ? stringLiteral(keys.get('action').value)
+                : (payload && payload.type === 'ObjectExpression' && objectKeys(payload).has('action')
+                    ? stringLiteral(objectKeys(payload).get('action').value) : null);
+            if (action && /^(cell|record|user|edit|create|update)/.test(action)) {
+                this.report('RULE_1_SYSTEM_ACTOR', actor);
+            }
+        }
+
+        // { ...event, actor: 'someone-else' }
+        const eventSpread = object.properties.findIndex(p => {
+            if (p.type !== 'SpreadElement') return false;
+            const arg = unwrap(p.argument);
+            const argName = arg.type === 'Identifier' ? arg.name
+                : (arg.type === 'MemberExpression' ? propertyName(arg) : null);
+            return Boolean(argName) && /^(event|evt)$|Event$/.test(argName);
+        });
+        if (eventSpread >= 0 && object.properties.indexOf(actor) > eventSpread) {
+            this.report('RULE_2_SPREAD_WITHOUT_ACTOR', actor);
+        }
+    }
+
+    checkCatch(clause) {
+        let logs = false;
+        let recorded = false;
+
+        const scan = node => {
+            if (isFunction(node)) return;
+            if (node.type === 'ThrowStatement') recorded = true;
+            if (node.type === 'CallExpression') {
+                const name = calleeName(node) || '';
+                if (isMember(node.callee, 'console', 'error') || isMember(node.callee, 'console', 'warn')) logs = true;
+                if (name === 'append' || /^record\w*(Failure|Error)$|Failure$/.test(name)) recorded = true;
+            }
+            forEachChild(node, scan);
+        };
+        scan(clause.body);
+
+        if (logs && !recorded) {
+            this.report('RULE_7_CATCH_NO_RECORD', clause);
+        }
+    }
+
+    checkOfflineGuard(node) {
+        const test = node.test;
+        if (test.type !== 'UnaryExpression' || test.operator !== '!' || !isMember(test.argument, 'navigator', 'onLine')) return;
+
+        let exit = node.consequent;
+        if (exit.type === 'BlockStatement') exit = exit.body[0];
+        if (exit && (exit.type === 'ReturnStatement' || exit.type === 'ThrowStatement')) {
+            this.report('RULE_3_SYNC_REQUIRED', node);
+        }
+    }
+
+    checkLastWriteWins(node) {
+        const test = node.test;
+        if (test.type !== 'BinaryExpression' || !['>', '<', '>=', '<='].includes(test.operator)) return;
+
+        const isTimestamp = side => {
+            side = unwrap(side);
+            const name = side.type === 'Identifier' ? side.name
+                : (side.type === 'MemberExpression' ? propertyName(side) : null);
+            return TIMESTAMP_NAMES.has(name);
+        };
+        if (isTimestamp(test.left) && isTimestamp(test.right)) {
+            this.report('RULE_4_SILENT_LWW', node);
+        }
+    }
+
+    checkBlockingFetch(node) {
+        const call = unwrap(node.argument);
+        if (!call || call.type !== 'CallExpression') return;
+
+        const callee = unwrap(call.callee);
+        const isFetch = (callee.type === 'Identifier' && callee.name === 'fetch') ||
+            isMember(callee, 'window', 'fetch') || isMember(callee, 'globalThis', 'fetch');
+        if (!isFetch) return;
+
+        const url = this.resolveString(call.arguments[0]);
+        if (url && /\/(save|sync|update|create)\b/i.test(url)) {
+            this.report('RULE_3_BLOCKING_FETCH', node);
+        }
+    }
+
+    // ========================================================================
+    // FIXES
+    // ========================================================================
+
+    /**
+     * records.set(id, record) -> eventLog.append(record:update), and so on
+     */
+    collectionFix(call, collection, method) {
+        const [key, value] = call.arguments;
+        if (!key || key.type === 'SpreadElement') return null;
+        const k = this.text(key);
+        const v = value ? this.text(value) : null;
+
+        switch (`${collection.key}.${method}`) {
+            case 'records.set':
+                return v && this.appendFix(call, [
+                    ['action', '\'record:update\''], ['setId', this.setIdOf(collection)], ['recordId', k], ['updates', v]
+                ]);
+            case 'records.delete':
+                return this.appendFix(call, [
+                    ['action', '\'toss:record\''], ['setId', this.setIdOf(collection)], ['recordId', k],
+                    ['reason', '\'deleted\''], ['snapshot', `${this.text(unwrap(call.callee).object)}.get(${k})`]
+                ]);
+            case 'views.set':
+                return v && this.appendFix(call, [['action', '\'view:update\''], ['viewId', k], ['updates', v]]);
+            case 'views.delete':
+                return this.appendFix(call, [['action', '\'view:delete\''], ['viewId', k]]);
+            case 'sets.set':
+                return v && this.appendFix(call, [['action', '\'set:update\''], ['setId', k], ['updates', v]]);
+        }
+        return null;
+    }
+
+    /**
+     * record.fields[name] = value -> cell:edit; view.x = value -> view:update
+     */
+    assignmentFix(node, target, name) {
+        const left = node.left;
+        const key = name !== null ? name : left.property;
+        let item;
+        let path;
+
+        if (target.kind === 'item') {
+            item = target;
+            path = [key];
+        } else if (target.kind === 'part') {
+            item = target.item;
+            path = [...target.path, key];
+        } else {
+            return null;
+        }
+
+        if (!item.collection || !item.collection.key) return null;
+        const itemId = this.keyOf(item);
+        if (!itemId) return null;
+
+        const fieldPath = item.collection.key === 'records' && path[0] === 'fields' ? path.slice(1) : path;
+        if (fieldPath.length !== 1 || fieldPath[0] === null) return null;
+
+        const field = fieldPath[0];
+        const fieldName = typeof field === 'string' ? `'${field.replace(/'/g, '\\\'')}'` : this.text(field);
+        const updates = typeof field === 'string' && /^[A-Za-z_$][\w$]*$/.test(field)
+            ? `{ ${field}: ${this.text(node.right)} }`
+            : `{ [${fieldName}]: ${this.text(node.right)} }`;
+
+        switch (item.collection.key) {
+            case 'records':
+                return this.appendFix(node, [
+                    ['action', '\'cell:edit\''], ['setId', this.setIdOf(item.collection)], ['recordId', itemId],
+                    ['fieldName', fieldName], ['value', this.text(node.right)]
+                ]);
+            case 'views':
+                return this.appendFix(node, [['action', '\'view:update\''], ['viewId', itemId], ['updates', updates]]);
+            case 'sets':
+                return this.appendFix(node, [['action', '\'set:update\''], ['setId', itemId], ['updates', updates]]);
+        }
+        return null;
+    }
+
+    keyOf(item) {
+        if (item.keyNode) return this.text(item.keyNode);
+        if (item.ref) return `${item.ref}.id`;
+        return null;
+    }
+
+    setIdOf(collection) {
+        return (collection.owner && this.keyOf(collection.owner)) || 'setId';
+    }
+
+    /**
+     * Replace the mutating expression (or its whole statement) with an append
+     */
+    appendFix(node, payload) {
+        const statement = this.statementOf(node);
+        const replaced = statement || node;
+
+        const lineStart = this.source.lastIndexOf('\n', replaced.start - 1) + 1;
+        const indent = this.source.slice(lineStart, replaced.start).match(/^\s*/)[0];
+        const inner = indent + this.indentUnit;
+        const innermost = inner + this.indentUnit;
+
+        const log = this.scope.lookup('eventLog') ? 'eventLog'
+            : (this.source.includes('this.eventLog') ? 'this.eventLog' : 'eventLog');
+        const actor = ['actor', 'userId', 'currentUser'].find(name => this.scope.lookup(name)) || 'actor';
+        const field = ([key, value]) => (key === value ? key : `${key}: ${value}`);
+
+        const lines = [
+            `${log}.append({`,
+            `${inner}type: 'given',`,
+            `${inner}${field(['actor', actor])},`,
+            `${inner}parents: ${log}.getHeads(),`,
+            `${inner}context: { workspace: 'default' },`,
+            `${inner}payload: {`,
+            ...payload.map((entry, i) => `${innermost}${field(entry)}${i < payload.length - 1 ? ',' : ''}`),
+            `${inner}}`,
+            `${indent}})${statement ? ';' : ''}`
+        ];
+
+        return {
+            description: `Append a ${payload[0][1].slice(1, -1)} event instead`,
+            start: replaced.start,
+            end: replaced.end,
+            text: lines.join('\n')
+        };
+    }
+
+    statementOf(node) {
+        let found = null;
+        const search = parent => {
+            if (found) return;
+            forEachChild(parent, child => {
+                if (found || child.start > node.start || child.end < node.end) return;
+                if (child.type === 'ExpressionStatement' && child.expression === node) {
+                    found = child;
+                } else {
+                    search(child);
+                }
+            });
+        };
+        search(this.ast);
+        return found;
+    }
+}
+
+// ============================================================================
+// SUPPRESSIONS
+// ============================================================================
+
+const SUPPRESSION = /^\s*sync-lint-disable-(next-line|line|file)\b([^]*)$/;
+
+/**
+ * Read sync-lint-disable comments into { file: [...], lines: Map<line, [...]> }
+ */
+function readSuppressions(comments) {
+    const suppressions = { file: [], lines: new Map() };
+
+    for (const comment of comments) {
+        const match = comment.value.replace(/^\*+/, '').match(SUPPRESSION);
+        if (!match) continue;
+
+        const [ids, ...reason] = match[2].split(/\s--\s?/);
+        const entry = {
+            ids: ids.split(/[\s,]+/).filter(Boolean),
+            justification: reason.join(' -- ').trim() || null
+        };
+
+        if (match[1] === 'file') {
+            suppressions.file.push(entry);
+        } else {
+            const line = match[1] === 'line' ? comment.loc.start.line : comment.loc.end.line + 1;
+            if (!suppressions.lines.has(line)) suppressions.lines.set(line, []);
+            suppressions.lines.get(line).push(entry);
+        }
+    }
+
+    return suppressions;
+}
+
+function suppressionFor(suppressions, violation) {
+    const covers = entry => entry.ids.length === 0 ||
+        entry.ids.some(id => violation.id === id || violation.id.startsWith(`${id}_`));
+    return suppressions.file.find(covers) ||
+        (suppressions.lines.get(violation.line) || []).find(covers) ||
+        null;
+}
+
 // ============================================================================
 // LINTER IMPLEMENTATION
 // ============================================================================
@@ -219,6 +1126,7 @@ const PATTERNS = [
 class SyncLinter {
     constructor() {
         this.violations = [];
+        this.errors = [];
         this.filesChecked = 0;
     }
 
@@ -228,57 +1136,73 @@ class SyncLinter {
     lintFile(filePath) {
         try {
             const content = fs.readFileSync(filePath, 'utf8');
-            const lines = content.split('\n');
-            this.filesChecked++;
-
-            for (const pattern of PATTERNS) {
-                this.checkPattern(filePath, content, lines, pattern);
-            }
+            this.lintSource(content, filePath);
         } catch (err) {
+            this.errors.push({ file: filePath, message: err.message });
             console.error(`Error reading ${filePath}: ${err.message}`);
         }
     }
 
     /**
-     * Check a single pattern against file content
+     * Lint source text; returns this file's violations (suppressed ones included)
      */
-    checkPattern(filePath, content, lines, pattern) {
-        const matches = content.matchAll(pattern.pattern);
+    lintSource(source, filePath = '<input>') {
+        this.filesChecked++;
 
-        for (const match of matches) {
-            const position = match.index;
-            const lineNumber = content.substring(0, position).split('\n').length;
-            const lineContent = lines[lineNumber - 1];
+        let ast;
+        try {
+            ast = parse(source);
+        } catch (err) {
+            this.errors.push({ file: filePath, message: err.message, line: err.loc ? err.loc.line : null });
+            return [];
+        }
 
-            // Check context if specified
-            if (pattern.context && !pattern.context.test(lineContent)) {
-                continue;
-            }
+        const lines = source.split('\n');
+        const suppressions = readSuppressions(ast.comments);
+        const found = [];
+        const seen = new Set();
 
-            // Check anti-pattern (should NOT match)
-            if (pattern.antiPattern) {
-                // Look at surrounding context (100 chars before and after)
-                const start = Math.max(0, position - 100);
-                const end = Math.min(content.length, position + 100);
-                const context = content.substring(start, end);
+        const report = (id, node, extra = {}) => {
+            const key = `${id}:${node.start}`;
+            if (seen.has(key)) return;
+            seen.add(key);
 
-                if (pattern.antiPattern.test(context)) {
-                    continue;  // Anti-pattern found, skip this violation
-                }
+            const rule = RULES_BY_ID.get(id);
+            const violation = {
+                file: filePath,
+                line: node.loc.start.line,
+                column: node.loc.start.column + 1,
+                endLine: node.loc.end.line,
+                endColumn: node.loc.end.column + 1,
+                rule: rule.rule,
+                id,
+                message: rule.message,
+                severity: rule.severity,
+                suggestion: rule.suggestion,
+                code: lines[node.loc.start.line - 1].trim()
+            };
+            if (extra.fix) {
+                violation.fix = {
+                    ...extra.fix,
+                    range: [extra.fix.start, extra.fix.end],
+                    region: regionOf(source, extra.fix.start, extra.fix.end)
+                };
+                delete violation.fix.start;
+                delete violation.fix.end;
             }
 
-            this.violations.push({
-                file: filePath,
-                line: lineNumber,
-                column: position - content.lastIndexOf('\n', position),
-                rule: pattern.rule,
-                id: pattern.id,
-                message: pattern.message,
-                severity: pattern.severity,
-                suggestion: pattern.suggestion,
-                code: lineContent.trim()
-            });
-        }
+            const suppressed = suppressionFor(suppressions, violation);
+            if (suppressed) {
+                violation.suppressed = { kind: 'inSource', justification: suppressed.justification };
+            }
+            found.push(violation);
+        };
+
+        new FileAnalyzer(source, ast, report).run();
+
+        found.sort((a, b) => a.line - b.line || a.column - b.column);
+        this.violations.push(...found);
+        return found;
     }
 
     /**
@@ -321,13 +1245,110 @@ class SyncLinter {
         }
     }
 
+    /**
+     * Violations that are not suppressed in source
+     */
+    getActive() {
+        return this.violations.filter(v => !v.suppressed);
+    }
+
+    /**
+     * SARIF 2.1.0 log, for code scanning tools
+     */
+    toSarif() {
+        const uri = file => path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+        const ruleIndex = new Map(RULES.map((r, i) => [r.id, i]));
+
+        const results = this.violations.map(v => {
+            const result = {
+                ruleId: v.id,
+                ruleIndex: ruleIndex.get(v.id),
+                level: v.severity === 'error' ? 'error' : 'warning',
+                message: { text: v.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: uri(v.file) },
+                        region: {
+                            startLine: v.line,
+                            startColumn: v.column,
+                            endLine: v.endLine,
+                            endColumn: v.endColumn,
+                            snippet: { text: v.code }
+                        }
+                    }
+                }]
+            };
+            if (v.fix) {
+                result.fixes = [{
+                    description: { text: v.fix.description },
+                    artifactChanges: [{
+                        artifactLocation: { uri: uri(v.file) },
+                        replacements: [{
+                            deletedRegion: v.fix.region,
+                            insertedContent: { text: v.fix.text }
+                        }]
+                    }]
+                }];
+            }
+            if (v.suppressed) {
+                result.suppressions = [{
+                    kind: v.suppressed.kind,
+                    ...(v.suppressed.justification ? { justification: v.suppressed.justification } : {})
+                }];
+            }
+            return result;
+        });
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'sync-lint',
+                        rules: RULES.map(r => ({
+                            id: r.id,
+                            shortDescription: { text: r.message },
+                            helpUri: `${CONFIG.handbookUrl}#${slugify(HANDBOOK_SECTIONS[r.rule])}`,
+                            help: { text: `${HANDBOOK_SECTIONS[r.rule]}${r.suggestion ? `. ${r.suggestion}.` : ''}` },
+                            defaultConfiguration: { level: r.severity === 'error' ? 'error' : 'warning' },
+                            properties: { tags: [r.rule] }
+                        }))
+                    }
+                },
+                invocations: [{
+                    executionSuccessful: this.errors.length === 0,
+                    toolExecutionNotifications: this.errors.map(e => ({
+                        level: 'error',
+                        message: { text: e.message },
+                        locations: [{
+                            physicalLocation: {
+                                artifactLocation: { uri: uri(e.file) },
+                                ...(e.line ? { region: { startLine: e.line } } : {})
+                            }
+                        }]
+                    }))
+                }],
+                results
+            }]
+        };
+    }
+
     /**
      * Format output
      */
     formatOutput() {
-        if (this.violations.length === 0) {
+        const active = this.getActive();
+        const suppressed = this.violations.length - active.length;
+        const exitCode = this.errors.length > 0 ? 2 : (active.some(v => v.severity === 'error') ? 1 : 0);
+
+        if (CONFIG.format === 'sarif') {
+            return { text: JSON.stringify(this.toSarif(), null, 2), exitCode };
+        }
+
+        if (active.length === 0 && this.errors.length === 0 && CONFIG.format === 'pretty') {
             return {
-                text: `\n✓ No sync violations found (${this.filesChecked} files checked)\n`,
+                text: `\n✓ No sync violations found (${this.filesChecked} files checked${suppressed ? `, ${suppressed} suppressed` : ''})\n`,
                 exitCode: 0
             };
         }
@@ -336,21 +1357,24 @@ class SyncLinter {
         const grouped = {};
 
         // Group by file
-        for (const v of this.violations) {
+        for (const v of active) {
             if (!grouped[v.file]) grouped[v.file] = [];
             grouped[v.file].push(v);
         }
 
         switch (CONFIG.format) {
             case 'json':
-                output = JSON.stringify({ violations: this.violations }, null, 2);
+                output = JSON.stringify({ violations: active, suppressed, errors: this.errors }, null, 2);
                 break;
 
             case 'github':
                 // GitHub Actions annotation format
-                for (const v of this.violations) {
+                for (const e of this.errors) {
+                    output += `::error file=${e.file}${e.line ? `,line=${e.line}` : ''}::sync-lint: ${e.message}\n`;
+                }
+                for (const v of active) {
                     const level = v.severity === 'error' ? 'error' : 'warning';
-                    output += `::${level} file=${v.file},line=${v.line}::${v.rule}: ${v.message}\n`;
+                    output += `::${level} file=${v.file},line=${v.line},col=${v.column}::${v.rule}: ${v.message}\n`;
                 }
                 break;
 
@@ -360,36 +1384,70 @@ class SyncLinter {
                 output += '                    SYNC HANDBOOK LINT RESULTS\n';
                 output += '══════════════════════════════════════════════════════════════\n\n';
 
+                for (const e of this.errors) {
+                    output += `📁 ${e.file}\n`;
+                    output += `   ❌ Could not parse: ${e.message}\n\n`;
+                }
+
                 for (const [file, violations] of Object.entries(grouped)) {
                     output += `📁 ${file}\n`;
                     for (const v of violations) {
                         const icon = v.severity === 'error' ? '❌' : '⚠️';
                         output += `   ${icon} Line ${v.line}: [${v.rule}] ${v.message}\n`;
                         output += `      ${v.code}\n`;
-                        if (v.suggestion) {
+                        if (v.fix) {
+                            output += `      💡 ${v.fix.description}:\n`;
+                            output += dedent(v.fix.text).split('\n').map(l => `         ${l}`).join('\n') + '\n';
+                        } else if (v.suggestion) {
                             output += `      💡 ${v.suggestion}\n`;
                         }
                         output += '\n';
                     }
                 }
 
-                const errors = this.violations.filter(v => v.severity === 'error').length;
-                const warnings = this.violations.filter(v => v.severity === 'warning').length;
+                const errors = active.filter(v => v.severity === 'error').length;
+                const warnings = active.filter(v => v.severity === 'warning').length;
 
                 output += '──────────────────────────────────────────────────────────────\n';
-                output += `Summary: ${errors} errors, ${warnings} warnings in ${this.filesChecked} files\n`;
+                output += `Summary: ${errors} errors, ${warnings} warnings in ${this.filesChecked} files`;
+                output += `${suppressed ? ` (${suppressed} suppressed)` : ''}\n`;
                 output += '══════════════════════════════════════════════════════════════\n';
                 break;
         }
 
-        const hasErrors = this.violations.some(v => v.severity === 'error');
         return {
             text: output,
-            exitCode: hasErrors ? 1 : 0
+            exitCode
         };
     }
 }
 
+function regionOf(source, start, end) {
+    const at = offset => {
+        const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+        return {
+            line: source.slice(0, offset).split('\n').length,
+            column: offset - lineStart + 1
+        };
+    };
+    const from = at(start);
+    const to = at(end);
+    return { startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+}
+
+/**
+ * Fix text continues at the source's indentation; strip it for display
+ */
+function dedent(text) {
+    const lines = text.split('\n');
+    const indent = lines[lines.length - 1].match(/^\s*/)[0];
+    return lines.map(l => (l.startsWith(indent) ? l.slice(indent.length) : l)).join('\n');
+}
+
+function slugify(title) {
+    return title.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
 // ============================================================================
 // CLI
 // ============================================================================
@@ -405,6 +1463,13 @@ function main() {
     if (args.includes('--github')) {
         CONFIG.format = 'github';
     }
+    if (args.includes('--sarif')) {
+        CONFIG.format = 'sarif';
+    }
+    const handbook = args.find(a => a.startsWith('--handbook-url='));
+    if (handbook) {
+        CONFIG.handbookUrl = handbook.slice('--handbook-url='.length);
+    }
 
     let files = [];
 
@@ -412,7 +1477,7 @@ function main() {
         files = linter.getFiles(process.cwd());
     } else if (args.includes('--staged')) {
         files = linter.getStagedFiles();
-    } else if (args.length > 0) {
+    } else if (args.some(a => !a.startsWith('--'))) {
         files = args.filter(a => !a.startsWith('--'));
     } else {
         // Default: lint all JS files
@@ -438,7 +1503,7 @@ function main() {
 }
 
 // Export for testing
-module.exports = { SyncLinter, PATTERNS };
+module.exports = { SyncLinter, RULES, CONFIG, readSuppressions };
 
 // Run if called directly
 if (require.main === module) {
@@ -0,0 +1,693 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Relay Server
+ * Reference WebSocket relay for eo_sync_transport.js
+ *
+ * Peers join a workspace and exchange sync protocol messages through the
+ * relay. The relay is a router only: it never opens, rewrites or stores
+ * events, so identity and authorship arrive exactly as sent (Rule 2) and
+ * the relay holds no state worth backing up (Rule 3).
+ *
+ * Usage:
+ *   node scripts/sync-relay.js
+ *   node scripts/sync-relay.js --port 8787 --host 0.0.0.0
+ *
+ * No dependencies: implements the RFC 6455 handshake and framing directly.
+ * For tests, RelayHub.createLocalSocket() gives an in-process socket with the
+ * browser WebSocket API, so peers can be wired up without a network.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    port: 8787,
+    host: '127.0.0.1',
+
+    // Largest message accepted from a peer (bytes)
+    maxPayload: 16 * 1024 * 1024,
+
+    // Ping interval; peers that miss a pong are dropped
+    heartbeatInterval: 30000,
+
+    // Outgoing bytes buffered for a slow peer before its senders are paused
+    highWaterMark: 1024 * 1024
+};
+
+// Frame kinds shared with eo_sync_transport.js
+const FRAME = {
+    HELLO: 'hello',
+    WELCOME: 'welcome',
+    PEER_JOINED: 'peer_joined',
+    PEER_LEFT: 'peer_left',
+    REQUEST: 'request',
+    RESPONSE: 'response',
+    ERROR: 'error'
+};
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+const CLOSE_CODE = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    ABNORMAL: 1006,
+    POLICY_VIOLATION: 1008,
+    MESSAGE_TOO_BIG: 1009
+};
+
+// ============================================================================
+// RELAY HUB (Transport-independent routing)
+// ============================================================================
+
+/**
+ * Routes frames between peers of the same workspace
+ *
+ * A connection is anything with:
+ *   send(text) -> false when its buffer is over the high water mark
+ *   close(code, reason), pause(), resume(), onDrain(callback)
+ */
+class RelayHub {
+    constructor(options = {}) {
+        this._options = {
+            log: options.log || null
+        };
+
+        // workspace -> Map(nodeId -> peer)
+        this._workspaces = new Map();
+        this._stats = { connections: 0, refused: 0, routed: 0, unroutable: 0 };
+    }
+
+    /**
+     * Register a new connection; returns callbacks for the transport to call
+     */
+    accept(connection) {
+        const peer = { connection, workspace: null, nodeId: null };
+        this._stats.connections++;
+
+        return {
+            receive: (text) => this._onText(peer, text),
+            closed: () => this._removePeer(peer)
+        };
+    }
+
+    _onText(peer, text) {
+        let frame;
+        try {
+            frame = JSON.parse(text);
+        } catch (err) {
+            peer.connection.send(JSON.stringify({ kind: FRAME.ERROR, error: 'invalid_json' }));
+            return;
+        }
+
+        if (!peer.nodeId) {
+            this._onHello(peer, frame);
+            return;
+        }
+
+        if (frame.kind === FRAME.REQUEST || frame.kind === FRAME.RESPONSE) {
+            this._route(peer, frame);
+        } else {
+            peer.connection.send(JSON.stringify({ kind: FRAME.ERROR, error: 'unsupported_frame' }));
+        }
+    }
+
+    _onHello(peer, frame) {
+        if (frame.kind !== FRAME.HELLO || !frame.nodeId || !frame.workspace) {
+            peer.connection.close(CLOSE_CODE.POLICY_VIOLATION, 'hello_required');
+            return;
+        }
+
+        if (!this._workspaces.has(frame.workspace)) {
+            this._workspaces.set(frame.workspace, new Map());
+        }
+        const members = this._workspaces.get(frame.workspace);
+
+        // The first connection keeps its node id: otherwise anyone could
+        // evict a peer by claiming its id. A node reconnecting before its
+        // old socket timed out is refused and retries with backoff until
+        // the heartbeat drops the stale socket.
+        if (members.has(frame.nodeId)) {
+            this._stats.refused++;
+            peer.connection.close(CLOSE_CODE.POLICY_VIOLATION, 'node_id_in_use');
+            return;
+        }
+
+        peer.workspace = frame.workspace;
+        peer.nodeId = frame.nodeId;
+
+        peer.connection.send(JSON.stringify({
+            kind: FRAME.WELCOME,
+            nodeId: peer.nodeId,
+            workspace: peer.workspace,
+            peers: Array.from(members.keys())
+        }));
+
+        this._broadcast(members, { kind: FRAME.PEER_JOINED, nodeId: peer.nodeId });
+        members.set(peer.nodeId, peer);
+
+        this._options.log?.(`+ ${peer.nodeId} joined ${peer.workspace}`);
+    }
+
+    _route(source, frame) {
+        const members = this._workspaces.get(source.workspace);
+        const target = members?.get(frame.to);
+
+        if (!target) {
+            this._stats.unroutable++;
+            if (frame.kind === FRAME.REQUEST) {
+                source.connection.send(JSON.stringify({
+                    kind: FRAME.RESPONSE,
+                    id: frame.id,
+                    error: 'peer_unavailable'
+                }));
+            }
+            return;
+        }
+
+        this._stats.routed++;
+
+        // The relay stamps the sender; peers cannot speak for each other
+        const ok = target.connection.send(JSON.stringify({ ...frame, from: source.nodeId }));
+
+        if (!ok) {
+            // Target is backed up: stop reading from the source until it drains
+            source.connection.pause();
+            target.connection.onDrain(() => source.connection.resume());
+        }
+    }
+
+    _removePeer(peer) {
+        if (!peer.nodeId) return;
+
+        const members = this._workspaces.get(peer.workspace);
+        if (!members || members.get(peer.nodeId) !== peer) return;
+
+        members.delete(peer.nodeId);
+        this._broadcast(members, { kind: FRAME.PEER_LEFT, nodeId: peer.nodeId });
+
+        if (members.size === 0) {
+            this._workspaces.delete(peer.workspace);
+        }
+
+        this._options.log?.(`- ${peer.nodeId} left ${peer.workspace}`);
+        peer.nodeId = null;
+    }
+
+    _broadcast(members, frame) {
+        const text = JSON.stringify(frame);
+        for (const member of members.values()) {
+            member.connection.send(text);
+        }
+    }
+
+    /**
+     * Drop a peer's connection (used by tests to simulate a network failure)
+     */
+    disconnect(nodeId, workspace = null) {
+        for (const [name, members] of this._workspaces) {
+            if (workspace && name !== workspace) continue;
+            const peer = members.get(nodeId);
+            if (peer) {
+                peer.connection.close(CLOSE_CODE.ABNORMAL, 'dropped');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Create an in-process client socket connected to this hub
+     */
+    createLocalSocket(url) {
+        return new LocalSocket(this, url);
+    }
+
+    getPeers(workspace) {
+        return Array.from(this._workspaces.get(workspace)?.keys() || []);
+    }
+
+    getStats() {
+        return {
+            ...this._stats,
+            workspaces: this._workspaces.size,
+            peers: Array.from(this._workspaces.values()).reduce((n, m) => n + m.size, 0)
+        };
+    }
+}
+
+// ============================================================================
+// LOCAL SOCKET (In-process, browser WebSocket API)
+// ============================================================================
+
+/**
+ * Client socket wired straight into a RelayHub
+ * Delivery is asynchronous in both directions, like a real socket.
+ */
+class LocalSocket {
+    constructor(hub, url) {
+        this.url = url;
+        this.readyState = LocalSocket.CONNECTING;
+        this.bufferedAmount = 0;
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this._hub = hub;
+        this._paused = false;
+        this._inbound = [];
+        this._handle = null;
+
+        const socket = this;
+        this._connection = {
+            send(text) {
+                if (socket.readyState !== LocalSocket.OPEN) return true;
+                setImmediate(() => {
+                    if (socket.readyState === LocalSocket.OPEN) {
+                        socket.onmessage?.({ data: text });
+                    }
+                });
+                return true;
+            },
+            close(code, reason) {
+                socket._terminate(code, reason);
+            },
+            pause() {
+                socket._paused = true;
+            },
+            resume() {
+                socket._paused = false;
+                socket._deliver();
+            },
+            onDrain(callback) {
+                setImmediate(callback);
+            }
+        };
+
+        setImmediate(() => {
+            if (this.readyState !== LocalSocket.CONNECTING) return;
+            this._handle = hub.accept(this._connection);
+            this.readyState = LocalSocket.OPEN;
+            this.onopen?.({});
+        });
+    }
+
+    send(data) {
+        if (this.readyState !== LocalSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this._inbound.push(String(data));
+        setImmediate(() => this._deliver());
+    }
+
+    close(code = CLOSE_CODE.NORMAL, reason = '') {
+        this._terminate(code, reason);
+    }
+
+    _deliver() {
+        while (!this._paused && this._inbound.length > 0 && this.readyState === LocalSocket.OPEN) {
+            this._handle.receive(this._inbound.shift());
+        }
+    }
+
+    _terminate(code, reason) {
+        if (this.readyState === LocalSocket.CLOSED || this.readyState === LocalSocket.CLOSING) return;
+
+        this.readyState = LocalSocket.CLOSING;
+        this._inbound = [];
+
+        setImmediate(() => {
+            this.readyState = LocalSocket.CLOSED;
+            this._handle?.closed();
+            this.onclose?.({ code, reason, wasClean: code === CLOSE_CODE.NORMAL });
+        });
+    }
+}
+
+LocalSocket.CONNECTING = 0;
+LocalSocket.OPEN = 1;
+LocalSocket.CLOSING = 2;
+LocalSocket.CLOSED = 3;
+
+// ============================================================================
+// WEBSOCKET CONNECTION (RFC 6455 framing over a TCP socket)
+// ============================================================================
+
+class WebSocketConnection {
+    constructor(socket, options = {}) {
+        this._socket = socket;
+        this._maxPayload = options.maxPayload || CONFIG.maxPayload;
+        this._highWaterMark = options.highWaterMark || CONFIG.highWaterMark;
+
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._fragmentsLength = 0;
+        this._fragmentOpcode = null;
+
+        this._closed = false;
+        this._alive = true;
+
+        this.onText = null;
+        this.onClose = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('close', () => this._onSocketClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    // Connection interface used by RelayHub
+
+    send(text) {
+        if (this._closed) return true;
+        this._socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(text, 'utf8')));
+        return this._socket.writableLength < this._highWaterMark;
+    }
+
+    close(code = CLOSE_CODE.NORMAL, reason = '') {
+        if (this._closed) return;
+        this._closed = true;
+
+        if (code === CLOSE_CODE.ABNORMAL) {
+            // 1006 must never go on the wire - just drop the connection
+            this._socket.destroy();
+            return;
+        }
+
+        const reasonBytes = Buffer.from(reason, 'utf8').subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this._socket.end(encodeFrame(OPCODE.CLOSE, payload));
+    }
+
+    pause() {
+        this._socket.pause();
+    }
+
+    resume() {
+        this._socket.resume();
+    }
+
+    onDrain(callback) {
+        if (this._socket.writableLength < this._highWaterMark) {
+            setImmediate(callback);
+        } else {
+            this._socket.once('drain', callback);
+        }
+    }
+
+    // Heartbeat
+
+    ping() {
+        if (this._closed) return;
+        if (!this._alive) {
+            this._socket.destroy();
+            return;
+        }
+        this._alive = false;
+        this._socket.write(encodeFrame(OPCODE.PING, Buffer.alloc(0)));
+    }
+
+    // Frame parsing
+
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+
+        while (!this._closed) {
+            const frame = this._readFrame();
+            if (!frame) break;
+            this._onFrame(frame);
+        }
+    }
+
+    _readFrame() {
+        const buf = this._buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            const big = buf.readBigUInt64BE(2);
+            if (big > BigInt(this._maxPayload)) {
+                this.close(CLOSE_CODE.MESSAGE_TOO_BIG, 'message_too_big');
+                return null;
+            }
+            length = Number(big);
+            offset = 10;
+        }
+
+        // Clients must mask every frame (RFC 6455 section 5.1)
+        if (!masked) {
+            this.close(CLOSE_CODE.PROTOCOL_ERROR, 'unmasked_frame');
+            return null;
+        }
+
+        if (length > this._maxPayload) {
+            this.close(CLOSE_CODE.MESSAGE_TOO_BIG, 'message_too_big');
+            return null;
+        }
+
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+
+        this._buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    _onFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+            case OPCODE.CONTINUATION: {
+                if (opcode === OPCODE.CONTINUATION) {
+                    if (this._fragmentOpcode === null) {
+                        this.close(CLOSE_CODE.PROTOCOL_ERROR, 'unexpected_continuation');
+                        return;
+                    }
+                } else {
+                    if (this._fragmentOpcode !== null) {
+                        this.close(CLOSE_CODE.PROTOCOL_ERROR, 'expected_continuation');
+                        return;
+                    }
+                    this._fragmentOpcode = opcode;
+                }
+
+                this._fragments.push(payload);
+                this._fragmentsLength += payload.length;
+
+                if (this._fragmentsLength > this._maxPayload) {
+                    this.close(CLOSE_CODE.MESSAGE_TOO_BIG, 'message_too_big');
+                    return;
+                }
+
+                if (fin) {
+                    const message = Buffer.concat(this._fragments).toString('utf8');
+                    this._fragments = [];
+                    this._fragmentsLength = 0;
+                    this._fragmentOpcode = null;
+                    this.onText?.(message);
+                }
+                break;
+            }
+
+            case OPCODE.PING:
+                this._socket.write(encodeFrame(OPCODE.PONG, payload));
+                break;
+
+            case OPCODE.PONG:
+                this._alive = true;
+                break;
+
+            case OPCODE.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODE.NORMAL;
+                this.close(code);
+                break;
+            }
+
+            default:
+                this.close(CLOSE_CODE.PROTOCOL_ERROR, 'unknown_opcode');
+        }
+    }
+
+    _onSocketClose() {
+        this._closed = true;
+        this.onClose?.();
+    }
+}
+
+/**
+ * Encode an unmasked server-to-client frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// ============================================================================
+// RELAY SERVER (HTTP upgrade + heartbeat)
+// ============================================================================
+
+class RelayServer {
+    constructor(options = {}) {
+        this._options = { ...CONFIG, ...options };
+        this._hub = options.hub || new RelayHub({ log: options.log });
+        this._connections = new Set();
+        this._heartbeat = null;
+
+        this._server = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'websocket_required', ...this._hub.getStats() }));
+        });
+
+        this._server.on('upgrade', (req, socket) => this._onUpgrade(req, socket));
+    }
+
+    listen(port = this._options.port, host = this._options.host) {
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, host, () => {
+                this._server.off('error', reject);
+                this._heartbeat = setInterval(() => {
+                    this._connections.forEach(conn => conn.ping());
+                }, this._options.heartbeatInterval);
+                this._heartbeat.unref?.();
+                resolve(this._server.address());
+            });
+        });
+    }
+
+    close() {
+        clearInterval(this._heartbeat);
+        this._connections.forEach(conn => conn.close(CLOSE_CODE.GOING_AWAY, 'server_shutdown'));
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+
+    _onUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const connection = new WebSocketConnection(socket, this._options);
+        const handle = this._hub.accept(connection);
+
+        connection.onText = (text) => handle.receive(text);
+        connection.onClose = () => {
+            this._connections.delete(connection);
+            handle.closed();
+        };
+
+        this._connections.add(connection);
+    }
+
+    getHub() {
+        return this._hub;
+    }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const port = parseInt(option('--port', CONFIG.port), 10);
+    const host = option('--host', CONFIG.host);
+
+    const server = new RelayServer({ log: (line) => console.log(line) });
+
+    server.listen(port, host).then(address => {
+        console.log(`EO sync relay listening on ws://${address.address}:${address.port}`);
+    }).catch(err => {
+        console.error(`Relay error: ${err.message}`);
+        process.exit(2);
+    });
+
+    const shutdown = () => {
+        server.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Export for testing
+module.exports = {
+    RelayHub,
+    RelayServer,
+    LocalSocket,
+    WebSocketConnection,
+    encodeFrame,
+    FRAME,
+    CONFIG
+};
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
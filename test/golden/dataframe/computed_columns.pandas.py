@@ -0,0 +1,15 @@
+import numpy as np
+import pandas as pd
+
+result = items
+result = pd.DataFrame(
+    {
+        "id": result["id"],
+        "name_upper": result["name"].str.upper(),
+        "amount": (result["price"] * result["qty"]),
+        "band": np.select([result["qty"].gt(10), result["qty"].gt(0)], ["bulk", "retail"], default="none"),
+        "code_num": result["code"].astype("Int64"),
+        "full_name": (result["first_name"].fillna("").astype(str) + " " + result["last_name"].fillna("").astype(str)),
+    },
+    index=result.index,
+)
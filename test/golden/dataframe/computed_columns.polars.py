@@ -0,0 +1,13 @@
+import polars as pl
+
+result = (
+    items.lazy()
+    .select(
+        pl.col("id"),
+        pl.col("name").str.to_uppercase().alias("name_upper"),
+        (pl.col("price") * pl.col("qty")).alias("amount"),
+        pl.when(pl.col("qty") > 10).then(pl.lit("bulk")).when(pl.col("qty") > 0).then(pl.lit("retail")).otherwise(pl.lit("none")).alias("band"),
+        pl.col("code").cast(pl.Int64).alias("code_num"),
+        pl.concat_str([pl.col("first_name"), pl.lit(" "), pl.col("last_name")], ignore_nulls=True).alias("full_name"),
+    )
+)
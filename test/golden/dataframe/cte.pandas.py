@@ -0,0 +1,15 @@
+import pandas as pd
+
+big = orders
+big = big[big["total"].gt(1000)]
+big = big[["id", "customer_id", "total"]]
+
+result = big
+result = result.merge(
+    customers.dropna(subset=["id"]).add_prefix("c."),
+    how="inner",
+    left_on="customer_id",
+    right_on="c.id",
+)
+result = result[["c.name", "total"]].rename(columns={"c.name": "name"})
+result = result.sort_values(["total", "name"], ascending=[False, True], na_position="first")
@@ -0,0 +1,20 @@
+import polars as pl
+
+big = (
+    orders.lazy()
+    .filter(pl.col("total") > 1000)
+    .select(pl.col("id"), pl.col("customer_id"), pl.col("total"))
+)
+
+result = (
+    big
+    .join(
+        customers.lazy().select(pl.all().name.prefix("c.")),
+        left_on="customer_id",
+        right_on="c.id",
+        how="inner",
+        coalesce=False,
+    )
+    .select(pl.col("c.name").alias("name"), pl.col("total"))
+    .sort(["total", "name"], descending=[True, False])
+)
@@ -0,0 +1,5 @@
+import pandas as pd
+
+result = people
+result = result[["city", "country"]]
+result = result.drop_duplicates()
@@ -0,0 +1,7 @@
+import polars as pl
+
+result = (
+    people.lazy()
+    .select(pl.col("city"), pl.col("country"))
+    .unique(maintain_order=True)
+)
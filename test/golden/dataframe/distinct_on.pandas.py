@@ -0,0 +1,8 @@
+import pandas as pd
+
+result = orders
+result = result[["customer_id", "id", "total"]]
+result = result.assign(_null_total=result["total"].isna())
+result = result.sort_values(["customer_id", "_null_total", "total"], ascending=[True, False, False])
+result = result.drop(columns=["_null_total"])
+result = result.drop_duplicates(subset=["customer_id"])
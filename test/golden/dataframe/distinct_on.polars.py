@@ -0,0 +1,8 @@
+import polars as pl
+
+result = (
+    orders.lazy()
+    .select(pl.col("customer_id"), pl.col("id"), pl.col("total"))
+    .sort(["customer_id", "total"], descending=[False, True], nulls_last=[True, False])
+    .unique(subset=["customer_id"], keep="first", maintain_order=True)
+)
@@ -0,0 +1,7 @@
+import pandas as pd
+
+result = orders
+result = result[result["status"].eq("paid") & result["total"].gt(100)]
+result = result[["id", "total"]]
+result = result.sort_values("total", ascending=False, na_position="first")
+result = result.head(5)
@@ -0,0 +1,9 @@
+import polars as pl
+
+result = (
+    orders.lazy()
+    .filter((pl.col("status") == pl.lit("paid")) & (pl.col("total") > 100))
+    .select(pl.col("id"), pl.col("total"))
+    .sort("total", descending=True)
+    .head(5)
+)
@@ -0,0 +1,17 @@
+import pandas as pd
+
+result = a
+result = pd.concat(
+    [
+        result.dropna(subset=["key"]).merge(
+            b.dropna(subset=["key"]).add_prefix("b."),
+            how="outer",
+            left_on="key",
+            right_on="b.key",
+        ),
+        result[result[["key"]].isna().any(axis=1)],
+        b[b[["key"]].isna().any(axis=1)].add_prefix("b."),
+    ],
+    ignore_index=True,
+)
+result = result[["id", "b.id"]].rename(columns={"b.id": "other"})
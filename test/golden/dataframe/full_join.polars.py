@@ -0,0 +1,13 @@
+import polars as pl
+
+result = (
+    a.lazy()
+    .join(
+        b.lazy().select(pl.all().name.prefix("b.")),
+        left_on="key",
+        right_on="b.key",
+        how="full",
+        coalesce=False,
+    )
+    .select(pl.col("id"), pl.col("b.id").alias("other"))
+)
@@ -0,0 +1,8 @@
+import pandas as pd
+
+result = employees
+result = pd.DataFrame({
+    "n": [len(result)],
+    "total": [result["salary"].sum(min_count=1)],
+    "latest": [result["hired_at"].max()],
+})
@@ -0,0 +1,10 @@
+import polars as pl
+
+result = (
+    employees.lazy()
+    .select(
+        pl.len().alias("n"),
+        pl.when(pl.col("salary").count() > 0).then(pl.col("salary").sum()).alias("total"),
+        pl.col("hired_at").max().alias("latest"),
+    )
+)
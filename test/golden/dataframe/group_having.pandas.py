@@ -0,0 +1,12 @@
+import pandas as pd
+
+result = employees
+result = result[result["active"].eq(True)]
+result = result.groupby(["dept"], as_index=False, dropna=False).agg(
+    n=("dept", "size"),
+    total=("salary", lambda s: s.sum(min_count=1)),
+    mean_salary=("salary", "mean"),
+    titles=("title", "nunique"),
+)
+result = result[result["n"].gt(2)]
+result = result.sort_values("total", ascending=False, na_position="first")
@@ -0,0 +1,15 @@
+import polars as pl
+
+result = (
+    employees.lazy()
+    .filter(pl.col("active") == True)
+    .group_by(pl.col("dept"), maintain_order=True)
+    .agg(
+        pl.len().alias("n"),
+        pl.when(pl.col("salary").count() > 0).then(pl.col("salary").sum()).alias("total"),
+        pl.col("salary").mean().alias("mean_salary"),
+        pl.col("title").drop_nulls().n_unique().alias("titles"),
+    )
+    .filter(pl.col("n") > 2)
+    .sort("total", descending=True)
+)
@@ -0,0 +1,14 @@
+import pandas as pd
+
+result = orders
+result = result.merge(
+    customers.dropna(subset=["id"]).add_prefix("c."),
+    how="inner",
+    left_on="customer_id",
+    right_on="c.id",
+)
+result = result.groupby(["c.region"], as_index=False, dropna=False).agg(
+    smallest=("total", "min"),
+    largest=("total", "max"),
+)
+result = result[["c.region", "smallest", "largest"]].rename(columns={"c.region": "region"})
@@ -0,0 +1,15 @@
+import polars as pl
+
+result = (
+    orders.lazy()
+    .join(
+        customers.lazy().select(pl.all().name.prefix("c.")),
+        left_on="customer_id",
+        right_on="c.id",
+        how="inner",
+        coalesce=False,
+    )
+    .group_by(pl.col("c.region"), maintain_order=True)
+    .agg(pl.col("total").min().alias("smallest"), pl.col("total").max().alias("largest"))
+    .select(pl.col("c.region").alias("region"), pl.col("smallest"), pl.col("largest"))
+)
@@ -0,0 +1,17 @@
+import pandas as pd
+
+result = orders
+result = result.merge(
+    customers.dropna(subset=["id"]).add_prefix("c."),
+    how="inner",
+    left_on="customer_id",
+    right_on="c.id",
+)
+result = result.merge(
+    regions.dropna(subset=["id"]).add_prefix("r."),
+    how="left",
+    left_on="c.region_id",
+    right_on="r.id",
+)
+result = result[result["total"].gt(50)]
+result = result[["id", "c.name", "r.label"]].rename(columns={"c.name": "name", "r.label": "label"})
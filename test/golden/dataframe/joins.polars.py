@@ -0,0 +1,21 @@
+import polars as pl
+
+result = (
+    orders.lazy()
+    .join(
+        customers.lazy().select(pl.all().name.prefix("c.")),
+        left_on="customer_id",
+        right_on="c.id",
+        how="inner",
+        coalesce=False,
+    )
+    .join(
+        regions.lazy().select(pl.all().name.prefix("r.")),
+        left_on="c.region_id",
+        right_on="r.id",
+        how="left",
+        coalesce=False,
+    )
+    .filter(pl.col("total") > 50)
+    .select(pl.col("id"), pl.col("c.name").alias("name"), pl.col("r.label").alias("label"))
+)
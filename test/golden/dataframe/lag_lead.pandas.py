@@ -0,0 +1,7 @@
+import pandas as pd
+
+result = prices
+result = result.assign(
+    prev_close=result.sort_values("day").groupby(["ticker"], dropna=False)["close"].shift(1),
+    next_close=result.sort_values("day").groupby(["ticker"], dropna=False)["close"].shift(-2, fill_value=0),
+)
@@ -0,0 +1,10 @@
+import polars as pl
+
+result = (
+    prices.lazy()
+    .sort("day", nulls_last=True)
+    .with_columns(
+        pl.col("close").shift(1).over(["ticker"]).alias("prev_close"),
+        pl.col("close").shift(-2, fill_value=0).over(["ticker"]).alias("next_close"),
+    )
+)
@@ -0,0 +1,5 @@
+import pandas as pd
+
+result = people
+result = result[pd.Series(False, index=result.index)]
+result = result[["id"]]
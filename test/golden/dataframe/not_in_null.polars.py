@@ -0,0 +1,7 @@
+import polars as pl
+
+result = (
+    people.lazy()
+    .filter(pl.lit(False))
+    .select(pl.col("id"))
+)
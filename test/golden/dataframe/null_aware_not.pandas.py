@@ -0,0 +1,8 @@
+import pandas as pd
+
+result = people
+result = result[
+    result["status"].ne("inactive") & result["status"].notna()
+    & result["age"].ge(18)
+    & result["city"].notna()
+]
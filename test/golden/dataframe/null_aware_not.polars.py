@@ -0,0 +1,10 @@
+import polars as pl
+
+result = (
+    people.lazy()
+    .filter(
+        (pl.col("status") != pl.lit("inactive"))
+        & (pl.col("age") >= 18)
+        & pl.col("city").is_not_null(),
+    )
+)
@@ -0,0 +1,12 @@
+import pandas as pd
+
+result = contacts
+result = pd.DataFrame(
+    {
+        "id": result["id"],
+        "phone": result["phone"].fillna(result["mobile"]).fillna(result["landline"]),
+        "status": result["status"].mask(result["status"].eq("")),
+        "score": result["score"].fillna(0),
+    },
+    index=result.index,
+)
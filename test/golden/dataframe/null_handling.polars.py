@@ -0,0 +1,11 @@
+import polars as pl
+
+result = (
+    contacts.lazy()
+    .select(
+        pl.col("id"),
+        pl.coalesce(pl.col("phone"), pl.col("mobile"), pl.col("landline")).alias("phone"),
+        pl.when(pl.col("status") == pl.lit("")).then(None).otherwise(pl.col("status")).alias("status"),
+        pl.coalesce(pl.col("score"), 0).alias("score"),
+    )
+)
@@ -0,0 +1,5 @@
+import pandas as pd
+
+page = events
+page = page.sort_values("at")
+page = page.iloc[20:30]
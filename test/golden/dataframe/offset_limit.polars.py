@@ -0,0 +1,7 @@
+import polars as pl
+
+page = (
+    events.lazy()
+    .sort("at", nulls_last=True)
+    .slice(20, 10)
+)
@@ -0,0 +1,11 @@
+import pandas as pd
+
+result = people
+result = result[
+    result["region"].isin(["north", "south"])
+    & ~result["team"].isin(["a", "b"]) & result["team"].notna()
+    & result["name"].str.fullmatch("J.*", na=False)
+    & ~result["email"].str.fullmatch(".*@example\\.com", case=False, na=True)
+    & (result["age"].lt(30) | result["age"].gt(40))
+]
+result = result[["id"]]
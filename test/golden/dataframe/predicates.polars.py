@@ -0,0 +1,13 @@
+import polars as pl
+
+result = (
+    people.lazy()
+    .filter(
+        pl.col("region").is_in(["north", "south"])
+        & pl.col("team").is_not_null() & ~pl.col("team").is_in(["a", "b"])
+        & pl.col("name").str.contains("^J.*$")
+        & ~pl.col("email").str.contains("(?i)^.*@example\\.com$")
+        & ((pl.col("age") < 30) | (pl.col("age") > 40)),
+    )
+    .select(pl.col("id"))
+)
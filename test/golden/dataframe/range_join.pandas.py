@@ -0,0 +1,6 @@
+import pandas as pd
+
+result = events
+result = result.merge(buckets.add_prefix("b."), how="cross")
+result = result[result["at"].ge(result["b.start_at"]) & result["at"].lt(result["b.end_at"])]
+result = result[["id", "b.label"]].rename(columns={"b.label": "label"})
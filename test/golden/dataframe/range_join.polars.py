@@ -0,0 +1,8 @@
+import polars as pl
+
+result = (
+    events.lazy()
+    .join(buckets.lazy().select(pl.all().name.prefix("b.")), how="cross")
+    .filter((pl.col("at") >= pl.col("b.start_at")) & (pl.col("at") < pl.col("b.end_at")))
+    .select(pl.col("id"), pl.col("b.label").alias("label"))
+)
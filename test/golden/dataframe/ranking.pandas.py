@@ -0,0 +1,9 @@
+import pandas as pd
+
+result = employees
+result = result.assign(
+    salary_rank=result.groupby(["dept"], dropna=False)["salary"].rank(method="min", ascending=False, na_option="top").astype("Int64"),
+    band=result["salary"].rank(method="dense", na_option="bottom").astype("Int64"),
+    seniority=result.sort_values("hired_at").groupby(["dept"], dropna=False).cumcount() + 1,
+)
+result = result[["name", "dept", "salary", "salary_rank", "band", "seniority"]]
@@ -0,0 +1,23 @@
+import polars as pl
+
+result = (
+    employees.lazy()
+    .sort("salary", descending=True)
+    .with_columns(
+        (pl.col("salary").rank("min", descending=True) + pl.col("salary").null_count()).fill_null(1).over(["dept"]).alias("salary_rank"),
+    )
+    .sort("salary", nulls_last=True)
+    .with_columns(
+        pl.col("salary").rank("dense").fill_null(pl.col("salary").drop_nulls().n_unique() + 1).alias("band"),
+    )
+    .sort("hired_at", nulls_last=True)
+    .with_columns(pl.int_range(1, pl.len() + 1).over(["dept"]).alias("seniority"))
+    .select(
+        pl.col("name"),
+        pl.col("dept"),
+        pl.col("salary"),
+        pl.col("salary_rank"),
+        pl.col("band"),
+        pl.col("seniority"),
+    )
+)
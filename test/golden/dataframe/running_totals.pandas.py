@@ -0,0 +1,9 @@
+import pandas as pd
+
+result = ledger
+result = result.assign(
+    balance=result.sort_values("day").groupby(["account"], dropna=False)["amount"].transform(lambda s: s.expanding().sum()),
+    mean_amount=result.groupby(["account"], dropna=False)["amount"].transform("mean"),
+    entries=result["amount"].count(),
+)
+result = result[["account", "day", "amount", "balance", "mean_amount", "entries"]]
@@ -0,0 +1,21 @@
+import polars as pl
+
+result = (
+    ledger.lazy()
+    .sort("day", nulls_last=True)
+    .with_columns(
+        pl.col("amount").cum_sum().forward_fill().over(["account"]).alias("balance"),
+    )
+    .with_columns(
+        pl.col("amount").mean().over(["account"]).alias("mean_amount"),
+        pl.col("amount").count().alias("entries"),
+    )
+    .select(
+        pl.col("account"),
+        pl.col("day"),
+        pl.col("amount"),
+        pl.col("balance"),
+        pl.col("mean_amount"),
+        pl.col("entries"),
+    )
+)
@@ -0,0 +1,12 @@
+import pandas as pd
+
+result_1 = leads
+result_1 = result_1[["email"]]
+
+result_2 = partners
+result_2 = result_2[["email"]]
+
+result = customers
+result = result[["email"]]
+result = pd.concat([result, result_1], ignore_index=True).drop_duplicates()
+result = pd.concat([result, result_2], ignore_index=True)
@@ -0,0 +1,21 @@
+import polars as pl
+
+result_1 = (
+    leads.lazy()
+    .select(pl.col("email"))
+)
+
+result_2 = (
+    partners.lazy()
+    .select(pl.col("email"))
+)
+
+result = (
+    customers.lazy()
+    .select(pl.col("email"))
+)
+result = (
+    pl.concat([result, result_1])
+    .unique(maintain_order=True)
+)
+result = pl.concat([result, result_2])
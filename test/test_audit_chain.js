@@ -0,0 +1,240 @@
+/**
+ * Audit Chain Tests
+ * Tests for the hash-chained audit mode, inclusion proofs and chain audits
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOAuditChain = require(path.join(__dirname, '../eo_audit_chain.js'));
+const { ComplianceChecker } = require(path.join(__dirname, '../eo_compliance.js'));
+
+const { BREAK_REASON } = EOAuditChain;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+function createAuditedLog(count = 5) {
+    const log = new EventLog({ auditChain: true });
+    for (let i = 0; i < count; i++) {
+        log.append({
+            type: 'given',
+            actor: 'clerk',
+            parents: log.getHeads(),
+            context: { workspace: 'default' },
+            payload: { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'amount', value: i * 100 }
+        });
+    }
+    return log;
+}
+
+/**
+ * Stored copies of a log's events, as they would be read back from disk
+ */
+function storedEvents(log) {
+    return JSON.parse(JSON.stringify(log.getAll()));
+}
+
+/**
+ * A log loaded from (possibly edited) stored events
+ */
+function loadLog(events) {
+    const log = new EventLog({ auditChain: true });
+    log.import({ version: 1, events });
+    return log;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Audit Chain Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Chaining');
+    // ------------------------------------------------------------------------
+
+    await test('Commits each event to the root of the log up to it', async () => {
+        const log = createAuditedLog(3);
+        const events = log.getAll();
+
+        assertEqual(events.map(e => e.chain.index), [0, 1, 2]);
+        assertEqual(new Set(events.map(e => e.chain.root)).size, 3);
+        assertEqual(log.getAuditRoot(), { size: 3, root: events[2].chain.root });
+    });
+
+    await test('Leaves logs outside audit mode unchanged', async () => {
+        const log = new EventLog();
+        const event = log.append({ type: 'given', actor: 'clerk', context: {}, payload: { action: 'noop' } }).event;
+
+        assertEqual(event.chain, undefined);
+        assertEqual(log.getAuditRoot(), null);
+    });
+
+    await test('Rebuilds the tree when a stored log is loaded', async () => {
+        const log = createAuditedLog(6);
+        const loaded = loadLog(storedEvents(log));
+
+        assertEqual(loaded.getAuditRoot(), log.getAuditRoot());
+
+        const next = loaded.append({ type: 'given', actor: 'clerk', parents: loaded.getHeads(), context: {}, payload: { action: 'noop' } }).event;
+        assertEqual(next.chain.index, 6);
+        assertTrue(EOAuditChain.verifyLog(loaded.getAll()).valid, 'Chain continues after load');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Inclusion Proofs');
+    // ------------------------------------------------------------------------
+
+    await test('Proves an event is in the log', async () => {
+        const log = createAuditedLog(7);
+        const event = log.getAll()[4];
+
+        const proof = log.getInclusionProof(event.id);
+
+        assertEqual([proof.index, proof.treeSize, proof.root], [4, 7, log.getAuditRoot().root]);
+        assertTrue(EOAuditChain.verifyInclusion(proof, event), 'Proof verifies');
+        assertTrue(EOAuditChain.verifyInclusion(JSON.parse(JSON.stringify(proof)), storedEvents(log)[4]), 'Survives serialization');
+    });
+
+    await test('Rejects a proof for an altered event or another root', async () => {
+        const log = createAuditedLog(7);
+        const event = log.getAll()[4];
+        const proof = log.getInclusionProof(event.id);
+
+        const altered = { ...event, payload: { ...event.payload, value: 999 } };
+        assertEqual(EOAuditChain.verifyInclusion(proof, altered), false);
+        assertEqual(EOAuditChain.verifyInclusion({ ...proof, root: log.getAll()[5].chain.root }), false);
+    });
+
+    await test('Proves inclusion against a root recorded by a later event', async () => {
+        const log = createAuditedLog(7);
+        const [first, , , checkpoint] = log.getAll();
+
+        const proof = log.getInclusionProof(first.id, checkpoint.chain.index + 1);
+
+        assertEqual(proof.root, checkpoint.chain.root);
+        assertTrue(EOAuditChain.verifyInclusion(proof, first), 'Proof verifies against the earlier root');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Chain Verification');
+    // ------------------------------------------------------------------------
+
+    await test('Reports the altered event as the first broken link', async () => {
+        const events = storedEvents(createAuditedLog(5));
+        events[2].payload.value = 1;
+
+        const result = EOAuditChain.verifyLog(events);
+
+        assertEqual(result.valid, false);
+        assertEqual(result.brokenAt, { position: 2, eventId: events[2].id, reason: BREAK_REASON.ROOT_MISMATCH });
+    });
+
+    await test('Reports a removed event at the event after the gap', async () => {
+        const events = storedEvents(createAuditedLog(5));
+        events.splice(1, 1);
+
+        assertEqual(EOAuditChain.verifyLog(events).brokenAt, {
+            position: 1,
+            eventId: events[1].id,
+            reason: BREAK_REASON.INDEX_MISMATCH
+        });
+    });
+
+    await test('Detects a truncated log against a recorded root', async () => {
+        const log = createAuditedLog(5);
+        const anchor = log.getAuditRoot();
+        const events = storedEvents(log).slice(0, 3);
+
+        assertTrue(EOAuditChain.verifyLog(events).valid, 'The remaining prefix is consistent');
+        assertEqual(EOAuditChain.verifyLog(events, { anchor }).valid, false);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Compliance Audit');
+    // ------------------------------------------------------------------------
+
+    await test('Passes an intact audited log', async () => {
+        const results = new ComplianceChecker(createAuditedLog(4)).runFullAudit();
+
+        assertEqual(results.rules.audit_chain.status, 'pass');
+        assertEqual(results.rules.audit_chain.brokenAt, null);
+    });
+
+    await test('Fails with the first broken link of a tampered log', async () => {
+        const events = storedEvents(createAuditedLog(4));
+        // sync-lint-disable-next-line RULE_2 -- tampering is the point of this test
+        events[1].actor = 'someone_else';
+
+        const results = new ComplianceChecker(loadLog(events)).runFullAudit();
+        const rule = results.rules.audit_chain;
+
+        assertEqual(rule.status, 'fail');
+        assertEqual(rule.brokenAt.position, 1);
+        assertTrue(rule.checks[0].message.includes(events[1].id), 'Names the event');
+        assertEqual(results.level, 0);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,319 @@
+/**
+ * Audit Session Tests
+ * Tests for the strict audit session that wraps the running app with the
+ * sync guards and reports violations
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const EOGuards = require(path.join(__dirname, '../eo_guards.js'));
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOState = require(path.join(__dirname, '../eo_state.js'));
+const EOEventBus = require(path.join(__dirname, '../eo_event_bus.js'));
+const EOApp = require(path.join(__dirname, '../eo_app_controller.js'));
+const EOSyncProtocol = require(path.join(__dirname, '../eo_sync_protocol.js'));
+const EOAuditSession = require(path.join(__dirname, '../eo_audit_session.js'));
+
+const { AuditSession, SURFACE } = EOAuditSession;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: ${substring}`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * A running app: state manager holding one record, controller, bus, log
+ */
+function createApp(options = {}) {
+    const log = new EventLog();
+    const bus = new EOEventBus.EventBus();
+    const state = new EOState.StateManager({
+        sets: new Map([['set_1', {
+            id: 'set_1',
+            records: new Map([['rec_1', { id: 'rec_1', title: 'Draft' }]])
+        }]]),
+        currentSetId: 'set_1'
+    });
+    const controller = new EOApp.Controller({ state, eventBus: bus, createEvent: options.createEvent });
+
+    const session = new AuditSession({ eventLog: log, eventBus: bus, mode: options.mode });
+    return { log, bus, state, controller, session };
+}
+
+function cellEdit(log, actor = 'alice', value = 'Final') {
+    return log.append({
+        type: 'given',
+        actor,
+        parents: log.getHeads(),
+        context: { workspace: 'default' },
+        payload: { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value }
+    });
+}
+
+function summarize(session) {
+    return session.getViolations().map(v => [v.rule, v.surface]);
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Audit Session Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Session Lifecycle');
+    // ------------------------------------------------------------------------
+
+    await test('Wraps every loaded surface and unwraps on stop', async () => {
+        const { bus, session } = createApp();
+        const originals = [
+            EOState.StateManager.prototype.set,
+            EOApp.Controller.prototype.handleEdit,
+            EOSyncProtocol.SyncEngine.prototype.syncWith,
+            EOSyncProtocol.SyncEngine.prototype.handleMessage
+        ];
+        EOGuards.setMode('warn');
+
+        session.start();
+        assertEqual(session.getReport().surfaces, [
+            SURFACE.EVENT_LOG, SURFACE.STATE_MANAGER, SURFACE.APP_CONTROLLER, SURFACE.EVENT_BUS, SURFACE.SYNC_ENGINE
+        ]);
+        assertEqual(EOGuards.getMode(), 'silent');
+        assertTrue(EOState.StateManager.prototype.set !== originals[0], 'State manager wrapped');
+        assertEqual(bus.getStats().middlewareCount, 1);
+
+        session.stop();
+        assertEqual([
+            EOState.StateManager.prototype.set,
+            EOApp.Controller.prototype.handleEdit,
+            EOSyncProtocol.SyncEngine.prototype.syncWith,
+            EOSyncProtocol.SyncEngine.prototype.handleMessage
+        ].map((fn, i) => fn === originals[i]), [true, true, true, true]);
+        assertEqual(bus.getStats().middlewareCount, 0);
+        assertEqual(EOGuards.getMode(), 'warn', 'Guard mode restored');
+        assertTrue(session.getReport().endedAt, 'Session ended');
+    });
+
+    await test('Toggle starts and stops the shared session', async () => {
+        const { log, bus } = createApp();
+
+        const started = EOAuditSession.toggle({ eventLog: log, eventBus: bus });
+        assertTrue(started.isActive(), 'Started');
+        assertEqual(EOAuditSession.getSession(), started);
+
+        const stopped = EOAuditSession.toggle();
+        assertEqual(stopped, started);
+        assertEqual(stopped.isActive(), false);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Wrapped Surfaces');
+    // ------------------------------------------------------------------------
+
+    await test('Flags writes to log-derived state through the state manager', async () => {
+        const { state, session } = createApp();
+        session.start();
+
+        state.set('currentSetId', null);
+        state.set('views', new Map());
+        session.stop();
+
+        assertEqual(summarize(session), [['AXIOM_0', SURFACE.STATE_MANAGER]]);
+        assertContains(session.getViolations()[0].message, 'EOStateManager.set("views")');
+    });
+
+    await test('Flags edits that never reach the event log', async () => {
+        const { state, controller, session } = createApp();
+        session.start();
+
+        controller.handleEdit('rec_1', 'title', 'Draft', 'Final');
+        session.stop();
+
+        assertEqual(summarize(session), [['AXIOM_0', SURFACE.APP_CONTROLLER]], 'Reported once, not again for the bus notification');
+        assertEqual(state.getState().sets.get('set_1').records.get('rec_1').title, 'Final', 'Edit still applied outside strict mode');
+    });
+
+    await test('Edits recorded in the log pass', async () => {
+        let app = null;
+        app = createApp({ createEvent: () => cellEdit(app.log) });
+        app.session.start();
+
+        app.controller.handleEdit('rec_1', 'title', 'Draft', 'Final');
+        app.session.stop();
+
+        assertEqual(summarize(app.session), []);
+    });
+
+    await test('Checks bus notifications against the log', async () => {
+        const { log, bus, session } = createApp();
+        session.start();
+
+        cellEdit(log);
+        bus.emit('cell:edited', { recordId: 'rec_1' }, { source: 'grid' });
+        bus.emit('cell:edited', { recordId: 'rec_1' }, { source: 'grid' });
+        cellEdit(log, 'alice', 'Removed');
+        bus.emit('record:deleted', { recordId: 'rec_1' }, { source: 'grid' });
+        bus.emit('panel:toggled', { panelId: 'history' });
+        session.stop();
+
+        assertEqual(session.getViolations().map(v => v.rule), ['AXIOM_0', 'RULE_9', 'RULE_1']);
+        assertEqual(session.getViolations()[0].context.target, 'rec_1');
+    });
+
+    await test('Validates every event appended to the log', async () => {
+        const { log, session } = createApp();
+        session.start();
+
+        cellEdit(log, 'system');
+        session.stop();
+
+        assertEqual(summarize(session), [['RULE_2', SURFACE.EVENT_LOG]]);
+    });
+
+    await test('Checks what the sync engine receives and sends', async () => {
+        const { session } = createApp();
+        const receiver = new EOSyncProtocol.SyncEngine(new EventLog(), { nodeId: 'node_b', requireSignatures: false });
+        session.start();
+
+        await receiver.handleMessage({ type: 'send', state: { sets: [] } }, 'node_a');
+        await receiver.handleMessage({
+            type: 'send',
+            events: [{
+                id: 'evt_remote', type: 'given', actor: 'bob', parents: [], logicalClock: 1,
+                context: { workspace: 'default' },
+                payload: { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Remote' }
+            }]
+        }, 'node_a');
+
+        const failing = new EOSyncProtocol.SyncEngine(new EventLog(), { nodeId: 'node_c', retryAttempts: 1 });
+        try {
+            await failing.syncWith({ send: async () => { throw new Error('offline'); } }, 'node_a');
+        } catch (e) {
+            // Recorded as a sync:failure event, so not a violation
+        }
+        session.stop();
+
+        assertEqual(summarize(session), [['RULE_6', SURFACE.SYNC_ENGINE], ['RULE_1', SURFACE.SYNC_ENGINE]]);
+        assertContains(session.getViolations()[1].message, 'sync from node_a');
+    });
+
+    await test('Strict mode refuses the write but still collects it', async () => {
+        const { state, session } = createApp({ mode: 'strict' });
+        const sets = state.get('sets');
+        session.start();
+
+        let error = null;
+        try {
+            state.set('sets', new Map());
+        } catch (e) {
+            error = e.message;
+        }
+        session.stop();
+
+        assertContains(error, '[SYNC VIOLATION] AXIOM_0');
+        assertEqual(state.get('sets'), sets);
+        assertEqual(session.getViolations().length, 1);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Report');
+    // ------------------------------------------------------------------------
+
+    await test('Reports violations with handbook links and trimmed stacks', async () => {
+        const { log, state, session } = createApp();
+        session.start();
+
+        state.set('sets', new Map());
+        cellEdit(log, 'system');
+        const report = JSON.parse(session.stop().exportJSON());
+
+        assertEqual(report.total, 2);
+        assertEqual(report.byRule, { AXIOM_0: 1, RULE_2: 1 });
+        assertEqual(report.violations[0].handbook, {
+            section: 'Axiom 0: Log Primacy',
+            href: 'SYNC_HANDBOOK.md#axiom-0-log-primacy'
+        });
+        assertContains(report.violations[0].stack, 'test_audit_session.js');
+        assertTrue(!report.violations[0].stack.includes('eo_guards.js'), 'Guard frames trimmed');
+    });
+
+    await test('Exports a standalone HTML report', async () => {
+        const { state, session } = createApp();
+        session.start();
+
+        state.set('entities', new Map());
+        const html = session.stop().exportHTML();
+
+        assertContains(html, '<!DOCTYPE html>');
+        assertContains(html, '1 violation</h2>');
+        assertContains(html, 'href="SYNC_HANDBOOK.md#axiom-0-log-primacy"');
+        assertContains(html, 'EOStateManager.set(&quot;entities&quot;)');
+        assertContains(html, 'Stack trace');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,369 @@
+/**
+ * Branch Tests
+ * Tests for forking a workspace log, previewing merges and merging back
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+require(path.join(__dirname, '../eo_sync_protocol.js'));
+const { ConflictInbox } = require(path.join(__dirname, '../eo_conflict_resolution.js'));
+const EOBranches = require(path.join(__dirname, '../eo_branches.js'));
+const EOSigning = require(path.join(__dirname, '../eo_signing.js'));
+
+const { BranchManager } = EOBranches;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertThrows(fn, expected, message = '') {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(expected)) {
+            throw new Error(`${message}\nExpected error containing: ${expected}\nActual: ${e.message}`);
+        }
+        return;
+    }
+    throw new Error(`${message}\nExpected an error`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+// Main and branch edits use different actors so their event ids never
+// coincide when appended in the same millisecond
+function append(log, payload, actor = 'user_main') {
+    return log.append({
+        type: 'given',
+        actor,
+        parents: log.getHeads(),
+        context: { workspace: 'default' },
+        payload
+    }).event;
+}
+
+function editCell(recordId, fieldName, value) {
+    return { action: 'cell:edit', setId: 'set_1', recordId, fieldName, value };
+}
+
+/**
+ * Main log with set_1 holding rec_1 and rec_2 (title, status)
+ */
+function createMain() {
+    const log = new EventLog();
+    append(log, { action: 'set:create', setId: 'set_1', name: 'Tasks' });
+    append(log, { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_1' } });
+    append(log, { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_2' } });
+    append(log, editCell('rec_1', 'title', 'Draft'));
+    append(log, editCell('rec_1', 'status', 'todo'));
+    return log;
+}
+
+function editOnBranch(branches, name, recordId, fieldName, value) {
+    return branches.append(name, {
+        type: 'given',
+        actor: 'user_branch',
+        payload: editCell(recordId, fieldName, value)
+    }).event;
+}
+
+function cell(log, recordId, fieldName) {
+    return EOStateDerivation.replay(log).sets.get('set_1').records.get(recordId)?.fields?.[fieldName];
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Branch Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Forking');
+    // ------------------------------------------------------------------------
+
+    await test('Forks main and records the branch in the main log', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+
+        const branchLog = branches.fork('cleanup', { actor: 'lead', description: 'Merge duplicates' });
+
+        assertEqual(branchLog.getAll().map(e => e.id), main.getAll().slice(0, 5).map(e => e.id));
+
+        const recorded = EOStateDerivation.replay(main).branches.get('cleanup');
+        assertEqual(recorded.status, 'open');
+        assertEqual(recorded.forkClock, 5);
+        assertEqual(recorded.createdBy, 'lead');
+    });
+
+    await test('Forks from a past point', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        const draft = main.getAll()[3];
+
+        const branchLog = branches.fork('from-draft', { actor: 'lead', at: draft.id });
+
+        assertEqual(branchLog.getClock(), 4);
+        assertEqual(cell(branchLog, 'rec_1', 'status'), undefined);
+    });
+
+    await test('Rejects duplicate names and forks without an actor', async () => {
+        const branches = new BranchManager(createMain());
+        branches.fork('cleanup', { actor: 'lead' });
+
+        assertThrows(() => branches.fork('cleanup', { actor: 'lead' }), 'already exists');
+        assertThrows(() => branches.fork('main', { actor: 'lead' }), 'Invalid branch name');
+        assertThrows(() => branches.fork('other'), 'RULE_1');
+    });
+
+    await test('Says why the branch record could not be appended', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        const append = main.append.bind(main);
+
+        main.append = () => ({ success: false, errors: ['RULE_1: Missing context'] });
+        assertThrows(() => branches.fork('a', { actor: 'lead' }), 'Could not record branch a: RULE_1: Missing context');
+
+        main.append = () => ({ success: false, parked: true, waitingFor: ['evt_missing'] });
+        assertThrows(() => branches.fork('b', { actor: 'lead' }), 'parked, waiting for evt_missing');
+
+        main.append = append;
+        assertEqual(branches.list().length, 0);
+    });
+
+    await test('Keeps branch work out of main', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+
+        const edit = editOnBranch(branches, 'cleanup', 'rec_2', 'title', 'Renamed');
+
+        assertEqual(edit.context.branch, 'cleanup');
+        assertEqual(cell(branches.get('cleanup'), 'rec_2', 'title'), 'Renamed');
+        assertEqual(cell(main, 'rec_2', 'title'), undefined);
+        assertEqual(branches.getOwnEvents('cleanup').map(e => e.id), [edit.id]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Merge Preview');
+    // ------------------------------------------------------------------------
+
+    await test('Previews the changes without touching main', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+        const edit = editOnBranch(branches, 'cleanup', 'rec_2', 'title', 'Renamed');
+        const before = main.getAll().length;
+
+        const preview = await branches.previewMerge('cleanup');
+
+        assertEqual(preview.events, [edit.id]);
+        assertEqual(preview.conflicts, []);
+        assertEqual(preview.diff.cells.map(c => [c.recordId, c.fieldName, c.after, c.events]), [
+            ['rec_2', 'title', 'Renamed', [edit.id]]
+        ]);
+        assertEqual(main.getAll().length, before);
+    });
+
+    await test('Surfaces cells edited on both sides as conflicts', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+
+        const ours = append(main, editCell('rec_1', 'title', 'Main title'));
+        const theirs = editOnBranch(branches, 'cleanup', 'rec_1', 'title', 'Branch title');
+
+        const { conflicts } = await branches.previewMerge('cleanup');
+
+        assertEqual(conflicts.length, 1);
+        assertEqual(conflicts[0].incomingEvent.id, theirs.id);
+        assertEqual(conflicts[0].existingEvents.map(e => e.id), [ours.id]);
+    });
+
+    await test('Merges edits to different fields of a record cleanly', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+
+        append(main, editCell('rec_1', 'title', 'Main title'));
+        editOnBranch(branches, 'cleanup', 'rec_1', 'status', 'done');
+
+        assertEqual((await branches.previewMerge('cleanup')).conflicts, []);
+    });
+
+    await test('Treats a whole-record change as touching every cell', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+
+        append(main, editCell('rec_1', 'title', 'Main title'));
+        branches.append('cleanup', {
+            type: 'given',
+            actor: 'user_branch',
+            payload: { action: 'toss:record', setId: 'set_1', recordId: 'rec_1', reason: 'Duplicate of rec_2' }
+        });
+
+        assertEqual((await branches.previewMerge('cleanup')).conflicts.length, 1);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Merging');
+    // ------------------------------------------------------------------------
+
+    await test('Brings branch events into main and records the merge', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+        const edit = editOnBranch(branches, 'cleanup', 'rec_2', 'title', 'Renamed');
+
+        const result = await branches.merge('cleanup', { actor: 'lead' });
+
+        assertEqual(result.added, [edit.id]);
+        assertEqual(main.get(edit.id).actor, 'user_branch');
+        assertEqual(cell(main, 'rec_2', 'title'), 'Renamed');
+
+        const recorded = EOStateDerivation.replay(main).branches.get('cleanup');
+        assertEqual(recorded.status, 'merged');
+        assertEqual(recorded.merges.map(m => [m.mergedEvents, m._eventId]), [[1, result.mergeEventId]]);
+        assertEqual(branches.list().map(b => [b.name, b.status, b.ownEventCount]), [['cleanup', 'merged', 0]]);
+    });
+
+    await test('Sends merge conflicts to the conflict inbox', async () => {
+        const main = createMain();
+        const inbox = new ConflictInbox(main);
+        const branches = new BranchManager(main, { onConflict: (conflicts) => inbox.record(conflicts) });
+        branches.fork('cleanup', { actor: 'lead' });
+
+        append(main, editCell('rec_1', 'title', 'Main title'));
+        editOnBranch(branches, 'cleanup', 'rec_1', 'title', 'Branch title');
+
+        await branches.merge('cleanup', { actor: 'lead' });
+
+        const open = inbox.list({ status: 'open' });
+        assertEqual(open.length, 1);
+        assertEqual(open[0].target.fieldName, 'title');
+        assertEqual(open[0].branches.map(b => b.value).sort(), ['Branch title', 'Main title']);
+    });
+
+    await test('Merging twice adds nothing', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main);
+        branches.fork('cleanup', { actor: 'lead' });
+        editOnBranch(branches, 'cleanup', 'rec_2', 'title', 'Renamed');
+
+        await branches.merge('cleanup', { actor: 'lead' });
+        const count = main.getAll().length;
+        const again = await branches.merge('cleanup', { actor: 'lead' });
+
+        assertEqual(again.added, []);
+        assertEqual(again.mergeEventId, null);
+        assertEqual(main.getAll().length, count);
+    });
+
+    await test('Refuses branch events whose signature does not verify (Rule 2)', async () => {
+        const main = createMain();
+        const branches = new BranchManager(main, { keyRing: new EOSigning.KeyRing() });
+        branches.fork('cleanup', { actor: 'lead' });
+        const forged = branches.append('cleanup', {
+            type: 'given',
+            actor: 'system',
+            payload: editCell('rec_1', 'title', 999)
+        }).event;
+
+        const result = await branches.merge('cleanup', { actor: 'lead' });
+
+        assertEqual(result.added, []);
+        assertEqual(result.rejected, [{ id: forged.id, reason: EOSigning.REFUSAL.UNSIGNED }]);
+        assertEqual(result.mergeEventId, null);
+        assertEqual(cell(main, 'rec_1', 'title'), 'Draft');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Persistence');
+    // ------------------------------------------------------------------------
+
+    await test('Restores branches saved by an earlier session', async () => {
+        // Stand-in for EOPersistence's branch store
+        let saved = null;
+        const persistence = {
+            saveBranches: async (data) => { saved = JSON.parse(JSON.stringify(data)); return true; },
+            loadBranches: async () => saved
+        };
+
+        const main = createMain();
+        const branches = new BranchManager(main, { persistence });
+        branches.fork('cleanup', { actor: 'lead' });
+        const edit = editOnBranch(branches, 'cleanup', 'rec_2', 'title', 'Renamed');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assertEqual(saved.branches[0].events.map(e => e.id), [edit.id]);
+
+        const reloaded = new BranchManager(main, { persistence });
+        assertEqual(await reloaded.load(), 1);
+        assertEqual(cell(reloaded.get('cleanup'), 'rec_2', 'title'), 'Renamed');
+        assertEqual(reloaded.getOwnEvents('cleanup').map(e => e.id), [edit.id]);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
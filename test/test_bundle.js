@@ -0,0 +1,350 @@
+/**
+ * Bundle Tests
+ * Tests for .eobundle export and import
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+require(path.join(__dirname, '../eo_sync_protocol.js'));
+const EOContentStore = require(path.join(__dirname, '../eo_content_store.js'));
+const { ConflictInbox } = require(path.join(__dirname, '../eo_conflict_resolution.js'));
+const EOBundle = require(path.join(__dirname, '../eo_bundle.js'));
+const EOSigning = require(path.join(__dirname, '../eo_signing.js'));
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertThrows(fn, expected, message = '') {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(expected)) {
+            throw new Error(`${message}\nExpected error containing: ${expected}\nActual: ${e.message}`);
+        }
+        return;
+    }
+    throw new Error(`${message}\nExpected an error`);
+}
+
+async function assertRejects(fn, expected, message = '') {
+    try {
+        await fn();
+    } catch (e) {
+        if (!e.message.includes(expected)) {
+            throw new Error(`${message}\nExpected error containing: ${expected}\nActual: ${e.message}`);
+        }
+        return;
+    }
+    throw new Error(`${message}\nExpected an error`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+function append(log, nodeId, payload, extra = {}) {
+    const result = log.append({
+        type: 'given',
+        actor: `user_${nodeId}`,
+        parents: log.getHeads(),
+        context: { workspace: 'default', nodeId },
+        payload,
+        ...extra
+    });
+    return result.event;
+}
+
+function seedWorkspace(log, nodeId = 'node_a') {
+    append(log, nodeId, { action: 'set:create', setId: 'set_1', name: 'Tasks' });
+    append(log, nodeId, { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_1' } });
+    append(log, nodeId, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Draft' });
+}
+
+function roundTrip(bundle) {
+    return EOBundle.parse(EOBundle.serialize(bundle));
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Bundle Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Export');
+    // ------------------------------------------------------------------------
+
+    await test('Describes the log in the manifest', async () => {
+        const log = new EventLog();
+        seedWorkspace(log);
+
+        const bundle = EOBundle.exportBundle(log, { workspace: 'default', nodeId: 'node_a' });
+        const { manifest } = bundle;
+
+        assertEqual(bundle.format, 'eobundle');
+        assertEqual(manifest.schemaVersion, EOBundle.BUNDLE_SCHEMA_VERSION);
+        assertEqual(manifest.eventCount, 3);
+        assertEqual(manifest.heads, log.getHeads());
+        assertEqual(manifest.vectorClock, { node_a: 3 });
+        assertEqual(manifest.boundary, []);
+        assertEqual(manifest.exportedBy, 'node_a');
+    });
+
+    await test('Survives serialization', async () => {
+        const log = new EventLog();
+        seedWorkspace(log);
+        const bundle = EOBundle.exportBundle(log);
+
+        assertEqual(roundTrip(bundle).events, bundle.events);
+    });
+
+    await test('Rejects damaged bundles', async () => {
+        const log = new EventLog();
+        seedWorkspace(log);
+        const bundle = EOBundle.exportBundle(log);
+
+        assertThrows(() => EOBundle.parse('not json'), 'not_json');
+        assertThrows(() => EOBundle.parse('{"format":"zip"}'), 'not_a_bundle');
+
+        const truncated = { ...bundle, events: bundle.events.slice(1) };
+        assertThrows(() => EOBundle.parse(JSON.stringify(truncated)), 'events_do_not_match_manifest');
+    });
+
+    await test('Filters by frame and records the boundary', async () => {
+        const log = new EventLog();
+        seedWorkspace(log);
+        const note = log.append({
+            type: 'meant',
+            actor: 'user_node_a',
+            parents: log.getHeads(),
+            context: { workspace: 'default', nodeId: 'node_a' },
+            frame: { purpose: 'annotation' },
+            provenance: [log.getHeads()[0]],
+            payload: { action: 'note:add', text: 'Check the title' }
+        }).event;
+        const after = append(log, 'node_a', { action: 'set:create', setId: 'set_2', name: 'Later' });
+
+        const bundle = EOBundle.exportBundle(log, { frames: ['conflict_resolution'] });
+        assertTrue(!bundle.events.some(e => e.id === note.id), 'Annotation left out');
+        assertEqual(bundle.manifest.boundary, [note.id]);
+
+        // Without the annotation, the event after it waits for its parent
+        const target = new EventLog();
+        const result = await EOBundle.importBundle(roundTrip(bundle), target);
+        assertEqual(result.parked.map(p => p.id), [after.id]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Import');
+    // ------------------------------------------------------------------------
+
+    await test('Rebuilds the same workspace in an empty log', async () => {
+        const source = new EventLog();
+        seedWorkspace(source);
+
+        const target = new EventLog();
+        const result = await EOBundle.importBundle(roundTrip(EOBundle.exportBundle(source)), target);
+
+        assertEqual(result.added.length, 3);
+        assertEqual(target.getHeads(), source.getHeads());
+        assertEqual(
+            EOStateDerivation.replay(target).sets.get('set_1').records.get('rec_1').fields.title,
+            'Draft'
+        );
+    });
+
+    await test('Preserves actor and origin', async () => {
+        const source = new EventLog();
+        seedWorkspace(source, 'node_a');
+
+        const target = new EventLog();
+        await EOBundle.importBundle(roundTrip(EOBundle.exportBundle(source)), target, { nodeId: 'node_b' });
+
+        target.getAll().forEach(e => {
+            assertEqual(e.actor, 'user_node_a');
+            assertEqual(e.context.nodeId, 'node_a');
+        });
+    });
+
+    await test('Importing twice adds nothing', async () => {
+        const source = new EventLog();
+        seedWorkspace(source);
+        const bundle = roundTrip(EOBundle.exportBundle(source));
+
+        const target = new EventLog();
+        await EOBundle.importBundle(bundle, target);
+        const again = await EOBundle.importBundle(bundle, target);
+
+        assertEqual(again.added, []);
+        assertEqual(again.duplicates, 3);
+        assertEqual(again.conflicts, []);
+        assertEqual(target.getAll().length, 3);
+    });
+
+    await test('Surfaces concurrent edits as conflicts', async () => {
+        const a = new EventLog();
+        seedWorkspace(a, 'node_a');
+
+        const b = new EventLog();
+        await EOBundle.importBundle(roundTrip(EOBundle.exportBundle(a)), b);
+
+        // Both teams edit the same cell while apart
+        append(a, 'node_a', { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Ours' });
+        append(b, 'node_b', { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Theirs' });
+
+        const inbox = new ConflictInbox(b);
+        let reported = null;
+        const result = await EOBundle.importBundle(roundTrip(EOBundle.exportBundle(a)), b, {
+            onConflict: (conflicts) => {
+                reported = conflicts;
+                inbox.record(conflicts);
+            }
+        });
+
+        assertEqual(result.added.length, 1);
+        assertTrue(result.conflicts.length > 0, 'Conflict detected');
+        assertEqual(reported, result.conflicts);
+        assertEqual(inbox.list({ status: 'open' }).length, 1);
+    });
+
+    await test('Refuses a bundle for another workspace', async () => {
+        const log = new EventLog();
+        seedWorkspace(log);
+        const bundle = EOBundle.exportBundle(log);
+
+        await assertRejects(
+            () => EOBundle.importBundle(bundle, new EventLog(), { workspace: 'other' }),
+            'workspace_mismatch'
+        );
+    });
+
+    await test('Refuses events whose signature does not verify (Rule 2)', async () => {
+        const source = new EventLog();
+        const alice = await EOSigning.EventSigner.generate('alice');
+        const registration = source.append(await alice.registrationEvent(source.getHeads())).event;
+        const signed = source.append(await alice.sign({
+            type: 'given',
+            actor: 'alice',
+            parents: source.getHeads(),
+            context: { workspace: 'default' },
+            payload: { action: 'set:create', setId: 'set_1', name: 'Tasks' }
+        })).event;
+        const unsigned = append(source, 'node_a',
+            { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 999 },
+            { actor: 'system' });
+
+        const target = new EventLog();
+        const result = await EOBundle.importBundle(roundTrip(EOBundle.exportBundle(source)), target, {
+            keyRing: new EOSigning.KeyRing()
+        });
+
+        assertEqual(result.added, [registration.id, signed.id]);
+        assertEqual(result.refused, [{ id: unsigned.id, reason: EOSigning.REFUSAL.UNSIGNED }]);
+        assertTrue(!target.get(unsigned.id), 'Unsigned event not appended');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Content Blobs');
+    // ------------------------------------------------------------------------
+
+    await test('Carries record content from the content store', async () => {
+        EOContentStore.clear();
+        EOContentStore.storeRecord('rec_1', { title: 'Draft', notes: 'Long text' });
+
+        const log = new EventLog();
+        seedWorkspace(log);
+        const bundle = roundTrip(EOBundle.exportBundle(log, { contentStore: EOContentStore }));
+
+        assertEqual(bundle.manifest.blobCount, 1);
+        assertTrue('rec_1' in bundle.recordRefs, 'Record ref exported');
+
+        // Receiving side has an empty store
+        EOContentStore.clear();
+        const result = await EOBundle.importBundle(bundle, new EventLog(), { contentStore: EOContentStore });
+
+        assertEqual(result.blobs.stored, 1);
+        assertEqual(EOContentStore.hydrateRecord('rec_1'), { title: 'Draft', notes: 'Long text' });
+        EOContentStore.clear();
+    });
+
+    await test('Refuses blobs that do not match their hash', async () => {
+        EOContentStore.clear();
+        EOContentStore.storeRecord('rec_1', { title: 'Draft' });
+
+        const log = new EventLog();
+        seedWorkspace(log);
+        const bundle = roundTrip(EOBundle.exportBundle(log, { contentStore: EOContentStore }));
+        const [hash] = Object.keys(bundle.blobs);
+        bundle.blobs[hash] = { title: 'Forged' };
+
+        EOContentStore.clear();
+        const result = await EOBundle.importBundle(bundle, new EventLog(), { contentStore: EOContentStore });
+
+        assertEqual(result.blobs.rejected, [{ hash, reason: 'hash_mismatch' }]);
+        assertEqual(EOContentStore.hydrateRecord('rec_1'), null);
+        EOContentStore.clear();
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
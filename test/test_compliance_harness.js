@@ -0,0 +1,272 @@
+/**
+ * Compliance Harness Tests
+ * Tests for the property-based checks: scenario generation, the
+ * properties on the real engine, fault injection and shrinking
+ */
+
+const path = require('path');
+
+// Silence derivation logging
+console.debug = () => {};
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+require(path.join(__dirname, '../eo_state_derivation.js'));
+require(path.join(__dirname, '../eo_sync_protocol.js'));
+require(path.join(__dirname, '../eo_conflict_resolution.js'));
+const EOComplianceHarness = require(path.join(__dirname, '../eo_compliance_harness.js'));
+const { ComplianceChecker } = require(path.join(__dirname, '../eo_compliance.js'));
+
+const { PROPERTY, createRandom, generateScenario, runScenario, shrink, check } = EOComplianceHarness;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str || !str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: "${substring}"\nActual: "${str}"`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+function edit(peer, recordId, value, fieldName = 'status') {
+    return { op: 'edit', peer, recordId, fieldName, value };
+}
+
+function scenario(steps, peers = ['peer_0', 'peer_1']) {
+    const settleOrder = [];
+    peers.forEach((a, i) => peers.slice(i + 1).forEach(b => settleOrder.push([a, b])));
+    return { peers, records: ['rec_0', 'rec_1'], steps, settleOrder };
+}
+
+/**
+ * Relay that rewrites the actor of every cell edit it carries
+ */
+function rewriteActors(message) {
+    (message.events || []).forEach(e => {
+        // sync-lint-disable-next-line RULE_2 -- the fault being injected
+        if (e.payload?.action === 'cell:edit') e.actor = 'relay';
+    });
+    return message;
+}
+
+/**
+ * Relay that loses every event authored on one peer
+ */
+function dropFrom(nodeId) {
+    return (message) => {
+        if (message.events) {
+            message.events = message.events.filter(e => e.context?.nodeId !== nodeId);
+        }
+        return message;
+    };
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Compliance Harness Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Scenario Generation');
+    // ------------------------------------------------------------------------
+
+    await test('Same seed gives the same scenario', async () => {
+        const a = generateScenario(createRandom(7), { peers: 4, steps: 20 });
+        const b = generateScenario(createRandom(7), { peers: 4, steps: 20 });
+        const c = generateScenario(createRandom(8), { peers: 4, steps: 20 });
+
+        assertEqual(a, b);
+        assertTrue(JSON.stringify(a) !== JSON.stringify(c), 'Different seeds differ');
+    });
+
+    await test('Scenarios mix offline edits and syncs and settle every pair', async () => {
+        const s = generateScenario(createRandom(3), { peers: 3, steps: 40 });
+
+        assertEqual(s.peers, ['peer_0', 'peer_1', 'peer_2']);
+        assertEqual(s.steps.length, 40);
+        assertTrue(s.steps.some(step => step.op === 'edit'));
+        assertTrue(s.steps.some(step => step.op === 'sync'));
+        assertTrue(s.steps.filter(step => step.op === 'sync').every(step => step.from !== step.to));
+        assertEqual(s.settleOrder.map(pair => [...pair].sort().join('+')).sort(),
+            ['peer_0+peer_1', 'peer_0+peer_2', 'peer_1+peer_2']);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Properties On The Real Engine');
+    // ------------------------------------------------------------------------
+
+    await test('Concurrent edits of one cell converge and are recorded as a conflict', async () => {
+        const result = await runScenario(scenario([
+            edit('peer_0', 'rec_0', 'left'),
+            edit('peer_1', 'rec_0', 'right')
+        ]));
+
+        assertEqual(result.failures, []);
+
+        const [a, b] = Array.from(result.world.peers.values());
+        const edits = a.log.getAll().filter(e => e.payload.action === 'cell:edit').map(e => e.id).sort();
+        const conflicts = a.log.getAll().filter(e => e.payload.action === 'conflict:detected');
+        assertTrue(conflicts.length > 0);
+        conflicts.forEach(c => assertEqual([...c.payload.events].sort(), edits));
+        assertTrue(conflicts.every(c => b.log.get(c.id) !== null), 'Both peers hold the record');
+        assertEqual(edits.length, 2);
+    });
+
+    await test('Edits that saw each other are not conflicts', async () => {
+        const result = await runScenario(scenario([
+            edit('peer_0', 'rec_0', 'first'),
+            { op: 'sync', from: 'peer_1', to: 'peer_0' },
+            edit('peer_1', 'rec_0', 'second')
+        ]));
+
+        assertEqual(result.failures, []);
+        const log = result.world.peer('peer_0').log;
+        assertEqual(log.getAll().filter(e => e.payload.action === 'conflict:detected').length, 0);
+    });
+
+    await test('Random interleavings hold every property', async () => {
+        const report = await check({ seed: 20261019, runs: 15, peers: 3, steps: 14 });
+
+        assertEqual(report.failure, null);
+        assertTrue(report.passed);
+        assertEqual(Object.keys(report.properties), Object.values(PROPERTY));
+        assertTrue(Object.values(report.properties).every(p => p.runs === 15 && p.failed === 0));
+    });
+
+    await test('Events that differ only in their payload get different ids', async () => {
+        const log = new EventLog();
+        const base = { type: 'given', actor: 'system', parents: [], context: { workspace: 'w' } };
+        const first = log.append({ ...base, payload: { action: 'sync:success', eventsSent: 1 } });
+        const second = log.append({ ...base, payload: { action: 'conflict:detected', conflictId: 'c1' } });
+
+        assertTrue(first.success && second.success);
+        assertTrue(!second.duplicate, 'Payload is part of the content address');
+        assertEqual(log.getAll().length, 2);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Fault Injection And Shrinking');
+    // ------------------------------------------------------------------------
+
+    await test('A relay that rewrites actors fails actors_preserved, shrunk to one edit', async () => {
+        const report = await check({ seed: 5, runs: 5, relay: rewriteActors });
+
+        assertEqual(report.passed, false);
+        assertEqual(report.failure.property, PROPERTY.ACTORS_PRESERVED);
+        assertEqual(report.failure.rule, 'RULE_2');
+        assertEqual(report.failure.minimal.steps.length, 1);
+        assertEqual(report.failure.minimal.steps[0].op, 'edit');
+        assertEqual(report.failure.minimal.peers.length, 2);
+        assertContains(report.failure.message, 'reached');
+        assertContains(report.failure.trace.join('\n'), 'offline');
+    });
+
+    await test('A relay that loses one peer\'s events fails convergence', async () => {
+        const result = await runScenario(scenario([
+            edit('peer_1', 'rec_1', 'lost', 'amount')
+        ]), { relay: dropFrom('peer_1') });
+
+        const failure = result.failures.find(f => f.property === PROPERTY.CONVERGENCE);
+        assertTrue(failure, 'convergence fails');
+        assertContains(failure.message, 'peer_1 holds different events');
+        assertContains(failure.message, '1 extra');
+    });
+
+    await test('Shrinking removes steps that do not matter', async () => {
+        const noisy = scenario([
+            edit('peer_0', 'rec_1', 'a', 'amount'),
+            { op: 'sync', from: 'peer_0', to: 'peer_2' },
+            edit('peer_2', 'rec_0', 'b'),
+            edit('peer_1', 'rec_1', 'keep'),
+            edit('peer_2', 'rec_1', 'c', 'amount')
+        ], ['peer_0', 'peer_1', 'peer_2']);
+        const relay = dropFrom('peer_1');
+
+        const shrunk = await shrink(noisy, PROPERTY.CONVERGENCE, { relay });
+
+        assertEqual(shrunk.scenario.steps, [edit('peer_1', 'rec_1', 'keep')]);
+        assertEqual(shrunk.scenario.peers, ['peer_0', 'peer_1']);
+        assertTrue(shrunk.attempts > 1);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Compliance Checker');
+    // ------------------------------------------------------------------------
+
+    await test('checkProperties reports per rule in audit shape', async () => {
+        const checker = new ComplianceChecker(new EventLog());
+
+        const healthy = await checker.checkProperties({ seed: 11, runs: 3 });
+        assertEqual(healthy.status, 'pass');
+        assertEqual(Object.keys(healthy.rules).sort(), ['rule_2', 'rule_3', 'rule_4', 'rule_6', 'rule_8']);
+        assertEqual(healthy.rules.rule_6.checks[0].name, PROPERTY.CONVERGENCE);
+
+        const broken = await checker.checkProperties({ seed: 11, runs: 3, relay: rewriteActors });
+        assertEqual(broken.status, 'fail');
+        assertEqual(broken.rules.rule_2.status, 'fail');
+        assertContains(broken.rules.rule_2.checks[0].message, 'seed 11');
+        assertEqual(broken.rules.rule_6.status, 'pass');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,300 @@
+/**
+ * Derivation Index Tests
+ * Tests for the secondary indexes and entity-scoped subscriptions of the
+ * incremental state derivation
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+
+const { StateDerivation, DerivationIndex } = EOStateDerivation;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Two sets with a view each:
+ *   set_1 Tasks  (rec_1 title, rec_2 title+owner)  view_1
+ *   set_2 People (rec_a name)                      view_2
+ */
+function createWorkspace() {
+    const log = new EventLog();
+    const append = (payload) => log.append({
+        type: 'given',
+        actor: 'tester',
+        parents: log.getHeads(),
+        context: { workspace: 'default' },
+        payload
+    }).event;
+
+    append({
+        action: 'set:create', setId: 'set_1', name: 'Tasks',
+        records: [
+            { record_id: 'rec_1', fields: { title: 'Write' } },
+            { record_id: 'rec_2', fields: { title: 'Review', owner: 'ada' } }
+        ]
+    });
+    append({
+        action: 'set:create', setId: 'set_2', name: 'People',
+        records: [{ record_id: 'rec_a', fields: { name: 'Ada' } }]
+    });
+    append({ action: 'view:create', viewId: 'view_1', setId: 'set_1', name: 'Grid', config: {} });
+    append({ action: 'view:create', viewId: 'view_2', setId: 'set_2', name: 'Grid', config: {} });
+
+    const derivation = new StateDerivation();
+    derivation.init(log);
+
+    return { log, derivation, append };
+}
+
+/**
+ * Subscribe and collect the event ids each call was notified for
+ */
+function record(derivation, scope) {
+    const calls = [];
+    derivation.subscribe((state, changes) => calls.push(changes.eventId), scope);
+    return calls;
+}
+
+function snapshotIndex(index) {
+    const sorted = (ids) => Array.from(ids).sort();
+    return {
+        recordsBySet: Array.from(index.recordsBySet.entries()).map(([setId, ids]) => [setId, sorted(ids)]),
+        cellsByField: Array.from(index.cellsByField.entries()).map(([setId, fields]) =>
+            [setId, Array.from(fields.entries()).map(([name, ids]) => [name, sorted(ids)])
+                .filter(([, ids]) => ids.length > 0)
+                .sort()]),
+        viewsBySet: Array.from(index.viewsBySet.entries()).map(([setId, ids]) => [setId, sorted(ids)])
+            .filter(([, ids]) => ids.length > 0)
+    };
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Derivation Index Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Secondary Indexes');
+    // ------------------------------------------------------------------------
+
+    await test('Indexes records by set, cells by field and views by set', async () => {
+        const { derivation } = createWorkspace();
+        const index = derivation.getIndex();
+
+        assertEqual(index.getRecordIds('set_1'), ['rec_1', 'rec_2']);
+        assertEqual(index.getRecordIdsWithField('set_1', 'owner'), ['rec_2']);
+        assertEqual(index.getRecordIdsWithField('set_1', 'title'), ['rec_1', 'rec_2']);
+        assertEqual(index.getViewIds('set_2'), ['view_2']);
+        assertEqual(index.getRecordIds('set_missing'), []);
+    });
+
+    await test('Keeps indexes current as events arrive', async () => {
+        const { derivation, append } = createWorkspace();
+        const index = derivation.getIndex();
+
+        append({ action: 'record:create', setId: 'set_1', record: { record_id: 'rec_3', fields: {} } });
+        append({ action: 'cell:edit', setId: 'set_1', recordId: 'rec_3', fieldName: 'owner', value: 'bob' });
+        append({ action: 'view:delete', viewId: 'view_1' });
+        append({ action: 'view:clone', viewId: 'view_3', sourceViewId: 'view_2', name: 'Copy' });
+
+        assertEqual(index.getRecordIds('set_1'), ['rec_1', 'rec_2', 'rec_3']);
+        assertEqual(index.getRecordIdsWithField('set_1', 'owner'), ['rec_2', 'rec_3']);
+        assertEqual(index.getViewIds('set_1'), []);
+        assertEqual(index.getViewIds('set_2'), ['view_2', 'view_3']);
+    });
+
+    await test('Incremental indexes match indexes built from scratch', async () => {
+        const { derivation, append } = createWorkspace();
+
+        append({ action: 'record:merge', setId: 'set_1', recordIds: ['rec_1', 'rec_2'], record: { record_id: 'rec_m', fields: { title: 'Write' } } });
+        append({ action: 'record:split', setId: 'set_2', recordId: 'rec_a', records: [{ record_id: 'rec_b', fields: { email: 'a@x' } }] });
+        append({ action: 'field:merge', setId: 'set_1', fieldNames: ['title', 'owner'], field: { name: 'summary' }, strategy: 'concat' });
+        append({ action: 'set:create', setId: 'set_2', name: 'People', records: [{ record_id: 'rec_z', fields: { name: 'Zed' } }] });
+
+        const rebuilt = new DerivationIndex();
+        rebuilt.reset(derivation.getState());
+
+        assertEqual(snapshotIndex(derivation.getIndex()), snapshotIndex(rebuilt));
+        assertEqual(derivation.getIndex().getRecordIds('set_2'), ['rec_z']);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Scoped Subscriptions');
+    // ------------------------------------------------------------------------
+
+    await test('Record subscribers ignore unrelated events', async () => {
+        const { derivation, append } = createWorkspace();
+        const tasks = record(derivation, { type: 'records', setId: 'set_1' });
+        const people = record(derivation, { type: 'records', setId: 'set_2' });
+        const everything = record(derivation);
+
+        append({ action: 'ui:sidebar:toggle', open: false });
+        const edit = append({ action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Draft' });
+
+        assertEqual(tasks, [edit.id]);
+        assertEqual(people, []);
+        assertEqual(everything.length, 2, 'Unscoped subscribers still see every event');
+    });
+
+    await test('Cell and record scopes narrow to one field or record', async () => {
+        const { derivation, append } = createWorkspace();
+        const owners = record(derivation, { type: 'cells', setId: 'set_1', fieldName: 'owner' });
+        const rec2 = record(derivation, { type: 'record', setId: 'set_1', recordId: 'rec_2' });
+
+        append({ action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Draft' });
+        const owner = append({ action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'owner', value: 'bob' });
+        const merge = append({ action: 'record:merge', setId: 'set_1', recordIds: ['rec_2'], record: { record_id: 'rec_m', fields: {} } });
+
+        assertEqual(owners, [owner.id]);
+        assertEqual(rec2, [merge.id]);
+    });
+
+    await test('Record updates notify the cells they set or drop', async () => {
+        const { derivation, append } = createWorkspace();
+        const titles = record(derivation, { type: 'cells', setId: 'set_1', fieldName: 'title' });
+        const owners = record(derivation, { type: 'cells', setId: 'set_1', fieldName: 'owner' });
+
+        const retitle = append({ action: 'record:update', setId: 'set_1', recordId: 'rec_1', updates: { fields: { title: 'b' } } });
+        const dropOwner = append({ action: 'record:update', setId: 'set_1', recordId: 'rec_2', updates: { fields: { title: 'Review' } } });
+        append({ action: 'record:update', setId: 'set_1', recordId: 'rec_1', updates: { status: 'archived' } });
+
+        assertEqual(titles, [retitle.id, dropOwner.id]);
+        assertEqual(owners, [dropOwner.id]);
+    });
+
+    await test('View scopes follow the view\'s set, including on delete', async () => {
+        const { derivation, append } = createWorkspace();
+        const views = record(derivation, { type: 'views', setId: 'set_1' });
+        const view1 = record(derivation, { type: 'view', viewId: 'view_1' });
+
+        const update = append({ action: 'view:update', viewId: 'view_1', updates: { config: { sorts: [] } } });
+        append({ action: 'view:update', viewId: 'view_2', updates: { name: 'People grid' } });
+        const remove = append({ action: 'view:delete', viewId: 'view_1' });
+
+        assertEqual(views, [update.id, remove.id]);
+        assertEqual(view1, [update.id, remove.id]);
+    });
+
+    await test('Schema and area scopes', async () => {
+        const { derivation, append } = createWorkspace();
+        const schema = record(derivation, { type: 'set', setId: 'set_1' });
+        const ui = record(derivation, { type: EOStateDerivation.AREAS.UI });
+
+        const field = append({ action: 'field:create', setId: 'set_1', field: { name: 'due', type: 'date' } });
+        const toggle = append({ action: 'ui:panel:toggle', panelId: 'history', open: true });
+
+        assertEqual(schema, [field.id]);
+        assertEqual(ui, [toggle.id]);
+    });
+
+    await test('Rebuilds and undescribed handlers notify every scope', async () => {
+        const { derivation, append } = createWorkspace();
+        const people = [];
+        derivation.subscribe((state, changes) => people.push(changes.full), { type: 'records', setId: 'set_2' });
+
+        EOStateDerivation.registerHandler('test:custom', (state) => state);
+        append({ action: 'test:custom' });
+        derivation.rebuild();
+
+        assertEqual(people, [true, true]);
+    });
+
+    await test('Rejects unknown or incomplete scopes', async () => {
+        const { derivation } = createWorkspace();
+        const errors = [];
+        for (const scope of [{ type: 'record', setId: 'set_1' }, { type: 'sidebar' }]) {
+            try {
+                derivation.subscribe(() => {}, scope);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+
+        assertEqual(errors, [
+            "Subscription scope 'record' needs recordId",
+            'Unknown subscription scope: sidebar'
+        ]);
+    });
+
+    await test('Unsubscribing stops scoped notifications', async () => {
+        const { derivation, append } = createWorkspace();
+        const calls = [];
+        const unsubscribe = derivation.subscribe(() => calls.push(1), { type: 'records', setId: 'set_1' });
+
+        append({ action: 'record:update', setId: 'set_1', recordId: 'rec_1', updates: { pinned: true } });
+        unsubscribe();
+        append({ action: 'record:update', setId: 'set_1', recordId: 'rec_1', updates: { pinned: false } });
+
+        assertEqual(calls.length, 1);
+        assertTrue(derivation.isInSync(), 'Still in sync');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
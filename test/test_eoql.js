@@ -748,6 +748,120 @@ test('Query clone works correctly', () => {
     assertEqual(ast2.pipeline.length, 3);
 });
 
+// ----------------------------------------------------------------------------
+// 7. Recursive Queries and Null Handling
+// ----------------------------------------------------------------------------
+
+console.log('\n7. Recursive Queries and Null Handling');
+console.log('--------------------------------------');
+
+function orgChart(opts) {
+    const anchor = global.EOQL.from('employees')
+        .where({ manager_id: { $isNull: true } })
+        .select('id', 'manager_id', 'name');
+    const step = global.EOQL.from({ table: 'employees', alias: 'e' })
+        .join({ table: 'org', alias: 'o' }, { type: 'eq', left: { type: 'field', name: 'e.manager_id' }, right: { type: 'field', name: 'o.id' } })
+        .select('e.id', 'e.manager_id', 'e.name');
+    return global.EOQL.from('org')
+        .recursive(anchor, step, { name: 'org', ...opts })
+        .select('*');
+}
+
+test('REC compiles to WITH RECURSIVE for PostgreSQL with CYCLE detection', () => {
+    const sql = global.toSQL(orgChart({ maxDepth: 10, cycle: ['id'] }), 'postgresql');
+    assertContains(sql, 'WITH RECURSIVE org AS (SELECT id, manager_id, name, 1 AS depth');
+    assertContains(sql, '\nUNION ALL\nSELECT e.id, e.manager_id, e.name, o.depth + 1 AS depth');
+    assertContains(sql, 'o.depth < 10');
+    assertContains(sql, ') CYCLE id SET is_cycle USING path');
+    assertContains(sql, 'FROM org');
+});
+
+test('REC compiles for MySQL, depth-bounded in the query', () => {
+    const sql = global.toSQL(orgChart({ maxDepth: 3 }), 'mysql');
+    assertContains(sql, 'WITH RECURSIVE org AS (');
+    assertContains(sql, 'o.depth < 3');
+});
+
+test('REC compiles for SQLite with an until condition', () => {
+    const sql = global.toSQL(orgChart({ until: { 'e.name': 'Ada' } }), 'sqlite');
+    assertContains(sql, 'WITH RECURSIVE org AS (');
+    assertContains(sql, "NOT (e.name = 'Ada')");
+    assertEqual(sql.includes('depth'), false, 'No depth column without maxDepth');
+});
+
+test('REC compiles for SQL Server with plain WITH and MAXRECURSION', () => {
+    const sql = global.toSQL(orgChart({ maxDepth: 25 }), 'sqlserver');
+    assertEqual(sql.startsWith('WITH org AS ('), true, 'SQL Server has no RECURSIVE keyword');
+    assertEqual(sql.endsWith('OPTION (MAXRECURSION 25)'), true, 'MAXRECURSION closes the statement');
+});
+
+test('REC compiles for Oracle with a column list and CYCLE clause', () => {
+    const sql = global.toSQL(orgChart({ maxDepth: 5, cycle: ['id'] }), 'oracle');
+    assertContains(sql, 'WITH org(id, manager_id, name, depth) AS (');
+    assertContains(sql, ") CYCLE id SET is_cycle TO 'Y' DEFAULT 'N'");
+});
+
+test('Cycle detection is refused where the dialect has none', () => {
+    let error = null;
+    try {
+        global.toSQL(orgChart({ cycle: ['id'] }), 'sqlite');
+    } catch (e) {
+        error = e;
+    }
+    assertNotNull(error, 'Expected an error');
+    assertContains(error.message, 'maxDepth');
+});
+
+test('Parsed WITH RECURSIVE compiles back to a recursive CTE', () => {
+    const query = global.parseSQL('WITH RECURSIVE nums AS (SELECT 1 AS n UNION ALL SELECT n + 1 FROM nums WHERE n < 5) SELECT n FROM nums');
+    const sql = global.toSQL(query);
+    assertContains(sql, 'WITH RECURSIVE nums AS (SELECT 1 AS n');
+    assertContains(sql, 'UNION ALL SELECT');
+    assertContains(global.toSQL(query, 'oracle'), 'WITH nums(n) AS (');
+});
+
+test('NULLIF and DEFAULT wrap the selected column', () => {
+    const query = global.EOQL.from('users')
+        .select('id', 'nickname')
+        .nullif('nickname', '')
+        .default('nickname', 'anonymous');
+    const sql = global.toSQL(query);
+    assertContains(sql, "SELECT id, COALESCE(NULLIF(nickname, ''), 'anonymous') AS nickname");
+});
+
+test('COALESCE replaces the first field with the first non-null value', () => {
+    const query = global.EOQL.from('users')
+        .select('id', 'nickname')
+        .coalesce('nickname', 'name');
+    const sql = global.toSQL(query);
+    assertContains(sql, 'SELECT id, COALESCE(nickname, name) AS nickname');
+});
+
+test('NUL on a field outside the select list adds the column', () => {
+    const query = global.EOQL.from('users')
+        .select('id')
+        .default('nickname', 'anonymous');
+    const sql = global.toSQL(query);
+    assertContains(sql, "SELECT id, COALESCE(nickname, 'anonymous') AS nickname");
+});
+
+test('NUL under SELECT * is refused rather than returning the column twice', () => {
+    const errors = [
+        global.EOQL.from('users').select('*').default('nickname', 'anon'),
+        global.EOQL.from('users').coalesce('nickname', 'name')
+    ].map(query => {
+        try {
+            global.toSQL(query);
+        } catch (e) {
+            return e;
+        }
+        return null;
+    });
+    assertNotNull(errors[0], 'Expected an error for DEFAULT');
+    assertContains(errors[0].message, 'NUL on nickname needs it in the select list');
+    assertNotNull(errors[1], 'Expected an error for COALESCE');
+});
+
 // ============================================================================
 // SUMMARY
 // ============================================================================
@@ -0,0 +1,347 @@
+/**
+ * EOQL DataFrame Backend Tests
+ * Golden-file tests for the pandas and Polars code generators
+ *
+ * Expected code lives in test/golden/dataframe/<case>.<target>.py.
+ * Run with UPDATE_GOLDEN=1 to rewrite it after an intended change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load in order of dependencies
+const { EOQL } = require(path.join(__dirname, '../foundation/eo_query_language.js'));
+const { parseSQL } = require(path.join(__dirname, '../foundation/eo_query_parser.js'));
+const { toPandas, toPolars, PANDAS_FUNCTIONS } = require(path.join(__dirname, '../foundation/eo_query_dataframe.js'));
+
+const GOLDEN_DIR = path.join(__dirname, 'golden', 'dataframe');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(condition, message = '') {
+    if (!condition) {
+        throw new Error(message || 'Expected true');
+    }
+}
+
+function assertThrows(fn, substring) {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(substring)) {
+            throw new Error(`Expected error containing "${substring}", got "${e.message}"`);
+        }
+        return e;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+/**
+ * Compare generated code with its golden file (or rewrite it under UPDATE_GOLDEN)
+ */
+function assertGolden(code, file) {
+    const golden = path.join(GOLDEN_DIR, file);
+    if (UPDATE) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(golden, code);
+        return;
+    }
+    if (!fs.existsSync(golden)) {
+        throw new Error(`Missing golden file ${file}; run with UPDATE_GOLDEN=1`);
+    }
+    const expected = fs.readFileSync(golden, 'utf8');
+    if (code !== expected) {
+        const actualLines = code.split('\n');
+        const expectedLines = expected.split('\n');
+        const line = actualLines.findIndex((l, i) => l !== expectedLines[i]);
+        throw new Error(`${file} differs at line ${line + 1}\nExpected: ${expectedLines[line]}\nActual: ${actualLines[line]}`);
+    }
+}
+
+/**
+ * Golden-test a query against both targets
+ */
+function assertGoldens(name, query, options = {}) {
+    assertGolden(toPandas(query, options), `${name}.pandas.py`);
+    assertGolden(toPolars(query, options), `${name}.polars.py`);
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('EOQL DataFrame Backend Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Filters, Projection and Paging');
+    // ------------------------------------------------------------------------
+
+    await test('WHERE, SELECT, ORDER BY and LIMIT', () => {
+        const query = EOQL.from('orders')
+            .where({ status: 'paid', total: { $gt: 100 } })
+            .select('id', 'total')
+            .orderByDesc('total')
+            .limit(5);
+        assertGoldens('filter_sort_limit', query);
+    });
+
+    await test('Computed columns, CASE and CAST', () => {
+        const query = parseSQL(`
+            SELECT id, UPPER(name) AS name_upper, price * qty AS amount,
+                   CASE WHEN qty > 10 THEN 'bulk' WHEN qty > 0 THEN 'retail' ELSE 'none' END AS band,
+                   CAST(code AS INTEGER) AS code_num, CONCAT(first_name, ' ', last_name) AS full_name
+            FROM items
+        `);
+        assertGoldens('computed_columns', query);
+    });
+
+    await test('OFFSET with LIMIT, and a result variable name', () => {
+        const query = EOQL.from('events').select('*').orderBy('at').offset(20).limit(10);
+        assertGoldens('offset_limit', query, { name: 'page' });
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. NULL-aware Conditions');
+    // ------------------------------------------------------------------------
+
+    await test('<> and NOT keep rows with NULLs out', () => {
+        const query = parseSQL(`
+            SELECT * FROM people
+            WHERE status <> 'inactive' AND NOT (age < 18 OR city IS NULL)
+        `);
+        assertGoldens('null_aware_not', query);
+    });
+
+    await test('IN, NOT IN, LIKE, ILIKE and BETWEEN', () => {
+        const query = parseSQL(`
+            SELECT id FROM people
+            WHERE region IN ('north', 'south') AND team NOT IN ('a', 'b')
+              AND name LIKE 'J%' AND NOT email ILIKE '%@example.com'
+              AND NOT (age BETWEEN 30 AND 40)
+        `);
+        assertGoldens('predicates', query);
+    });
+
+    await test('NOT IN with a NULL in the list matches nothing', () => {
+        const query = EOQL.from('people').where({ team: { $nin: ['a', null] } }).select('id');
+        assertGoldens('not_in_null', query);
+    });
+
+    await test('NUL: COALESCE, NULLIF and DEFAULT', () => {
+        const query = EOQL.from('contacts')
+            .select('id', 'phone', 'status', 'score')
+            .coalesce('phone', 'mobile', 'landline')
+            .nullif('status', '')
+            .default('score', 0);
+        assertGoldens('null_handling', query);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Joins');
+    // ------------------------------------------------------------------------
+
+    await test('Inner and left joins merge on keys without NULL matches', () => {
+        const query = parseSQL(`
+            SELECT o.id, c.name, r.label
+            FROM orders o
+            JOIN customers c ON o.customer_id = c.id
+            LEFT JOIN regions r ON c.region_id = r.id
+            WHERE o.total > 50
+        `);
+        assertGoldens('joins', query);
+    });
+
+    await test('Non-equality ON conditions filter after a cross merge', () => {
+        const query = parseSQL(`
+            SELECT e.id, b.label FROM events e
+            JOIN buckets b ON e.at >= b.start_at AND e.at < b.end_at
+        `);
+        assertGoldens('range_join', query);
+    });
+
+    await test('FULL JOIN is native in Polars; pandas adds NULL-key rows after an outer merge', () => {
+        const query = parseSQL('SELECT a.id, b.id AS other FROM a FULL JOIN b ON a.key = b.key');
+        assertGoldens('full_join', query);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Grouping');
+    // ------------------------------------------------------------------------
+
+    await test('GROUP BY with HAVING and ORDER BY on an aggregate', () => {
+        const query = parseSQL(`
+            SELECT dept, COUNT(*) AS n, SUM(salary) AS total, AVG(salary) AS mean_salary,
+                   COUNT(DISTINCT title) AS titles
+            FROM employees
+            WHERE active = TRUE
+            GROUP BY dept
+            HAVING COUNT(*) > 2
+            ORDER BY total DESC
+        `);
+        assertGoldens('group_having', query);
+    });
+
+    await test('Aggregates without GROUP BY make one row', () => {
+        const query = EOQL.from('employees').count('*', 'n').sum('salary', 'total').max('hired_at', 'latest');
+        assertGoldens('global_aggregates', query);
+    });
+
+    await test('Grouping a join by a joined column', () => {
+        const query = parseSQL(`
+            SELECT c.region, MIN(o.total) AS smallest, MAX(o.total) AS largest
+            FROM orders o JOIN customers c ON o.customer_id = c.id
+            GROUP BY c.region
+        `);
+        assertGoldens('group_join', query);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Windows');
+    // ------------------------------------------------------------------------
+
+    await test('RANK, DENSE_RANK and ROW_NUMBER', () => {
+        const query = parseSQL(`
+            SELECT name, dept, salary,
+                   RANK() OVER (PARTITION BY dept ORDER BY salary DESC) AS salary_rank,
+                   DENSE_RANK() OVER (ORDER BY salary) AS band,
+                   ROW_NUMBER() OVER (PARTITION BY dept ORDER BY hired_at) AS seniority
+            FROM employees
+        `);
+        assertGoldens('ranking', query);
+    });
+
+    await test('LAG and LEAD with offsets and defaults', () => {
+        const query = EOQL.from('prices')
+            .select('*')
+            .lag('close', 1, { partitionBy: ['ticker'], orderBy: [{ field: 'day' }], alias: 'prev_close' })
+            .lead('close', 2, { partitionBy: ['ticker'], orderBy: [{ field: 'day' }], alias: 'next_close', default: 0 });
+        assertGoldens('lag_lead', query);
+    });
+
+    await test('Running and partition totals', () => {
+        const query = parseSQL(`
+            SELECT account, day, amount,
+                   SUM(amount) OVER (PARTITION BY account ORDER BY day) AS balance,
+                   AVG(amount) OVER (PARTITION BY account) AS mean_amount,
+                   COUNT(amount) OVER () AS entries
+            FROM ledger
+        `);
+        assertGoldens('running_totals', query);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n6. Sets, Distinct and CTEs');
+    // ------------------------------------------------------------------------
+
+    await test('UNION and UNION ALL', () => {
+        const query = EOQL.from('customers').select('email')
+            .union(EOQL.from('leads').select('email'))
+            .unionAll(EOQL.from('partners').select('email'));
+        assertGoldens('union', query);
+    });
+
+    await test('DISTINCT and DISTINCT ON', () => {
+        assertGoldens('distinct', parseSQL('SELECT DISTINCT city, country FROM people'));
+        const query = EOQL.from('orders')
+            .select('customer_id', 'id', 'total')
+            .distinct('customer_id')
+            .orderBy('customer_id', { field: 'total', direction: 'desc' });
+        assertGoldens('distinct_on', query);
+    });
+
+    await test('CTEs are generated once under their own name', () => {
+        const query = parseSQL(`
+            WITH big AS (SELECT id, customer_id, total FROM orders WHERE total > 1000)
+            SELECT c.name, big.total FROM big JOIN customers c ON big.customer_id = c.id
+            ORDER BY big.total DESC, c.name NULLS FIRST
+        `);
+        assertGoldens('cte', query);
+    });
+
+    await test('Frame variables and import lines are configurable', () => {
+        const query = EOQL.from('orders').where({ total: { $gte: 10 } });
+        const code = toPandas(query, { frames: { orders: 'orders_df' }, imports: false });
+        assertEqual(code, 'result = orders_df\nresult = result[result["total"].ge(10)]\n');
+        assertTrue(toPolars(query, { collect: true }).includes('.collect()'), 'collect() ends the chain');
+        assertTrue(!toPandas(query).includes('numpy'), 'numpy is only imported when used');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n7. Errors');
+    // ------------------------------------------------------------------------
+
+    await test('Unsupported constructs are named', () => {
+        const intersect = EOQL.from('a').select('id').intersect(EOQL.from('b').select('id'));
+        assertThrows(() => toPandas(intersect), 'INTERSECT has no pandas translation');
+        assertThrows(() => toPolars(parseSQL('SELECT * FROM a CROSS JOIN b WHERE NTH(a.x) > 1')), 'Function NTH has no Polars translation');
+        assertThrows(() => toPandas(parseSQL('SELECT RANK() OVER (ORDER BY a, b) AS r FROM t')), 'RANK over several ORDER BY columns');
+        assertThrows(() => toPandas(parseSQL('SELECT SUM(x) OVER (ORDER BY d ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) AS s FROM t')),
+            'Window frames are not supported');
+        assertThrows(() => toPolars(parseSQL('SELECT a.id FROM a LEFT JOIN b ON a.x < b.y')), 'LEFT JOIN can only be translated');
+        assertThrows(() => toPandas(EOQL.from('t').select('id').where({ x: { $regex: 'a' } })), 'Unknown condition operator');
+        assertThrows(() => toPandas({ pipeline: [] }), 'needs a source table');
+    });
+
+    await test('Functions are extensible', () => {
+        PANDAS_FUNCTIONS.REVERSE = (s) => `${s}.str[::-1]`;
+        try {
+            const code = toPandas(parseSQL('SELECT REVERSE(name) AS r FROM t'), { imports: false });
+            assertTrue(code.includes('result["name"].str[::-1]'), code);
+        } finally {
+            delete PANDAS_FUNCTIONS.REVERSE;
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,361 @@
+/**
+ * EOQL Executor Tests
+ * Tests for running EOQL queries in memory against derived workspace sets
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+require(path.join(__dirname, '../foundation/eo_segmentation.js'));
+const { EOQL } = require(path.join(__dirname, '../foundation/eo_query_language.js'));
+const { parseSQL } = require(path.join(__dirname, '../foundation/eo_query_parser.js'));
+const { EOQueryExecutor, executeQuery } = require(path.join(__dirname, '../foundation/eo_query_executor.js'));
+
+const { StateDerivation } = EOStateDerivation;
+const Expr = EOQL.expr;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertThrows(fn, substring) {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(substring)) {
+            throw new Error(`Expected error containing "${substring}", got "${e.message}"`);
+        }
+        return;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Two sets:
+ *   set_orders    Orders    (ord_1..ord_5; ord_5 has no region)
+ *   set_customers Customers (cus_a, cus_b, cus_c; cus_c has no orders)
+ */
+function createWorkspace() {
+    const log = new EventLog();
+    const append = (payload) => log.append({
+        type: 'given',
+        actor: 'tester',
+        parents: log.getHeads(),
+        context: { workspace: 'default' },
+        payload
+    }).event;
+
+    const orders = append({
+        action: 'set:create', setId: 'set_orders', name: 'Orders',
+        records: [
+            { record_id: 'ord_1', fields: { customer: 'cus_a', region: 'North', amount: 120 } },
+            { record_id: 'ord_2', fields: { customer: 'cus_a', region: 'South', amount: 80 } },
+            { record_id: 'ord_3', fields: { customer: 'cus_b', region: 'North', amount: 200 } },
+            { record_id: 'ord_4', fields: { customer: 'cus_b', region: 'North', amount: 120 } },
+            { record_id: 'ord_5', fields: { customer: 'cus_a', region: null, amount: 50 } }
+        ]
+    });
+    const customers = append({
+        action: 'set:create', setId: 'set_customers', name: 'Customers',
+        records: [
+            { record_id: 'cus_a', fields: { name: 'Ada', tier: 'gold' } },
+            { record_id: 'cus_b', fields: { name: 'Bob', tier: 'silver' } },
+            { record_id: 'cus_c', fields: { name: 'Cy', tier: 'gold' } }
+        ]
+    });
+
+    const derivation = new StateDerivation();
+    derivation.init(log);
+
+    return { log, derivation, append, executor: new EOQueryExecutor(derivation), events: { orders, customers } };
+}
+
+function ids(result) {
+    return result.rows.map(r => r.record_id);
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('EOQL Executor Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Sources and Filters');
+    // ------------------------------------------------------------------------
+
+    await test('Reads a set by name or setId and filters with typed and object conditions', async () => {
+        const { executor } = createWorkspace();
+
+        const byName = executor.execute(EOQL.from('Orders').where(Expr.gt('amount', 100)));
+        const byId = executor.execute(EOQL.from('set_orders').where({ amount: { $gt: 100 } }));
+
+        assertEqual(ids(byName), ['ord_1', 'ord_3', 'ord_4']);
+        assertEqual(ids(byId), ids(byName));
+        assertEqual(byName.rows[0], { record_id: 'ord_1', customer: 'cus_a', region: 'North', amount: 120 });
+    });
+
+    await test('Each row names the record and events it came from (Axiom 0)', async () => {
+        const { executor, append, events, log } = createWorkspace();
+        const edit = append({ action: 'cell:edit', setId: 'set_orders', recordId: 'ord_2', fieldName: 'amount', value: 90 });
+
+        const result = executor.execute(EOQL.from('Orders').where(Expr.eq('region', 'South')));
+
+        assertEqual(result.rows[0].amount, 90);
+        assertEqual(result.provenance, [[{ setId: 'set_orders', recordId: 'ord_2', eventIds: [events.orders.id, edit.id] }]]);
+        assertEqual(result.asOf.eventId, log.getAll().pop().id);
+    });
+
+    await test('NULL comparisons are unknown; IS NULL and NOT IN follow SQL', async () => {
+        const { executor } = createWorkspace();
+
+        assertEqual(ids(executor.execute(EOQL.from('Orders').where(Expr.ne('region', 'North')))), ['ord_2']);
+        assertEqual(ids(executor.execute(EOQL.from('Orders').where(Expr.isNull('region')))), ['ord_5']);
+        assertEqual(ids(executor.execute(EOQL.from('Orders').where(Expr.not(Expr.eq('region', 'North'))))), ['ord_2']);
+        assertEqual(ids(executor.execute(EOQL.from('Orders').where(Expr.notIn('customer', ['cus_b', null])))), []);
+    });
+
+    await test('NUL on a field outside the select list adds the column, as the compiled SQL does', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(EOQL.from('Orders').select('amount').default('region', 'none'));
+
+        assertEqual(result.rows.map(r => [r.amount, r.region]),
+            [[120, 'North'], [80, 'South'], [200, 'North'], [120, 'North'], [50, 'none']]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Joins');
+    // ------------------------------------------------------------------------
+
+    await test('Inner join resolves qualified fields; provenance covers both records', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(
+            EOQL.from({ table: 'Orders', alias: 'o' })
+                .join({ table: 'Customers', alias: 'c' }, Expr.eq('o.customer', Expr.field('c.record_id')))
+                .where(Expr.eq('c.tier', 'silver'))
+                .select('o.record_id', 'c.name', 'o.amount')
+        );
+
+        assertEqual(result.rows, [
+            { record_id: 'ord_3', name: 'Bob', amount: 200 },
+            { record_id: 'ord_4', name: 'Bob', amount: 120 }
+        ]);
+        assertEqual(result.provenance[0].map(p => p.recordId), ['ord_3', 'cus_b']);
+    });
+
+    await test('Left join keeps unmatched rows with NULLs', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(parseSQL(
+            'SELECT c.name, o.amount FROM Customers c LEFT JOIN Orders o ON c.record_id = o.customer WHERE c.tier = \'gold\' ORDER BY o.amount'
+        ));
+
+        assertEqual(result.rows, [
+            { name: 'Ada', amount: 50 },
+            { name: 'Ada', amount: 80 },
+            { name: 'Ada', amount: 120 },
+            { name: 'Cy', amount: null }
+        ]);
+        assertEqual(result.provenance[3].map(p => p.recordId), ['cus_c']);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Grouping and Aggregates');
+    // ------------------------------------------------------------------------
+
+    await test('GROUP BY with SYN aggregations and HAVING; groups carry every member', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(
+            EOQL.from('Orders')
+                .groupBy('customer')
+                .sum('amount', 'total')
+                .count('*', 'orders')
+                .having(Expr.gt('total', 260))
+                .orderBy('customer')
+        );
+
+        assertEqual(result.rows, [
+            { customer: 'cus_b', total: 320, orders: 2 }
+        ]);
+        assertEqual(result.provenance[0].map(p => p.recordId), ['ord_3', 'ord_4']);
+    });
+
+    await test('Aggregates without GROUP BY give one row; empty input is COUNT 0 and SUM NULL', async () => {
+        const { executor } = createWorkspace();
+
+        const all = executor.execute(parseSQL('SELECT COUNT(*) AS n, AVG(amount) AS mean, MAX(region) AS highest FROM Orders'));
+        const none = executor.execute(parseSQL('SELECT COUNT(*) AS n, SUM(amount) AS total FROM Orders WHERE amount > 1000'));
+
+        assertEqual(all.rows, [{ n: 5, mean: 114, highest: 'South' }]);
+        assertEqual(none.rows, [{ n: 0, total: null }]);
+        assertEqual(none.provenance, [[]]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Windows');
+    // ------------------------------------------------------------------------
+
+    await test('ROW_NUMBER, RANK and LAG through the builder', async () => {
+        const { executor } = createWorkspace();
+        const window = { partitionBy: ['customer'], orderBy: [{ field: 'amount', direction: 'desc' }] };
+
+        const result = executor.execute(
+            EOQL.from('Orders')
+                .rowNumber({ ...window, alias: 'n' })
+                .rank({ partitionBy: ['region'], orderBy: [{ field: 'amount', direction: 'desc' }], alias: 'place' })
+                .lag('amount', 1, { ...window, alias: 'previous' })
+                .select('record_id', 'n', 'place', 'previous')
+                .orderBy('record_id')
+        );
+
+        assertEqual(result.rows, [
+            { record_id: 'ord_1', n: 1, place: 2, previous: null },
+            { record_id: 'ord_2', n: 2, place: 1, previous: 120 },
+            { record_id: 'ord_3', n: 1, place: 1, previous: null },
+            { record_id: 'ord_4', n: 2, place: 2, previous: 200 },
+            { record_id: 'ord_5', n: 3, place: 1, previous: 80 }
+        ]);
+    });
+
+    await test('Running SUM over ORDER BY includes peers, from parsed SQL', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(parseSQL(
+            'SELECT record_id, SUM(amount) OVER (ORDER BY amount) AS running FROM Orders WHERE region = \'North\' ORDER BY record_id'
+        ));
+
+        assertEqual(result.rows, [
+            { record_id: 'ord_1', running: 240 },
+            { record_id: 'ord_3', running: 440 },
+            { record_id: 'ord_4', running: 240 }
+        ]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Set Operations, Ordering and Subqueries');
+    // ------------------------------------------------------------------------
+
+    await test('UNION, INTERSECT and EXCEPT match columns by position', async () => {
+        const { executor } = createWorkspace();
+        const gold = () => EOQL.from('Customers').where(Expr.eq('tier', 'gold')).select('record_id');
+        const buyers = () => EOQL.from('Orders').select('customer');
+
+        const union = executor.execute(gold().union(buyers()).orderBy('record_id'));
+        const intersect = executor.execute(gold().intersect(buyers()));
+        const except = executor.execute(gold().except(buyers()));
+
+        assertEqual(ids(union), ['cus_a', 'cus_b', 'cus_c']);
+        assertEqual(ids(intersect), ['cus_a']);
+        assertEqual(ids(except), ['cus_c']);
+        assertEqual(intersect.provenance[0].map(p => p.recordId), ['cus_a', 'ord_1', 'ord_2', 'ord_5']);
+    });
+
+    await test('ORDER BY puts NULLs last ascending; DISTINCT, OFFSET and LIMIT apply last', async () => {
+        const { executor } = createWorkspace();
+
+        const ordered = executor.execute(EOQL.from('Orders').select('region').orderBy('region'));
+        const page = executor.execute(EOQL.from('Orders').select('region').distinct().orderByDesc('region').offset(1).limit(1));
+
+        assertEqual(ordered.rows.map(r => r.region), ['North', 'North', 'North', 'South', null]);
+        assertEqual(page.rows, [{ region: 'South' }]);
+        assertEqual(page.provenance[0].map(p => p.recordId), ['ord_2']);
+    });
+
+    await test('CTEs and IN subqueries', async () => {
+        const { executor } = createWorkspace();
+
+        const result = executor.execute(parseSQL(
+            'WITH big AS (SELECT customer FROM Orders WHERE amount >= 200) ' +
+            'SELECT name FROM Customers WHERE record_id IN (SELECT customer FROM big)'
+        ));
+
+        assertEqual(result.rows, [{ name: 'Bob' }]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n6. State and Errors');
+    // ------------------------------------------------------------------------
+
+    await test('Runs against the live derivation; merged-away records are hidden unless asked for', async () => {
+        const { derivation, append } = createWorkspace();
+        append({
+            action: 'record:merge', setId: 'set_customers', recordIds: ['cus_a', 'cus_c'],
+            record: { record_id: 'cus_ac', fields: { name: 'Ada', tier: 'gold' } }, hideSuperseded: true
+        });
+
+        const query = EOQL.from('Customers').where(Expr.eq('tier', 'gold'));
+        assertEqual(ids(executeQuery(query, derivation)), ['cus_ac']);
+        assertEqual(ids(executeQuery(query, derivation.getState(), { includeHidden: true })), ['cus_a', 'cus_c', 'cus_ac']);
+    });
+
+    await test('Unknown sources, writes and recursion are refused', async () => {
+        const { executor } = createWorkspace();
+
+        assertThrows(() => executor.execute(EOQL.from('Invoices')), 'Unknown source: Invoices');
+        assertThrows(() => executor.execute(parseSQL('DELETE FROM Orders WHERE amount > 10')), 'only reads');
+        assertThrows(() => executor.execute(EOQL.query().recursive(EOQL.from('Orders'), EOQL.from('Orders'))), 'REC');
+        assertThrows(() => executor.execute(parseSQL('SELECT NOPE(amount) FROM Orders')), 'Unknown function: NOPE');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
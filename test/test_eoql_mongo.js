@@ -0,0 +1,503 @@
+/**
+ * EOQL MongoDB Backend Tests
+ * Tests for compiling EOQL to aggregation pipelines and parsing them back
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EOQL } = require(path.join(__dirname, '../foundation/eo_query_language.js'));
+const { parseSQL } = require(path.join(__dirname, '../foundation/eo_query_parser.js'));
+const { toSQL } = require(path.join(__dirname, '../foundation/eo_query_compiler.js'));
+const { toMongo, parseMongo, MONGO_FUNCTIONS } = require(path.join(__dirname, '../foundation/eo_query_mongo.js'));
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(condition, message = '') {
+    if (!condition) {
+        throw new Error(message || 'Expected true');
+    }
+}
+
+function assertThrows(fn, substring) {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(substring)) {
+            throw new Error(`Expected error containing "${substring}", got "${e.message}"`);
+        }
+        return e;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+function pipelineOf(sql) {
+    return toMongo(parseSQL(sql)).pipeline;
+}
+
+/**
+ * pipeline -> EOQL -> pipeline gives the same stages
+ */
+function assertRoundTrip(mongo, label) {
+    const query = parseMongo(mongo);
+    assertEqual(toMongo(query), mongo, `${label} compiled differently after parsing`);
+    return query;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('EOQL MongoDB Backend Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Stage Mapping');
+    // ------------------------------------------------------------------------
+
+    await test('SEG, DES, ALT and LIMIT map to $match, $project, $sort and $limit', () => {
+        const query = EOQL.from('orders')
+            .where({ status: 'paid', total: { $gt: 100 } })
+            .select('id', 'total')
+            .orderByDesc('total')
+            .limit(5);
+
+        assertEqual(toMongo(query), {
+            collection: 'orders',
+            pipeline: [
+                { $match: { status: 'paid', total: { $gt: 100 } } },
+                { $project: { _id: 0, id: 1, total: 1 } },
+                { $sort: { total: -1 } },
+                { $limit: 5 }
+            ]
+        });
+    });
+
+    await test('GROUP BY and HAVING become $group and a $match on the accumulators', () => {
+        const pipeline = pipelineOf(
+            'SELECT customer_id, COUNT(*) AS n, SUM(total) AS s FROM orders WHERE total > 10 ' +
+            'GROUP BY customer_id HAVING COUNT(*) > 2 ORDER BY s DESC'
+        );
+
+        assertEqual(pipeline, [
+            { $match: { total: { $gt: 10 } } },
+            { $group: { _id: { customer_id: '$customer_id' }, n: { $sum: 1 }, s: { $sum: '$total' } } },
+            { $match: { n: { $gt: 2 } } },
+            { $project: { _id: 0, customer_id: '$_id.customer_id', n: 1, s: 1 } },
+            { $sort: { s: -1 } }
+        ]);
+    });
+
+    await test('SYN aggregations without a select list keep the group keys', () => {
+        const query = EOQL.from('emp').groupBy('dept').sum('salary', 'total').avg('salary', 'mean');
+
+        assertEqual(toMongo(query).pipeline, [
+            { $group: { _id: { dept: '$dept' }, total: { $sum: '$salary' }, mean: { $avg: '$salary' } } },
+            { $project: { _id: 0, dept: '$_id.dept', total: 1, mean: 1 } }
+        ]);
+    });
+
+    await test('An equi-join uses localField/foreignField without null keys; LEFT keeps unmatched rows', () => {
+        const pipeline = pipelineOf(
+            'SELECT o.id, c.name FROM orders o LEFT JOIN customers c ON o.customer_id = c.id'
+        );
+
+        assertEqual(pipeline, [
+            { $lookup: {
+                from: 'customers',
+                localField: 'customer_id',
+                foreignField: 'id',
+                pipeline: [{ $match: { id: { $ne: null } } }],
+                as: 'c'
+            } },
+            { $unwind: { path: '$c', preserveNullAndEmptyArrays: true } },
+            { $project: { _id: 0, id: 1, name: '$c.name' } }
+        ]);
+    });
+
+    await test('Other join conditions use a $lookup pipeline with let variables', () => {
+        const pipeline = pipelineOf('SELECT a.id FROM a JOIN b ON a.x = b.x AND a.y > b.y');
+
+        assertEqual(pipeline[0], {
+            $lookup: {
+                from: 'b',
+                let: { x: '$x', y: '$y' },
+                pipeline: [
+                    { $match: { x: { $ne: null } } },
+                    { $match: { $expr: { $and: [{ $eq: ['$$x', '$x'] }, { $gt: ['$$y', '$y'] }] } } }
+                ],
+                as: 'b'
+            }
+        });
+        assertEqual(pipeline[1], { $unwind: '$b' });
+    });
+
+    await test('Windows become $setWindowFields, one stage per partition and ordering', () => {
+        const pipeline = pipelineOf(
+            'SELECT id, ROW_NUMBER() OVER (PARTITION BY dept ORDER BY salary DESC) AS rn, ' +
+            'LAG(salary, 2) OVER (PARTITION BY dept ORDER BY salary DESC) AS prev, ' +
+            'SUM(salary) OVER (ORDER BY hired) AS running FROM emp'
+        );
+
+        assertEqual(pipeline, [
+            { $setWindowFields: {
+                partitionBy: '$dept',
+                sortBy: { salary: -1 },
+                output: { rn: { $documentNumber: {} }, prev: { $shift: { output: '$salary', by: -2 } } }
+            } },
+            { $setWindowFields: {
+                sortBy: { hired: 1 },
+                output: { running: { $sum: '$salary', window: { documents: ['unbounded', 'current'] } } }
+            } },
+            { $project: { _id: 0, id: 1, rn: 1, prev: 1, running: 1 } }
+        ]);
+    });
+
+    await test('Builder windows keep every field next to the window output', () => {
+        const query = EOQL.from('emp')
+            .rowNumber({ partitionBy: ['dept'], orderBy: [{ field: 'salary', direction: 'desc' }], alias: 'rn' })
+            .lead('salary', 1, { orderBy: [{ field: 'hired', direction: 'asc' }], alias: 'next' });
+
+        assertEqual(toMongo(query).pipeline, [
+            { $setWindowFields: { partitionBy: '$dept', sortBy: { salary: -1 }, output: { rn: { $documentNumber: {} } } } },
+            { $setWindowFields: { sortBy: { hired: 1 }, output: { next: { $shift: { output: '$salary', by: 1 } } } } }
+        ]);
+    });
+
+    await test('DISTINCT, UNION and OFFSET', () => {
+        assertEqual(pipelineOf('SELECT DISTINCT dept FROM emp'), [
+            { $project: { _id: 0, dept: 1 } },
+            { $group: { _id: '$$ROOT' } },
+            { $replaceWith: '$_id' }
+        ]);
+
+        const union = EOQL.from('a').select('id').unionAll(EOQL.from('b').select('id')).limit(10).offset(20);
+        assertEqual(toMongo(union).pipeline, [
+            { $project: { _id: 0, id: 1 } },
+            { $unionWith: { coll: 'b', pipeline: [{ $project: { _id: 0, id: 1 } }] } },
+            { $skip: 20 },
+            { $limit: 10 }
+        ]);
+    });
+
+    await test('ORDER BY a column the projection drops sorts before $project', () => {
+        const query = EOQL.from('emp').select('id', 'name').orderBy('salary');
+        assertEqual(toMongo(query).pipeline, [
+            { $sort: { salary: 1 } },
+            { $project: { _id: 0, id: 1, name: 1 } }
+        ]);
+    });
+
+    await test('CTEs are inlined as the leading stages', () => {
+        const query = EOQL.from('recent').select('id').with('recent', EOQL.from('orders').where({ year: 2024 }));
+        assertEqual(toMongo(query), {
+            collection: 'orders',
+            pipeline: [{ $match: { year: 2024 } }, { $project: { _id: 0, id: 1 } }]
+        });
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Expressions and Nulls');
+    // ------------------------------------------------------------------------
+
+    await test('LIKE becomes an anchored regex; special characters are escaped', () => {
+        assertEqual(pipelineOf("SELECT * FROM p WHERE name LIKE 'A%'")[0], { $match: { name: { $regex: '^A' } } });
+        assertEqual(pipelineOf("SELECT * FROM p WHERE name ILIKE '%son'")[0], { $match: { name: { $regex: 'son$', $options: 'i' } } });
+        assertEqual(pipelineOf("SELECT * FROM p WHERE code LIKE 'a.b_'")[0], { $match: { code: { $regex: '^a\\.b.$' } } });
+    });
+
+    await test('<> and NOT IN carry a $ne: null guard', () => {
+        assertEqual(pipelineOf('SELECT id FROM t WHERE x <> 1')[0], { $match: { x: { $nin: [1], $ne: null } } });
+        assertEqual(pipelineOf('SELECT id FROM t WHERE y NOT IN (1, 2)')[0], { $match: { y: { $nin: [1, 2], $ne: null } } });
+        assertEqual(pipelineOf('SELECT id FROM t WHERE shipped <> ordered')[0], { $match: { $expr: { $and: [
+            { $ne: ['$shipped', '$ordered'] },
+            { $ne: [{ $ifNull: ['$shipped', null] }, null] },
+            { $ne: [{ $ifNull: ['$ordered', null] }, null] }
+        ] } } });
+    });
+
+    await test('NOT is pushed down to the comparisons it negates', () => {
+        assertEqual(pipelineOf('SELECT id FROM t WHERE NOT (x = 1 OR y IN (1, 2))')[0], {
+            $match: { x: { $nin: [1], $ne: null }, y: { $nin: [1, 2], $ne: null } }
+        });
+        assertEqual(pipelineOf('SELECT id FROM t WHERE NOT (x > 1 AND y BETWEEN 2 AND 3)')[0], {
+            $match: { $or: [{ x: { $lte: 1 } }, { $or: [{ y: { $lt: 2 } }, { y: { $gt: 3 } }] }] }
+        });
+        assertEqual(pipelineOf("SELECT id FROM t WHERE NOT (name LIKE 'A%')")[0], {
+            $match: { name: { $not: { $regex: '^A' }, $ne: null } }
+        });
+    });
+
+    await test('Comparisons between two fields fall back to $expr', () => {
+        assertEqual(pipelineOf('SELECT id FROM t WHERE shipped > ordered')[0], {
+            $match: { $expr: { $gt: ['$shipped', '$ordered'] } }
+        });
+    });
+
+    await test('COUNT(field) and COUNT(DISTINCT field) skip nulls as SQL does', () => {
+        const pipeline = pipelineOf('SELECT COUNT(manager) AS m, COUNT(DISTINCT dept) AS d FROM emp');
+        assertEqual(pipeline.slice(0, 2), [
+            { $group: {
+                _id: null,
+                m: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$manager', null] }, null] }, 0, 1] } },
+                d: { $addToSet: '$dept' }
+            } },
+            { $set: { d: { $size: { $setDifference: ['$d', [null]] } } } }
+        ]);
+    });
+
+    await test('IS NULL matches null and missing fields', () => {
+        assertEqual(pipelineOf('SELECT id FROM t WHERE dept IS NULL')[0], { $match: { dept: null } });
+        assertEqual(pipelineOf('SELECT id FROM t WHERE dept IS NOT NULL')[0], { $match: { dept: { $ne: null } } });
+    });
+
+    await test('NUL compiles to $ifNull and $cond next to *', () => {
+        const query = EOQL.from('emp').select('*').coalesce('nick', 'name').nullif('dept', '').default('bonus', 0);
+        assertEqual(toMongo(query).pipeline, [{ $set: {
+            nick: { $ifNull: ['$nick', '$name'] },
+            dept: { $cond: [{ $eq: ['$dept', ''] }, null, '$dept'] },
+            bonus: { $ifNull: ['$bonus', 0] }
+        } }]);
+    });
+
+    await test('NULLS LAST sorts on a helper flag that is removed afterwards', () => {
+        const query = EOQL.from('orders').select('id').orderBy({ field: 'shipped', direction: 'asc', nullsLast: true });
+        assertEqual(toMongo(query).pipeline.slice(0, 3), [
+            { $set: { _null_shipped: { $eq: [{ $ifNull: ['$shipped', null] }, null] } } },
+            { $sort: { _null_shipped: 1, shipped: 1 } },
+            { $unset: ['_null_shipped'] }
+        ]);
+    });
+
+    await test('CASE, functions and literals in the projection', () => {
+        const pipeline = pipelineOf(
+            "SELECT UPPER(name) AS n, CASE WHEN salary > 100 THEN 'hi' ELSE 'lo' END AS band, 1 AS one FROM emp"
+        );
+        assertEqual(pipeline, [{ $project: {
+            _id: 0,
+            n: { $toUpper: '$name' },
+            band: { $switch: { branches: [{ case: { $gt: ['$salary', 100] }, then: 'hi' }], default: 'lo' } },
+            one: { $literal: 1 }
+        } }]);
+    });
+
+    await test('Scalar functions are extensible through MONGO_FUNCTIONS', () => {
+        MONGO_FUNCTIONS.REVERSE = (s) => ({ $reverseArray: s });
+        try {
+            const pipeline = pipelineOf('SELECT REVERSE(tags) AS r FROM posts');
+            assertEqual(pipeline[0].$project.r, { $reverseArray: '$tags' });
+        } finally {
+            delete MONGO_FUNCTIONS.REVERSE;
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Reverse Parsing');
+    // ------------------------------------------------------------------------
+
+    await test('A pipeline reads back as EOQL and compiles to SQL', () => {
+        const query = parseMongo({
+            collection: 'orders',
+            pipeline: [
+                { $match: { status: 'paid', total: { $gte: 50 } } },
+                { $group: { _id: '$region', revenue: { $sum: '$total' }, orders: { $sum: 1 } } },
+                { $match: { revenue: { $gt: 1000 } } },
+                { $sort: { revenue: -1 } },
+                { $limit: 3 }
+            ]
+        });
+
+        assertEqual(toSQL(query),
+            'SELECT region, SUM(total) AS revenue, COUNT(*) AS orders\n' +
+            'FROM orders\n' +
+            "WHERE (status = 'paid' AND total >= 50)\n" +
+            'GROUP BY region\n' +
+            'HAVING SUM(total) > 1000\n' +
+            'ORDER BY revenue DESC\n' +
+            'LIMIT 3 OFFSET 0');
+    });
+
+    await test('Accepts JSON text and bare pipelines with a collection option', () => {
+        const query = parseMongo('[{"$match":{"name":{"$regex":"son$","$options":"i"}}},{"$count":"n"}]', { collection: 'people' });
+        assertEqual(query.getPipeline().map(n => [n.operator, n.params]), [
+            ['INS', { source: 'people' }],
+            ['SEG', { where: { type: 'ilike', field: { type: 'field', name: 'name' }, pattern: '%son' } }],
+            ['DES', { columns: [{ n: { type: 'agg', fn: 'COUNT', field: '*' } }] }]
+        ]);
+    });
+
+    await test('$lookup + $unwind reads back as a join', () => {
+        const query = parseMongo({
+            collection: 'orders',
+            pipeline: [
+                { $lookup: { from: 'customers', localField: 'customer_id', foreignField: 'id', as: 'c' } },
+                { $unwind: '$c' },
+                { $project: { _id: 0, id: 1, name: '$c.name' } }
+            ]
+        });
+        assertEqual(toSQL(query), 'SELECT id, c.name\nFROM orders\nINNER JOIN customers c ON customer_id = c.id');
+    });
+
+    await test('Unguarded $ne and $nin also match nulls when read back', () => {
+        const where = (match) => parseMongo({ collection: 't', pipeline: [{ $match: match }] })
+            .getPipeline().find(n => n.operator === 'SEG').params.where;
+        const x = { type: 'field', name: 'x' };
+
+        assertEqual(where({ x: { $ne: 1 } }), { type: 'or', conditions: [
+            { type: 'ne', left: x, right: { type: 'literal', value: 1 } }, { type: 'is_null', field: x }
+        ] });
+        assertEqual(where({ x: { $nin: [1, 2] } }), { type: 'or', conditions: [
+            { type: 'not_in', field: x, values: [1, 2] }, { type: 'is_null', field: x }
+        ] });
+        assertEqual(where({ x: { $nin: [1, 2], $ne: null } }), { type: 'not_in', field: x, values: [1, 2] });
+        assertEqual(where({ x: { $ne: 1, $lt: 5 } }), { type: 'and', conditions: [
+            { type: 'ne', left: x, right: { type: 'literal', value: 1 } }, { type: 'lt', left: x, right: { type: 'literal', value: 5 } }
+        ] });
+    });
+
+    await test('$set fields are inlined where later stages use them', () => {
+        const query = parseMongo({
+            collection: 'items',
+            pipeline: [
+                { $set: { net: { $subtract: ['$price', '$discount'] } } },
+                { $match: { $expr: { $gt: ['$net', 10] } } }
+            ]
+        });
+        const seg = query.getPipeline().find(n => n.operator === 'SEG');
+        assertEqual(seg.params.where.left, {
+            type: 'sub', left: { type: 'field', name: 'price' }, right: { type: 'field', name: 'discount' }
+        });
+    });
+
+    await test('$setWindowFields reads back as SUP windows', () => {
+        const query = parseMongo({
+            collection: 'emp',
+            pipeline: [{ $setWindowFields: {
+                partitionBy: '$dept',
+                sortBy: { salary: -1 },
+                output: { prev: { $shift: { output: '$salary', by: -1, default: 0 } } }
+            } }]
+        });
+        const sup = query.getPipeline().find(n => n.operator === 'SUP');
+        assertEqual(sup.params.window, {
+            fn: 'LAG', field: 'salary', offset: 1, default: 0,
+            partitionBy: ['dept'], orderBy: [{ field: 'salary', direction: 'desc' }], alias: 'prev'
+        });
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Round Trips');
+    // ------------------------------------------------------------------------
+
+    const roundTrips = {
+        'filter, projection and paging': "SELECT id, total FROM orders WHERE status = 'paid' AND total > 100 ORDER BY total DESC LIMIT 5 OFFSET 10",
+        'grouping with HAVING': 'SELECT dept, COUNT(*) AS n, AVG(salary) AS a FROM emp GROUP BY dept HAVING COUNT(*) > 2 ORDER BY a DESC',
+        'COUNT(DISTINCT)': 'SELECT COUNT(DISTINCT dept) AS d, COUNT(manager) AS m FROM emp',
+        'joins': 'SELECT o.id, c.name FROM orders o LEFT JOIN customers c ON o.customer_id = c.id WHERE c.name LIKE \'A%\'',
+        'non-equi join': 'SELECT a.id FROM a JOIN b ON a.x = b.x AND a.y > b.y',
+        'inner equi-join': 'SELECT o.id, c.name FROM orders o JOIN customers c ON o.customer_id = c.id',
+        '<>, NOT IN and NOT': "SELECT id FROM t WHERE a <> 1 AND b NOT IN (1, 2) AND NOT (c LIKE 'x%') AND NOT (d > e) AND f <> g",
+        'windows': 'SELECT id, RANK() OVER (PARTITION BY dept ORDER BY salary DESC) AS r, LEAD(salary) OVER (PARTITION BY dept ORDER BY salary DESC) AS next FROM emp',
+        'DISTINCT': 'SELECT DISTINCT dept FROM emp',
+        'UNION': 'SELECT id FROM a UNION SELECT id FROM b',
+        'CASE and IS NULL': "SELECT name, CASE WHEN salary > 100 THEN 'hi' ELSE 'lo' END AS band FROM emp WHERE dept IS NULL"
+    };
+
+    for (const [label, sql] of Object.entries(roundTrips)) {
+        await test(`SQL → pipeline → EOQL → pipeline: ${label}`, () => {
+            assertRoundTrip(toMongo(parseSQL(sql)), label);
+        });
+    }
+
+    await test('Builder queries with NUL and NULLS LAST round-trip', () => {
+        assertRoundTrip(toMongo(EOQL.from('emp').select('*').coalesce('nick', 'name').default('bonus', 0)), 'NUL');
+        assertRoundTrip(toMongo(EOQL.from('orders').select('id', 'shipped').orderBy({ field: 'shipped', direction: 'asc', nullsLast: true })), 'NULLS LAST');
+    });
+
+    await test('Round-tripped queries compile to the same SQL', () => {
+        const sql = 'SELECT dept, SUM(salary) AS total FROM emp WHERE active = true GROUP BY dept ORDER BY total DESC';
+        assertEqual(toSQL(parseMongo(toMongo(parseSQL(sql)))), toSQL(parseSQL(sql)));
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Errors');
+    // ------------------------------------------------------------------------
+
+    await test('Joins and set operations $lookup and $unionWith cannot express', () => {
+        assertThrows(() => toMongo(parseSQL('SELECT * FROM t RIGHT JOIN u ON t.a = u.a')), 'has no right join');
+        assertThrows(() => toMongo(EOQL.from('t').intersect(EOQL.from('u'))), 'INTERSECT has no aggregation pipeline equivalent');
+    });
+
+    await test('REC and writes are refused', () => {
+        const rec = EOQL.from('staff').rec({ anchor: EOQL.from('staff'), recursive: EOQL.from('staff'), name: 'tree' });
+        assertThrows(() => toMongo(rec), '$graphLookup');
+        assertThrows(() => toMongo(EOQL.from('t').ins({ operation: 'insert', values: { a: 1 } })), 'only read');
+    });
+
+    await test('Stages out of SQL clause order are refused', () => {
+        assertThrows(() => parseMongo({ collection: 't', pipeline: [{ $limit: 1 }, { $match: { a: 1 } }] }),
+            "$match after $limit can't be expressed as one EOQL query");
+        assertThrows(() => parseMongo({ collection: 't', pipeline: [
+            { $group: { _id: '$a', n: { $sum: 1 } } },
+            { $group: { _id: null, m: { $max: '$n' } } }
+        ] }), 'A $group of grouped rows');
+    });
+
+    await test('Unsupported stages, operators and regexes are named', () => {
+        assertThrows(() => parseMongo({ collection: 't', pipeline: [{ $bucket: {} }] }), 'Unsupported MongoDB stage: $bucket');
+        assertThrows(() => parseMongo({ collection: 't', pipeline: [{ $match: { tags: { $size: 2 } } }] }), 'Unsupported query operator: $size');
+        assertThrows(() => parseMongo({ collection: 't', pipeline: [{ $match: { name: { $regex: '^(a|b)' } } }] }), 'as a LIKE pattern');
+        assertThrows(() => parseMongo([{ $match: {} }]), 'needs its collection');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,318 @@
+/**
+ * EOQL Text Syntax Tests
+ * Tests for parsing and pretty-printing the textual EOQL pipeline syntax
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EOQL } = require(path.join(__dirname, '../foundation/eo_query_language.js'));
+const { parseSQL } = require(path.join(__dirname, '../foundation/eo_query_parser.js'));
+const { parseEOQL, printEOQL, canonicalize } = require(path.join(__dirname, '../foundation/eo_query_text.js'));
+
+const Expr = EOQL.expr;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(condition, message = '') {
+    if (!condition) {
+        throw new Error(message || 'Expected true');
+    }
+}
+
+function assertThrows(fn, substring) {
+    try {
+        fn();
+    } catch (e) {
+        if (!e.message.includes(substring)) {
+            throw new Error(`Expected error containing "${substring}", got "${e.message}"`);
+        }
+        return e;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+/**
+ * Same operators and params, nested queries included
+ */
+function assertSameQuery(actual, expected, message = '') {
+    assertEqual(canonicalize(actual), canonicalize(expected), message);
+}
+
+/**
+ * print -> parse gives the same pipeline and CTEs, and printing that again gives the same text
+ */
+function assertRoundTrip(query, label) {
+    const text = printEOQL(query);
+    const parsed = parseEOQL(text);
+    assertSameQuery(parsed, query, `${label} did not parse back from:\n${text}`);
+    assertEqual(canonicalize(parsed.toAST().ctes), canonicalize(query.toAST().ctes), `${label} has other CTEs after parsing back`);
+    assertEqual(printEOQL(parsed), text, `${label} printed differently the second time`);
+    return text;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('EOQL Text Syntax Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Parsing Pipelines');
+    // ------------------------------------------------------------------------
+
+    await test('Parses the concise pipeline into the same nodes as the builder', () => {
+        const query = parseEOQL('INS sales | SEG amount > 100 | SYN sum(amount) by region');
+        const built = EOQL.from('sales').where(Expr.gt('amount', 100)).groupBy('region').sum('amount');
+
+        assertSameQuery(query, built);
+        assertEqual(query.getPipeline().map(n => n.operator), ['INS', 'SEG', 'SEG', 'SYN']);
+    });
+
+    await test('Keywords are case-insensitive; newlines and comments are whitespace', () => {
+        const query = parseEOQL(`
+            ins orders as o          -- source
+            | seg o.status = 'open' and o.amount >= 10
+            | alt o.amount desc nulls last, o.id
+            | seg limit 20
+        `);
+
+        assertSameQuery(query, EOQL.from({ table: 'orders', alias: 'o' })
+            .where(Expr.and(Expr.eq('o.status', 'open'), Expr.gte('o.amount', 10)))
+            .orderBy({ field: 'o.amount', direction: 'desc', nullsFirst: false }, 'o.id')
+            .limit(20));
+    });
+
+    await test('Joins, set operations, windows, null handling and CTEs', () => {
+        const query = parseEOQL(`
+            INS orders
+            | CON LEFT JOIN customers ON orders.customer = customers.id
+            | CON UNION ALL (INS archived_orders | SEG amount > 0)
+            | SUP lag(amount, 1) OVER (PARTITION BY region ORDER BY placed_at) AS previous
+            | SUP row_number() OVER (ORDER BY amount DESC) AS rn
+            | NUL COALESCE nickname, name
+            | NUL region DEFAULT 'none'
+            | SUP WITH recent AS (INS orders | SEG LIMIT 5)
+        `);
+
+        const recent = EOQL.from('orders').limit(5);
+        assertSameQuery(query, EOQL.from('orders')
+            .leftJoin('customers', Expr.eq('orders.customer', Expr.field('customers.id')))
+            .unionAll(EOQL.from('archived_orders').where(Expr.gt('amount', 0)))
+            .lag('amount', 1, { partitionBy: ['region'], orderBy: ['placed_at'], alias: 'previous' })
+            .rowNumber({ orderBy: [{ field: 'amount', direction: 'desc' }], alias: 'rn' })
+            .coalesce('nickname', 'name')
+            .default('region', 'none')
+            .with('recent', recent));
+        assertSameQuery(query._ctes.recent, recent, 'SUP WITH registers the CTE');
+    });
+
+    await test('The generic form takes any params', () => {
+        const query = parseEOQL(`
+            INS { source: 'orders', operation: 'delete' }
+            | REC { anchor: (INS employees | SEG manager IS NULL), maxDepth: 5, until: null }
+        `);
+
+        assertEqual(query.getPipeline()[0].params, { source: 'orders', operation: 'delete' });
+        const rec = query.getPipeline()[1].params;
+        assertEqual(rec.maxDepth, 5);
+        assertEqual(rec.until, null);
+        assertSameQuery(rec.anchor, EOQL.from('employees').where(Expr.isNull('manager')));
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Expressions');
+    // ------------------------------------------------------------------------
+
+    await test('AND binds tighter than OR; NOT, IN, BETWEEN, LIKE and IS NULL', () => {
+        const where = parseEOQL(`
+            INS t | SEG a = 1 OR NOT b IN (1, 2) AND c BETWEEN 1 AND 5 AND d LIKE 'x%' AND e IS NOT NULL
+        `).getPipeline()[1].params.where;
+
+        assertEqual(where, Expr.or(
+            Expr.eq('a', 1),
+            Expr.and(
+                Expr.not(Expr.in('b', [1, 2])),
+                Expr.between('c', 1, 5),
+                Expr.like('d', 'x%'),
+                Expr.isNotNull('e')
+            )
+        ));
+    });
+
+    await test('Arithmetic, functions, aggregates, CASE and subqueries', () => {
+        const columns = parseEOQL(`
+            INS t | DES price * (1 - discount) AS net, upper(name), count(*) AS n,
+                CASE WHEN amount > 100 THEN 'large' ELSE 'small' END AS size,
+                id NOT IN (INS banned | DES id) AS allowed
+        `).getPipeline()[1].params.columns;
+
+        assertEqual(columns[0], { net: Expr.mul('price', Expr.sub(Expr.literal(1), 'discount')) });
+        assertEqual(columns[1], Expr.fn('upper', 'name'));
+        assertEqual(columns[2], { n: Expr.count() });
+        assertEqual(columns[3].size.when[0].then, Expr.literal('large'));
+        assertEqual(columns[4].allowed.type, 'not_in_subquery');
+        assertSameQuery(columns[4].allowed.subquery, EOQL.from('banned').select('id'));
+    });
+
+    await test('Backquoted identifiers and escaped quotes', () => {
+        const where = parseEOQL("INS t | SEG `order date` = 'it''s'").getPipeline()[1].params.where;
+        assertEqual(where, Expr.eq('order date', "it's"));
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Syntax Errors');
+    // ------------------------------------------------------------------------
+
+    await test('Errors carry the line and column of the offending token', () => {
+        const error = assertThrows(() => parseEOQL('INS sales\n| SEG amount >'), 'Expected an expression but found end of input at line 2, column 15');
+        assertEqual([error.line, error.column], [2, 15]);
+
+        assertThrows(() => parseEOQL('SELECT * FROM sales'), "Expected an operator (INS, DES, SEG, CON, ALT, SYN, SUP, NUL, REC) but found 'SELECT' at line 1, column 1");
+        assertThrows(() => parseEOQL('INS sales x'), "Expected '|' or end of input but found 'x' at line 1, column 11");
+        assertThrows(() => parseEOQL('INS a\n  | CON LEFT b'), "Expected JOIN but found 'b' at line 2, column 14");
+    });
+
+    await test('Tokenizer errors report where the token started', () => {
+        assertThrows(() => parseEOQL("INS sales | SEG name = 'abc"), 'Unterminated string at line 1, column 24');
+        assertThrows(() => parseEOQL('INS sales\n| SEG amount # 3'), "Unexpected character '#' at line 2, column 14");
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Pretty-Printing');
+    // ------------------------------------------------------------------------
+
+    await test('Prints one stage per line, folding SEG BY into SYN', () => {
+        const text = printEOQL(EOQL.from('sales').where(Expr.gt('amount', 100)).groupBy('region').sum('amount'));
+        assertEqual(text, 'INS sales\n| SEG amount > 100\n| SYN sum(amount) BY region');
+    });
+
+    await test('Long nested pipelines are indented; reserved names are backquoted', () => {
+        const query = EOQL.from('orders')
+            .union(EOQL.from('archived_orders').where(Expr.and(Expr.gt('amount', 100), Expr.eq('region', 'North'))).orderBy('order'));
+
+        assertEqual(printEOQL(query), [
+            'INS orders',
+            '| CON UNION (',
+            "    INS archived_orders",
+            "    | SEG amount > 100 AND region = 'North'",
+            '    | ALT `order`',
+            ')'
+        ].join('\n'));
+    });
+
+    await test('Shapes without a concise form print in the generic form', () => {
+        const query = EOQL.from('t').selectAs({ total: 'amount' }).where({ status: 'active' });
+        assertEqual(printEOQL(query), [
+            'INS t',
+            "| DES { alias: { total: 'amount' } }",
+            "| SEG { where: { status: 'active' } }"
+        ].join('\n'));
+
+        assertThrows(() => printEOQL(EOQL.from('t').des({ classify: () => 'x' })), 'Cannot print a function');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Round Trips');
+    // ------------------------------------------------------------------------
+
+    await test('Builder queries round-trip through text', () => {
+        const queries = {
+            everything: EOQL.from('orders')
+                .join('customers', Expr.eq('orders.customer', Expr.field('customers.id')))
+                .where(Expr.and(Expr.gt('amount', 10), Expr.or(Expr.like('name', 'A%'), Expr.in('status', ['a', 'b']))))
+                .groupBy('region').sum('amount', 'total').count()
+                .having(Expr.gt(Expr.sum('amount'), 100))
+                .orderBy('region', { field: 'total', direction: 'desc' })
+                .limit(10).offset(5).distinct('region'),
+            windows: EOQL.from('sales')
+                .rowNumber({ partitionBy: ['region'], orderBy: [{ field: 'amount', direction: 'desc' }], alias: 'rn' })
+                .lead('amount', 2),
+            nulls: EOQL.from('people').coalesce('nickname', 'name').nullif('email', '').default('age', -1),
+            setsAndCtes: EOQL.from('a').except(EOQL.from('b')).with('c', EOQL.from('c').crossJoin('d')),
+            recursion: EOQL.query().recursive(EOQL.from('tree').where(Expr.isNull('parent')), EOQL.from('tree'), { maxDepth: 3 }),
+            oddities: EOQL.from('t').where(Expr.and(Expr.eq('a', 1))).where(Expr.in('b', [1, Expr.field('c')])).des({})
+        };
+
+        for (const [label, query] of Object.entries(queries)) {
+            assertRoundTrip(query, label);
+        }
+    });
+
+    await test('SQL-parsed queries round-trip through text', () => {
+        const statements = [
+            `SELECT o.id, SUM(amount) AS total, ROW_NUMBER() OVER (PARTITION BY region ORDER BY amount DESC) AS rn
+             FROM orders o LEFT JOIN customers c ON o.customer = c.id
+             WHERE amount BETWEEN 1 AND 10 AND status IN ('a', 'b') AND name NOT IN (SELECT name FROM banned)
+             GROUP BY o.id HAVING COUNT(*) > 1 ORDER BY total DESC NULLS LAST LIMIT 5 OFFSET 2`,
+            'WITH RECURSIVE t AS (SELECT id FROM a UNION ALL SELECT id FROM b) SELECT * FROM t',
+            'WITH x AS (SELECT id FROM a WHERE n > 1e400), y AS (SELECT id FROM b) SELECT x.id FROM x JOIN y ON x.id = y.id WHERE x.id > -1e400',
+            "SELECT CASE WHEN a > 1 THEN 'x' ELSE 'y' END AS k, -amount * 2 FROM t WHERE NOT (a = 1 OR b = 2)",
+            "INSERT INTO t (a, b) VALUES (1, 'x')",
+            'UPDATE t SET a = 1 WHERE b = 2'
+        ];
+
+        for (const sql of statements) {
+            assertRoundTrip(parseSQL(sql), sql);
+        }
+    });
+
+    await test('Plain toAST() output prints the same as its query', () => {
+        const query = EOQL.from('sales').where(Expr.gt('amount', 100)).union(EOQL.from('archive'));
+        const text = printEOQL(query.toAST());
+        assertEqual(text, printEOQL(query));
+        assertTrue(text.includes('CON UNION (INS archive)'));
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,298 @@
+/**
+ * Interpretation Frame Tests
+ * Tests for deriving the workspace under one frame's Meant events and
+ * comparing two frames over the same Given data
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+global.EOStateDerivation = EOStateDerivation;
+const { SnapshotManager } = require(path.join(__dirname, '../eo_snapshots.js'));
+const EOFrameUI = require(path.join(__dirname, '../eo_frame_ui.js'));
+
+const { StateDerivation } = EOStateDerivation;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: ${substring}`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const FINANCE = 'finance_reconciliation';
+const COMPLIANCE = 'compliance';
+
+/**
+ * One invoice recorded as Given, read two ways:
+ *   given       amount=100
+ *   finance     amount=95, superseded by amount=90
+ *   compliance  status=flagged
+ */
+function createInterpretedLog() {
+    const log = new EventLog();
+    const events = {};
+
+    const given = (name, payload) => {
+        events[name] = log.append({
+            type: 'given',
+            actor: 'clerk',
+            parents: log.getHeads(),
+            context: { workspace: 'default' },
+            payload
+        }).event;
+    };
+    const meant = (name, actor, purpose, payload) => {
+        events[name] = log.append({
+            type: 'meant',
+            actor,
+            parents: log.getHeads(),
+            context: { workspace: 'default' },
+            frame: { purpose },
+            provenance: [events.amount.id],
+            payload
+        }).event;
+    };
+
+    given('createSet', { action: 'set:create', setId: 'set_1', name: 'Invoices', records: [{ record_id: 'inv_1', fields: {} }] });
+    given('amount', { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'amount', value: 100 });
+    meant('finance', 'accountant', FINANCE, { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'amount', value: 95 });
+    meant('compliance', 'auditor', COMPLIANCE, { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'status', value: 'flagged' });
+    events.revised = log.supersede(events.finance.id,
+        { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'amount', value: 90 },
+        'controller').event;
+
+    return { log, events };
+}
+
+function cell(state, fieldName) {
+    return state.sets.get('set_1').records.get('inv_1').fields[fieldName];
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Interpretation Frame Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Deriving Under A Frame');
+    // ------------------------------------------------------------------------
+
+    await test('Lists frames with their active interpretations', async () => {
+        const { log } = createInterpretedLog();
+
+        assertEqual(EOStateDerivation.listFrames(log).map(f => [f.purpose, f.eventCount, f.activeCount, f.actors]), [
+            [COMPLIANCE, 1, 1, ['auditor']],
+            [FINANCE, 2, 1, ['accountant', 'controller']]
+        ]);
+    });
+
+    await test('Applies only the frame\'s active Meant events over the Given data', async () => {
+        const { log } = createInterpretedLog();
+
+        const finance = EOStateDerivation.deriveInFrame(log, FINANCE);
+        assertEqual([cell(finance, 'amount'), cell(finance, 'status')], [90, undefined]);
+        assertEqual(finance._frame, FINANCE);
+
+        const compliance = EOStateDerivation.deriveInFrame(log, COMPLIANCE);
+        assertEqual([cell(compliance, 'amount'), cell(compliance, 'status')], [100, 'flagged']);
+    });
+
+    await test('Without a frame every interpretation is merged', async () => {
+        const { log } = createInterpretedLog();
+        const merged = EOStateDerivation.deriveInFrame(log, null);
+
+        assertEqual([cell(merged, 'amount'), cell(merged, 'status')], [90, 'flagged']);
+        assertEqual(merged._frame, null);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Frame Selector');
+    // ------------------------------------------------------------------------
+
+    await test('Switches the live derivation between frames', async () => {
+        const { log } = createInterpretedLog();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const notified = [];
+        derivation.subscribe((state, changes) => notified.push(changes.full), { type: 'records', setId: 'set_1' });
+
+        derivation.setFrame(COMPLIANCE);
+        assertEqual(cell(derivation.getState(), 'amount'), 100);
+        assertEqual(derivation.getFrame(), COMPLIANCE);
+
+        derivation.setFrame(null);
+        assertEqual(cell(derivation.getState(), 'amount'), 90);
+        assertEqual(notified, [true, true], 'Scoped subscribers re-render on a switch');
+    });
+
+    await test('Ignores new interpretations from other frames', async () => {
+        const { log, events } = createInterpretedLog();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        derivation.setFrame(COMPLIANCE);
+
+        log.supersede(events.revised.id,
+            { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'amount', value: 85 },
+            'controller');
+
+        assertEqual(cell(derivation.getState(), 'amount'), 100);
+        assertTrue(derivation.isInSync(), 'Still in sync');
+    });
+
+    await test('A live supersession in the frame matches a full replay', async () => {
+        const { log, events } = createInterpretedLog();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        derivation.setFrame(COMPLIANCE);
+
+        log.supersede(events.compliance.id,
+            { action: 'cell:edit', setId: 'set_1', recordId: 'inv_1', fieldName: 'risk', value: 'low' },
+            'auditor');
+
+        const replayed = EOStateDerivation.deriveInFrame(log, COMPLIANCE);
+        assertEqual([cell(derivation.getState(), 'status'), cell(derivation.getState(), 'risk')], [undefined, 'low']);
+        assertEqual(derivation.getState().sets.get('set_1').records.get('inv_1').fields,
+            replayed.sets.get('set_1').records.get('inv_1').fields);
+        assertTrue(derivation.isInSync(), 'Still in sync');
+    });
+
+    await test('Does not snapshot state derived under a frame', async () => {
+        const { log } = createInterpretedLog();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        derivation.setFrame(FINANCE);
+
+        let error = null;
+        try {
+            await new SnapshotManager(log).attach(derivation).createSnapshot();
+        } catch (e) {
+            error = e.message;
+        }
+        assertEqual(error, 'State derivation is under an interpretation frame');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Comparing Frames');
+    // ------------------------------------------------------------------------
+
+    await test('Lists cells read differently with the Meant events behind them', async () => {
+        const { log, events } = createInterpretedLog();
+
+        const comparison = EOStateDerivation.compareFrames(log, FINANCE, COMPLIANCE);
+
+        assertEqual(comparison.events, [events.compliance.id, events.revised.id]);
+        assertEqual(comparison.cells.map(c => [c.fieldName, c.left, c.right, c.events]), [
+            ['amount', 90, 100, [events.revised.id]],
+            ['status', null, 'flagged', [events.compliance.id]]
+        ]);
+    });
+
+    await test('A frame compared with itself has no differences', async () => {
+        const { log } = createInterpretedLog();
+        const comparison = EOStateDerivation.compareFrames(log, FINANCE, FINANCE);
+
+        assertEqual([comparison.events, comparison.cells, comparison.records], [[], [], []]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Rendering');
+    // ------------------------------------------------------------------------
+
+    await test('Renders the selector with the current frame', async () => {
+        const { log } = createInterpretedLog();
+        const html = EOFrameUI.renderFrameSelector(EOStateDerivation.listFrames(log), FINANCE);
+
+        assertContains(html, `value="${FINANCE}" selected`);
+        assertContains(html, 'Finance Reconciliation (1)');
+        assertContains(html, 'All interpretations');
+    });
+
+    await test('Renders frames side by side with differing cells marked', async () => {
+        const { log, events } = createInterpretedLog();
+        const comparison = EOStateDerivation.compareFrames(log, FINANCE, COMPLIANCE);
+
+        const html = EOFrameUI.renderSideBySide(
+            EOStateDerivation.deriveInFrame(log, FINANCE),
+            EOStateDerivation.deriveInFrame(log, COMPLIANCE),
+            comparison,
+            { setId: 'set_1' }
+        );
+        assertContains(html, 'Finance Reconciliation');
+        assertContains(html, 'Compliance');
+        assertEqual(html.split('data-frame-differs="true"').length - 1, 3, 'amount on both sides, status on one');
+
+        const differences = EOFrameUI.renderDifferences(comparison);
+        assertContains(differences, '2 cells read differently');
+        assertContains(differences, `data-event-id="${events.revised.id}"`);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,309 @@
+/**
+ * Persistence Tests
+ * Tests for the file backend and headless persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+const EOPersistence = require(path.join(__dirname, '../eo_persistence.js'));
+
+const { FileBackend, Persistence } = EOPersistence;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-persistence-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function createLog(count) {
+    const log = new EventLog();
+    for (let i = 0; i < count; i++) {
+        log.append({
+            type: 'given',
+            actor: 'user_1',
+            parents: log.getHeads(),
+            context: { workspace: 'default' },
+            payload: { action: 'record:create', setId: 'set_1', record: { record_id: `rec_${i}` } }
+        });
+    }
+    return log;
+}
+
+function segmentFiles(dir) {
+    return fs.readdirSync(path.join(dir, 'segments')).sort();
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Persistence Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. File Backend');
+    // ------------------------------------------------------------------------
+
+    await test('Appends events and reads them back after reopening', async () => {
+        const dir = tempDir();
+        const events = createLog(5).getAll();
+
+        const backend = new FileBackend(dir);
+        assertTrue(await backend.isAvailable(), 'Backend should be available');
+        for (const event of events) {
+            assertTrue(await backend.appendEvent(event), 'Append should succeed');
+        }
+
+        const reopened = new FileBackend(dir);
+        assertEqual((await reopened.getAllEvents()).map(e => e.id), events.map(e => e.id));
+        assertEqual(await reopened.getEventCount(), 5);
+    });
+
+    await test('Ignores events it already has', async () => {
+        const dir = tempDir();
+        const events = createLog(3).getAll();
+
+        const backend = new FileBackend(dir);
+        await backend.appendEvents(events);
+        await new FileBackend(dir).appendEvents([events[1], events[1], events[2]]);
+
+        assertEqual(await new FileBackend(dir).getEventCount(), 3);
+    });
+
+    await test('Rolls segments and skips old ones in getEventsSince', async () => {
+        const dir = tempDir();
+        const events = createLog(20).getAll();
+
+        const backend = new FileBackend(dir, { segmentSize: 2048 });
+        await backend.appendEvents(events);
+
+        const segments = segmentFiles(dir);
+        assertTrue(segments.length > 2, `Expected several segments, got ${segments.length}`);
+
+        // Only the newest segment should be read
+        const read = [];
+        const readSegment = backend._readSegment.bind(backend);
+        backend._readSegment = (file) => {
+            read.push(file);
+            return readSegment(file);
+        };
+        const since = await backend.getEventsSince(19);
+
+        assertEqual(since.map(e => e.logicalClock), [20]);
+        assertEqual(read, [segments[segments.length - 1]]);
+    });
+
+    await test('Truncates a torn final line left by a crash', async () => {
+        const dir = tempDir();
+        const events = createLog(4).getAll();
+
+        await new FileBackend(dir).appendEvents(events.slice(0, 3));
+        const segment = path.join(dir, 'segments', segmentFiles(dir)[0]);
+        fs.appendFileSync(segment, JSON.stringify(events[3]).slice(0, 40));
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const reopened = new FileBackend(dir);
+        try {
+            assertEqual(await reopened.getEventCount(), 3);
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        // The lost event can be appended again
+        await reopened.appendEvent(events[3]);
+        assertEqual((await new FileBackend(dir).getAllEvents()).length, 4);
+    });
+
+    await test('Rebuilds a stale index from the segments', async () => {
+        const dir = tempDir();
+        const events = createLog(6).getAll();
+
+        await new FileBackend(dir).appendEvents(events.slice(0, 2));
+        const staleIndex = fs.readFileSync(path.join(dir, 'index.json'));
+        await new FileBackend(dir).appendEvents(events.slice(2));
+
+        // Crash between segment fsync and index rename
+        fs.writeFileSync(path.join(dir, 'index.json'), staleIndex);
+
+        const reopened = new FileBackend(dir);
+        assertEqual(await reopened.getEventCount(), 6);
+        assertEqual((await reopened.getEventsSince(4)).length, 2);
+    });
+
+    await test('Refuses to open a segment with a corrupt event', async () => {
+        const dir = tempDir();
+        await new FileBackend(dir).appendEvents(createLog(2).getAll());
+        fs.appendFileSync(path.join(dir, 'segments', segmentFiles(dir)[0]), '{not json\n');
+        fs.unlinkSync(path.join(dir, 'index.json'));
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assertEqual(await new FileBackend(dir).isAvailable(), false);
+        } finally {
+            console.error = originalError;
+        }
+    });
+
+    await test('Keeps the sync queue across restarts', async () => {
+        const dir = tempDir();
+        const [a, b] = createLog(2).getAll();
+
+        const backend = new FileBackend(dir);
+        await backend.enqueueSyncEvent(a);
+        await backend.enqueueSyncEvent(b);
+        const [first] = await backend.dequeueSyncEvents(1);
+        await backend.removeSyncEvent(first.id);
+
+        const reopened = new FileBackend(dir);
+        assertEqual(await reopened.getSyncQueueSize(), 1);
+        assertEqual((await reopened.dequeueSyncEvents())[0].event.id, b.id);
+    });
+
+    await test('Stores key-value entries and snapshots', async () => {
+        const dir = tempDir();
+        const backend = new FileBackend(dir);
+
+        await backend.set('settings/theme', { dark: true });
+        await backend.putSnapshot({ id: 'snap_b', logicalClock: 9 });
+        await backend.putSnapshot({ id: 'snap_a', logicalClock: 4 });
+        await backend.deleteSnapshot('snap_b');
+
+        const reopened = new FileBackend(dir);
+        assertEqual(await reopened.get('settings/theme'), { dark: true });
+        assertEqual(await reopened.keys(), ['settings/theme']);
+        assertEqual((await reopened.getSnapshots()).map(s => s.id), ['snap_a']);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Headless Persistence');
+    // ------------------------------------------------------------------------
+
+    await test('Selects the file backend when given a directory', async () => {
+        const persistence = new Persistence({ directory: tempDir() });
+
+        assertTrue(await persistence.isAvailable(), 'Should be available');
+        assertEqual((await persistence.getStats()).backend, 'file');
+    });
+
+    await test('Persists a connected log and derives the same state after restart', async () => {
+        const dir = tempDir();
+        const log = new EventLog();
+        const persistence = new Persistence({ directory: dir });
+        await persistence.connect(log);
+
+        log.append({
+            type: 'given', actor: 'user_1', context: { workspace: 'default' },
+            payload: { action: 'set:create', setId: 'set_1', name: 'Tasks' }
+        });
+        log.append({
+            type: 'given', actor: 'user_1', parents: log.getHeads(), context: { workspace: 'default' },
+            payload: { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_1' } }
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        persistence.disconnect();
+
+        // Restart
+        const restored = new EventLog();
+        const data = await new Persistence({ directory: dir }).loadLog();
+        restored.import(data);
+
+        const state = EOStateDerivation.replay(restored);
+        assertEqual(restored.getAll().length, 2);
+        assertEqual(data.heads, log.getHeads());
+        assertTrue(state.sets.get('set_1').records.has('rec_1'), 'Record derived');
+    });
+
+    await test('Clears the log, snapshots and queue', async () => {
+        const dir = tempDir();
+        const persistence = new Persistence({ directory: dir });
+        await persistence.isAvailable();
+        const backend = persistence._fileBackend;
+
+        await backend.appendEvents(createLog(3).getAll());
+        await backend.enqueueSyncEvent({ id: 'evt' });
+        await persistence.saveSnapshot({ id: 'snap_1', logicalClock: 3 });
+        await persistence.clear();
+
+        assertEqual(await backend.getEventCount(), 0);
+        assertEqual(await backend.getSyncQueueSize(), 0);
+        assertEqual(await persistence.loadSnapshots(), []);
+        assertEqual(await persistence.loadLog(), null);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,345 @@
+/**
+ * Signing Tests
+ * Tests for event signatures, key registration and verification on receipt
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const { SyncEngine, getEngine } = require(path.join(__dirname, '../eo_sync_protocol.js'));
+const EOGuards = require(path.join(__dirname, '../eo_guards.js'));
+const EOSigning = require(path.join(__dirname, '../eo_signing.js'));
+const EOCompliance = require(path.join(__dirname, '../eo_compliance.js'));
+
+const { EventSigner, KeyRing, REFUSAL } = EOSigning;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+async function assertRejects(fn, expected, message = '') {
+    try {
+        await fn();
+    } catch (e) {
+        if (!e.message.includes(expected)) {
+            throw new Error(`${message}\nExpected error containing: ${expected}\nActual: ${e.message}`);
+        }
+        return;
+    }
+    throw new Error(`${message}\nExpected an error`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const WORKSPACE = 'default';
+
+function cellEdit(actor, parents, value) {
+    return {
+        type: 'given',
+        actor,
+        parents,
+        context: { workspace: WORKSPACE, device: 'laptop' },
+        payload: { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value }
+    };
+}
+
+/**
+ * A log holding alice's key registration and one signed edit
+ */
+async function createSignedLog() {
+    const log = new EventLog();
+    const alice = await EventSigner.generate('alice');
+
+    const registration = log.append(await alice.registrationEvent(log.getHeads())).event;
+    const edit = log.append(await alice.sign(cellEdit('alice', log.getHeads(), 'Signed'))).event;
+
+    return { log, alice, registration, edit };
+}
+
+/**
+ * Copy of a stored event as it arrives over the wire
+ */
+function received(event, changes = {}) {
+    return { ...JSON.parse(JSON.stringify(event)), ...changes };
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Signing Tests');
+    console.log('========================================\n');
+
+    EOGuards.setMode('silent');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Signatures');
+    // ------------------------------------------------------------------------
+
+    await test('Signs events as the log stores them', async () => {
+        const { log, alice, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+
+        assertEqual(edit.signature.keyId, alice.keyId);
+        assertEqual(await keyRing.verify(received(edit)), { valid: true, reason: null });
+    });
+
+    await test('Detects a tampered payload', async () => {
+        const { log, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+
+        const tampered = received(edit, { payload: { ...edit.payload, value: 'Forged' } });
+        assertEqual(await keyRing.verify(tampered), { valid: false, reason: REFUSAL.INVALID });
+    });
+
+    await test('Detects an event claiming another actor', async () => {
+        const { log, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+
+        assertEqual(
+            await keyRing.verify(received(edit, { actor: 'bob' })),
+            { valid: false, reason: REFUSAL.WRONG_ACTOR }
+        );
+    });
+
+    await test('Refuses to sign as a different actor', async () => {
+        const alice = await EventSigner.generate('alice');
+        await assertRejects(() => alice.sign(cellEdit('bob', [], 'x')), 'RULE_2');
+    });
+
+    await test('Requires signatures except on sync bookkeeping events', async () => {
+        const keyRing = new KeyRing();
+        const unsigned = { ...cellEdit('bob', [], 'x'), id: 'evt_1' };
+        const syncRecord = { ...unsigned, actor: 'system', payload: { action: 'sync:success' } };
+
+        assertEqual(await keyRing.verify(unsigned), { valid: false, reason: REFUSAL.UNSIGNED });
+        assertEqual((await keyRing.verify(syncRecord)).valid, true);
+        assertEqual((await keyRing.verify(unsigned, { requireSignature: false })).valid, true);
+    });
+
+    await test('Does not exempt user actions claimed by system', async () => {
+        const keyRing = new KeyRing();
+        const edit = { ...cellEdit('system', [], 999), id: 'evt_1' };
+
+        assertEqual(await keyRing.verify(edit), { valid: false, reason: REFUSAL.UNSIGNED });
+    });
+
+    await test('Does not exempt sync records claimed by a user', async () => {
+        const keyRing = new KeyRing();
+        const forged = { ...cellEdit('alice', [], 'x'), id: 'evt_1', payload: { action: 'sync:failure', remoteId: 'node_b' } };
+
+        assertEqual(await keyRing.verify(forged), { valid: false, reason: REFUSAL.UNSIGNED });
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Key Registration');
+    // ------------------------------------------------------------------------
+
+    await test('Learns a first key from its self-signed registration', async () => {
+        const { registration, edit, alice } = await createSignedLog();
+        const keyRing = new KeyRing();
+
+        const { verified, refused } = await keyRing.verifyAll([received(registration), received(edit)]);
+
+        assertEqual(verified.map(e => e.id), [registration.id, edit.id]);
+        assertEqual(refused, []);
+        assertEqual(keyRing.getKeyIds('alice'), [alice.keyId]);
+    });
+
+    await test('Only an existing key can add another for the same actor', async () => {
+        const { log, alice } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+
+        const mallory = await EventSigner.generate('alice');
+        const selfSigned = await mallory.registrationEvent(log.getHeads());
+        const rotated = await mallory.registrationEvent(log.getHeads(), {}, alice);
+
+        const result = await keyRing.verifyAll([received(selfSigned), received(rotated)]);
+
+        assertEqual(result.refused.map(r => r.reason), [REFUSAL.UNKNOWN_KEY]);
+        assertEqual(keyRing.getKeyIds('alice').sort(), [alice.keyId, mallory.keyId].sort());
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Verification on Receipt');
+    // ------------------------------------------------------------------------
+
+    await test('REFUSEs unverifiable events and accepts the rest', async () => {
+        const { registration, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        const engine = new SyncEngine(new EventLog(), { nodeId: 'node_b', workspace: WORKSPACE, keyRing });
+
+        const forged = received(edit, { id: 'evt_forged', payload: { ...edit.payload, value: 'Forged' } });
+        const reply = await engine.handleMessage({
+            type: 'send',
+            events: [received(registration), received(edit), forged]
+        }, 'node_a');
+
+        assertEqual(reply.type, 'refuse');
+        assertEqual(reply.ids, ['evt_forged']);
+        assertEqual(reply.reason, REFUSAL.INVALID);
+        assertEqual(reply.accepted, [registration.id, edit.id]);
+        assertTrue(!engine._eventLog.get('evt_forged'), 'Forged event not appended');
+    });
+
+    await test('Refuses unsigned user events when signatures are required', async () => {
+        const engine = new SyncEngine(new EventLog(), { nodeId: 'node_b', workspace: WORKSPACE, keyRing: new KeyRing() });
+        const source = new EventLog();
+        const unsigned = source.append(cellEdit('bob', [], 'Unsigned')).event;
+
+        const reply = await engine.handleMessage({ type: 'send', events: [received(unsigned)] }, 'node_a');
+
+        assertEqual(reply.refused, [{ id: unsigned.id, reason: REFUSAL.UNSIGNED }]);
+    });
+
+    await test('Reports refused events to the sender during sync', async () => {
+        const { log, edit } = await createSignedLog();
+        const forgedLog = new EventLog();
+        log.getAll().forEach(e => forgedLog.append(received(e)));
+        const forged = forgedLog.append(received(edit, {
+            id: 'evt_forged',
+            parents: forgedLog.getHeads(),
+            payload: { ...edit.payload, value: 'Forged' }
+        })).event;
+
+        const receiver = new SyncEngine(new EventLog(), { nodeId: 'node_b', workspace: WORKSPACE, keyRing: new KeyRing() });
+        const errors = [];
+        const sender = new SyncEngine(forgedLog, {
+            nodeId: 'node_a',
+            workspace: WORKSPACE,
+            onError: (error) => errors.push(error)
+        });
+
+        await sender.syncWith({ send: (message) => receiver.handleMessage(message, 'node_a') }, 'node_b');
+
+        assertEqual(receiver._eventLog.getAll().filter(e => e.actor === 'alice').length, 2);
+        assertEqual(errors.map(e => [e.type, e.refused.map(r => r.id)]), [['events_refused', [forged.id]]]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Guards');
+    // ------------------------------------------------------------------------
+
+    await test('Flags a stripped signature or a key of another actor', async () => {
+        const { log, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+        EOGuards.clearViolations();
+
+        assertTrue(EOGuards.guardIdentityPreservation(edit, received(edit), 'sync', keyRing), 'Unchanged event passes');
+        assertEqual(EOGuards.guardIdentityPreservation(edit, received(edit, { signature: null })), false);
+
+        const bob = await EventSigner.generate('bob');
+        await keyRing.register('bob', bob.publicKey);
+        const claimed = received(edit, { signature: { ...edit.signature, keyId: bob.keyId } });
+        assertEqual(EOGuards.guardIdentityPreservation(claimed, claimed, 'sync', keyRing), false);
+
+        assertEqual(EOGuards.getViolations().map(v => v.rule), ['RULE_2', 'RULE_2']);
+    });
+
+    await test('Verifies signatures through the async guard', async () => {
+        const { log, edit } = await createSignedLog();
+        const keyRing = new KeyRing();
+        await keyRing.loadFromLog(log);
+
+        assertEqual(await EOGuards.guardEventSignature(received(edit), keyRing), true);
+        assertEqual(await EOGuards.guardEventSignature(received(edit, { timestamp: '2000-01-01T00:00:00.000Z' }), keyRing), false);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Integration Bridge');
+    // ------------------------------------------------------------------------
+
+    await test('Bridges sign what they dispatch for a peer requiring signatures', async () => {
+        const alice = await EventSigner.generate('alice');
+        const laptop = await new EOCompliance.IntegrationBridge().init({ nodeId: 'laptop', requireSignatures: true, signers: [alice] });
+        const laptopEngine = getEngine();
+        const phone = await new EOCompliance.IntegrationBridge().init({ nodeId: 'phone', requireSignatures: true });
+        const phoneEngine = getEngine();
+
+        const { event } = await laptop.dispatch({ action: 'set:create', setId: 'set_1', name: 'Claims', records: [] }, 'alice');
+        assertEqual(event.signature.keyId, alice.keyId);
+
+        await laptopEngine.syncWith({
+            send: (message) => phoneEngine.handleMessage(JSON.parse(JSON.stringify(message)), 'laptop')
+        }, 'phone');
+
+        assertEqual(phone.getEventLog().getAll().filter(e => e.payload.action === 'sync:refused'), []);
+        assertEqual(phone.getEventLog().getAll().filter(e => e.actor === 'alice').map(e => e.payload.action),
+            ['key:register', 'set:create']);
+        assertTrue(phone.getEventLog().get(event.id), 'Signed dispatch accepted');
+    });
+
+    await test('A bridge requiring signatures refuses to dispatch for an actor without a key', async () => {
+        const bridge = await new EOCompliance.IntegrationBridge().init({ nodeId: 'laptop', requireSignatures: true });
+        const count = bridge.getEventLog().getAll().length;
+
+        await assertRejects(
+            () => bridge.dispatch({ action: 'set:create', setId: 'set_1', name: 'Claims', records: [] }, 'bob'),
+            'RULE_2'
+        );
+        assertEqual(bridge.getEventLog().getAll().length, count);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
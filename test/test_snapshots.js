@@ -0,0 +1,504 @@
+/**
+ * Snapshot Tests
+ * Tests for derived state snapshots and hydration
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+require(path.join(__dirname, '../eo_audit_chain.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+const EOSnapshots = require(path.join(__dirname, '../eo_snapshots.js'));
+const EOPersistence = require(path.join(__dirname, '../eo_persistence.js'));
+const { ComplianceChecker, IntegrationBridge } = require(path.join(__dirname, '../eo_compliance.js'));
+
+const { StateDerivation } = EOStateDerivation;
+const { SnapshotManager, encodeState, decodeState, hashState } = EOSnapshots;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Persistence stand-in keeping snapshots in memory
+ */
+function createMemoryStore() {
+    const snapshots = new Map();
+    return {
+        snapshots,
+        async saveSnapshot(snapshot) {
+            snapshots.set(snapshot.id, JSON.parse(JSON.stringify(snapshot)));
+            return true;
+        },
+        async loadSnapshots() {
+            return Array.from(snapshots.values()).sort((a, b) => a.logicalClock - b.logicalClock);
+        },
+        async deleteSnapshot(id) {
+            return snapshots.delete(id);
+        }
+    };
+}
+
+function append(log, payload) {
+    return log.append({
+        type: 'given',
+        actor: 'user_1',
+        parents: log.getHeads(),
+        context: { workspace: 'default' },
+        payload
+    }).event;
+}
+
+function seedLog(log, records = 5) {
+    append(log, { action: 'set:create', setId: 'set_1', name: 'Tasks' });
+    for (let i = 0; i < records; i++) {
+        append(log, { action: 'record:create', setId: 'set_1', record: { record_id: `rec_${i}` } });
+        append(log, { action: 'cell:edit', setId: 'set_1', recordId: `rec_${i}`, fieldName: 'title', value: `Task ${i}` });
+    }
+}
+
+function replayHash(log) {
+    return hashState(encodeState(EOStateDerivation.replay(log)));
+}
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-snapshots-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Snapshot Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. State Encoding');
+    // ------------------------------------------------------------------------
+
+    await test('Round-trips Maps and Sets', async () => {
+        const state = {
+            sets: new Map([['a', { records: new Map([['r', { x: 1 }]]) }]]),
+            selected: new Set(['r1', 'r2'])
+        };
+
+        const decoded = decodeState(JSON.parse(JSON.stringify(encodeState(state))));
+
+        assertTrue(decoded.sets instanceof Map, 'sets should be a Map');
+        assertTrue(decoded.sets.get('a').records instanceof Map, 'nested Map');
+        assertEqual(decoded.sets.get('a').records.get('r'), { x: 1 });
+        assertTrue(decoded.selected.has('r2'), 'Set restored');
+    });
+
+    await test('Hash ignores insertion order and derivation time', async () => {
+        const a = { items: new Map([['x', 1], ['y', 2]]), _derivedAt: '2024-01-01' };
+        const b = { _derivedAt: '2025-06-01', items: new Map([['y', 2], ['x', 1]]) };
+
+        assertEqual(hashState(encodeState(a)), hashState(encodeState(b)));
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Creating & Verifying');
+    // ------------------------------------------------------------------------
+
+    await test('Keys snapshots by heads and content hash', async () => {
+        const log = new EventLog();
+        seedLog(log);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+
+        const manager = new SnapshotManager(log, { persistence: createMemoryStore() }).attach(derivation);
+        const snapshot = await manager.createSnapshot();
+
+        assertEqual(snapshot.heads, log.getHeads());
+        assertEqual(snapshot.logicalClock, log.getClock());
+        assertEqual(snapshot.id, EOSnapshots.snapshotId(snapshot.heads, snapshot.stateHash));
+        assertEqual(snapshot.stateHash, replayHash(log));
+        assertEqual(manager.verify(snapshot), { valid: true, reason: null });
+    });
+
+    await test('Leaves the log untouched', async () => {
+        const log = new EventLog();
+        seedLog(log);
+        const before = JSON.stringify(log.getAll());
+        const derivation = new StateDerivation();
+        derivation.init(log);
+
+        await new SnapshotManager(log).attach(derivation).createSnapshot();
+
+        assertEqual(JSON.stringify(log.getAll()), before);
+    });
+
+    await test('Refuses to snapshot a derivation that is behind the log', async () => {
+        const log = new EventLog();
+        seedLog(log);
+        const derivation = new StateDerivation();
+        derivation.deriveFromLog(log);
+        derivation._eventLog = log;
+        append(log, { action: 'set:create', setId: 'set_2', name: 'Later' });
+
+        let error = null;
+        try {
+            await new SnapshotManager(log).attach(derivation).createSnapshot();
+        } catch (e) {
+            error = e.message;
+        }
+        assertEqual(error, 'State derivation is behind the log');
+    });
+
+    await test('Skips tampered snapshots and falls back to an older one', async () => {
+        const log = new EventLog();
+        const store = createMemoryStore();
+        seedLog(log, 2);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log, { persistence: store }).attach(derivation);
+
+        const older = await manager.createSnapshot();
+        append(log, { action: 'set:create', setId: 'set_2', name: 'Later' });
+        const newer = await manager.createSnapshot();
+
+        store.snapshots.get(newer.id).state.currentSetId = 'forged';
+
+        const fresh = new SnapshotManager(log, { persistence: store });
+        const loaded = await fresh.loadLatestValid();
+
+        assertEqual(fresh.verify(store.snapshots.get(newer.id)).reason, 'state_hash_mismatch');
+        assertEqual(loaded.id, older.id);
+    });
+
+    await test('Rejects snapshots from another log', async () => {
+        const log = new EventLog();
+        seedLog(log, 2);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const snapshot = await new SnapshotManager(log).attach(derivation).createSnapshot();
+
+        // Ids are content-addressed, so the other log needs another author
+        const otherLog = new EventLog();
+        otherLog.append({
+            type: 'given',
+            actor: 'user_2',
+            context: { workspace: 'default' },
+            payload: { action: 'set:create', setId: 'set_other', name: 'Other' }
+        });
+        seedLog(otherLog, 3);
+
+        assertEqual(new SnapshotManager(otherLog).verify(snapshot).reason, 'heads_not_in_log');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Hydration');
+    // ------------------------------------------------------------------------
+
+    await test('Hydrates and replays only events after the snapshot', async () => {
+        const log = new EventLog();
+        const store = createMemoryStore();
+        seedLog(log, 10);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        await new SnapshotManager(log, { persistence: store }).attach(derivation).createSnapshot();
+
+        append(log, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_3', fieldName: 'title', value: 'Renamed' });
+        append(log, { action: 'set:create', setId: 'set_2', name: 'Later' });
+
+        // Simulated restart
+        const manager = new SnapshotManager(log, { persistence: store });
+        const snapshot = manager.restore(await manager.loadLatestValid());
+        const hydrated = EOStateDerivation.init(log, { snapshot });
+
+        const stats = hydrated.getStats();
+        assertEqual(stats.hydratedFrom.replayed, 2);
+        assertEqual(stats.hydratedFrom.fullRebuild, false);
+        assertTrue(hydrated.isInSync(), 'Should be in sync');
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(log));
+        assertEqual(hydrated.getState().sets.get('set_1').records.get('rec_3').fields.title, 'Renamed');
+    });
+
+    await test('Keeps applying new events after hydrating', async () => {
+        const log = new EventLog();
+        seedLog(log, 2);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+        const snapshot = await manager.createSnapshot();
+
+        const hydrated = new StateDerivation();
+        hydrated.hydrate(log, manager.restore(snapshot).state, snapshot.logicalClock);
+        append(log, { action: 'set:create', setId: 'set_2', name: 'Later' });
+
+        assertTrue(hydrated.getState().sets.has('set_2'), 'New set applied');
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(log));
+    });
+
+    await test('Falls back to a full rebuild when a snapshotted event is tombstoned', async () => {
+        const log = new EventLog();
+        seedLog(log, 2);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+        const snapshot = await manager.createSnapshot();
+
+        const edit = log.getAll().find(e => e.payload.action === 'cell:edit');
+        log.tombstone(edit.id, 'user_1', 'entered by mistake', { workspace: 'default' });
+
+        const hydrated = new StateDerivation();
+        hydrated.hydrate(log, manager.restore(snapshot).state, snapshot.logicalClock);
+
+        assertEqual(hydrated.getStats().hydratedFrom.fullRebuild, true);
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(log));
+    });
+
+    await test('Hydrates a log holding only the tail and takes its history in later', async () => {
+        const log = new EventLog();
+        seedLog(log, 3);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+        const snapshot = await manager.createSnapshot();
+        append(log, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Renamed' });
+        append(log, { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_9' } });
+
+        const events = log.export().events;
+        const tail = new EventLog();
+        tail.import({
+            version: 1,
+            events: events.filter(e => e.logicalClock > snapshot.logicalClock),
+            since: snapshot.logicalClock,
+            baseHeads: snapshot.heads
+        });
+        assertTrue(tail.isPartial(), 'Only the tail is loaded');
+        assertEqual(tail.getHeads(), log.getHeads());
+
+        const hydrated = new StateDerivation();
+        hydrated.hydrate(tail, manager.restore(snapshot).state, snapshot.logicalClock);
+        assertEqual(hydrated.getStats().hydratedFrom.fullRebuild, false);
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(log));
+
+        // Appends to the tail; history arriving later is not re-announced
+        append(tail, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_9', fieldName: 'title', value: 'Late' });
+        const result = tail.importHistory(events);
+        assertEqual(result, { success: true, eventCount: snapshot.eventCount });
+        assertTrue(!tail.isPartial(), 'Whole log loaded');
+        assertEqual(tail.getAll().length, events.length + 1);
+        assertTrue(new SnapshotManager(tail).verify(snapshot).valid, 'Snapshot heads now in the log');
+        assertTrue(hydrated.isInSync(), 'Still in sync');
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(tail));
+    });
+
+    await test('Refuses to load an audited log without its history', async () => {
+        const log = new EventLog({ auditChain: true });
+        const result = log.import({ version: 1, events: [], since: 4, baseHeads: ['evt_x'] });
+        assertEqual(result.success, false);
+        assertEqual(log.importHistory([]).error, 'The log is not partial');
+    });
+
+    await test('Takes snapshots automatically every interval events', async () => {
+        const log = new EventLog();
+        const store = createMemoryStore();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log, { persistence: store, interval: 5, keep: 2 }).attach(derivation);
+
+        // Three batches of five; a burst within one tick coalesces into one snapshot
+        for (let batch = 0; batch < 3; batch++) {
+            for (let i = 0; i < 5; i++) {
+                append(log, { action: 'set:create', setId: `set_${batch}_${i}`, name: 'Set' });
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        assertEqual(store.snapshots.size, 2, 'Older snapshots pruned');
+        assertEqual(manager.getLatest().logicalClock, 15);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Startup');
+    // ------------------------------------------------------------------------
+
+    await test('The bridge reads only the events after the latest snapshot before deriving state', async () => {
+        const directory = tempDir();
+        const options = { persistenceBackend: 'file', persistenceDirectory: directory, snapshotInterval: 5 };
+        const first = await new IntegrationBridge().init(options);
+        const createRecord = (i) => first.dispatch({ action: 'record:create', setId: 'set_1', record: { record_id: `rec_${i}` } }, 'user_1');
+        await first.dispatch({ action: 'set:create', setId: 'set_1', name: 'Tasks' }, 'user_1');
+        for (let i = 0; i < 4; i++) await createRecord(i);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await createRecord(4);
+        await createRecord(5);
+
+        // Hold the history read back until the tail-only state is checked
+        // (for a bounded time, in case init itself waits for it)
+        let releaseHistory;
+        const historyHeld = new Promise(resolve => { releaseHistory = resolve; });
+        const timer = setTimeout(releaseHistory, 500);
+        const reads = [];
+        const { getAllEvents, getEventsSince } = EOPersistence.FileBackend.prototype;
+        EOPersistence.FileBackend.prototype.getAllEvents = async function () {
+            reads.push('all');
+            await historyHeld;
+            return getAllEvents.call(this);
+        };
+        EOPersistence.FileBackend.prototype.getEventsSince = function (clock) {
+            reads.push(`since ${clock}`);
+            return getEventsSince.call(this, clock);
+        };
+
+        try {
+            const second = await new IntegrationBridge().init(options);
+            assertEqual(reads, ['since 5', 'all'], 'History read held back');
+            assertTrue(second.getEventLog().isPartial(), 'History still loading');
+            assertEqual(second.getEventLog().getAll().length, 2);
+            assertEqual(hashState(encodeState(second.getState())), replayHash(first.getEventLog()));
+            assertEqual(second.getStatus().initialized, false, 'Services wait for the history');
+
+            releaseHistory();
+            await second.whenReady();
+            assertEqual(second.getEventLog().getAll().length, 7);
+            assertTrue(second.getStatus().initialized, 'Initialized once the history is in');
+            assertEqual(hashState(encodeState(second.getState())), replayHash(second.getEventLog()));
+        } finally {
+            clearTimeout(timer);
+            Object.assign(EOPersistence.FileBackend.prototype, { getAllEvents, getEventsSince });
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Compliance');
+    // ------------------------------------------------------------------------
+
+    await test('Verifies a snapshot against a full replay', async () => {
+        const log = new EventLog();
+        seedLog(log, 3);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+        const snapshot = await manager.createSnapshot();
+
+        // Later events do not affect the verification
+        append(log, { action: 'set:create', setId: 'set_2', name: 'Later' });
+
+        const checker = new ComplianceChecker(log, derivation, manager);
+        assertEqual(checker.verifySnapshot(snapshot).matches, true);
+        assertEqual(checker.checkRule5().status, 'pass');
+    });
+
+    await test('Reports a snapshot that differs from replay', async () => {
+        const log = new EventLog();
+        seedLog(log, 3);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+
+        // A view that drifted from the log (e.g. mutated in place)
+        // sync-lint-disable-next-line AXIOM_0 -- the drift under test
+        derivation.getState().sets.get('set_1').name = 'Drifted';
+        await manager.createSnapshot();
+
+        const checker = new ComplianceChecker(log, derivation, manager);
+        const result = checker.checkRule5();
+
+        assertEqual(result.status, 'fail');
+        assertEqual(checker.verifySnapshot(manager.getLatest()).reason, 'replay_mismatch');
+    });
+
+    await test('A concurrent edit that arrives late keeps live state and snapshots equal to replay', async () => {
+        const log = new EventLog();
+        seedLog(log, 1);
+        const derivation = new StateDerivation();
+        derivation.init(log);
+        const manager = new SnapshotManager(log).attach(derivation);
+
+        // Both edit the title from the same point; replay puts bob's lower id first
+        const base = log.getHeads();
+        const edit = (id, actor, value) => log.append({
+            id, type: 'given', actor, parents: base, context: { workspace: 'default' },
+            payload: { action: 'cell:edit', setId: 'set_1', recordId: 'rec_0', fieldName: 'title', value }
+        });
+        edit('evt_z_alice', 'alice', 'Alice title');
+        const before = await manager.createSnapshot();
+        edit('evt_a_bob', 'bob', 'Bob title');
+
+        assertTrue(derivation.isInSync(), 'In sync');
+        assertEqual(hashState(encodeState(derivation.getState())), replayHash(log), 'Live state matches replay');
+
+        const after = await manager.createSnapshot();
+        const checker = new ComplianceChecker(log, derivation, manager);
+        assertEqual(checker.verifySnapshot(after).matches, true);
+
+        const hydrated = new StateDerivation();
+        hydrated.hydrate(log, decodeState(before.state), before.logicalClock);
+        assertEqual(hashState(encodeState(hydrated.getState())), replayHash(log), 'Hydrated state matches replay');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,461 @@
+/**
+ * Structural Event Tests
+ * Tests that structural operations and view management mutations reach the
+ * event log and that the derived state follows them
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+const EOCompliance = require(path.join(__dirname, '../eo_compliance.js'));
+const EOViewManagement = require(path.join(__dirname, '../eo_view_management.js'));
+const Structural = require(path.join(__dirname, '../eo_structural_operations.js'));
+
+// The workbench UI calls structural operations as the browser's script globals
+Object.assign(global, Structural);
+const WorkbenchUI = require(path.join(__dirname, '../eo_workbench_ui.js'));
+
+// Every action must have a handler - the derivation reports the rest here
+const unhandled = [];
+console.debug = (message) => unhandled.push(message);
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+async function assertRejects(fn, expected, message = '') {
+    try {
+        await fn();
+    } catch (e) {
+        if (!e.message.includes(expected)) {
+            throw new Error(`${message}\nExpected error containing: ${expected}\nActual: ${e.message}`);
+        }
+        return;
+    }
+    throw new Error(`${message}\nExpected an error`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const SCHEMA = [
+    { id: 'fld_name', name: 'Name', type: 'text' },
+    { id: 'fld_email', name: 'Email', type: 'text' },
+    { id: 'fld_phone', name: 'Phone', type: 'text' }
+];
+
+const RECORDS = [
+    { id: 'rec_1', fld_name: 'Ada Lovelace', fld_email: 'ada@example.com' },
+    { id: 'rec_2', fld_name: 'Ada Lovelace', fld_phone: '555-0100' },
+    { id: 'rec_3', fld_name: 'Charles Babbage', fld_email: 'cb@example.com' }
+];
+
+/**
+ * A running bridge holding the set, with user_1 as the current user, plus
+ * a grid view created through EOViewManagement
+ */
+async function createWorkspace(options = {}) {
+    const bridge = await EOCompliance.initBridge();
+    await bridge.dispatch({
+        action: 'set:create',
+        setId: 'set_1',
+        name: 'Contacts',
+        schema: { fields: SCHEMA.map(f => ({ ...f })) },
+        records: RECORDS.map(r => toDerivedRecord(r))
+    }, 'tester');
+    if (options.user !== false) {
+        await bridge.dispatch({ action: 'user:set', userId: 'user_1', userName: 'User' }, 'user_1');
+    }
+
+    const state = bridge.getState();
+    if (options.user === false) {
+        return { bridge, log: bridge.getEventLog(), state };
+    }
+
+    const view = await EOViewManagement.createView(state, {
+        setId: 'set_1',
+        name: 'All contacts',
+        visibleFieldIds: ['fld_name', 'fld_email'],
+        hiddenFields: ['fld_phone']
+    });
+
+    return { bridge, log: bridge.getEventLog(), state, view };
+}
+
+function toDerivedRecord(record) {
+    const { id, ...fields } = record;
+    return { record_id: id, fields };
+}
+
+function derivedRecord(bridge, recordId) {
+    return bridge.getState().sets.get('set_1').records.get(recordId);
+}
+
+function lastAction(log) {
+    const events = log.getAll();
+    return events[events.length - 1].payload;
+}
+
+/**
+ * Views the workbench asks the legacy UI to re-render, as [setId, viewId]
+ */
+function captureSwitches() {
+    const switched = [];
+    global.window = { switchSet: (setId, viewId) => switched.push([setId, viewId]) };
+    return switched;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Structural Event Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Structural Operations');
+    // ------------------------------------------------------------------------
+
+    await test('Refuses to run before the bridge is initialized', async () => {
+        const state = { user: { id: 'user_1' }, sets: new Map(), views: new Map() };
+
+        await assertRejects(() => Structural.createOperation(state, { kind: 'dedupe' }), 'integration bridge is required');
+        await assertRejects(() => EOViewManagement.createView(state, { setId: 'set_1' }), 'integration bridge is required');
+    });
+
+    await test('Refuses to run without an actor, and appends nothing', async () => {
+        const { log, state } = await createWorkspace({ user: false });
+        const count = log.getAll().length;
+
+        await assertRejects(() => Structural.mergeRecords(state, 'set_1', ['rec_1', 'rec_2'],
+            (fieldId, candidates) => candidates[0]), 'RULE_1');
+        await assertRejects(() => EOViewManagement.createView(state, { setId: 'set_1' }), 'RULE_1');
+
+        assertEqual(log.getAll().length, count);
+        assertEqual(state.sets.get('set_1').records.size, 3);
+    });
+
+    await test('Merging records derives the merged record and supersedes inputs', async () => {
+        const { bridge, log, state } = await createWorkspace();
+
+        const merged = await Structural.mergeRecords(state, 'set_1', ['rec_1', 'rec_2'],
+            (fieldId, candidates) => candidates[0]);
+
+        assertEqual(lastAction(log).action, 'record:merge');
+        const record = derivedRecord(bridge, merged.record_id);
+        assertTrue(record === merged, 'Returns the derived record');
+        assertEqual(record.fields, {
+            fld_name: 'Ada Lovelace',
+            fld_email: 'ada@example.com',
+            fld_phone: '555-0100'
+        });
+        assertEqual(record._mergedFrom, ['rec_1', 'rec_2']);
+        assertEqual(derivedRecord(bridge, 'rec_1')._supersededBy, merged.record_id);
+        assertEqual(derivedRecord(bridge, 'rec_2')._supersededBy, merged.record_id);
+        assertTrue(EOStateDerivation.get().isInSync(), 'Derivation in sync');
+    });
+
+    await test('A merge operation is derived with its outputs and result view', async () => {
+        const { bridge, state } = await createWorkspace();
+
+        const result = await Structural.executeMergeOperation(state, 'set_1', ['rec_1', 'rec_2'], { _default: 'longest' });
+
+        const operation = bridge.getState().structuralOperations.get(result.operation.id);
+        assertEqual(operation.kind, 'merge_records');
+        assertEqual(operation.status, 'applied');
+        assertEqual(operation.createdBy, 'user_1');
+        assertEqual(operation.outputRecordIds, [result.newRecord.record_id]);
+        assertEqual(operation.resultViewId, result.resultView.viewId);
+        assertEqual(result.operation, operation);
+        assertEqual(bridge.getState().views.get(result.resultView.viewId).config.provenance.derivedFromOperationIds,
+            [result.operation.id]);
+    });
+
+    await test('Splitting a record derives outputs that inherit the original', async () => {
+        const { bridge, state } = await createWorkspace();
+
+        const outputs = await Structural.splitRecord(state, 'set_1', 'rec_3', [
+            { fld_email: 'charles@example.com' },
+            { fld_email: 'babbage@example.com' }
+        ], { hideOriginal: true });
+
+        const derived = outputs.map(r => derivedRecord(bridge, r.record_id));
+        assertEqual(derived.map(r => r.fields), [
+            { fld_name: 'Charles Babbage', fld_email: 'charles@example.com' },
+            { fld_name: 'Charles Babbage', fld_email: 'babbage@example.com' }
+        ]);
+        assertEqual(derived.map(r => r._splitIndex), [0, 1]);
+
+        const original = derivedRecord(bridge, 'rec_3');
+        assertEqual(original._splitInto, outputs.map(r => r.record_id));
+        assertTrue(original._hidden, 'Original hidden');
+    });
+
+    await test('Merging fields derives the canonical field, its values and deprecations', async () => {
+        const { bridge, state, view } = await createWorkspace();
+
+        const result = await Structural.mergeFields(state, 'set_1', ['fld_email', 'fld_phone'],
+            { id: 'fld_contact', name: 'Contact', type: 'text' }, { strategy: 'concat' });
+
+        const set = bridge.getState().sets.get('set_1');
+        const fields = new Map(set.schema.fields.map(f => [f.id, f]));
+        assertEqual(fields.get('fld_contact').name, 'Contact');
+        assertEqual(fields.get('fld_email')._mergedInto, 'fld_contact');
+        assertEqual(fields.get('fld_phone')._mergedInto, 'fld_contact');
+
+        const values = ['rec_1', 'rec_2', 'rec_3'].map(id => set.records.get(id).fields.fld_contact);
+        assertEqual(values, ['ada@example.com', '555-0100', 'cb@example.com']);
+        assertEqual([result.canonicalField.name, result.recordsUpdated], ['Contact', 3]);
+
+        assertTrue(bridge.getState().views.get(view.viewId).config.visibleFieldIds.includes('fld_contact'),
+            'Canonical field shown in the set\'s views');
+    });
+
+    await test('Duplicate annotations live in the view, not the records', async () => {
+        const { bridge, log, state } = await createWorkspace();
+
+        const clusters = Structural.findDuplicateCandidates(state, 'set_1', { keyFieldIds: ['fld_name'] });
+        const view = await Structural.createDedupeCandidatesView(state, 'set_1', clusters, 'op_1');
+
+        assertEqual(log.getAll().filter(e => e.payload.action === 'record:update'), []);
+        assertEqual(derivedRecord(bridge, 'rec_1')._duplicateGroup, undefined);
+        assertEqual(view.config.duplicateGroups, [{ groupId: 'group_1', recordIds: ['rec_1', 'rec_2'], count: 2 }]);
+
+        const shown = Structural.annotateDuplicates(view, ['rec_1', 'rec_2', 'rec_3'].map(id => derivedRecord(bridge, id)));
+        assertEqual(shown.map(r => [r._duplicateGroup, r._duplicateCount]), [['group_1', 2], ['group_1', 2], [undefined, undefined]]);
+        assertTrue(shown[2] === derivedRecord(bridge, 'rec_3'), 'Records outside a group pass through');
+    });
+
+    await test('Showing a field in a set\'s views is logged per view', async () => {
+        const { log, state, view } = await createWorkspace();
+        const other = await EOViewManagement.createView(state, { setId: 'set_1', name: 'Phones', visibleFieldIds: ['fld_name'] });
+
+        await Structural.addFieldToSetViews(state, 'set_1', 'fld_phone');
+
+        const shown = log.getAll().filter(e => e.payload.action === 'view:field:show');
+        assertEqual(shown.map(e => e.payload.viewId), [view.viewId, other.viewId]);
+        assertEqual(state.views.get(other.viewId).config.visibleFieldIds, ['fld_name', 'fld_phone']);
+        assertTrue(EOViewManagement.hasUnsavedChanges(state, other.viewId), 'Marked as unsaved');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. View Management');
+    // ------------------------------------------------------------------------
+
+    await test('Deleting a view removes it from the derived state only', async () => {
+        const { bridge, log, state, view } = await createWorkspace();
+
+        await EOViewManagement.deleteView(state, view.viewId);
+
+        assertTrue(!bridge.getState().views.has(view.viewId), 'View gone from derived state');
+        assertEqual(lastAction(log), { action: 'view:delete', viewId: view.viewId, setId: 'set_1' });
+        assertTrue(log.getAll().some(e => e.payload.action === 'view:create' && e.payload.viewId === view.viewId),
+            'Creation still in the log');
+    });
+
+    await test('Cloning a view derives a copy under a new id', async () => {
+        const { bridge, log, state, view } = await createWorkspace();
+
+        const clone = await EOViewManagement.cloneView(state, view.viewId, 'Ada only');
+
+        assertTrue(clone.viewId !== view.viewId, 'New id');
+        assertTrue(state.views.get(view.viewId).name === 'All contacts', 'Original untouched');
+        assertEqual(lastAction(log), { action: 'view:clone', viewId: clone.viewId, sourceViewId: view.viewId, name: 'Ada only' });
+
+        const derived = bridge.getState().views.get(clone.viewId);
+        assertTrue(derived === clone, 'Returns the derived view');
+        assertEqual(derived.name, 'Ada only');
+        assertEqual(derived.config.visibleFieldIds, ['fld_name', 'fld_email']);
+        assertEqual(derived.config.provenance.derivedFromViewIds, [view.viewId]);
+    });
+
+    await test('Updating a view keeps the config it did not touch', async () => {
+        const { bridge, state, view } = await createWorkspace();
+
+        EOViewManagement.markViewDirty(state, view.viewId);
+        await EOViewManagement.updateView(state, view.viewId, { name: 'Everyone', sorts: [{ fieldId: 'fld_name', direction: 'asc' }] });
+
+        const derived = bridge.getState().views.get(view.viewId);
+        assertEqual(derived.name, 'Everyone');
+        assertEqual(derived.config.sorts, [{ fieldId: 'fld_name', direction: 'asc' }]);
+        assertEqual(derived.config.visibleFieldIds, ['fld_name', 'fld_email']);
+        assertTrue(!EOViewManagement.hasUnsavedChanges(state, view.viewId), 'Saved');
+    });
+
+    await test('Adding a field to a view unhides it in the derived view', async () => {
+        const { bridge, state, view } = await createWorkspace();
+
+        await EOViewManagement.addFieldToView(state, view.viewId, 'fld_phone');
+
+        const config = bridge.getState().views.get(view.viewId).config;
+        assertEqual(config.visibleFieldIds, ['fld_name', 'fld_email', 'fld_phone']);
+        assertEqual(config.hiddenFields, []);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Link And Rollup Definitions');
+    // ------------------------------------------------------------------------
+
+    await test('Defines, redefines and removes links and rollups', async () => {
+        const { bridge, state, view } = await createWorkspace();
+
+        const link = await EOViewManagement.defineLink(state, view.viewId, { fieldId: 'fld_company', targetSetId: 'set_2' });
+        await EOViewManagement.defineRollup(state, view.viewId, { id: 'rollup_1', linkId: link.id, sourceFieldId: 'fld_revenue', aggregation: 'sum' });
+        await EOViewManagement.defineRollup(state, view.viewId, { id: 'rollup_1', linkId: link.id, sourceFieldId: 'fld_revenue', aggregation: 'max' });
+
+        let config = bridge.getState().views.get(view.viewId).config;
+        assertEqual(config.relationships.map(l => [l.id, l.targetSetId]), [[link.id, 'set_2']]);
+        assertEqual(config.rollups.map(r => [r.id, r.aggregation]), [['rollup_1', 'max']]);
+        assertEqual(config.rollups[0].definedBy, 'user_1');
+
+        assertEqual(await EOViewManagement.removeRollup(state, view.viewId, 'rollup_1'), true);
+        assertEqual(await EOViewManagement.removeLink(state, view.viewId, link.id), true);
+        assertEqual(await EOViewManagement.removeLink(state, view.viewId, link.id), false);
+
+        config = bridge.getState().views.get(view.viewId).config;
+        assertEqual([config.relationships, config.rollups], [[], []]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Replay');
+    // ------------------------------------------------------------------------
+
+    await test('Replaying the log gives the incrementally derived state', async () => {
+        const { bridge, log, state, view } = await createWorkspace();
+        unhandled.length = 0;
+
+        await Structural.executeMergeOperation(state, 'set_1', ['rec_1', 'rec_2'], {});
+        await Structural.executeSplitOperation(state, 'set_1', 'rec_3', [{ fld_phone: '555-0199' }, {}]);
+        await Structural.executeMergeFieldsOperation(state, 'set_1', ['fld_email', 'fld_phone'], { id: 'fld_contact', name: 'Contact' });
+        await EOViewManagement.cloneView(state, view.viewId);
+        await EOViewManagement.defineLink(state, view.viewId, { id: 'link_1', targetSetId: 'set_2' });
+        await EOViewManagement.deleteView(state, view.viewId);
+
+        const replayed = EOStateDerivation.replay(log);
+        const live = bridge.getState();
+        const serialize = (s) => JSON.stringify({
+            sets: Array.from(s.sets.values()).map(set => ({ ...set, records: Array.from(set.records.entries()) })),
+            views: Array.from(s.views.entries()),
+            operations: Array.from(s.structuralOperations.entries())
+        });
+
+        assertEqual(serialize(replayed), serialize(live));
+        assertEqual(unhandled, [], 'Every action has a handler');
+        assertTrue(EOStateDerivation.get().isInSync(), 'Derivation in sync');
+    });
+
+    await test('Diff attributes superseded inputs to the merge', async () => {
+        const { log, state } = await createWorkspace();
+        const before = log.getClock();
+
+        await Structural.mergeRecords(state, 'set_1', ['rec_1', 'rec_2'], (fieldId, candidates) => candidates[0]);
+        const mergeEventId = log.getAll()[log.getAll().length - 1].id;
+
+        const diff = EOStateDerivation.diff(log, before, null);
+        const changed = diff.records.filter(r => r.change === 'changed');
+        assertEqual(changed.map(r => [r.recordId, r.events]), [['rec_1', [mergeEventId]], ['rec_2', [mergeEventId]]]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Workbench UI');
+    // ------------------------------------------------------------------------
+
+    await test('Save As clones the view, keeps its notes and switches to it', async () => {
+        const { bridge, log, view } = await createWorkspace();
+        const switched = captureSwitches();
+
+        const copy = await WorkbenchUI.saveViewAs(view.viewId, 'Ada only', 'Checked by hand');
+
+        assertEqual(copy.name, 'Ada only');
+        assertEqual(copy.config.provenance.notes, 'Checked by hand');
+        assertEqual(lastAction(log), { action: 'view:switch', viewId: copy.viewId });
+        assertEqual(bridge.getState().currentViewId, copy.viewId);
+        assertEqual(switched, [['set_1', copy.viewId]]);
+    });
+
+    await test('Dedupe, merge, split and harmonize open their result views', async () => {
+        const { bridge } = await createWorkspace();
+        const switched = captureSwitches();
+
+        const dedupe = await WorkbenchUI.runDedupe('set_1', { keyFieldIds: ['fld_name'] });
+        const merge = await WorkbenchUI.runOperation(executeMergeOperation, 'set_1', ['rec_1', 'rec_2'], {});
+        const split = await WorkbenchUI.runOperation(executeSplitOperation, 'set_1', 'rec_3', [{ fld_phone: '555-0199' }, {}]);
+        const harmonize = await WorkbenchUI.runOperation(executeMergeFieldsOperation, 'set_1',
+            ['fld_email', 'fld_phone'], { id: 'fld_contact', name: 'Contact' });
+
+        const results = [dedupe, merge, split, harmonize];
+        const viewIds = results.map(r => r.resultView.viewId);
+        assertTrue(viewIds.every(id => bridge.getState().views.has(id)), 'Result views derived');
+        assertEqual(results.map(r => bridge.getState().structuralOperations.get(r.operation.id).resultViewId), viewIds);
+        assertEqual(switched, viewIds.map(id => ['set_1', id]));
+        assertEqual(bridge.getState().currentViewId, viewIds[3]);
+    });
+
+    await test('Finding no duplicates records nothing', async () => {
+        const { log } = await createWorkspace();
+        const count = log.getAll().length;
+
+        assertEqual(await WorkbenchUI.runDedupe('set_1', { keyFieldIds: ['fld_email'] }), null);
+        assertEqual(log.getAll().length, count);
+    });
+
+    delete global.window;
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,1392 @@
+/**
+ * Sync Tests
+ * Tests for the sync protocol, WebSocket transport and relay
+ */
+
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const { SyncEngine, SyncSession, LIVE_STATE, MESSAGE_TYPE, SYNC_RECORD, selectScope, readSyncHistory } = require(path.join(__dirname, '../eo_sync_protocol.js'));
+const { WebSocketTransport, CONNECTION_STATE } = require(path.join(__dirname, '../eo_sync_transport.js'));
+const { RelayHub, RelayServer, WebSocketConnection, encodeFrame, FRAME } = require(path.join(__dirname, '../scripts/sync-relay.js'));
+const { ConflictInbox } = require(path.join(__dirname, '../eo_conflict_resolution.js'));
+const { StateDerivation } = require(path.join(__dirname, '../eo_state_derivation.js'));
+const EOSyncDashboardUI = require(path.join(__dirname, '../eo_sync_dashboard_ui.js'));
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str || !str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: "${substring}"\nActual: "${str}"`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+async function assertRejects(fn, substring) {
+    try {
+        await fn();
+    } catch (e) {
+        assertContains(e.message, substring);
+        return;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const WORKSPACE = 'test_ws';
+
+function createPeer(hub, nodeId, options = {}) {
+    const log = new EventLog();
+    const engine = new SyncEngine(log, {
+        nodeId,
+        workspace: WORKSPACE,
+        retryAttempts: options.retryAttempts || 4,
+        retryBaseDelay: 5,
+        batchSize: options.batchSize || 200,
+        scope: options.scope,
+        onConflict: options.onConflict
+    });
+    const transport = new WebSocketTransport('ws://relay.local/sync', {
+        workspace: WORKSPACE,
+        nodeId,
+        createSocket: (url) => hub.createLocalSocket(url),
+        requestTimeout: options.requestTimeout || 2000,
+        reconnectBaseDelay: 5,
+        reconnectMaxDelay: 20
+    });
+    transport.attach(engine);
+
+    return { nodeId, log, engine, transport };
+}
+
+function addRecord(peer, name, parents = peer.log.getHeads()) {
+    const result = peer.log.append({
+        type: 'given',
+        actor: `user_${peer.nodeId}`,
+        parents,
+        context: { workspace: WORKSPACE, device: peer.nodeId },
+        payload: { action: 'record:create', data: { name } }
+    });
+    return result.event;
+}
+
+function editCell(peer, recordId, fieldName, value) {
+    return peer.log.append({
+        type: 'given',
+        actor: `user_${peer.nodeId}`,
+        parents: peer.log.getHeads(),
+        context: { workspace: WORKSPACE, device: peer.nodeId },
+        payload: { action: 'cell:edit', setId: 'set_1', recordId, fieldName, value }
+    }).event;
+}
+
+function recordNames(peer) {
+    return peer.log.getAll()
+        .filter(e => e.payload.action === 'record:create')
+        .map(e => e.payload.data.name)
+        .sort();
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(predicate, timeout = 1000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await wait(5);
+    }
+}
+
+/**
+ * Append to a peer's log on explicit parents (to build concurrent branches)
+ */
+function appendTo(peer, payload, parents) {
+    return peer.log.append({
+        type: 'given',
+        actor: `user_${peer.nodeId}`,
+        parents,
+        context: { workspace: WORKSPACE, device: peer.nodeId },
+        payload
+    }).event;
+}
+
+function createFieldRecord(peer, recordId, region, parents) {
+    return appendTo(peer, {
+        action: 'record:create',
+        setId: 'set_1',
+        record: { record_id: recordId, fields: { name: recordId, region } }
+    }, parents);
+}
+
+const NORTH = { sets: [{ setId: 'set_1', where: { region: 'North' } }] };
+
+async function connectLive(hub, ...nodeIds) {
+    const peers = nodeIds.map(id => createPeer(hub, id));
+    for (const peer of peers) {
+        await peer.transport.connect();
+    }
+    await wait(5);
+    return peers;
+}
+
+/**
+ * Encode a masked client-to-server frame (small payloads only)
+ */
+function maskedFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text, 'utf8');
+    const mask = crypto.randomBytes(4);
+    const header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+    const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+    return Buffer.concat([header, mask, body]);
+}
+
+/**
+ * Decode the complete server-to-client frames in a buffer
+ * Returns the frames and the bytes of any partial frame left over
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (offset + 2 <= buffer.length) {
+        let length = buffer[offset + 1] & 0x7f;
+        let start = offset + 2;
+        if (length === 126) {
+            length = buffer.readUInt16BE(offset + 2);
+            start = offset + 4;
+        }
+        if (start + length > buffer.length) break;
+        frames.push({ opcode: buffer[offset] & 0x0f, payload: buffer.subarray(start, start + length) });
+        offset = start + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Stand-in for a net.Socket, for driving WebSocketConnection directly
+ */
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.ended = null;
+    socket.destroyed = false;
+    socket.writableLength = 0;
+    socket.setNoDelay = () => {};
+    socket.pause = () => {};
+    socket.resume = () => {};
+    socket.write = (chunk) => { socket.written.push(chunk); };
+    socket.end = (chunk) => { socket.ended = chunk; };
+    socket.destroy = () => { socket.destroyed = true; };
+    return socket;
+}
+
+/**
+ * Open a raw WebSocket to a RelayServer and collect the JSON frames it sends
+ */
+function connectRaw(port) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        req.on('upgrade', (res, socket) => {
+            const client = {
+                accept: res.headers['sec-websocket-accept'],
+                expectedAccept: crypto.createHash('sha1')
+                    .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64'),
+                received: [],
+                closeCode: null,
+                send: (frame) => socket.write(maskedFrame(JSON.stringify(frame))),
+                destroy: () => socket.destroy()
+            };
+
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                const { frames, rest } = decodeFrames(buffer);
+                buffer = rest;
+                for (const frame of frames) {
+                    if (frame.opcode === 0x1) client.received.push(JSON.parse(frame.payload.toString('utf8')));
+                    if (frame.opcode === 0x8) client.closeCode = frame.payload.readUInt16BE(0);
+                }
+            });
+            socket.on('error', () => {});
+
+            resolve(client);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Sync Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Relay Hub');
+    // ------------------------------------------------------------------------
+
+    await test('Welcomes peers and announces joins and leaves', async () => {
+        const hub = new RelayHub();
+        const seen = [];
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        a.transport._options.onPeers = (peers) => seen.push(peers.join(','));
+
+        await a.transport.connect();
+        await b.transport.connect();
+        await wait(5);
+
+        assertEqual(b.transport.getPeers(), ['node_a']);
+        assertEqual(a.transport.getPeers(), ['node_b']);
+        assertEqual(hub.getPeers(WORKSPACE).sort(), ['node_a', 'node_b']);
+
+        b.transport.close();
+        await wait(5);
+
+        assertEqual(a.transport.getPeers(), []);
+        assertEqual(seen, ['', 'node_b', '']);
+        a.transport.close();
+    });
+
+    await test('Rejects requests to peers that are not connected', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        await a.transport.connect();
+
+        let error = null;
+        try {
+            await a.transport.request('node_missing', { type: 'scope' });
+        } catch (e) {
+            error = e.message;
+        }
+
+        assertEqual(error, 'peer_unavailable');
+        a.transport.close();
+    });
+
+    await test('Stamps the sender on routed requests', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        b.transport.setHandler((message, from) => ({ type: 'echo', from }));
+
+        await a.transport.connect();
+        await b.transport.connect();
+
+        const reply = await a.transport.request('node_b', { type: 'ping' });
+        assertEqual(reply, { type: 'echo', from: 'node_a' });
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Refuses a second connection claiming a connected node id', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        b.transport.setHandler(() => ({ type: 'pong' }));
+        await a.transport.connect();
+        await b.transport.connect();
+
+        const impostor = new WebSocketTransport('ws://relay.local/sync', {
+            workspace: WORKSPACE,
+            nodeId: 'node_b',
+            createSocket: (url) => hub.createLocalSocket(url),
+            reconnect: false
+        });
+        await assertRejects(() => impostor.connect(), 'node_id_in_use');
+        await wait(5);
+
+        assertEqual(b.transport.getStatus().state, CONNECTION_STATE.OPEN);
+        assertEqual(hub.getPeers(WORKSPACE).sort(), ['node_a', 'node_b']);
+        assertEqual(hub.getStats().refused, 1);
+        assertEqual(await a.transport.request('node_b', { type: 'ping' }), { type: 'pong' });
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Holds outgoing frames while the socket is over its high water mark', async () => {
+        const sent = [];
+        let socket = null;
+        const transport = new WebSocketTransport('ws://relay.local/sync', {
+            workspace: WORKSPACE,
+            nodeId: 'node_a',
+            highWaterMark: 100,
+            drainInterval: 5,
+            createSocket: () => {
+                socket = {
+                    readyState: 1,
+                    bufferedAmount: 0,
+                    send: (text) => sent.push(JSON.parse(text)),
+                    close: () => {}
+                };
+                setImmediate(() => {
+                    socket.onopen();
+                    socket.onmessage({ data: JSON.stringify({ kind: FRAME.WELCOME, peers: ['node_b'] }) });
+                });
+                return socket;
+            }
+        });
+        await transport.connect();
+        sent.length = 0;
+
+        socket.bufferedAmount = 500;
+        transport.request('node_b', { type: 'ping' }).catch(() => {});
+        transport.request('node_b', { type: 'ping' }).catch(() => {});
+        await wait(20);
+
+        assertEqual(sent.length, 0, 'Nothing is written over the high water mark');
+        assertEqual(transport.getStatus().queued, 2);
+
+        socket.bufferedAmount = 0;
+        await waitFor(() => sent.length === 2);
+        assertEqual(sent.map(frame => frame.kind), [FRAME.REQUEST, FRAME.REQUEST]);
+        assertEqual(transport.getStatus().queued, 0);
+
+        transport.close();
+    });
+
+    await test('WebSocket connection unmasks client frames and rejects unmasked ones', async () => {
+        const socket = createFakeSocket();
+        const connection = new WebSocketConnection(socket);
+        const texts = [];
+        connection.onText = (text) => texts.push(text);
+
+        const frame = maskedFrame('{"kind":"hello"}');
+        socket.emit('data', frame.subarray(0, 3));
+        assertEqual(texts, [], 'Waits for the rest of a split frame');
+        socket.emit('data', frame.subarray(3));
+        assertEqual(texts, ['{"kind":"hello"}']);
+
+        socket.emit('data', encodeFrame(0x1, Buffer.from('{}')));
+        assertTrue(socket.ended, 'Connection closed');
+        const { frames } = decodeFrames(socket.ended);
+        assertEqual(frames[0].opcode, 0x8);
+        assertEqual(frames[0].payload.readUInt16BE(0), 1002);
+        assertContains(frames[0].payload.subarray(2).toString(), 'unmasked_frame');
+        assertEqual(texts.length, 1);
+    });
+
+    await test('WebSocket connection reports backpressure past its high water mark', async () => {
+        const socket = createFakeSocket();
+        const connection = new WebSocketConnection(socket, { highWaterMark: 64 });
+
+        assertEqual(connection.send('small'), true);
+        socket.writableLength = 64;
+        assertEqual(connection.send('backed up'), false);
+
+        let drained = false;
+        connection.onDrain(() => { drained = true; });
+        await wait(5);
+        assertEqual(drained, false, 'Waits for the socket to drain');
+
+        socket.writableLength = 0;
+        socket.emit('drain');
+        assertEqual(drained, true);
+
+        const { frames } = decodeFrames(Buffer.concat(socket.written));
+        assertEqual(frames.map(f => f.payload.toString()), ['small', 'backed up']);
+    });
+
+    await test('Relay server upgrades connections and routes between them', async () => {
+        const server = new RelayServer();
+        const { port } = await server.listen(0, '127.0.0.1');
+        const a = await connectRaw(port);
+        const b = await connectRaw(port);
+
+        try {
+            assertEqual(a.accept, a.expectedAccept, 'Handshake accept key');
+
+            a.send({ kind: FRAME.HELLO, workspace: WORKSPACE, nodeId: 'node_a' });
+            await waitFor(() => a.received.length === 1);
+            b.send({ kind: FRAME.HELLO, workspace: WORKSPACE, nodeId: 'node_b' });
+            await waitFor(() => b.received.length === 1 && a.received.length === 2);
+
+            assertEqual(b.received[0].peers, ['node_a']);
+            assertEqual(a.received[1], { kind: FRAME.PEER_JOINED, nodeId: 'node_b' });
+
+            a.send({ kind: FRAME.REQUEST, id: 'r1', to: 'node_b', message: { type: 'ping' } });
+            await waitFor(() => b.received.length === 2);
+            assertEqual(b.received[1], {
+                kind: FRAME.REQUEST, id: 'r1', to: 'node_b', message: { type: 'ping' }, from: 'node_a'
+            });
+
+            const impostor = await connectRaw(port);
+            impostor.send({ kind: FRAME.HELLO, workspace: WORKSPACE, nodeId: 'node_b' });
+            await waitFor(() => impostor.closeCode !== null);
+            assertEqual(impostor.closeCode, 1008);
+            assertEqual(server.getHub().getPeers(WORKSPACE).sort(), ['node_a', 'node_b']);
+            impostor.destroy();
+        } finally {
+            a.destroy();
+            b.destroy();
+            await server.close();
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Sync Over Transport');
+    // ------------------------------------------------------------------------
+
+    await test('Pushes local events and pulls remote events', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        await a.transport.connect();
+        await b.transport.connect();
+
+        addRecord(a, 'alpha');
+        addRecord(a, 'beta');
+        addRecord(b, 'gamma');
+
+        const stats = await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+
+        assertEqual(recordNames(a), ['alpha', 'beta', 'gamma']);
+        assertEqual(recordNames(b), ['alpha', 'beta', 'gamma']);
+        assertTrue(stats.sent >= 2, 'Should send own events');
+        assertTrue(stats.received >= 1, 'Should receive remote events');
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Preserves actor and content of synced events (Rule 2)', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        await a.transport.connect();
+        await b.transport.connect();
+
+        const original = addRecord(a, 'alpha');
+        await b.engine.syncWith(b.transport.channel('node_a'), 'node_a');
+
+        const copy = b.log.get(original.id);
+        assertEqual(copy.actor, 'user_node_a');
+        assertEqual(copy.payload, original.payload);
+        assertEqual(copy.context.device, 'node_a');
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Delivers causal chains across batches', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a', { batchSize: 3 });
+        const b = createPeer(hub, 'node_b', { batchSize: 3 });
+        await a.transport.connect();
+        await b.transport.connect();
+
+        for (let i = 0; i < 10; i++) {
+            addRecord(a, `record_${i}`);
+        }
+
+        await b.engine.syncWith(b.transport.channel('node_a'), 'node_a');
+
+        assertEqual(recordNames(b).length, 10);
+        assertEqual(b.log._pending.size, 0, 'No events left parked');
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Re-syncing is idempotent (Rule 8)', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        await a.transport.connect();
+        await b.transport.connect();
+
+        addRecord(a, 'alpha');
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+
+        assertEqual(recordNames(b), ['alpha']);
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Events already in the log are not conflicts with themselves (Rule 8)', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const record = addRecord(a, 'alpha');
+        const left = editCell(a, record.id, 'status', 'open');
+        const right = appendTo(a, { action: 'cell:edit', setId: 'set_1', recordId: record.id, fieldName: 'status', value: 'done' }, [record.id]);
+
+        const conflicts = [];
+        const session = new SyncSession(a.log, { workspace: WORKSPACE, onConflict: (c) => conflicts.push(c) });
+        const results = session.processReceivedEvents([left, right]);
+
+        assertEqual(conflicts.length, 0);
+        assertEqual(results.accepted, [left.id, right.id]);
+        assertEqual(results.duplicates, [left.id, right.id]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Reconnect & Resume');
+    // ------------------------------------------------------------------------
+
+    await test('Reconnects after the connection drops', async () => {
+        const hub = new RelayHub();
+        const states = [];
+        const a = createPeer(hub, 'node_a');
+        a.transport._options.onStatus = (status) => states.push(status.state);
+
+        await a.transport.connect();
+        hub.disconnect('node_a');
+        await wait(60);
+
+        assertEqual(a.transport.getStatus().state, CONNECTION_STATE.OPEN);
+        assertTrue(states.includes(CONNECTION_STATE.RECONNECTING), 'Should pass through reconnecting');
+        a.transport.close();
+    });
+
+    await test('Re-sends in-flight requests after reconnecting', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a');
+        const b = createPeer(hub, 'node_b');
+        let calls = 0;
+        b.transport.setHandler(async () => {
+            calls++;
+            if (calls === 1) {
+                // Drop the requester before the reply can be routed back
+                hub.disconnect('node_a');
+                await wait(1);
+            }
+            return { type: 'ok' };
+        });
+
+        await a.transport.connect();
+        await b.transport.connect();
+
+        const reply = await a.transport.request('node_b', { type: 'ping' });
+
+        assertEqual(reply, { type: 'ok' });
+        assertEqual(calls, 2);
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Resumes an interrupted sync from its checkpoint', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a', { batchSize: 2, requestTimeout: 50 });
+        const b = createPeer(hub, 'node_b', { batchSize: 2 });
+        await a.transport.connect();
+        await b.transport.connect();
+
+        for (let i = 0; i < 6; i++) {
+            addRecord(a, `record_${i}`);
+        }
+
+        // Take node_b offline after it has received the first batch
+        let sends = 0;
+        const handler = (message, from) => b.engine.handleMessage(message, from);
+        b.transport.setHandler((message, from) => {
+            if (message.type === 'send' && ++sends === 2) {
+                b.transport.close();
+                return new Promise(() => {});
+            }
+            return handler(message, from);
+        });
+
+        let error = null;
+        try {
+            await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        } catch (e) {
+            error = e.message;
+        }
+
+        assertTrue(error !== null, 'First sync should fail');
+        assertEqual(a.engine.getStatus().resumable, ['node_b']);
+        assertTrue(recordNames(b).length < 6, 'Sync should have been cut off');
+
+        // node_b comes back
+        const back = createPeer(hub, 'node_b');
+        back.log = b.log;
+        back.engine = new SyncEngine(b.log, { nodeId: 'node_b', workspace: WORKSPACE });
+        back.transport.attach(back.engine);
+        await back.transport.connect();
+
+        const stats = await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+
+        assertTrue(stats.resumed, 'Should resume from checkpoint');
+        assertEqual(recordNames(b).length, 6);
+        assertEqual(a.engine.getStatus().resumable, []);
+
+        a.transport.close();
+        back.transport.close();
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Live Sync');
+    // ------------------------------------------------------------------------
+
+    await test('Pushes events to the peer as they are appended', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        b.engine.startLive(b.transport.channel('node_a'), 'node_a');
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE);
+
+        addRecord(a, 'alpha');
+        await waitFor(() => recordNames(b).includes('alpha'));
+
+        addRecord(b, 'beta');
+        await waitFor(() => recordNames(a).includes('beta'));
+
+        a.engine.stopLive();
+        b.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Does not echo events back to the peer they came from', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        b.engine.startLive(b.transport.channel('node_a'), 'node_a');
+        await waitFor(() =>
+            a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE &&
+            b.engine.getStatus().live.node_a.state === LIVE_STATE.LIVE
+        );
+
+        let pushedBack = 0;
+        const handleMessage = a.engine.handleMessage.bind(a.engine);
+        a.transport.setHandler((message, from) => {
+            if (message.type === 'send') pushedBack += message.events.length;
+            return handleMessage(message, from);
+        });
+
+        addRecord(a, 'alpha');
+        await waitFor(() => recordNames(b).includes('alpha'));
+        await wait(30);
+
+        assertEqual(pushedBack, 0);
+        assertEqual(b.engine.getStatus().live.node_a.queued, 0);
+
+        a.engine.stopLive();
+        b.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Catches up through the inventory diff after reconnecting', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        b.engine.startLive(b.transport.channel('node_a'), 'node_a');
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE);
+
+        // node_b loses its connection while both sides keep writing
+        b.transport._options.reconnectBaseDelay = 50;
+        hub.disconnect('node_b');
+        await waitFor(() => b.transport.getStatus().state !== 'open');
+
+        addRecord(a, 'while_offline_a');
+        addRecord(b, 'while_offline_b');
+
+        await waitFor(() =>
+            recordNames(a).includes('while_offline_b') &&
+            recordNames(b).includes('while_offline_a'), 2000);
+
+        assertEqual(b.engine.getStatus().live.node_a.state, LIVE_STATE.LIVE);
+
+        a.engine.stopLive();
+        b.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Live catch-ups and syncWith take turns with the same peer', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+        addRecord(a, 'alpha');
+
+        let running = 0;
+        let overlapped = false;
+        const performSync = a.engine._performSync.bind(a.engine);
+        a.engine._performSync = async (...args) => {
+            running++;
+            overlapped = overlapped || running > 1;
+            try {
+                return await performSync(...args);
+            } finally {
+                running--;
+            }
+        };
+
+        const manual = a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        assertEqual(a.engine.getStatus().live.node_b.state, LIVE_STATE.CATCHING_UP);
+
+        await manual;
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE);
+        assertEqual(overlapped, false, 'Catch-up ran alongside syncWith');
+        assertEqual(recordNames(b), ['alpha']);
+
+        // And a sync started during a catch-up waits for it
+        addRecord(a, 'beta');
+        const catchUp = a.engine.retryNow('node_b');
+        const again = a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        await assertRejects(() => a.engine.syncWith(a.transport.channel('node_b'), 'node_b'),
+            'Sync already in progress');
+        await Promise.all([catchUp, again]);
+
+        assertEqual(overlapped, false, 'syncWith ran alongside a catch-up');
+        assertEqual(recordNames(b), ['alpha', 'beta']);
+
+        a.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Reconnecting live peers raise no conflicts for events re-sent in catch-up', async () => {
+        const hub = new RelayHub();
+        const conflicts = [];
+        const a = createPeer(hub, 'node_a', { onConflict: (c) => conflicts.push(...[].concat(c)) });
+        const b = createPeer(hub, 'node_b', { onConflict: (c) => conflicts.push(...[].concat(c)) });
+        await a.transport.connect();
+        await b.transport.connect();
+        await wait(5);
+
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        b.engine.startLive(b.transport.channel('node_a'), 'node_a');
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE &&
+            b.engine.getStatus().live.node_a.state === LIVE_STATE.LIVE);
+
+        const record = addRecord(a, 'alpha');
+        editCell(a, record.id, 'status', 'open');
+        await waitFor(() => b.log.getAll().length === a.log.getAll().length);
+
+        // Both sides catch up on reconnect, re-sending what the other has
+        b.transport._options.reconnectBaseDelay = 50;
+        hub.disconnect('node_b');
+        await waitFor(() => b.transport.getStatus().state !== 'open');
+        editCell(a, record.id, 'priority', 'high');
+
+        await waitFor(() => b.log.getAll().length === a.log.getAll().length &&
+            b.engine.getStatus().live.node_a.state === LIVE_STATE.LIVE, 2000);
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+
+        assertEqual(conflicts.length, 0);
+
+        a.engine.stopLive();
+        b.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Reports per-peer lag in getStatus()', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE);
+
+        addRecord(a, 'alpha');
+        addRecord(a, 'beta');
+
+        const lagging = a.engine.getStatus().live.node_b;
+        assertEqual(lagging.queued, 2);
+        assertEqual(lagging.lagEvents, 2);
+
+        await waitFor(() => a.engine.getStatus().live.node_b.queued === 0);
+
+        const caughtUp = a.engine.getStatus().live.node_b;
+        assertEqual(caughtUp.lagEvents, 0);
+        assertEqual(caughtUp.lagMs, 0);
+        assertTrue(caughtUp.lastAckAt !== null, 'Should record last ack');
+
+        a.engine.stopLive('node_b');
+        assertEqual(a.engine.getStatus().live, {});
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. Conflict Inbox');
+    // ------------------------------------------------------------------------
+
+    async function createConflict() {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a', { onConflict: (c) => inboxA.record(c) });
+        const b = createPeer(hub, 'node_b', { onConflict: (c) => inboxB.record(c) });
+        const inboxA = new ConflictInbox(a.log);
+        const inboxB = new ConflictInbox(b.log);
+        await a.transport.connect();
+        await b.transport.connect();
+
+        a.log.append({
+            type: 'given',
+            actor: 'user_node_a',
+            parents: [],
+            context: { workspace: WORKSPACE, device: 'node_a' },
+            payload: { action: 'set:create', setId: 'set_1', name: 'Tasks' }
+        });
+        a.log.append({
+            type: 'given',
+            actor: 'user_node_a',
+            parents: a.log.getHeads(),
+            context: { workspace: WORKSPACE, device: 'node_a' },
+            payload: { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_1' } }
+        });
+        await b.engine.syncWith(b.transport.channel('node_a'), 'node_a');
+
+        // Both edit the same cell without seeing each other's edit
+        const editA = editCell(a, 'rec_1', 'status', 'open');
+        const editB = editCell(b, 'rec_1', 'status', 'closed');
+
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+
+        const close = () => {
+            a.transport.close();
+            b.transport.close();
+        };
+
+        return { a, b, inboxA, inboxB, editA, editB, close };
+    }
+
+    await test('Lists concurrent edits with both branches, actors and vector clocks', async () => {
+        const { inboxA, inboxB, editA, editB, close } = await createConflict();
+
+        const conflicts = inboxA.list();
+        assertEqual(conflicts.length, 1);
+
+        const [conflict] = conflicts;
+        assertEqual(conflict.target, { setId: 'set_1', recordId: 'rec_1', fieldName: 'status' });
+        assertEqual(conflict.branches.map(b => b.eventId).sort(), [editA.id, editB.id].sort());
+        assertEqual(conflict.branches.map(b => b.actor).sort(), ['user_node_a', 'user_node_b']);
+
+        const branchA = conflict.branches.find(b => b.eventId === editA.id);
+        const branchB = conflict.branches.find(b => b.eventId === editB.id);
+        assertEqual(branchA.vectorClock, { node_a: 3 });
+        assertEqual(branchB.vectorClock.node_a, 2);
+        assertEqual(branchB.vectorClock.node_b >= 1, true);
+
+        // Both sides derive the same conflict id
+        assertEqual(inboxB.list().map(c => c.id), [conflict.id]);
+        close();
+    });
+
+    await test('Recording the same conflict twice is a no-op (Rule 8)', async () => {
+        const { a, inboxA, close } = await createConflict();
+        const before = a.log.getAll().length;
+
+        const session = a.engine._sessions.get('node_b');
+        assertEqual(inboxA.record(session.getConflicts()), []);
+        assertEqual(a.log.getAll().length, before);
+        close();
+    });
+
+    await test('Resolving appends a Meant event citing both branches', async () => {
+        const { a, inboxA, editA, editB, close } = await createConflict();
+        const [conflict] = inboxA.list();
+
+        const result = inboxA.resolve(conflict.id, { keep: editB.id, actor: 'user_node_a', reason: 'Confirmed with team' });
+
+        assertTrue(result.success, 'Resolution should be appended');
+        assertEqual(result.event.type, 'meant');
+        assertEqual(result.event.frame.purpose, 'conflict_resolution');
+        assertEqual([...result.event.provenance].sort(), [editA.id, editB.id].sort());
+        assertEqual(result.event.payload.value, 'closed');
+
+        // Branches are untouched
+        assertEqual(a.log.get(editA.id).payload.value, 'open');
+        assertEqual(a.log.get(editB.id).payload.value, 'closed');
+
+        assertEqual(inboxA.list(), []);
+        assertEqual(inboxA.get(conflict.id).status, 'resolved');
+        assertEqual(inboxA.getStats(), { total: 1, open: 0, resolved: 1 });
+        close();
+    });
+
+    await test('Derived state shows the resolved value', async () => {
+        const { a, inboxA, editA, close } = await createConflict();
+        const [conflict] = inboxA.list();
+        inboxA.resolve(conflict.id, { keep: editA.id, actor: 'user_node_a' });
+
+        const derivation = new StateDerivation();
+        const state = derivation.deriveFromLog(a.log);
+        const record = state.sets.get('set_1').records.get('rec_1');
+
+        assertEqual(record.fields.status, 'open');
+        assertEqual(record.cells[0].values.length, 1);
+        assertEqual(state.conflicts.get(conflict.id).status, 'resolved');
+        close();
+    });
+
+    await test('Resolutions sync to other peers', async () => {
+        const { a, b, inboxA, inboxB, editA, close } = await createConflict();
+        const [conflict] = inboxA.list();
+        inboxA.resolve(conflict.id, { keep: editA.id, actor: 'user_node_a' });
+
+        await b.engine.syncWith(b.transport.channel('node_a'), 'node_a');
+
+        assertEqual(inboxB.list(), []);
+        assertEqual(inboxB.get(conflict.id).resolutions[0].actor, 'user_node_a');
+        close();
+    });
+
+    await test('Finds open conflicts by cell and refuses bad resolutions', async () => {
+        const { inboxA, close } = await createConflict();
+        const [conflict] = inboxA.list();
+
+        assertEqual(inboxA.getForCell('rec_1', 'status').length, 1);
+        assertEqual(inboxA.getForCell('rec_1', 'title').length, 0);
+
+        let error = null;
+        try {
+            inboxA.resolve(conflict.id, { keep: 'evt_unrelated', actor: 'user_node_a' });
+        } catch (e) {
+            error = e.message;
+        }
+        assertContains(error, 'is not a branch');
+
+        error = null;
+        try {
+            inboxA.resolve(conflict.id, { value: 'done' });
+        } catch (e) {
+            error = e.message;
+        }
+        assertContains(error, 'RULE_1');
+        close();
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n6. Replication Scopes');
+    // ------------------------------------------------------------------------
+
+    await test('A scoped peer receives only the records its filter selects', async () => {
+        const hub = new RelayHub();
+        const server = createPeer(hub, 'server');
+        const tablet = createPeer(hub, 'tablet', { scope: NORTH });
+        await server.transport.connect();
+        await tablet.transport.connect();
+
+        const set = appendTo(server, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        const north = createFieldRecord(server, 'rec_n', 'North', [set.id]);
+        const south = createFieldRecord(server, 'rec_s', 'South', [set.id]);
+        const northEdit = appendTo(server, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_n', fieldName: 'name', value: 'Ridge' }, [north.id]);
+        appendTo(server, { action: 'cell:edit', setId: 'set_1', recordId: 'rec_s', fieldName: 'name', value: 'Delta' }, [south.id]);
+        appendTo(server, { action: 'set:create', setId: 'set_2', name: 'Budgets' }, []);
+
+        await tablet.engine.syncWith(tablet.transport.channel('server'), 'server');
+
+        const held = tablet.log.getAll().filter(e => e.payload.action !== 'sync:success');
+        assertEqual(held.map(e => e.id).sort(), [set.id, north.id, northEdit.id].sort());
+
+        // The tablet's own edits still go up
+        const mine = editCell(tablet, 'rec_n', 'status', 'visited');
+        await tablet.engine.syncWith(tablet.transport.channel('server'), 'server');
+        assertTrue(server.log.get(mine.id) !== null);
+
+        server.transport.close();
+        tablet.transport.close();
+    });
+
+    await test('Ancestors outside the scope come along, so nothing stays parked', async () => {
+        const hub = new RelayHub();
+        const server = createPeer(hub, 'server');
+        const tablet = createPeer(hub, 'tablet', { scope: NORTH, batchSize: 1 });
+        await server.transport.connect();
+        await tablet.transport.connect();
+
+        const set = appendTo(server, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        const south = createFieldRecord(server, 'rec_s', 'South', [set.id]);
+        const north = createFieldRecord(server, 'rec_n', 'North', [south.id]);
+
+        const stats = await tablet.engine.syncWith(tablet.transport.channel('server'), 'server');
+
+        assertEqual(stats.rejected, 0);
+        assertEqual(tablet.log.getStats().pending, 0);
+        assertTrue([set, south, north].every(e => tablet.log.get(e.id) !== null));
+
+        server.transport.close();
+        tablet.transport.close();
+    });
+
+    await test('Live push holds back events until an in-scope event needs them', async () => {
+        const hub = new RelayHub();
+        const server = createPeer(hub, 'server');
+        const tablet = createPeer(hub, 'tablet', { scope: NORTH });
+        await server.transport.connect();
+        await tablet.transport.connect();
+
+        const set = appendTo(server, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        createFieldRecord(server, 'rec_n', 'North', [set.id]);
+        server.engine.startLive(server.transport.channel('tablet'), 'tablet');
+        await waitFor(() => server.engine.getStatus().live.tablet.state === LIVE_STATE.LIVE);
+
+        const south = createFieldRecord(server, 'rec_s', 'South', server.log.getHeads());
+        await wait(20);
+        assertEqual(tablet.log.get(south.id), null, 'Nothing in scope depends on it yet');
+
+        const edit = editCell(server, 'rec_n', 'status', 'visited');
+        await waitFor(() => tablet.log.get(edit.id) !== null);
+        assertTrue(tablet.log.get(south.id) !== null, 'Pulled in as a parent');
+        assertEqual(tablet.log.getStats().pending, 0);
+
+        server.engine.stopLive();
+        server.transport.close();
+        tablet.transport.close();
+    });
+
+    await test('INV advertises only what the remote\'s scope covers', async () => {
+        const peer = { nodeId: 'server', log: new EventLog() };
+        const set = appendTo(peer, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        const north = createFieldRecord(peer, 'rec_n', 'North', [set.id]);
+        createFieldRecord(peer, 'rec_s', 'South', [set.id]);
+
+        const session = new SyncSession(peer.log, { nodeId: 'server', workspace: WORKSPACE });
+        const ack = session.processScopeMessage({ protocolVersion: '1.0', workspace: WORKSPACE, nodeId: 'tablet', scope: NORTH });
+        const inv = session.createInvMessage();
+
+        assertEqual(ack.accepted, true);
+        assertEqual(inv.count, 2);
+        assertEqual(inv.heads, [north.id]);
+    });
+
+    await test('Scope selection follows appends without replaying the log', async () => {
+        const peer = { nodeId: 'server', log: new EventLog() };
+        const set = appendTo(peer, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        const north = createFieldRecord(peer, 'rec_n', 'North', [set.id]);
+        const south = createFieldRecord(peer, 'rec_s', 'South', [north.id]);
+
+        const session = new SyncSession(peer.log, { nodeId: 'server', workspace: WORKSPACE });
+        session.processScopeMessage({ protocolVersion: '1.0', workspace: WORKSPACE, nodeId: 'tablet', scope: NORTH });
+        assertEqual(session._isEventReplicated(south), false);
+
+        let sorts = 0;
+        const sort = peer.log.getTopologicalOrder.bind(peer.log);
+        peer.log.getTopologicalOrder = () => {
+            sorts++;
+            return sort();
+        };
+        const edit = (recordId, fieldName, value) => appendTo(peer,
+            { action: 'cell:edit', setId: 'set_1', recordId, fieldName, value }, peer.log.getHeads());
+
+        for (let i = 0; i < 20; i++) {
+            assertTrue(session._isEventReplicated(edit('rec_n', 'name', `Ridge ${i}`)));
+        }
+        assertEqual(sorts, 0, 'Each append is placed without sorting or replaying the log');
+
+        // A record moving into the filter brings its earlier events along...
+        const moved = edit('rec_s', 'region', 'North');
+        assertTrue(session._isEventReplicated(moved));
+        assertTrue(session._isEventReplicated(south));
+
+        // ...and one moving out no longer sends its own
+        const left = edit('rec_n', 'region', 'South');
+        assertEqual(session._isEventReplicated(left), false);
+        assertEqual(sorts, 0);
+    });
+
+    await test('Views bring their set; tombstones follow what they tombstone', async () => {
+        const peer = { nodeId: 'server', log: new EventLog() };
+        const set1 = appendTo(peer, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        const view1 = appendTo(peer, { action: 'view:create', viewId: 'view_1', setId: 'set_1', name: 'Map' }, [set1.id]);
+        const rename = appendTo(peer, { action: 'view:update', viewId: 'view_1', updates: { name: 'Field map' } }, [view1.id]);
+        const set2 = appendTo(peer, { action: 'set:create', setId: 'set_2', name: 'Budgets' }, []);
+        const view2 = appendTo(peer, { action: 'view:create', viewId: 'view_2', setId: 'set_2', name: 'Grid' }, [set2.id]);
+        appendTo(peer, { action: 'tombstone', targetId: view2.id, reason: 'duplicate' }, [view2.id]);
+        const tomb1 = appendTo(peer, { action: 'tombstone', targetId: rename.id, reason: 'typo' }, [rename.id]);
+
+        const ids = selectScope(peer.log, { views: ['view_1'] });
+
+        assertEqual(Array.from(ids).sort(), [set1.id, view1.id, rename.id, tomb1.id].sort());
+        assertEqual(selectScope(peer.log, null).size, 7, 'No scope replicates everything');
+    });
+
+    await test('Invalid scopes are refused', async () => {
+        let error = null;
+        try {
+            new SyncEngine(new EventLog(), { workspace: WORKSPACE, scope: { sets: [{ where: { region: 'North' } }] } });
+        } catch (e) {
+            error = e.message;
+        }
+        assertContains(error, 'Invalid replication scope: every set needs a setId');
+
+        const engine = new SyncEngine(new EventLog(), { nodeId: 'server', workspace: WORKSPACE, requireSignatures: false });
+        const reply = await engine.handleMessage({
+            type: MESSAGE_TYPE.SCOPE,
+            protocolVersion: '1.0',
+            workspace: WORKSPACE,
+            nodeId: 'tablet',
+            scope: { sets: [{ setId: 'set_1', where: 'North' }] }
+        }, 'tablet');
+        assertEqual(reply.type, MESSAGE_TYPE.REFUSE);
+        assertContains(reply.reason, 'invalid_scope');
+    });
+
+    await test('Widening the scope brings the rest in at the next sync', async () => {
+        const hub = new RelayHub();
+        const server = createPeer(hub, 'server');
+        const tablet = createPeer(hub, 'tablet', { scope: NORTH });
+        await server.transport.connect();
+        await tablet.transport.connect();
+
+        const set = appendTo(server, { action: 'set:create', setId: 'set_1', name: 'Sites' }, []);
+        createFieldRecord(server, 'rec_n', 'North', [set.id]);
+        const south = createFieldRecord(server, 'rec_s', 'South', [set.id]);
+        await tablet.engine.syncWith(tablet.transport.channel('server'), 'server');
+        assertEqual(tablet.log.get(south.id), null);
+
+        tablet.engine.setScope(null);
+        await tablet.engine.syncWith(tablet.transport.channel('server'), 'server');
+
+        assertTrue(tablet.log.get(south.id) !== null);
+        assertEqual(tablet.engine.getStatus().scope, null);
+
+        server.transport.close();
+        tablet.transport.close();
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n7. Sync Dashboard');
+    // ------------------------------------------------------------------------
+
+    // node_b strips the actor from the event named 'bad', so it refuses it (Rule 2)
+    async function syncWithRefusal() {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+        b.transport.setHandler((message, from) => {
+            if (message.type === MESSAGE_TYPE.SEND) {
+                message = {
+                    ...message,
+                    events: message.events.map(e => e.payload.data?.name === 'bad' ? { ...e, actor: undefined } : e)
+                };
+            }
+            return b.engine.handleMessage(message, from);
+        });
+
+        addRecord(a, 'good');
+        const bad = addRecord(a, 'bad');
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        return { a, b, bad };
+    }
+
+    await test('Refused events are kept in the log with reasons, on both sides (Rule 7)', async () => {
+        const { a, b, bad } = await syncWithRefusal();
+
+        const sent = readSyncHistory(a.log, { nodeId: 'node_a' }).refused;
+        assertEqual(sent.map(r => [r.id, r.direction, r.remoteId]), [[bad.id, 'outgoing', 'node_b']]);
+        assertContains(sent[0].reason, 'RULE_2');
+
+        const received = readSyncHistory(b.log, { nodeId: 'node_b' }).refused;
+        assertEqual(received.map(r => [r.id, r.direction, r.remoteId]), [[bad.id, 'incoming', 'node_a']]);
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Failures keep each attempt\'s error; history is per peer', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a', { retryAttempts: 2 });
+        const b = createPeer(hub, 'node_b');
+        await a.transport.connect();
+        await b.transport.connect();
+        addRecord(a, 'alpha');
+
+        await a.engine.syncWith(a.transport.channel('node_b'), 'node_b');
+        await assertRejects(() => a.engine.syncWith(a.transport.channel('node_gone'), 'node_gone'), 'peer_unavailable');
+
+        const failure = a.log.getAll().find(e => e.payload.action === SYNC_RECORD.FAILURE);
+        assertEqual(failure.payload.attemptErrors, ['peer_unavailable', 'peer_unavailable']);
+
+        const history = readSyncHistory(a.log, { nodeId: 'node_a' });
+        assertEqual(history.lastSuccess.remoteId, 'node_b');
+        assertEqual(history.failures.map(f => [f.remoteId, f.attempts]), [['node_gone', 2]]);
+        assertEqual(history.peers.map(p => [p.remoteId, p.successes, p.failures]), [['node_b', 1, 0], ['node_gone', 0, 1]]);
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Sync records from other nodes are left out by nodeId', async () => {
+        const { a, b } = await syncWithRefusal();
+        await b.engine.syncWith(b.transport.channel('node_a'), 'node_a');
+
+        const all = readSyncHistory(a.log);
+        const own = readSyncHistory(a.log, { nodeId: 'node_a' });
+        assertTrue(all.refused.some(r => r.direction === 'incoming'), 'node_b\'s records travel with the log');
+        assertEqual(own.refused.map(r => r.direction), ['outgoing']);
+        assertEqual(own.peers.map(p => p.remoteId), ['node_b']);
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Retry now repeats the last sync with a peer', async () => {
+        const hub = new RelayHub();
+        const a = createPeer(hub, 'node_a', { retryAttempts: 1 });
+        await a.transport.connect();
+        addRecord(a, 'alpha');
+
+        await assertRejects(() => a.engine.retryNow('node_b'), 'Nothing to retry for node_b');
+        await assertRejects(() => a.engine.syncWith(a.transport.channel('node_b'), 'node_b'), 'peer_unavailable');
+
+        const b = createPeer(hub, 'node_b');
+        await b.transport.connect();
+        await wait(5);
+
+        await a.engine.retryNow('node_b');
+        assertEqual(recordNames(b), ['alpha']);
+        assertEqual(readSyncHistory(a.log, { nodeId: 'node_a' }).lastSuccess.remoteId, 'node_b');
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Retry now catches a live peer up', async () => {
+        const hub = new RelayHub();
+        const [a, b] = await connectLive(hub, 'node_a', 'node_b');
+        a.engine.startLive(a.transport.channel('node_b'), 'node_b');
+        await waitFor(() => a.engine.getStatus().live.node_b.state === LIVE_STATE.LIVE);
+
+        addRecord(b, 'beta');
+        await a.engine.retryNow('node_b');
+
+        assertEqual(recordNames(a), ['beta']);
+        assertEqual(a.engine.getStatus().live.node_b.state, LIVE_STATE.LIVE);
+
+        a.engine.stopLive();
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Parked events are listed with the parents they wait for', async () => {
+        const source = new EventLog();
+        const parent = source.append({
+            type: 'given', actor: 'user_a', parents: [],
+            context: { workspace: WORKSPACE }, payload: { action: 'record:create', data: { name: 'parent' } }
+        }).event;
+        const child = source.append({
+            type: 'given', actor: 'user_a', parents: [parent.id],
+            context: { workspace: WORKSPACE }, payload: { action: 'record:create', data: { name: 'child' } }
+        }).event;
+
+        const log = new EventLog();
+        log.append(child);
+        const pending = log.getPending();
+
+        assertEqual(pending.map(p => [p.id, p.waitingFor]), [[child.id, [parent.id]]]);
+        assertTrue(!isNaN(Date.parse(pending[0].parkedAt)), 'parkedAt should be a timestamp');
+    });
+
+    await test('Dashboard reports peers, queue depth, parked and refused events', async () => {
+        const { a, b, bad } = await syncWithRefusal();
+        const persistence = { getSyncQueueSize: async () => 3 };
+
+        const report = await EOSyncDashboardUI.collect({ engine: a.engine, eventLog: a.log, persistence });
+
+        assertEqual(report.nodeId, 'node_a');
+        assertEqual(report.queueSize, 3);
+        assertEqual(report.pending, []);
+        assertEqual(report.lastSuccess.remoteId, 'node_b');
+        assertEqual(report.peers.map(p => [p.remoteId, p.refused]), [['node_b', 1]]);
+
+        const html = EOSyncDashboardUI.renderDashboard(report);
+        assertContains(html, 'data-sync-action="retry" data-remote-id="node_b"');
+        assertContains(html, bad.id);
+        assertContains(html, 'RULE_2: Missing actor');
+
+        a.transport.close();
+        b.transport.close();
+    });
+
+    await test('Dashboard failure history renders recorded values as text', async () => {
+        const html = EOSyncDashboardUI.renderDashboard({
+            nodeId: 'node_a', workspace: 'default', queueSize: null, inProgress: false,
+            peers: [], pending: [], refused: [],
+            failures: [{ error: '<b>down</b>', remoteId: 'node_b', attempts: '<img src=x onerror=alert(1)>', at: new Date().toISOString() }]
+        });
+
+        assertTrue(!html.includes('<img'), 'Attempts are not markup');
+        assertContains(html, '&lt;b&gt;down&lt;/b&gt;');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
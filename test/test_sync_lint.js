@@ -0,0 +1,330 @@
+/**
+ * Sync Lint Tests
+ * Tests for the parse-tree linter: data flow into derived state,
+ * suppression comments, suggested rewrites and SARIF output
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { parse } = require(path.join(__dirname, '../scripts/js-parser.js'));
+const { SyncLinter, RULES, CONFIG } = require(path.join(__dirname, '../scripts/sync-lint.js'));
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: ${substring}`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+function lint(source) {
+    return new SyncLinter().lintSource(source, 'fixture.js');
+}
+
+/**
+ * [id, line] of each unsuppressed finding
+ */
+function findings(source) {
+    return lint(source).filter(v => !v.suppressed).map(v => [v.id, v.line]);
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Sync Lint Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Parser');
+    // ------------------------------------------------------------------------
+
+    await test('Parses every script in the repository', async () => {
+        const root = path.join(__dirname, '..');
+        const files = [
+            ...fs.readdirSync(root).filter(f => f.endsWith('.js')),
+            ...fs.readdirSync(path.join(root, 'scripts')).map(f => `scripts/${f}`)
+        ];
+
+        const failedFiles = files.filter(file => {
+            try {
+                parse(fs.readFileSync(path.join(root, file), 'utf8'));
+                return false;
+            } catch (e) {
+                return true;
+            }
+        });
+        assertEqual(failedFiles, []);
+    });
+
+    await test('Builds ESTree nodes with locations and comments', async () => {
+        const ast = parse('const x = a?.b ?? /re/g.test(`t${y}`); // note\nclass A { #p = 1; static get q() {} }');
+
+        const init = ast.body[0].declarations[0].init;
+        assertEqual([init.type, init.operator, init.left.type, init.right.callee.object.regex.flags],
+            ['LogicalExpression', '??', 'ChainExpression', 'g']);
+        assertEqual(ast.body[1].body.body.map(m => [m.type, m.kind || null, m.static]),
+            [['PropertyDefinition', null, false], ['MethodDefinition', 'get', true]]);
+        assertEqual(ast.body[1].loc.start, { line: 2, column: 0 });
+        assertEqual(ast.comments.map(c => c.value), [' note']);
+    });
+
+    await test('Reports syntax errors as linter errors', async () => {
+        const linter = new SyncLinter();
+        linter.lintSource('function (', 'broken.js');
+
+        assertEqual(linter.errors.length, 1);
+        assertContains(linter.errors[0].message, '(1:10)');
+        assertEqual(linter.formatOutput().exitCode, 2);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Data Flow');
+    // ------------------------------------------------------------------------
+
+    await test('Ignores Map writes that are not derived state', async () => {
+        assertEqual(findings(`
+            const cache = new Map();
+            cache.set('a', 1);
+            this.rowHeights.set(rowId, 24);
+            const state = { open: false };
+            state.open = true;
+            function render(state) { state.layout.panes.set('p', {}); }
+        `), []);
+    });
+
+    await test('Follows derived state across lines and aliases', async () => {
+        assertEqual(findings(`
+            function apply(state, setId, recordId, record) {
+                state
+                    .records
+                    .set(recordId, record);
+                const { views } = state;
+                views.clear();
+                const set = state.sets.get(setId);
+                const records = set && set.records;
+                records.delete(recordId);
+            }
+            const current = derivation.getState().sets.get(id);
+            current.name = 'Renamed';
+        `), [
+            ['AXIOM_0_DIRECT_MUTATION', 3],
+            ['AXIOM_0_DIRECT_MUTATION', 7],
+            ['AXIOM_0_DIRECT_MUTATION', 10],
+            ['AXIOM_0_DIRECT_ASSIGNMENT', 13]
+        ]);
+    });
+
+    await test('Items reached through loops and callbacks are derived', async () => {
+        assertEqual(findings(`
+            for (const [id, view] of state.views.entries()) {
+                view.isDirty = true;
+            }
+            state.sets.get(setId).records.forEach(record => {
+                delete record.fields.draft;
+                record.tags.push('seen');
+            });
+            Array.from(state.views.values()).find(v => v.id === id).filters.splice(0, 1);
+        `), [
+            ['AXIOM_0_DIRECT_ASSIGNMENT', 3],
+            ['AXIOM_0_DELETE_OPERATOR', 6],
+            ['AXIOM_0_DIRECT_MUTATION', 7],
+            ['AXIOM_0_SPLICE', 9]
+        ]);
+    });
+
+    await test('Checks event shape, failures and sync messages', async () => {
+        assertEqual(findings(`
+            const event = { type: 'given', payload: { action: 'cell:edit' } };
+            eventLog.append(event);
+            eventLog.append({ type: 'meant', actor: 'ana', payload: {} });
+            const copy = { ...event, actor: 'bob' };
+            try { save(); } catch (err) { console.error(err); }
+            try { save(); } catch (err) { recordSyncFailure(err); console.error(err); }
+            transport.send({ type: 'push', state: derivation.getState() });
+            transport.send({ type: 'push', events });
+            log.events.splice(0, 1);
+        `), [
+            ['RULE_1_MISSING_ACTOR', 3],
+            ['RULE_4_MEANT_NO_PROVENANCE', 4],
+            ['RULE_2_SPREAD_WITHOUT_ACTOR', 5],
+            ['RULE_7_CATCH_NO_RECORD', 6],
+            ['RULE_6_STATE_SYNC', 8],
+            ['RULE_9_REMOVE_FROM_MAP', 10]
+        ]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Suppressions');
+    // ------------------------------------------------------------------------
+
+    await test('Suppresses by rule id or prefix, on the next line or the same line', async () => {
+        const results = lint(`
+            // sync-lint-disable-next-line AXIOM_0_DIRECT_MUTATION -- migration shim
+            state.views.set(id, view);
+            state.views.delete(id); // sync-lint-disable-line AXIOM_0
+            // sync-lint-disable-next-line RULE_7
+            state.sets.clear();
+        `);
+
+        assertEqual(results.map(v => [v.id, v.line, v.suppressed ? v.suppressed.justification : false]), [
+            ['AXIOM_0_DIRECT_MUTATION', 3, 'migration shim'],
+            ['AXIOM_0_DIRECT_MUTATION', 4, null],
+            ['AXIOM_0_DIRECT_MUTATION', 6, false]
+        ]);
+    });
+
+    await test('File-level suppressions cover the whole file and keep the exit code clean', async () => {
+        const linter = new SyncLinter();
+        linter.lintSource(`
+            /* sync-lint-disable-file AXIOM_0 -- reducer module */
+            function reduce(state, e) { state.sets.set(e.id, e.payload); }
+        `, 'reducer.js');
+
+        assertEqual(linter.getActive(), []);
+        assertEqual(linter.violations.length, 1);
+        assertEqual(linter.formatOutput().exitCode, 0);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Suggested Rewrites');
+    // ------------------------------------------------------------------------
+
+    await test('Proposes a record:update append for a direct records.set', async () => {
+        const source = [
+            'function save(eventLog, actor, setId, record) {',
+            '    const set = state.sets.get(setId);',
+            '    set.records.set(record.id, record);',
+            '}'
+        ].join('\n');
+        const [violation] = lint(source);
+
+        assertEqual(violation.fix.description, 'Append a record:update event instead');
+        assertEqual(violation.fix.text, [
+            'eventLog.append({',
+            '        type: \'given\',',
+            '        actor,',
+            '        parents: eventLog.getHeads(),',
+            '        context: { workspace: \'default\' },',
+            '        payload: {',
+            '            action: \'record:update\',',
+            '            setId,',
+            '            recordId: record.id,',
+            '            updates: record',
+            '        }',
+            '    });'
+        ].join('\n'));
+
+        const [start, end] = violation.fix.range;
+        assertEqual(source.slice(start, end), 'set.records.set(record.id, record);');
+        const rewritten = source.slice(0, start) + violation.fix.text + source.slice(end);
+        assertEqual(lint(rewritten), [], 'The rewrite passes the linter');
+    });
+
+    await test('Proposes cell:edit and toss:record for assignments and deletes', async () => {
+        const results = lint(`
+            for (const record of state.sets.get(setId).records.values()) {
+                record.fields[fieldName] = value;
+            }
+            state.records.delete(recordId);
+        `);
+
+        assertContains(results[0].fix.text, 'action: \'cell:edit\'');
+        assertContains(results[0].fix.text, 'recordId: record.id');
+        assertContains(results[0].fix.text, 'fieldName,');
+        assertContains(results[1].fix.text, 'action: \'toss:record\'');
+        assertContains(results[1].fix.text, 'snapshot: state.records.get(recordId)');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n5. SARIF Output');
+    // ------------------------------------------------------------------------
+
+    await test('Emits SARIF 2.1.0 with handbook links, fixes and suppressions', async () => {
+        const linter = new SyncLinter();
+        linter.lintSource([
+            'state.views.set(viewId, view);',
+            '// sync-lint-disable-next-line RULE_2 -- replaying an import',
+            'event.actor = \'importer\';'
+        ].join('\n'), path.join(process.cwd(), 'src', 'views.js'));
+
+        const sarif = linter.toSarif();
+        const run = sarif.runs[0];
+        const rule = run.tool.driver.rules.find(r => r.id === 'AXIOM_0_DIRECT_MUTATION');
+
+        assertEqual(sarif.version, '2.1.0');
+        assertEqual(run.tool.driver.rules.length, RULES.length);
+        assertEqual(rule.helpUri, `${CONFIG.handbookUrl}#axiom-0-log-primacy`);
+        assertEqual(run.results.map(r => [r.ruleId, r.level]), [
+            ['AXIOM_0_DIRECT_MUTATION', 'error'],
+            ['RULE_2_ACTOR_OVERWRITE', 'error']
+        ]);
+        assertEqual(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'src/views.js');
+        assertEqual(run.results[0].fixes[0].artifactChanges[0].replacements[0].deletedRegion,
+            { startLine: 1, startColumn: 1, endLine: 1, endColumn: 31 });
+        assertEqual(run.results[1].suppressions, [{ kind: 'inSource', justification: 'replaying an import' }]);
+        assertEqual(run.invocations[0].executionSuccessful, true);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,286 @@
+/**
+ * Time Travel Tests
+ * Tests for deriving state as of a past point and diffing two points
+ */
+
+const path = require('path');
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+global.EOStateDerivation = EOStateDerivation;
+const EOTimeTravelUI = require(path.join(__dirname, '../eo_time_travel_ui.js'));
+
+const { StateDerivation } = EOStateDerivation;
+
+// Derivation logs unknown actions at debug level; keep test output readable
+console.debug = () => {};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: ${substring}`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * A small history, one event per day from 2024-03-01:
+ *   1 set:create  2 field:create  3 record:create rec_1  4 cell:edit title=Draft
+ *   5 record:create rec_2  6 cell:edit rec_1 title=Final  7 view:create
+ */
+function createHistory() {
+    const log = new EventLog();
+    const events = {};
+    let day = 1;
+
+    const append = (name, payload) => {
+        events[name] = log.append({
+            type: 'given',
+            actor: 'auditor',
+            parents: log.getHeads(),
+            timestamp: `2024-03-${String(day++).padStart(2, '0')}T12:00:00.000Z`,
+            context: { workspace: 'default' },
+            payload
+        }).event;
+    };
+
+    append('createSet', { action: 'set:create', setId: 'set_1', name: 'Tasks' });
+    append('createField', { action: 'field:create', setId: 'set_1', field: { name: 'title', type: 'text' } });
+    append('createRec1', { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_1' } });
+    append('draft', { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Draft' });
+    append('createRec2', { action: 'record:create', setId: 'set_1', record: { record_id: 'rec_2' } });
+    append('final', { action: 'cell:edit', setId: 'set_1', recordId: 'rec_1', fieldName: 'title', value: 'Final' });
+    append('createView', {
+        action: 'view:create', viewId: 'view_1', setId: 'set_1', name: 'Grid',
+        config: { hiddenFields: [] }
+    });
+
+    return { log, events };
+}
+
+function title(state, recordId) {
+    return state.sets.get('set_1')?.records.get(recordId)?.fields?.title;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Time Travel Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Resolving Points');
+    // ------------------------------------------------------------------------
+
+    await test('Resolves event ids, clocks and timestamps', async () => {
+        const { log, events } = createHistory();
+
+        assertEqual(EOStateDerivation.resolvePoint(log, events.draft.id).logicalClock, 4);
+        assertEqual(EOStateDerivation.resolvePoint(log, 4).eventId, events.draft.id);
+        assertEqual(EOStateDerivation.resolvePoint(log, '2024-03-05T23:00:00.000Z').eventId, events.createRec2.id);
+        assertEqual(EOStateDerivation.resolvePoint(log, new Date('2024-03-05T23:00:00.000Z')).logicalClock, 5);
+        assertEqual(EOStateDerivation.resolvePoint(log, null).logicalClock, 7);
+    });
+
+    await test('Resolves times before the first event to an empty point', async () => {
+        const { log } = createHistory();
+        const point = EOStateDerivation.resolvePoint(log, '2023-01-01T00:00:00.000Z');
+
+        assertEqual(point, { logicalClock: 0, eventId: null, timestamp: null });
+    });
+
+    await test('Rejects unknown points', async () => {
+        const { log } = createHistory();
+        let error = null;
+        try {
+            EOStateDerivation.resolvePoint(log, 'evt_missing');
+        } catch (e) {
+            error = e.message;
+        }
+        assertEqual(error, 'Unknown point in history: evt_missing');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Deriving As Of');
+    // ------------------------------------------------------------------------
+
+    await test('Derives the workspace as it stood at an event', async () => {
+        const { log, events } = createHistory();
+
+        const state = EOStateDerivation.deriveAsOf(log, events.draft.id);
+
+        assertEqual(title(state, 'rec_1'), 'Draft');
+        assertTrue(!state.sets.get('set_1').records.has('rec_2'), 'rec_2 not created yet');
+        assertEqual(state._asOf.eventId, events.draft.id);
+    });
+
+    await test('Ignores tombstones appended after the point', async () => {
+        const { log, events } = createHistory();
+        log.tombstone(events.final.id, 'auditor', 'wrong value', { workspace: 'default' });
+
+        assertEqual(title(EOStateDerivation.deriveAsOf(log, events.final.id), 'rec_1'), 'Final');
+        assertEqual(title(EOStateDerivation.deriveAsOf(log, null), 'rec_1'), 'Draft');
+    });
+
+    await test('Leaves the live derivation untouched', async () => {
+        const { log, events } = createHistory();
+        const derivation = new StateDerivation();
+        derivation.init(log);
+
+        const past = derivation.deriveAsOf(events.createSet.id);
+
+        assertTrue(past !== derivation.getState(), 'Separate state object');
+        assertEqual(title(derivation.getState(), 'rec_1'), 'Final');
+        assertTrue(derivation.isInSync(), 'Still in sync');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Diff');
+    // ------------------------------------------------------------------------
+
+    await test('Lists changed records, fields and cells with their events', async () => {
+        const { log, events } = createHistory();
+
+        const diff = EOStateDerivation.diff(log, events.createSet.id, events.final.id);
+
+        assertEqual(diff.events.length, 5);
+        assertEqual(diff.fields.map(f => [f.fieldName, f.change, f.events]), [
+            ['title', 'added', [events.createField.id]]
+        ]);
+        assertEqual(diff.records.map(r => [r.recordId, r.change]), [['rec_1', 'added'], ['rec_2', 'added']]);
+        assertEqual(diff.cells, [{
+            setId: 'set_1',
+            recordId: 'rec_1',
+            fieldName: 'title',
+            before: null,
+            after: 'Final',
+            events: [events.createRec1.id, events.draft.id, events.final.id]
+        }]);
+    });
+
+    await test('Attributes a cell change only to the events that touched it', async () => {
+        const { log, events } = createHistory();
+
+        const diff = EOStateDerivation.diff(log, events.draft.id, null);
+
+        assertEqual(diff.cells.map(c => [c.recordId, c.before, c.after, c.events]), [
+            ['rec_1', 'Draft', 'Final', [events.final.id]]
+        ]);
+        assertEqual(diff.records.map(r => [r.recordId, r.change, r.events]), [
+            ['rec_1', 'changed', [events.final.id]],
+            ['rec_2', 'added', [events.createRec2.id]]
+        ]);
+    });
+
+    await test('Attributes a tombstone to what the hidden event changed', async () => {
+        const { log, events } = createHistory();
+        const tombstone = log.tombstone(events.final.id, 'auditor', 'wrong value', { workspace: 'default' }).event;
+
+        const diff = EOStateDerivation.diff(log, events.createView.id, null);
+
+        assertEqual(diff.cells.map(c => [c.before, c.after, c.events]), [['Final', 'Draft', [tombstone.id]]]);
+    });
+
+    await test('Reports no changes between equal points', async () => {
+        const { log, events } = createHistory();
+        const diff = EOStateDerivation.diff(log, events.final.id, events.final.id);
+
+        assertEqual([diff.sets, diff.records, diff.fields, diff.cells], [[], [], [], []]);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Scrubber Rendering');
+    // ------------------------------------------------------------------------
+
+    await test('Renders a set through a view as of a point', async () => {
+        const { log, events } = createHistory();
+        const state = EOStateDerivation.deriveAsOf(log, events.createView.id);
+
+        const html = EOTimeTravelUI.renderSetAsOf(state, { viewId: 'view_1' });
+        assertContains(html, 'Tasks · Grid');
+        assertContains(html, 'Final');
+
+        const before = EOTimeTravelUI.renderSetAsOf(EOStateDerivation.deriveAsOf(log, 0), { setId: 'set_1' });
+        assertContains(before, 'did not exist at this point');
+    });
+
+    await test('Renders the scrubber position and event', async () => {
+        const { log, events } = createHistory();
+        const html = EOTimeTravelUI.renderScrubber(log, EOStateDerivation.resolvePoint(log, events.draft.id));
+
+        assertContains(html, 'value="4"');
+        assertContains(html, 'Cell Edit · auditor');
+        assertContains(html, '4 / 7');
+    });
+
+    await test('Renders a diff with causing events', async () => {
+        const { log, events } = createHistory();
+        const html = EOTimeTravelUI.renderDiff(EOStateDerivation.diff(log, events.draft.id, null));
+
+        assertContains(html, 'Draft');
+        assertContains(html, `data-event-id="${events.final.id}"`);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,363 @@
+/**
+ * Undo Tests
+ * Tests for per-actor undo and redo built on compensating events
+ */
+
+const path = require('path');
+
+// Silence derivation logging
+console.debug = () => {};
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+const { SyncEngine } = require(path.join(__dirname, '../eo_sync_protocol.js'));
+const EOUndo = require(path.join(__dirname, '../eo_undo.js'));
+const EOState = require(path.join(__dirname, '../eo_state.js'));
+
+const { UndoManager, COMPENSATION } = EOUndo;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str || !str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: "${substring}"\nActual: "${str}"`);
+    }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const WORKSPACE = 'default';
+
+function append(log, actor, payload, parents = log.getHeads()) {
+    const result = log.append({
+        type: 'given',
+        actor,
+        parents,
+        context: { workspace: WORKSPACE },
+        payload
+    });
+    if (!result.success) throw new Error(`Append failed: ${JSON.stringify(result)}`);
+    return result.event;
+}
+
+function createWorkspace() {
+    const log = new EventLog();
+    append(log, 'admin', {
+        action: 'set:create',
+        setId: 'set_1',
+        name: 'Tasks',
+        records: [{ record_id: 'rec_1', fields: { status: 'open', owner: 'ana' } }]
+    });
+    append(log, 'admin', { action: 'view:create', viewId: 'view_1', setId: 'set_1', name: 'Grid', config: {} });
+    return log;
+}
+
+function edit(log, actor, value, fieldName = 'status', parents) {
+    return append(log, actor, EOStateDerivation.Actions.editCell('set_1', 'rec_1', fieldName, value), parents);
+}
+
+function field(log, fieldName = 'status') {
+    return EOStateDerivation.replay(log).sets.get('set_1').records.get('rec_1').fields[fieldName];
+}
+
+function createDevice(nodeId) {
+    const log = new EventLog();
+    return { log, engine: new SyncEngine(log, { nodeId, workspace: WORKSPACE, requireSignatures: false }) };
+}
+
+function transportTo(remote, fromId) {
+    return {
+        send: async (message) => remote.engine.handleMessage(JSON.parse(JSON.stringify(message)), fromId)
+    };
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Undo Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Compensating Events');
+    // ------------------------------------------------------------------------
+
+    await test('Undo appends a cell:edit back to the prior value', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const original = edit(log, 'user_a', 'done');
+        const before = log.getAll().length;
+
+        const result = undo.undo('user_a');
+
+        assertTrue(result.success);
+        assertEqual(log.getAll().length, before + 1, 'Appended, nothing removed');
+        assertEqual(log.get(original.id).payload.value, 'done');
+        assertEqual(result.event.actor, 'user_a');
+        assertEqual(result.event.payload, {
+            action: 'cell:edit',
+            setId: 'set_1',
+            recordId: 'rec_1',
+            fieldName: 'status',
+            value: 'open',
+            provenance: [original.id],
+            compensation: COMPENSATION.UNDO
+        });
+        assertEqual(field(log), 'open');
+    });
+
+    await test('Redo restores the edit and can itself be undone', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        edit(log, 'user_a', 'doing');
+        edit(log, 'user_a', 'done');
+
+        const undone = undo.undo('user_a');
+        assertEqual(field(log), 'doing');
+
+        const redone = undo.redo('user_a');
+        assertEqual(redone.event.payload.provenance, [undone.event.id]);
+        assertEqual(redone.event.payload.compensation, COMPENSATION.REDO);
+        assertEqual(field(log), 'done');
+
+        undo.undo('user_a');
+        assertEqual(field(log), 'doing');
+        undo.undo('user_a');
+        assertEqual(field(log), 'open');
+        assertEqual(undo.undo('user_a'), { success: false, error: 'Nothing to undo' });
+    });
+
+    await test('A new edit clears what can be redone', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        edit(log, 'user_a', 'done');
+        undo.undo('user_a');
+        assertTrue(undo.canRedo('user_a'));
+
+        edit(log, 'user_a', 'blocked', 'owner');
+
+        assertEqual(undo.canRedo('user_a'), false);
+        assertEqual(undo.redo('user_a'), { success: false, error: 'Nothing to redo' });
+    });
+
+    await test('Record, set and view updates restore the keys they changed', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        append(log, 'user_a', EOStateDerivation.Actions.updateSet('set_1', { name: 'Renamed' }));
+        append(log, 'user_a', EOStateDerivation.Actions.updateView('view_1', { name: 'Board', color: 'red' }));
+
+        const view = undo.undo('user_a');
+        assertEqual(view.event.payload.updates, { name: 'Grid', color: null });
+        const set = undo.undo('user_a');
+        assertEqual(set.event.payload.updates, { name: 'Tasks' });
+
+        const state = EOStateDerivation.replay(log);
+        assertEqual(state.sets.get('set_1').name, 'Tasks');
+        assertEqual(state.views.get('view_1').name, 'Grid');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Per-Actor Stacks');
+    // ------------------------------------------------------------------------
+
+    await test('Each actor undoes only their own edits', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const mine = edit(log, 'user_a', 'done');
+        edit(log, 'user_b', 'ben', 'owner');
+
+        const result = undo.undo('user_a');
+
+        assertEqual(result.event.payload.provenance, [mine.id]);
+        assertEqual(field(log, 'owner'), 'ben', 'user_b\'s later edit is untouched');
+        assertEqual(undo.getStacks('user_b').undo.map(e => e.payload.value), ['ben']);
+    });
+
+    await test('Undoing another user\'s edit is refused', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const theirs = edit(log, 'user_b', 'done');
+        const before = log.getAll().length;
+
+        const result = undo.undo('user_a', { eventId: theirs.id });
+
+        assertEqual(result.success, false);
+        assertContains(result.error, 'RULE_2');
+        assertContains(result.error, 'user_b');
+        assertEqual(log.getAll().length, before);
+        assertEqual(undo.undo(null).error, 'RULE_1: Undo requires an actor');
+    });
+
+    await test('Prior value is what the author saw, not a concurrent edit', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const fork = log.getHeads();
+        edit(log, 'user_a', 'blocked', 'status', fork);
+        const mine = edit(log, 'user_a', 'done', 'status', fork);
+
+        const result = undo.undo('user_a', { eventId: mine.id });
+
+        assertEqual(result.event.payload.value, 'open');
+    });
+
+    await test('Undo is refused over a later edit by another actor', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const mine = edit(log, 'user_a', 'done');
+        const theirs = edit(log, 'user_b', 'blocked');
+        const before = log.getAll().length;
+
+        const result = undo.undo('user_a');
+
+        assertEqual(result.success, false);
+        assertContains(result.error, 'user_b');
+        assertEqual(result.conflicts, [theirs.id]);
+        assertEqual(log.getAll().length, before);
+        assertEqual(field(log), 'blocked');
+        assertEqual(undo.getStacks('user_a').undo.map(e => e.id), [mine.id], 'Still on the stack');
+    });
+
+    await test('Undo and redo are refused over a concurrent edit by another actor', async () => {
+        const log = createWorkspace();
+        const undo = new UndoManager(log);
+        const fork = log.getHeads();
+        edit(log, 'user_a', 'done');
+        undo.undo('user_a');
+        const theirs = edit(log, 'user_b', 'blocked', 'status', fork);
+
+        assertEqual(undo.redo('user_a').conflicts, [theirs.id]);
+
+        const mine = edit(log, 'user_a', 'doing', 'owner', fork);
+        assertTrue(undo.undo('user_a', { eventId: mine.id }).success, 'Another field is not a conflict');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Reload And Sync');
+    // ------------------------------------------------------------------------
+
+    await test('Stacks survive a reload of the log', async () => {
+        const log = createWorkspace();
+        edit(log, 'user_a', 'doing');
+        edit(log, 'user_a', 'done');
+        new UndoManager(log).undo('user_a');
+
+        const reloaded = new EventLog();
+        reloaded.import(log.export());
+        const undo = new UndoManager(reloaded);
+
+        assertEqual(undo.getStacks('user_a').undo.map(e => e.payload.value), ['doing']);
+        assertTrue(undo.redo('user_a').success);
+        assertEqual(field(reloaded), 'done');
+    });
+
+    await test('An undo on one device can be redone on another after sync', async () => {
+        const laptop = createDevice('laptop');
+        const phone = createDevice('phone');
+        createWorkspace().getAll().forEach(e => laptop.log.append(e));
+        edit(laptop.log, 'user_a', 'done');
+        new UndoManager(laptop.log).undo('user_a');
+
+        await phone.engine.syncWith(transportTo(laptop, 'phone'), 'laptop');
+        const result = new UndoManager(phone.log).redo('user_a');
+
+        assertTrue(result.success);
+        assertEqual(field(phone.log), 'done');
+    });
+
+    await test('The same undo made on two devices counts once', async () => {
+        const laptop = createDevice('laptop');
+        const phone = createDevice('phone');
+        createWorkspace().getAll().forEach(e => laptop.log.append(e));
+        edit(laptop.log, 'user_a', 'doing');
+        edit(laptop.log, 'user_a', 'done');
+        await phone.engine.syncWith(transportTo(laptop, 'phone'), 'laptop');
+
+        new UndoManager(laptop.log).undo('user_a');
+        new UndoManager(phone.log).undo('user_a');
+        await phone.engine.syncWith(transportTo(laptop, 'phone'), 'laptop');
+
+        const stacks = new UndoManager(phone.log).getStacks('user_a');
+        assertEqual(stacks.undo.map(e => e.payload.value), ['doing']);
+        assertEqual(stacks.redo.length, 1);
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Legacy State Manager');
+    // ------------------------------------------------------------------------
+
+    await test('EOStateManager.undo goes through the log for the current user', async () => {
+        const log = createWorkspace();
+        EOUndo.init(log);
+        const manager = new EOState.StateManager({ user: { id: 'user_a', name: 'Ana', preferences: {} } });
+        edit(log, 'user_a', 'done');
+
+        manager.set('currentSetId', 'set_1');
+        assertEqual(manager.getStats().historyLength, 0, 'No key snapshots kept beside the log');
+
+        assertEqual(manager.undo(), true);
+        assertEqual(field(log), 'open');
+        assertEqual(manager.redo(), true);
+        assertEqual(field(log), 'done');
+        assertEqual(log.getAll().filter(e => e.payload.compensation).length, 2);
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,440 @@
+/**
+ * Workspace Tests
+ * Tests for per-workspace persistence namespaces, the workspace catalog and
+ * switcher, and read-only references into another workspace
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Silence derivation logging
+console.debug = () => {};
+
+// Load in order of dependencies
+const { EventLog } = require(path.join(__dirname, '../eo_event_log.js'));
+const EOStateDerivation = require(path.join(__dirname, '../eo_state_derivation.js'));
+const EOPersistence = require(path.join(__dirname, '../eo_persistence.js'));
+const { SyncEngine, getEngine } = require(path.join(__dirname, '../eo_sync_protocol.js'));
+const EOContentStore = require(path.join(__dirname, '../eo_content_store.js'));
+const EOCompliance = require(path.join(__dirname, '../eo_compliance.js'));
+const EOWorkspaces = require(path.join(__dirname, '../eo_workspaces.js'));
+const EOWorkspaceUI = require(path.join(__dirname, '../eo_workspace_ui.js'));
+
+const { WorkspaceManager, REFERENCE_STATUS } = EOWorkspaces;
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        failures.push({ name, error: e.message });
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${e.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(`${message}\nExpected truthy value`);
+    }
+}
+
+function assertContains(str, substring, message = '') {
+    if (!str || !str.includes(substring)) {
+        throw new Error(`${message}\nExpected to contain: "${substring}"\nActual: "${str}"`);
+    }
+}
+
+async function assertRejects(fn, substring) {
+    try {
+        await fn();
+    } catch (e) {
+        assertContains(e.message, substring);
+        return;
+    }
+    throw new Error(`Expected an error containing: "${substring}"`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eo-workspaces-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function append(log, workspace, payload, actor = 'user_1') {
+    const result = log.append({
+        type: 'given',
+        actor,
+        parents: log.getHeads(),
+        context: { workspace },
+        payload
+    });
+    if (!result.success) throw new Error(`Append failed: ${JSON.stringify(result)}`);
+    return result.event;
+}
+
+/**
+ * A 'research' workspace holding one source record
+ */
+function createResearch() {
+    const log = new EventLog();
+    append(log, 'research', {
+        action: 'set:create',
+        setId: 'set_src',
+        name: 'Sources',
+        records: [{ record_id: 'rec_src', fields: { title: 'Field notes', year: 2024 } }]
+    });
+    return log;
+}
+
+/**
+ * The current 'default' workspace, with a record to hang references on
+ */
+function createLocal() {
+    const log = new EventLog();
+    append(log, 'default', {
+        action: 'set:create',
+        setId: 'set_1',
+        name: 'Claims',
+        records: [{ record_id: 'rec_1', fields: { claim: 'Rivers rose' } }]
+    });
+    return log;
+}
+
+function createManager(options = {}) {
+    return new WorkspaceManager({ contentStore: EOContentStore, ...options });
+}
+
+async function linkSource(manager, log) {
+    return manager.linkRecord(log, {
+        actor: 'user_1',
+        setId: 'set_1',
+        recordId: 'rec_1',
+        fieldName: 'source',
+        target: { workspace: 'research', setId: 'set_src', recordId: 'rec_src' }
+    });
+}
+
+function references(log) {
+    return EOStateDerivation.replay(log).references;
+}
+
+// ============================================================================
+// TEST SUITES
+// ============================================================================
+
+async function run() {
+    console.log('\n========================================');
+    console.log('Workspace Tests');
+    console.log('========================================\n');
+
+    // ------------------------------------------------------------------------
+    console.log('1. Persistence Namespaces');
+    // ------------------------------------------------------------------------
+
+    await test('Each workspace persists in its own namespace', async () => {
+        const directory = tempDir();
+        const open = (namespace) => new EOPersistence.Persistence({ backend: 'file', directory, namespace, autoSave: false });
+
+        const local = open(undefined);
+        await local.connect(createLocal());
+        await local.saveLog();
+        const research = open('research');
+        await research.connect(createResearch());
+        await research.saveLog();
+
+        assertEqual(local.getNamespace(), EOPersistence.DEFAULT_NAMESPACE);
+        assertTrue(fs.existsSync(path.join(directory, 'workspaces', 'research')), 'Own directory');
+        assertEqual((await open('default').loadLog()).events[0].payload.name, 'Claims');
+        assertEqual((await open('research').loadLog()).events[0].payload.name, 'Sources');
+        assertEqual(await open('empty').loadLog(), null);
+    });
+
+    await test('The bridge dispatches into the current workspace and switches between them', async () => {
+        const directory = tempDir();
+        const bridge = await EOCompliance.initBridge({ persistenceBackend: 'file', persistenceDirectory: directory });
+        assertEqual(bridge.getWorkspace(), 'default');
+
+        await bridge.dispatch({ action: 'set:create', setId: 'set_1', name: 'Claims', records: [] }, 'user_1');
+        assertEqual(bridge.getEventLog().getAll().filter(e => e.payload.action === 'set:create')[0].context.workspace, 'default');
+
+        await bridge.switchWorkspace('research');
+        assertEqual(bridge.getStatus().workspace, 'research');
+        assertEqual(bridge.getState().sets.size, 0, 'Nothing carried across');
+        const { event } = await bridge.dispatch({ action: 'set:create', setId: 'set_src', name: 'Sources', records: [] }, 'user_1');
+        assertEqual(event.context.workspace, 'research');
+
+        await bridge.switchWorkspace('default');
+        assertEqual(Array.from(bridge.getState().sets.keys()), ['set_1']);
+    });
+
+    await test('Switching stops the old workspace pushing to its peers', async () => {
+        const bridge = await EOCompliance.initBridge({ persistenceBackend: 'file', persistenceDirectory: tempDir() });
+        const oldLog = bridge.getEventLog();
+        const oldEngine = getEngine();
+        const sent = [];
+        oldEngine.startLive({ send: (message) => sent.push(message) }, 'peer_1');
+        assertTrue(oldEngine.getStatus().live.peer_1, 'Live before the switch');
+
+        await bridge.switchWorkspace('research');
+        const before = sent.length;
+        oldLog.append({
+            type: 'given',
+            actor: 'user_1',
+            parents: oldLog.getHeads(),
+            context: { workspace: 'default', schemaVersion: '1.0' },
+            payload: { action: 'set:create', setId: 'set_late', name: 'Late', records: [] }
+        });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assertEqual(oldEngine.getStatus().live, {});
+        assertEqual(sent.length, before, 'Nothing pushed from the old log');
+        assertTrue(getEngine() !== oldEngine, 'The new workspace has its own engine');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n2. Workspace Catalog');
+    // ------------------------------------------------------------------------
+
+    await test('Workspaces are created, listed and switched to', async () => {
+        const manager = createManager();
+        const switches = [];
+        manager.subscribe(change => switches.push(change));
+
+        manager.create('research', { label: 'Research' });
+        await manager.switchTo('research');
+
+        assertEqual(manager.getCurrent(), 'research');
+        assertEqual(manager.list().map(w => [w.name, w.label, w.current]),
+            [['default', 'default', false], ['research', 'Research', true]]);
+        assertEqual(switches, [{ type: 'switch', from: 'default', to: 'research' }]);
+        await assertRejects(() => manager.switchTo('missing'), 'Unknown workspace');
+        assertTrue((() => {
+            try { manager.create('research'); } catch (e) { return e.message.includes('already exists'); }
+            return false;
+        })());
+    });
+
+    await test('The catalog survives a restart', async () => {
+        const directory = tempDir();
+        const persistence = new EOPersistence.Persistence({ backend: 'file', directory, autoSave: false });
+        const manager = createManager({ persistence });
+        manager.create('research');
+        manager.create('archive', { label: 'Archive 2023' });
+        await manager.switchTo('research');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const restarted = createManager({ persistence: new EOPersistence.Persistence({ backend: 'file', directory, autoSave: false }) });
+        const current = await restarted.load();
+
+        assertEqual(current, 'research', 'Reopen where the user left off');
+        assertEqual(restarted.list().map(w => w.name), ['archive', 'default', 'research']);
+        assertEqual(restarted.list().find(w => w.name === 'archive').label, 'Archive 2023');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n3. Cross-Workspace References');
+    // ------------------------------------------------------------------------
+
+    await test('Linking records the foreign workspace in provenance and keeps only a content reference', async () => {
+        EOContentStore.clear();
+        const research = createResearch();
+        const local = createLocal();
+        const manager = createManager();
+        manager.registerLog('research', research);
+
+        const result = await linkSource(manager, local);
+
+        assertTrue(result.success);
+        assertEqual(result.event.context.workspace, 'default');
+        const { content, provenance, target } = result.event.payload;
+        assertEqual(content.type, 'direct');
+        assertTrue(!JSON.stringify(result.event.payload).includes('Field notes'), 'No foreign values in the log');
+        assertEqual(target, { workspace: 'research', setId: 'set_src', recordId: 'rec_src' });
+        assertEqual(provenance, {
+            workspace: 'research',
+            setId: 'set_src',
+            recordId: 'rec_src',
+            eventId: research.getAll()[0].id,
+            logicalClock: research.getClock()
+        });
+        assertEqual(result.reference.fields, { title: 'Field notes', year: 2024 });
+    });
+
+    await test('Resolved references are read-only', async () => {
+        EOContentStore.clear();
+        const local = createLocal();
+        const manager = createManager();
+        manager.registerLog('research', createResearch());
+        const { event } = await linkSource(manager, local);
+
+        const reference = references(local).get(event.payload.refId);
+        const resolved = manager.resolveReference(reference);
+
+        assertEqual(reference.readOnly, true);
+        assertEqual(resolved.status, REFERENCE_STATUS.RESOLVED);
+        assertTrue(Object.isFrozen(resolved) && Object.isFrozen(resolved.fields) && Object.isFrozen(resolved.provenance));
+        try { resolved.fields.title = 'Edited'; } catch (e) { /* frozen */ }
+        assertEqual(resolved.fields.title, 'Field notes');
+        assertEqual(manager.resolveReference(reference).fields.title, 'Field notes');
+    });
+
+    await test('References only point into other workspaces, at records that exist', async () => {
+        const manager = createManager();
+        manager.registerLog('research', createResearch());
+        const local = createLocal();
+
+        await assertRejects(() => manager.linkRecord(local, {
+            actor: 'user_1', setId: 'set_1', recordId: 'rec_1',
+            target: { workspace: 'default', setId: 'set_1', recordId: 'rec_1' }
+        }), 'another workspace');
+        await assertRejects(() => manager.linkRecord(local, {
+            actor: 'user_1', setId: 'set_1', recordId: 'rec_1',
+            target: { workspace: 'research', setId: 'set_src', recordId: 'rec_gone' }
+        }), 'Record not found in workspace research');
+        await assertRejects(() => manager.linkRecord(local, {
+            setId: 'set_1', recordId: 'rec_1',
+            target: { workspace: 'research', setId: 'set_src', recordId: 'rec_src' }
+        }), 'RULE_1');
+        assertEqual(local.getAll().length, 1, 'Nothing appended');
+    });
+
+    await test('Refresh records foreign changes; unlink removes the reference', async () => {
+        EOContentStore.clear();
+        const research = createResearch();
+        const local = createLocal();
+        const manager = createManager();
+        manager.registerLog('research', research);
+        const { event } = await linkSource(manager, local);
+        const { refId } = event.payload;
+
+        assertEqual(await manager.refreshReference(local, refId, { actor: 'user_1' }), { success: true, unchanged: true });
+
+        const edit = append(research, 'research', EOStateDerivation.Actions.editCell('set_src', 'rec_src', 'year', 2025), 'user_2');
+        const refreshed = await manager.refreshReference(local, refId, { actor: 'user_1' });
+        assertEqual(refreshed.event.payload.action, 'xref:refresh');
+        assertEqual(refreshed.event.payload.provenance.eventId, edit.id);
+
+        const reference = references(local).get(refId);
+        assertEqual(manager.resolveReference(reference).fields.year, 2025);
+        assertEqual(reference.linkedBy, 'user_1');
+
+        manager.unlinkReference(local, refId, { actor: 'user_1' });
+        assertEqual(references(local).size, 0);
+        assertEqual(local.getAll().map(e => e.payload.action), ['set:create', 'xref:link', 'xref:refresh', 'xref:unlink']);
+        assertEqual(research.getAll().length, 2, 'Foreign log only read');
+    });
+
+    await test('A reference whose content is missing resolves as unavailable', async () => {
+        EOContentStore.clear();
+        const local = createLocal();
+        const manager = createManager();
+        manager.registerLog('research', createResearch());
+        const { event } = await linkSource(manager, local);
+
+        EOContentStore.clear();
+        const resolved = manager.resolveReference(references(local).get(event.payload.refId));
+
+        assertEqual(resolved.status, REFERENCE_STATUS.UNAVAILABLE);
+        assertEqual(resolved.fields, null);
+        assertEqual(resolved.provenance.workspace, 'research');
+    });
+
+    await test('Foreign logs are opened from their own namespace', async () => {
+        EOContentStore.clear();
+        const directory = tempDir();
+        const stored = new EOPersistence.Persistence({ backend: 'file', directory, namespace: 'research', autoSave: false });
+        await stored.connect(createResearch());
+        await stored.saveLog();
+
+        const manager = createManager({ persistenceOptions: { backend: 'file', directory } });
+        const result = await linkSource(manager, createLocal());
+
+        assertTrue(result.success);
+        assertEqual(result.reference.fields.title, 'Field notes');
+        await assertRejects(() => manager.open('default'), 'current workspace');
+    });
+
+    // ------------------------------------------------------------------------
+    console.log('\n4. Workspace Boundaries');
+    // ------------------------------------------------------------------------
+
+    await test('Sync still refuses a peer from another workspace', async () => {
+        const research = new SyncEngine(createResearch(), { nodeId: 'laptop', workspace: 'research', requireSignatures: false });
+        const localLog = createLocal();
+        const local = new SyncEngine(localLog, { nodeId: 'phone', workspace: 'default', requireSignatures: false });
+        const transport = {
+            send: async (message) => research.handleMessage(JSON.parse(JSON.stringify(message)), 'phone')
+        };
+
+        await assertRejects(() => local.syncWith(transport, 'laptop'), 'workspace_mismatch');
+        assertEqual(localLog.getAll().filter(e => e.context.workspace === 'research').length, 0);
+    });
+
+    await test('The switcher and reference chips render', async () => {
+        EOContentStore.clear();
+        const manager = createManager();
+        manager.create('research', { label: 'Research <2024>' });
+        manager.registerLog('research', createResearch());
+        const { reference } = await linkSource(manager, createLocal());
+
+        const switcher = EOWorkspaceUI.renderSwitcher(manager.list(), manager.getCurrent());
+        assertContains(switcher, '<option value="default"');
+        assertContains(switcher, 'Research &lt;2024&gt;');
+        assertContains(switcher, 'data-workspace="create"');
+
+        const chip = EOWorkspaceUI.renderReference(reference);
+        assertContains(chip, 'Read-only, from workspace research at event #1');
+        assertContains(chip, 'Title: Field notes');
+        assertContains(EOWorkspaceUI.renderReference({ ...reference, status: REFERENCE_STATUS.UNAVAILABLE }), 'Content unavailable');
+    });
+
+    // ------------------------------------------------------------------------
+    // SUMMARY
+    // ------------------------------------------------------------------------
+
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    console.log('\n========================================');
+    console.log('Test Summary');
+    console.log('========================================');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failures.length > 0) {
+        console.log('\nFailed tests:');
+        failures.forEach(f => {
+            console.log(`  - ${f.name}: ${f.error}`);
+        });
+    }
+
+    console.log('\n');
+
+    // Exit with appropriate code
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();